@@ -5,90 +5,237 @@ console.log('ui_web app.js loaded');
 import "phoenix_html"
 import { Socket } from "phoenix"
 import { LiveSocket } from "phoenix_live_view"
+import { connectUserChannels } from "./channels"
+import { showToast } from "./toasts"
+import { CommandPalette } from "./command_palette"
+import { PolicyEditor } from "./policy_editor"
+import { MetricsChart } from "./metrics_chart"
+import { TagsInput } from "./tags_input"
+import { Dialog } from "./focus"
+import { QueryInput } from "./query_input"
+import { InfiniteScroll } from "./infinite_scroll"
+import { MessageDraft } from "./message_draft"
 
 const Hooks = {}
 
-// Clipboard copy hook
+Hooks.CommandPalette = CommandPalette
+Hooks.PolicyEditor = PolicyEditor
+Hooks.MetricsChart = MetricsChart
+Hooks.TagsInput = TagsInput
+Hooks.Dialog = Dialog
+Hooks.QueryInput = QueryInput
+Hooks.InfiniteScroll = InfiniteScroll
+Hooks.MessageDraft = MessageDraft
+
+// Clipboard copy hook: copies the text of the element in data-target, or, for
+// clicks on a descendant with data-copy (e.g. JSON tree nodes), that attribute
+const copyText = (button, content) => {
+  navigator.clipboard.writeText(content).then(() => {
+    const original = button.textContent
+    button.textContent = "Copied!"
+    setTimeout(() => {
+      button.textContent = original
+    }, 1500)
+  }).catch(err => {
+    console.error("Failed to copy:", err)
+  })
+}
+
 Hooks.ClipboardCopy = {
   mounted() {
     this.el.addEventListener("click", (e) => {
-      e.preventDefault()
+      const copyButton = e.target.closest("[data-copy]")
+      if (copyButton && this.el.contains(copyButton)) {
+        e.preventDefault()
+        copyText(copyButton, copyButton.dataset.copy)
+        return
+      }
+
       const targetSelector = this.el.dataset.target
       if (!targetSelector) return
+      e.preventDefault()
 
       const target = document.querySelector(targetSelector)
       if (!target) return
 
-      const content = target.textContent || target.innerText
-
-      navigator.clipboard.writeText(content).then(() => {
-        const original = this.el.textContent
-        this.el.textContent = "Copied!"
-        setTimeout(() => {
-          this.el.textContent = original
-        }, 1500)
-      }).catch(err => {
-        console.error("Failed to copy:", err)
-      })
+      copyText(this.el, target.textContent || target.innerText)
     })
   }
 }
 
-// File download hook
+// File download hook: streams a server-generated file from a signed URL and
+// shows progress in the hook element (percentage when content-length is known)
+const formatBytes = (n) => n < 1024 ? `${n} B` : n < 1048576 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1048576).toFixed(1)} MB`
+
 Hooks.FileDownload = {
   mounted() {
-    this.handleEvent("download", ({content, filename, mime_type}) => {
-      try {
-        const blob = new Blob([atob(content)], {type: mime_type})
-        const url = URL.createObjectURL(blob)
-        const a = document.createElement("a")
-        a.href = url
-        a.download = filename
-        document.body.appendChild(a)
-        a.click()
-        document.body.removeChild(a)
-        URL.revokeObjectURL(url)
-      } catch (err) {
-        console.error("Download failed:", err)
+    this.handleEvent("download", ({url, filename, mime_type}) => this.download(url, filename, mime_type))
+  },
+
+  destroyed() {
+    this.controller?.abort()
+  },
+
+  async download(url, filename, mimeType) {
+    this.controller?.abort()
+    this.controller = new AbortController()
+    this.show(`Preparing ${filename}…`)
+
+    try {
+      const resp = await fetch(url, {credentials: "same-origin", signal: this.controller.signal})
+      if (!resp.ok) {
+        const {error} = await resp.json().catch(() => ({}))
+        throw new Error(error || `HTTP ${resp.status}`)
       }
-    })
+
+      const total = parseInt(resp.headers.get("content-length") || "0", 10)
+      const reader = resp.body.getReader()
+      const chunks = []
+      let received = 0
+
+      for (;;) {
+        const {done, value} = await reader.read()
+        if (done) break
+        chunks.push(value)
+        received += value.length
+        const pct = total > 0 ? ` (${Math.round(received / total * 100)}%)` : ""
+        this.show(`Downloading ${filename}… ${formatBytes(received)}${pct}`)
+      }
+
+      const blobUrl = URL.createObjectURL(new Blob(chunks, {type: mimeType}))
+      const a = document.createElement("a")
+      a.href = blobUrl
+      a.download = filename
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(blobUrl)
+
+      this.show(`Downloaded ${filename} (${formatBytes(received)})`)
+      setTimeout(() => this.hide(), 3000)
+    } catch (err) {
+      if (err.name === "AbortError") return
+      console.error("Download failed:", err)
+      this.hide()
+      this.pushEvent("export_failed", {message: err.message})
+    }
+  },
+
+  show(text) {
+    this.el.textContent = text
+    this.el.classList.remove("hidden")
+  },
+
+  hide() {
+    this.el.classList.add("hidden")
+    this.el.textContent = ""
   }
 }
 
+// Reconnect delays for the messages stream (exponential backoff with jitter)
+const SSE_BACKOFF_BASE_MS = 1000
+const SSE_BACKOFF_MAX_MS = 30000
+// After this many failed attempts in a row the page falls back to server polling
+const SSE_POLLING_AFTER_ATTEMPTS = 5
+
 Hooks.MessagesSSE = {
     mounted() {
-        const url = this.el.dataset.sseUrl
-        if (!url) return
+        this.url = this.el.dataset.sseUrl
+        if (!this.url) return
+        this.lastEventId = null
+        this.attempt = 0
+        this.state = null
+        this.connect()
+    },
+    reconnected() {
+        // The LiveView process may be new; tell it where the stream stands
+        if (this.state) this.pushEvent("sse_status", { state: this.state })
+    },
+    destroyed() {
+        this.__destroyed = true
+        clearTimeout(this.__retryTimer)
+        this.close()
+    },
+    connect() {
+        if (this.__destroyed) return
+        if (typeof EventSource === "undefined") {
+            this.setState("polling")
+            return
+        }
+        // Keep reporting "polling" while retrying in the background
+        if (this.state !== "polling") {
+            this.setState(this.attempt === 0 ? "connecting" : "reconnecting")
+        }
+
+        let es
         try {
-            const es = new EventSource(url)
-            this.__es = es
-
-            const push = (evt, data) => {
-                try {
-                    const payload = typeof data === 'string' ? JSON.parse(data) : data
-                    this.pushEvent("sse_message", { event: evt, data: payload })
-                } catch (err) {
-                    console.warn("SSE parse error", err)
-                }
+            es = new EventSource(this.streamUrl())
+        } catch (_) {
+            // URL invalid; treat like a dropped connection
+            this.scheduleReconnect()
+            return
+        }
+        this.__es = es
+
+        const push = (evt, e) => {
+            if (e.lastEventId) this.lastEventId = e.lastEventId
+            try {
+                const payload = typeof e.data === 'string' ? JSON.parse(e.data) : e.data
+                this.pushEvent("sse_message", { event: evt, data: payload })
+            } catch (err) {
+                console.warn("SSE parse error", err)
             }
+        }
 
-            es.addEventListener("message_created", (e) => push("message_created", e.data))
-            es.addEventListener("message_updated", (e) => push("message_updated", e.data))
-            es.addEventListener("message_deleted", (e) => push("message_deleted", e.data))
-            es.onmessage = (e) => push("message_created", e.data) // default
-            es.onerror = () => { /* fallback to polling handled on server; no-op */ }
-        } catch (_) {
-            // EventSource not available or URL invalid; fallback to polling
+        es.onopen = () => {
+            this.attempt = 0
+            this.setState("live")
+        }
+        es.addEventListener("message_created", (e) => push("message_created", e))
+        es.addEventListener("message_updated", (e) => push("message_updated", e))
+        es.addEventListener("message_deleted", (e) => push("message_deleted", e))
+        es.onmessage = (e) => push("message_created", e) // default
+        es.onerror = () => {
+            // Take over from the browser's fixed-interval retry so we control backoff and resume
+            this.close()
+            this.scheduleReconnect()
         }
     },
-    destroyed() {
+    close() {
         if (this.__es) {
             try { this.__es.close() } catch (_) { }
+            this.__es = null
         }
+    },
+    streamUrl() {
+        if (!this.lastEventId) return this.url
+        // EventSource cannot set the Last-Event-ID header on a fresh connection,
+        // so the gateway also accepts it as a query param
+        const u = new URL(this.url, window.location.href)
+        u.searchParams.set("last_event_id", this.lastEventId)
+        return u.toString()
+    },
+    scheduleReconnect() {
+        if (this.__destroyed) return
+        this.attempt += 1
+        this.setState(this.attempt >= SSE_POLLING_AFTER_ATTEMPTS ? "polling" : "reconnecting")
+
+        const cap = Math.min(SSE_BACKOFF_MAX_MS, SSE_BACKOFF_BASE_MS * 2 ** (this.attempt - 1))
+        const delay = Math.round(cap / 2 + Math.random() * (cap / 2))
+        clearTimeout(this.__retryTimer)
+        this.__retryTimer = setTimeout(() => this.connect(), delay)
+    },
+    setState(state) {
+        if (state === this.state) return
+        this.state = state
+        this.pushEvent("sse_status", { state })
     }
 }
 
 let csrfToken = document.querySelector("meta[name='csrf-token']")?.getAttribute("content")
 let liveSocket = new LiveSocket("/live", Socket, { hooks: Hooks, params: { _csrf_token: csrfToken } })
 liveSocket.connect()
-window.liveSocket = liveSocket
\ No newline at end of file
+window.liveSocket = liveSocket
+
+// Tenant channels: server notifications surface as toasts
+window.userChannels = connectUserChannels({ onNotification: showToast })
@@ -0,0 +1,66 @@
+// Phoenix Channel client for the per-tenant messages:* and notifications:* topics.
+// The socket token and tenant come from <meta> tags in the root layout; both are
+// checked server-side by UiWebWeb.UserSocket and the channels.
+
+import { Socket } from "phoenix"
+
+const PING_INTERVAL_MS = 30000
+const PING_TIMEOUT_MS = 10000
+const REJOIN_BASE_MS = 1000
+const REJOIN_MAX_MS = 30000
+
+const backoff = (tries) => Math.min(REJOIN_BASE_MS * 2 ** (tries - 1), REJOIN_MAX_MS)
+
+const metaContent = (name) => document.querySelector(`meta[name='${name}']`)?.getAttribute("content")
+
+export function connectUserChannels({ onNotification, onMessageEvent } = {}) {
+  const token = metaContent("user-socket-token")
+  const tenantId = metaContent("tenant-id")
+  if (!token || !tenantId) return null
+
+  const socket = new Socket("/socket", {
+    params: { token },
+    reconnectAfterMs: backoff,
+    rejoinAfterMs: backoff
+  })
+  socket.connect()
+
+  const join = (topic, handlers) => {
+    const channel = socket.channel(topic, {})
+    Object.entries(handlers).forEach(([event, handler]) => {
+      if (handler) channel.on(event, handler)
+    })
+    channel.join()
+      .receive("error", ({ reason } = {}) => console.warn(`[channels] join ${topic} refused:`, reason))
+    return channel
+  }
+
+  const channels = [
+    join(`messages:${tenantId}`, { message_event: onMessageEvent }),
+    join(`notifications:${tenantId}`, { notification: onNotification })
+  ]
+
+  // Application-level ping: a channel that stops answering while the socket looks
+  // open is stale, so drop the connection and let the socket reconnect and rejoin.
+  const pingTimer = setInterval(() => {
+    if (!socket.isConnected()) return
+    channels.forEach((channel) => {
+      if (channel.state !== "joined") return
+      channel.push("ping", { ts: Date.now() }, PING_TIMEOUT_MS)
+        .receive("timeout", () => {
+          console.warn(`[channels] ping timeout on ${channel.topic}, reconnecting`)
+          socket.disconnect(() => socket.connect())
+        })
+    })
+  }, PING_INTERVAL_MS)
+
+  return {
+    socket,
+    channels,
+    disconnect() {
+      clearInterval(pingTimer)
+      channels.forEach((channel) => channel.leave())
+      socket.disconnect()
+    }
+  }
+}
@@ -0,0 +1,300 @@
+// Ctrl/Cmd+K command palette, per-page keyboard shortcuts and the `?` help overlay.
+// Markup: UiWebWeb.Components.CommandPaletteComponent; commands come from
+// UiWebWeb.CommandPalette (routes in UiWebWeb.Router + actions).
+//
+// Pages opt into row shortcuts with data attributes:
+//   data-shortcut-row data-row-id="..." [data-edit-href="..."]  on each row
+//   data-shortcut="toggle"                                       selection control inside a row
+//   data-shortcut="search"                                       the page's search input
+
+import { trapTab, restoreFocus } from "./focus"
+
+const MAX_RESULTS = 12
+
+const rows = () => Array.from(document.querySelectorAll("[data-shortcut-row]"))
+const searchInput = () => document.querySelector("[data-shortcut='search']")
+
+const isEditable = (el) =>
+  el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName))
+
+const GLOBAL_SHORTCUTS = [
+  { keys: "Ctrl/⌘ K", description: "Open command palette" },
+  { keys: "?", description: "Show keyboard shortcuts" },
+  { keys: "Esc", description: "Close dialog" }
+]
+
+const PAGE_SHORTCUTS = [
+  {
+    key: "j",
+    description: "Next row",
+    available: () => rows().length > 0,
+    run: (hook) => hook.moveRow(1)
+  },
+  {
+    key: "k",
+    description: "Previous row",
+    available: () => rows().length > 0,
+    run: (hook) => hook.moveRow(-1)
+  },
+  {
+    key: "x",
+    description: "Select / deselect current row",
+    available: () => !!document.querySelector("[data-shortcut-row] [data-shortcut='toggle']"),
+    run: (hook) => hook.currentRow()?.querySelector("[data-shortcut='toggle']")?.click()
+  },
+  {
+    key: "e",
+    description: "Edit current row",
+    available: () => !!document.querySelector("[data-shortcut-row][data-edit-href]"),
+    run: (hook) => {
+      const href = hook.currentRow()?.dataset.editHref
+      if (href) hook.js().navigate(href)
+    }
+  },
+  {
+    key: "/",
+    description: "Focus search",
+    available: () => !!searchInput(),
+    run: () => {
+      const input = searchInput()
+      input.focus()
+      input.select?.()
+    }
+  }
+]
+
+// Subsequence match; consecutive characters and word starts score higher.
+// Returns null when `query` is not a subsequence of `text`.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase()
+  const t = text.toLowerCase()
+  let score = 0
+  let ti = 0
+  let prev = -2
+
+  for (const ch of q) {
+    if (ch === " ") continue
+    const found = t.indexOf(ch, ti)
+    if (found === -1) return null
+    score += found === prev + 1 ? 3 : 1
+    if (found === 0 || /[\s›/_-]/.test(t[found - 1])) score += 2
+    prev = found
+    ti = found + 1
+  }
+  return score - t.length * 0.01
+}
+
+export const CommandPalette = {
+  mounted() {
+    this.commands = JSON.parse(this.el.dataset.commands || "[]")
+    this.idTargets = JSON.parse(this.el.dataset.idTargets || "[]")
+    this.dialog = this.el.querySelector("[data-palette-dialog]")
+    this.input = this.el.querySelector("[data-palette-input]")
+    this.results = this.el.querySelector("[data-palette-results]")
+    this.help = this.el.querySelector("[data-shortcut-help]")
+    this.items = []
+    this.selected = 0
+    this.activeRowId = null
+
+    // Row highlight lives in a stylesheet so LiveView patches don't wipe it
+    this.rowStyle = document.createElement("style")
+    this.el.appendChild(this.rowStyle)
+
+    this.onKeydown = (e) => this.handleKeydown(e)
+    window.addEventListener("keydown", this.onKeydown)
+
+    this.input.addEventListener("input", () => this.render())
+    this.input.addEventListener("keydown", (e) => this.handlePaletteKey(e))
+    this.results.addEventListener("click", (e) => {
+      const li = e.target.closest("[data-index]")
+      if (li) this.run(this.items[parseInt(li.dataset.index, 10)])
+    })
+    this.dialog.addEventListener("click", (e) => { if (e.target === this.dialog) this.closeAll() })
+    this.help.addEventListener("click", (e) => { if (e.target === this.help) this.closeAll() })
+  },
+
+  destroyed() {
+    window.removeEventListener("keydown", this.onKeydown)
+  },
+
+  handleKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault()
+      this.isOpen(this.dialog) ? this.closeAll() : this.openPalette()
+      return
+    }
+    if (e.key === "Escape" && (this.isOpen(this.dialog) || this.isOpen(this.help))) {
+      e.preventDefault()
+      this.closeAll()
+      return
+    }
+    if (e.key === "Tab" && (this.isOpen(this.dialog) || this.isOpen(this.help))) {
+      trapTab(this.isOpen(this.dialog) ? this.dialog : this.help, e)
+      return
+    }
+    if (this.isOpen(this.dialog) || e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return
+
+    if (e.key === "?") {
+      e.preventDefault()
+      this.isOpen(this.help) ? this.closeAll() : this.openHelp()
+      return
+    }
+    if (this.isOpen(this.help)) return
+
+    const shortcut = PAGE_SHORTCUTS.find((s) => s.key === e.key && s.available())
+    if (shortcut) {
+      e.preventDefault()
+      shortcut.run(this)
+    }
+  },
+
+  handlePaletteKey(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault()
+      const delta = e.key === "ArrowDown" ? 1 : -1
+      this.selected = (this.selected + delta + this.items.length) % Math.max(this.items.length, 1)
+      this.highlight()
+    } else if (e.key === "Enter") {
+      e.preventDefault()
+      if (this.items[this.selected]) this.run(this.items[this.selected])
+    }
+  },
+
+  isOpen(el) {
+    return !el.classList.contains("hidden")
+  },
+
+  // Remembers what had focus before the first overlay opened, for closeAll
+  rememberOpener() {
+    if (!this.isOpen(this.dialog) && !this.isOpen(this.help)) this.opener = document.activeElement
+  },
+
+  openPalette() {
+    this.rememberOpener()
+    this.help.classList.add("hidden")
+    this.dialog.classList.remove("hidden")
+    this.input.value = ""
+    this.render()
+    this.input.focus()
+  },
+
+  openHelp() {
+    this.rememberOpener()
+    const list = this.help.querySelector("[data-shortcut-list]")
+    list.replaceChildren()
+    const page = PAGE_SHORTCUTS.filter((s) => s.available()).map(({ key, description }) => ({ keys: key, description }))
+    for (const { keys, description } of [...GLOBAL_SHORTCUTS, ...page]) {
+      const dt = document.createElement("dt")
+      const kbd = document.createElement("kbd")
+      kbd.className = "rounded border border-gray-300 bg-gray-50 px-1.5 py-0.5 font-mono text-xs"
+      kbd.textContent = keys
+      dt.appendChild(kbd)
+      const dd = document.createElement("dd")
+      dd.className = "text-gray-700"
+      dd.textContent = description
+      list.append(dt, dd)
+    }
+    this.help.classList.remove("hidden")
+    this.help.querySelector("[data-shortcut-panel]").focus()
+  },
+
+  closeAll() {
+    const wasOpen = this.isOpen(this.dialog) || this.isOpen(this.help)
+    this.dialog.classList.add("hidden")
+    this.help.classList.add("hidden")
+    if (wasOpen) restoreFocus(this.opener)
+    this.opener = null
+  },
+
+  matches(query) {
+    const q = query.trim()
+    if (!q) return this.commands.slice(0, MAX_RESULTS)
+
+    const scored = this.commands
+      .map((cmd) => ({ cmd, score: fuzzyScore(q, `${cmd.group} ${cmd.label}`) }))
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score)
+      .map(({ cmd }) => cmd)
+
+    // Anything that looks like an id can be opened directly
+    const byId = /^[\w.:-]{2,}$/.test(q)
+      ? this.idTargets.map((t) => ({
+          id: `id:${t.href}`,
+          group: "Go to id",
+          label: t.label.replace("{id}", q),
+          href: t.href.replace("{id}", encodeURIComponent(q))
+        }))
+      : []
+
+    return [...scored, ...byId].slice(0, MAX_RESULTS)
+  },
+
+  render() {
+    this.items = this.matches(this.input.value)
+    this.selected = 0
+    this.results.replaceChildren()
+
+    if (this.items.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "px-4 py-2 text-gray-500"
+      empty.textContent = "No matching commands"
+      this.results.appendChild(empty)
+      return
+    }
+
+    this.items.forEach((item, index) => {
+      const li = document.createElement("li")
+      li.id = `command-palette-item-${index}`
+      li.dataset.index = index
+      li.setAttribute("role", "option")
+      li.className = "flex cursor-pointer items-center justify-between px-4 py-2"
+      const label = document.createElement("span")
+      label.textContent = item.label
+      const group = document.createElement("span")
+      group.className = "text-xs text-gray-400"
+      group.textContent = item.group
+      li.append(label, group)
+      this.results.appendChild(li)
+    })
+    this.highlight()
+  },
+
+  highlight() {
+    Array.from(this.results.children).forEach((li, index) => {
+      const active = index === this.selected
+      li.setAttribute("aria-selected", active ? "true" : "false")
+      li.classList.toggle("bg-indigo-50", active)
+      if (active) {
+        li.scrollIntoView({ block: "nearest" })
+        this.input.setAttribute("aria-activedescendant", li.id)
+      }
+    })
+  },
+
+  run(item) {
+    this.closeAll()
+    if (item.href) {
+      this.js().navigate(item.href)
+    } else if (item.event) {
+      this.pushEvent("palette_command", { action: item.event })
+    }
+  },
+
+  currentRow() {
+    return rows().find((row) => row.dataset.rowId === this.activeRowId)
+  },
+
+  moveRow(delta) {
+    const all = rows()
+    if (all.length === 0) return
+    const index = all.findIndex((row) => row.dataset.rowId === this.activeRowId)
+    const next = index === -1 ? 0 : Math.min(Math.max(index + delta, 0), all.length - 1)
+    const row = all[next]
+
+    this.activeRowId = row.dataset.rowId
+    this.rowStyle.textContent =
+      `[data-shortcut-row][data-row-id="${CSS.escape(this.activeRowId)}"] ` +
+      "{ background-color: rgb(238 242 255); outline: 2px solid rgb(99 102 241); outline-offset: -2px; }"
+    row.scrollIntoView({ block: "nearest" })
+  }
+}
@@ -0,0 +1,74 @@
+// Focus handling shared by the palette and server-rendered dialogs: keep Tab inside an
+// open dialog and give focus back to whatever opened it once it closes.
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])"
+].join(",")
+
+export const focusableIn = (container) =>
+  Array.from(container.querySelectorAll(FOCUSABLE)).filter((el) => el.offsetParent !== null || el === document.activeElement)
+
+// Wraps Tab/Shift+Tab around the first and last focusable element of `container`.
+// Returns true when the event was handled.
+export const trapTab = (container, e) => {
+  if (e.key !== "Tab") return false
+  const focusable = focusableIn(container)
+  if (focusable.length === 0) {
+    e.preventDefault()
+    return true
+  }
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+  const inside = container.contains(document.activeElement)
+
+  if (e.shiftKey && (document.activeElement === first || !inside)) {
+    e.preventDefault()
+    last.focus()
+    return true
+  }
+  if (!e.shiftKey && (document.activeElement === last || !inside)) {
+    e.preventDefault()
+    first.focus()
+    return true
+  }
+  return false
+}
+
+// Focuses `el` if it is still in the document (the opener may have been patched away)
+export const restoreFocus = (el) => {
+  if (el && el.isConnected && typeof el.focus === "function") el.focus()
+}
+
+// Hook for dialogs rendered by the server (role="dialog"). While mounted it traps Tab,
+// focuses `[data-autofocus]` or the first focusable element, and pushes the event in
+// `data-cancel` (to `data-cancel-target` if set) on Escape. Removing the dialog returns
+// focus to the element that had it when the dialog opened.
+export const Dialog = {
+  mounted() {
+    this.opener = document.activeElement
+
+    this.onKeydown = (e) => {
+      if (e.key === "Escape" && this.el.dataset.cancel) {
+        e.preventDefault()
+        const target = this.el.dataset.cancelTarget
+        target ? this.pushEventTo(target, this.el.dataset.cancel, {}) : this.pushEvent(this.el.dataset.cancel, {})
+        return
+      }
+      trapTab(this.el, e)
+    }
+    this.el.addEventListener("keydown", this.onKeydown)
+
+    const initial = this.el.querySelector("[data-autofocus]") || focusableIn(this.el)[0]
+    if (initial) initial.focus()
+  },
+
+  destroyed() {
+    restoreFocus(this.opener)
+  }
+}
@@ -0,0 +1,79 @@
+// Browser side of the infinite scroll mode of MessagesLive.Index. Watches the sentinels
+// above and below the table and asks the server for the neighbouring cursor page
+// ("load_previous" / "load_more") when one comes into view. The server keeps a bounded
+// window of pages in a LiveView stream and prunes rows at the far end, so the DOM stays
+// small however far the list is scrolled.
+//
+// Inserts and pruning change the height above the viewport; the first visible row is
+// kept in place across every update so the list doesn't jump.
+
+// Load a little before the sentinel is actually visible
+const MARGIN = 200
+
+export const InfiniteScroll = {
+  mounted() {
+    this.pending = false
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) this.check()
+      },
+      { root: this.el, rootMargin: `${MARGIN}px 0px` }
+    )
+    this.el.querySelectorAll("[data-sentinel]").forEach((sentinel) => this.observer.observe(sentinel))
+  },
+
+  beforeUpdate() {
+    this.anchor = this.firstVisibleRow()
+  },
+
+  updated() {
+    this.restoreAnchor()
+    this.check()
+  },
+
+  destroyed() {
+    this.observer.disconnect()
+  },
+
+  // One request at a time; once it is answered the sentinel may still be in view
+  check() {
+    if (this.pending) return
+    const edge = this.edgeInView()
+    if (!edge) return
+
+    this.pending = true
+    this.pushEvent(edge === "bottom" ? "load_more" : "load_previous", {}, () => {
+      this.pending = false
+      requestAnimationFrame(() => this.check())
+    })
+  },
+
+  edgeInView() {
+    const box = this.el.getBoundingClientRect()
+    const inView = (sentinel) => {
+      if (!sentinel) return false
+      const rect = sentinel.getBoundingClientRect()
+      return rect.bottom >= box.top - MARGIN && rect.top <= box.bottom + MARGIN
+    }
+
+    if (this.el.dataset.hasMore === "true" && inView(this.el.querySelector("[data-sentinel='bottom']"))) return "bottom"
+    if (this.el.dataset.hasPrevious === "true" && inView(this.el.querySelector("[data-sentinel='top']"))) return "top"
+    return null
+  },
+
+  firstVisibleRow() {
+    const top = this.el.getBoundingClientRect().top
+    const row = Array.from(this.el.querySelectorAll("tbody tr[id]")).find((tr) => tr.getBoundingClientRect().bottom > top)
+    return row ? { id: row.id, offset: row.getBoundingClientRect().top - top } : null
+  },
+
+  restoreAnchor() {
+    const anchor = this.anchor
+    this.anchor = null
+    const row = anchor && document.getElementById(anchor.id)
+    if (!row) return
+
+    const top = this.el.getBoundingClientRect().top
+    this.el.scrollTop += row.getBoundingClientRect().top - top - anchor.offset
+  }
+}
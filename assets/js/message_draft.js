@@ -0,0 +1,90 @@
+// Autosave for the message form of MessagesLive.Form. Every edit is written to
+// localStorage under the form's data-draft-key (tenant and route), so a reload, a closed
+// tab or a lost connection doesn't lose the message. When the form is mounted again, or
+// the socket reconnects, a stored draft that differs from the form is sent back as
+// "restore_draft"; the server renders it and offers to discard it ("clear_draft").
+//
+// Drafts hold the form as a query string of its message[...] fields, which the server
+// decodes like a regular form submit.
+
+// Wait for a pause in typing before writing
+const SAVE_DELAY_MS = 500
+// Older drafts are dropped instead of restored
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000
+
+export const MessageDraft = {
+  mounted() {
+    this.timer = null
+    this.onEdit = () => {
+      clearTimeout(this.timer)
+      this.timer = setTimeout(() => this.save(), SAVE_DELAY_MS)
+    }
+    this.el.addEventListener("input", this.onEdit)
+    this.el.addEventListener("change", this.onEdit)
+    this.handleEvent("clear_draft", () => this.clear())
+    this.restore()
+  },
+
+  // Applied templates and restored drafts change the form from the server side
+  updated() {
+    this.save()
+  },
+
+  reconnected() {
+    this.restore()
+  },
+
+  destroyed() {
+    clearTimeout(this.timer)
+    this.el.removeEventListener("input", this.onEdit)
+    this.el.removeEventListener("change", this.onEdit)
+  },
+
+  key() {
+    return this.el.dataset.draftKey
+  },
+
+  serialize() {
+    const params = new URLSearchParams()
+    for (const [name, value] of new FormData(this.el)) {
+      if (name.startsWith("message[") && typeof value === "string") params.append(name, value)
+    }
+    return params.toString()
+  },
+
+  save() {
+    if (!this.key()) return
+    const draft = { query: this.serialize(), saved_at: new Date().toISOString() }
+    try {
+      localStorage.setItem(this.key(), JSON.stringify(draft))
+    } catch (err) {
+      // Storage full or disabled: the form still works, only without autosave
+      console.warn("Could not save message draft:", err)
+    }
+  },
+
+  load() {
+    if (!this.key()) return null
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.key()))
+      if (!draft || typeof draft.query !== "string") return null
+      if (Date.now() - Date.parse(draft.saved_at) > MAX_AGE_MS) {
+        this.clear()
+        return null
+      }
+      return draft
+    } catch (_err) {
+      return null
+    }
+  },
+
+  restore() {
+    const draft = this.load()
+    if (draft && draft.query !== this.serialize()) this.pushEvent("restore_draft", draft)
+  },
+
+  clear() {
+    clearTimeout(this.timer)
+    if (this.key()) localStorage.removeItem(this.key())
+  }
+}
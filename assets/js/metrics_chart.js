@@ -0,0 +1,191 @@
+// Dashboard metric charts drawn as inline SVG from the series in data-series
+// ([{name, points: [[at_ms, value], ...]}], see UiWeb.Metrics.Series.points/3).
+//
+//   data-mode="sparkline"  small trend line inside a metric card
+//   data-mode="chart"      line chart with axes and legend; drag to zoom into a time
+//                          window, double-click to reset. The zoom survives updates
+//                          until data-zoom-key changes (another range or metric).
+//
+// The hook element uses phx-update="ignore": LiveView updates its data attributes and
+// calls updated(), the SVG inside is ours.
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const COLORS = ["#4f46e5", "#f59e0b", "#10b981", "#ef4444"]
+const MARGIN = { top: 8, right: 12, bottom: 22, left: 48 }
+
+const el = (name, attrs = {}, text) => {
+  const node = document.createElementNS(SVG_NS, name)
+  Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v))
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+const formatValue = (v) => {
+  const abs = Math.abs(v)
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(1)}M`
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(1)}K`
+  return abs >= 100 || Number.isInteger(v) ? `${Math.round(v)}` : v.toFixed(2)
+}
+
+// Seconds only matter on short spans
+const formatTime = (ms, spanMs) => {
+  const options = spanMs <= 10 * 60_000 ? { hour: "2-digit", minute: "2-digit", second: "2-digit" } : { hour: "2-digit", minute: "2-digit" }
+  return new Date(ms).toLocaleTimeString([], options)
+}
+
+// Domain of all points, or of the zoom window when set
+export function extent(series, zoom) {
+  let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity
+  series.forEach(({ points }) => points.forEach(([x, y]) => {
+    if (zoom && (x < zoom[0] || x > zoom[1])) return
+    xMin = Math.min(xMin, x); xMax = Math.max(xMax, x)
+    yMin = Math.min(yMin, y); yMax = Math.max(yMax, y)
+  }))
+  if (xMin === Infinity) return null
+  if (zoom) [xMin, xMax] = zoom
+  if (xMin === xMax) { xMin -= 1; xMax += 1 }
+  // Charts start at zero unless values are negative; flat lines get some headroom
+  yMin = Math.min(0, yMin)
+  if (yMin === yMax) yMax = yMin + 1
+  return { xMin, xMax, yMin, yMax }
+}
+
+export const MetricsChart = {
+  mounted() {
+    this.zoom = null
+    this.zoomKey = this.el.dataset.zoomKey
+    this.render()
+  },
+
+  updated() {
+    if (this.el.dataset.zoomKey !== this.zoomKey) {
+      this.zoom = null
+      this.zoomKey = this.el.dataset.zoomKey
+    }
+    this.render()
+  },
+
+  series() {
+    try { return JSON.parse(this.el.dataset.series || "[]") } catch (_) { return [] }
+  },
+
+  render() {
+    const series = this.series()
+    const width = this.el.clientWidth || 300
+    const height = this.el.clientHeight || (this.el.dataset.mode === "sparkline" ? 32 : 256)
+    this.el.replaceChildren()
+
+    if (this.el.dataset.mode === "sparkline") {
+      this.renderSparkline(series, width, height)
+    } else {
+      this.renderChart(series, width, height)
+    }
+  },
+
+  renderSparkline(series, width, height) {
+    const domain = extent(series, null)
+    const svg = el("svg", { width, height, viewBox: `0 0 ${width} ${height}`, role: "img", "aria-hidden": "true" })
+    if (domain) {
+      const sx = (x) => (x - domain.xMin) / (domain.xMax - domain.xMin) * width
+      const sy = (y) => height - 2 - (y - domain.yMin) / (domain.yMax - domain.yMin) * (height - 4)
+      series.forEach(({ points }, i) => svg.appendChild(this.line(points, sx, sy, COLORS[i % COLORS.length], 1.5)))
+    }
+    this.el.appendChild(svg)
+  },
+
+  renderChart(series, width, height) {
+    const domain = extent(series, this.zoom)
+    const unit = this.el.dataset.unit || ""
+    const svg = el("svg", { width, height, viewBox: `0 0 ${width} ${height}`, role: "img" })
+    svg.appendChild(el("title", {}, series.map((s) => s.name).join(", ") + (unit ? ` (${unit})` : "")))
+    this.el.appendChild(svg)
+
+    if (!domain) {
+      svg.appendChild(el("text", { x: width / 2, y: height / 2, "text-anchor": "middle", class: "fill-gray-400 text-sm" }, "Collecting data…"))
+      return
+    }
+
+    const plotW = width - MARGIN.left - MARGIN.right
+    const plotH = height - MARGIN.top - MARGIN.bottom
+    const sx = (x) => MARGIN.left + (x - domain.xMin) / (domain.xMax - domain.xMin) * plotW
+    const sy = (y) => MARGIN.top + plotH - (y - domain.yMin) / (domain.yMax - domain.yMin) * plotH
+    const span = domain.xMax - domain.xMin
+
+    // Horizontal grid with value labels
+    for (let i = 0; i <= 4; i++) {
+      const v = domain.yMin + (domain.yMax - domain.yMin) * i / 4
+      svg.appendChild(el("line", { x1: MARGIN.left, x2: width - MARGIN.right, y1: sy(v), y2: sy(v), stroke: "#e5e7eb" }))
+      svg.appendChild(el("text", { x: MARGIN.left - 4, y: sy(v) + 3, "text-anchor": "end", class: "fill-gray-500", "font-size": 10 }, `${formatValue(v)}${i === 4 && unit ? ` ${unit}` : ""}`))
+    }
+    // Time labels at both ends and the middle
+    ;[0, 0.5, 1].forEach((f, i) => {
+      const anchor = ["start", "middle", "end"][i]
+      svg.appendChild(el("text", { x: MARGIN.left + plotW * f, y: height - 6, "text-anchor": anchor, class: "fill-gray-500", "font-size": 10 }, formatTime(domain.xMin + span * f, span)))
+    })
+
+    const clipId = `${this.el.id}-clip`
+    const defs = el("defs")
+    const clip = el("clipPath", { id: clipId })
+    clip.appendChild(el("rect", { x: MARGIN.left, y: MARGIN.top, width: plotW, height: plotH }))
+    defs.appendChild(clip)
+    svg.appendChild(defs)
+
+    const lines = el("g", { "clip-path": `url(#${clipId})` })
+    series.forEach(({ points }, i) => lines.appendChild(this.line(points, sx, sy, COLORS[i % COLORS.length], 2)))
+    svg.appendChild(lines)
+
+    // Legend
+    series.forEach(({ name }, i) => {
+      const x = MARGIN.left + 8 + i * 80
+      svg.appendChild(el("rect", { x, y: MARGIN.top + 4, width: 10, height: 3, fill: COLORS[i % COLORS.length] }))
+      svg.appendChild(el("text", { x: x + 14, y: MARGIN.top + 9, class: "fill-gray-700", "font-size": 10 }, name))
+    })
+
+    if (this.zoom) {
+      svg.appendChild(el("text", { x: width - MARGIN.right, y: MARGIN.top + 9, "text-anchor": "end", class: "fill-indigo-600", "font-size": 10 }, "Zoomed · double-click to reset"))
+    }
+
+    this.bindZoom(svg, domain, plotW, plotH)
+  },
+
+  line(points, sx, sy, color, strokeWidth) {
+    const d = points.map(([x, y], i) => `${i === 0 ? "M" : "L"}${sx(x).toFixed(1)},${sy(y).toFixed(1)}`).join(" ")
+    return el("path", { d, fill: "none", stroke: color, "stroke-width": strokeWidth, "stroke-linejoin": "round" })
+  },
+
+  bindZoom(svg, domain, plotW, plotH) {
+    const toX = (clientX) => {
+      const rect = svg.getBoundingClientRect()
+      const px = Math.min(Math.max(clientX - rect.left - MARGIN.left, 0), plotW)
+      return { px, x: domain.xMin + px / plotW * (domain.xMax - domain.xMin) }
+    }
+    let start = null
+    let brush = null
+
+    svg.addEventListener("mousedown", (e) => {
+      start = toX(e.clientX)
+      brush = el("rect", { x: MARGIN.left + start.px, y: MARGIN.top, width: 0, height: plotH, fill: "rgba(79, 70, 229, 0.15)" })
+      svg.appendChild(brush)
+    })
+    svg.addEventListener("mousemove", (e) => {
+      if (!start) return
+      const cur = toX(e.clientX)
+      brush.setAttribute("x", MARGIN.left + Math.min(start.px, cur.px))
+      brush.setAttribute("width", Math.abs(cur.px - start.px))
+    })
+    const finish = (e) => {
+      if (!start) return
+      const end = toX(e.clientX)
+      // Ignore clicks and tiny drags
+      if (Math.abs(end.px - start.px) > 5) this.zoom = [Math.min(start.x, end.x), Math.max(start.x, end.x)]
+      start = null
+      this.render()
+    }
+    svg.addEventListener("mouseup", finish)
+    svg.addEventListener("mouseleave", finish)
+    svg.addEventListener("dblclick", () => {
+      this.zoom = null
+      this.render()
+    })
+  }
+}
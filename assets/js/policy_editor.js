@@ -0,0 +1,339 @@
+// JSON policy editor: a textarea layered over a highlighted <pre>, with a line-number
+// gutter, bracket matching and inline validation against the policy schema from
+// UiWeb.Contracts.ApiSpec.policy_schema/0 (rendered into data-schema).
+//
+// The schema subset mirrors UiWeb.Contracts.SchemaValidator; keep the two in sync.
+
+const INDENT = "  "
+const BRACKETS = { "{": "}", "[": "]" }
+const CLOSERS = { "}": "{", "]": "[" }
+
+const escapeHtml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+
+// Tokenizer used for highlighting; never fails, unknown input becomes "invalid" tokens.
+export function tokenize(src) {
+  const tokens = []
+  const re = /(\s+)|("(?:[^"\\\n]|\\.)*"?)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(true|false|null)\b|([{}\[\]:,])|(.)/gy
+  let m
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    const [text, ws, str, num, lit, punct] = m
+    const type = ws ? "ws" : str ? "string" : num ? "number" : lit ? "literal" : punct ? "punct" : "invalid"
+    tokens.push({ type, start: m.index, end: m.index + text.length, text })
+  }
+  // Strings directly followed by ':' are object keys
+  tokens.forEach((t, i) => {
+    if (t.type !== "string") return
+    const next = tokens.slice(i + 1).find((n) => n.type !== "ws")
+    if (next && next.text === ":") t.type = "key"
+  })
+  return tokens
+}
+
+const pathKey = (path) => JSON.stringify(path)
+
+// Recursive-descent JSON parser that records where every value (and its key) starts.
+// Returns { value, index } or { error: { offset, message } }.
+export function parse(src) {
+  let i = 0
+  const index = new Map()
+  const fail = (message, offset = i) => { throw { offset, message } }
+  const ws = () => { while (i < src.length && " \t\n\r".includes(src[i])) i++ }
+
+  const string = () => {
+    const start = i++
+    while (i < src.length && src[i] !== '"') {
+      if (src[i] === "\\") i++
+      else if (src[i] < " ") fail("Control character in string")
+      i++
+    }
+    if (i >= src.length) fail("Unterminated string", start)
+    i++
+    try { return JSON.parse(src.slice(start, i)) } catch (_) { fail("Invalid escape in string", start) }
+  }
+
+  const number = () => {
+    const re = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y
+    re.lastIndex = i
+    const m = re.exec(src)
+    if (!m) fail("Invalid number")
+    i = re.lastIndex
+    return Number(m[0])
+  }
+
+  const object = (path) => {
+    const obj = {}
+    i++
+    ws()
+    if (src[i] === "}") { i++; return obj }
+    for (;;) {
+      ws()
+      if (src[i] !== '"') fail(i >= src.length ? "Unexpected end of input" : "Expected property name")
+      const keyStart = i
+      const key = string()
+      ws()
+      if (src[i] !== ":") fail("Expected ':' after property name")
+      i++
+      obj[key] = value([...path, key], keyStart)
+      ws()
+      if (src[i] === ",") { i++; continue }
+      if (src[i] === "}") { i++; return obj }
+      fail(i >= src.length ? "Unexpected end of input" : "Expected ',' or '}'")
+    }
+  }
+
+  const array = (path) => {
+    const arr = []
+    i++
+    ws()
+    if (src[i] === "]") { i++; return arr }
+    for (;;) {
+      arr.push(value([...path, arr.length]))
+      ws()
+      if (src[i] === ",") { i++; continue }
+      if (src[i] === "]") { i++; return arr }
+      fail(i >= src.length ? "Unexpected end of input" : "Expected ',' or ']'")
+    }
+  }
+
+  const value = (path, keyStart) => {
+    ws()
+    index.set(pathKey(path), { start: i, keyStart })
+    const ch = src[i]
+    if (ch === "{") return object(path)
+    if (ch === "[") return array(path)
+    if (ch === '"') return string()
+    if (ch === "-" || (ch >= "0" && ch <= "9")) return number()
+    for (const [lit, val] of [["true", true], ["false", false], ["null", null]]) {
+      if (src.startsWith(lit, i)) { i += lit.length; return val }
+    }
+    fail(i >= src.length ? "Unexpected end of input" : `Unexpected character ${JSON.stringify(ch)}`)
+  }
+
+  try {
+    const result = value([])
+    ws()
+    if (i < src.length) fail("Unexpected content after JSON value")
+    return { value: result, index }
+  } catch (error) {
+    if (error instanceof Error) throw error
+    return { error }
+  }
+}
+
+const TYPE_CHECKS = {
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: Array.isArray,
+  string: (v) => typeof v === "string",
+  integer: Number.isInteger,
+  number: (v) => typeof v === "number",
+  boolean: (v) => typeof v === "boolean",
+  null: (v) => v === null
+}
+
+export function validate(value, schema, path = []) {
+  const types = schema.type === undefined ? null : [].concat(schema.type)
+  if (types && !types.some((t) => TYPE_CHECKS[t]?.(value))) {
+    return [{ path, message: `must be ${types.join(" or ")}` }]
+  }
+
+  const errors = []
+  if (schema.enum && !schema.enum.some((v) => v === value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` })
+  }
+  if (typeof value === "string" && schema.minLength !== undefined && [...value].length < schema.minLength) {
+    errors.push({ path, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` })
+  }
+  if (TYPE_CHECKS.object(value)) {
+    const props = schema.properties || {}
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: [...path, key], message: "is required" })
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value).sort()) {
+        if (!(key in props)) errors.push({ path: [...path, key], message: "is not allowed" })
+      }
+    }
+    for (const key of Object.keys(props).sort()) {
+      if (key in value) errors.push(...validate(value[key], props[key], [...path, key]))
+    }
+  }
+  if (Array.isArray(value)) {
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` })
+    }
+    if (schema.items) value.forEach((item, n) => errors.push(...validate(item, schema.items, [...path, n])))
+  }
+  return errors
+}
+
+export function formatPath(path) {
+  if (path.length === 0) return "(root)"
+  return path.reduce((acc, part) => typeof part === "number" ? `${acc}[${part}]` : acc ? `${acc}.${part}` : part, "")
+}
+
+export function lineColumn(src, offset) {
+  const before = src.slice(0, offset).split("\n")
+  return { line: before.length, column: before[before.length - 1].length + 1 }
+}
+
+// Offset to mark for a schema error: the key of the offending value, or the
+// enclosing object for missing properties.
+function locate(index, path, message) {
+  let target = message === "is required" ? path.slice(0, -1) : path
+  for (;;) {
+    const entry = index.get(pathKey(target))
+    if (entry) return message === "is required" ? entry.start : (entry.keyStart ?? entry.start)
+    if (target.length === 0) return 0
+    target = target.slice(0, -1)
+  }
+}
+
+export function analyze(src, schema) {
+  const { value, index, error } = parse(src)
+  if (error) return [{ offset: error.offset, message: error.message, ...lineColumn(src, error.offset) }]
+  if (!schema) return []
+  return validate(value, schema).map(({ path, message }) => {
+    const offset = locate(index, path, message)
+    return { offset, message: `${formatPath(path)}: ${message}`, ...lineColumn(src, offset) }
+  })
+}
+
+function matchBrackets(tokens) {
+  const pairs = new Map()
+  const stack = []
+  for (const t of tokens) {
+    if (t.type !== "punct") continue
+    if (BRACKETS[t.text]) stack.push(t)
+    else if (CLOSERS[t.text] && stack.length && stack[stack.length - 1].text === CLOSERS[t.text]) {
+      const open = stack.pop()
+      pairs.set(open.start, t.start)
+      pairs.set(t.start, open.start)
+    }
+  }
+  return pairs
+}
+
+const TOKEN_CLASSES = {
+  key: "text-indigo-700",
+  string: "text-green-700",
+  number: "text-orange-600",
+  literal: "text-purple-700",
+  punct: "text-gray-500",
+  invalid: "text-red-600"
+}
+
+export const PolicyEditor = {
+  mounted() {
+    this.schema = this.el.dataset.schema ? JSON.parse(this.el.dataset.schema) : null
+    this.gutter = document.getElementById(this.el.dataset.gutter)
+    this.highlight = document.getElementById(this.el.dataset.highlight)
+    this.issuesList = document.getElementById(this.el.dataset.issues)
+
+    this.el.addEventListener("input", () => this.refresh())
+    this.el.addEventListener("keyup", () => this.renderHighlight())
+    this.el.addEventListener("click", () => this.renderHighlight())
+    this.el.addEventListener("scroll", () => this.syncScroll())
+    this.el.addEventListener("keydown", (e) => this.handleKeydown(e))
+    this.issuesList?.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-offset]")
+      if (!item) return
+      const offset = parseInt(item.dataset.offset, 10)
+      this.el.focus()
+      this.el.setSelectionRange(offset, offset)
+      this.renderHighlight()
+    })
+    this.refresh()
+  },
+
+  updated() {
+    // Server replaced the content (load / save)
+    this.refresh()
+  },
+
+  handleKeydown(e) {
+    if (e.key !== "Tab" || e.shiftKey) return
+    e.preventDefault()
+    const { selectionStart: start, selectionEnd: end, value } = this.el
+    this.el.value = value.slice(0, start) + INDENT + value.slice(end)
+    this.el.setSelectionRange(start + INDENT.length, start + INDENT.length)
+    this.el.dispatchEvent(new Event("input", { bubbles: true }))
+  },
+
+  refresh() {
+    this.issues = analyze(this.el.value, this.schema)
+    this.renderGutter()
+    this.renderHighlight()
+    this.renderIssues()
+  },
+
+  renderGutter() {
+    if (!this.gutter) return
+    const lineCount = this.el.value.split("\n").length
+    const byLine = new Map()
+    this.issues.forEach((issue) => byLine.set(issue.line, [...(byLine.get(issue.line) || []), issue.message]))
+
+    this.gutter.replaceChildren(...Array.from({ length: lineCount }, (_, n) => {
+      const div = document.createElement("div")
+      div.textContent = n + 1
+      const messages = byLine.get(n + 1)
+      if (messages) {
+        div.className = "text-red-600 font-semibold"
+        div.title = messages.join("\n")
+      }
+      return div
+    }))
+    this.syncScroll()
+  },
+
+  renderHighlight() {
+    if (!this.highlight) return
+    const src = this.el.value
+    const tokens = tokenize(src)
+    const pairs = matchBrackets(tokens)
+    const cursor = this.el.selectionStart
+    const marked = new Set(this.issues.map((issue) => issue.offset))
+
+    // Bracket under or just before the cursor, plus its partner
+    const active = new Set()
+    for (const pos of [cursor, cursor - 1]) {
+      if (pairs.has(pos)) { active.add(pos); active.add(pairs.get(pos)); break }
+    }
+
+    let html = ""
+    for (const t of tokens) {
+      const classes = [TOKEN_CLASSES[t.type] || ""]
+      if (active.has(t.start)) classes.push("bg-yellow-200 rounded-sm")
+      if (t.type !== "ws" && [...marked].some((o) => o >= t.start && o < t.end)) {
+        classes.push("underline decoration-wavy decoration-red-500")
+      }
+      const cls = classes.join(" ").trim()
+      html += cls ? `<span class="${cls}">${escapeHtml(t.text)}</span>` : escapeHtml(t.text)
+    }
+    // Error at end of input (e.g. missing closing bracket)
+    if (marked.has(src.length)) html += '<span class="bg-red-200"> </span>'
+    // Keep a trailing newline visible so both layers have the same height
+    if (src.endsWith("\n")) html += " "
+    this.highlight.innerHTML = html
+    this.syncScroll()
+  },
+
+  renderIssues() {
+    if (!this.issuesList) return
+    this.issuesList.replaceChildren(...this.issues.map((issue) => {
+      const li = document.createElement("li")
+      li.dataset.offset = issue.offset
+      li.className = "cursor-pointer hover:underline"
+      li.textContent = `Line ${issue.line}, col ${issue.column}: ${issue.message}`
+      return li
+    }))
+    this.el.setAttribute("aria-invalid", this.issues.length > 0 ? "true" : "false")
+  },
+
+  syncScroll() {
+    if (this.highlight) {
+      this.highlight.scrollTop = this.el.scrollTop
+      this.highlight.scrollLeft = this.el.scrollLeft
+    }
+    if (this.gutter) this.gutter.scrollTop = this.el.scrollTop
+  }
+}
@@ -0,0 +1,139 @@
+// Browser side of the messages search syntax (UiWeb.Messages.Query). Suggests field
+// names, and the known values of a field, for the term under the caret; arrow keys
+// move through the suggestions and Enter or Tab accepts one. Parsing and error
+// reporting stay on the server, this only helps typing a query.
+//
+// The input carries the field map in `data-fields` and points at its listbox with
+// `aria-controls`; the listbox is `phx-update="ignore"`, so only this hook fills it.
+
+// The whitespace-delimited term that ends at the caret
+export const termAt = (value, caret) => {
+  let start = caret
+  while (start > 0 && !/\s/.test(value[start - 1])) start--
+  return { start, text: value.slice(start, caret) }
+}
+
+// Suggestions for a partial term: field names before the colon, values after it
+export const suggestionsFor = (fields, text) => {
+  const sign = text.startsWith("-") ? "-" : ""
+  const body = text.slice(sign.length).toLowerCase()
+  const colon = body.indexOf(":")
+
+  if (colon === -1) {
+    if (body === "") return []
+    return Object.keys(fields)
+      .filter((field) => field.startsWith(body))
+      .map((field) => ({ label: `${field}:`, insert: `${sign}${field}:` }))
+  }
+
+  const field = body.slice(0, colon)
+  const partial = body.slice(colon + 1)
+  return (fields[field] || [])
+    .filter((value) => value.startsWith(partial) && value !== partial)
+    .map((value) => ({ label: value, insert: `${sign}${field}:${value} ` }))
+}
+
+export const QueryInput = {
+  mounted() {
+    this.fields = JSON.parse(this.el.dataset.fields || "{}")
+    this.listbox = document.getElementById(this.el.getAttribute("aria-controls"))
+    this.items = []
+    this.active = -1
+
+    this.el.addEventListener("input", () => this.suggest())
+    this.el.addEventListener("click", () => this.suggest())
+    this.el.addEventListener("blur", () => this.close())
+    this.el.addEventListener("keydown", (e) => this.onKeydown(e))
+
+    // Keep focus in the input while an option is clicked
+    this.listbox.addEventListener("mousedown", (e) => {
+      const option = e.target.closest("[role='option']")
+      if (!option) return
+      e.preventDefault()
+      this.accept(Number(option.dataset.index))
+    })
+  },
+
+  suggest() {
+    this.term = termAt(this.el.value, this.el.selectionStart ?? this.el.value.length)
+    this.items = suggestionsFor(this.fields, this.term.text)
+    this.active = -1
+    this.render()
+  },
+
+  close() {
+    this.items = []
+    this.active = -1
+    this.render()
+  },
+
+  accept(index) {
+    const item = this.items[index]
+    if (!item) return
+
+    const value = this.el.value
+    const caret = this.term.start + this.term.text.length
+    this.el.value = value.slice(0, this.term.start) + item.insert + value.slice(caret)
+    const position = this.term.start + item.insert.length
+    this.el.setSelectionRange(position, position)
+
+    // Lets the server run the query and offers the values of a completed field name
+    this.el.dispatchEvent(new Event("input", { bubbles: true }))
+  },
+
+  onKeydown(e) {
+    if (this.items.length === 0) return
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        this.active = (this.active + 1) % this.items.length
+        this.render()
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        this.active = (this.active - 1 + this.items.length) % this.items.length
+        this.render()
+        break
+      case "Enter":
+        if (this.active < 0) return
+        e.preventDefault()
+        this.accept(this.active)
+        break
+      case "Tab":
+        e.preventDefault()
+        this.accept(Math.max(this.active, 0))
+        break
+      case "Escape":
+        e.preventDefault()
+        this.close()
+        break
+    }
+  },
+
+  render() {
+    const open = this.items.length > 0
+    const optionId = (i) => `${this.listbox.id}-option-${i}`
+
+    this.listbox.replaceChildren(
+      ...this.items.map((item, i) => {
+        const option = document.createElement("li")
+        option.id = optionId(i)
+        option.setAttribute("role", "option")
+        option.setAttribute("aria-selected", String(i === this.active))
+        option.dataset.index = String(i)
+        option.textContent = item.label
+        option.className = `cursor-pointer px-3 py-1 font-mono text-sm ${i === this.active ? "bg-indigo-100 text-indigo-900" : "text-gray-700"}`
+        return option
+      })
+    )
+    this.listbox.hidden = !open
+
+    this.el.setAttribute("aria-expanded", String(open))
+    if (open && this.active >= 0) {
+      this.el.setAttribute("aria-activedescendant", optionId(this.active))
+    } else {
+      this.el.removeAttribute("aria-activedescendant")
+    }
+  }
+}
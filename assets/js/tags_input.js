@@ -0,0 +1,36 @@
+// Browser side of UiWebWeb.Components.TagsInput. The server adds a tag on Enter or
+// comma (phx-keydown); this hook keeps those keys from submitting the enclosing form
+// or typing the comma, keeps the arrow keys from moving the caret while the suggestion
+// listbox is open (the server moves the active option), and clears the text field once
+// a tag was added. LiveView leaves the value of a focused input alone, so the server's
+// reset never reaches it.
+
+const ADD_KEYS = ["Enter", ","]
+const LISTBOX_KEYS = ["ArrowDown", "ArrowUp", "Escape"]
+
+export const TagsInput = {
+  mounted() {
+    this.count = Number(this.el.dataset.count)
+
+    this.el.addEventListener("keydown", (e) => {
+      if (e.target.dataset.role !== "tag-input") return
+      const expanded = e.target.getAttribute("aria-expanded") === "true"
+      if (ADD_KEYS.includes(e.key) || (expanded && LISTBOX_KEYS.includes(e.key))) e.preventDefault()
+    })
+
+    // Keep focus in the text field while a suggestion is clicked; its blur would
+    // hide the list before the click lands
+    this.el.addEventListener("mousedown", (e) => {
+      if (e.target.closest("[data-role='autocomplete-item']")) e.preventDefault()
+    })
+  },
+
+  updated() {
+    const count = Number(this.el.dataset.count)
+    const added = count > this.count
+    this.count = count
+
+    const input = this.el.querySelector("[data-role='tag-input']")
+    if (added && input) input.value = ""
+  }
+}
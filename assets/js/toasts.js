@@ -0,0 +1,48 @@
+// Toast notifications rendered into #toast-center (see layouts/app.html.heex)
+
+const TOAST_TTL_MS = 6000
+const TOAST_MAX = 5
+
+const LEVEL_CLASSES = {
+  info: "border-blue-200 bg-blue-50 text-blue-900",
+  success: "border-green-200 bg-green-50 text-green-900",
+  warning: "border-yellow-200 bg-yellow-50 text-yellow-900",
+  error: "border-red-200 bg-red-50 text-red-900"
+}
+
+export function showToast({ level = "info", title, message, ttl = TOAST_TTL_MS } = {}) {
+  const center = document.getElementById("toast-center")
+  if (!center || (!title && !message)) return null
+
+  const toast = document.createElement("div")
+  toast.className = `rounded-md border p-3 shadow ${LEVEL_CLASSES[level] || LEVEL_CLASSES.info}`
+  toast.dataset.testid = "toast"
+  toast.dataset.level = level
+  toast.setAttribute("role", level === "error" ? "alert" : "status")
+
+  if (title) {
+    const heading = document.createElement("p")
+    heading.className = "text-sm font-semibold"
+    heading.textContent = title
+    toast.appendChild(heading)
+  }
+  if (message) {
+    const body = document.createElement("p")
+    body.className = "text-sm"
+    body.textContent = message
+    toast.appendChild(body)
+  }
+
+  const close = document.createElement("button")
+  close.type = "button"
+  close.className = "float-right -mt-1 ml-2 text-sm opacity-60 hover:opacity-100"
+  close.setAttribute("aria-label", "Dismiss notification")
+  close.textContent = "×"
+  close.addEventListener("click", () => toast.remove())
+  toast.prepend(close)
+
+  center.appendChild(toast)
+  while (center.children.length > TOAST_MAX) center.firstElementChild.remove()
+  if (ttl > 0) setTimeout(() => toast.remove(), ttl)
+  return toast
+}
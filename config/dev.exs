@@ -163,6 +163,9 @@ config :ui_web, :oidc_enabled, System.get_env("OIDC_ENABLED") == "true"
 # SSE Bridge
 config :ui_web, :sse_enabled, true
 
+# Sample events on the events page while NATS is disabled (UiWeb.Realtime.FakePublisher)
+config :ui_web, :fake_publisher, true
+
 config :logger, :console, format: "[$level] $message\n"
 
 config :phoenix, :stacktrace_depth, 20
@@ -113,6 +113,11 @@ config :ui_web, :nats,
   url: System.get_env("NATS_URL", "nats://localhost:4222"),
   enabled: System.get_env("NATS_ENABLED", "true") == "true"
 
+# Alert rules: evaluation interval and optional webhook for fired/resolved alerts
+config :ui_web, :alerts,
+  interval_ms: String.to_integer(System.get_env("ALERT_INTERVAL_MS", "15000")),
+  webhook_url: System.get_env("ALERT_WEBHOOK_URL")
+
 # Feature Flags
 config :ui_web, :features,
   use_mock_gateway: System.get_env("USE_MOCK_GATEWAY", "false") == "true",
@@ -38,6 +38,15 @@ config :ui_web, :gateway,
 # Disable SSE Bridge for unit tests
 config :ui_web, :sse_enabled, false
 
+# Tests feed NATS events through UiWeb.Realtime.FakePublisher
+config :ui_web, :fake_publisher, true
+
+# Alert rules are evaluated on demand in tests (UiWeb.Alerts.Evaluator.evaluate_now/0)
+config :ui_web, :alerts, enabled: false
+
+# Contract runs of tests stay out of the runs stored by `mix contracts.check`
+config :ui_web, :contract_runs_dir, Path.join(System.tmp_dir!(), "ui_web_test_contract_runs")
+
 # Disable OIDC for tests
 config :ui_web, :oidc_enabled, false
 
@@ -0,0 +1,133 @@
+defmodule Mix.Tasks.Contracts.Check do
+  @moduledoc """
+  Checks the gateway's responses against the API spec and writes a JUnit XML report.
+
+  Runs `UiWeb.Contracts.ContractValidator.run_checks/1`, prints one line per endpoint
+  plus the drift since the previous stored run, and stores the run so it shows up in
+  the contract drift dashboard (`/app/:tenant_id/contracts`).
+
+  Exits with status 1 when an endpoint fails or errors; extra fields alone do not fail.
+
+  ## Usage
+
+      mix contracts.check
+      mix contracts.check --url http://gateway:8080 --junit reports/contracts.xml
+      MIX_ENV=test mix contracts.check --mock
+
+  ## Options
+    * `--url URL` - Gateway to check (default: the configured gateway)
+    * `--mock` - Start the mock gateway on port 8082 and check it (test env only)
+    * `--tenant ID` - Tenant sent as `x-tenant-id` and used in tenant paths
+    * `--junit PATH` - JUnit XML output (default: `_build/contract_checks.xml`, `-` for stdout)
+    * `--no-store` - Do not store the run
+  """
+
+  use Mix.Task
+
+  alias UiWeb.Contracts.{ContractRuns, ContractValidator, JUnit}
+
+  @shortdoc "Checks gateway responses against the API spec (JUnit XML output)"
+
+  @switches [url: :string, mock: :boolean, tenant: :string, junit: :string, store: :boolean]
+  @default_junit "_build/contract_checks.xml"
+  @mock_port 8082
+
+  @impl Mix.Task
+  def run(args) do
+    {opts, _rest} = OptionParser.parse!(args, strict: @switches)
+
+    # Only config and the HTTP client: the endpoint and gateway connections are not needed
+    Mix.Task.run("app.config")
+    {:ok, _apps} = Application.ensure_all_started(:req)
+
+    base_url = if opts[:mock], do: start_mock_gateway(), else: opts[:url]
+
+    check_opts =
+      [base_url: base_url]
+      |> put_tenant(opts[:tenant])
+      |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+
+    run = ContractValidator.run_checks(check_opts)
+
+    print_results(run)
+    print_drift(ContractRuns.previous(run), run)
+
+    if Keyword.get(opts, :store, true), do: {:ok, _run} = ContractRuns.save(run)
+
+    write_junit(run, opts[:junit] || @default_junit)
+
+    if run["summary"]["fail"] > 0 or run["summary"]["error"] > 0 do
+      exit({:shutdown, 1})
+    end
+
+    :ok
+  end
+
+  defp put_tenant(check_opts, nil), do: check_opts
+  defp put_tenant(check_opts, tenant), do: check_opts ++ [tenant_id: tenant, samples: %{"tenant_id" => tenant}]
+
+  # The mock gateway lives in test/support, so it is only compiled in the test env
+  defp start_mock_gateway do
+    unless Code.ensure_loaded?(UiWeb.Test.MockGatewayServer) do
+      Mix.raise("--mock needs the mock gateway, which is only compiled in test: MIX_ENV=test mix contracts.check --mock")
+    end
+
+    {:ok, _apps} = Application.ensure_all_started([:inets, :plug_cowboy])
+    {:ok, _pid} = UiWeb.Test.MockGatewayServer.start(port: @mock_port)
+
+    "http://localhost:#{@mock_port}"
+  end
+
+  defp print_results(run) do
+    Mix.shell().info("Contract checks against #{run["base_url"]}\n")
+
+    Enum.each(run["results"], fn result ->
+      Mix.shell().info("  #{String.pad_trailing(result["status"], 8)} #{result["endpoint"]}#{message(result)}")
+
+      if result["status"] in ["fail", "drift"] do
+        result["diffs"]
+        |> JUnit.format_diffs()
+        |> String.split("\n")
+        |> Enum.each(&Mix.shell().info("             " <> &1))
+      end
+    end)
+
+    summary = run["summary"]
+
+    Mix.shell().info(
+      "\n#{summary["pass"]} passed, #{summary["drift"]} drifted, #{summary["fail"]} failed, " <>
+        "#{summary["error"]} errors, #{summary["skipped"]} skipped"
+    )
+  end
+
+  defp message(%{"message" => message}) when is_binary(message), do: " (#{message})"
+  defp message(_result), do: ""
+
+  defp print_drift(nil, _run), do: Mix.shell().info("No previous run to compare with")
+
+  defp print_drift(previous, run) do
+    changed =
+      previous
+      |> ContractRuns.compare(run)
+      |> Enum.reject(fn {_endpoint, change} -> change["change"] == "unchanged" end)
+      |> Enum.sort()
+
+    if changed == [] do
+      Mix.shell().info("No changes since #{previous["started_at"]}")
+    else
+      Mix.shell().info("Changes since #{previous["started_at"]}:")
+
+      Enum.each(changed, fn {endpoint, change} ->
+        Mix.shell().info("  #{change["change"]} #{endpoint} (was #{change["previous_status"] || "-"})")
+      end)
+    end
+  end
+
+  defp write_junit(run, "-"), do: IO.write(JUnit.render(run))
+
+  defp write_junit(run, path) do
+    File.mkdir_p!(Path.dirname(path))
+    File.write!(path, JUnit.render(run))
+    Mix.shell().info("JUnit report written to #{path}")
+  end
+end
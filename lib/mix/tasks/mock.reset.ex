@@ -5,6 +5,7 @@ defmodule Mix.Tasks.Mock.Reset do
   Useful for:
   - Clearing state between test runs
   - Resetting mock data in development
+  - Dropping a scenario loaded by E2E specs (back to the default data)
   - CI/CD cleanup
   
   ## Usage
@@ -14,22 +15,35 @@ defmodule Mix.Tasks.Mock.Reset do
   
   use Mix.Task
 
-  @shortdoc "Resets mock gateway state (ETS tables, deleted IDs, etc.)"
+  @shortdoc "Resets mock gateway state (ETS tables, deleted IDs, event log, policy revisions, scenario, etc.)"
 
   @impl Mix.Task
   def run(_args) do
     Mix.Task.run("app.start")
     
-    table = :mock_gateway_deleted_ids
+    # :mock_gateway_scenario holds the loaded scenario (UiWeb.Test.MockScenarios)
+    tables = [
+      :mock_gateway_deleted_ids,
+      :mock_gateway_message_events,
+      :mock_gateway_policy_revisions,
+      :mock_gateway_policy_audit,
+      :mock_gateway_dry_run_cases,
+      :mock_gateway_alert_rules,
+      :mock_gateway_saved_views,
+      :mock_gateway_message_templates,
+      :mock_gateway_scenario
+    ]
     
-    case :ets.whereis(table) do
-      :undefined ->
-        Mix.shell().info("Mock gateway ETS table not found (already clean)")
-      
-      _ ->
-        :ets.delete_all_objects(table)
-        Mix.shell().info("✓ Mock gateway state reset (ETS table cleared)")
-    end
+    Enum.each(tables, fn table ->
+      case :ets.whereis(table) do
+        :undefined ->
+          Mix.shell().info("Mock gateway ETS table #{table} not found (already clean)")
+        
+        _ ->
+          :ets.delete_all_objects(table)
+          Mix.shell().info("✓ Mock gateway state reset (#{table} cleared)")
+      end
+    end)
     
     :ok
   end
@@ -0,0 +1,107 @@
+defmodule UiWeb.Alerts.Engine do
+  @moduledoc """
+  Alert state machine behind `UiWeb.Alerts.Evaluator`, free of processes and I/O.
+
+  Every enabled rule is either ok (no state), pending (its condition holds, but not yet
+  for `"for_seconds"`) or firing. `step/4` advances all rules by one observation and
+  returns the events to deliver: `"firing"` when a pending rule has held long enough,
+  `"resolved"` when a firing rule's condition clears or the rule is disabled or deleted.
+  An observation without the data a rule needs leaves that rule as it was, so a failed
+  poll neither fires nor resolves anything.
+  """
+
+  alias UiWeb.Alerts.Rule
+
+  @type key :: {String.t(), String.t()}
+  @type state :: %{status: :pending | :firing, rule: Rule.t(), since_ms: integer(), fired_at_ms: integer() | nil, value: term()}
+  @type event :: %{String.t() => term()}
+
+  @doc """
+  Evaluates `rules` against `observations` (tenant id => `t:UiWeb.Alerts.Rule.observation/0`) at `now_ms`.
+
+  Returns the new states and the events, in rule order.
+
+  ## Examples
+
+      iex> rule = %{"id" => "r1", "tenant_id" => "t1", "name" => "Errors", "kind" => "metric_threshold", "metric" => "error_rate", "operator" => ">", "threshold" => 5.0, "for_seconds" => 0, "severity" => "error", "enabled" => true}
+      iex> {states, [event]} = UiWeb.Alerts.Engine.step(%{}, [rule], %{"t1" => %{metrics: %{"error_rate" => 0.2}}}, 1_000)
+      iex> {event["status"], event["value"], states[{"t1", "r1"}].status}
+      {"firing", 20.0, :firing}
+  """
+  @spec step(%{key() => state()}, [Rule.t()], %{String.t() => Rule.observation()}, integer()) ::
+          {%{key() => state()}, [event()]}
+  def step(states, rules, observations, now_ms) do
+    rules = Enum.filter(rules, &(&1["enabled"] != false))
+
+    {states, events} =
+      Enum.reduce(rules, {states, []}, fn rule, {states, events} ->
+        key = key(rule)
+        observation = Map.get(observations, rule["tenant_id"], %{})
+
+        case advance(Map.get(states, key), rule, Rule.evaluate(rule, observation), now_ms) do
+          {nil, event} -> {Map.delete(states, key), prepend(events, event)}
+          {state, event} -> {Map.put(states, key, state), prepend(events, event)}
+        end
+      end)
+
+    # Firing alerts of rules that were disabled or deleted resolve; pending ones just go away
+    active_keys = MapSet.new(rules, &key/1)
+
+    {removed, states} = Map.split_with(states, fn {key, _state} -> not MapSet.member?(active_keys, key) end)
+
+    resolved =
+      removed
+      |> Enum.filter(fn {_key, state} -> state.status == :firing end)
+      |> Enum.sort_by(fn {key, _state} -> key end)
+      |> Enum.map(fn {_key, state} -> event("resolved", state.rule, state.value, now_ms) end)
+
+    {states, Enum.reverse(events) ++ resolved}
+  end
+
+  @doc """
+  Key of a rule in the states map.
+  """
+  @spec key(Rule.t()) :: key()
+  def key(rule), do: {rule["tenant_id"], rule["id"]}
+
+  defp advance(state, _rule, :unknown, _now_ms), do: {state, nil}
+
+  defp advance(nil, _rule, :ok, _now_ms), do: {nil, nil}
+  defp advance(%{status: :pending}, _rule, :ok, _now_ms), do: {nil, nil}
+  defp advance(%{status: :firing} = state, rule, :ok, now_ms), do: {nil, event("resolved", rule, state.value, now_ms)}
+
+  defp advance(nil, rule, {:firing, value}, now_ms) do
+    advance(%{status: :pending, rule: rule, since_ms: now_ms, fired_at_ms: nil, value: value}, rule, {:firing, value}, now_ms)
+  end
+
+  defp advance(%{status: :pending} = state, rule, {:firing, value}, now_ms) do
+    state = %{state | rule: rule, value: value}
+
+    if now_ms - state.since_ms >= (rule["for_seconds"] || 0) * 1000 do
+      {%{state | status: :firing, fired_at_ms: now_ms}, event("firing", rule, value, now_ms)}
+    else
+      {state, nil}
+    end
+  end
+
+  defp advance(%{status: :firing} = state, rule, {:firing, value}, _now_ms) do
+    {%{state | rule: rule, value: value}, nil}
+  end
+
+  defp prepend(events, nil), do: events
+  defp prepend(events, event), do: [event | events]
+
+  defp event(status, rule, value, now_ms) do
+    %{
+      "id" => "#{rule["id"]}-#{status}-#{now_ms}",
+      "status" => status,
+      "tenant_id" => rule["tenant_id"],
+      "rule_id" => rule["id"],
+      "rule_name" => rule["name"],
+      "severity" => rule["severity"] || "warning",
+      "condition" => Rule.describe(rule),
+      "value" => value,
+      "at" => now_ms |> DateTime.from_unix!(:millisecond) |> DateTime.to_iso8601()
+    }
+  end
+end
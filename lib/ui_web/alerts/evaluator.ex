@@ -0,0 +1,229 @@
+defmodule UiWeb.Alerts.Evaluator do
+  @moduledoc """
+  Evaluates the alert rules of all tenants on an interval and delivers their events.
+
+  Every `interval_ms` (`config :ui_web, :alerts`, default 15s) the rules are loaded with
+  `UiWeb.Services.AlertsClient`, and for each tenant with rules the gateway sources they
+  need (`/_health`, `/metrics`, circuit breakers) are fetched with that tenant's header.
+  `/metrics` is fetched for every tenant with rules and recorded in
+  `UiWeb.Metrics.History`, so dashboard charts fill while no dashboard is open.
+  Fetching runs in a task, so reading the active alerts or the history never waits on
+  the gateway. `UiWeb.Alerts.Engine` then decides what fires or resolves, and each event is
+
+    * sent to the tenant's `notifications:<tenant_id>` channel (level: the rule's severity,
+      `"success"` when resolved),
+    * broadcast on `topic/1` as `{:alert, event}` for the alert LiveViews,
+    * POSTed to the webhook, when one is configured (see `UiWeb.Alerts.Webhook`).
+
+  Alert state and history live in memory: after a restart, rules that still hold fire again
+  once their duration has passed. Set `enabled: false` to stop the interval (tests call
+  `evaluate_now/0` instead).
+  """
+  use GenServer
+  require Logger
+
+  alias UiWeb.Alerts.{Engine, Rule, Webhook}
+  alias UiWeb.Metrics.{History, Series}
+  alias UiWeb.Services.{AlertsClient, GatewayClient}
+  alias UiWebWeb.NotificationsChannel
+
+  @default_interval_ms 15_000
+  @history_limit 500
+
+  def start_link(_opts \\ []) do
+    GenServer.start_link(__MODULE__, config(), name: __MODULE__)
+  end
+
+  @doc """
+  PubSub topic of the alert events of `tenant_id`.
+  """
+  @spec topic(String.t()) :: String.t()
+  def topic(tenant_id), do: "alerts:" <> tenant_id
+
+  @doc """
+  Runs an evaluation right away and returns its events.
+  """
+  @spec evaluate_now() :: [Engine.event()]
+  def evaluate_now do
+    GenServer.call(__MODULE__, :evaluate, 60_000)
+  end
+
+  @doc """
+  Firing alerts of `tenant_id`, oldest first. Each has the fields of a `"firing"` event
+  with `"value"` updated to the latest observation.
+  """
+  @spec active(String.t()) :: [Engine.event()]
+  def active(tenant_id), do: GenServer.call(__MODULE__, {:active, tenant_id})
+
+  @doc """
+  Fired and resolved events of `tenant_id`, newest first (at most #{@history_limit} are kept).
+  """
+  @spec history(String.t(), pos_integer()) :: [Engine.event()]
+  def history(tenant_id, limit \\ 100), do: GenServer.call(__MODULE__, {:history, tenant_id, limit})
+
+  @impl true
+  def init(config) do
+    if config[:enabled], do: schedule(config[:interval_ms])
+
+    {:ok, %{config: config, states: %{}, history: %{}, task: nil, waiters: []}}
+  end
+
+  @impl true
+  def handle_call(:evaluate, from, state) do
+    {:noreply, state |> start_evaluation() |> Map.update!(:waiters, &[from | &1])}
+  end
+
+  def handle_call({:active, tenant_id}, _from, state) do
+    active =
+      state.states
+      |> Enum.filter(fn {{tenant, _rule_id}, alert} -> tenant == tenant_id and alert.status == :firing end)
+      |> Enum.sort_by(fn {_key, alert} -> alert.fired_at_ms end)
+      |> Enum.map(fn {_key, alert} -> active_alert(alert) end)
+
+    {:reply, active, state}
+  end
+
+  def handle_call({:history, tenant_id, limit}, _from, state) do
+    {:reply, state.history |> Map.get(tenant_id, []) |> Enum.take(limit), state}
+  end
+
+  @impl true
+  def handle_info(:evaluate, state) do
+    schedule(state.config[:interval_ms])
+    {:noreply, start_evaluation(state)}
+  end
+
+  def handle_info({ref, result}, %{task: %Task{ref: ref}} = state) do
+    Process.demonitor(ref, [:flush])
+
+    {events, state} =
+      case result do
+        {:ok, rules, observations} ->
+          {states, events} = Engine.step(state.states, rules, observations, System.system_time(:millisecond))
+          Enum.each(events, &deliver/1)
+          {events, %{state | states: states, history: record(state.history, events)}}
+
+        {:error, reason} ->
+          Logger.warning("Alert rules unavailable, skipping evaluation: #{inspect(reason)}")
+          {[], state}
+      end
+
+    {:noreply, finish_evaluation(state, events)}
+  end
+
+  def handle_info({:DOWN, ref, :process, _pid, reason}, %{task: %Task{ref: ref}} = state) do
+    Logger.error("Alert evaluation crashed: #{inspect(reason)}")
+    {:noreply, finish_evaluation(state, [])}
+  end
+
+  def handle_info(_message, state), do: {:noreply, state}
+
+  defp finish_evaluation(state, events) do
+    Enum.each(state.waiters, &GenServer.reply(&1, events))
+    %{state | task: nil, waiters: []}
+  end
+
+  # An evaluation still running when the next one is due (slow gateway) is not doubled
+  defp start_evaluation(%{task: %Task{}} = state), do: state
+
+  defp start_evaluation(state) do
+    %{state | task: Task.Supervisor.async_nolink(UiWeb.Alerts.TaskSupervisor, &collect/0)}
+  end
+
+  # Runs in the task: rules of all tenants and one observation per tenant with enabled rules
+  defp collect do
+    with {:ok, rules} <- AlertsClient.list_rules() do
+      observations =
+        rules
+        |> Enum.filter(&(&1["enabled"] != false))
+        |> Enum.group_by(& &1["tenant_id"])
+        |> Map.new(fn {tenant_id, tenant_rules} ->
+          sources = [:metrics | tenant_rules |> Enum.map(&Rule.source/1) |> Enum.reject(&is_nil/1)] |> Enum.uniq()
+          {tenant_id, Map.new(sources, &{&1, observe(&1, tenant_id)})}
+        end)
+
+      {:ok, rules, observations}
+    end
+  end
+
+  # An unreachable gateway is itself an unhealthy gateway; its components are then unknown
+  defp observe(:health, tenant_id) do
+    case GatewayClient.get_json("/_health", request_opts(tenant_id)) do
+      {:ok, health} -> health
+      {:error, _reason} -> %{"status" => "unhealthy"}
+    end
+  end
+
+  defp observe(:metrics, tenant_id) do
+    case GatewayClient.get_json("/metrics", request_opts(tenant_id)) do
+      {:ok, metrics} ->
+        History.record(tenant_id, metrics)
+        Series.normalize(metrics)
+
+      {:error, _reason} ->
+        nil
+    end
+  end
+
+  defp observe(:circuits, tenant_id) do
+    case GatewayClient.get_json("/api/v1/extensions/circuit-breakers", request_opts(tenant_id)) do
+      {:ok, circuits} when is_map(circuits) -> circuits
+      _ -> nil
+    end
+  end
+
+  defp request_opts(tenant_id), do: [client: :alerts, operation: :get, tenant_id: tenant_id]
+
+  defp deliver(event) do
+    tenant_id = event["tenant_id"]
+
+    NotificationsChannel.notify(tenant_id, notification(event))
+    Phoenix.PubSub.broadcast(UiWeb.PubSub, topic(tenant_id), {:alert, event})
+
+    if url = Webhook.url() do
+      Task.Supervisor.start_child(UiWeb.Alerts.TaskSupervisor, fn -> Webhook.deliver(url, event) end)
+    end
+  end
+
+  defp notification(%{"status" => "firing"} = event) do
+    %{
+      title: "Alert: #{event["rule_name"]}",
+      message: "#{event["condition"]} (#{Rule.format_value(event["value"])})",
+      level: event["severity"],
+      alert: event
+    }
+  end
+
+  defp notification(event) do
+    %{title: "Resolved: #{event["rule_name"]}", message: event["condition"], level: "success", alert: event}
+  end
+
+  defp record(history, events) do
+    Enum.reduce(events, history, fn event, history ->
+      Map.update(history, event["tenant_id"], [event], &Enum.take([event | &1], @history_limit))
+    end)
+  end
+
+  defp active_alert(alert) do
+    %{
+      "tenant_id" => alert.rule["tenant_id"],
+      "rule_id" => alert.rule["id"],
+      "rule_name" => alert.rule["name"],
+      "severity" => alert.rule["severity"] || "warning",
+      "condition" => Rule.describe(alert.rule),
+      "value" => alert.value,
+      "at" => alert.fired_at_ms |> DateTime.from_unix!(:millisecond) |> DateTime.to_iso8601()
+    }
+  end
+
+  defp schedule(interval_ms), do: Process.send_after(self(), :evaluate, interval_ms)
+
+  defp config do
+    config = Application.get_env(:ui_web, :alerts, [])
+
+    [
+      enabled: Keyword.get(config, :enabled, true),
+      interval_ms: Keyword.get(config, :interval_ms, @default_interval_ms)
+    ]
+  end
+end
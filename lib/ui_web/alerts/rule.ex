@@ -0,0 +1,306 @@
+defmodule UiWeb.Alerts.Rule do
+  @moduledoc """
+  Alert rules: validation and evaluation against one observation of the gateway.
+
+  A rule is a string-keyed map as stored by the gateway (see `UiWeb.Services.AlertsClient`):
+
+    * `"id"`, `"name"`, `"tenant_id"`, `"enabled"`
+    * `"severity"` - `"warning"` or `"error"` (the notification level when it fires)
+    * `"kind"` with its condition fields:
+      * `"component_status"` - `"component"` (`gateway`, `router`, `worker_caf` or `nats`)
+        is `"status"` (`"degraded"` also matches unhealthy, `"unhealthy"` only unhealthy)
+      * `"metric_threshold"` - `"metric"` compared with `"operator"` (`">"` or `"<"`) to `"threshold"`,
+        in the unit shown by `metrics/0` (error rate in percent)
+      * `"circuit_open"` - the circuit breaker of `"extension_id"` (`"*"` for any extension) is open
+    * `"for_seconds"` - how long the condition must hold before the rule fires
+
+  An observation is `%{health: map | nil, metrics: map | nil, circuits: map | nil}`: the
+  `/_health`, normalized `/metrics` (`UiWeb.Metrics.Series.normalize/1`) and circuit breaker
+  responses, `nil` when that source was not fetched or the request failed.
+  """
+
+  @kinds ~w(component_status metric_threshold circuit_open)
+  @components ~w(gateway router worker_caf nats)
+  @statuses ~w(degraded unhealthy)
+  @operators ~w(> <)
+  @severities ~w(warning error)
+
+  # metric => {label, unit, factor from the normalized sample to the unit}
+  @metrics %{
+    "throughput" => {"Throughput", "req/s", 1},
+    "latency_p50" => {"p50 latency", "ms", 1},
+    "latency_p95" => {"p95 latency", "ms", 1},
+    "error_rate" => {"Error rate", "%", 100}
+  }
+
+  @type t :: %{optional(String.t()) => term()}
+  @type observation :: %{health: map() | nil, metrics: map() | nil, circuits: map() | nil}
+
+  def kinds, do: @kinds
+  def components, do: @components
+  def statuses, do: @statuses
+  def operators, do: @operators
+  def severities, do: @severities
+
+  @doc """
+  Metrics a threshold rule can watch, as `{metric, label, unit}`.
+  """
+  @spec metrics() :: [{String.t(), String.t(), String.t()}]
+  def metrics do
+    @metrics
+    |> Enum.map(fn {metric, {label, unit, _factor}} -> {metric, label, unit} end)
+    |> Enum.sort()
+  end
+
+  @doc """
+  Builds a rule from form params, with numbers parsed and only the fields of its kind kept.
+
+  ## Examples
+
+      iex> UiWeb.Alerts.Rule.validate(%{"name" => "Slow", "kind" => "metric_threshold", "metric" => "latency_p95", "operator" => ">", "threshold" => "500", "for_seconds" => "300"})
+      {:ok, %{"name" => "Slow", "kind" => "metric_threshold", "metric" => "latency_p95", "operator" => ">", "threshold" => 500.0, "for_seconds" => 300, "enabled" => true, "severity" => "warning"}}
+
+      iex> UiWeb.Alerts.Rule.validate(%{"name" => "", "kind" => "circuit_open"})
+      {:error, "Name is required"}
+  """
+  @spec validate(map()) :: {:ok, t()} | {:error, String.t()}
+  def validate(params) when is_map(params) do
+    name = params |> Map.get("name", "") |> to_string() |> String.trim()
+    kind = params["kind"]
+
+    with :ok <- check(name != "", "Name is required"),
+         :ok <- check(kind in @kinds, "Unknown rule kind"),
+         {:ok, severity} <- one_of(params["severity"] || "warning", @severities, "Severity"),
+         {:ok, for_seconds} <- parse_number(params["for_seconds"] || 0, "Duration", :integer),
+         :ok <- check(for_seconds >= 0, "Duration must not be negative"),
+         {:ok, condition} <- condition(kind, params) do
+      rule =
+        %{
+          "name" => name,
+          "kind" => kind,
+          "severity" => severity,
+          "for_seconds" => for_seconds,
+          "enabled" => enabled?(params["enabled"])
+        }
+        |> Map.merge(condition)
+
+      {:ok, rule}
+    end
+  end
+
+  @doc """
+  Evaluates the condition of `rule` against `observation`.
+
+  Returns `{:firing, value}` with the observed value, `:ok`, or `:unknown` when the
+  observation lacks the data the rule needs (the rule then keeps its current state).
+
+  ## Examples
+
+      iex> rule = %{"kind" => "metric_threshold", "metric" => "error_rate", "operator" => ">", "threshold" => 5}
+      iex> UiWeb.Alerts.Rule.evaluate(rule, %{metrics: %{"error_rate" => 0.08}})
+      {:firing, 8.0}
+      iex> UiWeb.Alerts.Rule.evaluate(rule, %{metrics: nil})
+      :unknown
+  """
+  @spec evaluate(t(), observation()) :: {:firing, term()} | :ok | :unknown
+  def evaluate(%{"kind" => "component_status"} = rule, observation) do
+    case component_status(rule["component"], observation[:health]) do
+      nil -> :unknown
+      status -> if status_matches?(rule["status"], status), do: {:firing, status}, else: :ok
+    end
+  end
+
+  def evaluate(%{"kind" => "metric_threshold", "metric" => metric} = rule, observation) do
+    with %{} = sample <- observation[:metrics],
+         value when is_number(value) <- sample[metric] do
+      {_label, _unit, factor} = Map.get(@metrics, metric, {metric, "", 1})
+      value = value * factor
+
+      if compare(rule["operator"], value, rule["threshold"]), do: {:firing, value}, else: :ok
+    else
+      _ -> :unknown
+    end
+  end
+
+  def evaluate(%{"kind" => "circuit_open"} = rule, observation) do
+    case observation[:circuits] do
+      %{} = circuits ->
+        case open_circuits(circuits, rule["extension_id"]) do
+          [] -> :ok
+          open -> {:firing, Enum.join(open, ", ")}
+        end
+
+      _ ->
+        :unknown
+    end
+  end
+
+  def evaluate(_rule, _observation), do: :unknown
+
+  @doc """
+  Observation source the rule needs: `:health`, `:metrics` or `:circuits`.
+  """
+  @spec source(t()) :: :health | :metrics | :circuits | nil
+  def source(%{"kind" => "component_status"}), do: :health
+  def source(%{"kind" => "metric_threshold"}), do: :metrics
+  def source(%{"kind" => "circuit_open"}), do: :circuits
+  def source(_rule), do: nil
+
+  @doc """
+  Human readable condition, e.g. `"p95 latency > 500 ms for 5m"`.
+
+  ## Examples
+
+      iex> UiWeb.Alerts.Rule.describe(%{"kind" => "component_status", "component" => "router", "status" => "unhealthy", "for_seconds" => 60})
+      "router unhealthy for 1m"
+
+      iex> UiWeb.Alerts.Rule.describe(%{"kind" => "circuit_open", "extension_id" => "*", "for_seconds" => 0})
+      "any extension circuit open"
+  """
+  @spec describe(t()) :: String.t()
+  def describe(rule) do
+    condition =
+      case rule["kind"] do
+        "component_status" ->
+          "#{rule["component"]} #{rule["status"]}"
+
+        "metric_threshold" ->
+          {label, unit, _factor} = Map.get(@metrics, rule["metric"], {rule["metric"], "", 1})
+          String.trim("#{label} #{rule["operator"]} #{format_number(rule["threshold"])} #{unit}")
+
+        "circuit_open" ->
+          extension = if rule["extension_id"] in [nil, "", "*"], do: "any extension", else: rule["extension_id"]
+          "#{extension} circuit open"
+
+        kind ->
+          to_string(kind)
+      end
+
+    case rule["for_seconds"] do
+      seconds when is_integer(seconds) and seconds > 0 -> "#{condition} for #{format_duration(seconds)}"
+      _ -> condition
+    end
+  end
+
+  @doc """
+  Formats a duration in seconds the way rules are written: `"90s"`, `"5m"`, `"2h"`.
+
+  ## Examples
+
+      iex> UiWeb.Alerts.Rule.format_duration(300)
+      "5m"
+      iex> UiWeb.Alerts.Rule.format_duration(90)
+      "90s"
+  """
+  @spec format_duration(non_neg_integer()) :: String.t()
+  def format_duration(seconds) when rem(seconds, 3600) == 0 and seconds > 0, do: "#{div(seconds, 3600)}h"
+  def format_duration(seconds) when rem(seconds, 60) == 0 and seconds > 0, do: "#{div(seconds, 60)}m"
+  def format_duration(seconds), do: "#{seconds}s"
+
+  @doc """
+  Formats an observed value for display.
+
+  ## Examples
+
+      iex> UiWeb.Alerts.Rule.format_value(512.3456)
+      "512.35"
+      iex> UiWeb.Alerts.Rule.format_value("unhealthy")
+      "unhealthy"
+  """
+  @spec format_value(term()) :: String.t()
+  def format_value(value) when is_float(value), do: :erlang.float_to_binary(value, [:compact, decimals: 2])
+  def format_value(nil), do: "-"
+  def format_value(value), do: to_string(value)
+
+  defp condition("component_status", params) do
+    with {:ok, component} <- one_of(params["component"], @components, "Component"),
+         {:ok, status} <- one_of(params["status"] || "unhealthy", @statuses, "Status") do
+      {:ok, %{"component" => component, "status" => status}}
+    end
+  end
+
+  defp condition("metric_threshold", params) do
+    with {:ok, metric} <- one_of(params["metric"], Map.keys(@metrics), "Metric"),
+         {:ok, operator} <- one_of(params["operator"] || ">", @operators, "Operator"),
+         {:ok, threshold} <- parse_number(params["threshold"], "Threshold", :float) do
+      {:ok, %{"metric" => metric, "operator" => operator, "threshold" => threshold}}
+    end
+  end
+
+  defp condition("circuit_open", params) do
+    extension_id =
+      case params["extension_id"] |> to_string() |> String.trim() do
+        "" -> "*"
+        id -> id
+      end
+
+    {:ok, %{"extension_id" => extension_id}}
+  end
+
+  # The gateway reports "ok" for itself and "healthy" for its components; nats only has `connected`
+  defp component_status(_component, nil), do: nil
+
+  defp component_status("gateway", health), do: normalize_status(health["status"])
+
+  defp component_status("nats", health) do
+    case health["nats"] do
+      %{"connected" => true} -> "healthy"
+      %{"connected" => false} -> "unhealthy"
+      _ -> nil
+    end
+  end
+
+  defp component_status(component, health) do
+    case health[component] do
+      %{"status" => status} -> normalize_status(status)
+      _ -> nil
+    end
+  end
+
+  defp normalize_status(status) when status in ["ok", "healthy"], do: "healthy"
+  defp normalize_status(status) when status in ["degraded", "unhealthy"], do: status
+  defp normalize_status(nil), do: nil
+  defp normalize_status(_status), do: "unhealthy"
+
+  defp status_matches?("degraded", status), do: status in ["degraded", "unhealthy"]
+  defp status_matches?(expected, status), do: status == expected
+
+  defp compare(">", value, threshold) when is_number(threshold), do: value > threshold
+  defp compare("<", value, threshold) when is_number(threshold), do: value < threshold
+  defp compare(_operator, _value, _threshold), do: false
+
+  defp open_circuits(circuits, extension_id) do
+    circuits
+    |> Enum.filter(fn {id, circuit} ->
+      extension_id in [nil, "", "*", id] and is_map(circuit) and circuit["state"] == "open"
+    end)
+    |> Enum.map(fn {id, _circuit} -> id end)
+    |> Enum.sort()
+  end
+
+  defp check(true, _message), do: :ok
+  defp check(false, message), do: {:error, message}
+
+  defp one_of(value, allowed, label) do
+    if value in allowed, do: {:ok, value}, else: {:error, "#{label} must be one of: #{Enum.join(allowed, ", ")}"}
+  end
+
+  defp parse_number(value, _label, :integer) when is_integer(value), do: {:ok, value}
+  defp parse_number(value, _label, :float) when is_number(value), do: {:ok, value / 1}
+
+  defp parse_number(value, label, type) when is_binary(value) do
+    parsed = if type == :integer, do: Integer.parse(String.trim(value)), else: Float.parse(String.trim(value))
+
+    case parsed do
+      {number, ""} -> {:ok, number}
+      _ -> {:error, "#{label} must be a number"}
+    end
+  end
+
+  defp parse_number(_value, label, _type), do: {:error, "#{label} must be a number"}
+
+  defp enabled?(value), do: value not in [false, "false"]
+
+  defp format_number(value) when is_float(value) and value == trunc(value), do: Integer.to_string(trunc(value))
+  defp format_number(value), do: to_string(value)
+end
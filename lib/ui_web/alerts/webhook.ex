@@ -0,0 +1,45 @@
+defmodule UiWeb.Alerts.Webhook do
+  @moduledoc """
+  Delivers alert events to the webhook configured as `config :ui_web, :alerts, webhook_url: ...`
+  (`ALERT_WEBHOOK_URL` at runtime).
+
+  Each event is POSTed as JSON (see `UiWeb.Alerts.Engine` for its fields). Delivery is
+  best effort: a failed request is logged and not retried, the alert is still in the
+  history and was already sent to the notification channel.
+  """
+  require Logger
+
+  @timeout_ms 5_000
+
+  @doc """
+  Configured webhook URL, or `nil` when webhooks are off.
+  """
+  @spec url() :: String.t() | nil
+  def url do
+    case Application.get_env(:ui_web, :alerts, [])[:webhook_url] do
+      url when is_binary(url) and url != "" -> url
+      _ -> nil
+    end
+  end
+
+  @doc """
+  POSTs `event` to `url`. `req_options` are passed on to `Req.post/2`.
+  """
+  @spec deliver(String.t(), map(), keyword()) :: :ok | {:error, term()}
+  def deliver(url, event, req_options \\ []) do
+    options = Keyword.merge([json: event, receive_timeout: @timeout_ms, retry: false], req_options)
+
+    case Req.post(url, options) do
+      {:ok, %Req.Response{status: status}} when status in 200..299 ->
+        :ok
+
+      {:ok, %Req.Response{status: status}} ->
+        Logger.warning("Alert webhook responded with HTTP #{status} for #{event["id"]}")
+        {:error, {:http_error, status}}
+
+      {:error, reason} ->
+        Logger.warning("Alert webhook failed for #{event["id"]}: #{inspect(reason)}")
+        {:error, reason}
+    end
+  end
+end
@@ -10,21 +10,32 @@ defmodule UiWeb.Application do
     # Attach telemetry logger (for dev/test/prod)
     UiWeb.TelemetryLogger.attach()
 
-    # Initialize ETS cache table for URL preview component
-    :ets.new(:url_preview_cache, [:set, :public, :named_table])
-
     children = [
       UiWebWeb.Telemetry,
       {DNSCluster, query: Application.get_env(:ui_web, :dns_cluster_query) || :ignore},
       {Phoenix.PubSub, name: UiWeb.PubSub},
       # Cache для health checks (должен быть перед GatewayClient)
       {Cachex, name: :gateway_cache},
+      # URL previews and per-host fetch limits
+      UiWeb.Services.URLPreviewCache,
+      # Message export selections behind signed download links (MessageExportController)
+      Supervisor.child_spec({Cachex, name: :message_exports}, id: :message_exports),
       # Gateway Client with health monitoring
       UiWeb.Services.GatewayClient,
       # NATS Connection (conditional)
       nats_child_spec(),
-      # Realtime bridge: subscribes to Gateway SSE and broadcasts into Channels
-      UiWeb.SSEBridge,
+      # Realtime bridges: one per tenant, subscribing to Gateway SSE and broadcasting
+      # into Channels; started on demand by UiWeb.SSEBridge.ensure_started/1
+      {Registry, keys: :unique, name: UiWeb.SSEBridge.Registry},
+      {DynamicSupervisor, name: UiWeb.SSEBridge.Supervisor, strategy: :one_for_one},
+      # Bulk message jobs (retry, re-tag, status changes), one process per job
+      {Registry, keys: :unique, name: UiWeb.Messages.BulkJob.Registry},
+      {DynamicSupervisor, name: UiWeb.Messages.BulkJob.Supervisor, strategy: :one_for_one},
+      # Rolling per-tenant metrics history for the dashboard charts
+      UiWeb.Metrics.History,
+      # Alert rule evaluation; its task supervisor runs the gateway polls and webhook deliveries
+      {Task.Supervisor, name: UiWeb.Alerts.TaskSupervisor},
+      UiWeb.Alerts.Evaluator,
       # Real-time event subscriber
       {UiWeb.Realtime.EventSubscriber, []},
       # Start to serve requests, typically the last entry
@@ -1,9 +1,48 @@
 defmodule UiWeb.Auth.Guardian do
+  @moduledoc """
+  Guardian implementation for UI sessions.
+
+  Tokens carry the tenants a user may access in the `"tenants"` claim. The claim
+  is built from the resource at sign-in (`:tenants`, falling back to `:tenant_id`)
+  and comes back as `:tenants` on the resource loaded from the token. Roles work the
+  same way through the `"roles"` claim (`:roles`, falling back to `:role`); see
+  `UiWeb.Auth.Roles` for what each role may do.
+  """
   use Guardian, otp_app: :ui_web
 
   def subject_for_token(%{id: id}, _claims), do: {:ok, to_string(id)}
   def subject_for_token(_, _), do: {:error, :no_id_provided}
 
-  def resource_from_claims(%{"sub" => id}), do: {:ok, %{id: id, email: "user@example.com"}}
+  def build_claims(claims, resource, _opts) do
+    claims =
+      claims
+      |> Map.put("tenants", allowed_tenants(resource))
+      |> Map.put("roles", roles(resource))
+
+    {:ok, claims}
+  end
+
+  def resource_from_claims(%{"sub" => id} = claims) do
+    {:ok, %{id: id, email: "user@example.com", tenants: List.wrap(claims["tenants"]), roles: List.wrap(claims["roles"])}}
+  end
+
   def resource_from_claims(_), do: {:error, :no_claims_sub}
+
+  @doc """
+  Tenants `user` may access, in claim order.
+  """
+  @spec allowed_tenants(map() | nil) :: [String.t()]
+  def allowed_tenants(%{tenants: tenants}) when is_list(tenants), do: Enum.map(tenants, &to_string/1)
+  def allowed_tenants(%{tenant_id: tenant_id}) when is_binary(tenant_id), do: [tenant_id]
+  def allowed_tenants(_user), do: []
+
+  @doc """
+  Returns true when `tenant_id` is one of `user`'s tenants.
+  """
+  @spec tenant_allowed?(map() | nil, String.t()) :: boolean()
+  def tenant_allowed?(user, tenant_id), do: tenant_id in allowed_tenants(user)
+
+  defp roles(%{roles: roles}) when is_list(roles), do: Enum.map(roles, &to_string/1)
+  defp roles(%{role: role}) when not is_nil(role), do: [to_string(role)]
+  defp roles(_resource), do: []
 end
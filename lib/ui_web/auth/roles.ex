@@ -0,0 +1,82 @@
+defmodule UiWeb.Auth.Roles do
+  @moduledoc """
+  Roles and the mutating actions they allow.
+
+  Roles are ordered `viewer < operator < admin`, and a role may do everything the
+  roles below it may. Viewers only read; operators run day-to-day mutations
+  (messages, toggling extensions, editing policies and alert rules); admins also change the
+  extension registry, delete policies, run contract checks against the gateway,
+  publish local test events on the events page and inspect events whose tenant is
+  unknown there.
+  """
+
+  @roles ~w(viewer operator admin)
+
+  @required_roles %{
+    save_message: "operator",
+    save_message_template: "operator",
+    delete_message_template: "operator",
+    delete_message: "operator",
+    bulk_delete_messages: "operator",
+    bulk_update_messages: "operator",
+    toggle_extension: "operator",
+    save_policy: "operator",
+    rollback_policy: "operator",
+    save_dry_run_case: "operator",
+    delete_dry_run_case: "operator",
+    save_alert_rule: "operator",
+    delete_alert_rule: "operator",
+    save_extension: "admin",
+    delete_extension: "admin",
+    unregister_extension: "admin",
+    delete_policy: "admin",
+    run_contract_checks: "admin",
+    publish_test_events: "admin",
+    inspect_unscoped_events: "admin"
+  }
+
+  @doc """
+  Known roles, lowest first.
+  """
+  @spec roles() :: [String.t()]
+  def roles, do: @roles
+
+  @doc """
+  The highest known role of `user` (`:roles` list or a single `:role`).
+
+  Users without a known role are viewers.
+  """
+  @spec role(map() | nil) :: String.t()
+  def role(%{roles: roles}) when is_list(roles), do: highest(roles)
+  def role(%{role: role}) when not is_nil(role), do: highest([role])
+  def role(_user), do: "viewer"
+
+  @doc """
+  The lowest role allowed to perform `action`.
+  """
+  @spec required_role(atom()) :: String.t()
+  def required_role(action), do: Map.fetch!(@required_roles, action)
+
+  @doc """
+  Returns true when `role` may perform `action`.
+
+  ## Examples
+
+      iex> UiWeb.Auth.Roles.allowed?("operator", :delete_message)
+      true
+
+      iex> UiWeb.Auth.Roles.allowed?("operator", :delete_extension)
+      false
+  """
+  @spec allowed?(String.t() | nil, atom()) :: boolean()
+  def allowed?(role, action), do: rank(role) >= rank(required_role(action))
+
+  defp highest(roles) do
+    roles
+    |> Enum.map(&to_string/1)
+    |> Enum.filter(&(&1 in @roles))
+    |> Enum.max_by(&rank/1, fn -> "viewer" end)
+  end
+
+  defp rank(role), do: Enum.find_index(@roles, &(&1 == role)) || 0
+end
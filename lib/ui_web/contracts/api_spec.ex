@@ -36,12 +36,28 @@ defmodule UiWeb.Contracts.ApiSpec do
       "PUT /api/v1/extensions/:id" => extensions_update_spec(),
       "PATCH /api/v1/extensions/:id" => extensions_patch_spec(),
       "DELETE /api/v1/extensions/:id" => extensions_delete_spec(),
+      "GET /api/v1/extensions/:id/errors" => extensions_errors_spec(),
       
       # Policies API
       "GET /api/v1/policies/:tenant_id" => policies_list_spec(),
       "GET /api/v1/policies/:tenant_id/:policy_id" => policies_get_spec(),
       "PUT /api/v1/policies/:tenant_id/:policy_id" => policies_update_spec(),
-      "DELETE /api/v1/policies/:tenant_id/:policy_id" => policies_delete_spec()
+      "DELETE /api/v1/policies/:tenant_id/:policy_id" => policies_delete_spec(),
+      "GET /api/v1/policies/:tenant_id/:policy_id/revisions" => policies_revisions_spec(),
+      "GET /api/v1/policies/:tenant_id/:policy_id/revisions/:revision" => policies_revision_get_spec(),
+      "POST /api/v1/policies/:tenant_id/:policy_id/rollback" => policies_rollback_spec(),
+      "POST /api/v1/policies/dry-run" => policies_dry_run_spec(),
+      "GET /api/v1/policies/:tenant_id/:policy_id/dry-run-cases" => dry_run_cases_list_spec(),
+      "PUT /api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name" => dry_run_cases_put_spec(),
+      "DELETE /api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name" => dry_run_cases_delete_spec(),
+
+      # Audit API
+      "GET /api/v1/audit" => audit_list_spec(),
+
+      # Alerts API
+      "GET /api/v1/alerts/rules" => alert_rules_list_spec(),
+      "PUT /api/v1/alerts/rules/:tenant_id/:rule_id" => alert_rules_put_spec(),
+      "DELETE /api/v1/alerts/rules/:tenant_id/:rule_id" => alert_rules_delete_spec()
     }
   end
 
@@ -336,18 +352,19 @@ defmodule UiWeb.Contracts.ApiSpec do
     %{
       method: "POST",
       path: "/api/v1/messages/export",
-      description: "Export messages to JSON or CSV",
+      description: "Export messages to JSON, CSV or NDJSON (chunked)",
       request: %{
         body: %{
-          "message_ids" => "array of strings (required)",
-          "format" => "string (required, 'json' or 'csv')"
+          "message_ids" => "array of strings (required unless filters)",
+          "filters" => "object (optional, status/type/search; exports all matches)",
+          "format" => "string (required, 'json', 'csv' or 'ndjson')"
         }
       },
       response: %{
         success: %{
           status: 200,
-          content_type: "application/json or text/csv",
-          body: "binary (file content)"
+          content_type: "application/json, text/csv or application/x-ndjson",
+          body: "binary (file content, may be chunked)"
         },
         errors: [
           %{status: 400, body: %{"error" => "string"}},
@@ -539,6 +556,87 @@ defmodule UiWeb.Contracts.ApiSpec do
     }
   end
 
+  @doc """
+  JSON Schema for a policy document (body of `PUT /api/v1/policies/:tenant_id/:policy_id`).
+
+  Used by `UiWeb.Contracts.SchemaValidator` and the policy editor in `PoliciesLive`.
+  """
+  @spec policy_schema() :: map()
+  def policy_schema do
+    extension_ref = %{
+      "type" => "object",
+      "required" => ["id"],
+      "properties" => %{
+        "id" => %{"type" => "string", "minLength" => 1},
+        "mode" => %{"type" => "string", "enum" => ["required", "optional"]},
+        "on_fail" => %{"type" => "string"}
+      }
+    }
+
+    %{
+      "type" => "object",
+      "required" => ["rules"],
+      "additionalProperties" => false,
+      "properties" => %{
+        "tenant_id" => %{"type" => "string"},
+        "policy_id" => %{"type" => "string"},
+        "rules" => %{
+          "type" => "array",
+          "items" => %{
+            "type" => "object",
+            "required" => ["condition", "action"],
+            "additionalProperties" => false,
+            "properties" => %{
+              "condition" => %{"type" => "string", "minLength" => 1},
+              "action" => %{"type" => "string", "minLength" => 1},
+              "provider" => %{"type" => "string"}
+            }
+          }
+        },
+        "pre" => %{"type" => "array", "items" => extension_ref},
+        "validators" => %{"type" => "array", "items" => extension_ref},
+        "post" => %{"type" => "array", "items" => extension_ref},
+        "metadata" => %{
+          "type" => "object",
+          "properties" => %{
+            "version" => %{"type" => "string"},
+            "created_by" => %{"type" => "string"},
+            "tags" => %{"type" => "array", "items" => %{"type" => "string"}}
+          }
+        },
+        "created_at" => %{"type" => "string"},
+        "updated_at" => %{"type" => "string"}
+      }
+    }
+  end
+
+  defp extensions_errors_spec do
+    %{
+      method: "GET",
+      path: "/api/v1/extensions/:id/errors",
+      description: "List recent failures of an extension, newest first",
+      request: %{
+        path_params: %{
+          "id" => "string (required, extension ID)"
+        },
+        query_params: %{
+          "limit" => "integer (optional, default: 10)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "items" => "array of failures (timestamp, code, message, request_id)"
+          }
+        },
+        errors: [
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
   # Policies API specs
 
   defp policies_list_spec do
@@ -605,9 +703,13 @@ defmodule UiWeb.Contracts.ApiSpec do
           "tenant_id" => "string (required)",
           "policy_id" => "string (required)"
         },
+        query_params: %{
+          "actor" => "string (optional, user performing the change)"
+        },
         body: %{
           "rules" => "array of rule objects (required)"
-        }
+        },
+        schema: policy_schema()
       },
       response: %{
         success: %{
@@ -636,6 +738,9 @@ defmodule UiWeb.Contracts.ApiSpec do
         path_params: %{
           "tenant_id" => "string (required)",
           "policy_id" => "string (required)"
+        },
+        query_params: %{
+          "actor" => "string (optional, user performing the change)"
         }
       },
       response: %{
@@ -651,6 +756,329 @@ defmodule UiWeb.Contracts.ApiSpec do
     }
   end
 
+  defp policies_revisions_spec do
+    %{
+      method: "GET",
+      path: "/api/v1/policies/:tenant_id/:policy_id/revisions",
+      description: "List revisions of a policy, newest first",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "items" => "array of revision summaries (revision, author, created_at, action, summary)"
+          }
+        },
+        errors: [
+          %{status: 404, body: %{"error" => "string"}},
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp policies_revision_get_spec do
+    %{
+      method: "GET",
+      path: "/api/v1/policies/:tenant_id/:policy_id/revisions/:revision",
+      description: "Get a single policy revision including its document",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)",
+          "revision" => "integer (required)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "revision" => "integer",
+            "author" => "string",
+            "created_at" => "string (ISO8601)",
+            "action" => "string (create, update, rollback)",
+            "summary" => "string",
+            "policy" => "policy object"
+          }
+        },
+        errors: [
+          %{status: 404, body: %{"error" => "string"}},
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp policies_rollback_spec do
+    %{
+      method: "POST",
+      path: "/api/v1/policies/:tenant_id/:policy_id/rollback",
+      description: "Restore a previous revision as a new revision",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)"
+        },
+        query_params: %{
+          "actor" => "string (optional, user performing the change)"
+        },
+        body: %{
+          "revision" => "integer (required, revision to restore)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "tenant_id" => "string",
+            "policy_id" => "string",
+            "rules" => "array of rule objects"
+          }
+        },
+        errors: [
+          %{status: 404, body: %{"error" => "string"}},
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp policies_dry_run_spec do
+    %{
+      method: "POST",
+      path: "/api/v1/policies/dry-run",
+      description: "Run a payload through a policy's pipeline without side effects",
+      request: %{
+        body: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)",
+          "payload" => "any JSON value (required)",
+          "dry_run" => "boolean (optional)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "ok" => "boolean",
+            "result" =>
+              "object (trace: array of steps with extension_id, type, status, latency_ms, input, output, short_circuit, reason; " <>
+                "executed_extensions, blocked_by, final_payload, provider_selected, post_processors_executed)"
+          }
+        },
+        errors: [
+          %{status: 404, body: %{"error" => "string"}},
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp dry_run_cases_list_spec do
+    %{
+      method: "GET",
+      path: "/api/v1/policies/:tenant_id/:policy_id/dry-run-cases",
+      description: "List saved dry-run payloads of a policy, sorted by name",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "items" => "array of saved payloads (name, payload, expected, saved_at)"
+          }
+        },
+        errors: [
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp dry_run_cases_put_spec do
+    %{
+      method: "PUT",
+      path: "/api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name",
+      description: "Create or replace a saved dry-run payload",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)",
+          "name" => "string (required, [A-Za-z0-9_.-])"
+        },
+        body: %{
+          "payload" => "any JSON value (required)",
+          "expected" => "object (optional, outcome to compare later runs against)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "name" => "string",
+            "payload" => "any JSON value",
+            "expected" => "object or null",
+            "saved_at" => "string (ISO8601)"
+          }
+        },
+        errors: [
+          %{status: 400, body: %{"error" => "string"}},
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp dry_run_cases_delete_spec do
+    %{
+      method: "DELETE",
+      path: "/api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name",
+      description: "Delete a saved dry-run payload",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "policy_id" => "string (required)",
+          "name" => "string (required)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{"deleted" => "boolean"}
+        },
+        errors: [
+          %{status: 404, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp alert_rules_list_spec do
+    %{
+      method: "GET",
+      path: "/api/v1/alerts/rules",
+      description: "List alert rules, sorted by tenant and name",
+      request: %{
+        query_params: %{
+          "tenant_id" => "string (optional, rules of this tenant only)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "items" => "array of rules (id, tenant_id, name, kind, severity, enabled, for_seconds, condition fields)"
+          }
+        },
+        errors: [
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp alert_rules_put_spec do
+    %{
+      method: "PUT",
+      path: "/api/v1/alerts/rules/:tenant_id/:rule_id",
+      description: "Create or replace an alert rule",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "rule_id" => "string (required)"
+        },
+        body: %{
+          "name" => "string (required)",
+          "kind" => "string (required, component_status | metric_threshold | circuit_open)",
+          "severity" => "string (optional, warning | error)",
+          "enabled" => "boolean (optional)",
+          "for_seconds" => "integer (optional)",
+          "component" => "string (component_status)",
+          "status" => "string (component_status, degraded | unhealthy)",
+          "metric" => "string (metric_threshold)",
+          "operator" => "string (metric_threshold, > | <)",
+          "threshold" => "number (metric_threshold)",
+          "extension_id" => "string (circuit_open, * for any extension)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "id" => "string",
+            "tenant_id" => "string",
+            "name" => "string",
+            "kind" => "string",
+            "updated_at" => "string (ISO8601)"
+          }
+        },
+        errors: [
+          %{status: 400, body: %{"error" => "string"}},
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp alert_rules_delete_spec do
+    %{
+      method: "DELETE",
+      path: "/api/v1/alerts/rules/:tenant_id/:rule_id",
+      description: "Delete an alert rule",
+      request: %{
+        path_params: %{
+          "tenant_id" => "string (required)",
+          "rule_id" => "string (required)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{"deleted" => "boolean"}
+        },
+        errors: [
+          %{status: 404, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
+  defp audit_list_spec do
+    %{
+      method: "GET",
+      path: "/api/v1/audit",
+      description: "List audit log entries for policy mutations, newest first",
+      request: %{
+        query_params: %{
+          "tenant_id" => "string (optional)",
+          "user" => "string (optional)",
+          "policy_id" => "string (optional)",
+          "limit" => "integer (optional, default: 100)"
+        }
+      },
+      response: %{
+        success: %{
+          status: 200,
+          schema: %{
+            "items" => "array of audit entries (id, timestamp, tenant_id, policy_id, user, action, revision, summary)"
+          }
+        },
+        errors: [
+          %{status: 500, body: %{"error" => "string"}}
+        ]
+      }
+    }
+  end
+
   @doc """
   Export API specification to JSON Schema format.
   """
@@ -0,0 +1,124 @@
+defmodule UiWeb.Contracts.ContractRuns do
+  @moduledoc """
+  Stored contract check runs (`UiWeb.Contracts.ContractValidator.run_checks/1`) and
+  the drift between them.
+
+  Runs are JSON files in `config :ui_web, :contract_runs_dir` (default:
+  `contract_runs` in the system temp dir), so runs of `mix contracts.check` show up in
+  `UiWebWeb.ContractsLive` and the other way round. Only the newest 50 runs are kept.
+  """
+
+  @keep 50
+
+  @doc """
+  Stores `run` and prunes the oldest runs.
+
+  All functions accept `dir: path` to override the configured directory.
+  """
+  @spec save(map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save(%{"id" => id} = run, opts \\ []) do
+    dir = dir(opts)
+
+    with :ok <- File.mkdir_p(dir),
+         :ok <- File.write(Path.join(dir, id <> ".json"), Jason.encode_to_iodata!(run)) do
+      dir |> run_files() |> Enum.drop(@keep) |> Enum.each(&File.rm/1)
+      {:ok, run}
+    end
+  end
+
+  @doc """
+  Stored runs without their results, newest first.
+  """
+  @spec list(keyword()) :: [map()]
+  def list(opts \\ []) do
+    opts
+    |> dir()
+    |> run_files()
+    |> Enum.flat_map(fn file ->
+      case read(file) do
+        {:ok, run} -> [Map.delete(run, "results")]
+        :error -> []
+      end
+    end)
+  end
+
+  @doc """
+  Loads the run `id`.
+  """
+  @spec get(String.t(), keyword()) :: {:ok, map()} | :error
+  def get(id, opts \\ []) do
+    if id =~ ~r/\A[\w-]+\z/, do: read(Path.join(dir(opts), id <> ".json")), else: :error
+  end
+
+  @doc """
+  The run stored before `run`, if any.
+  """
+  @spec previous(map(), keyword()) :: map() | nil
+  def previous(%{"id" => id}, opts \\ []) do
+    with %{"id" => previous_id} <- opts |> list() |> Enum.find(&(&1["id"] < id)),
+         {:ok, run} <- get(previous_id, opts) do
+      run
+    else
+      _ -> nil
+    end
+  end
+
+  @doc """
+  Compares the results of `run` with those of `previous` (`nil` for the first run).
+
+  Returns endpoint => `%{"change" => change, "previous_status" => status | nil,
+  "added" => diffs, "removed" => diffs}` where change is `"new"` (not in the previous
+  run), `"changed"` (status or diffs differ) or `"unchanged"`.
+
+  ## Examples
+
+      iex> previous = %{"results" => [%{"endpoint" => "GET /metrics", "status" => "pass", "diffs" => []}]}
+      iex> diff = %{"path" => "rps", "kind" => "missing", "expected" => "number", "actual" => nil}
+      iex> run = %{"results" => [%{"endpoint" => "GET /metrics", "status" => "fail", "diffs" => [diff]}]}
+      iex> UiWeb.Contracts.ContractRuns.compare(previous, run)
+      %{"GET /metrics" => %{"change" => "changed", "previous_status" => "pass", "added" => [diff], "removed" => []}}
+  """
+  @spec compare(map() | nil, map()) :: %{String.t() => map()}
+  def compare(previous, run) do
+    before = Map.new((previous || %{})["results"] || [], &{&1["endpoint"], &1})
+
+    Map.new(run["results"] || [], fn result ->
+      {result["endpoint"], compare_result(before[result["endpoint"]], result)}
+    end)
+  end
+
+  defp compare_result(nil, result) do
+    %{"change" => "new", "previous_status" => nil, "added" => result["diffs"] || [], "removed" => []}
+  end
+
+  defp compare_result(before, result) do
+    added = (result["diffs"] || []) -- (before["diffs"] || [])
+    removed = (before["diffs"] || []) -- (result["diffs"] || [])
+    change = if added == [] and removed == [] and before["status"] == result["status"], do: "unchanged", else: "changed"
+
+    %{"change" => change, "previous_status" => before["status"], "added" => added, "removed" => removed}
+  end
+
+  # Run ids are "run_<unix ms>", so name order is time order
+  defp run_files(dir) do
+    dir
+    |> Path.join("run_*.json")
+    |> Path.wildcard()
+    |> Enum.sort(:desc)
+  end
+
+  defp read(file) do
+    with {:ok, json} <- File.read(file),
+         {:ok, run} <- Jason.decode(json) do
+      {:ok, run}
+    else
+      _ -> :error
+    end
+  end
+
+  defp dir(opts) do
+    Keyword.get_lazy(opts, :dir, fn ->
+      Application.get_env(:ui_web, :contract_runs_dir, Path.join(System.tmp_dir!(), "contract_runs"))
+    end)
+  end
+end
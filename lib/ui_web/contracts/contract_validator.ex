@@ -4,11 +4,28 @@ defmodule UiWeb.Contracts.ContractValidator do
 
   This module provides contract testing capabilities to ensure Mock Gateway
   remains in sync with the API specification defined in ApiSpec.
+
+  `run_checks/1` requests every read-only (GET) endpoint of the spec from a gateway and
+  reports field-level differences between each response and its spec schema: missing
+  fields, type mismatches and extra fields. `UiWebWeb.ContractsLive` and
+  `mix contracts.check` run it; `UiWeb.Contracts.ContractRuns` stores the runs.
   """
 
   alias UiWeb.Contracts.ApiSpec
   alias UiWeb.Services.GatewayClient
 
+  # Path params of the checked endpoints; ids exist in the mock gateway's seed data
+  @default_samples %{"tenant_id" => "tenant_dev", "policy_id" => "policy_003", "revision" => "1"}
+  @endpoint_samples %{
+    "GET /api/v1/messages/:id" => %{"id" => "msg_001"},
+    "GET /api/v1/extensions/:id" => %{"id" => "ext_001"},
+    "GET /api/v1/extensions/:id/errors" => %{"id" => "ext_001"}
+  }
+  @check_timeout_ms 10_000
+
+  @type diff :: %{String.t() => String.t() | nil}
+  @type result :: %{String.t() => term()}
+
   @doc """
   Validate a single endpoint against the specification.
 
@@ -73,6 +90,259 @@ defmodule UiWeb.Contracts.ContractValidator do
     |> Map.new()
   end
 
+  @doc """
+  Checks every GET endpoint of the spec against a gateway.
+
+  Returns a run: `"id"`, `"started_at"`, `"base_url"`, `"results"` (one per endpoint,
+  sorted by endpoint, see `check_endpoint/2`) and `"summary"` (count per status).
+  Mutating endpoints are never called, so a run is safe against a real gateway; they
+  are reported as skipped.
+
+  ## Options
+    * `:base_url` - Gateway to check (default: the configured gateway, the mock
+      gateway when `:use_mock_gateway` is on)
+    * `:samples` - Path param values, merged over the defaults (`tenant_id`, `policy_id`, ...)
+    * `:tenant_id` - Sent as the `x-tenant-id` header
+    * `:endpoints` - Only check these endpoint keys
+  """
+  @spec run_checks(keyword()) :: map()
+  def run_checks(opts \\ []) do
+    started_at = DateTime.utc_now()
+    opts = Keyword.put_new_lazy(opts, :base_url, &default_base_url/0)
+    keys = opts[:endpoints] || Map.keys(ApiSpec.endpoints())
+
+    results =
+      keys
+      |> Enum.sort()
+      |> Enum.map(&check_endpoint(&1, opts))
+
+    %{
+      "id" => "run_#{DateTime.to_unix(started_at, :millisecond)}",
+      "started_at" => DateTime.to_iso8601(started_at),
+      "base_url" => opts[:base_url],
+      "results" => results,
+      "summary" => summarize(results)
+    }
+  end
+
+  @doc """
+  Checks a single endpoint. Accepts the options of `run_checks/1`.
+
+  The result has `"endpoint"`, `"status"`, `"http_status"`, `"duration_ms"`,
+  `"message"` and `"diffs"` (see `diff_body/2`). Status is one of:
+
+    * `"pass"` - the response matches the spec
+    * `"drift"` - only extra fields, which clients ignore
+    * `"fail"` - missing fields, type mismatches or an undocumented HTTP status
+    * `"error"` - the gateway could not be reached
+    * `"skipped"` - not called (mutating endpoint, no sample for a path param, or a
+      documented error status such as 404 for missing sample data)
+  """
+  @spec check_endpoint(String.t(), keyword()) :: result()
+  def check_endpoint(endpoint_key, opts \\ []) do
+    case ApiSpec.endpoints()[endpoint_key] do
+      nil -> result(endpoint_key, "fail", message: "Unknown endpoint: #{endpoint_key}")
+      %{method: "GET"} = spec -> request_and_diff(endpoint_key, spec, opts)
+      %{method: method} -> result(endpoint_key, "skipped", message: "#{method} endpoints are not called")
+    end
+  end
+
+  @doc """
+  Field-level differences between a decoded response `body` and a spec `schema`.
+
+  The spec describes fields in prose (`"integer"`, `"array of message objects"`,
+  `"object or null"`, nested maps); the leading type word is checked, descriptions
+  containing `optional` may be absent. Each diff has `"path"` (`"pagination.total"`),
+  `"kind"` (`"missing"`, `"type_mismatch"` or `"extra"`), `"expected"` and `"actual"`.
+
+  ## Examples
+
+      iex> UiWeb.Contracts.ContractValidator.diff_body(%{"total" => "3", "page" => 1}, %{"total" => "integer", "limit" => "integer"})
+      [
+        %{"path" => "limit", "kind" => "missing", "expected" => "integer", "actual" => nil},
+        %{"path" => "page", "kind" => "extra", "expected" => nil, "actual" => "integer"},
+        %{"path" => "total", "kind" => "type_mismatch", "expected" => "integer", "actual" => "string"}
+      ]
+  """
+  @spec diff_body(term(), map()) :: [diff()]
+  def diff_body(body, schema), do: diff_value(body, schema, [])
+
+  defp request_and_diff(endpoint_key, spec, opts) do
+    samples = Map.merge(Map.merge(@default_samples, Map.get(@endpoint_samples, endpoint_key, %{})), Map.new(opts[:samples] || []))
+
+    case expand_path(spec.path, samples) do
+      {:error, param} ->
+        result(endpoint_key, "skipped", message: "No sample value for :#{param}")
+
+      {:ok, path} ->
+        start = System.monotonic_time()
+        response = http_get(opts[:base_url] || default_base_url(), path, opts[:tenant_id])
+        duration_ms = System.convert_time_unit(System.monotonic_time() - start, :native, :millisecond)
+
+        endpoint_result(endpoint_key, spec, response)
+        |> Map.merge(%{"path" => path, "duration_ms" => duration_ms})
+    end
+  end
+
+  defp endpoint_result(endpoint_key, spec, {:ok, %Req.Response{status: status, body: body}}) when status in 200..299 do
+    diffs = diff_body(body, spec.response.success[:schema] || %{})
+
+    status_name =
+      cond do
+        diffs == [] -> "pass"
+        Enum.all?(diffs, &(&1["kind"] == "extra")) -> "drift"
+        true -> "fail"
+      end
+
+    result(endpoint_key, status_name, http_status: status, diffs: diffs)
+  end
+
+  defp endpoint_result(endpoint_key, spec, {:ok, %Req.Response{status: status}}) do
+    if Enum.any?(spec.response.errors || [], &(&1.status == status)) do
+      result(endpoint_key, "skipped", http_status: status, message: "Documented error response (HTTP #{status}), no sample data?")
+    else
+      result(endpoint_key, "fail", http_status: status, message: "Unexpected HTTP status #{status}")
+    end
+  end
+
+  defp endpoint_result(endpoint_key, _spec, {:error, reason}) do
+    result(endpoint_key, "error", message: "Request failed: #{inspect(reason)}")
+  end
+
+  defp result(endpoint_key, status, fields) do
+    [method, path] = String.split(endpoint_key, " ", parts: 2)
+
+    %{
+      "endpoint" => endpoint_key,
+      "method" => method,
+      "path" => path,
+      "status" => status,
+      "http_status" => fields[:http_status],
+      "duration_ms" => 0,
+      "message" => fields[:message],
+      "diffs" => fields[:diffs] || []
+    }
+  end
+
+  defp summarize(results) do
+    counts = Enum.frequencies_by(results, & &1["status"])
+    Map.new(~w(pass drift fail error skipped), &{&1, Map.get(counts, &1, 0)})
+  end
+
+  defp expand_path(path, samples) do
+    path
+    |> String.split("/")
+    |> Enum.reduce_while({:ok, []}, fn
+      ":" <> param, {:ok, acc} ->
+        case samples[param] do
+          nil -> {:halt, {:error, param}}
+          value -> {:cont, {:ok, [URI.encode_www_form(to_string(value)) | acc]}}
+        end
+
+      segment, {:ok, acc} ->
+        {:cont, {:ok, [segment | acc]}}
+    end)
+    |> case do
+      {:ok, segments} -> {:ok, segments |> Enum.reverse() |> Enum.join("/")}
+      error -> error
+    end
+  end
+
+  defp http_get(base_url, path, tenant_id) do
+    headers = if tenant_id, do: [{"x-tenant-id", tenant_id}], else: []
+    Req.get(base_url <> path, headers: headers, receive_timeout: @check_timeout_ms, retry: false)
+  end
+
+  defp default_base_url do
+    if Application.get_env(:ui_web, :features, [])[:use_mock_gateway] do
+      "http://localhost:8082"
+    else
+      Application.get_env(:ui_web, :gateway, []) |> Keyword.get(:url, "http://localhost:8081")
+    end
+  end
+
+  defp diff_value(value, schema, path) when is_map(schema) do
+    if is_map(value) do
+      expected =
+        schema
+        |> Enum.sort()
+        |> Enum.flat_map(fn {key, field_spec} ->
+          key = to_string(key)
+
+          cond do
+            Map.has_key?(value, key) -> diff_value(Map.fetch!(value, key), field_spec, path ++ [key])
+            optional?(field_spec) -> []
+            true -> [diff(path ++ [key], "missing", describe_spec(field_spec), nil)]
+          end
+        end)
+
+      spec_keys = MapSet.new(schema, fn {key, _spec} -> to_string(key) end)
+
+      extra =
+        for key <- value |> Map.keys() |> Enum.sort(), not MapSet.member?(spec_keys, key) do
+          diff(path ++ [key], "extra", nil, type_name(value[key]))
+        end
+
+      Enum.sort_by(expected ++ extra, & &1["path"])
+    else
+      [diff(path, "type_mismatch", "object", type_name(value))]
+    end
+  end
+
+  defp diff_value(value, field_spec, path) when is_binary(field_spec) do
+    {types, nullable?} = expected_types(field_spec)
+
+    cond do
+      types == :any -> []
+      is_nil(value) and nullable? -> []
+      type_name(value) in types -> []
+      type_name(value) == "integer" and "number" in types -> []
+      true -> [diff(path, "type_mismatch", Enum.join(types, " or "), type_name(value))]
+    end
+  end
+
+  defp diff_value(_value, _field_spec, _path), do: []
+
+  # "integer", "string (ISO8601)", "array of message objects", "policy object", "object or null"
+  defp expected_types(description) do
+    nullable? = description =~ ~r/\bor null\b/
+
+    types =
+      case Regex.run(~r/^(string|integer|number|boolean|array|object|binary|any)\b/, description) do
+        [_, "any"] -> :any
+        [_, "binary"] -> :any
+        [_, type] -> [type]
+        nil -> if description =~ ~r/\bobject\b/, do: ["object"], else: :any
+      end
+
+    {types, nullable?}
+  end
+
+  defp optional?(field_spec) when is_binary(field_spec), do: field_spec =~ "optional"
+  defp optional?(_field_spec), do: false
+
+  defp describe_spec(field_spec) when is_map(field_spec), do: "object"
+
+  defp describe_spec(field_spec) do
+    case expected_types(field_spec) do
+      {:any, _} -> "any"
+      {types, _} -> Enum.join(types, " or ")
+    end
+  end
+
+  defp type_name(value) when is_map(value), do: "object"
+  defp type_name(value) when is_list(value), do: "array"
+  defp type_name(value) when is_binary(value), do: "string"
+  defp type_name(value) when is_integer(value), do: "integer"
+  defp type_name(value) when is_float(value), do: "number"
+  defp type_name(value) when is_boolean(value), do: "boolean"
+  defp type_name(nil), do: "null"
+  defp type_name(_value), do: "unknown"
+
+  defp diff(path, kind, expected, actual) do
+    %{"path" => Enum.join(path, "."), "kind" => kind, "expected" => expected, "actual" => actual}
+  end
+
   # Private helpers
 
   defp validate_response(response, spec_response) do
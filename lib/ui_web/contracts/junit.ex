@@ -0,0 +1,103 @@
+defmodule UiWeb.Contracts.JUnit do
+  @moduledoc """
+  JUnit XML report of a contract check run, for CI test report viewers.
+
+  Every endpoint is a `<testcase>`: `"fail"` results become `<failure>` with one diff per
+  line, `"error"` results `<error>`, `"skipped"` results `<skipped>`. `"drift"` (extra
+  fields only) passes, with the extra fields in `<system-out>`.
+  """
+
+  @doc """
+  Renders `run` as a JUnit XML document.
+
+  ## Examples
+
+      iex> run = %{"started_at" => "2026-01-01T00:00:00Z", "results" => [%{"endpoint" => "GET /metrics", "method" => "GET", "status" => "pass", "duration_ms" => 12, "diffs" => []}]}
+      iex> xml = UiWeb.Contracts.JUnit.render(run)
+      iex> xml =~ ~s(<testcase classname="contracts.GET" name="GET /metrics" time="0.012"/>)
+      true
+  """
+  @spec render(map()) :: String.t()
+  def render(run) do
+    results = run["results"] || []
+    counts = Enum.frequencies_by(results, & &1["status"])
+    time = format_time(Enum.sum(Enum.map(results, &(&1["duration_ms"] || 0))))
+
+    attrs =
+      ~s(tests="#{length(results)}" failures="#{counts["fail"] || 0}" errors="#{counts["error"] || 0}" ) <>
+        ~s(skipped="#{counts["skipped"] || 0}" time="#{time}")
+
+    IO.iodata_to_binary([
+      ~s(<?xml version="1.0" encoding="UTF-8"?>\n),
+      ~s(<testsuites name="contracts" #{attrs}>\n),
+      ~s(  <testsuite name="contracts" #{attrs} timestamp="#{escape(run["started_at"])}">\n),
+      Enum.map(results, &testcase/1),
+      ~s(  </testsuite>\n),
+      ~s(</testsuites>\n)
+    ])
+  end
+
+  defp testcase(result) do
+    open =
+      ~s(    <testcase classname="contracts.#{escape(result["method"])}" name="#{escape(result["endpoint"])}" ) <>
+        ~s(time="#{format_time(result["duration_ms"] || 0)}")
+
+    case body(result) do
+      nil -> [open, "/>\n"]
+      body -> [open, ">\n", body, "    </testcase>\n"]
+    end
+  end
+
+  defp body(%{"status" => "fail"} = result) do
+    diffs = result["diffs"] || []
+    message = result["message"] || "#{length(diffs)} contract difference(s)"
+
+    ~s(      <failure message="#{escape(message)}" type="contract">#{escape(format_diffs(diffs))}</failure>\n)
+  end
+
+  defp body(%{"status" => "error"} = result) do
+    ~s(      <error message="#{escape(result["message"])}" type="request"/>\n)
+  end
+
+  defp body(%{"status" => "skipped"} = result) do
+    ~s(      <skipped message="#{escape(result["message"])}"/>\n)
+  end
+
+  defp body(%{"status" => "drift"} = result) do
+    ~s(      <system-out>#{escape(format_diffs(result["diffs"]))}</system-out>\n)
+  end
+
+  defp body(_result), do: nil
+
+  @doc """
+  The diffs of a result, one `format_diff/1` line each.
+  """
+  @spec format_diffs([map()]) :: String.t()
+  def format_diffs(diffs), do: Enum.map_join(diffs, "\n", &format_diff/1)
+
+  @doc """
+  One diff as a line of text.
+
+  ## Examples
+
+      iex> UiWeb.Contracts.JUnit.format_diff(%{"kind" => "missing", "path" => "pagination.total", "expected" => "integer", "actual" => nil})
+      "missing: pagination.total (expected integer)"
+  """
+  @spec format_diff(map()) :: String.t()
+  def format_diff(%{"kind" => "missing"} = diff), do: "missing: #{diff["path"]} (expected #{diff["expected"]})"
+  def format_diff(%{"kind" => "extra"} = diff), do: "extra: #{diff["path"]} (#{diff["actual"]})"
+  def format_diff(diff), do: "type_mismatch: #{diff["path"]} (expected #{diff["expected"]}, got #{diff["actual"]})"
+
+  defp format_time(ms), do: :erlang.float_to_binary(ms / 1000, decimals: 3)
+
+  defp escape(nil), do: ""
+
+  defp escape(value) do
+    value
+    |> to_string()
+    |> String.replace("&", "&amp;")
+    |> String.replace("<", "&lt;")
+    |> String.replace(">", "&gt;")
+    |> String.replace("\"", "&quot;")
+  end
+end
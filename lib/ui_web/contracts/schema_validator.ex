@@ -0,0 +1,155 @@
+defmodule UiWeb.Contracts.SchemaValidator do
+  @moduledoc """
+  Validates decoded JSON against the JSON-Schema subset used by `UiWeb.Contracts.ApiSpec`.
+
+  Supported keywords: `type` (string or list), `required`, `properties`,
+  `additionalProperties` (boolean), `items`, `enum`, `minLength`, `minItems`.
+
+  The same subset is implemented client-side in `assets/js/policy_editor.js`;
+  keep both in sync when adding keywords.
+  """
+
+  @type path :: [String.t() | non_neg_integer()]
+  @type error :: %{path: path(), message: String.t()}
+
+  @doc """
+  Validates `value` against `schema`.
+
+  ## Examples
+
+      iex> UiWeb.Contracts.SchemaValidator.validate(%{"rules" => []}, %{"type" => "object", "required" => ["rules"]})
+      :ok
+
+      iex> UiWeb.Contracts.SchemaValidator.validate(%{}, %{"type" => "object", "required" => ["rules"]})
+      {:error, [%{path: ["rules"], message: "is required"}]}
+  """
+  @spec validate(term(), map()) :: :ok | {:error, [error()]}
+  def validate(value, schema) do
+    case errors(value, schema, []) do
+      [] -> :ok
+      errors -> {:error, errors}
+    end
+  end
+
+  @doc """
+  Formats a path as `rules[0].action` (`(root)` for the document itself).
+  """
+  @spec format_path(path()) :: String.t()
+  def format_path([]), do: "(root)"
+
+  def format_path(path) do
+    path
+    |> Enum.reduce("", fn
+      index, acc when is_integer(index) -> acc <> "[#{index}]"
+      key, "" -> key
+      key, acc -> acc <> "." <> key
+    end)
+  end
+
+  @doc """
+  Formats an error as `"rules[0].action: is required"`.
+  """
+  @spec format_error(error()) :: String.t()
+  def format_error(%{path: path, message: message}), do: "#{format_path(path)}: #{message}"
+
+  defp errors(value, schema, path) do
+    case check_type(value, schema["type"], path) do
+      [] ->
+        check_enum(value, schema, path) ++
+          check_string(value, schema, path) ++
+          check_object(value, schema, path) ++
+          check_array(value, schema, path)
+
+      type_errors ->
+        type_errors
+    end
+  end
+
+  defp check_type(_value, nil, _path), do: []
+
+  defp check_type(value, types, path) when is_list(types) do
+    if Enum.any?(types, &type?(value, &1)),
+      do: [],
+      else: [%{path: path, message: "must be #{Enum.join(types, " or ")}"}]
+  end
+
+  defp check_type(value, type, path), do: check_type(value, [type], path)
+
+  defp type?(value, "object"), do: is_map(value)
+  defp type?(value, "array"), do: is_list(value)
+  defp type?(value, "string"), do: is_binary(value)
+  defp type?(value, "integer"), do: is_integer(value)
+  defp type?(value, "number"), do: is_number(value)
+  defp type?(value, "boolean"), do: is_boolean(value)
+  defp type?(value, "null"), do: is_nil(value)
+  defp type?(_value, _unknown), do: false
+
+  defp check_enum(value, %{"enum" => allowed}, path) do
+    if value in allowed,
+      do: [],
+      else: [%{path: path, message: "must be one of: #{Enum.map_join(allowed, ", ", &Jason.encode!/1)}"}]
+  end
+
+  defp check_enum(_value, _schema, _path), do: []
+
+  defp check_string(value, %{"minLength" => min}, path) when is_binary(value) do
+    if String.length(value) >= min,
+      do: [],
+      else: [%{path: path, message: if(min == 1, do: "must not be empty", else: "must be at least #{min} characters")}]
+  end
+
+  defp check_string(_value, _schema, _path), do: []
+
+  defp check_object(value, schema, path) when is_map(value) do
+    properties = schema["properties"] || %{}
+
+    missing =
+      for key <- schema["required"] || [], not Map.has_key?(value, key) do
+        %{path: path ++ [key], message: "is required"}
+      end
+
+    unknown =
+      if schema["additionalProperties"] == false do
+        for key <- value |> Map.keys() |> Enum.sort(), not Map.has_key?(properties, key) do
+          %{path: path ++ [key], message: "is not allowed"}
+        end
+      else
+        []
+      end
+
+    nested =
+      for {key, sub_schema} <- Enum.sort(properties), Map.has_key?(value, key) do
+        errors(Map.fetch!(value, key), sub_schema, path ++ [key])
+      end
+
+    missing ++ unknown ++ List.flatten(nested)
+  end
+
+  defp check_object(_value, _schema, _path), do: []
+
+  defp check_array(value, schema, path) when is_list(value) do
+    too_short =
+      case schema["minItems"] do
+        min when is_integer(min) and length(value) < min ->
+          [%{path: path, message: "must have at least #{min} item(s)"}]
+
+        _ ->
+          []
+      end
+
+    items =
+      case schema["items"] do
+        nil ->
+          []
+
+        item_schema ->
+          value
+          |> Enum.with_index()
+          |> Enum.flat_map(fn {item, index} -> errors(item, item_schema, path ++ [index]) end)
+      end
+
+    too_short ++ items
+  end
+
+  defp check_array(_value, _schema, _path), do: []
+end
@@ -0,0 +1,260 @@
+defmodule UiWeb.Extensions.Manifest do
+  @moduledoc """
+  Extension manifests: the registry's extensions as a JSON or YAML file kept in git.
+
+      version: 1
+      extensions:
+        - name: normalize-text
+          type: pre
+          nats_subject: beamline.extensions.pre.normalize-text.v1
+          version: 1.2.0
+          enabled: true
+          metadata:
+            tags: [text]
+          config:
+            timeout_ms: 5000
+            max_retries: 2
+
+  Entries have the fields of `UiWeb.Schemas.Extension` without `id`; extensions are
+  matched to the registry by name, so one manifest can be applied to any environment.
+  Omitted fields take the schema defaults (`enabled: false`, `timeout_ms: 30000`,
+  `max_retries: 3`). A bare list of entries is accepted too.
+
+  `plan/2` validates every entry with `Extension.changeset/2`, the form's changeset,
+  and compares it with the registry; `export/2` writes the same format, so an export
+  imported into another environment plans no changes for extensions that match.
+  """
+
+  alias UiWeb.Schemas.Extension
+
+  @version 1
+  @max_entries 200
+  @fields ~w(name type description nats_subject version health_endpoint enabled metadata config)
+  @metadata_fields ~w(author tags docs_url)
+  @default_config %{"timeout_ms" => 30_000, "max_retries" => 3}
+  # Changesets check health endpoints over HTTP, so entries are validated concurrently
+  @validation_concurrency 8
+  @validation_timeout 10_000
+
+  @type format :: :json | :yaml
+  @type action :: :create | :update | :unchanged | :invalid
+
+  @type entry :: %{
+          index: pos_integer(),
+          name: String.t() | nil,
+          action: action(),
+          id: String.t() | nil,
+          params: map(),
+          changes: [String.t()],
+          errors: [String.t()]
+        }
+
+  @doc "Manifest formats, for format pickers."
+  @spec formats() :: [String.t()]
+  def formats, do: ~w(yaml json)
+
+  @doc """
+  Format of a manifest file name, JSON unless it ends in `.yaml` or `.yml`.
+
+  ## Examples
+
+      iex> UiWeb.Extensions.Manifest.format_for("extensions.yml")
+      :yaml
+
+      iex> UiWeb.Extensions.Manifest.format_for("extensions.json")
+      :json
+  """
+  @spec format_for(String.t()) :: format()
+  def format_for(filename) do
+    if Path.extname(String.downcase(filename)) in [".yaml", ".yml"], do: :yaml, else: :json
+  end
+
+  @doc """
+  Parses a manifest into its entries (string-keyed maps).
+
+  `format` may be `:auto`: content starting with `{` or `[` is JSON, anything else YAML.
+
+  ## Examples
+
+      iex> UiWeb.Extensions.Manifest.parse("extensions:\\n  - name: echo\\n    type: pre\\n", :yaml)
+      {:ok, [%{"name" => "echo", "type" => "pre"}]}
+
+      iex> UiWeb.Extensions.Manifest.parse(~s({"version": 2, "extensions": []}), :auto)
+      {:error, "Unsupported manifest version 2 (expected 1)"}
+  """
+  @spec parse(String.t(), format() | :auto) :: {:ok, [map()]} | {:error, String.t()}
+  def parse(content, :auto) do
+    format = if String.trim_leading(content) |> String.starts_with?(["{", "["]), do: :json, else: :yaml
+    parse(content, format)
+  end
+
+  def parse(content, format) do
+    with {:ok, document} <- decode(content, format),
+         {:ok, entries} <- entries(document) do
+      cond do
+        length(entries) > @max_entries -> {:error, "A manifest may hold at most #{@max_entries} extensions"}
+        index = Enum.find_index(entries, &(not is_map(&1))) -> {:error, "Extension #{index + 1} is not an object"}
+        true -> {:ok, entries}
+      end
+    end
+  end
+
+  defp decode(content, :json) do
+    case Jason.decode(content) do
+      {:ok, document} -> {:ok, document}
+      {:error, %Jason.DecodeError{} = error} -> {:error, "Invalid JSON: " <> Exception.message(error)}
+    end
+  end
+
+  defp decode(content, :yaml) do
+    case YamlElixir.read_from_string(content) do
+      {:ok, document} ->
+        {:ok, document}
+
+      {:error, %YamlElixir.ParsingFailed{line: line} = error} when is_integer(line) ->
+        {:error, "Invalid YAML: Line #{line}: " <> Exception.message(error)}
+
+      {:error, error} ->
+        {:error, "Invalid YAML: " <> Exception.message(error)}
+    end
+  end
+
+  defp entries(entries) when is_list(entries), do: {:ok, entries}
+
+  defp entries(%{"extensions" => entries} = document) when is_list(entries) do
+    case Map.get(document, "version", @version) do
+      @version -> {:ok, entries}
+      version -> {:error, "Unsupported manifest version #{inspect(version)} (expected #{@version})"}
+    end
+  end
+
+  defp entries(_document), do: {:error, ~s(Expected an "extensions" list)}
+
+  @doc """
+  The manifest entry of an extension: its fields with defaults filled in and blank
+  values dropped, without registry-only fields (`id`, health, timestamps).
+
+  ## Examples
+
+      iex> UiWeb.Extensions.Manifest.entry(%{"id" => "ext_1", "name" => "echo", "description" => "", "metadata" => %{"tags" => "a, b"}, "health" => %{}})
+      %{"name" => "echo", "enabled" => false, "metadata" => %{"tags" => ["a", "b"]}, "config" => %{"timeout_ms" => 30000, "max_retries" => 3}}
+  """
+  @spec entry(map()) :: map()
+  def entry(extension) do
+    extension
+    |> Map.take(@fields -- ~w(metadata config enabled))
+    |> Map.put("enabled", extension["enabled"] == true)
+    |> Map.put("metadata", extension |> map_field("metadata") |> Map.take(@metadata_fields) |> Map.update("tags", [], &tags/1) |> reject_blank())
+    |> Map.put("config", Map.merge(@default_config, extension |> map_field("config") |> Map.take(Map.keys(@default_config)) |> reject_blank()))
+    |> reject_blank()
+  end
+
+  defp map_field(extension, field) do
+    case extension[field] do
+      value when is_map(value) -> value
+      _ -> %{}
+    end
+  end
+
+  defp tags(tags) when is_list(tags), do: tags
+
+  defp tags(tags) when is_binary(tags) do
+    tags |> String.split(",") |> Enum.map(&String.trim/1) |> Enum.reject(&(&1 == ""))
+  end
+
+  defp tags(_tags), do: []
+
+  defp reject_blank(map) do
+    map |> Enum.reject(fn {_key, value} -> value in [nil, "", [], %{}] end) |> Map.new()
+  end
+
+  @doc """
+  Compares the manifest `entries` with the registry's `extensions`.
+
+  Each entry is `:invalid` (changeset errors, no name or a name used twice),
+  `:create`, `:update` (with the changed top-level fields in `:changes`) or
+  `:unchanged`. Valid entries carry the params to save in `:params`.
+  """
+  @spec plan([map()], [map()]) :: [entry()]
+  def plan(entries, extensions) do
+    existing = Map.new(extensions, &{&1["name"], &1})
+    duplicates = entries |> Enum.map(& &1["name"]) |> Enum.frequencies() |> Enum.filter(fn {_name, count} -> count > 1 end) |> Map.new()
+
+    entries
+    |> Enum.with_index(1)
+    |> Task.async_stream(fn {attrs, index} -> {index, attrs, validate(attrs)} end,
+      max_concurrency: @validation_concurrency,
+      timeout: @validation_timeout,
+      on_timeout: :kill_task,
+      zip_input_on_exit: true
+    )
+    |> Enum.map(fn
+      {:ok, {index, attrs, errors}} -> plan_entry(index, attrs, errors, existing, duplicates)
+      {:exit, {{attrs, index}, _reason}} -> plan_entry(index, attrs, ["Validation timed out"], existing, duplicates)
+    end)
+  end
+
+  defp validate(attrs) do
+    changeset = Extension.changeset(%Extension{}, Map.take(attrs, @fields))
+
+    Enum.map(changeset.errors, fn {field, {message, opts}} ->
+      "#{field} " <> Regex.replace(~r/%{(\w+)}/, message, fn _, key -> opts |> Keyword.get(String.to_existing_atom(key), key) |> to_string() end)
+    end)
+  end
+
+  defp plan_entry(index, attrs, errors, existing, duplicates) do
+    name = if is_binary(attrs["name"]), do: attrs["name"]
+    params = entry(attrs)
+    current = existing[name]
+
+    errors =
+      cond do
+        is_nil(name) -> errors
+        Map.has_key?(duplicates, name) -> ["name #{name} appears more than once in the manifest" | errors]
+        true -> errors
+      end
+
+    base = %{index: index, name: name, id: current && current["id"], params: params, changes: [], errors: errors}
+
+    cond do
+      errors != [] -> %{base | params: %{}} |> Map.put(:action, :invalid)
+      is_nil(current) -> Map.put(base, :action, :create)
+      true -> changed(base, changed_fields(params, entry(current)))
+    end
+  end
+
+  defp changed(entry, []), do: Map.put(entry, :action, :unchanged)
+  defp changed(entry, changes), do: Map.merge(entry, %{action: :update, changes: changes})
+
+  defp changed_fields(params, current) do
+    Enum.filter(@fields, &(Map.get(params, &1) != Map.get(current, &1)))
+  end
+
+  @doc """
+  Counts plan entries per action.
+
+  ## Examples
+
+      iex> UiWeb.Extensions.Manifest.summary([%{action: :create}, %{action: :create}, %{action: :invalid}])
+      %{create: 2, update: 0, unchanged: 0, invalid: 1}
+  """
+  @spec summary([entry()]) :: %{action() => non_neg_integer()}
+  def summary(plan) do
+    Map.merge(%{create: 0, update: 0, unchanged: 0, invalid: 0}, Enum.frequencies_by(plan, & &1.action))
+  end
+
+  @doc """
+  Writes `extensions` (registry data) as a manifest, sorted by name.
+  """
+  @spec export([map()], format()) :: String.t()
+  def export(extensions, format) do
+    entries = extensions |> Enum.map(&entry/1) |> Enum.sort_by(& &1["name"])
+    manifest = %{"version" => @version, "extensions" => entries}
+
+    case format do
+      :json -> Jason.encode!(manifest, pretty: true) <> "\n"
+      # Keys are sorted, so diffs between exports stay readable
+      :yaml -> Ymlr.document!(manifest, sort_maps: true)
+    end
+  end
+end
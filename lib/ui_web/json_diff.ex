@@ -0,0 +1,69 @@
+defmodule UiWeb.JsonDiff do
+  @moduledoc """
+  Structural diff of two decoded JSON values.
+
+  Objects are compared key by key and arrays index by index, so a change deep in a
+  payload is reported at its own path instead of as a changed top-level value.
+  See `UiWeb.TextDiff` for line-based diffs of rendered text.
+  """
+
+  @type path :: [String.t() | non_neg_integer()]
+  @type change :: %{op: :added | :removed | :changed, path: path(), old: term(), new: term()}
+
+  @doc """
+  Returns the changes needed to turn `old` into `new`, ordered by path.
+
+  ## Examples
+
+      iex> UiWeb.JsonDiff.diff(%{"a" => 1, "b" => [1]}, %{"a" => 2, "b" => [1, 2]})
+      [
+        %{op: :changed, path: ["a"], old: 1, new: 2},
+        %{op: :added, path: ["b", 1], old: nil, new: 2}
+      ]
+  """
+  @spec diff(term(), term()) :: [change()]
+  def diff(old, new), do: diff(old, new, [])
+
+  @doc """
+  Formats a path as `items[0].name` (`(root)` for the value itself).
+  """
+  @spec format_path(path()) :: String.t()
+  def format_path([]), do: "(root)"
+
+  def format_path(path) do
+    Enum.reduce(path, "", fn
+      index, acc when is_integer(index) -> acc <> "[#{index}]"
+      key, "" -> key
+      key, acc -> acc <> "." <> key
+    end)
+  end
+
+  defp diff(same, same, _path), do: []
+
+  defp diff(old, new, path) when is_map(old) and is_map(new) do
+    (Map.keys(old) ++ Map.keys(new))
+    |> Enum.uniq()
+    |> Enum.sort()
+    |> Enum.flat_map(fn key ->
+      case {Map.fetch(old, key), Map.fetch(new, key)} do
+        {{:ok, o}, {:ok, n}} -> diff(o, n, path ++ [key])
+        {{:ok, o}, :error} -> [%{op: :removed, path: path ++ [key], old: o, new: nil}]
+        {:error, {:ok, n}} -> [%{op: :added, path: path ++ [key], old: nil, new: n}]
+      end
+    end)
+  end
+
+  defp diff(old, new, path) when is_list(old) and is_list(new) do
+    max_length = max(length(old), length(new))
+
+    Enum.flat_map(0..(max_length - 1)//1, fn index ->
+      case {Enum.fetch(old, index), Enum.fetch(new, index)} do
+        {{:ok, o}, {:ok, n}} -> diff(o, n, path ++ [index])
+        {{:ok, o}, :error} -> [%{op: :removed, path: path ++ [index], old: o, new: nil}]
+        {:error, {:ok, n}} -> [%{op: :added, path: path ++ [index], old: nil, new: n}]
+      end
+    end)
+  end
+
+  defp diff(old, new, path), do: [%{op: :changed, path: path, old: old, new: new}]
+end
@@ -0,0 +1,214 @@
+defmodule UiWeb.JsonPath do
+  @moduledoc """
+  JSONPath queries over decoded JSON values, for searching payloads in the JSON tree
+  of `UiWebWeb.Components.CodePreview`.
+
+  Supported syntax, with or without the leading `$`:
+
+    * `.name`, `['name']`, `["name"]` - object member
+    * `[2]`, `[-1]`, `[1:3]` - array index (negative counts from the end) and slice
+    * `.*`, `[*]` - every member or element
+    * `..name`, `..*`, `..[0]` - the same, at any depth
+
+  Matches are paths in the `UiWeb.JsonDiff.path()` shape (keys and indexes), so
+  `format/1` renders either as a JSONPath. Object members are visited in sorted key
+  order, as in the tree.
+  """
+
+  @type segment ::
+          {:child, String.t()}
+          | {:index, integer()}
+          | {:slice, integer() | nil, integer() | nil}
+          | :wildcard
+          | {:descendant, segment()}
+
+  @doc """
+  Parses a JSONPath expression into segments.
+
+  ## Examples
+
+      iex> UiWeb.JsonPath.parse("$.users[0]..name")
+      {:ok, [{:child, "users"}, {:index, 0}, {:descendant, {:child, "name"}}]}
+
+      iex> UiWeb.JsonPath.parse("$.users[0")
+      {:error, "Expected ] at 9"}
+  """
+  @spec parse(String.t()) :: {:ok, [segment()]} | {:error, String.t()}
+  def parse(expression) do
+    expression = String.trim(expression)
+
+    case expression do
+      "$" <> rest -> parse_segments(rest, 1, [])
+      "" -> {:error, "Enter a path"}
+      "." <> _ -> parse_segments(expression, 0, [])
+      "[" <> _ -> parse_segments(expression, 0, [])
+      # `users[0]` is read as `$.users[0]`
+      _ -> parse_segments("." <> expression, -1, [])
+    end
+  end
+
+  @doc """
+  Paths of every value in `json` matching `expression`. With `..` a value is matched
+  before its descendants.
+
+  ## Examples
+
+      iex> UiWeb.JsonPath.query(%{"users" => [%{"name" => "Ada"}, %{"name" => "Bob"}]}, "$.users[*].name")
+      {:ok, [["users", 0, "name"], ["users", 1, "name"]]}
+
+      iex> UiWeb.JsonPath.query(%{"a" => %{"id" => 1}, "id" => 2}, "..id")
+      {:ok, [["id"], ["a", "id"]]}
+  """
+  @spec query(term(), String.t()) :: {:ok, [UiWeb.JsonDiff.path()]} | {:error, String.t()}
+  def query(json, expression) do
+    with {:ok, segments} <- parse(expression) do
+      matches =
+        segments
+        |> Enum.reduce([{[], json}], fn segment, nodes -> Enum.flat_map(nodes, &apply_segment(segment, &1)) end)
+        |> Enum.map(fn {path, _value} -> Enum.reverse(path) end)
+        |> Enum.uniq()
+
+      {:ok, matches}
+    end
+  end
+
+  @doc """
+  Formats a path as a JSONPath expression.
+
+  ## Examples
+
+      iex> UiWeb.JsonPath.format(["users", 0, "first name"])
+      "$.users[0]['first name']"
+  """
+  @spec format(UiWeb.JsonDiff.path()) :: String.t()
+  def format(path) do
+    Enum.reduce(path, "$", fn
+      index, acc when is_integer(index) ->
+        acc <> "[#{index}]"
+
+      key, acc ->
+        if Regex.match?(~r/^[A-Za-z_][A-Za-z0-9_]*$/, key) do
+          acc <> "." <> key
+        else
+          acc <> "['" <> String.replace(key, ["\\", "'"], &("\\" <> &1)) <> "']"
+        end
+    end)
+  end
+
+  # Parsing; `offset` is the character offset of `rest` in the expression, for errors
+
+  defp parse_segments("", _offset, acc), do: {:ok, Enum.reverse(acc)}
+
+  defp parse_segments(".." <> rest, offset, acc) do
+    rest = if String.starts_with?(rest, "["), do: rest, else: "." <> rest
+
+    with {:ok, segment, rest, next} <- parse_segment(rest, offset + 1) do
+      parse_segments(rest, next, [{:descendant, segment} | acc])
+    end
+  end
+
+  defp parse_segments(rest, offset, acc) do
+    with {:ok, segment, rest, next} <- parse_segment(rest, offset) do
+      parse_segments(rest, next, [segment | acc])
+    end
+  end
+
+  defp parse_segment(".*" <> rest, offset), do: {:ok, :wildcard, rest, offset + 2}
+
+  defp parse_segment("." <> rest, offset) do
+    case Regex.run(~r/^[^.\[\]\s'"*]+/u, rest) do
+      [name] -> {:ok, {:child, name}, String.slice(rest, String.length(name)..-1//1), offset + 1 + String.length(name)}
+      nil -> {:error, "Expected a name at #{offset + 1}"}
+    end
+  end
+
+  defp parse_segment("[" <> rest, offset) do
+    case Regex.run(~r/^\s*(\*|-?\d+|-?\d*:-?\d*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/u, rest) do
+      [whole, selector] -> {:ok, bracket_segment(selector), String.slice(rest, String.length(whole)..-1//1), offset + 1 + String.length(whole)}
+      nil -> {:error, bracket_error(rest, offset + 1)}
+    end
+  end
+
+  defp parse_segment(_rest, offset), do: {:error, "Expected . or [ at #{offset}"}
+
+  defp bracket_segment("*"), do: :wildcard
+
+  defp bracket_segment(<<quote, _::binary>> = selector) when quote in [?', ?"] do
+    name = selector |> String.slice(1..-2//1) |> String.replace(~r/\\(.)/u, "\\1")
+    {:child, name}
+  end
+
+  defp bracket_segment(selector) do
+    case String.split(selector, ":") do
+      [index] -> {:index, String.to_integer(index)}
+      [from, to] -> {:slice, slice_bound(from), slice_bound(to)}
+    end
+  end
+
+  defp slice_bound(""), do: nil
+  defp slice_bound(bound), do: String.to_integer(bound)
+
+  defp bracket_error(rest, offset) do
+    # Point at the first character that can't be part of a selector
+    case Regex.run(~r/^\s*(\*|-?\d+|-?\d*:-?\d*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")?\s*/u, rest) do
+      [consumed | _] -> "Expected ] at #{offset + String.length(consumed)}"
+    end
+  end
+
+  # Evaluation; paths are built reversed
+
+  defp apply_segment({:child, name}, {path, value}) when is_map(value) do
+    case Map.fetch(value, name) do
+      {:ok, child} -> [{[name | path], child}]
+      :error -> []
+    end
+  end
+
+  defp apply_segment({:index, index}, {path, value}) when is_list(value) do
+    index = if index < 0, do: length(value) + index, else: index
+
+    case index >= 0 && Enum.fetch(value, index) do
+      {:ok, child} -> [{[index | path], child}]
+      _ -> []
+    end
+  end
+
+  defp apply_segment({:slice, from, to}, {path, value}) when is_list(value) do
+    count = length(value)
+    from = bound(from, 0, count)
+    to = bound(to, count, count)
+
+    value
+    |> Enum.with_index()
+    |> Enum.slice(from, max(to - from, 0))
+    |> Enum.map(fn {child, index} -> {[index | path], child} end)
+  end
+
+  defp apply_segment(:wildcard, node), do: children(node)
+
+  defp apply_segment({:descendant, segment}, node) do
+    node
+    |> self_and_descendants()
+    |> Enum.flat_map(&apply_segment(segment, &1))
+  end
+
+  defp apply_segment(_segment, _node), do: []
+
+  defp bound(nil, default, _count), do: default
+  defp bound(index, _default, count) when index < 0, do: max(count + index, 0)
+  defp bound(index, _default, count), do: min(index, count)
+
+  defp children({path, value}) when is_map(value) do
+    value |> Map.keys() |> Enum.sort() |> Enum.map(&{[&1 | path], Map.fetch!(value, &1)})
+  end
+
+  defp children({path, value}) when is_list(value) do
+    value |> Enum.with_index() |> Enum.map(fn {child, index} -> {[index | path], child} end)
+  end
+
+  defp children(_node), do: []
+
+  defp self_and_descendants(node) do
+    [node | Enum.flat_map(children(node), &self_and_descendants/1)]
+  end
+end
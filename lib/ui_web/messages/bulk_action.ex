@@ -0,0 +1,94 @@
+defmodule UiWeb.Messages.BulkAction do
+  @moduledoc """
+  Actions of the bulk bar in `UiWebWeb.MessagesLive.Index`, applied to one message at
+  a time by `UiWeb.Messages.BulkJob`:
+
+    * `:retry` - re-queue the message (`MessagesClient.retry_message/2`)
+    * `{:add_tags, tags}` / `{:remove_tags, tags}` - change `metadata.tags`
+    * `{:set_status, status}` - set the status
+    * `:delete` - delete the message; used when every message matching the filter is
+      selected, an explicit selection goes through `MessagesClient.bulk_delete_messages/2`
+  """
+
+  alias UiWeb.Services.MessagesClient
+
+  @statuses ~w(pending processing completed failed)
+
+  @type t :: :retry | :delete | {:add_tags, [String.t()]} | {:remove_tags, [String.t()]} | {:set_status, String.t()}
+
+  def statuses, do: @statuses
+
+  @doc """
+  The action described by bulk bar params (`"action"` plus `"tags"` or `"status"`).
+
+  ## Examples
+
+      iex> UiWeb.Messages.BulkAction.from_params(%{"action" => "add_tags", "tags" => "billing, eu,,billing"})
+      {:ok, {:add_tags, ["billing", "eu"]}}
+
+      iex> UiWeb.Messages.BulkAction.from_params(%{"action" => "set_status", "status" => "archived"})
+      {:error, "Choose a status"}
+  """
+  @spec from_params(map()) :: {:ok, t()} | {:error, String.t()}
+  def from_params(%{"action" => "retry"}), do: {:ok, :retry}
+  def from_params(%{"action" => "delete"}), do: {:ok, :delete}
+  def from_params(%{"action" => "add_tags"} = params), do: tags_action(:add_tags, params["tags"])
+  def from_params(%{"action" => "remove_tags"} = params), do: tags_action(:remove_tags, params["tags"])
+  def from_params(%{"action" => "set_status", "status" => status}) when status in @statuses, do: {:ok, {:set_status, status}}
+  def from_params(%{"action" => "set_status"}), do: {:error, "Choose a status"}
+  def from_params(_params), do: {:error, "Unknown bulk action"}
+
+  @doc """
+  Short description for progress and summaries.
+
+  ## Examples
+
+      iex> UiWeb.Messages.BulkAction.label({:remove_tags, ["draft", "test"]})
+      "Remove tags draft, test"
+  """
+  @spec label(t()) :: String.t()
+  def label(:retry), do: "Retry"
+  def label(:delete), do: "Delete"
+  def label({:add_tags, tags}), do: "Add tags " <> Enum.join(tags, ", ")
+  def label({:remove_tags, tags}), do: "Remove tags " <> Enum.join(tags, ", ")
+  def label({:set_status, status}), do: "Set status to " <> status
+
+  @doc """
+  Applies `action` to the message `id`. `opts` are the `MessagesClient` Telemetry options.
+  """
+  @spec run(t(), String.t(), keyword()) :: :ok | {:error, term()}
+  def run(:retry, id, opts), do: id |> MessagesClient.retry_message(opts) |> to_result()
+  def run(:delete, id, opts), do: MessagesClient.delete_message(id, opts)
+
+  def run({:set_status, status}, id, opts),
+    do: id |> MessagesClient.update_message(%{"status" => status}, opts) |> to_result()
+
+  def run({op, tags}, id, opts) when op in [:add_tags, :remove_tags] do
+    with {:ok, message} <- MessagesClient.get_message(id, opts) do
+      metadata = message["metadata"] || %{}
+      current = metadata["tags"] || []
+      updated = if op == :add_tags, do: Enum.uniq(current ++ tags), else: current -- tags
+
+      # Nothing to write when the message already has (or lacks) the tags
+      if updated == current do
+        :ok
+      else
+        id |> MessagesClient.update_message(%{"metadata" => Map.put(metadata, "tags", updated)}, opts) |> to_result()
+      end
+    end
+  end
+
+  defp tags_action(op, tags) do
+    tags =
+      (tags || "")
+      |> String.split(",")
+      |> Enum.map(&String.trim/1)
+      |> Enum.reject(&(&1 == ""))
+      |> Enum.uniq()
+
+    if tags == [], do: {:error, "Enter at least one tag"}, else: {:ok, {op, tags}}
+  end
+
+  defp to_result({:ok, _body}), do: :ok
+  defp to_result({:error, reason}), do: {:error, reason}
+end
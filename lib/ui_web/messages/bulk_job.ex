@@ -0,0 +1,211 @@
+defmodule UiWeb.Messages.BulkJob do
+  @moduledoc """
+  Runs a `UiWeb.Messages.BulkAction` over many messages in the background.
+
+  Each job is a process under `UiWeb.Messages.BulkJob.Supervisor`, registered by id in
+  `UiWeb.Messages.BulkJob.Registry`. It works through the messages one at a time and
+  broadcasts `{:bulk_job, progress}` (see `t:progress/0`) on `topic/1` on every
+  status change, and while running at most every 200 ms; `start/3` subscribes the
+  caller, so the LiveView that starts a job sees all of it. `cancel/1` stops a job
+  between two messages or two pages of the selection; what was done stays done.
+
+  The selection is a list of message ids or `{:filters, opts}`, the
+  `MessagesClient.list_messages/1` filter options of "every message matching the
+  filter". Filters are resolved to ids through cursor pages, one per message to the
+  job, before the first message is changed, so the action doesn't shift the pages
+  under the job.
+  """
+  use GenServer, restart: :temporary
+
+  alias UiWeb.Messages.BulkAction
+  alias UiWeb.Services.MessagesClient
+
+  @registry UiWeb.Messages.BulkJob.Registry
+  @supervisor UiWeb.Messages.BulkJob.Supervisor
+  @page_size 100
+  @max_messages 10_000
+  @broadcast_interval_ms 200
+
+  @type status :: :resolving | :running | :done | :cancelled | :failed
+
+  @typedoc """
+  Job state as broadcast. `failed` lists `%{id: id, reason: reason}` in processing
+  order; `error` is set when the selection could not be resolved (status `:failed`).
+  """
+  @type progress :: %{
+          id: String.t(),
+          action: BulkAction.t(),
+          status: status(),
+          total: non_neg_integer(),
+          processed: non_neg_integer(),
+          succeeded: non_neg_integer(),
+          failed: [%{id: String.t(), reason: term()}],
+          error: term()
+        }
+
+  # Public API
+
+  @doc """
+  Starts a job and subscribes the calling process to its progress.
+
+  `opts` are the `MessagesClient` Telemetry options (`:tenant_id`, `:user_id`,
+  `:request_id`) used for every request of the job.
+  """
+  @spec start(BulkAction.t(), [String.t()] | {:filters, keyword()}, keyword()) :: {:ok, String.t()} | {:error, term()}
+  def start(action, selection, opts \\ []) do
+    id = "bulk_" <> Base.encode16(:crypto.strong_rand_bytes(6), case: :lower)
+    :ok = Phoenix.PubSub.subscribe(UiWeb.PubSub, topic(id))
+
+    case DynamicSupervisor.start_child(@supervisor, {__MODULE__, id: id, action: action, selection: selection, client_opts: opts}) do
+      {:ok, _pid} ->
+        {:ok, id}
+
+      {:error, reason} ->
+        Phoenix.PubSub.unsubscribe(UiWeb.PubSub, topic(id))
+        {:error, reason}
+    end
+  end
+
+  @doc false
+  def start_link(args) do
+    GenServer.start_link(__MODULE__, args, name: {:via, Registry, {@registry, Keyword.fetch!(args, :id)}})
+  end
+
+  @doc """
+  Cancels a running job. Returns `{:error, :not_found}` once it has finished.
+  """
+  @spec cancel(String.t()) :: :ok | {:error, :not_found}
+  def cancel(job_id) do
+    case Registry.lookup(@registry, job_id) do
+      [{pid, _value}] -> GenServer.call(pid, :cancel)
+      [] -> {:error, :not_found}
+    end
+  catch
+    # Finished between the lookup and the call
+    :exit, _reason -> {:error, :not_found}
+  end
+
+  @doc "PubSub topic of a job's progress."
+  @spec topic(String.t()) :: String.t()
+  def topic(job_id), do: "bulk_jobs:" <> job_id
+
+  @doc "True while the job is still working."
+  @spec running?(progress() | nil) :: boolean()
+  def running?(%{status: status}), do: status in [:resolving, :running]
+  def running?(_progress), do: false
+
+  # GenServer
+
+  @impl true
+  def init(args) do
+    progress = %{
+      id: Keyword.fetch!(args, :id),
+      action: Keyword.fetch!(args, :action),
+      status: :resolving,
+      total: 0,
+      processed: 0,
+      succeeded: 0,
+      failed: [],
+      error: nil
+    }
+
+    # `failed` and `resolved` are kept newest first and reversed when they are read
+    state = %{
+      progress: progress,
+      selection: Keyword.fetch!(args, :selection),
+      client_opts: Keyword.get(args, :client_opts, []),
+      pending: [],
+      failed: [],
+      resolved: [],
+      broadcast_at: nil
+    }
+
+    {:ok, state, {:continue, :resolve}}
+  end
+
+  @impl true
+  def handle_continue(:resolve, %{selection: {:filters, _filters}} = state) do
+    send(self(), {:resolve, nil})
+    {:noreply, state}
+  end
+
+  def handle_continue(:resolve, %{selection: ids} = state) do
+    {:noreply, run(state, Enum.uniq(ids))}
+  end
+
+  # One page per {:resolve, cursor}, so a cancel call gets in between any two
+  @impl true
+  def handle_info({:resolve, cursor}, %{selection: {:filters, filters}} = state) do
+    opts =
+      filters
+      |> Keyword.drop([:offset, :cursor, :limit])
+      |> Keyword.merge(limit: @page_size, cursor: cursor)
+      |> Keyword.merge(state.client_opts)
+
+    case MessagesClient.list_messages(opts) do
+      {:ok, %{"data" => messages} = body} when is_list(messages) ->
+        resolved = Enum.reduce(messages, state.resolved, &[&1["id"] | &2])
+
+        cond do
+          length(resolved) > @max_messages ->
+            fail(state, {:too_many_messages, @max_messages})
+
+          next = get_in(body, ["pagination", "next_cursor"]) ->
+            send(self(), {:resolve, next})
+            {:noreply, %{state | resolved: resolved}}
+
+          true ->
+            {:noreply, run(%{state | resolved: []}, resolved |> Enum.reverse() |> Enum.uniq())}
+        end
+
+      {:ok, _body} ->
+        fail(state, :invalid_response)
+
+      {:error, reason} ->
+        fail(state, reason)
+    end
+  end
+
+  def handle_info(:next, %{pending: []} = state) do
+    {:stop, :normal, state |> put_progress(status: :done) |> broadcast()}
+  end
+
+  def handle_info(:next, %{pending: [id | rest], progress: progress} = state) do
+    state =
+      case BulkAction.run(progress.action, id, state.client_opts) do
+        :ok -> put_progress(state, succeeded: progress.succeeded + 1)
+        {:error, reason} -> %{state | failed: [%{id: id, reason: reason} | state.failed]}
+      end
+
+    # One message per :next, so a cancel call gets in between any two
+    send(self(), :next)
+    {:noreply, %{state | pending: rest} |> put_progress(processed: progress.processed + 1) |> throttled_broadcast()}
+  end
+
+  @impl true
+  def handle_call(:cancel, _from, state) do
+    {:stop, :normal, :ok, state |> put_progress(status: :cancelled) |> broadcast()}
+  end
+
+  defp run(state, ids) do
+    send(self(), :next)
+    %{state | pending: ids} |> put_progress(status: :running, total: length(ids)) |> broadcast()
+  end
+
+  defp fail(state, reason) do
+    {:stop, :normal, state |> put_progress(status: :failed, error: reason) |> broadcast()}
+  end
+
+  defp put_progress(state, changes), do: %{state | progress: Map.merge(state.progress, Map.new(changes))}
+
+  # Progress of large jobs would flood the subscribers if every message was broadcast
+  defp throttled_broadcast(%{broadcast_at: broadcast_at} = state) do
+    if System.monotonic_time(:millisecond) - broadcast_at >= @broadcast_interval_ms, do: broadcast(state), else: state
+  end
+
+  defp broadcast(state) do
+    progress = %{state.progress | failed: Enum.reverse(state.failed)}
+    Phoenix.PubSub.broadcast(UiWeb.PubSub, topic(progress.id), {:bulk_job, progress})
+    %{state | broadcast_at: System.monotonic_time(:millisecond)}
+  end
+end
@@ -0,0 +1,130 @@
+defmodule UiWeb.Messages.MessageTemplate do
+  @moduledoc """
+  Named message templates of `UiWebWeb.MessagesLive.Form`, saved per tenant through
+  `UiWeb.Services.MessageTemplatesClient`.
+
+  A template is:
+
+    * `"name"` - shown in the composer's template list
+    * `"fields"` - composer form params (see `fields/0`); text fields may contain
+      `{{variable}}` placeholders
+
+  Using a template fills its variables (`preview/2`) and validates the result with
+  `UiWeb.Schemas.MessageForm`, the same way typed input is validated, so a template
+  can only be applied once every variable is filled and the message would be valid.
+  """
+
+  alias UiWeb.Schemas.MessageForm
+
+  @fields ~w(type status prompt response model temperature user_id session_id tenant tags)
+  @placeholder ~r/\{\{\s*([A-Za-z_][A-Za-z0-9_.]*)\s*\}\}/
+  @max_name_length 60
+
+  @type t :: %{optional(String.t()) => term()}
+
+  @type preview :: %{
+          params: %{String.t() => String.t()},
+          missing: [String.t()],
+          changeset: Ecto.Changeset.t()
+        }
+
+  @doc "Composer fields a template keeps, in form order."
+  @spec fields() :: [String.t()]
+  def fields, do: @fields
+
+  @doc """
+  Builds a template named by `params["name"]` from the composer's form params.
+
+  ## Examples
+
+      iex> UiWeb.Messages.MessageTemplate.validate(%{"name" => " Greeting "}, %{"type" => "chat", "prompt" => "Hi {{name}}", "model" => "", "tags" => ["a", "b"], "_target" => "x"})
+      {:ok, %{"name" => "Greeting", "fields" => %{"type" => "chat", "prompt" => "Hi {{name}}", "tags" => "a, b"}}}
+
+      iex> UiWeb.Messages.MessageTemplate.validate(%{"name" => "Empty"}, %{"type" => "chat"})
+      {:error, "A template needs a prompt"}
+  """
+  @spec validate(map(), map()) :: {:ok, t()} | {:error, String.t()}
+  def validate(params, form_params) when is_map(params) and is_map(form_params) do
+    name = params |> Map.get("name", "") |> to_string() |> String.trim()
+    fields = form_fields(form_params)
+
+    cond do
+      name == "" -> {:error, "Name is required"}
+      String.length(name) > @max_name_length -> {:error, "Name must be at most #{@max_name_length} characters"}
+      not Map.has_key?(fields, "prompt") -> {:error, "A template needs a prompt"}
+      true -> {:ok, %{"name" => name, "fields" => fields}}
+    end
+  end
+
+  @doc """
+  Variable names used in the template's fields, in form order without duplicates.
+
+  ## Examples
+
+      iex> UiWeb.Messages.MessageTemplate.variables(%{"fields" => %{"prompt" => "Dear {{ name }}, re {{topic}}", "user_id" => "{{name}}"}})
+      ["name", "topic"]
+  """
+  @spec variables(t()) :: [String.t()]
+  def variables(template) do
+    fields = template["fields"] || %{}
+
+    @fields
+    |> Enum.flat_map(fn field ->
+      case fields[field] do
+        value when is_binary(value) -> @placeholder |> Regex.scan(value) |> Enum.map(&Enum.at(&1, 1))
+        _ -> []
+      end
+    end)
+    |> Enum.uniq()
+  end
+
+  @doc """
+  Fills the template's variables from `values` and validates the result as a message.
+
+  Variables without a value stay as placeholders and are listed in `:missing`. The
+  changeset has the `:validate` action, ready to render its errors.
+
+  ## Examples
+
+      iex> preview = UiWeb.Messages.MessageTemplate.preview(%{"fields" => %{"type" => "chat", "prompt" => "Hi {{name}}"}}, %{"name" => "Ada"})
+      iex> {preview.params, preview.missing, preview.changeset.valid?}
+      {%{"type" => "chat", "prompt" => "Hi Ada"}, [], true}
+  """
+  @spec preview(t(), map()) :: preview()
+  def preview(template, values) when is_map(values) do
+    params = Map.new(template["fields"] || %{}, fn {field, value} -> {field, fill(value, values)} end)
+    missing = Enum.filter(variables(template), &blank?(values[&1]))
+
+    changeset =
+      %MessageForm{}
+      |> MessageForm.changeset(params)
+      |> Map.put(:action, :validate)
+
+    %{params: params, missing: missing, changeset: changeset}
+  end
+
+  @doc "True when every variable of the preview is filled and the message is valid."
+  @spec ready?(preview()) :: boolean()
+  def ready?(%{missing: missing, changeset: changeset}), do: missing == [] and changeset.valid?
+
+  defp fill(value, values) when is_binary(value) do
+    Regex.replace(@placeholder, value, fn placeholder, name ->
+      if blank?(values[name]), do: placeholder, else: to_string(values[name])
+    end)
+  end
+
+  defp fill(value, _values), do: value
+
+  defp form_fields(form_params) do
+    form_params
+    |> Map.take(@fields)
+    |> Enum.map(fn
+      {field, value} when is_list(value) -> {field, Enum.join(value, ", ")}
+      {field, value} -> {field, to_string(value)}
+    end)
+    |> Enum.reject(fn {_field, value} -> String.trim(value) == "" end)
+    |> Map.new()
+  end
+
+  defp blank?(value), do: value |> to_string() |> String.trim() == ""
+end
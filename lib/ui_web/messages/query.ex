@@ -0,0 +1,265 @@
+defmodule UiWeb.Messages.Query do
+  @moduledoc """
+  Structured search syntax of the messages page, e.g.
+
+      type:chat status:failed created:>2026-10-01 tag:billing -subject:"test"
+
+  A query is a list of whitespace-separated terms:
+
+    * `field:value` - one of the fields below; quote values that contain spaces
+      (`subject:"weekly report"`)
+    * free text - matched against content and metadata, like the plain search
+    * a leading `-` excludes matching messages (`-status:failed`, `-draft`)
+
+  | Field     | Values                                           | Gateway param |
+  |-----------|--------------------------------------------------|---------------|
+  | `type`    | `chat`, `code`, `completion`                     | `type` (any of, comma-separated) |
+  | `status`  | `pending`, `processing`, `completed`, `failed`   | `status` (any of, comma-separated) |
+  | `tag`     | a metadata tag                                   | `tag` (all of, comma-separated) |
+  | `subject` | text in the subject (the first prompt line)      | `subject` |
+  | `user`    | metadata user id                                 | `user` |
+  | `created` | `YYYY-MM-DD` or an ISO 8601 time, optionally after `>`, `>=`, `<` or `<=` | `from_date` (inclusive), `to_date` (exclusive) |
+
+  Excluded terms go to `exclude_<param>` (`exclude_search` for free text). `parse/1`
+  is the only place the syntax is read; it reports every invalid term with its
+  character offset so the page can mark it, and `to_params/1` turns the terms into
+  `UiWeb.Services.MessagesClient.list_messages/1` options.
+  """
+
+  @values %{
+    "type" => ~w(chat code completion),
+    "status" => ~w(pending processing completed failed),
+    "tag" => [],
+    "subject" => [],
+    "user" => [],
+    "created" => []
+  }
+
+  # Fields that may be given once (per sign); the others are combined
+  @single_fields ~w(subject user)
+  @comparators [">=", "<=", ">", "<"]
+
+  # {field, negate} => list_messages/1 option
+  @param_keys (for field <- ["search" | Map.keys(@values) -- ["created"]], negate <- [false, true], into: %{} do
+                 {{field, negate}, String.to_atom(if(negate, do: "exclude_" <> field, else: field))}
+               end)
+
+  @type query_term :: %{
+          required(:field) => String.t() | nil,
+          required(:value) => String.t(),
+          required(:negate) => boolean(),
+          required(:offset) => non_neg_integer(),
+          required(:length) => pos_integer(),
+          optional(:from) => String.t() | nil,
+          optional(:to) => String.t() | nil
+        }
+
+  @type error :: %{message: String.t(), offset: non_neg_integer(), length: pos_integer(), token: String.t()}
+
+  @doc """
+  Field names with their known values, for autocomplete.
+  """
+  @spec fields() :: %{String.t() => [String.t()]}
+  def fields, do: @values
+
+  @doc """
+  Parses a query into terms, or returns every error found.
+
+  ## Examples
+
+      iex> {:ok, [term]} = UiWeb.Messages.Query.parse("-status:failed")
+      iex> Map.take(term, [:field, :value, :negate])
+      %{field: "status", value: "failed", negate: true}
+
+      iex> UiWeb.Messages.Query.parse("type:chat colour:red")
+      {:error, [%{message: "Unknown field \\"colour\\"", offset: 10, length: 10, token: "colour:red"}]}
+  """
+  @spec parse(String.t() | nil) :: {:ok, [query_term()]} | {:error, [error()]}
+  def parse(nil), do: {:ok, []}
+
+  def parse(query) when is_binary(query) do
+    {terms, errors} =
+      query
+      |> tokens()
+      |> Enum.reduce({[], []}, fn token, {terms, errors} ->
+        with {:ok, term} <- parse_token(token),
+             nil <- duplicate(term, terms) do
+          {[term | terms], errors}
+        else
+          {:error, message} -> {terms, [error(token, message) | errors]}
+          message -> {terms, [error(token, message) | errors]}
+        end
+      end)
+
+    case errors do
+      [] -> {:ok, Enum.reverse(terms)}
+      errors -> {:error, Enum.reverse(errors)}
+    end
+  end
+
+  @doc """
+  `MessagesClient.list_messages/1` options for parsed terms.
+
+  ## Examples
+
+      iex> {:ok, terms} = UiWeb.Messages.Query.parse(~s(type:chat type:code created:>2026-10-01 tag:billing -subject:"test" timeout))
+      iex> UiWeb.Messages.Query.to_params(terms)
+      [type: "chat,code", from_date: "2026-10-02T00:00:00Z", tag: "billing", exclude_subject: "test", search: "timeout"]
+  """
+  @spec to_params([query_term()]) :: keyword()
+  def to_params(terms) when is_list(terms) do
+    terms
+    |> Enum.flat_map(&term_params/1)
+    |> Enum.reduce([], fn {key, value}, acc ->
+      case Keyword.fetch(acc, key) do
+        {:ok, current} -> List.keyreplace(acc, key, 0, {key, join(key, current, value)})
+        :error -> acc ++ [{key, value}]
+      end
+    end)
+  end
+
+  # Tokens are runs of non-space characters where quoted parts may contain spaces.
+  # Offsets are converted from bytes to characters for the browser.
+  defp tokens(query) do
+    ~r/(?:"[^"]*"?|[^\s"]+)+/u
+    |> Regex.scan(query, return: :index)
+    |> Enum.map(fn [{start, len}] ->
+      text = binary_part(query, start, len)
+      %{text: text, offset: String.length(binary_part(query, 0, start)), length: String.length(text)}
+    end)
+  end
+
+  defp parse_token(%{text: text} = token) do
+    {negate, body} =
+      case text do
+        "-" <> rest when rest != "" -> {true, rest}
+        _ -> {false, text}
+      end
+
+    case Regex.run(~r/^([A-Za-z_]+):(.*)$/s, body) do
+      [_, name, raw] -> parse_field(token, String.downcase(name), raw, negate)
+      nil -> parse_text(token, body, negate)
+    end
+  end
+
+  defp parse_field(token, name, raw, negate) do
+    with :ok <- known_field(name),
+         {:ok, value} <- unquote_value(raw),
+         {:ok, extra} <- validate(name, value, negate) do
+      {:ok, Map.merge(new_term(token, name, value, negate), extra)}
+    end
+  end
+
+  defp parse_text(token, body, negate) do
+    case unquote_value(body) do
+      {:ok, value} -> {:ok, new_term(token, nil, value, negate)}
+      {:error, "Missing value"} -> {:error, "Empty search term"}
+      {:error, message} -> {:error, message}
+    end
+  end
+
+  defp new_term(token, field, value, negate),
+    do: %{field: field, value: value, negate: negate, offset: token.offset, length: token.length}
+
+  defp known_field(name) do
+    if Map.has_key?(@values, name), do: :ok, else: {:error, "Unknown field \"#{name}\""}
+  end
+
+  defp unquote_value(""), do: {:error, "Missing value"}
+
+  defp unquote_value("\"" <> rest) do
+    cond do
+      not String.ends_with?(rest, "\"") -> {:error, "Unterminated quote"}
+      rest == "\"" -> {:error, "Missing value"}
+      String.contains?(String.slice(rest, 0..-2//1), "\"") -> {:error, "Unexpected quote"}
+      true -> {:ok, String.slice(rest, 0..-2//1)}
+    end
+  end
+
+  defp unquote_value(raw) do
+    if String.contains?(raw, "\""), do: {:error, "Unexpected quote"}, else: {:ok, raw}
+  end
+
+  defp validate("created", _value, true), do: {:error, "created can't be excluded, use < or > instead"}
+  defp validate("created", value, false), do: created_range(value)
+
+  defp validate(field, value, _negate) do
+    case @values[field] do
+      [] ->
+        {:ok, %{}}
+
+      allowed ->
+        if value in allowed,
+          do: {:ok, %{}},
+          else: {:error, "Unknown #{field} \"#{value}\", expected #{Enum.join(allowed, ", ")}"}
+    end
+  end
+
+  # from is inclusive and to exclusive, so a day covers [day, day + 1)
+  defp created_range(value) do
+    {op, time} =
+      case Enum.find(@comparators, &String.starts_with?(value, &1)) do
+        nil -> {nil, value}
+        op -> {op, String.replace_prefix(value, op, "")}
+      end
+
+    case {op, parse_time(time)} do
+      {_, :error} -> {:error, "Invalid date \"#{time}\", expected YYYY-MM-DD or an ISO 8601 time"}
+      {nil, {:date, date}} -> {:ok, %{from: day(date), to: day(Date.add(date, 1))}}
+      {">", {:date, date}} -> {:ok, %{from: day(Date.add(date, 1)), to: nil}}
+      {">=", {:date, date}} -> {:ok, %{from: day(date), to: nil}}
+      {"<", {:date, date}} -> {:ok, %{from: nil, to: day(date)}}
+      {"<=", {:date, date}} -> {:ok, %{from: nil, to: day(Date.add(date, 1))}}
+      {nil, {:datetime, _}} -> {:error, "Compare a time with >, >=, < or <="}
+      {op, {:datetime, time}} when op in [">", ">="] -> {:ok, %{from: time, to: nil}}
+      {_, {:datetime, time}} -> {:ok, %{from: nil, to: time}}
+    end
+  end
+
+  defp parse_time(value) do
+    case Date.from_iso8601(value) do
+      {:ok, date} ->
+        {:date, date}
+
+      {:error, _} ->
+        case DateTime.from_iso8601(value) do
+          {:ok, datetime, _offset} -> {:datetime, DateTime.to_iso8601(datetime)}
+          {:error, _} -> :error
+        end
+    end
+  end
+
+  defp day(date), do: Date.to_iso8601(date) <> "T00:00:00Z"
+
+  defp duplicate(%{field: field, negate: negate}, terms) when field in @single_fields do
+    if Enum.any?(terms, &(&1.field == field and &1.negate == negate)),
+      do: "#{if negate, do: "-", else: ""}#{field}: is already given"
+  end
+
+  defp duplicate(%{field: "created"} = term, terms) do
+    previous = Enum.filter(terms, &(&1.field == "created"))
+
+    cond do
+      term.from && Enum.any?(previous, & &1.from) -> "created: already has a start"
+      term.to && Enum.any?(previous, & &1.to) -> "created: already has an end"
+      true -> nil
+    end
+  end
+
+  defp duplicate(_term, _terms), do: nil
+
+  defp term_params(%{field: "created", from: from, to: to}),
+    do: Enum.reject([from_date: from, to_date: to], fn {_k, v} -> is_nil(v) end)
+
+  defp term_params(%{field: field, value: value, negate: negate}) do
+    [{Map.fetch!(@param_keys, {field || "search", negate}), value}]
+  end
+
+  # Free text keeps its spaces so a plain search matches the phrase as before
+  defp join(key, current, value) when key in [:search, :exclude_search], do: current <> " " <> value
+  defp join(_key, current, value), do: current <> "," <> value
+
+  defp error(%{text: text, offset: offset, length: length}, message),
+    do: %{message: message, offset: offset, length: length, token: text}
+
+end
@@ -0,0 +1,154 @@
+defmodule UiWeb.Messages.SavedView do
+  @moduledoc """
+  Filter state of `UiWebWeb.MessagesLive.Index` and the named views saved from it.
+
+  Filters are a map of `"status"`, `"type"`, `"search"`, `"sort"`, `"order"` and
+  `"limit"` (page size). They round-trip through the URL query (`from_params/1`,
+  `to_params/1`), which only carries values that differ from the defaults.
+
+  A saved view is stored per user and tenant through `UiWeb.Services.SavedViewsClient`:
+
+    * `"name"` - shown in the views bar and the navigation
+    * `"filters"` - the filters above
+    * `"pinned"` - listed in the app navigation
+    * `"default"` - applied when the messages page is opened without filters; at most
+      one view of a user is the default
+  """
+
+  @sort_fields ~w(created_at)
+  @orders ~w(asc desc)
+  @page_sizes [25, 50, 100]
+  @max_name_length 60
+
+  @defaults %{
+    "status" => "all",
+    "type" => "all",
+    "search" => "",
+    "sort" => "created_at",
+    "order" => "desc",
+    "limit" => 50
+  }
+
+  @type filters :: %{String.t() => String.t() | pos_integer()}
+  @type t :: %{optional(String.t()) => term()}
+
+  def defaults, do: @defaults
+  def page_sizes, do: @page_sizes
+
+  @doc """
+  Filters from URL query params; missing or unknown values fall back to the defaults.
+
+  Status and type are passed through as given, the gateway decides what they match.
+
+  ## Examples
+
+      iex> UiWeb.Messages.SavedView.from_params(%{"status" => "failed", "order" => "asc", "limit" => "25", "tenant_id" => "t1"})
+      %{"status" => "failed", "type" => "all", "search" => "", "sort" => "created_at", "order" => "asc", "limit" => 25}
+
+      iex> UiWeb.Messages.SavedView.from_params(%{"sort" => "drop_table", "limit" => "1000"})
+      %{"status" => "all", "type" => "all", "search" => "", "sort" => "created_at", "order" => "desc", "limit" => 50}
+  """
+  @spec from_params(map()) :: filters()
+  def from_params(params) when is_map(params) do
+    %{
+      "status" => non_empty(params["status"], @defaults["status"]),
+      "type" => non_empty(params["type"], @defaults["type"]),
+      "search" => to_string(params["search"] || ""),
+      "sort" => one_of(params["sort"], @sort_fields, @defaults["sort"]),
+      "order" => one_of(params["order"], @orders, @defaults["order"]),
+      "limit" => page_size(params["limit"])
+    }
+  end
+
+  @doc """
+  URL query params for `filters`, leaving out defaults.
+
+  ## Examples
+
+      iex> UiWeb.Messages.SavedView.to_params(%{"status" => "failed", "type" => "all", "search" => "", "sort" => "created_at", "order" => "asc", "limit" => 50})
+      %{"status" => "failed", "order" => "asc"}
+  """
+  @spec to_params(map()) :: %{String.t() => String.t()}
+  def to_params(filters) when is_map(filters) do
+    filters
+    |> from_params()
+    |> Enum.reject(fn {key, value} -> value == @defaults[key] end)
+    |> Map.new(fn {key, value} -> {key, to_string(value)} end)
+  end
+
+  @doc """
+  True when `params` carry any filter, i.e. the URL asks for a specific view.
+  """
+  @spec filtered?(map()) :: boolean()
+  def filtered?(params) when is_map(params) do
+    Enum.any?(Map.keys(@defaults), &Map.has_key?(params, &1))
+  end
+
+  @doc """
+  Builds a view from form params and the current filters.
+
+  ## Examples
+
+      iex> UiWeb.Messages.SavedView.validate(%{"name" => " Failed chats ", "pinned" => "true"}, %{"status" => "failed", "type" => "chat"})
+      {:ok, %{"name" => "Failed chats", "pinned" => true, "default" => false, "filters" => %{"status" => "failed", "type" => "chat", "search" => "", "sort" => "created_at", "order" => "desc", "limit" => 50}}}
+
+      iex> UiWeb.Messages.SavedView.validate(%{"name" => ""}, %{})
+      {:error, "Name is required"}
+  """
+  @spec validate(map(), map()) :: {:ok, t()} | {:error, String.t()}
+  def validate(params, filters) when is_map(params) and is_map(filters) do
+    name = params |> Map.get("name", "") |> to_string() |> String.trim()
+
+    cond do
+      name == "" ->
+        {:error, "Name is required"}
+
+      String.length(name) > @max_name_length ->
+        {:error, "Name must be at most #{@max_name_length} characters"}
+
+      true ->
+        {:ok,
+         %{
+           "name" => name,
+           "filters" => from_params(filters),
+           "pinned" => checked?(params["pinned"]),
+           "default" => checked?(params["default"])
+         }}
+    end
+  end
+
+  @doc "The user's default view, if any."
+  @spec default_view([t()]) :: t() | nil
+  def default_view(views), do: Enum.find(views, &(&1["default"] == true))
+
+  @doc "Views pinned to the navigation, in list order."
+  @spec pinned([t()]) :: [t()]
+  def pinned(views), do: Enum.filter(views, &(&1["pinned"] == true))
+
+  @doc """
+  The view whose filters equal `filters`, to highlight it in the views bar.
+  """
+  @spec matching([t()], filters()) :: t() | nil
+  def matching(views, filters) do
+    current = from_params(filters)
+    Enum.find(views, &(from_params(&1["filters"] || %{}) == current))
+  end
+
+  defp non_empty(value, default) when value in [nil, ""], do: default
+  defp non_empty(value, _default), do: to_string(value)
+
+  defp one_of(value, allowed, default), do: if(value in allowed, do: value, else: default)
+
+  defp page_size(value) when is_integer(value) and value in @page_sizes, do: value
+
+  defp page_size(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {size, ""} when size in @page_sizes -> size
+      _ -> @defaults["limit"]
+    end
+  end
+
+  defp page_size(_value), do: @defaults["limit"]
+
+  defp checked?(value), do: value in [true, "true", "on"]
+end
@@ -0,0 +1,81 @@
+defmodule UiWeb.Metrics.History do
+  @moduledoc """
+  Rolling in-memory history of dashboard metrics, per tenant.
+
+  `UiWeb.Alerts.Evaluator` records the `/metrics` snapshot of every tenant with alert
+  rules on each evaluation, whether a dashboard is open or not; `DashboardLive` adds
+  the snapshots it polls, which also covers tenants without rules while it is open.
+  Samples older than the retention (24h, the longest chart range) are dropped, and
+  a sample closer than 2s to the previous one is skipped, so the evaluator and
+  several open dashboards of the same tenant don't record the same poll twice.
+
+  The history is lost on restart; it only backs the charts.
+  """
+  use GenServer
+
+  alias UiWeb.Metrics.Series
+
+  @retention_ms 24 * 60 * 60_000
+  @min_interval_ms 2_000
+
+  def start_link(_opts \\ []) do
+    GenServer.start_link(__MODULE__, %{}, name: __MODULE__)
+  end
+
+  @doc """
+  Records a `/metrics` snapshot (normalized with `UiWeb.Metrics.Series.normalize/1`)
+  for `tenant_id` at `at_ms` (default: now).
+  """
+  @spec record(String.t(), map(), integer()) :: :ok
+  def record(tenant_id, metrics, at_ms \\ now()) do
+    GenServer.call(__MODULE__, {:record, tenant_id, Series.normalize(metrics), at_ms})
+  end
+
+  @doc """
+  Samples `{at_ms, sample}` of `tenant_id` within the last `range_ms` before `now_ms`, oldest first.
+  """
+  @spec samples(String.t(), pos_integer(), integer()) :: [{integer(), Series.sample()}]
+  def samples(tenant_id, range_ms, now_ms \\ now()) do
+    GenServer.call(__MODULE__, {:samples, tenant_id, now_ms - range_ms})
+  end
+
+  @impl true
+  def init(tenants), do: {:ok, tenants}
+
+  @impl true
+  def handle_call({:record, tenant_id, sample, at_ms}, _from, tenants) do
+    queue =
+      tenants
+      |> Map.get(tenant_id, :queue.new())
+      |> append(at_ms, sample)
+      |> drop_before(at_ms - @retention_ms)
+
+    {:reply, :ok, Map.put(tenants, tenant_id, queue)}
+  end
+
+  def handle_call({:samples, tenant_id, since_ms}, _from, tenants) do
+    samples =
+      tenants
+      |> Map.get(tenant_id, :queue.new())
+      |> :queue.to_list()
+      |> Enum.drop_while(fn {at, _sample} -> at < since_ms end)
+
+    {:reply, samples, tenants}
+  end
+
+  defp append(queue, at_ms, sample) do
+    case :queue.peek_r(queue) do
+      {:value, {last_at, _}} when at_ms - last_at < @min_interval_ms -> queue
+      _ -> :queue.in({at_ms, sample}, queue)
+    end
+  end
+
+  defp drop_before(queue, cutoff_ms) do
+    case :queue.peek(queue) do
+      {:value, {at, _}} when at < cutoff_ms -> queue |> :queue.drop() |> drop_before(cutoff_ms)
+      _ -> queue
+    end
+  end
+
+  defp now, do: System.system_time(:millisecond)
+end
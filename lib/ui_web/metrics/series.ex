@@ -0,0 +1,150 @@
+defmodule UiWeb.Metrics.Series do
+  @moduledoc """
+  Normalized dashboard metrics and the time series built from them.
+
+  A `/metrics` snapshot is flattened into a sample of numbers (`normalize/1`) so
+  `UiWeb.Metrics.History` can keep it per tenant; `points/3` and `trend/2` turn a
+  list of `{at_ms, sample}` into chart data and trend arrows.
+  """
+
+  @keys ~w(throughput latency_p50 latency_p95 error_rate nats_connected nats_in_msgs nats_out_msgs)
+  @ranges [{"5m", 5 * 60_000}, {"1h", 60 * 60_000}, {"24h", 24 * 60 * 60_000}]
+
+  # Relative change between the older and newer half of a window below which a
+  # metric counts as stable
+  @stable_threshold 0.05
+
+  @type sample :: %{String.t() => number() | nil}
+
+  @doc """
+  Sample keys, in display order.
+  """
+  @spec keys() :: [String.t()]
+  def keys, do: @keys
+
+  @doc """
+  Chart ranges (`"5m"`, `"1h"`, `"24h"`), shortest first.
+  """
+  @spec ranges() :: [String.t()]
+  def ranges, do: Enum.map(@ranges, &elem(&1, 0))
+
+  @doc """
+  Length of `range` in milliseconds; unknown ranges fall back to the shortest one.
+  """
+  @spec range_ms(String.t()) :: pos_integer()
+  def range_ms(range) do
+    case List.keyfind(@ranges, range, 0) do
+      {_range, ms} -> ms
+      nil -> @ranges |> hd() |> elem(1)
+    end
+  end
+
+  @doc """
+  Flattens a `/metrics` snapshot (string or atom keys) into a sample.
+
+  Error rate is kept as a fraction; NATS connectivity becomes `1`/`0`. Missing or
+  non-numeric values are `nil`.
+
+  ## Examples
+
+      iex> UiWeb.Metrics.Series.normalize(%{"rps" => 100, "latency" => %{"p50" => 10}, "nats" => %{"connected" => true}})
+      %{
+        "throughput" => 100,
+        "latency_p50" => 10,
+        "latency_p95" => nil,
+        "error_rate" => nil,
+        "nats_connected" => 1,
+        "nats_in_msgs" => nil,
+        "nats_out_msgs" => nil
+      }
+  """
+  @spec normalize(map()) :: sample()
+  def normalize(metrics) when is_map(metrics) do
+    latency = map_value(metrics, "latency")
+    nats = map_value(metrics, "nats")
+
+    %{
+      "throughput" => number(fetch(metrics, "rps")),
+      "latency_p50" => number(fetch(latency, "p50")),
+      "latency_p95" => number(fetch(latency, "p95")),
+      "error_rate" => number(fetch(metrics, "error_rate")),
+      "nats_connected" => connected(fetch(nats, "connected")),
+      "nats_in_msgs" => number(fetch(nats, "in_msgs")),
+      "nats_out_msgs" => number(fetch(nats, "out_msgs"))
+    }
+  end
+
+  @doc """
+  Chart points `[at_ms, value]` of `key`, oldest first, skipping samples without a value.
+
+  More than `max_points` samples are averaged into `max_points` equal time buckets,
+  so a 24h range stays cheap to send and draw.
+  """
+  @spec points([{integer(), sample()}], String.t(), pos_integer()) :: [[number()]]
+  def points(samples, key, max_points \\ 300) do
+    values = for {at, sample} <- samples, is_number(sample[key]), do: {at, sample[key]}
+
+    if length(values) <= max_points do
+      Enum.map(values, fn {at, value} -> [at, value] end)
+    else
+      downsample(values, max_points)
+    end
+  end
+
+  @doc """
+  Trend of `key` over `samples`: `"up"`, `"down"` or `"stable"`, comparing the mean
+  of the newer half of the window with the older half. `nil` with fewer than two values.
+  """
+  @spec trend([{integer(), sample()}], String.t()) :: String.t() | nil
+  def trend(samples, key) do
+    values = for {_at, sample} <- samples, is_number(sample[key]), do: sample[key]
+
+    case values do
+      [_, _ | _] ->
+        {older, newer} = Enum.split(values, div(length(values), 2))
+        compare(mean(older), mean(newer))
+
+      _ ->
+        nil
+    end
+  end
+
+  defp compare(old, new) do
+    change = if old == 0, do: new - old, else: (new - old) / abs(old)
+
+    cond do
+      abs(change) < @stable_threshold -> "stable"
+      change > 0 -> "up"
+      true -> "down"
+    end
+  end
+
+  defp downsample([{first, _} | _] = values, max_points) do
+    {last, _} = List.last(values)
+    bucket_ms = max(div(last - first, max_points) + 1, 1)
+
+    values
+    |> Enum.chunk_by(fn {at, _value} -> div(at - first, bucket_ms) end)
+    |> Enum.map(fn bucket ->
+      [mean(Enum.map(bucket, &elem(&1, 0))) |> round(), mean(Enum.map(bucket, &elem(&1, 1)))]
+    end)
+  end
+
+  defp mean(values), do: Enum.sum(values) / length(values)
+
+  defp map_value(map, key) do
+    case fetch(map, key) do
+      value when is_map(value) -> value
+      _ -> %{}
+    end
+  end
+
+  defp fetch(map, key), do: Map.get(map, key, Map.get(map, String.to_atom(key)))
+
+  defp number(value) when is_number(value), do: value
+  defp number(_value), do: nil
+
+  defp connected(true), do: 1
+  defp connected(false), do: 0
+  defp connected(_value), do: nil
+end
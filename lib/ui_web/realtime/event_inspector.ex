@@ -0,0 +1,172 @@
+defmodule UiWeb.Realtime.EventInspector do
+  @moduledoc """
+  Filters, bounded buffer and per-subject rates of the NATS event inspector
+  (`UiWebWeb.EventsLive`), over the entries `UiWeb.Realtime.EventSubscriber`
+  broadcasts on its inspector topic.
+
+  Filters are URL params:
+
+    * `"subject"` - a NATS subject pattern: `*` matches one token, a trailing `>`
+      matches the rest (`beamline.*.events.>`)
+    * `"type"` - the event's `"type"`
+    * `"tenant"` - a tenant id, or `"none"` for events without a tenant
+  """
+
+  alias UiWeb.Auth.Roles
+
+  @filters %{"subject" => "", "type" => "", "tenant" => ""}
+  @no_tenant "none"
+  # Rates are averaged over this window
+  @rate_window_ms 10_000
+
+  @type entry :: UiWeb.Realtime.EventSubscriber.entry()
+  @type rates :: %{String.t() => %{total: non_neg_integer(), recent: [integer()]}}
+
+  @doc "Filters that match every event."
+  @spec default_filters() :: map()
+  def default_filters, do: @filters
+
+  @doc "Filter value for events without a tenant."
+  @spec no_tenant() :: String.t()
+  def no_tenant, do: @no_tenant
+
+  @doc """
+  Reads the filters from URL params, dropping unknown keys.
+
+  ## Examples
+
+      iex> UiWeb.Realtime.EventInspector.filters(%{"subject" => " beamline.> ", "page" => "2"})
+      %{"subject" => "beamline.>", "type" => "", "tenant" => ""}
+  """
+  @spec filters(map()) :: map()
+  def filters(params) do
+    Map.new(@filters, fn {key, default} ->
+      case params[key] do
+        value when is_binary(value) -> {key, String.trim(value)}
+        _ -> {key, default}
+      end
+    end)
+  end
+
+  @doc """
+  Validates a subject pattern; `>` may only be the last token.
+
+  ## Examples
+
+      iex> UiWeb.Realtime.EventInspector.validate_pattern("beamline.*.events.>")
+      :ok
+
+      iex> UiWeb.Realtime.EventInspector.validate_pattern("beamline.>.created")
+      {:error, "> must be the last token"}
+
+      iex> UiWeb.Realtime.EventInspector.validate_pattern("beamline..events")
+      {:error, "Empty token at 2"}
+  """
+  @spec validate_pattern(String.t()) :: :ok | {:error, String.t()}
+  def validate_pattern(""), do: :ok
+
+  def validate_pattern(pattern) do
+    tokens = String.split(pattern, ".")
+
+    cond do
+      index = Enum.find_index(tokens, &(&1 == "")) -> {:error, "Empty token at #{index + 1}"}
+      ">" in Enum.drop(tokens, -1) -> {:error, "> must be the last token"}
+      true -> :ok
+    end
+  end
+
+  @doc """
+  Returns true when `subject` matches the NATS subject `pattern`; a blank pattern
+  matches everything and an invalid one nothing.
+
+  ## Examples
+
+      iex> UiWeb.Realtime.EventInspector.subject_matches?("beamline.*.events.>", "beamline.messages.events.created")
+      true
+
+      iex> UiWeb.Realtime.EventInspector.subject_matches?("beamline.messages.*", "beamline.messages.events.created")
+      false
+  """
+  @spec subject_matches?(String.t(), String.t()) :: boolean()
+  def subject_matches?("", _subject), do: true
+
+  def subject_matches?(pattern, subject) do
+    validate_pattern(pattern) == :ok and tokens_match?(String.split(pattern, "."), String.split(subject, "."))
+  end
+
+  defp tokens_match?([">"], [_ | _]), do: true
+  defp tokens_match?(["*" | pattern], [_ | subject]), do: tokens_match?(pattern, subject)
+  defp tokens_match?([token | pattern], [token | subject]), do: tokens_match?(pattern, subject)
+  defp tokens_match?([], []), do: true
+  defp tokens_match?(_pattern, _subject), do: false
+
+  @doc "Returns true when `entry` passes every filter."
+  @spec matches?(entry(), map()) :: boolean()
+  def matches?(entry, filters) do
+    subject_matches?(filters["subject"], entry.subject) and
+      filters["type"] in ["", entry.type] and
+      tenant_matches?(filters["tenant"], entry.tenant_id)
+  end
+
+  defp tenant_matches?("", _tenant_id), do: true
+  defp tenant_matches?(@no_tenant, tenant_id), do: is_nil(tenant_id)
+  defp tenant_matches?(tenant, tenant_id), do: tenant == tenant_id
+
+  @doc """
+  Returns true when a user with `role`, allowed `tenants`, may see `entry`.
+
+  Events belong to their tenant. Events without one are shown to everyone on global
+  subjects (extensions, workers) only; elsewhere, such as a message that failed to
+  decode, the tenant is unknown and only roles allowed `:inspect_unscoped_events`
+  see them.
+  """
+  @spec visible?(entry(), [String.t()], String.t()) :: boolean()
+  def visible?(%{tenant_id: tenant_id}, tenants, _role) when is_binary(tenant_id), do: tenant_id in tenants
+  def visible?(%{global: true}, _tenants, _role), do: true
+  def visible?(_entry, _tenants, role), do: Roles.allowed?(role, :inspect_unscoped_events)
+
+  @doc """
+  Drops the raw body of an undecodable event unless `role` may inspect unscoped
+  events: without a tenant, the body may be any tenant's payload.
+  """
+  @spec redact(entry(), String.t()) :: entry()
+  def redact(%{tenant_id: nil, raw: raw} = entry, role) when is_binary(raw) do
+    if Roles.allowed?(role, :inspect_unscoped_events), do: entry, else: %{entry | raw: nil}
+  end
+
+  def redact(entry, _role), do: entry
+
+  @doc "Adds `entry` to the front of `entries`, keeping the newest `limit`."
+  @spec push([entry()], entry(), pos_integer()) :: [entry()]
+  def push(entries, entry, limit), do: Enum.take([entry | entries], limit)
+
+  @doc "Counts an event on `subject` received at `now_ms` (monotonic milliseconds)."
+  @spec track(rates(), String.t(), integer()) :: rates()
+  def track(rates, subject, now_ms) do
+    Map.update(rates, subject, %{total: 1, recent: [now_ms]}, fn %{total: total, recent: recent} ->
+      %{total: total + 1, recent: [now_ms | prune(recent, now_ms)]}
+    end)
+  end
+
+  @doc """
+  Per-subject counters at `now_ms`, busiest first: the total since the page opened
+  and events per second over the last 10 seconds.
+
+  ## Examples
+
+      iex> alias UiWeb.Realtime.EventInspector
+      iex> rates = %{} |> EventInspector.track("a", 0) |> EventInspector.track("b", 5_000) |> EventInspector.track("b", 9_000)
+      iex> EventInspector.rate_rows(rates, 12_000)
+      [%{subject: "b", total: 2, per_second: 0.2}, %{subject: "a", total: 1, per_second: 0.0}]
+  """
+  @spec rate_rows(rates(), integer()) :: [%{subject: String.t(), total: non_neg_integer(), per_second: float()}]
+  def rate_rows(rates, now_ms) do
+    rates
+    |> Enum.map(fn {subject, %{total: total, recent: recent}} ->
+      %{subject: subject, total: total, per_second: length(prune(recent, now_ms)) * 1000 / @rate_window_ms}
+    end)
+    |> Enum.sort_by(&{-&1.per_second, -&1.total, &1.subject})
+  end
+
+  defp prune(recent, now_ms), do: Enum.take_while(recent, &(now_ms - &1 < @rate_window_ms))
+end
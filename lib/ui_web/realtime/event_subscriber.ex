@@ -6,6 +6,17 @@ defmodule UiWeb.Realtime.EventSubscriber do
   - beamline.extensions.events.* (extension updates)
   - beamline.messages.events.* (message updates)
   - beamline.policies.events.* (policy updates)
+
+  Message and policy events that carry a `"tenant_id"` (top level or in `"data"`)
+  are broadcast on the tenant's topic, see `tenant_topic/2`; LiveViews subscribe
+  to the topic of their URL tenant only. Extension and worker events are global.
+
+  Every message, including ones that fail to decode, is also broadcast on
+  `inspector_topic/0` as `{:nats_event, entry}` (see `t:entry/0`) for the event
+  inspector page. Entries are `global` on the extension and worker subjects only;
+  an entry without a tenant on any other subject (a message that failed to decode,
+  say) may belong to any tenant, see `UiWeb.Realtime.EventInspector.visible?/3`. With NATS disabled, `UiWeb.Realtime.FakePublisher` feeds sample
+  messages through the same path.
   """
 
   use GenServer
@@ -17,6 +28,26 @@ defmodule UiWeb.Realtime.EventSubscriber do
     {"beamline.policies.events.>", "policies:updates"}
   ]
 
+  @tenant_scoped ["messages:updates", "policies:updates"]
+  @global ["extensions:updates", "workers:heartbeat"]
+
+  @inspector_topic "events:inspector"
+  # Undecodable bodies are kept for the inspector up to this length
+  @max_raw_length 2_048
+
+  @type entry :: %{
+          id: pos_integer(),
+          subject: String.t(),
+          topic: String.t(),
+          type: String.t(),
+          tenant_id: String.t() | nil,
+          global: boolean(),
+          event: map() | nil,
+          raw: String.t() | nil,
+          size_bytes: non_neg_integer(),
+          received_at: DateTime.t()
+        }
+
   def start_link(opts) do
     GenServer.start_link(__MODULE__, opts, name: __MODULE__)
   end
@@ -45,7 +76,7 @@ defmodule UiWeb.Realtime.EventSubscriber do
     result =
       case decode_result do
         {:ok, event} ->
-          phoenix_topic = map_nats_to_phoenix(topic)
+          phoenix_topic = phoenix_topic(topic, event)
           Phoenix.PubSub.broadcast(UiWeb.PubSub, phoenix_topic, {:event, event})
           Logger.debug("Broadcasted NATS event: #{topic} -> #{phoenix_topic}")
           :ok
@@ -60,10 +91,12 @@ defmodule UiWeb.Realtime.EventSubscriber do
     # Extract event type from decoded event (if successful)
     event_type =
       case decode_result do
-        {:ok, decoded} -> decoded["type"] || "unknown"
+        {:ok, decoded} -> event_type(decoded)
         {:error, _} -> "decode_error"
       end
 
+    Phoenix.PubSub.broadcast(UiWeb.PubSub, @inspector_topic, {:nats_event, inspector_entry(topic, body, decode_result, event_type)})
+
     measurements = %{
       duration: duration,
       size_bytes: byte_size(body)
@@ -71,7 +104,7 @@ defmodule UiWeb.Realtime.EventSubscriber do
 
     metadata = %{
       nats_topic: topic,
-      phoenix_topic: map_nats_to_phoenix(topic),
+      phoenix_topic: phoenix_topic(topic, elem(decode_result, 1)),
       event_type: event_type,
       result: if(result == :ok, do: :ok, else: :error)
     }
@@ -85,6 +118,64 @@ defmodule UiWeb.Realtime.EventSubscriber do
     {:noreply, state}
   end
 
+  @doc """
+  PubSub topic for `tenant_id`'s events of a tenant-scoped topic, e.g.
+  `tenant_topic("messages:updates", "acme")` is `"messages:updates:acme"`.
+  """
+  @spec tenant_topic(String.t(), String.t()) :: String.t()
+  def tenant_topic(topic, tenant_id) when topic in @tenant_scoped, do: topic <> ":" <> tenant_id
+
+  @doc """
+  PubSub topic carrying every NATS message as `{:nats_event, entry}`.
+  """
+  @spec inspector_topic() :: String.t()
+  def inspector_topic, do: @inspector_topic
+
+  @doc """
+  Whether the real-time feature (and so the NATS connection) is enabled.
+  """
+  @spec nats_enabled?() :: boolean()
+  def nats_enabled? do
+    Application.get_env(:ui_web, :features, [])
+    |> Keyword.get(:enable_real_time, false)
+  end
+
+  defp inspector_entry(subject, body, decode_result, event_type) do
+    {event, raw} =
+      case decode_result do
+        {:ok, event} when is_map(event) -> {event, nil}
+        {:ok, other} -> {%{"value" => other}, nil}
+        {:error, _reason} -> {nil, raw_body(body)}
+      end
+
+    tenant_id = event_tenant(event)
+
+    %{
+      id: System.unique_integer([:positive, :monotonic]),
+      subject: subject,
+      topic: phoenix_topic(subject, event),
+      type: event_type,
+      tenant_id: if(is_binary(tenant_id), do: tenant_id),
+      global: map_nats_to_phoenix(subject) in @global,
+      event: event,
+      raw: raw,
+      size_bytes: byte_size(body),
+      received_at: DateTime.utc_now()
+    }
+  end
+
+  # Non-UTF-8 bodies are shown as an Elixir binary, they can't be sent to the browser as text
+  defp raw_body(body) do
+    if String.valid?(body) do
+      String.slice(body, 0, @max_raw_length)
+    else
+      inspect(body, limit: @max_raw_length, binaries: :as_binaries)
+    end
+  end
+
+  defp event_type(%{"type" => type}) when is_binary(type), do: type
+  defp event_type(_event), do: "unknown"
+
   defp subscribe_all do
     Enum.map(@topics, fn {nats_subject, phoenix_topic} ->
       case subscribe_to_nats(nats_subject) do
@@ -121,15 +212,23 @@ defmodule UiWeb.Realtime.EventSubscriber do
     end
   end
 
+  defp phoenix_topic(nats_topic, event) do
+    topic = map_nats_to_phoenix(nats_topic)
+
+    case event_tenant(event) do
+      tenant_id when topic in @tenant_scoped and is_binary(tenant_id) -> tenant_topic(topic, tenant_id)
+      _ -> topic
+    end
+  end
+
+  defp event_tenant(%{"tenant_id" => tenant_id}), do: tenant_id
+  defp event_tenant(%{"data" => %{"tenant_id" => tenant_id}}), do: tenant_id
+  defp event_tenant(_event), do: nil
+
   defp map_nats_to_phoenix("beamline.extensions.events." <> _), do: "extensions:updates"
   defp map_nats_to_phoenix("beamline.messages.events." <> _), do: "messages:updates"
   defp map_nats_to_phoenix("beamline.policies.events." <> _), do: "policies:updates"
   defp map_nats_to_phoenix("caf.worker.heartbeat." <> _), do: "workers:heartbeat"
   defp map_nats_to_phoenix(_), do: "unknown:updates"
-
-  defp nats_enabled? do
-    Application.get_env(:ui_web, :features, [])
-    |> Keyword.get(:enable_real_time, false)
-  end
 end
 
@@ -0,0 +1,86 @@
+defmodule UiWeb.Realtime.FakePublisher do
+  @moduledoc """
+  Local stand-in for NATS publishers, for working on real-time pages with NATS disabled.
+
+  Messages are handed to `UiWeb.Realtime.EventSubscriber` the way Gnat delivers them,
+  so they are decoded, routed to PubSub and reported to Telemetry like real traffic.
+  It publishes onto real tenant topics, so it only runs where
+  `config :ui_web, :fake_publisher, true` is set (dev and test); see `enabled?/0`.
+
+      iex> {subject, event} = UiWeb.Realtime.FakePublisher.sample("message", "acme")
+      iex> {subject, event["type"], event["tenant_id"]}
+      {"beamline.messages.events.updated", "message_updated", "acme"}
+  """
+
+  alias UiWeb.Realtime.EventSubscriber
+
+  @kinds ~w(message policy extension)
+  @statuses ~w(pending processing completed failed)
+
+  @doc "Kinds of sample events, see `sample/2`."
+  @spec kinds() :: [String.t()]
+  def kinds, do: @kinds
+
+  @doc "True when the `:fake_publisher` flag is set; it defaults to false."
+  @spec enabled?() :: boolean()
+  def enabled?, do: Application.get_env(:ui_web, :fake_publisher, false) == true
+
+  @doc """
+  Publishes `event` on `subject`; binaries are sent as they are, anything else as JSON.
+
+  Returns `{:error, :disabled}` unless `enabled?/0` and `{:error, :not_running}` when
+  the subscriber isn't started.
+  """
+  @spec publish(String.t(), term()) :: :ok | {:error, :disabled | :not_running}
+  def publish(subject, event) do
+    body = if is_binary(event), do: event, else: Jason.encode!(event)
+
+    case enabled?() && Process.whereis(EventSubscriber) do
+      false ->
+        {:error, :disabled}
+
+      nil ->
+        {:error, :not_running}
+
+      pid ->
+        send(pid, {:msg, %{topic: subject, body: body}})
+        :ok
+    end
+  end
+
+  @doc """
+  Publishes `count` sample events of `kind` for `tenant_id`.
+  """
+  @spec publish_samples(String.t(), String.t(), pos_integer()) :: :ok | {:error, :disabled | :not_running}
+  def publish_samples(kind, tenant_id, count \\ 1) when kind in @kinds and count > 0 do
+    Enum.reduce_while(1..count, :ok, fn _n, :ok ->
+      {subject, event} = sample(kind, tenant_id)
+
+      case publish(subject, event) do
+        :ok -> {:cont, :ok}
+        error -> {:halt, error}
+      end
+    end)
+  end
+
+  @doc """
+  A sample `{subject, event}` of `kind`; extension events are global and ignore `tenant_id`.
+  """
+  @spec sample(String.t(), String.t()) :: {String.t(), map()}
+  def sample("message", tenant_id) do
+    id = "msg_fake_#{System.unique_integer([:positive])}"
+
+    {"beamline.messages.events.updated",
+     %{"type" => "message_updated", "tenant_id" => tenant_id, "data" => %{"id" => id, "status" => Enum.random(@statuses)}}}
+  end
+
+  def sample("policy", tenant_id) do
+    {"beamline.policies.events.updated",
+     %{"type" => "policy_updated", "tenant_id" => tenant_id, "data" => %{"policy_id" => "default", "version" => System.unique_integer([:positive])}}}
+  end
+
+  def sample("extension", _tenant_id) do
+    {"beamline.extensions.events.health",
+     %{"type" => "extension_health_changed", "data" => %{"id" => "ext_fake", "healthy" => Enum.random([true, false])}}}
+  end
+end
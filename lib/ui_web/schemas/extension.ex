@@ -11,6 +11,20 @@ defmodule UiWeb.Schemas.Extension do
   @required_fields [:name, :type, :nats_subject, :version]
   @optional_fields [:description, :health_endpoint, :enabled, :id]
 
+  # Cast types of the schemaless changeset; metadata and config are checked by hand
+  @field_types %{
+    id: :string,
+    name: :string,
+    type: :string,
+    description: :string,
+    nats_subject: :string,
+    version: :string,
+    health_endpoint: :string,
+    enabled: :boolean,
+    metadata: :map,
+    config: :map
+  }
+
   defstruct [
     :id,
     :name,
@@ -25,7 +39,7 @@ defmodule UiWeb.Schemas.Extension do
   ]
 
   def changeset(extension \\ %__MODULE__{}, attrs \\ %{}) do
-    extension
+    {extension, @field_types}
     |> cast(attrs, @required_fields ++ @optional_fields)
     |> cast_metadata(attrs)
     |> cast_config(attrs)
@@ -0,0 +1,55 @@
+defmodule UiWeb.Services.AlertsClient do
+  @moduledoc """
+  HTTP client for the Alert Rules API, a `UiWeb.Services.TenantCollection`.
+
+  Provides:
+  - list_rules/1 - List alert rules, optionally of a single tenant
+  - save_rule/4 - Create or replace a rule
+  - delete_rule/3 - Delete a rule
+
+  Rules are evaluated by `UiWeb.Alerts.Evaluator`; see `UiWeb.Alerts.Rule` for their fields.
+  """
+
+  alias UiWeb.Services.ClientHelpers
+  alias UiWeb.Services.TenantCollection
+
+  @rules_path "/api/v1/alerts/rules"
+
+  @doc """
+  List alert rules, sorted by tenant and name.
+
+  ## Options
+    * `:tenant` - Only rules of this tenant (default: all tenants)
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list_rules(keyword()) :: {:ok, list()} | {:error, term()}
+  def list_rules(opts \\ []) do
+    params = ClientHelpers.build_query_params(tenant_id: opts[:tenant])
+    TenantCollection.list(:alerts, @rules_path, Keyword.put(opts, :params, params))
+  end
+
+  @doc """
+  Create or replace the rule `rule_id` of a tenant.
+
+  Accepts the same Telemetry options as `list_rules/1`.
+  """
+  @spec save_rule(String.t(), String.t(), map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save_rule(tenant_id, rule_id, rule, opts \\ []) do
+    TenantCollection.save(:alerts, rule_path(tenant_id, rule_id), rule, opts)
+  end
+
+  @doc """
+  Delete the rule `rule_id` of a tenant.
+
+  Accepts the same Telemetry options as `list_rules/1`.
+  """
+  @spec delete_rule(String.t(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def delete_rule(tenant_id, rule_id, opts \\ []) do
+    TenantCollection.delete(:alerts, rule_path(tenant_id, rule_id), opts)
+  end
+
+  defp rule_path(tenant_id, rule_id),
+    do: "#{@rules_path}/#{TenantCollection.segment(tenant_id)}/#{TenantCollection.segment(rule_id)}"
+end
@@ -4,8 +4,10 @@ defmodule UiWeb.Services.ExtensionsClient do
 
   Provides:
   - list_extensions/1 - List all extensions with filters
+  - list_all_extensions/1 - Every extension, across pages
   - toggle_extension/2 - Enable/Disable extension
   - delete_extension/1 - Delete extension
+  - list_extension_errors/2 - Recent failures of an extension
   """
 
   require Logger
@@ -13,6 +15,8 @@ defmodule UiWeb.Services.ExtensionsClient do
   alias UiWeb.Services.GatewayClient
   alias UiWeb.Services.ClientHelpers
 
+  @page_size 100
+
   # Public API
 
   @doc """
@@ -38,6 +42,32 @@ defmodule UiWeb.Services.ExtensionsClient do
     GatewayClient.get_json("/api/v1/extensions", Keyword.merge([params: query_params, operation: :list], client_opts))
   end
 
+  @doc """
+  List every extension matching the filters of `list_extensions/1`, following the
+  pagination (`:limit` and `:offset` are ignored).
+  """
+  @spec list_all_extensions(keyword()) :: {:ok, [map()]} | {:error, term()}
+  def list_all_extensions(opts \\ []) do
+    opts |> Keyword.drop([:limit, :offset]) |> list_pages(0, [])
+  end
+
+  defp list_pages(opts, offset, acc) do
+    case list_extensions(Keyword.merge(opts, limit: @page_size, offset: offset)) do
+      {:ok, body} ->
+        items = ClientHelpers.extract_items(body)
+        acc = Enum.reverse(items, acc)
+
+        if items != [] and get_in(body, ["pagination", "has_more"]) == true do
+          list_pages(opts, offset + length(items), acc)
+        else
+          {:ok, Enum.reverse(acc)}
+        end
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
   @doc """
   Toggle extension enabled/disabled state.
   
@@ -95,6 +125,26 @@ defmodule UiWeb.Services.ExtensionsClient do
     GatewayClient.get_json("/api/v1/extensions/#{extension_id}", Keyword.merge([operation: :get], client_opts))
   end
 
+  @doc """
+  List recent failures of an extension, newest first.
+
+  ## Options
+    * `:limit` - Maximum number of entries (default: 10)
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list_extension_errors(String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list_extension_errors(extension_id, opts \\ []) do
+    query_params = build_query_params(opts)
+    client_opts = extract_client_opts(opts)
+
+    case GatewayClient.get_json("/api/v1/extensions/#{extension_id}/errors", Keyword.merge([params: query_params, operation: :list], client_opts)) do
+      {:ok, body} -> {:ok, ClientHelpers.extract_items(body)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
   @doc """
   Update existing extension.
   
@@ -159,7 +159,7 @@ defmodule UiWeb.Services.GatewayClient do
 
   - `:client` - Client identifier (:messages, :extensions, :policies, :dashboard)
   - `:operation` - Operation type (:list, :get, :create, :update, :delete, :export)
-  - `:tenant_id` - Tenant identifier
+  - `:tenant_id` - Tenant identifier, also sent as the `x-tenant-id` header
   - `:user_id` - User identifier
   - `:request_id` - Request ID (from Logger.metadata if not provided)
   - `:params` - Query parameters (for GET requests)
@@ -197,6 +197,110 @@ defmodule UiWeb.Services.GatewayClient do
     end
   end
 
+  @doc """
+  Streams a response body into `fun` instead of buffering it.
+
+  `fun` is called as `fun.(chunk, acc)` for every body chunk of a 2xx response and
+  returns `{:cont, acc}` or `{:halt, acc}`. Non-2xx bodies are collected and returned
+  as `{:error, {:http_error, status, body}, acc}`, with the reasons of `request/4`.
+  Errors carry the last `acc` returned by `fun` (the initial one if no chunk came),
+  so callers know what they already did with the chunks of a stream that broke off.
+  Streaming requests are never retried, because chunks already handed to `fun`
+  cannot be replayed.
+
+  Accepts the same context options as `request/4`.
+  """
+  @spec stream_request(atom(), String.t(), map() | nil, acc, (binary(), acc -> {:cont | :halt, acc}), keyword()) ::
+          {:ok, acc} | {:error, term(), acc}
+        when acc: term()
+  def stream_request(method, path, body, acc, fun, opts \\ []) when is_function(fun, 2) do
+    start = System.monotonic_time()
+    base_url = if use_mock?(), do: "http://localhost:8082", else: @base_url
+
+    request_metadata = %{
+      client: Keyword.get(opts, :client, :unknown),
+      operation: Keyword.get(opts, :operation, :stream),
+      method: method,
+      url: path,
+      query: extract_query_params(opts),
+      tenant_id: Keyword.get(opts, :tenant_id),
+      user_id: Keyword.get(opts, :user_id),
+      request_id: Keyword.get(opts, :request_id) || Logger.metadata()[:request_id]
+    }
+
+    :telemetry.execute([:ui_web, :client, :request], %{}, request_metadata)
+
+    # Transport errors drop the response, and its stream_acc with it
+    acc_key = {__MODULE__, :stream_acc, make_ref()}
+
+    into = fn {:data, chunk}, {req, resp} ->
+      if resp.status in 200..299 do
+        {action, acc} = fun.(chunk, Req.Response.get_private(resp, :stream_acc, acc))
+        Process.put(acc_key, acc)
+        {action, {req, Req.Response.put_private(resp, :stream_acc, acc)}}
+      else
+        error_body = Req.Response.get_private(resp, :error_body, "") <> chunk
+        {:cont, {req, Req.Response.put_private(resp, :error_body, error_body)}}
+      end
+    end
+
+    req_opts =
+      [
+        method: method,
+        url: "#{base_url}#{path}",
+        retry: false,
+        receive_timeout: @timeout,
+        decode_body: false,
+        headers: tenant_headers(opts),
+        into: into
+      ]
+      |> then(fn req_opts -> if body, do: Keyword.put(req_opts, :json, body), else: req_opts end)
+      |> then(fn req_opts ->
+        case Keyword.get(opts, :params) do
+          nil -> req_opts
+          params -> Keyword.put(req_opts, :params, params)
+        end
+      end)
+
+    result =
+      case Req.request(req_opts) do
+        {:ok, %Req.Response{status: status} = resp} when status in 200..299 ->
+          {:ok, Req.Response.get_private(resp, :stream_acc, acc)}
+
+        {:ok, %Req.Response{status: status} = resp} ->
+          error_body = Req.Response.get_private(resp, :error_body, "")
+
+          decoded_body =
+            case Jason.decode(error_body) do
+              {:ok, decoded} -> decoded
+              {:error, _} -> error_body
+            end
+
+          Logger.error("Gateway error: status=#{status} body=#{inspect(decoded_body)}")
+          {:error, {:http_error, status, decoded_body}}
+
+        {:error, reason} ->
+          Logger.error("Gateway network error: #{inspect(reason)}")
+          {:error, reason}
+      end
+
+    {status, error_reason, success} = classify_result_for_response(result, opts)
+
+    :telemetry.execute(
+      [:ui_web, :client, :response],
+      %{duration: System.monotonic_time() - start},
+      Map.merge(request_metadata, %{status: status, success: success, error_reason: error_reason})
+    )
+
+    last_acc = Process.get(acc_key, acc)
+    Process.delete(acc_key)
+
+    case result do
+      {:ok, acc} -> {:ok, acc}
+      {:error, reason} -> {:error, reason, last_acc}
+    end
+  end
+
   # Private Implementation
 
   defp real_request(method, path, body, opts) do
@@ -237,7 +341,8 @@ defmodule UiWeb.Services.GatewayClient do
       retry: :transient,
       max_retries: @retry_attempts,
       retry_delay: &exp_backoff/1,
-      receive_timeout: @timeout
+      receive_timeout: @timeout,
+      headers: tenant_headers(opts)
     ]
 
     req_opts =
@@ -296,6 +401,14 @@ defmodule UiWeb.Services.GatewayClient do
     result
   end
 
+  # The gateway scopes tenant data by this header; `:tenant_id` is the URL tenant of the caller
+  defp tenant_headers(opts) do
+    case Keyword.get(opts, :tenant_id) do
+      nil -> []
+      tenant_id -> [{"x-tenant-id", to_string(tenant_id)}]
+    end
+  end
+
   defp extract_query_params(opts) do
     case Keyword.get(opts, :params) do
       nil -> %{}
@@ -363,9 +476,16 @@ defmodule UiWeb.Services.GatewayClient do
     req_opts = [
       method: method,
       url: mock_url,
-      receive_timeout: 5_000
+      receive_timeout: 5_000,
+      headers: tenant_headers(opts)
     ]
 
+    req_opts =
+      case Keyword.get(opts, :params) do
+        nil -> req_opts
+        params -> Keyword.put(req_opts, :params, params)
+      end
+
     req_opts =
       if is_export do
         # For export, don't decode JSON automatically - we need binary
@@ -377,7 +497,7 @@ defmodule UiWeb.Services.GatewayClient do
         |> then(fn opts ->
           if body do
             Keyword.put(opts, :body, Jason.encode!(body))
-            |> Keyword.put(:headers, [{"content-type", "application/json"}])
+            |> Keyword.update!(:headers, &[{"content-type", "application/json"} | &1])
           else
             opts
           end
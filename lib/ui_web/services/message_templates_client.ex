@@ -0,0 +1,52 @@
+defmodule UiWeb.Services.MessageTemplatesClient do
+  @moduledoc """
+  HTTP client for the Message Templates API (named composer templates per tenant),
+  a `UiWeb.Services.TenantCollection`.
+
+  Provides:
+  - list_templates/2 - List a tenant's templates
+  - save_template/4 - Create or replace a template
+  - delete_template/3 - Delete a template
+
+  See `UiWeb.Messages.MessageTemplate` for the fields of a template.
+  """
+
+  alias UiWeb.Services.TenantCollection
+
+  @doc """
+  List the templates of a tenant, sorted by name.
+
+  ## Options
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list_templates(String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list_templates(tenant_id, opts \\ []) do
+    TenantCollection.list(:message_templates, templates_path(tenant_id), opts)
+  end
+
+  @doc """
+  Create or replace the template `template_id` of a tenant.
+
+  Accepts the same Telemetry options as `list_templates/2`.
+  """
+  @spec save_template(String.t(), String.t(), map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save_template(tenant_id, template_id, template, opts \\ []) do
+    TenantCollection.save(:message_templates, template_path(tenant_id, template_id), template, opts)
+  end
+
+  @doc """
+  Delete the template `template_id` of a tenant.
+
+  Accepts the same Telemetry options as `list_templates/2`.
+  """
+  @spec delete_template(String.t(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def delete_template(tenant_id, template_id, opts \\ []) do
+    TenantCollection.delete(:message_templates, template_path(tenant_id, template_id), opts)
+  end
+
+  defp templates_path(tenant_id), do: "/api/v1/message-templates/#{TenantCollection.segment(tenant_id)}"
+
+  defp template_path(tenant_id, template_id), do: templates_path(tenant_id) <> "/#{TenantCollection.segment(template_id)}"
+end
@@ -9,7 +9,9 @@ defmodule UiWeb.Services.MessagesClient do
   - update_message/2 - Update existing message
   - delete_message/1 - Delete single message
   - bulk_delete_messages/1 - Delete multiple messages
-  - export_messages/2 - Export messages to JSON/CSV
+  - retry_message/1 - Re-queue a message for processing
+  - export_messages/3 - Export messages to JSON/CSV/NDJSON
+  - stream_export_messages/5 - Stream an export chunk-by-chunk
   """
 
   require Logger
@@ -17,6 +19,12 @@ defmodule UiWeb.Services.MessagesClient do
   alias UiWeb.Services.GatewayClient
   alias UiWeb.Services.ClientHelpers
 
+  @export_formats ["json", "csv", "ndjson"]
+
+  # List filters an export by filters accepts (see list_messages/1)
+  @filter_params ~w(status type search from_date to_date tag subject user
+                    exclude_status exclude_type exclude_tag exclude_subject exclude_user exclude_search)
+
   @doc """
   List messages with filters.
 
@@ -24,10 +32,14 @@ defmodule UiWeb.Services.MessagesClient do
     * `:status` - Filter by status
     * `:type` - Filter by type
     * `:search` - Search query
-    * `:from_date` - Start date (ISO8601)
-    * `:to_date` - End date (ISO8601)
+    * `:from_date` - Start date (ISO8601, inclusive)
+    * `:to_date` - End date (ISO8601, exclusive)
+    * `:tag`, `:subject`, `:user` - Query filters, see `UiWeb.Messages.Query`
+    * `:exclude_status`, `:exclude_type`, `:exclude_tag`, `:exclude_subject`,
+      `:exclude_user`, `:exclude_search` - Leave out matching messages
     * `:limit` - Page size (default: 50)
     * `:offset` - Pagination offset
+    * `:cursor` - Cursor from a previous page's `pagination.next_cursor`; replaces `:offset`
     * `:sort` - Sort field (created_at/updated_at/status)
     * `:order` - Sort order (asc/desc)
     * `:tenant_id` - Tenant identifier (for Telemetry)
@@ -117,7 +129,25 @@ defmodule UiWeb.Services.MessagesClient do
   end
 
   @doc """
-  Export messages to JSON or CSV.
+  Re-queue a message for processing; the gateway resets its status to pending.
+
+  ## Options
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec retry_message(String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def retry_message(message_id, opts \\ []) do
+    client_opts = extract_client_opts(opts)
+    GatewayClient.post_json("/api/v1/messages/#{message_id}/retry", %{}, Keyword.merge([operation: :retry], client_opts))
+  end
+
+  @doc """
+  Export messages to JSON, CSV or NDJSON.
+
+  `selection` is either a list of message ids or `{:filters, filters}` to export
+  every message matching list filters (`"status"`, `"type"`, `"search"` and the
+  other filters of `list_messages/1`, with string keys).
 
   Returns binary file content.
   
@@ -126,21 +156,66 @@ defmodule UiWeb.Services.MessagesClient do
     * `:user_id` - User identifier (for Telemetry)
     * `:request_id` - Request ID (for Telemetry)
   """
-  @spec export_messages([String.t()], String.t(), keyword()) :: {:ok, binary()} | {:error, term()}
-  def export_messages(message_ids, format \\ "json", opts \\ [])
-      when format in ["json", "csv"] do
+  @spec export_messages([String.t()] | {:filters, map()}, String.t(), keyword()) ::
+          {:ok, binary()} | {:error, term()}
+  def export_messages(selection, format \\ "json", opts \\ [])
+      when format in @export_formats do
     client_opts = extract_client_opts(opts)
-    with {:ok, body} <- GatewayClient.request(:post, "/api/v1/messages/export", %{
-           message_ids: message_ids,
-           format: format
-         }, Keyword.merge([client: :messages, operation: :export], client_opts)),
+    with {:ok, body} <- GatewayClient.request(:post, "/api/v1/messages/export",
+           export_body(selection, format),
+           Keyword.merge([client: :messages, operation: :export], client_opts)),
          {:ok, content} <- normalize_export_body(body) do
       {:ok, content}
     end
   end
 
+  @doc """
+  Stream an export chunk-by-chunk instead of loading it into memory.
+
+  Takes the same `selection` and `format` as `export_messages/3`. `fun` is called
+  as `fun.(chunk, acc)` and returns `{:cont, acc}` or `{:halt, acc}`; errors come
+  with the last `acc`, see `GatewayClient.stream_request/6`.
+
+  ## Options
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec stream_export_messages([String.t()] | {:filters, map()}, String.t(), acc,
+          (binary(), acc -> {:cont | :halt, acc}), keyword()) :: {:ok, acc} | {:error, term(), acc}
+        when acc: term()
+  def stream_export_messages(selection, format, acc, fun, opts \\ [])
+      when format in @export_formats do
+    client_opts = extract_client_opts(opts)
+
+    GatewayClient.stream_request(:post, "/api/v1/messages/export",
+      export_body(selection, format), acc, fun,
+      Keyword.merge([operation: :export], client_opts))
+  end
+
+  @doc """
+  Supported export formats.
+  """
+  @spec export_formats() :: [String.t()]
+  def export_formats, do: @export_formats
+
   # Private helpers
 
+  defp export_body({:filters, filters}, format) do
+    filters =
+      filters
+      |> Map.new(fn {k, v} -> {to_string(k), v} end)
+      |> Map.take(@filter_params)
+      |> Enum.reject(fn {_k, v} -> v in [nil, "", "all"] end)
+      |> Map.new()
+
+    %{filters: filters, format: format}
+  end
+
+  defp export_body(message_ids, format) when is_list(message_ids) do
+    %{message_ids: message_ids, format: format}
+  end
+
   defp build_query_params(opts) do
     # Filter out Telemetry-specific opts
     telemetry_keys = [:tenant_id, :user_id, :request_id]
@@ -0,0 +1,191 @@
+defmodule UiWeb.Services.PoliciesClient do
+  @moduledoc """
+  HTTP client for Policies API.
+
+  Provides:
+  - list_policies/2 - List policies of a tenant
+  - get_policy/3 - Get the current version of a policy
+  - save_policy/4 - Create or update a policy (recorded as a new revision)
+  - delete_policy/3 - Delete a policy
+  - list_revisions/3 - Revision history of a policy, newest first
+  - get_revision/4 - Single revision including its policy document
+  - rollback_policy/4 - Restore a revision as a new revision
+  - list_audit/1 - Audit log of policy mutations
+  - dry_run/4 - Run a payload through the policy pipeline without side effects
+  - list_dry_run_cases/3, save_dry_run_case/5, delete_dry_run_case/4 - Saved dry-run payloads
+
+  Mutations send the acting user (`:user_id`) as the `actor` query param, so the
+  gateway can attribute revisions and audit entries.
+  """
+
+  alias UiWeb.Services.ClientHelpers
+  alias UiWeb.Services.GatewayClient
+
+  @doc """
+  List policies of a tenant.
+
+  ## Options
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list_policies(String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list_policies(tenant_id, opts \\ []) do
+    case GatewayClient.get_json("/api/v1/policies/#{tenant_id}", Keyword.merge([operation: :list], extract_client_opts(opts))) do
+      {:ok, body} -> {:ok, ClientHelpers.extract_items(body)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Get the current version of a policy.
+
+  Accepts the same Telemetry options as `list_policies/2`.
+  """
+  @spec get_policy(String.t(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def get_policy(tenant_id, policy_id, opts \\ []) do
+    GatewayClient.get_json(policy_path(tenant_id, policy_id), Keyword.merge([operation: :get], extract_client_opts(opts)))
+  end
+
+  @doc """
+  Create or update a policy. The gateway records the change as a new revision.
+
+  Accepts the same Telemetry options as `list_policies/2`; `:user_id` is sent as the actor.
+  """
+  @spec save_policy(String.t(), String.t(), map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save_policy(tenant_id, policy_id, policy, opts \\ []) do
+    GatewayClient.request(:put, policy_path(tenant_id, policy_id), policy, mutation_opts(:update, opts))
+  end
+
+  @doc """
+  Delete a policy.
+
+  Accepts the same Telemetry options as `list_policies/2`; `:user_id` is sent as the actor.
+  """
+  @spec delete_policy(String.t(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def delete_policy(tenant_id, policy_id, opts \\ []) do
+    GatewayClient.request(:delete, policy_path(tenant_id, policy_id), nil, mutation_opts(:delete, opts))
+  end
+
+  @doc """
+  List revisions of a policy, newest first.
+
+  Each item has `"revision"`, `"author"`, `"created_at"`, `"action"` and `"summary"`.
+  """
+  @spec list_revisions(String.t(), String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list_revisions(tenant_id, policy_id, opts \\ []) do
+    path = policy_path(tenant_id, policy_id) <> "/revisions"
+
+    case GatewayClient.get_json(path, Keyword.merge([operation: :list], extract_client_opts(opts))) do
+      {:ok, body} -> {:ok, ClientHelpers.extract_items(body)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Get a single revision. The policy document is under `"policy"`.
+  """
+  @spec get_revision(String.t(), String.t(), pos_integer(), keyword()) :: {:ok, map()} | {:error, term()}
+  def get_revision(tenant_id, policy_id, revision, opts \\ []) do
+    path = policy_path(tenant_id, policy_id) <> "/revisions/#{revision}"
+    GatewayClient.get_json(path, Keyword.merge([operation: :get], extract_client_opts(opts)))
+  end
+
+  @doc """
+  Restore `revision` as the current version. The gateway records the rollback as a new revision.
+  """
+  @spec rollback_policy(String.t(), String.t(), pos_integer(), keyword()) :: {:ok, map()} | {:error, term()}
+  def rollback_policy(tenant_id, policy_id, revision, opts \\ []) do
+    path = policy_path(tenant_id, policy_id) <> "/rollback"
+    GatewayClient.request(:post, path, %{revision: revision}, mutation_opts(:rollback, opts))
+  end
+
+  @doc """
+  List audit log entries, newest first.
+
+  ## Options
+    * `:tenant` - Filter by tenant
+    * `:user` - Filter by acting user
+    * `:policy_id` - Filter by policy
+    * `:limit` - Maximum number of entries (default: 100)
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list_audit(keyword()) :: {:ok, list()} | {:error, term()}
+  def list_audit(opts \\ []) do
+    params =
+      [tenant_id: opts[:tenant], user: opts[:user], policy_id: opts[:policy_id], limit: opts[:limit]]
+      |> ClientHelpers.build_query_params()
+
+    case GatewayClient.get_json("/api/v1/audit", Keyword.merge([params: params, operation: :list], extract_client_opts(opts))) do
+      {:ok, body} -> {:ok, ClientHelpers.extract_items(body)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Dry-run `payload` through the policy pipeline. Returns the gateway's result map
+  (`"trace"`, `"final_payload"`, `"blocked_by"`, ...), unwrapped from `"result"`.
+  """
+  @spec dry_run(String.t(), String.t(), term(), keyword()) :: {:ok, map()} | {:error, term()}
+  def dry_run(tenant_id, policy_id, payload, opts \\ []) do
+    body = %{"tenant_id" => tenant_id, "policy_id" => policy_id, "payload" => payload, "dry_run" => true}
+
+    case GatewayClient.post_json("/api/v1/policies/dry-run", body, Keyword.merge([operation: :dry_run], extract_client_opts(opts))) do
+      {:ok, %{"result" => result}} -> {:ok, result}
+      {:ok, result} -> {:ok, result}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  List saved dry-run payloads of a policy, sorted by name.
+
+  Each item has `"name"`, `"payload"`, `"expected"` (outcome to compare against) and `"saved_at"`.
+  """
+  @spec list_dry_run_cases(String.t(), String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list_dry_run_cases(tenant_id, policy_id, opts \\ []) do
+    path = policy_path(tenant_id, policy_id) <> "/dry-run-cases"
+
+    case GatewayClient.get_json(path, Keyword.merge([operation: :list], extract_client_opts(opts))) do
+      {:ok, body} -> {:ok, ClientHelpers.extract_items(body)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Create or replace the saved dry-run payload `name` with `payload` and its `expected` outcome.
+  """
+  @spec save_dry_run_case(String.t(), String.t(), String.t(), map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save_dry_run_case(tenant_id, policy_id, name, %{"payload" => _} = dry_run_case, opts \\ []) do
+    path = policy_path(tenant_id, policy_id) <> "/dry-run-cases/#{name}"
+    GatewayClient.request(:put, path, dry_run_case, Keyword.merge([operation: :update], extract_client_opts(opts)))
+  end
+
+  @doc """
+  Delete the saved dry-run payload `name`.
+  """
+  @spec delete_dry_run_case(String.t(), String.t(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def delete_dry_run_case(tenant_id, policy_id, name, opts \\ []) do
+    path = policy_path(tenant_id, policy_id) <> "/dry-run-cases/#{name}"
+    GatewayClient.request(:delete, path, nil, Keyword.merge([operation: :delete], extract_client_opts(opts)))
+  end
+
+  defp policy_path(tenant_id, policy_id), do: "/api/v1/policies/#{tenant_id}/#{policy_id}"
+
+  defp mutation_opts(operation, opts) do
+    params = if opts[:user_id], do: %{"actor" => to_string(opts[:user_id])}, else: %{}
+    Keyword.merge([operation: operation, params: params], extract_client_opts(opts))
+  end
+
+  defp extract_client_opts(opts) do
+    [
+      client: :policies,
+      tenant_id: Keyword.get(opts, :tenant_id),
+      user_id: Keyword.get(opts, :user_id),
+      request_id: Keyword.get(opts, :request_id)
+    ]
+    |> Enum.filter(fn {_k, v} -> v != nil end)
+  end
+end
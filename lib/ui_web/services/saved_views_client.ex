@@ -0,0 +1,53 @@
+defmodule UiWeb.Services.SavedViewsClient do
+  @moduledoc """
+  HTTP client for the Saved Views API (named message filters per user and tenant),
+  a `UiWeb.Services.TenantCollection` with one collection per user.
+
+  Provides:
+  - list_views/3 - List a user's views in a tenant
+  - save_view/5 - Create or replace a view
+  - delete_view/4 - Delete a view
+
+  See `UiWeb.Messages.SavedView` for the fields of a view.
+  """
+
+  alias UiWeb.Services.TenantCollection
+
+  @doc """
+  List the saved views of `user_id` in a tenant, sorted by name.
+
+  ## Options
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list_views(String.t(), String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list_views(tenant_id, user_id, opts \\ []) do
+    TenantCollection.list(:saved_views, views_path(tenant_id, user_id), opts)
+  end
+
+  @doc """
+  Create or replace the view `view_id` of a user.
+
+  Accepts the same Telemetry options as `list_views/3`.
+  """
+  @spec save_view(String.t(), String.t(), String.t(), map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save_view(tenant_id, user_id, view_id, view, opts \\ []) do
+    TenantCollection.save(:saved_views, view_path(tenant_id, user_id, view_id), view, opts)
+  end
+
+  @doc """
+  Delete the view `view_id` of a user.
+
+  Accepts the same Telemetry options as `list_views/3`.
+  """
+  @spec delete_view(String.t(), String.t(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def delete_view(tenant_id, user_id, view_id, opts \\ []) do
+    TenantCollection.delete(:saved_views, view_path(tenant_id, user_id, view_id), opts)
+  end
+
+  defp views_path(tenant_id, user_id),
+    do: "/api/v1/saved-views/#{TenantCollection.segment(tenant_id)}/#{TenantCollection.segment(user_id)}"
+
+  defp view_path(tenant_id, user_id, view_id), do: views_path(tenant_id, user_id) <> "/#{TenantCollection.segment(view_id)}"
+end
@@ -0,0 +1,71 @@
+defmodule UiWeb.Services.TenantCollection do
+  @moduledoc """
+  Requests of the gateway's per-tenant collections, the small stores of named items
+  the UI keeps there (alert rules, saved views, message templates).
+
+  Every collection has the same shape: `GET` on the collection path lists its items
+  under `"items"`, `PUT` on an item path creates or replaces the item and returns it,
+  `DELETE` removes it and answers 404 for unknown ids. The clients own the paths and
+  the Telemetry `client` name; see `UiWeb.Services.AlertsClient` for one.
+  """
+
+  alias UiWeb.Services.ClientHelpers
+  alias UiWeb.Services.GatewayClient
+
+  @doc """
+  Lists the items of the collection at `path`.
+
+  ## Options
+    * `:params` - Query parameters
+    * `:tenant_id` - Tenant identifier (for Telemetry)
+    * `:user_id` - User identifier (for Telemetry)
+    * `:request_id` - Request ID (for Telemetry)
+  """
+  @spec list(atom(), String.t(), keyword()) :: {:ok, list()} | {:error, term()}
+  def list(client, path, opts \\ []) do
+    request_opts = opts |> Keyword.take([:params]) |> Keyword.merge(operation: :list) |> Keyword.merge(client_opts(client, opts))
+
+    case GatewayClient.get_json(path, request_opts) do
+      {:ok, body} -> {:ok, ClientHelpers.extract_items(body)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Creates or replaces the item at `path`. Accepts the Telemetry options of `list/3`.
+  """
+  @spec save(atom(), String.t(), map(), keyword()) :: {:ok, map()} | {:error, term()}
+  def save(client, path, item, opts \\ []) do
+    GatewayClient.request(:put, path, item, Keyword.merge([operation: :update], client_opts(client, opts)))
+  end
+
+  @doc """
+  Deletes the item at `path`. Accepts the Telemetry options of `list/3`.
+  """
+  @spec delete(atom(), String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def delete(client, path, opts \\ []) do
+    GatewayClient.request(:delete, path, nil, Keyword.merge([operation: :delete], client_opts(client, opts)))
+  end
+
+  @doc """
+  Path segment of a tenant, user or item id: everything but unreserved characters is
+  percent-encoded (spaces too, which `URI.encode_www_form/1` would turn into `+`).
+
+  ## Examples
+
+      iex> UiWeb.Services.TenantCollection.segment("ops@example.com/welcome v2")
+      "ops%40example.com%2Fwelcome%20v2"
+  """
+  @spec segment(String.t()) :: String.t()
+  def segment(id), do: URI.encode(id, &URI.char_unreserved?/1)
+
+  defp client_opts(client, opts) do
+    [
+      client: client,
+      tenant_id: Keyword.get(opts, :tenant_id),
+      user_id: Keyword.get(opts, :user_id),
+      request_id: Keyword.get(opts, :request_id)
+    ]
+    |> Enum.filter(fn {_k, v} -> v != nil end)
+  end
+end
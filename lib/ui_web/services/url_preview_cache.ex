@@ -0,0 +1,77 @@
+defmodule UiWeb.Services.URLPreviewCache do
+  @moduledoc """
+  Cache and per-host rate limit in front of `URLPreviewService.fetch_preview/1`.
+
+  Backed by the `:url_preview_cache` Cachex cache (see `child_spec/1`), capped at
+  1,000 entries with the oldest written evicted first.
+
+  - Previews are kept for 30 minutes. Failures are kept for a minute, so a slow or
+    broken site isn't asked again on every render.
+  - Each host is fetched at most 10 times a minute; further misses return
+    `{:error, :rate_limited}` without fetching, and that result is not cached.
+  """
+
+  alias UiWeb.Services.URLPreviewService
+
+  @cache :url_preview_cache
+  @max_entries 1_000
+  @ttl :timer.minutes(30)
+  @error_ttl :timer.minutes(1)
+  @host_limit 10
+  @host_window :timer.minutes(1)
+
+  @doc false
+  def child_spec(_opts) do
+    Supervisor.child_spec({Cachex, name: @cache, limit: @max_entries}, id: @cache)
+  end
+
+  @doc """
+  The cached result for `url`, without fetching.
+  """
+  @spec lookup(String.t()) :: {:ok, {:ok, map()} | {:error, term()}} | :miss
+  def lookup(url) do
+    case Cachex.get(@cache, {:preview, url}) do
+      {:ok, nil} -> :miss
+      {:ok, result} -> {:ok, result}
+      # Cache not started
+      {:error, _reason} -> :miss
+    end
+  end
+
+  @doc """
+  The preview of `url` from the cache, fetched with `service` on a miss.
+  """
+  @spec fetch(String.t(), module()) :: {:ok, map()} | {:error, term()}
+  def fetch(url, service \\ URLPreviewService) do
+    with :miss <- lookup(url),
+         :ok <- take_host_slot(url) do
+      result = service.fetch_preview(url)
+      ttl = if match?({:ok, _preview}, result), do: @ttl, else: @error_ttl
+      Cachex.put(@cache, {:preview, url}, result, ttl: ttl)
+      result
+    else
+      {:ok, result} -> result
+      {:error, :rate_limited} -> {:error, :rate_limited}
+    end
+  end
+
+  # A counter per host that expires a window after its first fetch
+  defp take_host_slot(url) do
+    key = {:host, url |> URI.parse() |> Map.get(:host) |> to_string() |> String.downcase()}
+
+    case Cachex.incr(@cache, key, 1, initial: 0) do
+      {:ok, 1} ->
+        Cachex.expire(@cache, key, @host_window)
+        :ok
+
+      {:ok, count} when count <= @host_limit ->
+        :ok
+
+      {:ok, _count} ->
+        {:error, :rate_limited}
+
+      {:error, _reason} ->
+        :ok
+    end
+  end
+end
@@ -2,15 +2,23 @@ defmodule UiWeb.Services.URLPreviewService do
   @moduledoc """
   Safe URL preview service with SSRF protection.
   
-  Fetches HTML from URLs, parses OpenGraph/Twitter metadata,
-  and returns normalized preview objects.
+  Fetches HTML from URLs, parses OpenGraph/Twitter metadata (enriched by the page's
+  oEmbed endpoint when it advertises one), and returns normalized preview objects.
+  Preview images and favicons are fetched with `fetch_image/2` for the image proxy
+  (`UiWebWeb.URLPreviewProxyController`), so browsers never load them from the site.
+
+  Results are not cached here; see `UiWeb.Services.URLPreviewCache`.
   
   ## Security
   
   - Validates URL scheme (http/https only)
-  - Blocks localhost and private IP addresses
-  - DNS resolution before HTTP request
-  - Timeout and redirect limits
+  - Blocks localhost and every non-public IPv4/IPv6 address (private, loopback,
+    link-local, shared, multicast and reserved ranges)
+  - DNS resolution before HTTP request; the request connects to the address that was
+    checked (with the original host name for the Host header and TLS), so a second,
+    different DNS answer can't point it at an internal address (DNS rebinding)
+  - Redirects are followed one hop at a time, each hop validated like the first URL
+  - Timeout, redirect and image size limits
   
   ## Usage
   
@@ -18,12 +26,20 @@ defmodule UiWeb.Services.URLPreviewService do
       # => {:ok, %{title: "...", description: "...", image: "...", ...}}
   """
 
+  import Bitwise
+
   require Logger
 
   @timeout 5_000
   @max_redirects 3
+  @max_image_bytes 2_000_000
   @user_agent "BeamlineDocsPreview/1.0"
 
+  # SVG can carry scripts, so the proxy only passes raster formats
+  @image_types ~w(image/png image/jpeg image/gif image/webp image/avif image/x-icon image/vnd.microsoft.icon)
+
+  @callback fetch_preview(String.t()) :: {:ok, map()} | {:error, term()}
+
   @doc """
   Fetch URL preview with metadata extraction.
   
@@ -35,12 +51,12 @@ defmodule UiWeb.Services.URLPreviewService do
       iex> URLPreviewService.fetch_preview("http://localhost")
       {:error, :local_url_not_allowed}
   """
-  @spec fetch_preview(String.t()) :: {:ok, map()} | {:error, term()}
-  def fetch_preview(url) when is_binary(url) do
+  @spec fetch_preview(String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def fetch_preview(url, req_options \\ []) when is_binary(url) do
     with {:ok, normalized_url} <- validate_url(url),
-         {:ok, %{status: status, body: body}} when status in 200..299 <- fetch_html(normalized_url),
+         {:ok, %{status: status, body: body}} when status in 200..299 <- fetch_html(normalized_url, req_options),
          {:ok, preview} <- parse_metadata(body, normalized_url) do
-      {:ok, preview}
+      {:ok, with_oembed(preview, body, normalized_url, req_options)}
     else
       {:error, reason} -> {:error, reason}
       {:ok, %{status: status}} -> {:error, {:http_error, status}}
@@ -48,17 +64,80 @@ defmodule UiWeb.Services.URLPreviewService do
     end
   end
 
+  @doc """
+  Fetch an image for the preview image proxy.
+
+  Only raster image types are returned, up to #{@max_image_bytes} bytes; the body
+  is read in chunks and the request stops as soon as it grows past the limit.
+  `req_options` are passed on to `Req.get/2`.
+  """
+  @spec fetch_image(String.t(), keyword()) :: {:ok, %{content_type: String.t(), body: binary()}} | {:error, term()}
+  def fetch_image(url, req_options \\ []) when is_binary(url) do
+    options = [
+      receive_timeout: @timeout,
+      retry: false,
+      decode_body: false,
+      headers: [{"User-Agent", @user_agent}],
+      into: &collect_image/2
+    ]
+
+    case get_validated(url, Keyword.merge(options, req_options)) do
+      {:ok, %Req.Response{status: status} = response} when status in 200..299 ->
+        content_type = response |> Req.Response.get_header("content-type") |> List.first("") |> media_type()
+
+        cond do
+          Req.Response.get_private(response, :too_large, false) -> {:error, :image_too_large}
+          content_type not in @image_types -> {:error, :not_an_image}
+          true -> {:ok, %{content_type: content_type, body: image_body(response)}}
+        end
+
+      {:ok, %Req.Response{status: status}} ->
+        {:error, {:http_error, status}}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  defp collect_image({:data, data}, {request, response}) do
+    chunks = [data | Req.Response.get_private(response, :chunks, [])]
+
+    if IO.iodata_length(chunks) > @max_image_bytes do
+      {:halt, {request, Req.Response.put_private(response, :too_large, true)}}
+    else
+      {:cont, {request, Req.Response.put_private(response, :chunks, chunks)}}
+    end
+  end
+
+  defp image_body(response) do
+    response
+    |> Req.Response.get_private(:chunks, [])
+    |> Enum.reverse()
+    |> IO.iodata_to_binary()
+  end
+
+  defp media_type(content_type) do
+    content_type |> String.split(";") |> hd() |> String.trim() |> String.downcase()
+  end
+
   # SSRF-safe URL validation
 
   @doc false
   @spec validate_url(String.t()) :: {:ok, String.t()} | {:error, atom()}
   def validate_url(url) do
+    with {:ok, uri, _address} <- validate_uri(url) do
+      {:ok, normalize_url(uri)}
+    end
+  end
+
+  # The parsed URL and the checked address to connect to
+  defp validate_uri(url) do
     with {:ok, uri} <- parse_uri(url),
          :ok <- validate_scheme(uri),
          :ok <- validate_host(uri),
          :ok <- validate_local_hosts(uri.host),
-         :ok <- validate_private_ips(uri.host) do
-      {:ok, normalize_url(uri)}
+         {:ok, address} <- validate_private_ips(uri.host) do
+      {:ok, uri, address}
     end
   end
 
@@ -107,13 +186,16 @@ defmodule UiWeb.Services.URLPreviewService do
   end
   defp validate_local_hosts(_), do: :ok
 
+  # Every address of the host must be public; the first one is connected to
+  defp validate_private_ips(nil), do: {:error, :missing_host}
+
   defp validate_private_ips(host) do
     case resolve_hostname(host) do
       {:ok, ip_addresses} ->
-        if Enum.any?(ip_addresses, &is_private_ip?/1) do
+        if Enum.any?(ip_addresses, &private_ip?/1) do
           {:error, :private_ip_not_allowed}
         else
-          :ok
+          {:ok, hd(ip_addresses)}
         end
 
       {:error, _reason} ->
@@ -121,30 +203,63 @@ defmodule UiWeb.Services.URLPreviewService do
     end
   end
 
+  # IP literals as they are, host names to their IPv4 then IPv6 addresses
   defp resolve_hostname(host) do
-    case :inet.gethostbyname(String.to_charlist(host)) do
-      {:ok, {:hostent, _name, _aliases, _addrtype, _length, addresses}} ->
-        {:ok, addresses}
+    host = host |> String.trim_leading("[") |> String.trim_trailing("]") |> String.to_charlist()
 
-      {:error, reason} ->
-        {:error, reason}
+    case :inet.parse_address(host) do
+      {:ok, address} ->
+        {:ok, [address]}
+
+      {:error, _not_an_address} ->
+        addresses = for family <- [:inet, :inet6], {:ok, found} <- [:inet.getaddrs(host, family)], address <- found, do: address
+
+        if addresses == [], do: {:error, :nxdomain}, else: {:ok, addresses}
     end
   end
 
-  defp is_private_ip?({a, b, c, d}) when is_integer(a) and is_integer(b) and is_integer(c) and is_integer(d) do
-    # 10.0.0.0/8
-    (a == 10) or
+  @doc false
+  # Exposed for testing - true for addresses outside the public internet (RFC 6890
+  # special-purpose ranges)
+  def private_ip?({a, b, c, _d}) do
+    # 0.0.0.0/8 ("this network"), 10.0.0.0/8, 127.0.0.0/8 (loopback)
+    a in [0, 10, 127] or
+      # 100.64.0.0/10 (carrier-grade NAT)
+      (a == 100 and b in 64..127) or
+      # 169.254.0.0/16 (link-local, cloud metadata endpoints)
+      (a == 169 and b == 254) or
       # 172.16.0.0/12
-      (a == 172 and b >= 16 and b <= 31) or
+      (a == 172 and b in 16..31) or
+      # 192.0.0.0/24 (IETF), 192.0.2.0/24 (documentation), 192.88.99.0/24 (6to4 relay)
+      (a == 192 and b == 0 and c in [0, 2]) or
+      (a == 192 and b == 88 and c == 99) or
       # 192.168.0.0/16
       (a == 192 and b == 168) or
-      # 127.0.0.0/8 (loopback)
-      (a == 127) or
-      # 0.0.0.0
-      (a == 0 and b == 0 and c == 0 and d == 0)
+      # 198.18.0.0/15 (benchmarking), 198.51.100.0/24 and 203.0.113.0/24 (documentation)
+      (a == 198 and b in 18..19) or
+      (a == 198 and b == 51 and c == 100) or
+      (a == 203 and b == 0 and c == 113) or
+      # 224.0.0.0/4 (multicast), 240.0.0.0/4 (reserved) and broadcast
+      a >= 224
   end
 
-  defp is_private_ip?(_), do: false
+  # IPv4-mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses
+  # reach the IPv4 address they embed
+  def private_ip?({0, 0, 0, 0, 0, 0xFFFF, x, y}), do: private_ip?(ipv4(x, y))
+  def private_ip?({0x64, 0xFF9B, 0, 0, 0, 0, x, y}), do: private_ip?(ipv4(x, y))
+  def private_ip?({0x2002, x, y, _, _, _, _, _}), do: private_ip?(ipv4(x, y))
+
+  def private_ip?({a, b, _, _, _, _, _, _}) do
+    # Only 2000::/3 is global unicast; this excludes ::/128, ::1, fc00::/7 (unique
+    # local), fe80::/10 (link-local), ff00::/8 (multicast) and the reserved rest
+    (a &&& 0xE000) != 0x2000 or
+      # 2001::/23 (IETF protocols, Teredo) and 2001:db8::/32 (documentation)
+      (a == 0x2001 and (b < 0x0200 or b == 0x0DB8))
+  end
+
+  def private_ip?(_), do: true
+
+  defp ipv4(x, y), do: {x >>> 8, x &&& 0xFF, y >>> 8, y &&& 0xFF}
 
   defp normalize_url(%URI{} = uri) do
     URI.to_string(uri)
@@ -152,17 +267,16 @@ defmodule UiWeb.Services.URLPreviewService do
 
   # HTTP fetch
 
-  defp fetch_html(url) do
+  defp fetch_html(url, req_options) do
     req_opts = [
       receive_timeout: @timeout,
-      max_redirects: @max_redirects,
       decode_body: false,
       headers: [
         {"User-Agent", @user_agent}
       ]
     ]
 
-    case Req.get(url, req_opts) do
+    case get_validated(url, Keyword.merge(req_opts, req_options)) do
       {:ok, %Req.Response{status: status, body: body}} ->
         {:ok, %{status: status, body: body}}
 
@@ -184,6 +298,88 @@ defmodule UiWeb.Services.URLPreviewService do
     end
   end
 
+  # Req would follow a redirect from a public page to an internal address, so redirects
+  # are followed here, validating every hop. Each request connects to the address
+  # that was validated, not to whatever the host name resolves to next.
+  defp get_validated(url, req_opts, redirects \\ 0) do
+    with {:ok, uri, address} <- validate_uri(url) do
+      url = normalize_url(uri)
+
+      case Req.get(pinned_url(uri, address), pinned_options(req_opts, uri)) do
+        {:ok, %Req.Response{status: status} = response} when status in [301, 302, 303, 307, 308] ->
+          case Req.Response.get_header(response, "location") do
+            [] -> {:ok, response}
+            [_location | _] when redirects >= @max_redirects -> {:error, :too_many_redirects}
+            [location | _] -> get_validated(resolve_url(location, url), req_opts, redirects + 1)
+          end
+
+        result ->
+          result
+      end
+    end
+  end
+
+  defp pinned_url(uri, address) do
+    normalize_url(%URI{uri | host: address |> :inet.ntoa() |> to_string()})
+  end
+
+  # Mint sends `hostname` in the Host header and uses it for TLS SNI and verification
+  defp pinned_options(req_opts, uri) do
+    req_opts
+    |> Keyword.put(:redirect, false)
+    |> Keyword.update(:connect_options, [hostname: uri.host], &Keyword.put(&1, :hostname, uri.host))
+  end
+
+  # oEmbed
+
+  @doc false
+  # Exposed for testing - the JSON oEmbed endpoint a page advertises, if any
+  def oembed_endpoint(html, base_url) when is_binary(html) and is_binary(base_url) do
+    with {:ok, doc} <- Floki.parse_document(html),
+         [link | _] <- Floki.find(doc, ~s(link[rel="alternate"][type="application/json+oembed"])),
+         [href | _] <- Floki.attribute(link, "href") do
+      resolve_url(String.trim(href), base_url)
+    else
+      _ -> nil
+    end
+  end
+
+  @doc false
+  # Exposed for testing - fills what the page's own tags left out from an oEmbed response.
+  # The embed `html` is never used, only plain fields.
+  def merge_oembed(preview, data, base_url) when is_map(data) do
+    title = if preview.title == "Untitled", do: string_field(data, "title"), else: nil
+    image = if preview.image, do: nil, else: string_field(data, "thumbnail_url")
+
+    preview
+    |> Map.put(:title, title || preview.title)
+    |> Map.put(:image, if(image, do: resolve_url(image, base_url), else: preview.image))
+    |> Map.put(:provider, string_field(data, "provider_name"))
+    |> Map.put(:author, string_field(data, "author_name"))
+  end
+
+  def merge_oembed(preview, _data, _base_url), do: preview
+
+  # oEmbed is an extra; a failing endpoint leaves the OpenGraph preview as it is
+  defp with_oembed(preview, html, base_url, req_options) do
+    preview = Map.merge(%{provider: nil, author: nil}, preview)
+
+    with endpoint when is_binary(endpoint) <- oembed_endpoint(html, base_url),
+         {:ok, %{status: status, body: body}} when status in 200..299 <- fetch_html(endpoint, req_options),
+         {:ok, data} <- Jason.decode(body) do
+      merge_oembed(preview, data, base_url)
+    else
+      _ -> preview
+    end
+  end
+
+  defp string_field(data, key) do
+    case data[key] do
+      value when is_binary(value) and value != "" -> String.trim(value)
+      _ -> nil
+    end
+  end
+
   # HTML parsing
 
   @doc false
@@ -1,6 +1,15 @@
 defmodule UiWeb.SSEBridge do
-  @moduledoc false
-  use GenServer
+  @moduledoc """
+  Bridges the Gateway's SSE message stream of one tenant into the `messages:{tenant}`
+  channel topic.
+
+  One bridge runs per tenant. Bridges are registered in `UiWeb.SSEBridge.Registry`
+  and started on demand under `UiWeb.SSEBridge.Supervisor` by `ensure_started/1`,
+  which LiveViews call for their URL tenant on connect when `enabled?/0`. A bridge
+  stops once nobody on this node has subscribed to the tenant's topic for a minute,
+  so tenants nobody looks at keep no Gateway stream open.
+  """
+  use GenServer, restart: :transient
   require Logger
 
   alias UiWebWeb.Endpoint
@@ -8,17 +17,62 @@ defmodule UiWeb.SSEBridge do
   @default_tenant "tenant_dev"
   @default_gateway "http://localhost:8081"
   @path "/api/v1/messages/stream"
+  @base_backoff_ms 1000
+  @idle_timeout_ms 60_000
+  @registry UiWeb.SSEBridge.Registry
+  @supervisor UiWeb.SSEBridge.Supervisor
 
   # Public API
-  def start_link(opts), do: GenServer.start_link(__MODULE__, opts, name: __MODULE__)
+
+  @doc """
+  True when SSE bridging is configured (`config :ui_web, :sse_enabled`).
+  """
+  @spec enabled?() :: boolean()
+  def enabled?, do: Application.get_env(:ui_web, :sse_enabled, false) == true
+
+  @doc """
+  Starts the bridge for `opts[:tenant]` (default: the configured `:tenant_id`).
+
+  `opts[:idle_timeout_ms]` is how long it runs without subscribers (default: a minute).
+  """
+  def start_link(opts) do
+    tenant = Keyword.get(opts, :tenant, default_tenant())
+    GenServer.start_link(__MODULE__, opts, name: {:via, Registry, {@registry, tenant}})
+  end
+
+  @doc """
+  Starts the bridge for `tenant_id` unless it is already running.
+  """
+  @spec ensure_started(String.t()) :: {:ok, pid()} | {:error, term()}
+  def ensure_started(tenant_id) do
+    case DynamicSupervisor.start_child(@supervisor, {__MODULE__, tenant: tenant_id}) do
+      {:ok, pid} -> {:ok, pid}
+      {:error, {:already_started, pid}} -> {:ok, pid}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Pid of the bridge for `tenant_id`, or nil.
+  """
+  @spec whereis(String.t()) :: pid() | nil
+  def whereis(tenant_id) do
+    case Registry.lookup(@registry, tenant_id) do
+      [{pid, _value}] -> pid
+      [] -> nil
+    end
+  end
 
   # GenServer
   @impl true
-  def init(_opts) do
+  def init(opts) do
     state = %{
-      tenant: tenant(),
+      tenant: Keyword.get(opts, :tenant, default_tenant()),
+      idle_timeout_ms: Keyword.get(opts, :idle_timeout_ms, @idle_timeout_ms),
       gateway: gateway_url(),
-      backoff_ms: 1000
+      backoff_ms: @base_backoff_ms,
+      last_event_id: nil,
+      idle_since: nil
     }
 
     send(self(), :connect)
@@ -27,25 +81,58 @@ defmodule UiWeb.SSEBridge do
 
   @impl true
   def handle_info(:connect, state) do
-    url = state.gateway <> @path <> "?tenant_id=" <> state.tenant
+    case check_idle(state) do
+      {true, state} -> stop_idle(state)
+      {false, state} -> connect(state)
+    end
+  end
+
+  defp connect(state) do
+    url = state.gateway <> @path <> "?" <> URI.encode_query(%{"tenant_id" => state.tenant})
     Logger.info("SSEBridge connecting to #{url}")
     append_log("SSEBridge connecting to #{url}")
 
-    case do_connect(url) do
-      :ok ->
-        {:noreply, %{state | backoff_ms: 1000}}
+    case do_connect(url, state) do
+      {:idle, last_event_id} ->
+        stop_idle(%{state | last_event_id: last_event_id})
+
+      {:error, reason, last_event_id} ->
+        # Events received since the previous attempt mean the stream was healthy,
+        # so start over from the base delay instead of growing the backoff
+        backoff_ms =
+          if last_event_id != state.last_event_id, do: @base_backoff_ms, else: state.backoff_ms
 
-      {:error, reason} ->
         Logger.warning(
-          "SSEBridge connect error: #{inspect(reason)}; retry in #{state.backoff_ms} ms"
+          "SSEBridge connect error: #{inspect(reason)}; retry in #{backoff_ms} ms " <>
+            "(last_event_id=#{inspect(last_event_id)})"
         )
 
-        Process.send_after(self(), :connect, state.backoff_ms)
-        {:noreply, %{state | backoff_ms: next_backoff(state.backoff_ms)}}
+        Process.send_after(self(), :connect, backoff_ms)
+
+        {:noreply,
+         %{state | backoff_ms: next_backoff(backoff_ms), last_event_id: last_event_id}}
+    end
+  end
+
+  defp stop_idle(state) do
+    Logger.info("SSEBridge for #{state.tenant} stopped: no subscribers")
+    {:stop, :normal, state}
+  end
+
+  # Tracks since when nobody on this node subscribes to the tenant's topic (Phoenix
+  # PubSub keeps local subscribers in a Registry named after the PubSub); true once
+  # that has lasted `idle_timeout_ms`
+  defp check_idle(%{tenant: tenant, idle_since: idle_since} = st) do
+    now = System.monotonic_time(:millisecond)
+
+    cond do
+      Registry.lookup(UiWeb.PubSub, "messages:" <> tenant) != [] -> {false, %{st | idle_since: nil}}
+      is_nil(idle_since) -> {false, %{st | idle_since: now}}
+      true -> {now - idle_since >= st.idle_timeout_ms, st}
     end
   end
 
-  defp tenant do
+  defp default_tenant do
     Application.get_env(:ui_web, :tenant_id, @default_tenant)
   end
 
@@ -54,8 +141,10 @@ defmodule UiWeb.SSEBridge do
     Keyword.get(cfg, :url, @default_gateway)
   end
 
-  # Mint-based SSE stream
-  defp do_connect(url) do
+  # Mint-based SSE stream. Ends with `{:error, reason, last_event_id}` so the next
+  # attempt can resume from the last event that was dispatched, or with
+  # `{:idle, last_event_id}` once the topic has had no subscribers for a while.
+  defp do_connect(url, %{tenant: tenant, last_event_id: last_event_id} = state) do
     uri = URI.parse(url)
     scheme = (uri.scheme || "http") |> String.to_atom()
     host = uri.host
@@ -63,36 +152,64 @@ defmodule UiWeb.SSEBridge do
     path = uri.path <> if uri.query, do: "?" <> uri.query, else: ""
 
     with {:ok, conn} <- Mint.HTTP.connect(scheme, host, port, []),
-         {:ok, conn, ref} <- Mint.HTTP.request(conn, "GET", path, headers(host), ""),
+         {:ok, conn, ref} <-
+           Mint.HTTP.request(conn, "GET", path, headers(host, last_event_id), ""),
          {:ok, conn} <- Mint.HTTP.set_mode(conn, :passive) do
-      loop(conn, ref, %{event: nil, data: []}, host)
+      acc = %{
+        tenant: tenant,
+        event: nil,
+        data: [],
+        id: nil,
+        last_event_id: last_event_id,
+        buffer: "",
+        idle_since: state.idle_since,
+        idle_timeout_ms: state.idle_timeout_ms
+      }
+
+      loop(conn, ref, acc, host)
     else
-      {:error, reason} -> {:error, reason}
-      other -> {:error, other}
+      {:error, _conn, reason} -> {:error, reason, last_event_id}
+      {:error, reason} -> {:error, reason, last_event_id}
+      other -> {:error, other, last_event_id}
     end
   end
 
-  defp headers(host) do
-    [
+  defp headers(host, last_event_id) do
+    base = [
       {"host", host},
       {"accept", "text/event-stream"},
       {"cache-control", "no-cache"},
       {"connection", "keep-alive"},
       {"user-agent", "ui_web/sse_bridge"}
     ]
+
+    # Ask the gateway to replay everything after the last event we dispatched
+    if last_event_id, do: base ++ [{"last-event-id", last_event_id}], else: base
   end
 
+  # Checked between reads, so a quiet stream notices it is idle at the 30 s read timeout
   defp loop(conn, ref, acc, host) do
+    case check_idle(acc) do
+      {true, acc} ->
+        Mint.HTTP.close(conn)
+        {:idle, acc.last_event_id}
+
+      {false, acc} ->
+        recv(conn, ref, acc, host)
+    end
+  end
+
+  defp recv(conn, ref, acc, host) do
     case Mint.HTTP.recv(conn, 0, 30_000) do
       {:ok, conn, messages} ->
         {conn, ref, acc} = handle_responses(conn, ref, acc, messages)
         loop(conn, ref, acc, host)
 
-      {:error, _conn, reason} ->
-        {:error, reason}
+      {:error, _conn, reason, _responses} ->
+        {:error, reason, acc.last_event_id}
 
       other ->
-        {:error, other}
+        {:error, other, acc.last_event_id}
     end
   end
 
@@ -116,9 +233,10 @@ defmodule UiWeb.SSEBridge do
   defp handle_response(conn, ref, acc, _), do: {conn, ref, acc}
 
   defp process_chunk(acc, chunk) do
-    lines = String.split(chunk, "\n")
+    # A chunk may end mid-line; keep the partial line buffered until the rest arrives
+    {lines, [rest]} = (acc.buffer <> chunk) |> String.split("\n") |> Enum.split(-1)
 
-    Enum.reduce(lines, acc, fn line, st ->
+    Enum.reduce(lines, %{acc | buffer: rest}, fn line, st ->
       cond do
         String.starts_with?(line, "event:") ->
           %{st | event: String.trim_leading(String.trim(line), "event:") |> String.trim()}
@@ -127,9 +245,12 @@ defmodule UiWeb.SSEBridge do
           data = String.trim_leading(String.trim(line), "data:") |> String.trim()
           %{st | data: [data | st.data]}
 
+        String.starts_with?(line, "id:") ->
+          %{st | id: String.trim_leading(String.trim(line), "id:") |> String.trim()}
+
         String.trim(line) == "" ->
           dispatch(st)
-          %{event: nil, data: []}
+          %{st | event: nil, data: [], id: nil, last_event_id: st.id || st.last_event_id}
 
         true ->
           st
@@ -139,7 +260,7 @@ defmodule UiWeb.SSEBridge do
 
   defp dispatch(%{event: nil}), do: :ok
 
-  defp dispatch(%{event: event, data: data_lines}) do
+  defp dispatch(%{tenant: tenant, event: event, data: data_lines, id: id}) do
     payload = Enum.reverse(data_lines) |> Enum.join("\n")
 
     decoded =
@@ -149,10 +270,10 @@ defmodule UiWeb.SSEBridge do
       end
 
     # Broadcast to messages:{tenant}
-    topic = "messages:" <> tenant()
+    topic = "messages:" <> tenant
     Logger.info("SSEBridge broadcast topic=#{topic} event=#{event}")
     append_log("SSEBridge broadcast topic=#{topic} event=#{event}")
-    Endpoint.broadcast!(topic, "message_event", %{"event" => event, "data" => decoded})
+    Endpoint.broadcast!(topic, "message_event", %{"event" => event, "data" => decoded, "id" => id})
   end
 
   defp next_backoff(ms) do
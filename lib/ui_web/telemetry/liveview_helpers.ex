@@ -4,7 +4,9 @@ defmodule UiWeb.Telemetry.LiveViewHelpers do
   
   Provides:
   - `emit_action/3` - Emit LiveView action event
+  - `emit_access_denied/3` - Emit event for an action the user's role does not allow
   - `get_context/1` - Extract tenant_id, user_id, request_id from socket
+  - `client_opts/1` - The same context as client options
   """
   
   @doc """
@@ -31,6 +33,28 @@ defmodule UiWeb.Telemetry.LiveViewHelpers do
     )
   end
   
+  @doc """
+  Emit access-denied event for Telemetry, when the user's role does not allow `action`.
+
+  ## Examples
+
+      emit_access_denied(socket, :bulk_delete_messages, "operator")
+
+  """
+  def emit_access_denied(socket, action, required_role) do
+    metadata =
+      socket
+      |> get_context()
+      |> Map.merge(%{
+        liveview: socket.view || __MODULE__,
+        action: action,
+        role: socket.assigns[:current_role],
+        required_role: required_role
+      })
+
+    :telemetry.execute([:ui_web, :live, :access_denied], %{count: 1}, metadata)
+  end
+  
   @doc """
   Extract context (tenant_id, user_id, request_id) from socket.
   
@@ -49,6 +73,14 @@ defmodule UiWeb.Telemetry.LiveViewHelpers do
     |> Map.new()
   end
   
+  @doc """
+  Context from `get_context/1` as keyword options for the service clients, so every
+  call is made for the socket's (URL) tenant and user.
+  """
+  def client_opts(socket) do
+    socket |> get_context() |> Map.to_list()
+  end
+
   defp get_tenant_id(socket) do
     cond do
       Map.has_key?(socket.assigns, :tenant_id) ->
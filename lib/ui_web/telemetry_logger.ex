@@ -9,6 +9,7 @@ defmodule UiWeb.TelemetryLogger do
   - `[:ui_web, :client, :request]` - Client layer requests (new)
   - `[:ui_web, :client, :response]` - Client layer responses (new)
   - `[:ui_web, :live, :action]` - LiveView actions (new)
+  - `[:ui_web, :live, :access_denied]` - LiveView actions denied by role
   """
 
   require Logger
@@ -25,7 +26,8 @@ defmodule UiWeb.TelemetryLogger do
         [:ui_web, :nats, :event],
         [:ui_web, :client, :request],
         [:ui_web, :client, :response],
-        [:ui_web, :live, :action]
+        [:ui_web, :live, :action],
+        [:ui_web, :live, :access_denied]
       ],
       &__MODULE__.handle_event/4,
       %{}
@@ -114,5 +116,16 @@ defmodule UiWeb.TelemetryLogger do
       request_id: metadata.request_id
     )
   end
-end
 
+  def handle_event([:ui_web, :live, :access_denied], _measurements, metadata, _config) do
+    Logger.warning("liveview_access_denied",
+      liveview: inspect(metadata.liveview),
+      action: metadata.action,
+      role: metadata.role,
+      required_role: metadata.required_role,
+      tenant_id: metadata[:tenant_id],
+      user_id: metadata[:user_id],
+      request_id: metadata[:request_id]
+    )
+  end
+end
@@ -0,0 +1,85 @@
+defmodule UiWeb.TextDiff do
+  @moduledoc """
+  Line-based diff of two texts, shaped for side-by-side rendering.
+
+  Built on `List.myers_difference/2`. Adjacent deletions and insertions are paired
+  into `:changed` rows so both columns stay aligned.
+  """
+
+  @type row :: %{
+          kind: :same | :changed | :removed | :added,
+          left: {pos_integer(), String.t()} | nil,
+          right: {pos_integer(), String.t()} | nil
+        }
+
+  @doc """
+  Returns the rows of a side-by-side diff of `old` (left) and `new` (right).
+
+  ## Examples
+
+      iex> UiWeb.TextDiff.side_by_side("a\\nb", "a\\nc")
+      [
+        %{kind: :same, left: {1, "a"}, right: {1, "a"}},
+        %{kind: :changed, left: {2, "b"}, right: {2, "c"}}
+      ]
+  """
+  @spec side_by_side(String.t(), String.t()) :: [row()]
+  def side_by_side(old, new) do
+    old
+    |> lines()
+    |> List.myers_difference(lines(new))
+    |> pair_edits([])
+    |> number_rows()
+  end
+
+  @doc """
+  Returns `{added, removed}` line counts, treating a changed line as one of each.
+  """
+  @spec stats([row()]) :: {non_neg_integer(), non_neg_integer()}
+  def stats(rows) do
+    Enum.reduce(rows, {0, 0}, fn
+      %{kind: :added}, {a, r} -> {a + 1, r}
+      %{kind: :removed}, {a, r} -> {a, r + 1}
+      %{kind: :changed}, {a, r} -> {a + 1, r + 1}
+      _same, acc -> acc
+    end)
+  end
+
+  @doc """
+  True when the diff has no added, removed or changed rows.
+  """
+  @spec unchanged?([row()]) :: boolean()
+  def unchanged?(rows), do: Enum.all?(rows, &(&1.kind == :same))
+
+  defp lines(text), do: String.split(text, ~r/\r?\n/)
+
+  defp pair_edits([{:del, dels}, {:ins, inss} | rest], acc) do
+    paired = Enum.zip(dels, inss) |> Enum.map(fn {l, r} -> {:changed, l, r} end)
+    extra_dels = dels |> Enum.drop(length(inss)) |> Enum.map(&{:removed, &1, nil})
+    extra_inss = inss |> Enum.drop(length(dels)) |> Enum.map(&{:added, nil, &1})
+    pair_edits(rest, Enum.reverse(paired ++ extra_dels ++ extra_inss, acc))
+  end
+
+  defp pair_edits([{:eq, eqs} | rest], acc),
+    do: pair_edits(rest, Enum.reverse(Enum.map(eqs, &{:same, &1, &1}), acc))
+
+  defp pair_edits([{:del, dels} | rest], acc),
+    do: pair_edits(rest, Enum.reverse(Enum.map(dels, &{:removed, &1, nil}), acc))
+
+  defp pair_edits([{:ins, inss} | rest], acc),
+    do: pair_edits(rest, Enum.reverse(Enum.map(inss, &{:added, nil, &1}), acc))
+
+  defp pair_edits([], acc), do: Enum.reverse(acc)
+
+  defp number_rows(edits) do
+    {rows, _} =
+      Enum.map_reduce(edits, {1, 1}, fn {kind, l, r}, {ln, rn} ->
+        left = if l, do: {ln, l}
+        right = if r, do: {rn, r}
+        row = %{kind: kind, left: left, right: right}
+        {row, {if(l, do: ln + 1, else: ln), if(r, do: rn + 1, else: rn)}}
+      end)
+
+    rows
+  end
+end
@@ -68,6 +68,7 @@ defmodule UiWebWeb do
       alias Phoenix.LiveView.JS
       import UiWebWeb.CoreComponents
       import UiWebWeb.Components.URLPreviewComponent, only: [url_preview: 1]
+      import UiWebWeb.Live.AuthorizationHook, only: [authorize: 2, can?: 2]
 
       unquote(verified_routes())
     end
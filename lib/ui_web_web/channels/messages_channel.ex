@@ -1,10 +1,15 @@
 defmodule UiWebWeb.MessagesChannel do
   use UiWebWeb, :channel
 
+  alias UiWebWeb.UserSocket
+
   @impl true
-  def join("messages:" <> _tenant = _topic, _payload, socket) do
-    # CP1: allow any connect; in CP2 derive/verify tenant from session/token
-    {:ok, socket}
+  def join("messages:" <> tenant = _topic, _payload, socket) do
+    if UserSocket.tenant_allowed?(socket, tenant) do
+      {:ok, socket}
+    else
+      {:error, %{reason: "unauthorized"}}
+    end
   end
 
   @impl true
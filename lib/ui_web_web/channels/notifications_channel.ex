@@ -1,10 +1,33 @@
 defmodule UiWebWeb.NotificationsChannel do
   use UiWebWeb, :channel
 
+  alias UiWebWeb.UserSocket
+
+  @levels ~w(info success warning error)
+
+  @doc """
+  Broadcasts a notification to every client joined to `notifications:<tenant_id>`.
+
+  `payload` should carry `"title"` and/or `"message"`; `"level"` is one of
+  #{Enum.join(@levels, ", ")} and defaults to `"info"`.
+  """
+  @spec notify(String.t(), map()) :: :ok | {:error, term()}
+  def notify(tenant_id, payload) when is_map(payload) do
+    payload =
+      payload
+      |> Map.new(fn {k, v} -> {to_string(k), v} end)
+      |> Map.update("level", "info", fn level -> if level in @levels, do: level, else: "info" end)
+
+    UiWebWeb.Endpoint.broadcast("notifications:" <> tenant_id, "notification", payload)
+  end
+
   @impl true
-  def join("notifications:" <> _tenant = _topic, _payload, socket) do
-    # CP1: allow any connect; in CP2 derive/verify tenant
-    {:ok, socket}
+  def join("notifications:" <> tenant = _topic, _payload, socket) do
+    if UserSocket.tenant_allowed?(socket, tenant) do
+      {:ok, socket}
+    else
+      {:error, %{reason: "unauthorized"}}
+    end
   end
 
   @impl true
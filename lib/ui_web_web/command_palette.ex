@@ -0,0 +1,100 @@
+defmodule UiWebWeb.CommandPalette do
+  @moduledoc """
+  Builds the command list for the Ctrl/Cmd+K palette (`Hooks.CommandPalette`).
+
+  Navigation entries are derived from the LiveView routes under `/app/:tenant_id`
+  in `UiWebWeb.Router`, so new pages show up without touching the palette:
+
+  - routes without other params become "Navigate" commands (`/extensions/pipeline`
+    → "Extensions › Pipeline");
+  - routes with one `:id` param become id targets: the client substitutes whatever
+    id the user typed (`/messages/:id` → "Messages › msg_001").
+
+  Actions either navigate (`"href"`) or are sent to the current LiveView as a
+  `"palette_command"` event (`"event"`), handled by `UiWebWeb.Live.CommandPaletteHook`.
+  """
+
+  @tenant_prefix "/app/:tenant_id"
+
+  @actions [
+    %{"id" => "new_message", "label" => "New message", "path" => "/messages/new"},
+    %{"id" => "new_extension", "label" => "New extension", "path" => "/extensions/new"},
+    %{"id" => "refresh_health", "label" => "Refresh health", "event" => "refresh_health"}
+  ]
+
+  @doc """
+  Action names accepted in `"palette_command"` events.
+  """
+  @spec event_actions() :: [String.t()]
+  def event_actions do
+    for %{"event" => event} <- @actions, do: event
+  end
+
+  @doc """
+  Returns `%{"commands" => [...], "id_targets" => [...]}` for `tenant_id`.
+
+  Each command has `"id"`, `"label"`, `"group"` and either `"href"` or `"event"`.
+  Id targets carry `"label"` and `"href"` templates containing `{id}`.
+  """
+  @spec commands(String.t(), module()) :: map()
+  def commands(tenant_id, router \\ UiWebWeb.Router) do
+    {static, with_id} =
+      router
+      |> tenant_live_paths()
+      |> Enum.split_with(&(params(&1) == []))
+
+    navigation =
+      for path <- static do
+        %{
+          "id" => "nav:" <> path,
+          "label" => label(path),
+          "group" => "Navigate",
+          "href" => expand(path, tenant_id)
+        }
+      end
+
+    actions =
+      for action <- @actions do
+        action
+        |> Map.put("group", "Actions")
+        |> then(fn
+          %{"path" => path} = action -> action |> Map.delete("path") |> Map.put("href", expand(path, tenant_id))
+          action -> action
+        end)
+      end
+
+    id_targets =
+      for path <- with_id, params(path) == ["id"] do
+        %{"label" => label(path), "href" => expand(path, tenant_id)}
+      end
+
+    %{"commands" => navigation ++ actions, "id_targets" => id_targets}
+  end
+
+  defp tenant_live_paths(router) do
+    router
+    |> Phoenix.Router.routes()
+    |> Enum.filter(&(&1.verb == :get and &1.plug == Phoenix.LiveView.Plug))
+    |> Enum.map(& &1.path)
+    |> Enum.filter(&String.starts_with?(&1, @tenant_prefix <> "/"))
+    |> Enum.map(&String.replace_prefix(&1, @tenant_prefix, ""))
+    |> Enum.uniq()
+  end
+
+  defp params(path) do
+    for ":" <> param <- String.split(path, "/", trim: true), do: param
+  end
+
+  defp label(path) do
+    path
+    |> String.split("/", trim: true)
+    |> Enum.map_join(" › ", fn
+      ":id" -> "{id}"
+      segment -> segment |> String.replace(["_", "-"], " ") |> String.capitalize()
+    end)
+  end
+
+  defp expand(path, tenant_id) do
+    "/app/" <> URI.encode_www_form(tenant_id) <> String.replace(path, ":id", "{id}")
+  end
+end
@@ -0,0 +1,145 @@
+defmodule UiWebWeb.Components.CodeHighlighter do
+  @moduledoc """
+  Syntax highlighting for `UiWebWeb.Components.CodePreview`.
+
+  JSON, Elixir and XML/HTML go through Makeup's lexers. YAML and logs, which Makeup
+  has no lexer for, use small regex tokenizers here; they emit the same
+  `<pre class="highlight">` markup and Makeup token classes (`k`, `s`, `c`, `m`,
+  `nt`, ...), so one stylesheet covers every language. Anything else, and input over
+  200 KB, is escaped as plain text.
+  """
+  import Phoenix.HTML
+
+  alias Makeup.Formatters.HTML.HTMLFormatter
+  alias Makeup.Lexers.{ElixirLexer, HTMLLexer, JSONLexer}
+
+  @max_size 200_000
+
+  @aliases %{
+    "json" => "json",
+    "yaml" => "yaml",
+    "yml" => "yaml",
+    "elixir" => "elixir",
+    "ex" => "elixir",
+    "exs" => "elixir",
+    "xml" => "xml",
+    "html" => "xml",
+    "log" => "log",
+    "logs" => "log"
+  }
+
+  @string ~S/"(?:[^"\\]|\\.)*"/
+
+  @yaml_rules [
+    {~r/\A#[^\n]*/, "c"},
+    {~r/\A(?:---|\.\.\.)(?=\s|$)/, "cp"},
+    {~r/\A[\w.\-\/]+(?=[ \t]*:(?:\s|$))/u, "nt"},
+    {~r/\A(?:#{@string}|'(?:[^']|'')*')/, "s"},
+    {~r/\A(?:true|false|null|yes|no|on|off|~)(?![\w.\-])/i, "kc"},
+    {~r/\A-?(?:\d+\.?\d*(?:[eE][+-]?\d+)?|\.inf|\.nan)(?![\w.\-:])/i, "m"},
+    {~r/\A[&*][\w\-]+/u, "nv"},
+    {~r/\A![\w!\/\-]*/u, "kt"},
+    {~r/\A[\-:?|>\[\]{},]/, "p"},
+    {~r/\A[\w.\/]+/u, nil},
+    {~r/\A\s+/, nil}
+  ]
+
+  @log_rules [
+    {~r/\A\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/, "log-time"},
+    {~r/\A\d{2}:\d{2}:\d{2}(?:\.\d+)?/, "log-time"},
+    {~r/\A\[?(?:EMERG(?:ENCY)?|ALERT|CRIT(?:ICAL)?|FATAL|ERR(?:OR)?|emergency|alert|critical|fatal|error)\]?(?![\w])/, "log-error"},
+    {~r/\A\[?(?:WARN(?:ING)?|warn(?:ing)?)\]?(?![\w])/, "log-warn"},
+    {~r/\A\[?(?:INFO|NOTICE|info|notice)\]?(?![\w])/, "log-info"},
+    {~r/\A\[?(?:DEBUG|TRACE|debug|trace)\]?(?![\w])/, "log-debug"},
+    {~r/\A#{@string}/, "s"},
+    {~r/\A[\w.\-]+=/u, "na"},
+    {~r/\A\d+(?:\.\d+)?(?![\w])/, "m"},
+    {~r/\A\w+/u, nil},
+    {~r/\A\s+/, nil}
+  ]
+
+  @doc """
+  Languages with highlighting, under their canonical names.
+  """
+  @spec languages() :: [String.t()]
+  def languages, do: @aliases |> Map.values() |> Enum.uniq() |> Enum.sort()
+
+  @doc """
+  The canonical name of `language` (`"yml"` is `"yaml"`), or nil for plain text.
+
+  ## Examples
+
+      iex> UiWebWeb.Components.CodeHighlighter.language("YML")
+      "yaml"
+
+      iex> UiWebWeb.Components.CodeHighlighter.language("txt")
+      nil
+  """
+  @spec language(String.t()) :: String.t() | nil
+  def language(language), do: Map.get(@aliases, String.downcase(language))
+
+  @doc """
+  `code` as highlighted HTML. The result is escaped and safe to render raw.
+  """
+  @spec highlight(String.t(), String.t()) :: String.t()
+  def highlight(code, language) when byte_size(code) > @max_size, do: plain(code, language)
+
+  def highlight(code, language) do
+    case language(language) do
+      "json" -> lex(code, JSONLexer)
+      "elixir" -> lex(code, ElixirLexer)
+      "xml" -> lex(code, HTMLLexer)
+      "yaml" -> wrap(tokenize(code, @yaml_rules))
+      "log" -> wrap(tokenize(code, @log_rules))
+      nil -> escape(code)
+    end
+  end
+
+  defp plain(code, language) do
+    if language(language), do: wrap(escape(code)), else: escape(code)
+  end
+
+  defp lex(code, lexer) do
+    code
+    |> lexer.lex()
+    |> HTMLFormatter.format_as_iodata([])
+    |> IO.iodata_to_binary()
+  rescue
+    _ -> wrap(escape(code))
+  end
+
+  defp wrap(iodata), do: IO.iodata_to_binary([~s(<pre class="highlight"><code>), iodata, "</code></pre>"])
+
+  # The first rule matching at the current position wins; text no rule matches is
+  # emitted one character at a time.
+  defp tokenize(code, rules), do: tokenize(code, rules, [])
+
+  defp tokenize("", _rules, acc), do: Enum.reverse(acc)
+
+  defp tokenize(code, rules, acc) do
+    {token, rest} =
+      Enum.find_value(rules, fn {regex, class} ->
+        case Regex.run(regex, code, return: :index) do
+          [{0, length} | _] when length > 0 ->
+            <<text::binary-size(length), rest::binary>> = code
+            {token(text, class), rest}
+
+          _ ->
+            nil
+        end
+      end) || next_char(code)
+
+    tokenize(rest, rules, [token | acc])
+  end
+
+  defp next_char(code) do
+    case String.next_grapheme(code) do
+      {char, rest} -> {escape(char), rest}
+    end
+  end
+
+  defp token(text, nil), do: escape(text)
+  defp token(text, class), do: [~s(<span class="), class, ~s(">), escape(text), "</span>"]
+
+  defp escape(text), do: text |> html_escape() |> safe_to_string()
+end
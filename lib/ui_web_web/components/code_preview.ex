@@ -5,7 +5,16 @@ defmodule UiWebWeb.Components.CodePreview do
   ## Attributes
 
     * `:code` - исходный текст (строка)
-    * `:language` - "json" (по умолчанию), можно расширять в будущем
+    * `:language` - "json" (по умолчанию), "yaml", "elixir", "xml", "log"; остальное
+      показывается как обычный текст (см. `UiWebWeb.Components.CodeHighlighter`)
+    * `:mode` - "code" (по умолчанию), "tree" или "diff":
+      * "tree" - сворачиваемое дерево JSON с поиском по JSONPath
+        (`UiWebWeb.Components.JsonTree`); нужен `:id`, без него и для невалидного
+        JSON показывается код
+      * "diff" - построчное сравнение `:compare` (слева) с `:code` (справа)
+    * `:compare` - текст для сравнения в режиме "diff"
+    * `:left_label` / `:right_label` - заголовки колонок diff
+    * `:tree_depth` - сколько уровней дерева открыто изначально (по умолчанию 2)
     * `:max_height` - высота области (по умолчанию 400px)
     * `:class` - доп. CSS классы обертки
     * `:id` - уникальный ID для элемента (генерируется автоматически если не указан)
@@ -13,23 +22,107 @@ defmodule UiWebWeb.Components.CodePreview do
   use Phoenix.Component
   import Phoenix.HTML
 
-  alias Makeup.Lexers.JSONLexer
-  alias Makeup.Formatters.HTML.HTMLFormatter
+  alias UiWeb.JsonDiff
+  alias UiWeb.TextDiff
+  alias UiWebWeb.Components.CodeHighlighter
+  alias UiWebWeb.Components.JsonTree
 
   attr :code, :string, required: true
   attr :language, :string, default: "json"
+  attr :mode, :string, default: "code", values: ~w(code tree diff)
+  attr :compare, :string, default: nil
+  attr :left_label, :string, default: "Before"
+  attr :right_label, :string, default: "After"
+  attr :tree_depth, :integer, default: 2
   attr :max_height, :integer, default: 400
   attr :class, :string, default: ""
   attr :id, :string, default: nil
 
+  def code_preview(%{mode: "tree"} = assigns) do
+    case tree_value(assigns) do
+      {:ok, value} ->
+        assigns =
+          assigns
+          |> assign(:value, value)
+          |> assign(:formatted, format_code(assigns.code, assigns.language))
+
+        ~H"""
+        <div class={["code-preview rounded-lg border border-gray-300 overflow-hidden", @class]}>
+          <.preview_header id={@id} title="JSON tree" />
+          <pre id={"code-content-#{@id}"} class="hidden"><%= @formatted %></pre>
+          <.live_component
+            module={JsonTree}
+            id={"json-tree-#{@id}"}
+            value={@value}
+            depth={@tree_depth}
+            max_height={@max_height}
+          />
+        </div>
+        """
+
+      :error ->
+        code_preview(%{assigns | mode: "code"})
+    end
+  end
+
+  def code_preview(%{mode: "diff"} = assigns) do
+    left = format_code(assigns.compare || "", assigns.language)
+    right = format_code(assigns.code, assigns.language)
+    rows = TextDiff.side_by_side(left, right)
+
+    assigns =
+      assigns
+      |> assign(:rows, rows)
+      |> assign(:stats, TextDiff.stats(rows))
+      |> assign(:changes, json_changes(assigns))
+
+    ~H"""
+    <div class={["code-preview rounded-lg border border-gray-300 overflow-hidden", @class]} data-testid="code-diff">
+      <div class="bg-gray-50 px-4 py-2 border-b border-gray-300 flex justify-between items-center">
+        <span class="text-xs font-medium text-gray-600">
+          <%= String.upcase(@language) %> diff
+        </span>
+        <span class="text-xs">
+          <%= if TextDiff.unchanged?(@rows) do %>
+            <span class="text-gray-600">No differences</span>
+          <% else %>
+            <span :if={@changes} class="mr-2 text-gray-600"><%= @changes %></span>
+            <span class="text-green-700">+<%= elem(@stats, 0) %></span>
+            <span class="ml-2 text-red-700">−<%= elem(@stats, 1) %></span>
+          <% end %>
+        </span>
+      </div>
+      <div class="overflow-auto" style={"max-height: #{@max_height}px"}>
+        <table class="w-full table-fixed font-mono text-xs">
+          <thead class="sticky top-0 bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th class="w-10 px-2 py-1"></th>
+              <th class="px-2 py-1"><%= @left_label %></th>
+              <th class="w-10 px-2 py-1"></th>
+              <th class="px-2 py-1"><%= @right_label %></th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr :for={row <- @rows} data-diff-kind={row.kind}>
+              <td class={"px-2 text-right text-gray-400 #{diff_cell_class(row.kind, :left)}"}><%= row.left && elem(row.left, 0) %></td>
+              <td class={"whitespace-pre px-2 #{diff_cell_class(row.kind, :left)}"}><%= row.left && elem(row.left, 1) %></td>
+              <td class={"px-2 text-right text-gray-400 #{diff_cell_class(row.kind, :right)}"}><%= row.right && elem(row.right, 0) %></td>
+              <td class={"whitespace-pre px-2 #{diff_cell_class(row.kind, :right)}"}><%= row.right && elem(row.right, 1) %></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+    """
+  end
+
   def code_preview(assigns) do
     id = assigns.id || random_id()
 
     highlighted =
-      case String.downcase(assigns.language) do
-        "json" -> highlight_json(assigns.code)
-        _ -> escape_plain(assigns.code)
-      end
+      assigns.code
+      |> format_code(assigns.language)
+      |> CodeHighlighter.highlight(assigns.language)
 
     assigns =
       assigns
@@ -38,20 +131,7 @@ defmodule UiWebWeb.Components.CodePreview do
 
     ~H"""
     <div class={["code-preview rounded-lg border border-gray-300", @class]}>
-      <div class="bg-gray-50 px-4 py-2 border-b border-gray-300 flex justify-between items-center">
-        <span class="text-xs font-medium text-gray-600">
-          <%= String.upcase(@language) %> preview
-        </span>
-        <button
-          type="button"
-          id={"copy-btn-#{@id}"}
-          phx-hook="ClipboardCopy"
-          data-target={"#code-content-#{@id}"}
-          class="text-xs text-indigo-600 hover:text-indigo-900"
-        >
-          Copy
-        </button>
-      </div>
+      <.preview_header id={@id} title={"#{String.upcase(@language)} preview"} />
 
       <div
         id={"code-content-#{@id}"}
@@ -65,34 +145,73 @@ defmodule UiWebWeb.Components.CodePreview do
     """
   end
 
+  attr :id, :string, required: true
+  attr :title, :string, required: true
+
+  defp preview_header(assigns) do
+    ~H"""
+    <div class="bg-gray-50 px-4 py-2 border-b border-gray-300 flex justify-between items-center">
+      <span class="text-xs font-medium text-gray-600">
+        <%= @title %>
+      </span>
+      <button
+        type="button"
+        id={"copy-btn-#{@id}"}
+        phx-hook="ClipboardCopy"
+        data-target={"#code-content-#{@id}"}
+        class="text-xs text-indigo-600 hover:text-indigo-900"
+      >
+        Copy
+      </button>
+    </div>
+    """
+  end
+
   defp random_id do
     :crypto.strong_rand_bytes(6) |> Base.encode16(case: :lower)
   end
 
-  defp highlight_json(code) when is_binary(code) do
-    json_string =
-      case Jason.decode(code) do
-        {:ok, decoded} ->
-          Jason.encode!(decoded, pretty: true)
+  # Дереву нужен стабильный id: состояние компонента живет между рендерами
+  defp tree_value(%{id: id, code: code, language: language}) when is_binary(id) do
+    with "json" <- CodeHighlighter.language(language),
+         {:ok, value} <- Jason.decode(code) do
+      {:ok, value}
+    else
+      _ -> :error
+    end
+  end
 
-        {:error, _} ->
-          # некорректный JSON – показываем как есть
-          code
-      end
+  defp tree_value(_assigns), do: :error
 
-    try do
-      json_string
-      |> JSONLexer.lex()
-      |> HTMLFormatter.format_as_iodata([])
-      |> IO.iodata_to_binary()
-    rescue
-      _ ->
-        escape_plain(json_string)
+  defp format_code(code, language) do
+    with "json" <- CodeHighlighter.language(language),
+         {:ok, decoded} <- Jason.decode(code) do
+      Jason.encode!(decoded, pretty: true)
+    else
+      # не JSON или некорректный JSON – показываем как есть
+      _ -> code
     end
   end
 
-  defp escape_plain(code) do
-    html_escape(code) |> safe_to_string()
+  defp json_changes(%{compare: compare, code: code, language: language}) when is_binary(compare) do
+    with "json" <- CodeHighlighter.language(language),
+         {:ok, old} <- Jason.decode(compare),
+         {:ok, new} <- Jason.decode(code) do
+      case length(JsonDiff.diff(old, new)) do
+        0 -> nil
+        1 -> "1 change"
+        count -> "#{count} changes"
+      end
+    else
+      _ -> nil
+    end
   end
-end
 
+  defp json_changes(_assigns), do: nil
+
+  defp diff_cell_class(:removed, :left), do: "bg-red-50"
+  defp diff_cell_class(:changed, :left), do: "bg-red-50"
+  defp diff_cell_class(:added, :right), do: "bg-green-50"
+  defp diff_cell_class(:changed, :right), do: "bg-green-50"
+  defp diff_cell_class(_kind, _side), do: ""
+end
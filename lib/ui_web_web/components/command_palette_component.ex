@@ -0,0 +1,80 @@
+defmodule UiWebWeb.Components.CommandPaletteComponent do
+  @moduledoc """
+  Markup for the Ctrl/Cmd+K command palette and the `?` shortcut help overlay.
+
+  Rendered once in the app layout. `Hooks.CommandPalette` (assets/js/command_palette.js)
+  owns the contents after mount (`phx-update="ignore"`): it filters the commands,
+  handles the global and per-page keyboard shortcuts and fills the help overlay.
+
+  ## Usage
+
+      <.command_palette palette={@palette} />
+
+  `palette` comes from `UiWebWeb.CommandPalette.commands/2`, assigned by
+  `UiWebWeb.Live.CommandPaletteHook`.
+  """
+  use Phoenix.Component
+
+  attr :palette, :map, required: true, doc: "Commands and id targets for the current tenant"
+
+  def command_palette(assigns) do
+    ~H"""
+    <div
+      id="command-palette"
+      phx-hook="CommandPalette"
+      phx-update="ignore"
+      data-commands={Jason.encode!(@palette["commands"])}
+      data-id-targets={Jason.encode!(@palette["id_targets"])}
+    >
+      <div
+        data-palette-dialog
+        data-testid="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        class="hidden fixed inset-0 z-50 flex items-start justify-center bg-gray-900/40 pt-24"
+      >
+        <div class="w-full max-w-lg overflow-hidden rounded-lg bg-white shadow-xl">
+          <input
+            data-palette-input
+            type="text"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-results"
+            aria-autocomplete="list"
+            aria-label="Search commands"
+            placeholder="Type a command, page or id…"
+            autocomplete="off"
+            class="block w-full border-0 border-b border-gray-200 px-4 py-3 text-sm focus:ring-0"
+          />
+          <ul
+            id="command-palette-results"
+            data-palette-results
+            role="listbox"
+            class="max-h-80 overflow-y-auto py-2 text-sm"
+          >
+          </ul>
+          <p class="border-t border-gray-100 px-4 py-2 text-xs text-gray-500">
+            ↑↓ to move · Enter to run · Esc to close · ? for shortcuts
+          </p>
+        </div>
+      </div>
+
+      <div
+        data-shortcut-help
+        data-testid="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        class="hidden fixed inset-0 z-50 flex items-start justify-center bg-gray-900/40 pt-24"
+      >
+        <div data-shortcut-panel tabindex="-1" class="w-full max-w-md rounded-lg bg-white p-6 shadow-xl focus:outline-none">
+          <h2 class="mb-4 text-lg font-semibold text-gray-900">Keyboard shortcuts</h2>
+          <dl data-shortcut-list class="grid grid-cols-[auto_1fr] gap-x-6 gap-y-2 text-sm"></dl>
+          <p class="mt-4 text-xs text-gray-500">Esc to close</p>
+        </div>
+      </div>
+    </div>
+    """
+  end
+end
@@ -1,6 +1,8 @@
 defmodule UiWebWeb.CoreComponents do
   use Phoenix.Component
 
+  alias Phoenix.LiveView.JS
+
   use Phoenix.VerifiedRoutes,
     endpoint: UiWebWeb.Endpoint,
     router: UiWebWeb.Router,
@@ -32,27 +34,46 @@ defmodule UiWebWeb.CoreComponents do
     <div
       id={@id}
       class="fixed inset-0 z-50 overflow-y-auto hidden"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby={@title != [] && "#{@id}-title"}
+      phx-mounted={@show && show_modal(@id)}
       phx-remove={hide_modal(@id)}
     >
       <div class="flex items-center justify-center min-h-screen px-4">
-        <div
-          class="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+        <div class="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" aria-hidden="true"></div>
+        <.focus_wrap
+          id={"#{@id}-container"}
+          class="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 relative z-10"
           phx-click-away={hide_modal(@id)}
-        ></div>
-        <div class="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 relative z-10">
+        >
           <%= if @title != [] do %>
             <div class="mb-4">
-              <h3 class="text-lg font-semibold"><%= render_slot(@title) %></h3>
+              <h3 id={"#{@id}-title"} class="text-lg font-semibold"><%= render_slot(@title) %></h3>
             </div>
           <% end %>
           <%= render_slot(@inner_block) %>
-        </div>
+        </.focus_wrap>
       </div>
     </div>
     """
   end
 
-  defp hide_modal(id) do
-    JS.hide(to: "##{id}")
+  @doc """
+  Shows the modal `id` and moves focus into it, remembering the element that had
+  focus so `hide_modal/1` can return to it.
+  """
+  def show_modal(js \\ %JS{}, id) when is_binary(id) do
+    js
+    |> JS.show(to: "##{id}")
+    |> JS.push_focus()
+    |> JS.focus_first(to: "##{id}-container")
+  end
+
+  @doc "Hides the modal `id` and returns focus to where it was before `show_modal/2`."
+  def hide_modal(js \\ %JS{}, id) do
+    js
+    |> JS.hide(to: "##{id}")
+    |> JS.pop_focus()
   end
 end
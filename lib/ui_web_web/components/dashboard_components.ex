@@ -65,17 +65,30 @@ defmodule UiWebWeb.DashboardComponents do
         unit="req/s"
         trend="up"
       />
+
+      <.metric_card
+        id="metric-latency-p95"
+        label="Latency (p95)"
+        value={52}
+        unit="ms"
+        trend="up"
+        higher_is_better={false}
+        points={[[1700000000000, 48], [1700000005000, 52]]}
+      />
   """
+  attr :id, :string, default: nil, doc: "DOM id; required for the sparkline"
   attr :label, :string, required: true, doc: "Metric label"
   attr :value, :any, required: true, doc: "Metric value (number or string)"
   attr :unit, :string, default: "", doc: "Unit of measurement"
   attr :trend, :string, default: nil, doc: "Trend: up, down, stable"
+  attr :higher_is_better, :boolean, default: true, doc: "Colors a rising trend green (true) or red (false)"
   attr :subvalue, :string, default: nil, doc: "Sub-value (e.g., 'p50 / p95')"
+  attr :points, :list, default: nil, doc: "Sparkline points `[at_ms, value]` (see UiWeb.Metrics.Series.points/3)"
 
   def metric_card(assigns) do
     formatted_value = format_value(assigns.value)
     trend_icon = trend_icon(assigns.trend)
-    trend_class = trend_class(assigns.trend)
+    trend_class = trend_class(assigns.trend, assigns.higher_is_better)
 
     assigns =
       assigns
@@ -84,11 +97,11 @@ defmodule UiWebWeb.DashboardComponents do
       |> assign(:trend_class, trend_class)
 
     ~H"""
-    <div class="p-4 bg-white shadow rounded-lg">
+    <div id={@id} class="p-4 bg-white shadow rounded-lg">
       <div class="flex items-center justify-between mb-2">
         <p class="text-sm font-medium text-gray-600"><%= @label %></p>
         <%= if @trend_icon do %>
-          <span class={"text-sm #{@trend_class}"}>
+          <span class={"text-sm #{@trend_class}"} data-trend={@trend} title={"Trend: #{@trend}"}>
             <%= @trend_icon %>
           </span>
         <% end %>
@@ -104,6 +117,53 @@ defmodule UiWebWeb.DashboardComponents do
       <%= if @subvalue do %>
         <p class="text-xs text-gray-500 mt-1"><%= @subvalue %></p>
       <% end %>
+      <div
+        :if={@id && @points}
+        id={"#{@id}-sparkline"}
+        phx-hook="MetricsChart"
+        phx-update="ignore"
+        data-mode="sparkline"
+        data-series={Jason.encode!([%{name: @label, points: @points}])}
+        data-unit={@unit}
+        class="mt-2 h-8"
+      >
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Zoomable line chart of one or more series, drawn by the `MetricsChart` hook.
+
+  Drag across the chart to zoom into a time window; double-click to reset. The zoom
+  is kept while new points arrive, until `zoom_key` changes.
+
+  ## Examples
+
+      <.metric_chart
+        id="metrics-chart"
+        unit="ms"
+        series={[%{name: "p50", points: [[1700000000000, 10]]}, %{name: "p95", points: [[1700000000000, 48]]}]}
+      />
+  """
+  attr :id, :string, required: true
+  attr :series, :list, required: true, doc: "Maps with `:name` and `:points` (`[at_ms, value]`)"
+  attr :unit, :string, default: ""
+  attr :zoom_key, :string, default: nil, doc: "Resets the zoom when it changes, e.g. on a new range"
+
+  def metric_chart(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="MetricsChart"
+      phx-update="ignore"
+      data-mode="chart"
+      data-series={Jason.encode!(@series)}
+      data-unit={@unit}
+      data-zoom-key={@zoom_key}
+      data-point-count={@series |> Enum.map(&length(&1.points)) |> Enum.sum()}
+      class="h-64 w-full"
+    >
     </div>
     """
   end
@@ -151,9 +211,9 @@ defmodule UiWebWeb.DashboardComponents do
   defp trend_icon("stable"), do: "→"
   defp trend_icon(_), do: nil
 
-  defp trend_class("up"), do: "text-green-600"
-  defp trend_class("down"), do: "text-red-600"
-  defp trend_class("stable"), do: "text-gray-600"
-  defp trend_class(_), do: ""
+  defp trend_class("up", higher_is_better), do: if(higher_is_better, do: "text-green-600", else: "text-red-600")
+  defp trend_class("down", higher_is_better), do: if(higher_is_better, do: "text-red-600", else: "text-green-600")
+  defp trend_class("stable", _higher_is_better), do: "text-gray-600"
+  defp trend_class(_, _higher_is_better), do: ""
 end
 
@@ -0,0 +1,315 @@
+defmodule UiWebWeb.Components.JsonTree do
+  @moduledoc """
+  LiveComponent rendering a decoded JSON value as a collapsible tree, for large
+  payloads in `UiWebWeb.Components.CodePreview` (`mode="tree"`).
+
+  - Containers are open down to `depth` levels; the toolbar collapses everything or
+    expands to 1, 2, 3 levels or fully. Closed containers don't render their
+    children, and only the first 100 children of a container are shown until
+    "Show all" is clicked, so big payloads stay cheap.
+  - The search box takes a JSONPath (`UiWeb.JsonPath`). Matches are highlighted
+    (`data-match`) and their ancestors opened.
+  - Every node has buttons copying its JSONPath and its value (`data-copy`), handled
+    by the `ClipboardCopy` hook on the root element.
+
+  ## Usage
+
+      <.live_component module={UiWebWeb.Components.JsonTree} id="payload-tree" value={@payload} />
+
+  ## Props
+
+  - `id` (required) - Component ID
+  - `value` (required) - Decoded JSON value
+  - `depth` (optional) - Levels open initially (default: 2)
+  - `max_height` (optional) - Height of the scroll area in pixels (default: 400)
+  """
+  use UiWebWeb, :live_component
+
+  alias UiWeb.JsonPath
+
+  @max_children 100
+  @max_copy_bytes 20_000
+  @depths [{"Collapse all", "0"}, {"1", "1"}, {"2", "2"}, {"3", "3"}, {"Expand all", "all"}]
+
+  attr :id, :string, required: true
+  attr :value, :any, required: true
+  attr :depth, :integer, default: 2
+  attr :max_height, :integer, default: 400
+
+  @impl true
+  def mount(socket) do
+    {:ok,
+     socket
+     |> assign(:query, "")
+     |> assign(:matches, MapSet.new())
+     |> assign(:ancestors, MapSet.new())
+     |> assign(:search_error, nil)
+     |> assign(:toggled, MapSet.new())
+     |> assign(:shown_all, MapSet.new())
+     |> assign_new(:max_height, fn -> 400 end)}
+  end
+
+  @impl true
+  def update(assigns, socket) do
+    reset? = not Map.has_key?(socket.assigns, :value) or assigns.value != socket.assigns.value
+
+    socket = assign(socket, Map.drop(assigns, [:depth]))
+
+    if reset? do
+      {:ok,
+       socket
+       |> assign(:depth, Map.get(assigns, :depth, 2))
+       |> assign(:toggled, MapSet.new())
+       |> assign(:shown_all, MapSet.new())
+       |> search(socket.assigns.query)}
+    else
+      {:ok, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("search", %{"query" => query}, socket) do
+    {:noreply, socket |> assign(:toggled, MapSet.new()) |> search(query)}
+  end
+
+  def handle_event("expand_depth", %{"depth" => depth}, socket) do
+    depth = if depth == "all", do: :all, else: String.to_integer(depth)
+    {:noreply, socket |> assign(:depth, depth) |> assign(:toggled, MapSet.new())}
+  end
+
+  def handle_event("toggle", %{"path" => path}, socket) do
+    case decode_path(path) do
+      {:ok, path} -> {:noreply, update(socket, :toggled, &toggle(&1, path))}
+      :error -> {:noreply, socket}
+    end
+  end
+
+  def handle_event("show_all", %{"path" => path}, socket) do
+    case decode_path(path) do
+      {:ok, path} -> {:noreply, update(socket, :shown_all, &MapSet.put(&1, path))}
+      :error -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def render(assigns) do
+    assigns =
+      assign(assigns, :tree, %{
+        myself: assigns.myself,
+        depth: assigns.depth,
+        toggled: assigns.toggled,
+        matches: assigns.matches,
+        ancestors: assigns.ancestors,
+        shown_all: assigns.shown_all
+      })
+
+    ~H"""
+    <div id={@id} class="json-tree" phx-hook="ClipboardCopy">
+      <div class="flex flex-wrap items-center gap-2 px-4 py-2 bg-gray-50 border-b border-gray-300">
+        <form phx-change="search" phx-submit="search" phx-target={@myself} class="flex-1 min-w-[12rem]">
+          <input
+            type="text"
+            name="query"
+            value={@query}
+            placeholder="JSONPath, e.g. $..id"
+            phx-debounce="300"
+            autocomplete="off"
+            aria-label="Search with JSONPath"
+            class="w-full rounded border border-gray-300 px-2 py-1 font-mono text-xs"
+          />
+        </form>
+        <div class="flex items-center gap-1 text-xs" role="group" aria-label="Expand to depth">
+          <button
+            :for={{label, depth} <- depths()}
+            type="button"
+            phx-click="expand_depth"
+            phx-value-depth={depth}
+            phx-target={@myself}
+            aria-pressed={to_string(current_depth?(@depth, depth))}
+            class={[
+              "rounded px-2 py-0.5",
+              if(current_depth?(@depth, depth), do: "bg-indigo-600 text-white", else: "text-indigo-600 hover:bg-indigo-50")
+            ]}
+          >
+            <%= label %>
+          </button>
+        </div>
+      </div>
+      <p :if={@search_error} data-testid="json-tree-error" class="px-4 py-1 text-xs text-red-600 bg-red-50">
+        <%= @search_error %>
+      </p>
+      <p :if={@query != "" and is_nil(@search_error)} data-testid="json-tree-matches" class="px-4 py-1 text-xs text-gray-600 bg-gray-50">
+        <%= match_summary(MapSet.size(@matches)) %>
+      </p>
+      <ul
+        class="overflow-auto p-4 bg-gray-900 text-gray-100 font-mono text-xs"
+        style={"max-height: #{@max_height}px"}
+        role="tree"
+      >
+        <.tree_node label="$" path={[]} value={@value} level={0} tree={@tree} />
+      </ul>
+    </div>
+    """
+  end
+
+  attr :label, :any, required: true
+  attr :path, :list, required: true
+  attr :value, :any, required: true
+  attr :level, :integer, required: true
+  attr :tree, :map, required: true
+
+  defp tree_node(%{value: value} = assigns) when is_map(value) or is_list(value) do
+    assigns =
+      assigns
+      |> assign(:open?, open?(assigns.path, assigns.level, assigns.tree))
+      |> assign(:children, children(value))
+
+    assigns = assign(assigns, :shown, shown_children(assigns.children, assigns.path, assigns.tree))
+
+    ~H"""
+    <li
+      role="treeitem"
+      aria-expanded={to_string(@open?)}
+      data-path={JsonPath.format(@path)}
+      data-match={MapSet.member?(@tree.matches, @path) && "true"}
+    >
+      <div class={["group flex items-center gap-2 rounded px-1", match_class(@path, @tree)]}>
+        <button
+          type="button"
+          phx-click="toggle"
+          phx-value-path={Jason.encode!(@path)}
+          phx-target={@tree.myself}
+          class="flex items-center gap-1 text-left hover:text-white"
+        >
+          <span class="inline-block w-3 text-gray-500"><%= if @open?, do: "▾", else: "▸" %></span>
+          <span class="na"><%= @label %></span>
+          <span class="text-gray-500"><%= container_summary(@value) %></span>
+        </button>
+        <.copy_buttons path={@path} value={@value} />
+      </div>
+      <ul :if={@open?} role="group" class="ml-4 border-l border-gray-700 pl-2">
+        <.tree_node
+          :for={{key, child} <- @shown}
+          label={key}
+          path={@path ++ [key]}
+          value={child}
+          level={@level + 1}
+          tree={@tree}
+        />
+        <li :if={length(@shown) < length(@children)}>
+          <button
+            type="button"
+            phx-click="show_all"
+            phx-value-path={Jason.encode!(@path)}
+            phx-target={@tree.myself}
+            class="text-indigo-300 hover:text-indigo-100"
+          >
+            Show all <%= length(@children) %>
+          </button>
+        </li>
+      </ul>
+    </li>
+    """
+  end
+
+  defp tree_node(assigns) do
+    ~H"""
+    <li
+      role="treeitem"
+      data-path={JsonPath.format(@path)}
+      data-match={MapSet.member?(@tree.matches, @path) && "true"}
+    >
+      <div class={["group flex items-center gap-2 rounded px-1", match_class(@path, @tree)]}>
+        <span class="inline-block w-3"></span>
+        <span><span class="na"><%= @label %></span><span class="p">: </span><span class={scalar_class(@value)}><%= Jason.encode!(@value) %></span></span>
+        <.copy_buttons path={@path} value={@value} />
+      </div>
+    </li>
+    """
+  end
+
+  attr :path, :list, required: true
+  attr :value, :any, required: true
+
+  defp copy_buttons(assigns) do
+    assigns = assign(assigns, :copy_value, copy_value(assigns.value))
+
+    ~H"""
+    <span class="invisible group-hover:visible group-focus-within:visible flex gap-1">
+      <button type="button" data-copy={JsonPath.format(@path)} class="text-indigo-300 hover:text-indigo-100">
+        Copy path
+      </button>
+      <button :if={@copy_value} type="button" data-copy={@copy_value} class="text-indigo-300 hover:text-indigo-100">
+        Copy value
+      </button>
+    </span>
+    """
+  end
+
+  defp depths, do: @depths
+
+  defp current_depth?(depth, option), do: to_string(depth) == option
+
+  defp search(socket, query) do
+    query = String.trim(query)
+
+    result = if query == "", do: {:ok, []}, else: JsonPath.query(socket.assigns.value, query)
+
+    case result do
+      {:ok, paths} ->
+        socket
+        |> assign(query: query, search_error: nil, matches: MapSet.new(paths))
+        |> assign(:ancestors, paths |> Enum.flat_map(&ancestors/1) |> MapSet.new())
+
+      {:error, message} ->
+        assign(socket, query: query, search_error: message, matches: MapSet.new(), ancestors: MapSet.new())
+    end
+  end
+
+  defp ancestors(path), do: for(n <- 0..(length(path) - 1)//1, do: Enum.take(path, n))
+
+  # Open to the chosen depth and along the way to every match, flipped by the
+  # user's own clicks since then
+  defp open?(path, level, tree) do
+    default = tree.depth == :all or level < tree.depth or MapSet.member?(tree.ancestors, path)
+    default != MapSet.member?(tree.toggled, path)
+  end
+
+  defp toggle(set, path), do: if(MapSet.member?(set, path), do: MapSet.delete(set, path), else: MapSet.put(set, path))
+
+  defp children(map) when is_map(map), do: map |> Enum.sort_by(&elem(&1, 0))
+  defp children(list) when is_list(list), do: list |> Enum.with_index() |> Enum.map(fn {value, index} -> {index, value} end)
+
+  defp shown_children(children, path, tree) do
+    if MapSet.member?(tree.shown_all, path), do: children, else: Enum.take(children, @max_children)
+  end
+
+  defp decode_path(json) do
+    case Jason.decode(json) do
+      {:ok, path} when is_list(path) -> {:ok, path}
+      _ -> :error
+    end
+  end
+
+  defp copy_value(value) when is_binary(value), do: if(byte_size(value) <= @max_copy_bytes, do: value)
+
+  defp copy_value(value) do
+    encoded = Jason.encode!(value, pretty: true)
+    if byte_size(encoded) <= @max_copy_bytes, do: encoded
+  end
+
+  defp container_summary(map) when is_map(map), do: "{#{map_size(map)} #{if map_size(map) == 1, do: "key", else: "keys"}}"
+  defp container_summary(list), do: "[#{length(list)} #{if length(list) == 1, do: "item", else: "items"}]"
+
+  defp scalar_class(value) when is_binary(value), do: "s"
+  defp scalar_class(value) when is_number(value), do: "m"
+  defp scalar_class(_value), do: "kc"
+
+  defp match_class(path, tree) do
+    if MapSet.member?(tree.matches, path), do: "bg-yellow-700/60 ring-1 ring-yellow-400"
+  end
+
+  defp match_summary(0), do: "No matches"
+  defp match_summary(1), do: "1 match"
+  defp match_summary(count), do: "#{count} matches"
+end
@@ -2,4 +2,39 @@ defmodule UiWebWeb.Layouts do
   use UiWebWeb, :html
 
   embed_templates "layouts/*"
+
+  @doc """
+  Tenant menu for the app layout. Lists the tenants from the user's claims
+  (see `UiWebWeb.Live.TenantHook`) and links to the current section in each.
+
+  Switching is a full page load rather than a live navigation: the root layout's
+  socket token and `tenant-id` meta tags, and the channels `assets/js/channels.js`
+  joins from them, must follow the new tenant.
+  """
+  attr :tenant_id, :string, required: true
+  attr :tenants, :list, required: true
+  attr :current_path, :string, default: nil
+
+  def tenant_switcher(assigns) do
+    ~H"""
+    <details id="tenant-switcher" class="relative text-sm">
+      <summary data-testid="tenant-switcher" class="cursor-pointer list-none rounded-md px-3 py-2 text-gray-300 hover:bg-gray-700 hover:text-white">
+        Tenant: <span class="font-mono text-white"><%= @tenant_id %></span>
+      </summary>
+      <ul class="absolute right-0 z-40 mt-1 w-56 rounded bg-white py-1 shadow-lg">
+        <li :for={tenant <- @tenants}>
+          <.link
+            href={UiWebWeb.Live.TenantHook.switch_path(@current_path, tenant)}
+            data-tenant={tenant}
+            data-testid={"tenant-option-#{tenant}"}
+            aria-current={if tenant == @tenant_id, do: "true"}
+            class={["block px-3 py-1 font-mono hover:bg-gray-100", tenant == @tenant_id && "font-semibold text-blue-700"]}
+          >
+            <%= tenant %>
+          </.link>
+        </li>
+      </ul>
+    </details>
+    """
+  end
 end
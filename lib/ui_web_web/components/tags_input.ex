@@ -83,8 +83,17 @@ defmodule UiWebWeb.Components.TagsInput do
     * **Autocomplete** – suggestions are filtered by the current input value;
       clicking a suggestion behaves the same as adding a tag manually.
 
+    * **Keyboard** – the input is an ARIA combobox over a listbox of suggestions.
+      ArrowDown/ArrowUp move the active option (`aria-activedescendant`), Enter
+      adds the active option instead of the typed text, and Escape closes the list.
+
     * **Error handling** – validation failures set an error message, which is
       cleared on the next successful change or when the input is edited.
+
+    * **Browser hook** – the `TagsInput` hook (`assets/js/tags_input.js`) keeps Enter
+      and comma from submitting the enclosing form, keeps the arrow keys from moving
+      the caret while the list is open, and clears the text field after a tag is
+      added, since LiveView does not patch the value of a focused input.
   """
   use UiWebWeb, :live_component
 
@@ -115,6 +124,7 @@ defmodule UiWebWeb.Components.TagsInput do
      |> assign(:current_input, "")
      |> assign(:filtered_suggestions, [])
      |> assign(:show_suggestions, false)
+     |> assign(:active_index, nil)
      |> assign(:error_message, nil)}
   end
 
@@ -170,10 +180,18 @@ defmodule UiWebWeb.Components.TagsInput do
       |> assign(:current_input, value)
       |> assign(:filtered_suggestions, filtered)
       |> assign(:show_suggestions, length(filtered) > 0)
+      |> assign(:active_index, nil)
 
     {:noreply, socket}
   end
 
+  # From the browser, phx-change sends the enclosing form keyed by input name
+  # instead of a bare value
+  @impl true
+  def handle_event("input_change", %{"_target" => [name]} = params, socket) do
+    handle_event("input_change", %{"value" => Map.get(params, name, "")}, socket)
+  end
+
   @impl true
   def handle_event("add_tag", %{"value" => value}, socket) do
     tag = String.trim(value)
@@ -199,17 +217,34 @@ defmodule UiWebWeb.Components.TagsInput do
          socket
          |> put_tags(new_tags)
          |> assign(:current_input, "")
-         |> assign(:show_suggestions, false)}
+         |> assign(:show_suggestions, false)
+         |> assign(:active_index, nil)}
     end
   end
 
+  @impl true
+  def handle_event("add_tag_on_key", %{"key" => key}, socket)
+      when key in ["ArrowDown", "ArrowUp"] do
+    {:noreply, move_active(socket, if(key == "ArrowDown", do: 1, else: -1))}
+  end
+
+  @impl true
+  def handle_event("add_tag_on_key", %{"key" => "Escape"}, socket) do
+    {:noreply, assign(socket, show_suggestions: false, active_index: nil)}
+  end
+
   @impl true
   def handle_event("add_tag_on_key", %{"key" => key, "value" => value}, socket) do
-    # Enter or Comma adds tag
-    if key in ["Enter", ","] do
-      handle_event("add_tag", %{"value" => value}, socket)
-    else
-      {:noreply, socket}
+    # Enter adds the active suggestion if there is one, Enter or Comma the typed text
+    case {key, active_suggestion(socket.assigns)} do
+      {"Enter", suggestion} when is_binary(suggestion) ->
+        handle_event("add_tag", %{"value" => suggestion}, socket)
+
+      {key, _} when key in ["Enter", ","] ->
+        handle_event("add_tag", %{"value" => value}, socket)
+
+      _ ->
+        {:noreply, socket}
     end
   end
 
@@ -231,6 +266,12 @@ defmodule UiWebWeb.Components.TagsInput do
     end
   end
 
+  # phx-keyup fires for every key; only Backspace on an empty input removes a tag
+  @impl true
+  def handle_event("remove_last_on_backspace", _params, socket) do
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_event("add_suggestion", %{"tag" => tag}, socket) do
     handle_event("add_tag", %{"value" => tag}, socket)
@@ -238,11 +279,39 @@ defmodule UiWebWeb.Components.TagsInput do
 
   @impl true
   def handle_event("hide_suggestions", _params, socket) do
-    {:noreply, assign(socket, :show_suggestions, false)}
+    {:noreply, assign(socket, show_suggestions: false, active_index: nil)}
   end
 
   # Private helpers
 
+  # Moves the active option by `step`, wrapping around; reopens a closed list
+  defp move_active(%{assigns: %{filtered_suggestions: []}} = socket, _step), do: socket
+
+  defp move_active(socket, step) do
+    %{filtered_suggestions: suggestions, active_index: index, show_suggestions: shown} =
+      socket.assigns
+
+    count = length(suggestions)
+
+    next =
+      cond do
+        not shown or is_nil(index) -> if step > 0, do: 0, else: count - 1
+        true -> Integer.mod(index + step, count)
+      end
+
+    assign(socket, show_suggestions: true, active_index: next)
+  end
+
+  defp active_suggestion(%{show_suggestions: true, active_index: index, filtered_suggestions: suggestions})
+       when is_integer(index),
+       do: Enum.at(suggestions, index)
+
+  defp active_suggestion(_assigns), do: nil
+
+  defp listbox_open?(show_suggestions, suggestions), do: show_suggestions and suggestions != []
+
+  defp option_id(id, index), do: "#{id}-option-#{index}"
+
   defp put_tags(socket, tags, notify? \\ true) do
     socket =
       socket
@@ -289,10 +358,10 @@ defmodule UiWebWeb.Components.TagsInput do
   @impl true
   def render(assigns) do
     ~H"""
-    <div class="tags-input-component" id={@id}>
-      <label class="block text-sm font-medium text-gray-700 mb-2">
+    <div class="tags-input-component" id={@id} phx-hook="TagsInput" data-count={length(@tags)} data-testid="tags-input">
+      <label for={"#{@id}-input"} class="block text-sm font-medium text-gray-700 mb-2">
         Tags
-        <span class="text-gray-500 font-normal">
+        <span class="text-gray-500 font-normal" data-testid="tags-input-count">
           (<%= length(@tags) %>/<%= @max_tags %>)
         </span>
       </label>
@@ -303,7 +372,7 @@ defmodule UiWebWeb.Components.TagsInput do
         <div class="flex flex-wrap gap-2 items-center" data-role="tags-container">
           <!-- Existing tags -->
           <%= for tag <- @tags do %>
-            <span class="inline-flex items-center gap-1 px-2 py-1 rounded-md text-sm font-medium bg-indigo-100 text-indigo-800">
+            <span class="inline-flex items-center gap-1 px-2 py-1 rounded-md text-sm font-medium bg-indigo-100 text-indigo-800" data-testid="tags-input-tag" data-tag={tag}>
               <%= tag %>
               <button
                 type="button"
@@ -312,6 +381,7 @@ defmodule UiWebWeb.Components.TagsInput do
                 phx-target={@myself}
                 class="text-indigo-600 hover:text-indigo-900 focus:outline-none"
                 aria-label={"Remove #{tag}"}
+                data-testid="tags-input-remove"
               >
                 <svg class="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
                   <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
@@ -323,6 +393,16 @@ defmodule UiWebWeb.Components.TagsInput do
           <!-- Input field -->
           <input
             type="text"
+            id={"#{@id}-input"}
+            name={"#{@id}_input"}
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={to_string(listbox_open?(@show_suggestions, @filtered_suggestions))}
+            aria-controls={"#{@id}-listbox"}
+            aria-activedescendant={listbox_open?(@show_suggestions, @filtered_suggestions) && @active_index && option_id(@id, @active_index)}
+            aria-invalid={@error_message && "true"}
+            aria-describedby={"#{@id}-help"}
+            autocomplete="off"
             value={@current_input}
             phx-change="input_change"
             phx-keydown="add_tag_on_key"
@@ -332,28 +412,39 @@ defmodule UiWebWeb.Components.TagsInput do
             placeholder={if length(@tags) == 0, do: "Type and press Enter...", else: ""}
             class="flex-1 min-w-[120px] border-0 p-0 focus:ring-0 focus:outline-none text-sm"
             disabled={length(@tags) >= @max_tags}
+            data-role="tag-input"
+            data-testid="tags-input-field"
           />
         </div>
       </div>
 
       <!-- Autocomplete Suggestions Dropdown -->
-      <%= if @show_suggestions and length(@filtered_suggestions) > 0 do %>
+      <%= if listbox_open?(@show_suggestions, @filtered_suggestions) do %>
         <div class="relative mt-1">
-          <div class="absolute z-10 w-full bg-white shadow-lg rounded-md border border-gray-200 max-h-60 overflow-auto" data-role="autocomplete-list">
-            <%= for suggestion <- @filtered_suggestions do %>
-              <div data-role="autocomplete-item">
-                <button
-                  type="button"
-                  phx-click="add_suggestion"
-                  phx-value-tag={suggestion}
-                  phx-target={@myself}
-                  class="w-full text-left px-4 py-2 text-sm hover:bg-indigo-50 focus:bg-indigo-50 focus:outline-none"
-                >
-                  <%= suggestion %>
-                </button>
-              </div>
+          <ul
+            id={"#{@id}-listbox"}
+            role="listbox"
+            aria-label="Tag suggestions"
+            class="absolute z-10 w-full bg-white shadow-lg rounded-md border border-gray-200 max-h-60 overflow-auto"
+            data-role="autocomplete-list"
+            data-testid="tags-input-suggestions"
+          >
+            <%= for {suggestion, index} <- Enum.with_index(@filtered_suggestions) do %>
+              <li
+                id={option_id(@id, index)}
+                role="option"
+                aria-selected={to_string(index == @active_index)}
+                phx-click="add_suggestion"
+                phx-value-tag={suggestion}
+                phx-target={@myself}
+                class={["cursor-pointer px-4 py-2 text-sm hover:bg-indigo-50", index == @active_index && "bg-indigo-50"]}
+                data-role="autocomplete-item"
+                data-testid="tags-input-suggestion"
+              >
+                <%= suggestion %>
+              </li>
             <% end %>
-          </div>
+          </ul>
         </div>
       <% end %>
 
@@ -370,6 +461,7 @@ defmodule UiWebWeb.Components.TagsInput do
                 phx-target={@myself}
                 class="ml-2 text-indigo-600 hover:text-indigo-900 hover:underline"
                 data-role="popular-tag"
+                data-testid="tags-input-popular"
               >
                 #<%= suggestion %>
               </button>
@@ -387,11 +479,11 @@ defmodule UiWebWeb.Components.TagsInput do
 
       <!-- Error message -->
       <%= if @error_message do %>
-        <p class="mt-1 text-xs text-red-600" data-role="error-message"><%= @error_message %></p>
+        <p class="mt-1 text-xs text-red-600" role="alert" data-role="error-message" data-testid="tags-input-error"><%= @error_message %></p>
       <% end %>
 
       <!-- Help text -->
-      <p class={["mt-1 text-xs", if(@error_message, do: "text-red-500", else: "text-gray-500")]}>
+      <p id={"#{@id}-help"} class={["mt-1 text-xs", if(@error_message, do: "text-red-500", else: "text-gray-500")]}>
         Press Enter or comma to add. Backspace to remove last. Max <%= @max_tags %> tags.
       </p>
     </div>
@@ -3,10 +3,13 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
   LiveComponent for URL preview using URLPreviewService.
 
   Displays a preview card with favicon, domain, title, description, and image
-  for a given URL. Handles states: :idle, :ok, :error.
+  for a given URL. Handles states: :idle, :loading, :ok, :error.
 
   This component is a pure UI layer over the already-safe `URLPreviewService`,
-  which handles SSRF protection, URL validation, and metadata parsing.
+  which handles SSRF protection, URL validation, and metadata parsing, and
+  `URLPreviewCache`, which caches results and rate limits fetches per host.
+  Images and favicons are loaded through the image proxy
+  (`UiWebWeb.URLPreviewProxyController`), never from the previewed site.
 
   ## Usage
 
@@ -28,7 +31,8 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
   ## Behavior
 
   - Empty/nil URL → `:idle` state (shows placeholder if provided)
-  - Valid URL → synchronously calls `URLPreviewService.fetch_preview/1` and displays result
+  - Cached URL → displays the cached result right away
+  - Other URL → `:loading` state while `start_async/3` fetches the preview, then the result
   - Error → displays user-friendly error message
   - URL changes → automatically refetches preview
   - Same URL → no refetch (optimization in real LiveView context)
@@ -43,7 +47,9 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
   """
   use UiWebWeb, :live_component
 
+  alias UiWeb.Services.URLPreviewCache
   alias UiWeb.Services.URLPreviewService
+  alias UiWebWeb.URLPreviewProxyController
 
   attr :id, :string, required: true
   attr :url, :string, default: nil
@@ -94,28 +100,56 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
       new_url == previous_url ->
         {:ok, socket}
 
-      # Новый URL → делаем fetch прямо здесь (синхронно, с кэшированием)
+      # Новый URL → из кэша сразу, иначе fetch в фоне (:loading до результата)
       true ->
-        case fetch_preview_cached(new_url) do
-          {:ok, preview} ->
-            {:ok,
-             socket
-             |> assign(:url, new_url)
-             |> assign(:state, :ok)
-             |> assign(:preview, preview)
-             |> assign(:error, nil)}
+        case URLPreviewCache.lookup(new_url) do
+          {:ok, result} ->
+            {:ok, put_result(socket, new_url, result)}
+
+          :miss ->
+            service = preview_service_module()
 
-          {:error, reason} ->
             {:ok,
              socket
              |> assign(:url, new_url)
-             |> assign(:state, :error)
+             |> assign(:state, :loading)
              |> assign(:preview, nil)
-             |> assign(:error, reason)}
+             |> assign(:error, nil)
+             |> start_async(:preview, fn -> {new_url, URLPreviewCache.fetch(new_url, service)} end)}
         end
     end
   end
 
+  @impl true
+  def handle_async(:preview, {:ok, {url, result}}, socket) do
+    # The URL may have changed while the fetch ran
+    if url == socket.assigns.url do
+      {:noreply, put_result(socket, url, result)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_async(:preview, {:exit, reason}, socket) do
+    {:noreply, put_result(socket, socket.assigns.url, {:error, {:exit, reason}})}
+  end
+
+  defp put_result(socket, url, {:ok, preview}) do
+    socket
+    |> assign(:url, url)
+    |> assign(:state, :ok)
+    |> assign(:preview, preview)
+    |> assign(:error, nil)
+  end
+
+  defp put_result(socket, url, {:error, reason}) do
+    socket
+    |> assign(:url, url)
+    |> assign(:state, :error)
+    |> assign(:preview, nil)
+    |> assign(:error, reason)
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -129,7 +163,7 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
           <% end %>
 
         <% :loading -> %>
-          <div class="border border-gray-200 rounded-lg p-4 bg-gray-50 animate-pulse">
+          <div class="border border-gray-200 rounded-lg p-4 bg-gray-50 animate-pulse" role="status" aria-label="Loading preview">
             <div class="flex items-center gap-3">
               <div class="flex-shrink-0">
                 <div class="w-4 h-4 bg-gray-300 rounded"></div>
@@ -160,7 +194,7 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
                   <%= if @preview.image do %>
                     <div class="flex-shrink-0 w-full sm:w-20 h-32 sm:h-20">
                       <img
-                        src={@preview.image}
+                        src={URLPreviewProxyController.proxy_path(@preview.image)}
                         alt={@preview.title}
                         class="w-full h-full object-cover rounded-md"
                         loading="lazy"
@@ -193,7 +227,7 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
                     <div class="mt-2 sm:mt-3 flex items-center gap-2 text-xs text-gray-500">
                       <%= if @preview.favicon do %>
                         <img
-                          src={@preview.favicon}
+                          src={URLPreviewProxyController.proxy_path(@preview.favicon)}
                           alt=""
                           class="w-4 h-4 rounded flex-shrink-0"
                           onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';"
@@ -212,8 +246,11 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
                         </div>
                       <% end %>
                       <span class="truncate" itemprop="publisher" itemscope itemtype="https://schema.org/Organization">
-                        <span itemprop="name"><%= @preview.domain %></span>
+                        <span itemprop="name"><%= @preview[:provider] || @preview.domain %></span>
                       </span>
+                      <%= if @preview[:author] do %>
+                        <span class="truncate" itemprop="author">· <%= @preview[:author] %></span>
+                      <% end %>
                     </div>
                   </div>
                 </div>
@@ -256,81 +293,6 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
     """
   end
 
-  # Fetch preview using the service with ETS cache
-  # Cache TTL: 5 minutes (300 seconds)
-  @cache_ttl_seconds 300
-  @cache_table :url_preview_cache
-
-  defp fetch_preview_cached(url) do
-    # Initialize cache table if not exists (lazy initialization)
-    ensure_cache_table()
-
-    cache_key = url
-
-    # Check cache
-    try do
-      case :ets.lookup(@cache_table, cache_key) do
-        [{^cache_key, preview, timestamp}] ->
-          # Check if cache entry is still valid
-          if System.system_time(:second) - timestamp < @cache_ttl_seconds do
-            {:ok, preview}
-          else
-            # Cache expired, fetch new and update cache
-            fetch_and_cache(url)
-          end
-
-        [] ->
-          # Cache miss, fetch and cache
-          fetch_and_cache(url)
-      end
-    rescue
-      ArgumentError ->
-        # Table doesn't exist, fetch without cache
-        fetch_preview(url)
-    end
-  end
-
-  defp fetch_and_cache(url) do
-    service_module = preview_service_module()
-
-    case service_module.fetch_preview(url) do
-      {:ok, preview} = result ->
-        # Cache successful results only
-        try do
-          :ets.insert(@cache_table, {url, preview, System.system_time(:second)})
-        rescue
-          ArgumentError -> :ok
-        end
-        result
-
-      {:error, _reason} = error ->
-        # Don't cache errors
-        error
-    end
-  end
-
-  defp ensure_cache_table do
-    try do
-      case :ets.whereis(@cache_table) do
-        :undefined ->
-          :ets.new(@cache_table, [:set, :public, :named_table])
-
-        _pid ->
-          :ok
-      end
-    rescue
-      ArgumentError ->
-        # Table creation failed, continue without cache
-        :ok
-    end
-  end
-
-  # Fallback to direct fetch if cache is not available
-  defp fetch_preview(url) do
-    service_module = preview_service_module()
-    service_module.fetch_preview(url)
-  end
-
   defp preview_service_module do
     Application.get_env(:ui_web, :url_preview_service_module, URLPreviewService)
   end
@@ -361,6 +323,7 @@ defmodule UiWebWeb.Components.URLPreviewComponent do
   defp format_error(:private_ip_not_allowed), do: "Private/internal links are not allowed"
   defp format_error(:hostname_resolution_failed), do: "Cannot resolve hostname"
   defp format_error(:timeout), do: "Timed out while loading preview"
+  defp format_error(:rate_limited), do: "Too many previews from this site, try again in a minute"
   defp format_error({:http_error, status}), do: "HTTP error (#{status})"
   defp format_error({:parse_error, _reason}), do: "Failed to parse page content"
   defp format_error(_reason), do: "Cannot load preview"
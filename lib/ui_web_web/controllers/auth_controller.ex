@@ -6,12 +6,19 @@ defmodule UiWebWeb.AuthController do
   def login(conn, _params), do: render(conn, :login)
 
   def callback(%{assigns: %{ueberauth_auth: auth}} = conn, _params) do
-    user_params = %{id: auth.uid, email: auth.info.email, name: auth.info.name}
+    tenants = tenants_from_auth(auth)
+    user_params = %{
+      id: auth.uid,
+      email: auth.info.email,
+      name: auth.info.name,
+      tenants: tenants,
+      roles: roles_from_auth(auth)
+    }
 
     conn
     |> Guardian.Plug.sign_in(user_params)
     |> put_flash(:info, "Successfully authenticated")
-    |> redirect(to: ~p"/app/tenant_dev/dashboard")
+    |> redirect(to: ~p"/app/#{hd(tenants)}/dashboard")
   end
 
   def callback(%{assigns: %{ueberauth_failure: _fails}} = conn, _params) do
@@ -20,6 +27,31 @@ defmodule UiWebWeb.AuthController do
     |> redirect(to: ~p"/login")
   end
 
+  # Allowed tenants come from the identity provider's "tenants" claim; users without
+  # one only get the configured default tenant
+  defp tenants_from_auth(auth) do
+    case provider_claim(auth, "tenants") do
+      [_ | _] = tenants -> Enum.map(tenants, &to_string/1)
+      _ -> [Application.get_env(:ui_web, :tenant_id, "tenant_dev")]
+    end
+  end
+
+  # Roles come from the "roles" claim; users without one are viewers (see UiWeb.Auth.Roles)
+  defp roles_from_auth(auth) do
+    case provider_claim(auth, "roles") do
+      roles when is_list(roles) -> Enum.map(roles, &to_string/1)
+      role when is_binary(role) -> [role]
+      _ -> []
+    end
+  end
+
+  defp provider_claim(auth, claim) do
+    raw_info = (auth.extra && auth.extra.raw_info) || %{}
+
+    get_in(Map.get(raw_info, :claims) || %{}, [claim]) ||
+      get_in(Map.get(raw_info, :userinfo) || %{}, [claim])
+  end
+
   def logout(conn, _params) do
     conn
     |> Guardian.Plug.sign_out()
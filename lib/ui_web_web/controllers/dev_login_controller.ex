@@ -10,11 +10,15 @@ defmodule UiWebWeb.DevLoginController do
   ## Usage
   
       GET /dev-login?user=test_user&tenant=test_tenant
+      GET /dev-login?user=test_user&tenant=test_tenant&tenants=test_tenant,tenant_dev
+      GET /dev-login?user=test_user&tenant=test_tenant&roles=viewer
   
   This will:
-  1. Create a test user with provided params
+  1. Create a test user with provided params; `tenants` (comma-separated) become
+     the allowed tenants in the token claims and default to `tenant`; `roles`
+     (comma-separated) become the user's roles and default to `admin`
   2. Sign in via Guardian
-  3. Redirect to /app/dashboard
+  3. Redirect to /app/:tenant/dashboard
   
   ## Security
   
@@ -36,11 +40,15 @@ defmodule UiWebWeb.DevLoginController do
     else
       user_id = Map.get(params, "user", "test_user")
       tenant_id = Map.get(params, "tenant", "test_tenant")
+      tenants = parse_tenants(params["tenants"], tenant_id)
+      roles = parse_list(Map.get(params, "roles", "admin"))
       
       # Create test user
       user = %{
         id: user_id,
         tenant_id: tenant_id,
+        tenants: tenants,
+        roles: roles,
         email: "#{user_id}@test.local",
         name: "Test User"
       }
@@ -53,6 +61,17 @@ defmodule UiWebWeb.DevLoginController do
     end
   end
   
+  # The landing tenant is always allowed, so the redirect below cannot be denied
+  defp parse_tenants(nil, tenant_id), do: [tenant_id]
+
+  defp parse_tenants(tenants, tenant_id), do: Enum.uniq([tenant_id | parse_list(tenants)])
+
+  defp parse_list(value) do
+    value
+    |> String.split(",", trim: true)
+    |> Enum.map(&String.trim/1)
+  end
+  
   defp allowed? do
     Mix.env() == :test || Application.get_env(:ui_web, :dev_login_enabled, false)
   end
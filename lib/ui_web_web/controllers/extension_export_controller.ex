@@ -0,0 +1,61 @@
+defmodule UiWebWeb.ExtensionExportController do
+  @moduledoc """
+  Downloads the extension registry as a manifest (see `UiWeb.Extensions.Manifest`),
+  the file `ExtensionsLive.Import` reads back.
+
+  `?format=yaml` (the default) or `?format=json`.
+  """
+  use UiWebWeb, :controller
+
+  alias UiWeb.Extensions.Manifest
+  alias UiWeb.Services.ExtensionsClient
+  alias UiWebWeb.GatewayErrorHelper
+
+  @doc """
+  Builds the download filename for `format`.
+  """
+  @spec filename(String.t()) :: String.t()
+  def filename(format) do
+    "extensions_manifest_#{DateTime.utc_now() |> DateTime.to_unix()}.#{format}"
+  end
+
+  @doc """
+  MIME type served for a manifest `format`.
+  """
+  @spec mime_type(String.t()) :: String.t()
+  def mime_type("yaml"), do: "application/yaml"
+  def mime_type(_json), do: "application/json"
+
+  def download(conn, %{"tenant_id" => tenant_id} = params) do
+    format = Map.get(params, "format", "yaml")
+
+    if format in Manifest.formats() do
+      case ExtensionsClient.list_all_extensions(tenant_id: tenant_id, user_id: current_user_id(conn)) do
+        {:ok, extensions} ->
+          conn
+          |> put_resp_content_type(mime_type(format))
+          |> put_resp_header("content-disposition", ~s(attachment; filename="#{filename(format)}"))
+          |> put_resp_header("cache-control", "no-store")
+          |> send_resp(200, Manifest.export(extensions, String.to_existing_atom(format)))
+
+        {:error, reason} ->
+          error_response(conn, :bad_gateway, GatewayErrorHelper.format_gateway_error(reason))
+      end
+    else
+      error_response(conn, :bad_request, "Unknown format #{inspect(format)}, expected yaml or json.")
+    end
+  end
+
+  defp error_response(conn, status, message) do
+    conn
+    |> put_status(status)
+    |> json(%{error: message})
+  end
+
+  defp current_user_id(conn) do
+    case conn.assigns[:current_user] do
+      %{id: id} -> id
+      _ -> nil
+    end
+  end
+end
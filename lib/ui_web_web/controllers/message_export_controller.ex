@@ -0,0 +1,154 @@
+defmodule UiWebWeb.MessageExportController do
+  @moduledoc """
+  Streams message exports as file downloads.
+
+  `MessagesLive.Index` stores the export (selection, format, tenant) in the
+  `:message_exports` cache and hands the browser a URL from `download_path/2` that
+  carries only a short-lived signed key, so large selections fit in the URL. This
+  controller verifies the key and pipes `MessagesClient.stream_export_messages/5`
+  straight into a chunked response, so exports are never buffered in the LiveView
+  process or pushed over the websocket. Gateway errors before the first chunk are a
+  502; once the download has started they can only be logged, and the response is
+  left unfinished so the browser fails the download instead of keeping a truncated
+  file.
+  """
+  use UiWebWeb, :controller
+
+  require Logger
+
+  alias UiWeb.Services.MessagesClient
+  alias UiWebWeb.GatewayErrorHelper
+
+  @salt "message export"
+  @cache :message_exports
+  # The browser requests the URL right after the LiveView hands it over
+  @max_age 60
+
+  @doc """
+  Returns a signed download path for exporting `selection` as `format`.
+
+  `selection` is a list of message ids or `{:filters, filters}`.
+  """
+  @spec download_path(String.t(), map()) :: String.t()
+  def download_path(tenant_id, %{selection: selection, format: format}) do
+    key = 16 |> :crypto.strong_rand_bytes() |> Base.url_encode64(padding: false)
+    {:ok, true} = Cachex.put(@cache, key, encode_export(tenant_id, selection, format), ttl: :timer.seconds(@max_age))
+
+    token = Phoenix.Token.sign(UiWebWeb.Endpoint, @salt, %{"tenant_id" => tenant_id, "key" => key})
+    ~p"/app/#{tenant_id}/exports/messages?#{[token: token]}"
+  end
+
+  @doc """
+  Builds the download filename for `format`.
+  """
+  @spec filename(String.t()) :: String.t()
+  def filename(format) do
+    "messages_export_#{DateTime.utc_now() |> DateTime.to_unix()}.#{format}"
+  end
+
+  @doc """
+  MIME type served for an export `format`.
+  """
+  @spec mime_type(String.t()) :: String.t()
+  def mime_type("csv"), do: "text/csv"
+  def mime_type("ndjson"), do: "application/x-ndjson"
+  def mime_type(_json), do: "application/json"
+
+  def download(conn, %{"tenant_id" => tenant_id, "token" => token}) do
+    case Phoenix.Token.verify(UiWebWeb.Endpoint, @salt, token, max_age: @max_age) do
+      {:ok, %{"tenant_id" => ^tenant_id, "key" => key}} ->
+        case Cachex.get(@cache, key) do
+          {:ok, %{"tenant_id" => ^tenant_id} = export} ->
+            stream_export(conn, decode_selection(export), export["format"], tenant_id)
+
+          _missing ->
+            error_response(conn, :gone, "Export link expired. Start the export again.")
+        end
+
+      {:ok, _other_tenant} ->
+        error_response(conn, :forbidden, "Export link belongs to another tenant.")
+
+      {:error, :expired} ->
+        error_response(conn, :gone, "Export link expired. Start the export again.")
+
+      {:error, _invalid} ->
+        error_response(conn, :bad_request, "Invalid export link.")
+    end
+  end
+
+  def download(conn, _params) do
+    error_response(conn, :bad_request, "Invalid export link.")
+  end
+
+  defp stream_export(conn, selection, format, tenant_id) do
+    context = [tenant_id: tenant_id, user_id: current_user_id(conn)]
+
+    result =
+      MessagesClient.stream_export_messages(selection, format, {:pending, conn}, &write_chunk(&1, &2, format), context)
+
+    case result do
+      {:ok, {:pending, conn}} ->
+        # Gateway returned an empty body
+        conn
+        |> put_download_headers(format)
+        |> send_resp(200, "")
+
+      {:ok, {_state, conn}} ->
+        conn
+
+      {:error, reason, {:pending, conn}} ->
+        error_response(conn, :bad_gateway, GatewayErrorHelper.format_gateway_error(reason))
+
+      {:error, reason, {_state, conn}} ->
+        # The 200 headers are out; an error response can't follow them
+        Logger.error("Message export broke off after the download started: #{inspect(reason)}")
+        conn
+    end
+  end
+
+  defp write_chunk(chunk, {:pending, conn}, format) do
+    conn
+    |> put_download_headers(format)
+    |> send_chunked(200)
+    |> then(&write_chunk(chunk, {:streaming, &1}, format))
+  end
+
+  defp write_chunk(chunk, {:streaming, conn}, _format) do
+    case chunk(conn, chunk) do
+      {:ok, conn} -> {:cont, {:streaming, conn}}
+      # Browser went away or the adapter failed; stop pulling from the Gateway
+      {:error, _reason} -> {:halt, {:closed, conn}}
+    end
+  end
+
+  defp put_download_headers(conn, format) do
+    conn
+    |> put_resp_content_type(mime_type(format))
+    |> put_resp_header("content-disposition", ~s(attachment; filename="#{filename(format)}"))
+    |> put_resp_header("cache-control", "no-store")
+  end
+
+  defp error_response(conn, status, message) do
+    conn
+    |> put_status(status)
+    |> json(%{error: message})
+  end
+
+  defp encode_export(tenant_id, {:filters, filters}, format) do
+    %{"tenant_id" => tenant_id, "format" => format, "filters" => filters}
+  end
+
+  defp encode_export(tenant_id, ids, format) when is_list(ids) do
+    %{"tenant_id" => tenant_id, "format" => format, "ids" => ids}
+  end
+
+  defp decode_selection(%{"filters" => filters}), do: {:filters, filters}
+  defp decode_selection(%{"ids" => ids}), do: ids
+
+  defp current_user_id(conn) do
+    case conn.assigns[:current_user] do
+      %{id: id} -> id
+      _ -> nil
+    end
+  end
+end
@@ -0,0 +1,52 @@
+defmodule UiWebWeb.URLPreviewProxyController do
+  @moduledoc """
+  Serves URL preview images and favicons, so the browser only ever loads them from us.
+
+  `URLPreviewComponent` renders images through `proxy_path/1`, a signed link to the
+  original URL. This controller verifies the signature and fetches the image with
+  `URLPreviewService.fetch_image/2`, which validates every redirect hop against
+  private addresses and only passes raster images up to a size limit. Without a
+  valid signature nothing is fetched, so the route isn't an open proxy.
+  """
+  use UiWebWeb, :controller
+
+  alias UiWeb.Services.URLPreviewService
+
+  @salt "url preview image"
+  # Links are signed per hour and expire a day after that, so a leaked link stops
+  # working while renders within the hour still share one browser-cached path
+  @signing_period 3_600
+  @max_age 86_400 + @signing_period
+
+  @doc """
+  Signed proxy path for an image `url`, valid for at least a day. Within the same
+  hour the same URL gives the same path, so browsers cache the image across renders.
+  """
+  @spec proxy_path(String.t()) :: String.t()
+  def proxy_path(url) do
+    signed_at = System.system_time(:second) |> div(@signing_period) |> Kernel.*(@signing_period)
+    token = Phoenix.Token.sign(UiWebWeb.Endpoint, @salt, url, signed_at: signed_at)
+    ~p"/previews/image?#{[token: token]}"
+  end
+
+  def show(conn, %{"token" => token}) do
+    with {:ok, url} <- Phoenix.Token.verify(UiWebWeb.Endpoint, @salt, token, max_age: @max_age),
+         {:ok, %{content_type: content_type, body: body}} <- preview_service_module().fetch_image(url) do
+      conn
+      |> put_resp_content_type(content_type, nil)
+      |> put_resp_header("cache-control", "public, max-age=86400")
+      |> put_resp_header("x-content-type-options", "nosniff")
+      |> put_resp_header("content-security-policy", "default-src 'none'; sandbox")
+      |> send_resp(200, body)
+    else
+      {:error, reason} when reason in [:invalid, :missing, :expired] -> send_resp(conn, :bad_request, "Invalid image link")
+      {:error, _reason} -> send_resp(conn, :bad_gateway, "Image unavailable")
+    end
+  end
+
+  def show(conn, _params), do: send_resp(conn, :bad_request, "Invalid image link")
+
+  defp preview_service_module do
+    Application.get_env(:ui_web, :url_preview_service_module, URLPreviewService)
+  end
+end
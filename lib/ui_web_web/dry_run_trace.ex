@@ -0,0 +1,88 @@
+defmodule UiWebWeb.DryRunTrace do
+  @moduledoc """
+  Turns a policy dry-run result into a per-extension timeline and compares runs
+  for the saved-payload regression suite in `ExtensionsPipelineLive`.
+
+  Gateways that return a `"trace"` get full steps with the payload each stage saw;
+  older results only have `"executed_extensions"` and `"post_processors_executed"`,
+  whose steps carry no input, so their changes are unknown (`nil`).
+  """
+
+  alias UiWeb.JsonDiff
+
+  @outcome_keys ~w(blocked_by provider_selected final_payload steps)
+
+  @doc """
+  Returns the timeline steps of a dry-run result (with or without the `"result"` wrapper).
+
+  Each step has `:extension_id`, `:type`, `:status`, `:latency_ms`, `:input`, `:output`,
+  `:short_circuit`, `:reason` and `:changes` (a `UiWeb.JsonDiff` list, or `nil`).
+  """
+  @spec steps(map()) :: [map()]
+  def steps(%{"result" => result}) when is_map(result), do: steps(result)
+
+  def steps(result) do
+    raw =
+      case result["trace"] do
+        trace when is_list(trace) -> trace
+        _ -> List.wrap(result["executed_extensions"]) ++ List.wrap(result["post_processors_executed"])
+      end
+
+    Enum.map(raw, fn step ->
+      input = step["input"]
+      output = step["output"]
+
+      %{
+        extension_id: step["extension_id"],
+        type: step["type"],
+        status: step["status"] || "unknown",
+        latency_ms: step["latency_ms"],
+        input: input,
+        output: output,
+        short_circuit: step["short_circuit"] == true,
+        reason: step["reason"],
+        changes: if(Map.has_key?(step, "input") and Map.has_key?(step, "output"), do: JsonDiff.diff(input, output))
+      }
+    end)
+  end
+
+  @doc """
+  The part of a result a regression run is compared on: final payload, blocking
+  extension, selected provider and each step's status. Latency is left out.
+  """
+  @spec outcome(map()) :: map()
+  def outcome(%{"result" => result}) when is_map(result), do: outcome(result)
+
+  def outcome(result) do
+    %{
+      "blocked_by" => result["blocked_by"],
+      "provider_selected" => result["provider_selected"],
+      "final_payload" => result["final_payload"],
+      "steps" => Enum.map(steps(result), &"#{&1.extension_id}:#{&1.status}")
+    }
+  end
+
+  @doc """
+  Compares a result with a saved outcome.
+
+  Returns `:pass`, `{:fail, keys}` with the outcome keys that differ, or
+  `:no_baseline` when nothing was saved to compare against.
+  """
+  @spec compare(map() | nil, map()) :: :pass | {:fail, [String.t()]} | :no_baseline
+  def compare(nil, _result), do: :no_baseline
+
+  def compare(expected, result) do
+    actual = outcome(result)
+
+    case Enum.reject(@outcome_keys, &(Map.get(expected, &1) == Map.get(actual, &1))) do
+      [] -> :pass
+      keys -> {:fail, keys}
+    end
+  end
+
+  @doc """
+  Sum of step latencies in milliseconds.
+  """
+  @spec total_latency([map()]) :: number()
+  def total_latency(steps), do: steps |> Enum.map(&(&1.latency_ms || 0)) |> Enum.sum()
+end
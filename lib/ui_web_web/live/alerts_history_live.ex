@@ -0,0 +1,98 @@
+defmodule UiWebWeb.AlertsHistoryLive do
+  use UiWebWeb, :live_view
+  alias UiWeb.Alerts.{Evaluator, Rule}
+
+  @limit 200
+  @statuses ~w(firing resolved)
+
+  def mount(_params, _session, socket) do
+    if connected?(socket), do: Phoenix.PubSub.subscribe(UiWeb.PubSub, Evaluator.topic(socket.assigns.tenant_id))
+
+    {:ok, assign(socket, page_title: "Alert History", status: "", events: [])}
+  end
+
+  # The status filter lives in the URL so a filtered view can be shared
+  def handle_params(params, _url, socket) do
+    status = if params["status"] in @statuses, do: params["status"], else: ""
+
+    {:noreply, socket |> assign(status: status) |> load_events()}
+  end
+
+  def handle_info({:alert, event}, socket) do
+    if socket.assigns.status in ["", event["status"]] do
+      {:noreply, assign(socket, events: Enum.take([event | socket.assigns.events], @limit))}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_event("filter", %{"status" => status}, socket) do
+    query = if status in @statuses, do: [status: status], else: []
+
+    {:noreply, push_patch(socket, to: ~p"/app/#{socket.assigns.tenant_id}/alerts/history?#{query}")}
+  end
+
+  defp load_events(socket) do
+    events =
+      socket.assigns.tenant_id
+      |> Evaluator.history(500)
+      |> Enum.filter(&(socket.assigns.status in ["", &1["status"]]))
+      |> Enum.take(@limit)
+
+    assign(socket, events: events)
+  end
+
+  defp status_class("firing"), do: "text-red-600 font-medium"
+  defp status_class(_status), do: "text-green-600"
+
+  def render(assigns) do
+    ~H"""
+    <div class="py-8">
+      <div class="mb-4 flex items-center justify-between">
+        <h2 class="text-2xl font-bold">Alert History <span class="text-base font-normal text-gray-500"><%= @tenant_id %></span></h2>
+        <.link navigate={~p"/app/#{@tenant_id}/alerts"} class="text-sm text-blue-600 hover:underline">Back to alert rules</.link>
+      </div>
+
+      <form id="history-filters" phx-change="filter" class="mb-4 flex items-end gap-3 bg-white p-4 shadow rounded text-sm">
+        <label class="flex flex-col">
+          <span class="text-gray-600">Status</span>
+          <select name="status" class="rounded border px-2 py-1">
+            <option value="" selected={@status == ""}>All</option>
+            <option value="firing" selected={@status == "firing"}>Fired</option>
+            <option value="resolved" selected={@status == "resolved"}>Resolved</option>
+          </select>
+        </label>
+      </form>
+
+      <div class="bg-white p-4 shadow rounded">
+        <%= if @events == [] do %>
+          <p class="text-sm text-gray-500">No alerts have fired since the UI started.</p>
+        <% else %>
+          <table id="alert-history" class="w-full text-sm">
+            <thead>
+              <tr class="text-left text-gray-500">
+                <th class="py-2">Time</th>
+                <th>Status</th>
+                <th>Rule</th>
+                <th>Condition</th>
+                <th>Value</th>
+                <th>Severity</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr :for={event <- @events} id={"event-#{event["id"]}"} class="border-t">
+                <td class="py-2 text-gray-600"><%= event["at"] %></td>
+                <td class={status_class(event["status"])}><%= if event["status"] == "firing", do: "fired", else: "resolved" %></td>
+                <td><%= event["rule_name"] %></td>
+                <td><%= event["condition"] %></td>
+                <td><%= Rule.format_value(event["value"]) %></td>
+                <td><%= event["severity"] %></td>
+              </tr>
+            </tbody>
+          </table>
+        <% end %>
+      </div>
+    </div>
+    """
+  end
+end
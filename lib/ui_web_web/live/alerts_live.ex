@@ -0,0 +1,367 @@
+defmodule UiWebWeb.AlertsLive do
+  use UiWebWeb, :live_view
+  alias UiWeb.Alerts.{Evaluator, Rule}
+  alias UiWeb.Services.AlertsClient
+  alias UiWebWeb.GatewayErrorHelper
+
+  # Form params of a new rule; the kind select decides which condition fields are shown
+  @defaults %{
+    "name" => "",
+    "kind" => "component_status",
+    "severity" => "warning",
+    "for_seconds" => "60",
+    "enabled" => "true",
+    "component" => "router",
+    "status" => "unhealthy",
+    "metric" => "latency_p95",
+    "operator" => ">",
+    "threshold" => "",
+    "extension_id" => "*"
+  }
+
+  def mount(_params, _session, socket) do
+    if connected?(socket), do: Phoenix.PubSub.subscribe(UiWeb.PubSub, Evaluator.topic(socket.assigns.tenant_id))
+
+    socket =
+      socket
+      |> assign(page_title: "Alerts")
+      |> assign(rules: [])
+      |> assign(active: [])
+      |> assign(form: @defaults)
+      |> assign(form_error: nil)
+      |> assign(rule_id: nil)
+      |> assign(error: nil)
+      |> load_rules()
+      |> load_active()
+
+    {:ok, socket}
+  end
+
+  def handle_params(params, _url, socket) do
+    {:noreply, apply_action(socket, socket.assigns.live_action, params)}
+  end
+
+  defp apply_action(socket, :index, _params) do
+    assign(socket, page_title: "Alerts", rule_id: nil, form_error: nil)
+  end
+
+  # The form is only shown to users who may save it
+  defp apply_action(socket, action, params) when action in [:new, :edit] do
+    case authorize(socket, :save_alert_rule) do
+      {:ok, socket} -> open_form(socket, params)
+      {:error, socket} -> push_patch(socket, to: ~p"/app/#{socket.assigns.tenant_id}/alerts")
+    end
+  end
+
+  defp open_form(socket, %{"id" => id}) do
+    case Enum.find(socket.assigns.rules, &(&1["id"] == id)) do
+      nil ->
+        socket
+        |> put_flash(:error, "Alert rule #{id} not found")
+        |> push_patch(to: ~p"/app/#{socket.assigns.tenant_id}/alerts")
+
+      rule ->
+        assign(socket, page_title: "Edit Alert Rule", rule_id: id, form: form_params(rule), form_error: nil)
+    end
+  end
+
+  defp open_form(socket, _params) do
+    assign(socket, page_title: "New Alert Rule", rule_id: nil, form: @defaults, form_error: nil)
+  end
+
+  def handle_info({:alert, _event}, socket) do
+    {:noreply, load_active(socket)}
+  end
+
+  def handle_event("change_rule", %{"rule" => params}, socket) do
+    {:noreply, assign(socket, form: Map.merge(socket.assigns.form, params), form_error: nil)}
+  end
+
+  def handle_event("save_rule", %{"rule" => params}, socket) do
+    params = Map.merge(socket.assigns.form, params)
+    socket = assign(socket, form: params)
+
+    with {:ok, socket} <- authorize(socket, :save_alert_rule),
+         {:ok, rule} <- Rule.validate(params) do
+      rule_id = socket.assigns.rule_id || new_rule_id()
+
+      case AlertsClient.save_rule(socket.assigns.tenant_id, rule_id, rule, client_opts(socket)) do
+        {:ok, _saved} ->
+          socket
+          |> put_flash(:info, "Alert rule #{rule["name"]} saved")
+          |> load_rules()
+          |> push_patch(to: ~p"/app/#{socket.assigns.tenant_id}/alerts")
+          |> then(&{:noreply, &1})
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, form_error: "Failed to save rule. " <> msg)}
+      end
+    else
+      {:error, %Phoenix.LiveView.Socket{} = socket} -> {:noreply, socket}
+      {:error, message} -> {:noreply, assign(socket, form_error: message)}
+    end
+  end
+
+  def handle_event("toggle_rule", %{"id" => id}, socket) do
+    with {:ok, socket} <- authorize(socket, :save_alert_rule),
+         %{} = rule <- Enum.find(socket.assigns.rules, &(&1["id"] == id)) do
+      rule = rule |> Map.drop(["id", "tenant_id", "updated_at"]) |> Map.put("enabled", rule["enabled"] == false)
+
+      case AlertsClient.save_rule(socket.assigns.tenant_id, id, rule, client_opts(socket)) do
+        {:ok, _saved} ->
+          {:noreply, load_rules(socket)}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, put_flash(socket, :error, "Failed to update rule. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+      nil -> {:noreply, put_flash(socket, :error, "Alert rule #{id} not found")}
+    end
+  end
+
+  def handle_event("delete_rule", %{"id" => id}, socket) do
+    with {:ok, socket} <- authorize(socket, :delete_alert_rule) do
+      case AlertsClient.delete_rule(socket.assigns.tenant_id, id, client_opts(socket)) do
+        {:ok, _} ->
+          {:noreply, socket |> put_flash(:info, "Alert rule deleted") |> load_rules()}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, put_flash(socket, :error, "Failed to delete rule. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  def handle_event("refresh", _params, socket) do
+    {:noreply, socket |> load_rules() |> load_active()}
+  end
+
+  defp load_rules(socket) do
+    tenant_id = socket.assigns.tenant_id
+
+    case AlertsClient.list_rules(Keyword.put(client_opts(socket), :tenant, tenant_id)) do
+      {:ok, rules} ->
+        assign(socket, rules: rules, error: nil)
+
+      {:error, reason} ->
+        msg = GatewayErrorHelper.format_gateway_error(reason)
+        assign(socket, rules: [], error: "Failed to load alert rules. " <> msg)
+    end
+  end
+
+  defp load_active(socket) do
+    assign(socket, active: Evaluator.active(socket.assigns.tenant_id))
+  end
+
+  defp form_params(rule) do
+    rule
+    |> Map.take(Map.keys(@defaults))
+    |> Map.new(fn {key, value} -> {key, form_value(value)} end)
+    |> then(&Map.merge(@defaults, &1))
+  end
+
+  defp form_value(value) when is_float(value), do: Rule.format_value(value)
+  defp form_value(value), do: to_string(value)
+
+  defp new_rule_id, do: "rule_" <> Base.encode16(:crypto.strong_rand_bytes(4), case: :lower)
+
+  defp firing?(active, rule_id), do: Enum.any?(active, &(&1["rule_id"] == rule_id))
+
+  defp severity_class("error"), do: "bg-red-100 text-red-800"
+  defp severity_class(_severity), do: "bg-yellow-100 text-yellow-800"
+
+  def render(assigns) do
+    ~H"""
+    <div class="py-8">
+      <div class="mb-4 flex items-center justify-between">
+        <h2 class="text-2xl font-bold">Alerts <span class="text-base font-normal text-gray-500"><%= @tenant_id %></span></h2>
+        <div class="flex items-center gap-3 text-sm">
+          <.link navigate={~p"/app/#{@tenant_id}/alerts/history"} class="text-blue-600 hover:underline">History</.link>
+          <button type="button" phx-click="refresh" class="rounded bg-gray-200 px-3 py-1 hover:bg-gray-300">Refresh</button>
+          <.link
+            :if={can?(@current_role, :save_alert_rule)}
+            patch={~p"/app/#{@tenant_id}/alerts/new"}
+            class="rounded bg-indigo-600 px-3 py-1 text-white hover:bg-indigo-700"
+          >
+            New Rule
+          </.link>
+        </div>
+      </div>
+
+      <%= if @error do %>
+        <div class="mb-4 rounded bg-red-50 text-red-700 p-3 text-sm"><%= @error %></div>
+      <% end %>
+
+      <div id="active-alerts" class="mb-6 bg-white p-4 shadow rounded">
+        <h3 class="mb-2 font-semibold">Active alerts</h3>
+        <%= if @active == [] do %>
+          <p class="text-sm text-gray-500">No alerts firing.</p>
+        <% else %>
+          <ul class="divide-y text-sm">
+            <li :for={alert <- @active} id={"active-#{alert["rule_id"]}"} class="flex items-center gap-3 py-2">
+              <span class={"rounded px-2 py-0.5 text-xs font-medium #{severity_class(alert["severity"])}"}><%= alert["severity"] %></span>
+              <span class="font-medium"><%= alert["rule_name"] %></span>
+              <span class="text-gray-600"><%= alert["condition"] %></span>
+              <span class="text-gray-600">value: <%= Rule.format_value(alert["value"]) %></span>
+              <span class="ml-auto text-xs text-gray-500">since <%= alert["at"] %></span>
+            </li>
+          </ul>
+        <% end %>
+      </div>
+
+      <form
+        :if={@live_action in [:new, :edit] and can?(@current_role, :save_alert_rule)}
+        id="rule-form"
+        phx-change="change_rule"
+        phx-submit="save_rule"
+        class="mb-6 grid grid-cols-2 gap-3 bg-white p-4 shadow rounded text-sm md:grid-cols-4"
+      >
+        <h3 class="col-span-full font-semibold"><%= if @rule_id, do: "Edit rule", else: "New rule" %></h3>
+        <%= if @form_error do %>
+          <div class="col-span-full rounded bg-red-50 text-red-700 p-2"><%= @form_error %></div>
+        <% end %>
+        <label class="col-span-2 flex flex-col">
+          <span class="text-gray-600">Name</span>
+          <input name="rule[name]" value={@form["name"]} class="rounded border px-2 py-1" />
+        </label>
+        <label class="flex flex-col">
+          <span class="text-gray-600">Condition</span>
+          <select name="rule[kind]" class="rounded border px-2 py-1">
+            <option value="component_status" selected={@form["kind"] == "component_status"}>Component status</option>
+            <option value="metric_threshold" selected={@form["kind"] == "metric_threshold"}>Metric threshold</option>
+            <option value="circuit_open" selected={@form["kind"] == "circuit_open"}>Circuit breaker open</option>
+          </select>
+        </label>
+        <label class="flex flex-col">
+          <span class="text-gray-600">Severity</span>
+          <select name="rule[severity]" class="rounded border px-2 py-1">
+            <option :for={severity <- Rule.severities()} value={severity} selected={@form["severity"] == severity}><%= severity %></option>
+          </select>
+        </label>
+
+        <%= case @form["kind"] do %>
+          <% "component_status" -> %>
+            <label class="flex flex-col">
+              <span class="text-gray-600">Component</span>
+              <select name="rule[component]" class="rounded border px-2 py-1">
+                <option :for={component <- Rule.components()} value={component} selected={@form["component"] == component}><%= component %></option>
+              </select>
+            </label>
+            <label class="flex flex-col">
+              <span class="text-gray-600">Status</span>
+              <select name="rule[status]" class="rounded border px-2 py-1">
+                <option value="unhealthy" selected={@form["status"] == "unhealthy"}>unhealthy</option>
+                <option value="degraded" selected={@form["status"] == "degraded"}>degraded or worse</option>
+              </select>
+            </label>
+          <% "metric_threshold" -> %>
+            <label class="flex flex-col">
+              <span class="text-gray-600">Metric</span>
+              <select name="rule[metric]" class="rounded border px-2 py-1">
+                <option :for={{metric, label, unit} <- Rule.metrics()} value={metric} selected={@form["metric"] == metric}><%= label %> (<%= unit %>)</option>
+              </select>
+            </label>
+            <div class="flex gap-2">
+              <label class="flex flex-col">
+                <span class="text-gray-600">Operator</span>
+                <select name="rule[operator]" class="rounded border px-2 py-1">
+                  <option :for={operator <- Rule.operators()} value={operator} selected={@form["operator"] == operator}><%= operator %></option>
+                </select>
+              </label>
+              <label class="flex flex-1 flex-col">
+                <span class="text-gray-600">Threshold</span>
+                <input name="rule[threshold]" value={@form["threshold"]} inputmode="decimal" class="rounded border px-2 py-1" />
+              </label>
+            </div>
+          <% _ -> %>
+            <label class="col-span-2 flex flex-col">
+              <span class="text-gray-600">Extension ID (* for any)</span>
+              <input name="rule[extension_id]" value={@form["extension_id"]} class="rounded border px-2 py-1" />
+            </label>
+        <% end %>
+
+        <label class="flex flex-col">
+          <span class="text-gray-600">For (seconds)</span>
+          <input type="number" min="0" name="rule[for_seconds]" value={@form["for_seconds"]} class="rounded border px-2 py-1" />
+        </label>
+        <label class="flex items-center gap-2 self-end">
+          <input type="hidden" name="rule[enabled]" value="false" />
+          <input type="checkbox" name="rule[enabled]" value="true" checked={@form["enabled"] != "false"} /> Enabled
+        </label>
+        <div class="col-span-full flex gap-2">
+          <button type="submit" class="rounded bg-indigo-600 px-3 py-1 text-white hover:bg-indigo-700">Save</button>
+          <.link patch={~p"/app/#{@tenant_id}/alerts"} class="rounded bg-gray-200 px-3 py-1 hover:bg-gray-300">Cancel</.link>
+        </div>
+      </form>
+
+      <div class="bg-white p-4 shadow rounded">
+        <%= if @rules == [] do %>
+          <p class="text-sm text-gray-500">No alert rules for this tenant yet.</p>
+        <% else %>
+          <table id="alert-rules" class="w-full text-sm">
+            <thead>
+              <tr class="text-left text-gray-500">
+                <th class="py-2">Name</th>
+                <th>Condition</th>
+                <th>Severity</th>
+                <th>State</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr :for={rule <- @rules} id={"rule-#{rule["id"]}"} class="border-t">
+                <td class="py-2 font-medium"><%= rule["name"] %></td>
+                <td><%= Rule.describe(rule) %></td>
+                <td><span class={"rounded px-2 py-0.5 text-xs #{severity_class(rule["severity"])}"}><%= rule["severity"] %></span></td>
+                <td>
+                  <%= cond do %>
+                    <% rule["enabled"] == false -> %>
+                      <span class="text-gray-400">disabled</span>
+                    <% firing?(@active, rule["id"]) -> %>
+                      <span class="font-medium text-red-600">firing</span>
+                    <% true -> %>
+                      <span class="text-green-600">ok</span>
+                  <% end %>
+                </td>
+                <td class="space-x-2 text-right">
+                  <button
+                    type="button"
+                    phx-click="toggle_rule"
+                    phx-value-id={rule["id"]}
+                    disabled={!can?(@current_role, :save_alert_rule)}
+                    class="text-indigo-600 hover:underline disabled:text-gray-400"
+                  >
+                    <%= if rule["enabled"] == false, do: "Enable", else: "Disable" %>
+                  </button>
+                  <.link
+                    :if={can?(@current_role, :save_alert_rule)}
+                    patch={~p"/app/#{@tenant_id}/alerts/#{rule["id"]}/edit"}
+                    class="text-indigo-600 hover:underline"
+                  >
+                    Edit
+                  </.link>
+                  <button
+                    :if={can?(@current_role, :delete_alert_rule)}
+                    type="button"
+                    phx-click="delete_rule"
+                    phx-value-id={rule["id"]}
+                    data-confirm="Delete this alert rule?"
+                    class="text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        <% end %>
+      </div>
+    </div>
+    """
+  end
+end
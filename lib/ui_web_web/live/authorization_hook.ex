@@ -0,0 +1,75 @@
+defmodule UiWebWeb.Live.AuthorizationHook do
+  @moduledoc """
+  Role checks for LiveViews of the `:app` live session.
+
+  `on_mount(:default, ...)` assigns `:current_role` (see `UiWeb.Auth.Roles.role/1`)
+  so templates can hide controls with `can?(@current_role, action)`. A LiveView that
+  is only useful with a role mounts `{UiWebWeb.Live.AuthorizationHook, {:require, action}}`,
+  and mutating `handle_event/3` clauses check first:
+
+      def handle_event("delete", params, socket) do
+        with {:ok, socket} <- authorize(socket, :delete_message) do
+          ...
+        else
+          {:error, socket} -> {:noreply, socket}
+        end
+      end
+
+  Hidden controls are only a convenience; the event checks are what enforce the roles.
+  Every denied attempt gets an error flash and a `[:ui_web, :live, :access_denied]`
+  Telemetry event.
+  """
+  import Phoenix.Component
+  import Phoenix.LiveView
+
+  alias UiWeb.Auth.Roles
+  alias UiWeb.Telemetry.LiveViewHelpers
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont, assign_current_role(socket)}
+  end
+
+  def on_mount({:require, action}, _params, _session, socket) do
+    socket = assign_current_role(socket)
+
+    case authorize(socket, action) do
+      {:ok, socket} ->
+        {:cont, socket}
+
+      {:error, socket} ->
+        {:halt, redirect(socket, to: "/app/#{URI.encode_www_form(socket.assigns[:tenant_id] || "")}/dashboard")}
+    end
+  end
+
+  @doc """
+  Returns true when `role` may perform `action`.
+  """
+  @spec can?(String.t() | nil, atom()) :: boolean()
+  def can?(role, action), do: Roles.allowed?(role, action)
+
+  @doc """
+  Checks that the socket's role may perform `action`.
+
+  Returns `{:ok, socket}`, or `{:error, socket}` with an error flash after emitting
+  the access-denied Telemetry event.
+  """
+  @spec authorize(Phoenix.LiveView.Socket.t(), atom()) ::
+          {:ok, Phoenix.LiveView.Socket.t()} | {:error, Phoenix.LiveView.Socket.t()}
+  def authorize(socket, action) do
+    if can?(socket.assigns[:current_role], action) do
+      {:ok, socket}
+    else
+      required_role = Roles.required_role(action)
+      LiveViewHelpers.emit_access_denied(socket, action, required_role)
+
+      {:error,
+       put_flash(socket, :error, "Permission denied: #{describe(action)} requires the #{required_role} role")}
+    end
+  end
+
+  defp assign_current_role(socket) do
+    assign_new(socket, :current_role, fn -> Roles.role(socket.assigns[:current_user]) end)
+  end
+
+  defp describe(action), do: action |> Atom.to_string() |> String.replace("_", " ")
+end
@@ -0,0 +1,50 @@
+defmodule UiWebWeb.Live.CommandPaletteHook do
+  @moduledoc """
+  Wires the command palette into every LiveView of the `:app` live session.
+
+  Assigns `:palette` (see `UiWebWeb.CommandPalette.commands/2`) for the layout and
+  handles `"palette_command"` events pushed by `Hooks.CommandPalette`, so individual
+  LiveViews don't need their own clauses.
+  """
+  import Phoenix.Component
+  import Phoenix.LiveView
+
+  alias UiWeb.Services.GatewayClient
+  alias UiWeb.Telemetry.LiveViewHelpers
+  alias UiWebWeb.CommandPalette
+  alias UiWebWeb.GatewayErrorHelper
+
+  def on_mount(:default, _params, _session, socket) do
+    socket =
+      socket
+      |> assign(:palette, CommandPalette.commands(socket.assigns.tenant_id))
+      |> attach_hook(:command_palette, :handle_event, &handle_palette_event/3)
+
+    {:cont, socket}
+  end
+
+  defp handle_palette_event("palette_command", %{"action" => action}, socket) do
+    LiveViewHelpers.emit_action(socket, "palette_command", %{action: action})
+
+    if action in CommandPalette.event_actions() do
+      {:halt, run(action, socket)}
+    else
+      {:halt, put_flash(socket, :error, "Unknown command: #{action}")}
+    end
+  end
+
+  defp handle_palette_event(_event, _params, socket), do: {:cont, socket}
+
+  defp run("refresh_health", socket) do
+    case GatewayClient.check_health!(force: true) do
+      {:ok, health} ->
+        # The dashboard re-reads health and metrics on :tick
+        if socket.view == UiWebWeb.DashboardLive, do: send(self(), :tick)
+        put_flash(socket, :info, "Gateway health refreshed: #{health["status"] || "unknown"}")
+
+      {:error, reason} ->
+        msg = GatewayErrorHelper.format_gateway_error(reason)
+        put_flash(socket, :error, "Health check failed. " <> msg)
+    end
+  end
+end
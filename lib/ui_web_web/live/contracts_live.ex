@@ -0,0 +1,179 @@
+defmodule UiWebWeb.ContractsLive do
+  use UiWebWeb, :live_view
+  alias UiWeb.Contracts.{ContractRuns, ContractValidator, JUnit}
+
+  on_mount {UiWebWeb.Live.AuthorizationHook, {:require, :run_contract_checks}}
+
+  @statuses ~w(pass drift fail error skipped)
+
+  def mount(_params, _session, socket) do
+    socket =
+      socket
+      |> assign(page_title: "Contract Drift")
+      |> assign(runs: ContractRuns.list())
+      |> assign(run: nil, changes: %{}, running: false)
+
+    {:ok, socket}
+  end
+
+  # The selected run lives in the URL so a run can be shared; the newest run is the default
+  def handle_params(params, _url, socket) do
+    run =
+      with id when is_binary(id) <- params["run"] || get_in(socket.assigns.runs, [Access.at(0), "id"]),
+           {:ok, run} <- ContractRuns.get(id) do
+        run
+      else
+        _ -> nil
+      end
+
+    changes = if run, do: ContractRuns.compare(ContractRuns.previous(run), run), else: %{}
+
+    {:noreply, assign(socket, run: run, changes: changes)}
+  end
+
+  def handle_event("run_checks", _params, socket) do
+    with {:ok, socket} <- authorize(socket, :run_contract_checks) do
+      tenant_id = socket.assigns.tenant_id
+
+      socket
+      |> assign(running: true)
+      |> start_async(:run_checks, fn ->
+        ContractValidator.run_checks(tenant_id: tenant_id, samples: %{"tenant_id" => tenant_id})
+      end)
+      |> then(&{:noreply, &1})
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  def handle_async(:run_checks, {:ok, run}, socket) do
+    socket = assign(socket, running: false)
+
+    case ContractRuns.save(run) do
+      {:ok, run} ->
+        socket
+        |> assign(runs: ContractRuns.list())
+        |> push_patch(to: ~p"/app/#{socket.assigns.tenant_id}/contracts?#{[run: run["id"]]}")
+        |> then(&{:noreply, &1})
+
+      {:error, reason} ->
+        {:noreply, put_flash(socket, :error, "Failed to store contract run: #{inspect(reason)}")}
+    end
+  end
+
+  def handle_async(:run_checks, {:exit, reason}, socket) do
+    {:noreply, socket |> assign(running: false) |> put_flash(:error, "Contract checks failed: #{inspect(reason)}")}
+  end
+
+  defp status_class("pass"), do: "bg-green-100 text-green-800"
+  defp status_class("drift"), do: "bg-yellow-100 text-yellow-800"
+  defp status_class("skipped"), do: "bg-gray-100 text-gray-600"
+  defp status_class(_status), do: "bg-red-100 text-red-800"
+
+  defp diff_class("extra"), do: "text-yellow-700"
+  defp diff_class(_kind), do: "text-red-700"
+
+  # "GET /api/v1/messages/:id" -> "result-get-api-v1-messages-id"
+  defp result_id(endpoint) do
+    "result-" <> (endpoint |> String.downcase() |> String.replace(~r/[^a-z0-9]+/, "-") |> String.trim("-"))
+  end
+
+  defp summary_text(summary) do
+    @statuses
+    |> Enum.filter(&((summary[&1] || 0) > 0))
+    |> Enum.map_join(", ", &"#{summary[&1]} #{&1}")
+  end
+
+  def render(assigns) do
+    assigns = assign(assigns, statuses: @statuses)
+
+    ~H"""
+    <div class="py-8">
+      <div class="mb-4 flex items-center justify-between">
+        <h2 class="text-2xl font-bold">Contract Drift <span class="text-base font-normal text-gray-500"><%= @tenant_id %></span></h2>
+        <button
+          type="button"
+          phx-click="run_checks"
+          disabled={@running}
+          class="rounded bg-indigo-600 px-3 py-1 text-sm text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <%= if @running, do: "Running…", else: "Run checks" %>
+        </button>
+      </div>
+
+      <p class="mb-4 text-sm text-gray-600">
+        Every GET endpoint of the API spec is requested from the gateway and its response compared field by field
+        with the spec. Runs are also stored by <code>mix contracts.check</code>.
+      </p>
+
+      <div class="grid grid-cols-4 gap-4">
+        <div class="bg-white p-4 shadow rounded">
+          <h3 class="mb-2 font-semibold">Runs</h3>
+          <p :if={@runs == []} class="text-sm text-gray-500">No contract runs yet.</p>
+          <ul id="contract-runs" class="space-y-1 text-sm">
+            <li :for={run <- @runs} id={"run-#{run["id"]}"}>
+              <.link
+                patch={~p"/app/#{@tenant_id}/contracts?#{[run: run["id"]]}"}
+                class={["block rounded px-2 py-1 hover:bg-gray-100", @run && @run["id"] == run["id"] && "bg-indigo-50"]}
+              >
+                <span class="block"><%= run["started_at"] %></span>
+                <span class="block text-xs text-gray-500"><%= summary_text(run["summary"]) %></span>
+              </.link>
+            </li>
+          </ul>
+        </div>
+
+        <div class="col-span-3 bg-white p-4 shadow rounded">
+          <%= if @run do %>
+            <div class="mb-3 flex flex-wrap items-center gap-2 text-sm">
+              <span class="text-gray-600">Against <%= @run["base_url"] %></span>
+              <span :for={status <- @statuses} class={["rounded px-2 py-0.5", status_class(status)]}>
+                <%= @run["summary"][status] || 0 %> <%= status %>
+              </span>
+            </div>
+
+            <table id="contract-results" class="w-full text-sm">
+              <thead>
+                <tr class="text-left text-gray-500">
+                  <th class="py-2">Endpoint</th>
+                  <th>Status</th>
+                  <th>HTTP</th>
+                  <th>Since previous run</th>
+                  <th>Differences</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr :for={result <- @run["results"]} id={result_id(result["endpoint"])} class="border-t align-top">
+                  <td class="py-2 font-mono"><%= result["endpoint"] %></td>
+                  <td>
+                    <span class={["rounded px-2 py-0.5", status_class(result["status"])]}><%= result["status"] %></span>
+                  </td>
+                  <td><%= result["http_status"] || "-" %></td>
+                  <td>
+                    <%= case @changes[result["endpoint"]] do %>
+                      <% %{"change" => "changed"} = change -> %>
+                        <span class="text-orange-600">changed<%= if change["previous_status"] != result["status"], do: " (was #{change["previous_status"]})" %></span>
+                      <% %{"change" => "new"} -> %>
+                        <span class="text-gray-500">new</span>
+                      <% _ -> %>
+                        <span class="text-gray-400">unchanged</span>
+                    <% end %>
+                  </td>
+                  <td>
+                    <p :if={result["message"]} class="text-gray-600"><%= result["message"] %></p>
+                    <ul :if={result["diffs"] != []} class="font-mono text-xs">
+                      <li :for={diff <- result["diffs"]} class={diff_class(diff["kind"])}><%= JUnit.format_diff(diff) %></li>
+                    </ul>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          <% else %>
+            <p class="text-sm text-gray-500">Run the checks to compare the gateway with the API spec.</p>
+          <% end %>
+        </div>
+      </div>
+    </div>
+    """
+  end
+end
@@ -1,12 +1,26 @@
 defmodule UiWebWeb.DashboardLive do
   use UiWebWeb, :live_view
 
+  alias UiWeb.Metrics.History
+  alias UiWeb.Metrics.Series
   alias UiWeb.Services.GatewayClient
+  alias UiWeb.Telemetry.LiveViewHelpers
   alias UiWebWeb.GatewayErrorHelper
   import UiWebWeb.DashboardComponents
 
   @poll_ms 5_000
 
+  # Trend arrows compare the two halves of this window, whatever the chart range
+  @trend_window_ms 5 * 60_000
+
+  # Chart tabs: id, label, unit, sample keys drawn as series
+  @charts [
+    {"throughput", "Throughput", "req/s", ["throughput"]},
+    {"latency", "Latency", "ms", ["latency_p50", "latency_p95"]},
+    {"error_rate", "Error rate", "%", ["error_rate"]},
+    {"nats", "NATS messages", "msg", ["nats_in_msgs", "nats_out_msgs"]}
+  ]
+
   def mount(_params, _session, socket) do
     socket =
       socket
@@ -21,6 +35,8 @@ defmodule UiWebWeb.DashboardLive do
         }
       )
       |> assign(components: %{})
+      |> assign(workers: %{})
+      |> assign(history: [], range: "5m", chart: "throughput")
       |> assign(error: nil)
 
     if connected?(socket) do
@@ -32,6 +48,14 @@ defmodule UiWebWeb.DashboardLive do
     {:ok, socket}
   end
 
+  # Chart range and tab live in the URL (?range=1h&chart=latency)
+  def handle_params(params, _url, socket) do
+    range = if params["range"] in Series.ranges(), do: params["range"], else: "5m"
+    chart = if List.keymember?(@charts, params["chart"], 0), do: params["chart"], else: "throughput"
+
+    {:noreply, socket |> assign(range: range, chart: chart) |> load_history()}
+  end
+
   def handle_info({:event, heartbeat}, socket) do
     worker_id = heartbeat["worker_id"] || "unknown"
     updated_workers = Map.put(socket.assigns.workers, worker_id, heartbeat)
@@ -53,9 +77,16 @@ defmodule UiWebWeb.DashboardLive do
       end
 
     socket =
-      case GatewayClient.request(:get, "/metrics", nil) do
-        {:ok, metrics} -> assign(socket, metrics: normalize_metrics(metrics))
-        _ -> socket
+      case GatewayClient.request(:get, "/metrics", nil, LiveViewHelpers.client_opts(socket)) do
+        {:ok, metrics} ->
+          History.record(socket.assigns.tenant_id, metrics)
+
+          socket
+          |> assign(metrics: normalize_metrics(metrics))
+          |> load_history()
+
+        _ ->
+          socket
       end
 
     {:noreply, socket}
@@ -137,26 +168,87 @@ defmodule UiWebWeb.DashboardLive do
         <h3 class="text-lg font-semibold text-gray-800 mb-4">Real-time Metrics</h3>
         <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <.metric_card
+            id="metric-throughput"
             label="Throughput"
             value={@metrics["rps"] || @metrics[:rps]}
             unit="req/s"
+            trend={trend(@history, "throughput")}
+            points={sparkline(@history, "throughput")}
           />
           <.metric_card
+            id="metric-latency-p50"
             label="Latency (p50)"
             value={get_latency_value(@metrics, "p50")}
             unit="ms"
             subvalue={format_latency_subvalue(@metrics)}
+            trend={trend(@history, "latency_p50")}
+            higher_is_better={false}
+            points={sparkline(@history, "latency_p50")}
           />
           <.metric_card
+            id="metric-latency-p95"
             label="Latency (p95)"
             value={get_latency_value(@metrics, "p95")}
             unit="ms"
+            trend={trend(@history, "latency_p95")}
+            higher_is_better={false}
+            points={sparkline(@history, "latency_p95")}
           />
           <.metric_card
+            id="metric-error-rate"
             label="Error Rate"
             value={format_error_rate(@metrics["error_rate"] || @metrics[:error_rate])}
             unit="%"
+            trend={trend(@history, "error_rate")}
+            higher_is_better={false}
+            points={sparkline(@history, "error_rate")}
+          />
+        </div>
+      </div>
+
+      <!-- Metrics History -->
+      <div id="metrics-history" class="mb-8">
+        <div class="flex items-center justify-between mb-4">
+          <h3 class="text-lg font-semibold text-gray-800">History</h3>
+          <div class="flex gap-1 text-sm" role="group" aria-label="Chart range">
+            <.link
+              :for={range <- Series.ranges()}
+              id={"range-#{range}"}
+              patch={~p"/app/#{@tenant_id}/dashboard?#{[range: range, chart: @chart]}"}
+              aria-current={range == @range && "true"}
+              class={[
+                "px-2 py-1 rounded border",
+                if(range == @range, do: "bg-indigo-600 border-indigo-600 text-white", else: "border-gray-300 text-gray-700 hover:bg-gray-50")
+              ]}
+            >
+              <%= range %>
+            </.link>
+          </div>
+        </div>
+        <div class="bg-white shadow rounded-lg p-4">
+          <nav class="flex gap-4 border-b mb-3 text-sm" aria-label="Chart metric">
+            <.link
+              :for={{id, label, _unit, _keys} <- charts()}
+              id={"chart-tab-#{id}"}
+              patch={~p"/app/#{@tenant_id}/dashboard?#{[range: @range, chart: id]}"}
+              aria-current={id == @chart && "page"}
+              class={[
+                "pb-2 -mb-px border-b-2",
+                if(id == @chart, do: "border-indigo-600 text-indigo-700", else: "border-transparent text-gray-500 hover:text-gray-700")
+              ]}
+            >
+              <%= label %>
+            </.link>
+          </nav>
+          <.metric_chart
+            id="metrics-chart"
+            series={chart_series(@history, @chart)}
+            unit={chart_unit(@chart)}
+            zoom_key={"#{@range}-#{@chart}"}
           />
+          <p class="mt-2 text-xs text-gray-500">
+            Drag across the chart to zoom, double-click to reset. History is kept in memory for 24 hours.
+          </p>
         </div>
       </div>
 
@@ -187,6 +279,41 @@ defmodule UiWebWeb.DashboardLive do
 
   # Private helper functions
 
+  defp load_history(socket) do
+    %{tenant_id: tenant_id, range: range} = socket.assigns
+    assign(socket, history: History.samples(tenant_id, Series.range_ms(range)))
+  end
+
+  defp charts, do: @charts
+
+  defp trend(history, key) do
+    since = System.system_time(:millisecond) - @trend_window_ms
+
+    history
+    |> Enum.drop_while(fn {at, _sample} -> at < since end)
+    |> Series.trend(key)
+  end
+
+  defp sparkline(history, key), do: history |> Series.points(key, 60) |> scale(key)
+
+  defp chart_series(history, chart) do
+    {_id, _label, _unit, keys} = List.keyfind(@charts, chart, 0)
+    Enum.map(keys, &%{name: series_name(&1), points: history |> Series.points(&1) |> scale(&1)})
+  end
+
+  defp chart_unit(chart), do: @charts |> List.keyfind(chart, 0) |> elem(2)
+
+  # Error rate is recorded as a fraction and shown in percent
+  defp scale(points, "error_rate"), do: Enum.map(points, fn [at, value] -> [at, value * 100] end)
+  defp scale(points, _key), do: points
+
+  defp series_name("latency_p50"), do: "p50"
+  defp series_name("latency_p95"), do: "p95"
+  defp series_name("nats_in_msgs"), do: "in"
+  defp series_name("nats_out_msgs"), do: "out"
+  defp series_name("error_rate"), do: "error rate"
+  defp series_name(key), do: key
+
   defp extract_component_health(health) do
     %{
       "gateway" => %{
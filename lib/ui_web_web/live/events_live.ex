@@ -0,0 +1,297 @@
+defmodule UiWebWeb.EventsLive do
+  @moduledoc """
+  Live tail of the NATS events `UiWeb.Realtime.EventSubscriber` relays to PubSub.
+
+  Keeps the newest 200 events of the user's tenants and global events in memory
+  (see `UiWeb.Realtime.EventInspector.visible?/3` for events without a tenant);
+  pausing holds new events back until resume. Filters (see
+  `UiWeb.Realtime.EventInspector`) live in the URL and only hide buffered events.
+  With NATS disabled, admins can publish sample events through
+  `UiWeb.Realtime.FakePublisher` where it is enabled (dev and test).
+  """
+  use UiWebWeb, :live_view
+  import UiWebWeb.Components.CodePreview
+
+  alias UiWeb.Realtime.{EventInspector, EventSubscriber, FakePublisher}
+
+  @limit 200
+  @tick_ms 1_000
+  @max_burst 50
+
+  def mount(_params, _session, socket) do
+    if connected?(socket) do
+      Phoenix.PubSub.subscribe(UiWeb.PubSub, EventSubscriber.inspector_topic())
+      :timer.send_interval(@tick_ms, :tick)
+    end
+
+    {:ok,
+     assign(socket,
+       page_title: "Events",
+       events: [],
+       pending: [],
+       paused: false,
+       rates: %{},
+       now_ms: System.monotonic_time(:millisecond),
+       types: MapSet.new(),
+       selected: nil,
+       filters: EventInspector.default_filters(),
+       pattern_error: nil,
+       nats_enabled: EventSubscriber.nats_enabled?(),
+       fake_publisher: FakePublisher.enabled?()
+     )}
+  end
+
+  def handle_params(params, _url, socket) do
+    filters = EventInspector.filters(params)
+
+    pattern_error =
+      case EventInspector.validate_pattern(filters["subject"]) do
+        :ok -> nil
+        {:error, message} -> message
+      end
+
+    {:noreply, assign(socket, filters: filters, pattern_error: pattern_error)}
+  end
+
+  def handle_info({:nats_event, entry}, socket) do
+    if EventInspector.visible?(entry, socket.assigns.tenants, socket.assigns.current_role) do
+      entry = EventInspector.redact(entry, socket.assigns.current_role)
+      now_ms = System.monotonic_time(:millisecond)
+
+      socket =
+        socket
+        |> assign(:rates, EventInspector.track(socket.assigns.rates, entry.subject, now_ms))
+        |> assign(:types, MapSet.put(socket.assigns.types, entry.type))
+
+      if socket.assigns.paused do
+        {:noreply, assign(socket, :pending, EventInspector.push(socket.assigns.pending, entry, @limit))}
+      else
+        {:noreply, assign(socket, :events, EventInspector.push(socket.assigns.events, entry, @limit))}
+      end
+    else
+      {:noreply, socket}
+    end
+  end
+
+  # Re-renders the rates as events leave the rate window
+  def handle_info(:tick, socket) do
+    {:noreply, assign(socket, :now_ms, System.monotonic_time(:millisecond))}
+  end
+
+  def handle_event("filter", params, socket) do
+    query = params |> EventInspector.filters() |> Enum.reject(fn {_key, value} -> value == "" end)
+
+    {:noreply, push_patch(socket, to: ~p"/app/#{socket.assigns.tenant_id}/events?#{query}")}
+  end
+
+  def handle_event("pause", _params, socket) do
+    {:noreply, assign(socket, :paused, true)}
+  end
+
+  def handle_event("resume", _params, socket) do
+    events = Enum.take(socket.assigns.pending ++ socket.assigns.events, @limit)
+
+    {:noreply, assign(socket, events: events, pending: [], paused: false)}
+  end
+
+  def handle_event("clear", _params, socket) do
+    {:noreply, assign(socket, events: [], pending: [], rates: %{}, selected: nil)}
+  end
+
+  def handle_event("select", %{"id" => id}, socket) do
+    selected = Enum.find(socket.assigns.events, &(to_string(&1.id) == id))
+
+    {:noreply, assign(socket, :selected, selected)}
+  end
+
+  def handle_event("close_event", _params, socket) do
+    {:noreply, assign(socket, :selected, nil)}
+  end
+
+  def handle_event("publish_samples", %{"kind" => kind, "count" => count}, socket) do
+    with {:ok, socket} <- authorize(socket, :publish_test_events),
+         false <- socket.assigns.nats_enabled,
+         true <- kind in FakePublisher.kinds(),
+         {count, ""} when count in 1..@max_burst <- Integer.parse(count) do
+      case FakePublisher.publish_samples(kind, socket.assigns.tenant_id, count) do
+        :ok -> {:noreply, socket}
+        {:error, :disabled} -> {:noreply, put_flash(socket, :error, "Sample events are disabled")}
+        {:error, :not_running} -> {:noreply, put_flash(socket, :error, "The event subscriber is not running")}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+      _ -> {:noreply, put_flash(socket, :error, "Choose an event kind and 1 to #{@max_burst} events")}
+    end
+  end
+
+  defp max_burst, do: @max_burst
+
+  defp tenant_label(nil), do: "global"
+  defp tenant_label(tenant_id), do: tenant_id
+
+  defp format_time(%DateTime{} = at), do: Calendar.strftime(at, "%H:%M:%S.") <> pad_ms(at)
+
+  defp pad_ms(%DateTime{microsecond: {us, _precision}}), do: us |> div(1000) |> Integer.to_string() |> String.pad_leading(3, "0")
+
+  defp format_rate(per_second), do: :erlang.float_to_binary(per_second, decimals: 1) <> "/s"
+
+  defp event_json(%{event: event}), do: Jason.encode!(event, pretty: true)
+
+  def render(assigns) do
+    ~H"""
+    <div class="py-8">
+      <div class="mb-4 flex items-center justify-between">
+        <h2 class="text-2xl font-bold">Events <span class="text-base font-normal text-gray-500"><%= @tenant_id %></span></h2>
+        <div class="flex items-center gap-2 text-sm">
+          <span :if={not @nats_enabled} data-testid="nats-disabled" class="rounded bg-amber-100 px-2 py-1 text-amber-800">NATS disabled</span>
+          <%= if @paused do %>
+            <button type="button" phx-click="resume" class="rounded border px-3 py-1 hover:bg-gray-50">
+              Resume<span :if={@pending != []} data-testid="pending-count"> (<%= length(@pending) %> new)</span>
+            </button>
+          <% else %>
+            <button type="button" phx-click="pause" class="rounded border px-3 py-1 hover:bg-gray-50">Pause</button>
+          <% end %>
+          <button type="button" phx-click="clear" class="rounded border px-3 py-1 hover:bg-gray-50">Clear</button>
+        </div>
+      </div>
+
+      <form id="event-filters" phx-change="filter" phx-submit="filter" class="mb-4 flex flex-wrap items-end gap-3 bg-white p-4 shadow rounded text-sm">
+        <label class="flex flex-col">
+          <span class="text-gray-600">Subject</span>
+          <input
+            type="text"
+            name="subject"
+            value={@filters["subject"]}
+            placeholder="beamline.*.events.>"
+            phx-debounce="300"
+            class="rounded border px-2 py-1 font-mono"
+          />
+        </label>
+        <label class="flex flex-col">
+          <span class="text-gray-600">Type</span>
+          <select name="type" class="rounded border px-2 py-1">
+            <option value="" selected={@filters["type"] == ""}>All</option>
+            <option :for={type <- @types |> MapSet.put(@filters["type"]) |> MapSet.delete("") |> Enum.sort()} value={type} selected={@filters["type"] == type}>
+              <%= type %>
+            </option>
+          </select>
+        </label>
+        <label class="flex flex-col">
+          <span class="text-gray-600">Tenant</span>
+          <select name="tenant" class="rounded border px-2 py-1">
+            <option value="" selected={@filters["tenant"] == ""}>All</option>
+            <option value={EventInspector.no_tenant()} selected={@filters["tenant"] == EventInspector.no_tenant()}>Global only</option>
+            <option :for={tenant <- @tenants} value={tenant} selected={@filters["tenant"] == tenant}><%= tenant %></option>
+          </select>
+        </label>
+        <p :if={@pattern_error} data-testid="pattern-error" class="text-red-600"><%= @pattern_error %></p>
+      </form>
+
+      <form
+        :if={@fake_publisher and not @nats_enabled and can?(@current_role, :publish_test_events)}
+        id="fake-publisher"
+        phx-submit="publish_samples"
+        class="mb-4 flex items-end gap-3 bg-white p-4 shadow rounded text-sm"
+      >
+        <label class="flex flex-col">
+          <span class="text-gray-600">Sample event</span>
+          <select name="kind" class="rounded border px-2 py-1">
+            <option :for={kind <- FakePublisher.kinds()} value={kind}><%= kind %></option>
+          </select>
+        </label>
+        <label class="flex flex-col">
+          <span class="text-gray-600">Count</span>
+          <input type="number" name="count" value="1" min="1" max={max_burst()} class="w-20 rounded border px-2 py-1" />
+        </label>
+        <button type="submit" class="rounded bg-indigo-600 px-3 py-1 text-white hover:bg-indigo-700">Publish locally</button>
+      </form>
+
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div class="lg:col-span-2 bg-white p-4 shadow rounded">
+          <.events_table events={@events} filters={@filters} selected={@selected} />
+        </div>
+
+        <div class="space-y-4">
+          <div class="bg-white p-4 shadow rounded">
+            <h3 class="mb-2 font-semibold">Rates</h3>
+            <.rates_table rates={@rates} now_ms={@now_ms} />
+          </div>
+
+          <div :if={@selected} id="event-detail" class="bg-white p-4 shadow rounded">
+            <div class="mb-2 flex items-center justify-between">
+              <h3 class="font-semibold font-mono text-sm break-all"><%= @selected.subject %></h3>
+              <button type="button" phx-click="close_event" class="text-sm text-gray-500 hover:text-gray-700">Close</button>
+            </div>
+            <p class="mb-2 text-xs text-gray-500">PubSub topic <span class="font-mono"><%= @selected.topic %></span></p>
+            <%= if @selected.event do %>
+              <.code_preview id={"event-json-#{@selected.id}"} mode="tree" code={event_json(@selected)} />
+            <% else %>
+              <p class="mb-1 text-sm text-red-600">The body is not valid JSON.</p>
+              <pre :if={@selected.raw} data-testid="event-raw" class="overflow-auto rounded bg-gray-50 p-2 text-xs"><%= @selected.raw %></pre>
+              <p :if={is_nil(@selected.raw)} data-testid="event-raw-hidden" class="text-sm text-gray-500">
+                Its tenant is unknown, so the raw body is only shown to admins.
+              </p>
+            <% end %>
+          </div>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  # Separate components so the one-second tick only re-renders the rates
+  defp events_table(assigns) do
+    assigns = assign(assigns, :visible, Enum.filter(assigns.events, &EventInspector.matches?(&1, assigns.filters)))
+
+    ~H"""
+    <%= if @visible == [] do %>
+      <p class="text-sm text-gray-500">
+        <%= if @events == [], do: "Waiting for events…", else: "No events match the filters." %>
+      </p>
+    <% else %>
+      <table id="events" class="w-full text-sm">
+        <thead>
+          <tr class="text-left text-gray-500">
+            <th class="py-2">Time</th>
+            <th>Subject</th>
+            <th>Type</th>
+            <th>Tenant</th>
+            <th class="text-right">Size</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr
+            :for={entry <- @visible}
+            id={"event-#{entry.id}"}
+            phx-click="select"
+            phx-value-id={entry.id}
+            aria-selected={to_string(@selected != nil and @selected.id == entry.id)}
+            class="border-t cursor-pointer hover:bg-gray-50 aria-selected:bg-indigo-50"
+          >
+            <td class="py-1 text-gray-600 font-mono"><%= format_time(entry.received_at) %></td>
+            <td class="font-mono"><%= entry.subject %></td>
+            <td class={if entry.type == "decode_error", do: "text-red-600", else: ""}><%= entry.type %></td>
+            <td><%= tenant_label(entry.tenant_id) %></td>
+            <td class="text-right text-gray-600"><%= entry.size_bytes %> B</td>
+          </tr>
+        </tbody>
+      </table>
+    <% end %>
+    """
+  end
+
+  defp rates_table(assigns) do
+    assigns = assign(assigns, :rows, EventInspector.rate_rows(assigns.rates, assigns.now_ms))
+
+    ~H"""
+    <p :if={@rows == []} class="text-sm text-gray-500">No events yet.</p>
+    <table :if={@rows != []} id="event-rates" class="w-full text-sm">
+      <tr :for={row <- @rows} data-subject={row.subject} class="border-t">
+        <td class="py-1 font-mono break-all"><%= row.subject %></td>
+        <td class="text-right"><%= format_rate(row.per_second) %></td>
+        <td class="text-right text-gray-600"><%= row.total %></td>
+      </tr>
+    </table>
+    """
+  end
+end
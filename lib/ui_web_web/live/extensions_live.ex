@@ -55,7 +55,8 @@ defmodule UiWebWeb.ExtensionsLive do
     type = form["type"] || socket.assigns.form.type
     version = form["version"] || socket.assigns.form.version
 
-    with {:ok, input_schema} <- Jason.decode(form["input_schema"] || "{}"),
+    with {:ok, socket} <- authorize(socket, :save_extension),
+         {:ok, input_schema} <- Jason.decode(form["input_schema"] || "{}"),
          {:ok, output_schema} <- Jason.decode(form["output_schema"] || "{}"),
          {:ok, metadata} <- Jason.decode(form["metadata"] || "{}") do
       caps =
@@ -81,22 +82,27 @@ defmodule UiWebWeb.ExtensionsLive do
           {:noreply, assign(socket, error: "Failed to register block. " <> msg)}
       end
     else
+      {:error, %Phoenix.LiveView.Socket{} = socket} -> {:noreply, socket}
       _ -> {:noreply, assign(socket, error: "Invalid JSON in input/output schema or metadata")}
     end
   end
 
   def handle_event("unregister", params, socket) do
-    type = params["type"] || socket.assigns.form.type
-    version = params["version"] || socket.assigns.form.version
+    with {:ok, socket} <- authorize(socket, :unregister_extension) do
+      type = params["type"] || socket.assigns.form.type
+      version = params["version"] || socket.assigns.form.version
 
-    case GatewayClient.delete("/api/v1/registry/blocks/" <> type <> "/" <> version) do
-      {:ok, _} ->
-        send(self(), :poll)
-        {:noreply, assign(socket, error: nil)}
+      case GatewayClient.delete("/api/v1/registry/blocks/" <> type <> "/" <> version) do
+        {:ok, _} ->
+          send(self(), :poll)
+          {:noreply, assign(socket, error: nil)}
 
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, assign(socket, error: "Failed to unregister block. " <> msg)}
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, error: "Failed to unregister block. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
@@ -157,8 +163,8 @@ defmodule UiWebWeb.ExtensionsLive do
             <textarea name="form[output_schema]" class="w-full border rounded px-2 py-1 h-32 font-mono"><%= @form.output_schema %></textarea>
           </div>
           <div class="col-span-2 flex gap-2">
-            <button type="submit" class="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Register / Update</button>
-            <button type="button" phx-click="unregister" phx-value-type={@form.type} phx-value-version={@form.version} class="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700">Unregister</button>
+            <button type="submit" disabled={!can?(@current_role, :save_extension)} class="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed">Register / Update</button>
+            <button type="button" phx-click="unregister" phx-value-type={@form.type} phx-value-version={@form.version} disabled={!can?(@current_role, :unregister_extension)} class="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 disabled:bg-gray-300 disabled:cursor-not-allowed">Unregister</button>
           </div>
         </form>
       </div>
@@ -6,6 +6,7 @@ defmodule UiWebWeb.ExtensionsLive.Form do
 
   alias UiWeb.Schemas.Extension
   alias UiWeb.Services.ExtensionsClient
+  alias UiWeb.Telemetry.LiveViewHelpers
   alias UiWebWeb.GatewayErrorHelper
 
   @impl true
@@ -51,15 +52,19 @@ defmodule UiWebWeb.ExtensionsLive.Form do
 
   @impl true
   def handle_event("save", %{"extension" => params}, socket) do
-    # Convert tags string to array if present
-    params = normalize_tags(params)
+    with {:ok, socket} <- authorize(socket, :save_extension) do
+      # Convert tags string to array if present
+      params = normalize_tags(params)
 
-    changeset = Extension.changeset(%Extension{}, params)
+      changeset = Extension.changeset(%Extension{}, params)
 
-    if changeset.valid? do
-      save_extension(socket, params)
+      if changeset.valid? do
+        save_extension(socket, params)
+      else
+        {:noreply, assign(socket, :changeset, changeset)}
+      end
     else
-      {:noreply, assign(socket, :changeset, changeset)}
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
@@ -113,7 +118,7 @@ defmodule UiWebWeb.ExtensionsLive.Form do
   end
 
   defp load_extension(socket, extension_id) do
-    case ExtensionsClient.get_extension(extension_id) do
+    case ExtensionsClient.get_extension(extension_id, LiveViewHelpers.client_opts(socket)) do
       {:ok, extension} ->
         # Convert API response to attrs for changeset
         attrs = Extension.from_api(extension)
@@ -130,9 +135,9 @@ defmodule UiWebWeb.ExtensionsLive.Form do
   defp save_extension(socket, params) do
     result =
       if socket.assigns.extension_id do
-        ExtensionsClient.update_extension(socket.assigns.extension_id, params)
+        ExtensionsClient.update_extension(socket.assigns.extension_id, params, LiveViewHelpers.client_opts(socket))
       else
-        ExtensionsClient.create_extension(params)
+        ExtensionsClient.create_extension(params, LiveViewHelpers.client_opts(socket))
       end
 
     case result do
@@ -222,7 +227,7 @@ defmodule UiWebWeb.ExtensionsLive.Form do
   end
 
   @impl true
-  def handle_info({:tags_updated, "extension-tags", tags}, socket) do
+  def handle_info({UiWebWeb.Components.TagsInput, {:tags_updated, "extension-tags", tags}}, socket) do
     # Update changeset with new tags
     current_metadata = get_in(socket.assigns.changeset.data, [:metadata]) || %{}
 
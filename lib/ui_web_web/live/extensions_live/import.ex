@@ -0,0 +1,196 @@
+defmodule UiWebWeb.ExtensionsLive.Import do
+  @moduledoc """
+  Bulk registration of extensions from a manifest (see `UiWeb.Extensions.Manifest`).
+
+  The manifest is uploaded or pasted, then previewed: every entry is validated with
+  the extension form's changeset and planned as create, update, unchanged or invalid
+  against the registry. Applying saves the planned creates and updates in a task,
+  reporting progress as they are saved; it is refused while any entry is invalid,
+  and editing the manifest discards the preview.
+  """
+  use UiWebWeb, :live_view
+
+  on_mount {UiWebWeb.Live.AuthorizationHook, {:require, :save_extension}}
+
+  alias UiWeb.Extensions.Manifest
+  alias UiWeb.Services.ExtensionsClient
+  alias UiWeb.Telemetry.LiveViewHelpers
+  alias UiWebWeb.GatewayErrorHelper
+
+  @max_file_size 1_000_000
+
+  @impl true
+  def mount(_params, _session, socket) do
+    socket =
+      socket
+      |> assign(
+        page_title: "Import Extensions",
+        content: "",
+        format: "auto",
+        plan: nil,
+        summary: nil,
+        parse_error: nil,
+        results: nil,
+        applying: nil
+      )
+      |> allow_upload(:manifest,
+        accept: :any,
+        max_entries: 1,
+        max_file_size: @max_file_size,
+        auto_upload: true,
+        progress: &handle_progress/3
+      )
+
+    {:ok, socket}
+  end
+
+  @impl true
+  def handle_event("validate", %{"manifest" => %{"content" => content, "format" => format}}, socket) do
+    if content == socket.assigns.content and format == socket.assigns.format do
+      {:noreply, socket}
+    else
+      {:noreply, assign(socket, content: content, format: format, plan: nil, parse_error: nil)}
+    end
+  end
+
+  # File input changes carry no manifest params
+  def handle_event("validate", _params, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_event("preview", %{"manifest" => %{"content" => content, "format" => format}}, socket) do
+    socket = assign(socket, content: content, format: format, results: nil)
+
+    with {:ok, entries} <- Manifest.parse(content, parse_format(format)),
+         {:ok, extensions} <- ExtensionsClient.list_all_extensions(LiveViewHelpers.client_opts(socket)) do
+      plan = Manifest.plan(entries, extensions)
+      {:noreply, assign(socket, plan: plan, summary: Manifest.summary(plan), parse_error: nil)}
+    else
+      {:error, message} when is_binary(message) ->
+        {:noreply, assign(socket, plan: nil, parse_error: message)}
+
+      {:error, reason} ->
+        msg = GatewayErrorHelper.format_gateway_error(reason)
+        {:noreply, socket |> assign(:plan, nil) |> put_flash(:error, "Failed to load extensions. " <> msg)}
+    end
+  end
+
+  @impl true
+  def handle_event("apply", _params, socket) do
+    with {:ok, socket} <- authorize(socket, :save_extension) do
+      plan = socket.assigns.plan
+
+      cond do
+        socket.assigns.applying ->
+          {:noreply, socket}
+
+        is_nil(plan) ->
+          {:noreply, put_flash(socket, :error, "Preview the manifest before applying it")}
+
+        Enum.any?(plan, &(&1.action == :invalid)) ->
+          {:noreply, put_flash(socket, :error, "Fix the invalid extensions before applying the manifest")}
+
+        true ->
+          changes = Enum.filter(plan, &(&1.action in [:create, :update]))
+          opts = LiveViewHelpers.client_opts(socket)
+          live_view = self()
+
+          socket
+          |> assign(applying: %{done: 0, total: length(changes)})
+          |> start_async(:apply, fn -> apply_plan(changes, opts, &send(live_view, {:apply_progress, &1})) end)
+          |> then(&{:noreply, &1})
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("cancel_upload", %{"ref" => ref}, socket) do
+    {:noreply, cancel_upload(socket, :manifest, ref)}
+  end
+
+  @impl true
+  def handle_info({:apply_progress, done}, %{assigns: %{applying: %{} = applying}} = socket) do
+    {:noreply, assign(socket, applying: %{applying | done: done})}
+  end
+
+  def handle_info({:apply_progress, _done}, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_async(:apply, {:ok, results}, socket) do
+    failed = Enum.count(results, &match?({:error, _message}, &1.result))
+    socket = assign(socket, plan: nil, results: results, applying: nil)
+
+    if failed == 0 do
+      {:noreply, put_flash(socket, :info, "Manifest applied: #{length(results)} extensions saved")}
+    else
+      {:noreply, put_flash(socket, :error, "#{failed} of #{length(results)} extensions failed to save")}
+    end
+  end
+
+  def handle_async(:apply, {:exit, reason}, socket) do
+    {:noreply, socket |> assign(applying: nil) |> put_flash(:error, "Applying the manifest failed: #{inspect(reason)}")}
+  end
+
+  defp handle_progress(:manifest, entry, socket) do
+    if entry.done? do
+      content = consume_uploaded_entry(socket, entry, fn %{path: path} -> {:ok, File.read!(path)} end)
+
+      socket =
+        assign(socket,
+          content: content,
+          format: entry.client_name |> Manifest.format_for() |> Atom.to_string(),
+          plan: nil,
+          parse_error: nil,
+          results: nil
+        )
+
+      {:noreply, socket}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  # Runs in the async task; `progress` is called with the count saved so far
+  defp apply_plan(changes, opts, progress) do
+    changes
+    |> Enum.with_index(1)
+    |> Enum.map(fn {%{action: action} = entry, done} ->
+      result =
+        case action do
+          :create -> ExtensionsClient.create_extension(entry.params, opts)
+          :update -> ExtensionsClient.update_extension(entry.id, entry.params, opts)
+        end
+
+      progress.(done)
+      %{name: entry.name, action: action, result: save_result(result)}
+    end)
+  end
+
+  defp save_result({:ok, _extension}), do: :ok
+
+  defp save_result({:error, {:http_error, 422, %{"errors" => errors}}}) when is_map(errors) do
+    {:error, Enum.map_join(errors, "; ", fn {field, messages} -> "#{field} #{Enum.join(List.wrap(messages), ", ")}" end)}
+  end
+
+  defp save_result({:error, reason}), do: {:error, GatewayErrorHelper.format_gateway_error(reason)}
+
+  defp parse_format("json"), do: :json
+  defp parse_format("yaml"), do: :yaml
+  defp parse_format(_auto), do: :auto
+
+  # Helper functions for template
+  def action_label(:create), do: "Create"
+  def action_label(:update), do: "Update"
+  def action_label(:unchanged), do: "Unchanged"
+  def action_label(:invalid), do: "Invalid"
+
+  def action_class(:create), do: "bg-green-100 text-green-800"
+  def action_class(:update), do: "bg-blue-100 text-blue-800"
+  def action_class(:unchanged), do: "bg-gray-100 text-gray-800"
+  def action_class(:invalid), do: "bg-red-100 text-red-800"
+
+  def upload_error_to_string(:too_large), do: "The file is larger than 1 MB"
+  def upload_error_to_string(:too_many_files), do: "Upload one manifest at a time"
+  def upload_error_to_string(error), do: "Upload failed (#{inspect(error)})"
+end
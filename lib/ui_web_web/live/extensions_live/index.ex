@@ -59,52 +59,60 @@ defmodule UiWebWeb.ExtensionsLive.Index do
 
   @impl true
   def handle_event("toggle_extension", %{"id" => id} = params, socket) do
-    # Handle both string and boolean enabled values
-    enabled_str = Map.get(params, "enabled", "false")
-    enabled = enabled_str == "true" || enabled_str == true
-
-    # Emit LiveView action event
-    LiveViewHelpers.emit_action(socket, "toggle_extension", %{
-      extension_id: id,
-      enabled: !enabled
-    })
-
-    context = LiveViewHelpers.get_context(socket)
-    case ExtensionsClient.toggle_extension(id, !enabled, context) do
-      {:ok, _updated} ->
-        socket =
-          socket
-          |> put_flash(:info, "Extension #{if enabled, do: "disabled", else: "enabled"} successfully")
-          |> load_extensions()
-
-        {:noreply, socket}
-
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, put_flash(socket, :error, "Failed to toggle extension. " <> msg)}
+    with {:ok, socket} <- authorize(socket, :toggle_extension) do
+      # Handle both string and boolean enabled values
+      enabled_str = Map.get(params, "enabled", "false")
+      enabled = enabled_str == "true" || enabled_str == true
+
+      # Emit LiveView action event
+      LiveViewHelpers.emit_action(socket, "toggle_extension", %{
+        extension_id: id,
+        enabled: !enabled
+      })
+
+      context = LiveViewHelpers.client_opts(socket)
+      case ExtensionsClient.toggle_extension(id, !enabled, context) do
+        {:ok, _updated} ->
+          socket =
+            socket
+            |> put_flash(:info, "Extension #{if enabled, do: "disabled", else: "enabled"} successfully")
+            |> load_extensions()
+
+          {:noreply, socket}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, put_flash(socket, :error, "Failed to toggle extension. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
   @impl true
   def handle_event("delete_extension", %{"id" => id}, socket) do
-    # Emit LiveView action event
-    LiveViewHelpers.emit_action(socket, "delete_extension", %{
-      extension_id: id
-    })
-
-    context = LiveViewHelpers.get_context(socket)
-    case ExtensionsClient.delete_extension(id, context) do
-      :ok ->
-        socket =
-          socket
-          |> put_flash(:info, "Extension deleted successfully")
-          |> load_extensions()
-
-        {:noreply, socket}
-
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, put_flash(socket, :error, "Failed to delete extension. " <> msg)}
+    with {:ok, socket} <- authorize(socket, :delete_extension) do
+      # Emit LiveView action event
+      LiveViewHelpers.emit_action(socket, "delete_extension", %{
+        extension_id: id
+      })
+
+      context = LiveViewHelpers.client_opts(socket)
+      case ExtensionsClient.delete_extension(id, context) do
+        :ok ->
+          socket =
+            socket
+            |> put_flash(:info, "Extension deleted successfully")
+            |> load_extensions()
+
+          {:noreply, socket}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, put_flash(socket, :error, "Failed to delete extension. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
@@ -148,7 +156,7 @@ defmodule UiWebWeb.ExtensionsLive.Index do
   # Private helpers
 
   defp load_extensions(socket) do
-    context = LiveViewHelpers.get_context(socket)
+    context = LiveViewHelpers.client_opts(socket)
     opts = build_filter_opts(socket.assigns)
     |> Keyword.merge(context)
 
@@ -1,7 +1,11 @@
 defmodule UiWebWeb.ExtensionsPipelineLive do
   use UiWebWeb, :live_view
-  alias UiWeb.Services.GatewayClient
+  alias UiWeb.JsonDiff
+  alias UiWeb.Services.{ClientHelpers, ExtensionsClient, GatewayClient, PoliciesClient}
+  alias UiWebWeb.DryRunTrace
   alias UiWebWeb.GatewayErrorHelper
+  alias UiWebWeb.PipelineGraph
+  import UiWebWeb.Components.CodePreview
 
   @poll_ms 10_000
 
@@ -9,7 +13,6 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
     socket =
       socket
       |> assign(page_title: "Extensions Pipeline Inspector")
-      |> assign(tenant_id: Map.get(socket.assigns, :tenant_id, "tenant_dev"))
       |> assign(policy_id: "default")
       |> assign(policy: nil)
       |> assign(extensions: [])
@@ -17,7 +20,11 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
       |> assign(extension_circuit_states: %{})
       |> assign(pipeline_complexity: nil)
       |> assign(dry_run_result: nil)
+      |> assign(dry_run_input: nil)
+      |> assign(selected_node: nil)
       |> assign(dry_run_payload: "{\"message\": \"test\"}")
+      |> assign(dry_run_cases: [])
+      |> assign(suite_results: %{})
       |> assign(loading: false)
       |> assign(error: nil)
 
@@ -44,17 +51,46 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
       |> load_extension_health()
       |> load_circuit_states()
       |> load_pipeline_complexity()
+      |> load_dry_run_cases()
 
     {:noreply, socket}
   end
 
-  def handle_event("set_tenant_policy", %{"tenant_id" => tenant_id, "policy_id" => policy_id}, socket) do
-    socket =
-      socket
-      |> assign(tenant_id: tenant_id, policy_id: policy_id)
-      |> load_policy()
+  # ?policy_id=... preselects a policy of the URL tenant, e.g. from PoliciesLive after an edit
+  def handle_params(%{"policy_id" => policy_id}, _url, socket) when policy_id != "" do
+    {:noreply, select_policy(socket, policy_id)}
+  end
 
-    {:noreply, socket}
+  def handle_params(_params, _url, socket), do: {:noreply, socket}
+
+  def handle_event("set_policy", %{"policy_id" => policy_id}, socket) do
+    {:noreply, select_policy(socket, policy_id)}
+  end
+
+  # Graph nodes send the extension id; the detail panel reads health/circuit live from assigns
+  def handle_event("select_node", %{"id" => ext_id}, socket) do
+    opts = [tenant_id: socket.assigns.tenant_id]
+
+    extension =
+      case ExtensionsClient.get_extension(ext_id, opts) do
+        {:ok, ext} -> ext
+        {:error, _reason} -> nil
+      end
+
+    selected =
+      case ExtensionsClient.list_extension_errors(ext_id, Keyword.put(opts, :limit, 10)) do
+        {:ok, errors} ->
+          %{id: ext_id, extension: extension, errors: errors, errors_unavailable: nil}
+
+        {:error, reason} ->
+          %{id: ext_id, extension: extension, errors: [], errors_unavailable: GatewayErrorHelper.format_gateway_error(reason)}
+      end
+
+    {:noreply, assign(socket, selected_node: selected)}
+  end
+
+  def handle_event("close_node_detail", _params, socket) do
+    {:noreply, assign(socket, selected_node: nil)}
   end
 
   def handle_event("update_dry_run_payload", %{"value" => payload}, socket) do
@@ -70,21 +106,152 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
     payload = Map.get(params, "payload", socket.assigns.dry_run_payload)
     socket = assign(socket, loading: true, error: nil, dry_run_result: nil, dry_run_payload: payload)
 
-    case run_dry_run(socket.assigns.tenant_id, socket.assigns.policy_id, payload) do
+    case run_dry_run(socket, payload) do
       {:ok, result} ->
-        {:noreply, assign(socket, dry_run_result: result, loading: false)}
+        {:noreply, assign(socket, dry_run_result: result, dry_run_input: payload, loading: false)}
 
       {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, assign(socket, error: "Dry-run failed: " <> msg, loading: false)}
+        {:noreply, assign(socket, error: "Dry-run failed: " <> dry_run_error(reason), loading: false)}
+    end
+  end
+
+  # Saved payloads: the outcome of the run at save time is the baseline later runs are compared to
+  def handle_event("save_dry_run_case", %{"name" => name, "payload" => payload}, socket) do
+    name = String.trim(name)
+    socket = assign(socket, dry_run_payload: payload)
+
+    with {:ok, socket} <- authorize(socket, :save_dry_run_case),
+         :ok <- validate_case_name(name),
+         {:ok, result} <- run_dry_run(socket, payload),
+         {:ok, _} <-
+           PoliciesClient.save_dry_run_case(
+             socket.assigns.tenant_id,
+             socket.assigns.policy_id,
+             name,
+             %{"payload" => Jason.decode!(payload), "expected" => DryRunTrace.outcome(result)},
+             client_opts(socket)
+           ) do
+      {:noreply,
+       socket
+       |> assign(dry_run_result: result, dry_run_input: payload, error: nil)
+       |> assign(suite_results: Map.delete(socket.assigns.suite_results, name))
+       |> load_dry_run_cases()
+       |> put_flash(:info, "Saved dry-run payload #{name}")}
+    else
+      {:error, %Phoenix.LiveView.Socket{} = socket} ->
+        {:noreply, socket}
+
+      {:error, reason} ->
+        {:noreply, assign(socket, error: "Saving dry-run payload failed: " <> dry_run_error(reason))}
+    end
+  end
+
+  def handle_event("load_dry_run_case", %{"name" => name}, socket) do
+    case find_case(socket, name) do
+      nil -> {:noreply, socket}
+      dry_run_case -> {:noreply, assign(socket, dry_run_payload: Jason.encode!(dry_run_case["payload"], pretty: true))}
+    end
+  end
+
+  def handle_event("run_dry_run_case", %{"name" => name}, socket) do
+    case find_case(socket, name) do
+      nil -> {:noreply, socket}
+      dry_run_case -> {:noreply, assign(socket, suite_results: Map.put(socket.assigns.suite_results, name, run_case(socket, dry_run_case)))}
+    end
+  end
+
+  def handle_event("run_dry_run_suite", _params, socket) do
+    results = Map.new(socket.assigns.dry_run_cases, &{&1["name"], run_case(socket, &1)})
+    {:noreply, assign(socket, suite_results: results)}
+  end
+
+  # Accepting makes the latest run the new baseline, e.g. after an intended policy change
+  def handle_event("accept_dry_run_result", %{"name" => name}, socket) do
+    with {:ok, socket} <- authorize(socket, :save_dry_run_case),
+         %{result: result} when is_map(result) <- socket.assigns.suite_results[name],
+         %{} = dry_run_case <- find_case(socket, name),
+         {:ok, _} <-
+           PoliciesClient.save_dry_run_case(
+             socket.assigns.tenant_id,
+             socket.assigns.policy_id,
+             name,
+             %{"payload" => dry_run_case["payload"], "expected" => DryRunTrace.outcome(result)},
+             client_opts(socket)
+           ) do
+      {:noreply,
+       socket
+       |> assign(suite_results: Map.put(socket.assigns.suite_results, name, %{status: :pass, result: result}))
+       |> load_dry_run_cases()}
+    else
+      {:error, %Phoenix.LiveView.Socket{} = socket} ->
+        {:noreply, socket}
+
+      {:error, reason} ->
+        {:noreply, assign(socket, error: "Saving dry-run payload failed: " <> dry_run_error(reason))}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("delete_dry_run_case", %{"name" => name}, socket) do
+    with {:ok, socket} <- authorize(socket, :delete_dry_run_case) do
+      case PoliciesClient.delete_dry_run_case(socket.assigns.tenant_id, socket.assigns.policy_id, name, client_opts(socket)) do
+        {:ok, _} ->
+          {:noreply,
+           socket
+           |> assign(suite_results: Map.delete(socket.assigns.suite_results, name))
+           |> load_dry_run_cases()}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, error: "Deleting dry-run payload failed: " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  defp select_policy(socket, policy_id) do
+    socket
+    |> assign(policy_id: policy_id, dry_run_result: nil, suite_results: %{})
+    |> load_policy()
+    |> load_dry_run_cases()
+  end
+
+  defp load_dry_run_cases(socket) do
+    case PoliciesClient.list_dry_run_cases(socket.assigns.tenant_id, socket.assigns.policy_id, client_opts(socket)) do
+      {:ok, cases} -> assign(socket, dry_run_cases: cases)
+      {:error, _reason} -> assign(socket, dry_run_cases: [])
     end
   end
 
+  defp find_case(socket, name), do: Enum.find(socket.assigns.dry_run_cases, &(&1["name"] == name))
+
+  defp run_case(socket, dry_run_case) do
+    case PoliciesClient.dry_run(socket.assigns.tenant_id, socket.assigns.policy_id, dry_run_case["payload"], client_opts(socket)) do
+      {:ok, result} -> %{status: DryRunTrace.compare(dry_run_case["expected"], result), result: result}
+      {:error, reason} -> %{status: {:error, GatewayErrorHelper.format_gateway_error(reason)}, result: nil}
+    end
+  end
+
+  defp validate_case_name(name) do
+    if name =~ ~r/^[A-Za-z0-9_.-]{1,64}$/,
+      do: :ok,
+      else: {:error, :invalid_case_name}
+  end
+
+  defp client_opts(socket), do: [tenant_id: socket.assigns.tenant_id]
+
+  defp dry_run_error(%Jason.DecodeError{}), do: "payload is not valid JSON"
+  defp dry_run_error(:invalid_case_name), do: "name may only contain letters, digits, '.', '_' and '-'"
+  defp dry_run_error(reason), do: GatewayErrorHelper.format_gateway_error(reason)
+
   defp load_policy(socket) do
     tenant_id = socket.assigns.tenant_id
     policy_id = socket.assigns.policy_id
 
-    case GatewayClient.get_json("/api/v1/policies/#{tenant_id}/#{policy_id}") do
+    case GatewayClient.get_json("/api/v1/policies/#{tenant_id}/#{policy_id}", client_opts(socket)) do
       {:ok, policy} ->
         assign(socket, policy: policy, error: nil)
 
@@ -95,12 +262,9 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
   end
 
   defp load_extensions(socket) do
-    case GatewayClient.get_json("/api/v1/extensions") do
-      {:ok, %{"items" => items}} ->
-        assign(socket, extensions: items, error: nil)
-
-      {:ok, items} when is_list(items) ->
-        assign(socket, extensions: items, error: nil)
+    case GatewayClient.get_json("/api/v1/extensions", client_opts(socket)) do
+      {:ok, body} ->
+        assign(socket, extensions: ClientHelpers.extract_items(body), error: nil)
 
       {:error, reason} ->
         msg = GatewayErrorHelper.format_gateway_error(reason)
@@ -109,7 +273,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
   end
 
   defp load_extension_health(socket) do
-    case GatewayClient.get_json("/api/v1/extensions/health") do
+    case GatewayClient.get_json("/api/v1/extensions/health", client_opts(socket)) do
       {:ok, health_map} ->
         assign(socket, extension_health: health_map, error: nil)
 
@@ -120,7 +284,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
   end
 
   defp load_circuit_states(socket) do
-    case GatewayClient.get_json("/api/v1/extensions/circuit-breakers") do
+    case GatewayClient.get_json("/api/v1/extensions/circuit-breakers", client_opts(socket)) do
       {:ok, states_map} ->
         assign(socket, extension_circuit_states: states_map, error: nil)
 
@@ -134,7 +298,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
     tenant_id = socket.assigns.tenant_id
     policy_id = socket.assigns.policy_id
 
-    case GatewayClient.get_json("/api/v1/policies/#{tenant_id}/#{policy_id}/complexity") do
+    case GatewayClient.get_json("/api/v1/policies/#{tenant_id}/#{policy_id}/complexity", client_opts(socket)) do
       {:ok, %{"complexity" => complexity}} ->
         # API returns {"complexity": {...}}
         assign(socket, pipeline_complexity: complexity, error: nil)
@@ -149,19 +313,9 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
     end
   end
 
-  defp run_dry_run(tenant_id, policy_id, payload_json) do
+  defp run_dry_run(socket, payload_json) do
     with {:ok, payload} <- Jason.decode(payload_json) do
-      body = %{
-        "tenant_id" => tenant_id,
-        "policy_id" => policy_id,
-        "payload" => payload,
-        "dry_run" => true
-      }
-
-      GatewayClient.post_json("/api/v1/policies/dry-run", body)
-    else
-      {:error, _} = error ->
-        error
+      PoliciesClient.dry_run(socket.assigns.tenant_id, socket.assigns.policy_id, payload, client_opts(socket))
     end
   end
 
@@ -205,32 +359,31 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
       <h2 class="text-2xl font-bold mb-4">Extensions Pipeline Inspector</h2>
 
       <%= if @error do %>
-        <div class="mb-4 rounded bg-red-50 text-red-700 p-3 text-sm"><%= @error %></div>
+        <div data-testid="pipeline-error" class="mb-4 rounded bg-red-50 text-red-700 p-3 text-sm"><%= @error %></div>
       <% end %>
 
       <!-- Tenant/Policy Selector -->
       <div class="mb-6 bg-white p-4 shadow rounded">
         <h3 class="font-semibold mb-2">Policy Selection</h3>
-        <form phx-submit="set_tenant_policy" class="grid grid-cols-2 gap-4">
+        <form phx-submit="set_policy" data-testid="pipeline-policy-form" class="grid grid-cols-2 gap-4">
           <div>
-            <label class="block text-sm text-gray-600 mb-1">Tenant ID</label>
-            <input
-              name="tenant_id"
-              value={@tenant_id}
-              class="w-full border rounded px-2 py-1"
-            />
+            <span class="block text-sm text-gray-600 mb-1">Tenant ID</span>
+            <p class="px-2 py-1 font-mono"><%= @tenant_id %></p>
           </div>
           <div>
-            <label class="block text-sm text-gray-600 mb-1">Policy ID</label>
+            <label for="pipeline-policy-id" class="block text-sm text-gray-600 mb-1">Policy ID</label>
             <input
+              id="pipeline-policy-id"
               name="policy_id"
               value={@policy_id}
+              data-testid="pipeline-policy-id"
               class="w-full border rounded px-2 py-1"
             />
           </div>
           <div class="col-span-2">
             <button
               type="submit"
+              data-testid="pipeline-load-policy"
               class="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
             >
               Load Policy
@@ -249,6 +402,29 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
           </div>
         <% end %>
 
+        <div class="mb-6 bg-white p-4 shadow rounded">
+          <h3 class="font-semibold mb-4">Pipeline Graph</h3>
+          <div class="flex gap-4">
+            <div class="min-w-0 flex-1 overflow-x-auto">
+              <.pipeline_graph
+                graph={PipelineGraph.build(@policy, @extension_health, @extension_circuit_states)}
+                selected={@selected_node && @selected_node.id}
+                title={"Pipeline of #{@tenant_id}/#{@policy_id}"}
+              />
+              <.graph_legend />
+            </div>
+            <%= if @selected_node do %>
+              <.node_detail
+                node={@selected_node}
+                health={Map.get(@extension_health, @selected_node.id)}
+                circuit={Map.get(@extension_circuit_states, @selected_node.id)}
+                circuit_state={PipelineGraph.circuit_state(@extension_circuit_states, @selected_node.id)}
+                tenant_id={@tenant_id}
+              />
+            <% end %>
+          </div>
+        </div>
+
         <div class="mb-6 bg-white p-4 shadow rounded">
           <h3 class="font-semibold mb-4">Pipeline Structure</h3>
           <div class="space-y-4">
@@ -309,7 +485,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
             </thead>
             <tbody>
               <%= for ext <- @extensions do %>
-                <tr class="border-b">
+                <tr data-testid={"registry-row-#{ext["id"] || ext[:id]}"} class="border-b">
                   <td class="p-2 font-mono text-xs"><%= ext["id"] || ext[:id] %></td>
                   <td class="p-2"><%= ext["type"] || ext[:type] %></td>
                   <td class="p-2 font-mono text-xs"><%= ext["subject"] || ext[:subject] %></td>
@@ -333,13 +509,14 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
       <!-- Dry Run -->
       <div class="mb-6 bg-white p-4 shadow rounded">
         <h3 class="font-semibold mb-4">Dry Run Pipeline</h3>
-        <form phx-submit="run_dry_run" class="space-y-4">
+        <form id="dry-run-form" phx-submit="run_dry_run" phx-change="update_dry_run_payload" class="space-y-4">
           <div>
-            <label class="block text-sm text-gray-600 mb-1">Test Payload (JSON)</label>
+            <label for="dry-run-payload" class="block text-sm text-gray-600 mb-1">Test Payload (JSON)</label>
             <textarea
+              id="dry-run-payload"
               name="payload"
-              phx-blur="update_dry_run_payload"
               phx-debounce="300"
+              data-testid="dry-run-payload"
               class="w-full border rounded px-2 py-1 h-32 font-mono text-xs"
               placeholder='{"message": "test"}'
             ><%= @dry_run_payload %></textarea>
@@ -348,6 +525,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
             <button
               type="submit"
               disabled={@loading}
+              data-testid="dry-run-submit"
               class="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 disabled:opacity-50"
             >
               <%= if @loading, do: "Running...", else: "Run Dry Run" %>
@@ -355,29 +533,392 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
           </div>
         </form>
 
+        <form :if={can?(@current_role, :save_dry_run_case)} id="dry-run-save-form" phx-submit="save_dry_run_case" class="mt-3 flex items-center gap-2 text-sm">
+          <input type="hidden" name="payload" value={@dry_run_payload} />
+          <input name="name" placeholder="payload name, e.g. pii_email" class="border rounded px-2 py-1 font-mono text-xs" />
+          <button type="submit" class="bg-gray-200 px-3 py-1 rounded hover:bg-gray-300">Save payload</button>
+        </form>
+
         <%= if @dry_run_result do %>
-          <div class="mt-4 p-4 bg-gray-50 rounded">
+          <div data-testid="dry-run-result" class="mt-4 p-4 bg-gray-50 rounded">
             <h4 class="font-medium mb-2">Dry Run Result</h4>
-            <pre class="text-xs overflow-auto max-h-96"><%= Jason.encode!(@dry_run_result, pretty: true) %></pre>
+            <.dry_run_trace result={@dry_run_result} />
+            <details :if={@dry_run_input && @dry_run_result["final_payload"]} class="mt-3" data-testid="dry-run-payload-diff" phx-mounted={JS.ignore_attributes(["open"])}>
+              <summary class="cursor-pointer text-xs text-gray-600">Payload changes</summary>
+              <.code_preview
+                class="mt-2"
+                mode="diff"
+                compare={@dry_run_input}
+                code={Jason.encode!(@dry_run_result["final_payload"])}
+                left_label="Payload"
+                right_label="Final payload"
+              />
+            </details>
+            <details class="mt-3" phx-mounted={JS.ignore_attributes(["open"])}>
+              <summary class="cursor-pointer text-xs text-gray-600">Raw result</summary>
+              <.code_preview
+                id="dry-run-raw-result"
+                class="mt-2"
+                mode="tree"
+                code={Jason.encode!(@dry_run_result)}
+                max_height={384}
+              />
+            </details>
           </div>
         <% end %>
+
+        <.dry_run_suite
+          cases={@dry_run_cases}
+          results={@suite_results}
+          can_save={can?(@current_role, :save_dry_run_case)}
+          can_delete={can?(@current_role, :delete_dry_run_case)}
+        />
       </div>
     </div>
     """
   end
 
+  attr :result, :map, required: true
+
+  defp dry_run_trace(assigns) do
+    assigns = assign(assigns, steps: DryRunTrace.steps(assigns.result))
+
+    ~H"""
+    <p data-testid="dry-run-summary" class="mb-2 text-xs text-gray-600">
+      <%= length(@steps) %> steps, <%= DryRunTrace.total_latency(@steps) %> ms total<%= if @result["blocked_by"], do: " — blocked by #{@result["blocked_by"]}" %>
+    </p>
+    <ol id="dry-run-trace" data-testid="dry-run-trace" class="space-y-2">
+      <%= for {step, index} <- Enum.with_index(@steps) do %>
+        <li
+          id={"trace-step-#{index}"}
+          data-testid="dry-run-step"
+          data-ext-id={step.extension_id}
+          data-status={step.status}
+          class={[
+            "border-l-4 bg-white p-2 rounded text-xs",
+            if(step.status == "rejected", do: "border-red-500", else: "border-green-500")
+          ]}
+        >
+          <div class="flex items-center gap-2">
+            <span class="uppercase text-gray-500"><%= step.type %></span>
+            <span class="font-mono font-medium"><%= step.extension_id %></span>
+            <span class={["px-1 rounded", if(step.status == "rejected", do: "bg-red-100 text-red-700", else: "bg-green-100 text-green-700")]}>
+              <%= step.status %>
+            </span>
+            <span :if={step.latency_ms} class="text-gray-500"><%= step.latency_ms %> ms</span>
+          </div>
+          <p :if={step.short_circuit} class="mt-1 text-red-700">
+            Short-circuited: later stages were skipped<%= if step.reason, do: " (#{step.reason})" %>
+          </p>
+          <details :if={step.input != nil} class="mt-1">
+            <summary class="cursor-pointer text-gray-600">Input</summary>
+            <pre class="overflow-auto max-h-48"><%= Jason.encode!(step.input, pretty: true) %></pre>
+          </details>
+          <p :if={step.changes == []} class="mt-1 text-gray-500">No changes</p>
+          <ul :if={step.changes not in [nil, []]} class="mt-1 font-mono">
+            <li :for={change <- step.changes}>
+              <%= JsonDiff.format_path(change.path) %>: <%= format_change(change) %>
+            </li>
+          </ul>
+        </li>
+      <% end %>
+    </ol>
+    """
+  end
+
+  attr :cases, :list, required: true
+  attr :results, :map, required: true
+  attr :can_save, :boolean, default: true
+  attr :can_delete, :boolean, default: true
+
+  defp dry_run_suite(assigns) do
+    ~H"""
+    <div id="dry-run-suite" class="mt-6">
+      <div class="mb-2 flex items-center justify-between">
+        <h4 class="font-medium">Saved payloads</h4>
+        <div :if={@cases != []} class="flex items-center gap-3 text-sm">
+          <span :if={@results != %{}} id="dry-run-suite-summary" class="text-gray-600"><%= suite_summary(@results) %></span>
+          <button phx-click="run_dry_run_suite" class="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Run all</button>
+        </div>
+      </div>
+      <%= if @cases == [] do %>
+        <p class="text-sm text-gray-500">No saved payloads yet. Save one above to re-run it after policy changes.</p>
+      <% else %>
+        <table class="w-full text-left text-sm">
+          <tbody>
+            <%= for dry_run_case <- @cases do %>
+              <tr id={"dry-run-case-#{dry_run_case["name"]}"} class="border-t">
+                <td class="py-1 font-mono"><%= dry_run_case["name"] %></td>
+                <td class="py-1"><.suite_badge result={@results[dry_run_case["name"]]} /></td>
+                <td class="py-1 text-right space-x-2">
+                  <button phx-click="load_dry_run_case" phx-value-name={dry_run_case["name"]} class="text-blue-600 hover:underline">Load</button>
+                  <button phx-click="run_dry_run_case" phx-value-name={dry_run_case["name"]} class="text-blue-600 hover:underline">Run</button>
+                  <button
+                    :if={@can_save and match?(%{status: {:fail, _}}, @results[dry_run_case["name"]])}
+                    phx-click="accept_dry_run_result"
+                    phx-value-name={dry_run_case["name"]}
+                    class="text-amber-700 hover:underline"
+                  >
+                    Accept result
+                  </button>
+                  <button
+                    :if={@can_delete}
+                    phx-click="delete_dry_run_case"
+                    phx-value-name={dry_run_case["name"]}
+                    data-confirm={"Delete saved payload #{dry_run_case["name"]}?"}
+                    class="text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            <% end %>
+          </tbody>
+        </table>
+      <% end %>
+    </div>
+    """
+  end
+
+  attr :result, :map, default: nil
+
+  defp suite_badge(%{result: nil} = assigns), do: ~H|<span class="text-xs text-gray-500">not run</span>|
+
+  defp suite_badge(%{result: %{status: :pass}} = assigns) do
+    ~H|<span data-result="pass" class="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">pass</span>|
+  end
+
+  defp suite_badge(%{result: %{status: :no_baseline}} = assigns) do
+    ~H|<span data-result="no_baseline" class="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">no baseline</span>|
+  end
+
+  defp suite_badge(%{result: %{status: {:fail, keys}}} = assigns) do
+    assigns = assign(assigns, keys: keys)
+
+    ~H"""
+    <span data-result="fail" class="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">fail</span>
+    <span class="text-xs text-gray-600">changed: <%= Enum.join(@keys, ", ") %></span>
+    """
+  end
+
+  defp suite_badge(%{result: %{status: {:error, message}}} = assigns) do
+    assigns = assign(assigns, message: message)
+    ~H|<span data-result="unavailable" class="text-xs text-red-700" title={@message}>could not run</span>|
+  end
+
+  defp suite_summary(results) do
+    statuses = Enum.map(Map.values(results), & &1.status)
+    passed = Enum.count(statuses, &(&1 == :pass))
+    failed = Enum.count(statuses, &match?({:fail, _}, &1))
+    "#{passed} passed, #{failed} failed"
+  end
+
+  defp format_change(%{op: :added, new: new}), do: "added " <> Jason.encode!(new)
+  defp format_change(%{op: :removed, old: old}), do: "removed " <> Jason.encode!(old)
+  defp format_change(%{op: :changed, old: old, new: new}), do: Jason.encode!(old) <> " → " <> Jason.encode!(new)
+
+  attr :graph, :map, required: true
+  attr :selected, :string, default: nil
+  attr :title, :string, required: true
+
+  defp pipeline_graph(assigns) do
+    ~H"""
+    <svg
+      id="pipeline-graph"
+      data-testid="pipeline-graph"
+      viewBox={"0 0 #{@graph.width} #{@graph.height}"}
+      width={@graph.width}
+      height={@graph.height}
+      role="group"
+      aria-labelledby="pipeline-graph-title"
+      class="font-sans"
+    >
+      <title id="pipeline-graph-title"><%= @title %></title>
+      <defs>
+        <marker id="pipeline-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" class="fill-gray-400" />
+        </marker>
+      </defs>
+
+      <%= for lane <- @graph.lanes do %>
+        <g data-lane={lane.stage}>
+          <line x1={lane.x} y1="30" x2={lane.x + lane.width} y2="30" class="stroke-gray-200" stroke-width="2" />
+          <text x={lane.x} y="22" class="fill-gray-500 text-[11px] uppercase tracking-wide"><%= lane.label %></text>
+        </g>
+      <% end %>
+
+      <%= for edge <- @graph.edges do %>
+        <line
+          data-edge={"#{edge.from}->#{edge.to}"}
+          x1={edge.x1}
+          y1={edge.y1}
+          x2={edge.x2 - 2}
+          y2={edge.y2}
+          class="stroke-gray-400"
+          stroke-width="2"
+          marker-end="url(#pipeline-arrow)"
+        />
+      <% end %>
+
+      <%= for node <- @graph.nodes do %>
+        <g
+          id={"pipeline-node-#{node.id}"}
+          data-testid={"pipeline-node-#{node.ext_id || node.id}"}
+          data-ext-id={node.ext_id}
+          data-tone={node.tone}
+          data-circuit={node.circuit}
+          transform={"translate(#{node.x}, #{node.y})"}
+          {node_attrs(node)}
+        >
+          <title><%= node_title(node) %></title>
+          <%= if node.ext_id && node.ext_id == @selected do %>
+            <rect x="-4" y="-4" width={@graph.node_width + 8} height={@graph.node_height + 8} rx="10" class="fill-none stroke-blue-500" stroke-width="2" />
+          <% end %>
+          <rect
+            width={@graph.node_width}
+            height={@graph.node_height}
+            rx="8"
+            class={tone_class(node.tone)}
+            stroke-width={if node.tone == :open, do: "3", else: "2"}
+            stroke-dasharray={if node.tone == :half_open, do: "6 3"}
+          />
+          <text x="10" y="22" class="fill-gray-900 text-xs font-medium"><%= truncate_label(node.label) %></text>
+          <text x="10" y="40" class="fill-gray-500 text-[10px]"><%= node_caption(node) %></text>
+        </g>
+      <% end %>
+    </svg>
+    """
+  end
+
+  defp graph_legend(assigns) do
+    ~H"""
+    <ul class="mt-2 flex flex-wrap gap-3 text-xs text-gray-600" aria-label="Graph legend">
+      <%= for {tone, label} <- [healthy: "healthy", degraded: "degraded", unhealthy: "unhealthy", half_open: "circuit half-open", open: "circuit open", unknown: "unknown"] do %>
+        <li class="flex items-center gap-1">
+          <svg width="14" height="14" aria-hidden="true">
+            <rect x="1" y="1" width="12" height="12" rx="3" class={tone_class(tone)} stroke-width="2" stroke-dasharray={if tone == :half_open, do: "3 2"} />
+          </svg>
+          <%= label %>
+        </li>
+      <% end %>
+    </ul>
+    """
+  end
+
+  attr :node, :map, required: true
+  attr :health, :map, default: nil
+  attr :circuit, :any, default: nil
+  attr :circuit_state, :string, default: "unknown"
+  attr :tenant_id, :string, required: true
+
+  defp node_detail(assigns) do
+    ~H"""
+    <aside id="pipeline-node-detail" data-testid="pipeline-node-detail" class="w-80 shrink-0 rounded border p-3 text-sm" aria-labelledby="pipeline-node-detail-title">
+      <div class="mb-2 flex items-center justify-between">
+        <h4 id="pipeline-node-detail-title" class="font-mono font-semibold"><%= @node.id %></h4>
+        <button type="button" phx-click="close_node_detail" class="text-gray-500 hover:text-gray-800" aria-label="Close extension detail">✕</button>
+      </div>
+
+      <%= if @node.extension do %>
+        <dl class="mb-3 grid grid-cols-3 gap-x-2 gap-y-1">
+          <dt class="text-gray-500">Type</dt>
+          <dd class="col-span-2"><%= @node.extension["type"] %></dd>
+          <dt class="text-gray-500">Version</dt>
+          <dd class="col-span-2"><%= @node.extension["version"] || "N/A" %></dd>
+          <dt class="text-gray-500">Subject</dt>
+          <dd class="col-span-2 break-all font-mono text-xs"><%= @node.extension["nats_subject"] || @node.extension["subject"] %></dd>
+        </dl>
+        <.link navigate={~p"/app/#{@tenant_id}/extensions/#{@node.id}/edit"} class="text-blue-600 hover:underline">Open extension</.link>
+      <% else %>
+        <p class="mb-3 text-gray-500">Not found in the extensions registry.</p>
+      <% end %>
+
+      <div class="mt-3 flex flex-wrap gap-2">
+        <%= render_health_badge(%{health: @health || %{}}) %>
+        <%= render_circuit_badge(%{state: @circuit_state}) %>
+      </div>
+      <%= if is_map(@health) && @health["p95_latency_ms"] do %>
+        <p class="mt-2 text-xs text-gray-600">
+          p50 <%= @health["p50_latency_ms"] %>ms · p95 <%= @health["p95_latency_ms"] %>ms
+        </p>
+      <% end %>
+      <%= if is_map(@circuit) && @circuit["failure_count"] do %>
+        <p class="mt-1 text-xs text-gray-600">Failures: <%= @circuit["failure_count"] %></p>
+      <% end %>
+
+      <h5 class="mt-4 mb-1 font-medium">Recent failures</h5>
+      <%= cond do %>
+        <% @node.errors_unavailable -> %>
+          <p class="text-xs text-red-700">Could not load failures. <%= @node.errors_unavailable %></p>
+        <% @node.errors == [] -> %>
+          <p class="text-xs text-gray-500">No recent failures.</p>
+        <% true -> %>
+          <ul id="pipeline-node-failures" class="space-y-2">
+            <%= for failure <- @node.errors do %>
+              <li class="rounded bg-red-50 p-2 text-xs">
+                <div class="flex justify-between text-gray-600">
+                  <span class="font-mono"><%= failure["code"] %></span>
+                  <span><%= failure["timestamp"] %></span>
+                </div>
+                <p class="text-red-800"><%= failure["message"] %></p>
+              </li>
+            <% end %>
+          </ul>
+      <% end %>
+    </aside>
+    """
+  end
+
+  # The provider node summarizes rule targets and has no extension detail to open
+  defp node_attrs(%{ext_id: nil}), do: []
+
+  defp node_attrs(node) do
+    [
+      "phx-click": "select_node",
+      "phx-value-id": node.ext_id,
+      "phx-keyup": "select_node",
+      "phx-key": "Enter",
+      role: "button",
+      tabindex: "0",
+      "aria-label": node_title(node),
+      class: "cursor-pointer focus:outline-none"
+    ]
+  end
+
+  defp node_title(%{ext_id: nil, label: label}), do: "Provider: #{label}"
+  defp node_title(node), do: "#{node.ext_id} (#{node.stage}) — health: #{node.health || "unknown"}, circuit: #{node.circuit}"
+
+  defp node_caption(%{stage: "provider"}), do: "provider call"
+  defp node_caption(node) do
+    circuit = if node.circuit != "unknown", do: "circuit #{node.circuit}"
+
+    [node.mode, circuit]
+    |> Enum.reject(&is_nil/1)
+    |> Enum.join(" · ")
+  end
+
+  defp truncate_label(label) when byte_size(label) > 18, do: String.slice(label, 0, 17) <> "…"
+  defp truncate_label(label), do: label
+
+  defp tone_class(:healthy), do: "fill-green-50 stroke-green-500"
+  defp tone_class(:degraded), do: "fill-yellow-50 stroke-yellow-500"
+  defp tone_class(:unhealthy), do: "fill-red-50 stroke-red-500"
+  defp tone_class(:half_open), do: "fill-amber-50 stroke-amber-500"
+  defp tone_class(:open), do: "fill-red-100 stroke-red-600"
+  defp tone_class(:unknown), do: "fill-gray-50 stroke-gray-400"
+
   defp render_extension_item(assigns, ext, type) do
     ext_id = ext["id"] || ext[:id] || "unknown"
     mode = ext["mode"] || ext[:mode] || "optional"
     on_fail = ext["on_fail"] || ext[:on_fail]
 
     health = Map.get(assigns.extension_health, ext_id, %{})
-    circuit_state = Map.get(assigns.extension_circuit_states, ext_id, "unknown")
+    circuit_state = PipelineGraph.circuit_state(assigns.extension_circuit_states, ext_id)
 
     assigns = assign(assigns, ext_id: ext_id, mode: mode, on_fail: on_fail, type: type, health: health, circuit_state: circuit_state)
 
     ~H"""
-    <div class="flex items-center gap-2 p-2 bg-gray-50 rounded">
+    <div data-testid={"pipeline-step-#{@ext_id}"} class="flex items-center gap-2 p-2 bg-gray-50 rounded">
       <span class="font-mono text-xs"><%= @ext_id %></span>
       <span class="text-xs text-gray-500">(<%= @type %>)</span>
       <%= if @mode do %>
@@ -412,7 +953,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
     assigns = assign(assigns, status: status, success_rate: success_rate, status_class: status_class)
 
     ~H"""
-    <span class={"text-xs px-1 py-0.5 rounded #{@status_class}"}>
+    <span data-testid="health-badge" data-status={@status} class={"text-xs px-1 py-0.5 rounded #{@status_class}"}>
       <%= @status %>
       <%= if @success_rate do %>
         (<%= :erlang.float_to_binary(@success_rate * 100, decimals: 1) %>%)
@@ -424,7 +965,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
   defp render_health_badge(assigns), do: ~H|<span class="text-xs text-gray-500">N/A</span>|
 
   defp render_circuit_state(assigns, ext_id) do
-    circuit_state = Map.get(assigns.extension_circuit_states, ext_id, "unknown")
+    circuit_state = PipelineGraph.circuit_state(assigns.extension_circuit_states, ext_id)
     render_circuit_badge(%{state: circuit_state})
   end
 
@@ -440,7 +981,7 @@ defmodule UiWebWeb.ExtensionsPipelineLive do
     assigns = assign(assigns, :state_class, state_class)
 
     ~H"""
-    <span class={"text-xs px-1 py-0.5 rounded #{@state_class}"}><%= @state %></span>
+    <span data-testid="circuit-badge" data-state={@state} class={"text-xs px-1 py-0.5 rounded #{@state_class}"}><%= @state %></span>
     """
   end
 
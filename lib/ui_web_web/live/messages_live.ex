@@ -8,7 +8,8 @@ defmodule UiWebWeb.MessagesLive do
 
   def mount(_params, _session, socket) do
     gw = Application.get_env(:ui_web, :gateway, []) |> Keyword.get(:url, "http://localhost:8081")
-    tenant = "tenant_dev"
+    # Set from the URL by UiWebWeb.Live.TenantHook
+    tenant = socket.assigns.tenant_id
     sse = gw <> "/api/v1/messages/stream?tenant_id=" <> tenant
 
     socket =
@@ -35,26 +36,30 @@ defmodule UiWebWeb.MessagesLive do
 
   # All handle_event/3 clauses grouped together
   def handle_event("update_msg", params, socket) do
-    %{"payload" => payload} = params
-
-    case socket.assigns.selected do
-      %{} = sel ->
-        id = sel["message_id"] || sel[:message_id]
-        body = Map.merge(sel, %{"payload" => payload})
-
-        case GatewayClient.put_json("/api/v1/messages/" <> to_string(id), body) do
-          {:ok, updated} ->
-            # optimistic refresh
-            send(self(), :poll)
-            {:noreply, assign(socket, selected: updated, edit_payload: payload, error: nil)}
-
-          {:error, reason} ->
-            msg = GatewayErrorHelper.format_gateway_error(reason)
-            {:noreply, assign(socket, error: "Update failed. " <> msg)}
-        end
-
-      _ ->
-        {:noreply, socket}
+    with {:ok, socket} <- authorize(socket, :save_message) do
+      %{"payload" => payload} = params
+
+      case socket.assigns.selected do
+        %{} = sel ->
+          id = sel["message_id"] || sel[:message_id]
+          body = Map.merge(sel, %{"payload" => payload})
+
+          case GatewayClient.put_json("/api/v1/messages/" <> to_string(id), body) do
+            {:ok, updated} ->
+              # optimistic refresh
+              send(self(), :poll)
+              {:noreply, assign(socket, selected: updated, edit_payload: payload, error: nil)}
+
+            {:error, reason} ->
+              msg = GatewayErrorHelper.format_gateway_error(reason)
+              {:noreply, assign(socket, error: "Update failed. " <> msg)}
+          end
+
+        _ ->
+          {:noreply, socket}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
@@ -71,35 +76,43 @@ defmodule UiWebWeb.MessagesLive do
   end
 
   def handle_event("delete_msg", %{"id" => id}, socket) do
-    case GatewayClient.delete("/api/v1/messages/" <> id) do
-      {:ok, _} ->
-        send(self(), :poll)
-        {:noreply, assign(socket, selected: nil, error: nil)}
-
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, assign(socket, error: "Delete failed. " <> msg)}
+    with {:ok, socket} <- authorize(socket, :delete_message) do
+      case GatewayClient.delete("/api/v1/messages/" <> id) do
+        {:ok, _} ->
+          send(self(), :poll)
+          {:noreply, assign(socket, selected: nil, error: nil)}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, error: "Delete failed. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
   def handle_event("submit", params, socket) do
-    form = Map.get(params, "form", %{})
-
-    body = %{
-      "tenant_id" => form["tenant_id"],
-      "message_type" => form["message_type"],
-      "payload" => form["payload"],
-      "trace_id" => form["trace_id"]
-    }
-
-    case GatewayClient.post_json("/api/v1/messages", body) do
-      {:ok, _ack} ->
-        send(self(), :poll)
-        {:noreply, assign(socket, error: nil)}
-
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, assign(socket, error: "Failed to create message. " <> msg)}
+    with {:ok, socket} <- authorize(socket, :save_message) do
+      form = Map.get(params, "form", %{})
+
+      body = %{
+        "tenant_id" => form["tenant_id"],
+        "message_type" => form["message_type"],
+        "payload" => form["payload"],
+        "trace_id" => form["trace_id"]
+      }
+
+      case GatewayClient.post_json("/api/v1/messages", body) do
+        {:ok, _ack} ->
+          send(self(), :poll)
+          {:noreply, assign(socket, error: nil)}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, error: "Failed to create message. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
@@ -183,7 +196,7 @@ defmodule UiWebWeb.MessagesLive do
             <label class="block text-sm text-gray-600 mb-1">Trace ID</label>
             <input name="form[trace_id]" value={@form.trace_id} class="w-full border rounded px-2 py-1" />
           </div>
-          <button type="submit" class="mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Send</button>
+          <button type="submit" disabled={!can?(@current_role, :save_message)} class="mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-300">Send</button>
         </form>
       </div>
 
@@ -210,7 +223,7 @@ defmodule UiWebWeb.MessagesLive do
                 <td class="py-2 pr-4">
                   <% id = m["message_id"] || m[:message_id] %>
                   <button phx-click="view" phx-value-id={id} class="text-blue-600 hover:underline mr-2">view</button>
-                  <button phx-click="delete_msg" phx-value-id={id} class="text-red-600 hover:underline">delete</button>
+                  <button :if={can?(@current_role, :delete_message)} phx-click="delete_msg" phx-value-id={id} class="text-red-600 hover:underline">delete</button>
                 </td>
               </tr>
             <% end %>
@@ -226,7 +239,7 @@ defmodule UiWebWeb.MessagesLive do
             <h4 class="font-semibold mb-1">Edit Payload</h4>
             <form phx-submit="update_msg" class="space-y-2">
               <textarea name="payload" class="w-full border rounded px-2 py-1 h-40 font-mono"><%= @edit_payload || "" %></textarea>
-              <button type="submit" class="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Save</button>
+              <button type="submit" disabled={!can?(@current_role, :save_message)} class="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-300">Save</button>
             </form>
           </div>
         <% end %>
@@ -1,13 +1,26 @@
 defmodule UiWebWeb.MessagesLive.Form do
   @moduledoc """
   LiveView for creating and editing messages.
+
+  - Drafts: the `MessageDraft` hook autosaves the form to localStorage under
+    `@draft_key` (tenant and route) and sends it back as `"restore_draft"` after a
+    reload or reconnect. A successful save clears it (`"clear_draft"`).
+  - Templates: named forms with `{{variable}}` placeholders, saved per tenant (see
+    `UiWeb.Messages.MessageTemplate`). Picking one asks for its variables and shows
+    the filled-in message with `MessageForm` errors; it can only be applied once the
+    message would be valid.
   """
   use UiWebWeb, :live_view
 
+  on_mount {UiWebWeb.Live.AuthorizationHook, {:require, :save_message}}
+
   import Ecto.Changeset, only: [get_field: 2, get_field: 3, traverse_errors: 2]
 
+  alias UiWeb.Messages.MessageTemplate
   alias UiWeb.Schemas.MessageForm
   alias UiWeb.Services.MessagesClient
+  alias UiWeb.Services.MessageTemplatesClient
+  alias UiWeb.Telemetry.LiveViewHelpers
   alias UiWebWeb.GatewayErrorHelper
 
   @impl true
@@ -17,13 +30,24 @@ defmodule UiWebWeb.MessagesLive.Form do
      |> assign(:page_title, "New Message")
      |> assign(:mode, :new)
      |> assign(:message_id, nil)
-     |> assign(:changeset, MessageForm.changeset(%MessageForm{}, %{}))}
+     |> assign(:initial_form, %MessageForm{})
+     |> assign(:params, %{})
+     |> assign(:changeset, MessageForm.changeset(%MessageForm{}, %{}))
+     |> assign(:draft_key, nil)
+     |> assign(:draft_restored, false)
+     |> assign(:template, nil)
+     |> assign(:template_values, %{})
+     |> assign(:template_preview, nil)
+     |> assign(:template_error, nil)
+     |> load_templates()}
   end
 
   @impl true
-  def handle_params(%{"id" => id}, _url, socket) do
+  def handle_params(%{"id" => id}, url, socket) do
+    socket = assign_draft_key(socket, url)
+
     # Edit mode
-    case MessagesClient.get_message(id) do
+    case MessagesClient.get_message(id, LiveViewHelpers.client_opts(socket)) do
       {:ok, message} ->
         form = MessageForm.from_api(message)
 
@@ -32,6 +56,7 @@ defmodule UiWebWeb.MessagesLive.Form do
          |> assign(:mode, :edit)
          |> assign(:message_id, id)
          |> assign(:page_title, "Edit Message #{id}")
+         |> assign(:initial_form, form)
          |> assign(:changeset, MessageForm.changeset(form, %{}))}
 
       {:error, reason} ->
@@ -44,22 +69,129 @@ defmodule UiWebWeb.MessagesLive.Form do
     end
   end
 
-  def handle_params(_params, _url, socket) do
-    {:noreply, socket}
+  def handle_params(_params, url, socket) do
+    {:noreply, assign_draft_key(socket, url)}
   end
 
   @impl true
   def handle_event("validate", %{"message" => params}, socket) do
-    changeset =
-      %MessageForm{}
-      |> MessageForm.changeset(params)
-      |> Map.put(:action, :validate)
+    {:noreply, put_params(socket, params)}
+  end
+
+  # Sent by the MessageDraft hook with the form as a query string
+  def handle_event("restore_draft", %{"query" => query}, socket) when is_binary(query) do
+    case Plug.Conn.Query.decode(query) do
+      %{"message" => params} when is_map(params) ->
+        {:noreply, socket |> put_params(params) |> assign(:draft_restored, true)}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("discard_draft", _params, socket) do
+    {:noreply,
+     socket
+     |> assign(:params, %{})
+     |> assign(:changeset, MessageForm.changeset(socket.assigns.initial_form, %{}))
+     |> assign(:draft_restored, false)
+     |> push_event("clear_draft", %{})}
+  end
+
+  def handle_event("select_template", %{"id" => id}, socket) do
+    case Enum.find(socket.assigns.templates, &(&1["id"] == id)) do
+      nil ->
+        {:noreply, put_flash(socket, :error, "Template not found")}
+
+      template ->
+        values = Map.new(MessageTemplate.variables(template), &{&1, ""})
+
+        {:noreply,
+         socket
+         |> assign(:template, template)
+         |> assign(:template_values, values)
+         |> assign(:template_preview, MessageTemplate.preview(template, values))}
+    end
+  end
+
+  def handle_event("fill_template", params, %{assigns: %{template: template}} = socket) when not is_nil(template) do
+    values = Map.merge(socket.assigns.template_values, Map.get(params, "vars", %{}))
+
+    {:noreply,
+     socket
+     |> assign(:template_values, values)
+     |> assign(:template_preview, MessageTemplate.preview(template, values))}
+  end
+
+  def handle_event("apply_template", params, %{assigns: %{template: template}} = socket) when not is_nil(template) do
+    values = Map.merge(socket.assigns.template_values, Map.get(params, "vars", %{}))
+    preview = MessageTemplate.preview(template, values)
+
+    if MessageTemplate.ready?(preview) do
+      {:noreply,
+       socket
+       |> assign(:params, preview.params)
+       |> assign(:changeset, preview.changeset)
+       |> close_template()
+       |> put_flash(:info, "Template \"#{template["name"]}\" applied")}
+    else
+      {:noreply, socket |> assign(:template_values, values) |> assign(:template_preview, preview)}
+    end
+  end
+
+  # The template was closed or deleted meanwhile
+  def handle_event(event, _params, socket) when event in ["fill_template", "apply_template"] do
+    {:noreply, socket}
+  end
 
-    {:noreply, assign(socket, :changeset, changeset)}
+  def handle_event("close_template", _params, socket) do
+    {:noreply, close_template(socket)}
+  end
+
+  def handle_event("save_template", %{"template" => params}, socket) do
+    with {:ok, socket} <- authorize(socket, :save_message_template),
+         {:ok, template} <- MessageTemplate.validate(params, socket.assigns.params),
+         {:ok, _saved} <-
+           MessageTemplatesClient.save_template(
+             socket.assigns.tenant_id,
+             new_template_id(),
+             template,
+             LiveViewHelpers.client_opts(socket)
+           ) do
+      {:noreply,
+       socket
+       |> assign(:template_error, nil)
+       |> load_templates()
+       |> put_flash(:info, "Template \"#{template["name"]}\" saved")}
+    else
+      {:error, %Phoenix.LiveView.Socket{} = socket} ->
+        {:noreply, socket}
+
+      {:error, message} when is_binary(message) ->
+        {:noreply, assign(socket, :template_error, message)}
+
+      {:error, reason} ->
+        {:noreply, assign(socket, :template_error, "Failed to save template. " <> GatewayErrorHelper.format_gateway_error(reason))}
+    end
+  end
+
+  def handle_event("delete_template", %{"id" => id}, socket) do
+    with {:ok, socket} <- authorize(socket, :delete_message_template),
+         {:ok, _} <- MessageTemplatesClient.delete_template(socket.assigns.tenant_id, id, LiveViewHelpers.client_opts(socket)) do
+      socket = if socket.assigns.template && socket.assigns.template["id"] == id, do: close_template(socket), else: socket
+      {:noreply, socket |> load_templates() |> put_flash(:info, "Template deleted")}
+    else
+      {:error, %Phoenix.LiveView.Socket{} = socket} ->
+        {:noreply, socket}
+
+      {:error, reason} ->
+        {:noreply, put_flash(socket, :error, "Failed to delete template. " <> GatewayErrorHelper.format_gateway_error(reason))}
+    end
   end
 
   @impl true
   def handle_event("save", %{"message" => params}, socket) do
+    socket = assign(socket, :params, params)
     changeset = MessageForm.changeset(%MessageForm{}, params)
 
     if changeset.valid? do
@@ -68,8 +200,8 @@ defmodule UiWebWeb.MessagesLive.Form do
 
       result =
         case socket.assigns.mode do
-          :new -> MessagesClient.create_message(payload)
-          :edit -> MessagesClient.update_message(socket.assigns.message_id, payload)
+          :new -> MessagesClient.create_message(payload, LiveViewHelpers.client_opts(socket))
+          :edit -> MessagesClient.update_message(socket.assigns.message_id, payload, LiveViewHelpers.client_opts(socket))
         end
 
       case result do
@@ -85,6 +217,7 @@ defmodule UiWebWeb.MessagesLive.Form do
           {:noreply,
            socket
            |> put_flash(:info, msg_text)
+           |> push_event("clear_draft", %{})
            |> push_navigate(to: ~p"/app/#{socket.assigns.tenant_id}/messages/#{message_id}")}
 
         {:error, reason} ->
@@ -99,4 +232,57 @@ defmodule UiWebWeb.MessagesLive.Form do
       {:noreply, assign(socket, :changeset, %{changeset | action: :insert})}
     end
   end
+
+  defp put_params(socket, params) do
+    changeset =
+      %MessageForm{}
+      |> MessageForm.changeset(params)
+      |> Map.put(:action, :validate)
+
+    socket
+    |> assign(:params, params)
+    |> assign(:changeset, changeset)
+  end
+
+  # One draft per tenant and route, so new and edit forms keep separate drafts
+  defp assign_draft_key(socket, url) do
+    assign(socket, :draft_key, "message-draft:#{socket.assigns.tenant_id}:#{URI.parse(url).path}")
+  end
+
+  defp load_templates(socket) do
+    templates =
+      if connected?(socket) do
+        case MessageTemplatesClient.list_templates(socket.assigns.tenant_id, LiveViewHelpers.client_opts(socket)) do
+          {:ok, templates} -> templates
+          {:error, _reason} -> []
+        end
+      else
+        []
+      end
+
+    assign(socket, :templates, templates)
+  end
+
+  defp close_template(socket) do
+    socket
+    |> assign(:template, nil)
+    |> assign(:template_values, %{})
+    |> assign(:template_preview, nil)
+  end
+
+  defp new_template_id, do: "tpl_" <> Base.encode16(:crypto.strong_rand_bytes(4), case: :lower)
+
+  # "Fill in {{name}}" for missing variables, then the MessageForm errors
+  defp template_errors(%{missing: missing, changeset: changeset}) do
+    field_errors =
+      changeset
+      |> traverse_errors(fn {message, opts} ->
+        Enum.reduce(opts, message, fn {key, value}, acc -> String.replace(acc, "%{#{key}}", fn _ -> to_string(value) end) end)
+      end)
+      |> Enum.flat_map(fn {field, messages} -> Enum.map(messages, &"#{field_label(field)} #{&1}") end)
+
+    Enum.map(missing, &"Fill in {{#{&1}}}") ++ field_errors
+  end
+
+  defp field_label(field), do: field |> to_string() |> String.replace("_", " ") |> String.capitalize()
 end
@@ -89,18 +89,29 @@ defmodule UiWebWeb.MessagesLive.FormComponent do
 
   def render(assigns) do
     ~H"""
-    <div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+    <div
+      id={"#{@id}-dialog"}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby={"#{@id}-title"}
+      phx-hook="Dialog"
+      data-cancel="cancel"
+      data-cancel-target={"##{@id}-dialog"}
+      class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+    >
       <div class="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
         <div class="flex justify-between items-center mb-4">
-          <h3 class="text-lg font-bold">
+          <h3 id={"#{@id}-title"} class="text-lg font-bold">
             <%= if @message, do: "Edit Message", else: "Create New Message" %>
           </h3>
           <button
+            type="button"
             phx-click="cancel"
             phx-target={@myself}
+            aria-label="Close"
             class="text-gray-400 hover:text-gray-600"
           >
-            <svg class="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <svg class="h-6 w-6" aria-hidden="true" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
             </svg>
           </button>
@@ -1,34 +1,72 @@
 defmodule UiWebWeb.MessagesLive.Index do
   use UiWebWeb, :live_view
 
+  alias UiWeb.Messages.BulkAction
+  alias UiWeb.Messages.BulkJob
+  alias UiWeb.Messages.Query
+  alias UiWeb.Messages.SavedView
   alias UiWeb.Services.MessagesClient
+  alias UiWeb.Services.SavedViewsClient
   alias UiWebWeb.GatewayErrorHelper
+  alias UiWebWeb.MessageExportController
   alias UiWeb.Messages.PaginationLogic
   alias UiWeb.Telemetry.LiveViewHelpers
+  alias UiWeb.Realtime.EventSubscriber
+  alias UiWeb.SSEBridge
+  alias UiWebWeb.Live.SavedViewsHook
 
   require Calendar
 
+  # Fallback polling interval while the browser SSE stream is down
+  @poll_ms 10_000
+
+  # Cursor pages kept in the DOM in infinite scroll mode; rows further away are pruned
+  # and fetched again with their cursor when scrolled back to
+  @window_chunks 2
+
   @impl true
   def mount(_params, _session, socket) do
+    # Set from the URL by UiWebWeb.Live.TenantHook
+    tenant_id = socket.assigns.tenant_id
+
+    sse_url = sse_url(tenant_id)
+
     if connected?(socket) do
-      Phoenix.PubSub.subscribe(UiWeb.PubSub, "messages:updates")
-      context = LiveViewHelpers.get_context(socket)
-      tenant_id = Map.get(context, :tenant_id) || Application.get_env(:ui_web, :tenant_id, "tenant_dev")
+      Phoenix.PubSub.subscribe(UiWeb.PubSub, EventSubscriber.tenant_topic("messages:updates", tenant_id))
       UiWebWeb.Endpoint.subscribe("messages:" <> tenant_id)
+      if sse_url, do: SSEBridge.ensure_started(tenant_id)
     end
 
     socket =
       socket
       |> assign(:page_title, "Messages")
+      |> assign(:sse_url, sse_url)
+      |> assign(:sse_state, if(sse_url, do: "connecting", else: "disabled"))
+      |> assign(:poll_ref, nil)
       |> assign(:loading, true)
       |> assign(:messages, [])
+      |> stream_configure(:messages, dom_id: &row_dom_id/1)
+      |> stream(:messages, [])
+      |> assign(:new_message_count, 0)
       |> assign(:selected_ids, MapSet.new())
+      |> assign(:select_matching, false)
+      |> assign(:bulk_job, nil)
+      |> assign(:bulk_error, nil)
       |> assign(:filter_status, "all")
       |> assign(:filter_type, "all")
       |> assign(:search_query, "")
+      |> assign(:query_errors, [])
       |> assign(:sort_by, "created_at")
       |> assign(:sort_order, "desc")
+      |> assign(:filters, SavedView.defaults())
       |> assign(:pagination, %{"total" => 0, "limit" => 50, "offset" => 0, "has_more" => false})
+      |> assign(:scroll_mode, "pages")
+      |> assign(:cursor_chunks, [first_chunk([], nil)])
+      |> put_window(0, 0)
+      |> assign(:paging_paths, %{})
+      # :saved_views is assigned by UiWebWeb.Live.SavedViewsHook
+      |> assign(:default_view_checked, false)
+      |> assign(:view_error, nil)
       |> load_messages()
 
     {:ok, socket}
@@ -36,14 +74,20 @@ defmodule UiWebWeb.MessagesLive.Index do
 
   @impl true
   def handle_params(params, _url, socket) do
-    socket =
-      socket
-      |> assign(:filter_status, Map.get(params, "status", "all"))
-      |> assign(:filter_type, Map.get(params, "type", "all"))
-      |> assign(:search_query, Map.get(params, "search", ""))
-      |> load_messages()
+    case default_view_path(socket, params) do
+      nil ->
+        socket =
+          socket
+          # Until the views are loaded, saved_views_loaded/1 still has to check
+          |> assign(:default_view_checked, socket.assigns.saved_views_loaded or SavedView.filtered?(params))
+          |> apply_paging(params)
+          |> apply_filters(SavedView.from_params(params))
 
-    {:noreply, socket}
+        {:noreply, assign(socket, :paging_paths, %{"pages" => build_path(socket, mode: "pages"), "scroll" => build_path(socket, mode: "scroll")})}
+
+      path ->
+        {:noreply, socket |> assign(:default_view_checked, true) |> push_patch(to: path, replace: true)}
+    end
   end
 
   @impl true
@@ -74,13 +118,55 @@ defmodule UiWebWeb.MessagesLive.Index do
         "desc"
       end
 
-    socket =
-      socket
-      |> assign(:sort_by, field)
-      |> assign(:sort_order, order)
-      |> load_messages()
+    {:noreply, push_patch(socket, to: build_path(socket, sort: field, order: order))}
+  end
 
-    {:noreply, socket}
+  @impl true
+  def handle_event("page_size", %{"limit" => limit}, socket) do
+    {:noreply, push_patch(socket, to: build_path(socket, limit: limit))}
+  end
+
+  # Saved views belong to the current user, so they need no role
+
+  @impl true
+  def handle_event("save_view", %{"view" => params}, socket) do
+    with {:ok, view} <- SavedView.validate(params, view_filters(socket)),
+         :ok <- put_view(socket, new_view_id(), view) do
+      socket =
+        socket
+        |> SavedViewsHook.load()
+        |> assign(:view_error, nil)
+        |> put_flash(:info, "View \"#{view["name"]}\" saved")
+
+      {:noreply, socket}
+    else
+      {:error, message} when is_binary(message) ->
+        {:noreply, assign(socket, :view_error, message)}
+
+      {:error, reason} ->
+        {:noreply, assign(socket, :view_error, "Failed to save view. " <> GatewayErrorHelper.format_gateway_error(reason))}
+    end
+  end
+
+  @impl true
+  def handle_event("toggle_pin", %{"id" => id}, socket) do
+    update_view(socket, id, &Map.put(&1, "pinned", &1["pinned"] != true))
+  end
+
+  @impl true
+  def handle_event("toggle_default", %{"id" => id}, socket) do
+    update_view(socket, id, &Map.put(&1, "default", &1["default"] != true))
+  end
+
+  @impl true
+  def handle_event("delete_view", %{"id" => id}, socket) do
+    case SavedViewsClient.delete_view(socket.assigns.tenant_id, SavedViewsHook.user_id(socket), id, LiveViewHelpers.client_opts(socket)) do
+      {:ok, _} ->
+        {:noreply, socket |> SavedViewsHook.load() |> put_flash(:info, "View deleted")}
+
+      {:error, reason} ->
+        {:noreply, put_flash(socket, :error, "Failed to delete view. " <> GatewayErrorHelper.format_gateway_error(reason))}
+    end
   end
 
   @impl true
@@ -92,7 +178,8 @@ defmodule UiWebWeb.MessagesLive.Index do
         MapSet.put(socket.assigns.selected_ids, id)
       end
 
-    {:noreply, assign(socket, :selected_ids, selected_ids)}
+    rows = Enum.filter(socket.assigns.messages, &(row_id(&1) == id))
+    {:noreply, socket |> assign(selected_ids: selected_ids, select_matching: false) |> refresh_rows(rows)}
   end
 
   @impl true
@@ -102,44 +189,120 @@ defmodule UiWebWeb.MessagesLive.Index do
       |> Enum.map(& &1["id"])
       |> MapSet.new()
 
-    {:noreply, assign(socket, :selected_ids, selected_ids)}
+    {:noreply, socket |> assign(:selected_ids, selected_ids) |> refresh_rows(socket.assigns.messages)}
+  end
+
+  # Extends "select all" from the loaded rows to every message matching the filter
+  @impl true
+  def handle_event("select_matching", _params, socket) do
+    selected_ids =
+      socket.assigns.messages
+      |> Enum.map(& &1["id"])
+      |> MapSet.new()
+
+    {:noreply, socket |> assign(selected_ids: selected_ids, select_matching: true) |> refresh_rows(socket.assigns.messages)}
   end
 
   @impl true
   def handle_event("deselect_all", _params, socket) do
-    {:noreply, assign(socket, :selected_ids, MapSet.new())}
+    {:noreply, socket |> assign(selected_ids: MapSet.new(), select_matching: false) |> refresh_rows(socket.assigns.messages)}
   end
 
+  # Retry, tags and status run as a UiWeb.Messages.BulkJob; its progress arrives as
+  # {:bulk_job, progress} messages
   @impl true
-  def handle_event("bulk_delete", _params, socket) do
-    ids = MapSet.to_list(socket.assigns.selected_ids)
+  def handle_event("bulk_run", params, socket) do
+    with {:ok, socket} <- authorize(socket, :bulk_update_messages),
+         {:ok, action} <- BulkAction.from_params(params) do
+      start_bulk_job(socket, action, bulk_selection(socket))
+    else
+      {:error, message} when is_binary(message) -> {:noreply, assign(socket, :bulk_error, message)}
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
 
-    # Emit LiveView action event
-    LiveViewHelpers.emit_action(socket, "bulk_delete", %{
-      selection_count: length(ids)
-    })
+  @impl true
+  def handle_event("bulk_retry_failed", _params, socket) do
+    with {:ok, socket} <- authorize(socket, :bulk_update_messages) do
+      case socket.assigns.bulk_job do
+        %{action: action, failed: [_ | _] = failed} -> start_bulk_job(socket, action, Enum.map(failed, & &1.id))
+        _ -> {:noreply, socket}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
 
-    if length(ids) > 0 do
-      context = LiveViewHelpers.get_context(socket)
-      case MessagesClient.bulk_delete_messages(ids, context) do
-        {:ok, %{"deleted_count" => count}} ->
-          socket =
-            socket
-            |> put_flash(:info, "Deleted #{count} messages")
-            |> assign(:selected_ids, MapSet.new())
-            |> load_messages()
+  @impl true
+  def handle_event("bulk_cancel", _params, socket) do
+    with %{} = job <- socket.assigns.bulk_job,
+         {:ok, socket} <- authorize(socket, bulk_permission(job.action)) do
+      BulkJob.cancel(job.id)
+      {:noreply, socket}
+    else
+      nil -> {:noreply, socket}
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
 
-          {:noreply, socket}
+  @impl true
+  def handle_event("bulk_dismiss", _params, socket) do
+    if BulkJob.running?(socket.assigns.bulk_job) do
+      {:noreply, socket}
+    else
+      {:noreply, assign(socket, :bulk_job, nil)}
+    end
+  end
 
-        {:error, reason} ->
-          msg = GatewayErrorHelper.format_gateway_error(reason)
-          {:noreply, put_flash(socket, :error, "Bulk delete failed. " <> msg)}
+  # Every matching message can be more than one request can delete; that runs as a job
+  @impl true
+  def handle_event("bulk_delete", _params, %{assigns: %{select_matching: true}} = socket) do
+    with {:ok, socket} <- authorize(socket, :bulk_delete_messages) do
+      start_bulk_job(socket, :delete, bulk_selection(socket))
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("bulk_delete", _params, socket) do
+    with {:ok, socket} <- authorize(socket, :bulk_delete_messages) do
+      ids = MapSet.to_list(socket.assigns.selected_ids)
+
+      # Emit LiveView action event
+      LiveViewHelpers.emit_action(socket, "bulk_delete", %{
+        selection_count: length(ids)
+      })
+
+      if length(ids) > 0 do
+        context = LiveViewHelpers.client_opts(socket)
+        case MessagesClient.bulk_delete_messages(ids, context) do
+          {:ok, %{"deleted_count" => count}} ->
+            socket =
+              socket
+              |> put_flash(:info, "Deleted #{count} messages")
+              |> assign(:selected_ids, MapSet.new())
+              |> load_messages()
+
+            {:noreply, socket}
+
+          {:error, reason} ->
+            msg = GatewayErrorHelper.format_gateway_error(reason)
+            {:noreply, put_flash(socket, :error, "Bulk delete failed. " <> msg)}
+        end
+      else
+        {:noreply, put_flash(socket, :warning, "No messages selected")}
       end
     else
-      {:noreply, put_flash(socket, :warning, "No messages selected")}
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
+  @impl true
+  def handle_event("export", params, %{assigns: %{select_matching: true}} = socket) do
+    handle_event("export_filtered", params, socket)
+  end
+
   @impl true
   def handle_event("export", %{"format" => format}, socket) do
     ids = MapSet.to_list(socket.assigns.selected_ids)
@@ -147,52 +310,57 @@ defmodule UiWebWeb.MessagesLive.Index do
     # Emit LiveView action event
     LiveViewHelpers.emit_action(socket, "export", %{
       format: format,
+      scope: "selected",
       selection_count: length(ids)
     })
 
-    context = LiveViewHelpers.get_context(socket)
-    with true <- length(ids) > 0,
-         {:ok, content} <- MessagesClient.export_messages(ids, format, context) do
-      # Trigger browser download
-      filename = "messages_export_#{DateTime.utc_now() |> DateTime.to_unix()}.#{format}"
-
-      {:noreply,
-       socket
-       |> push_event("download", %{
-         content: Base.encode64(content),
-         filename: filename,
-         mime_type: mime_type(format)
-       })}
-    else
-      false ->
-        {:noreply, put_flash(socket, :warning, "No messages selected")}
-
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, put_flash(socket, :error, "Export failed. " <> msg)}
-    end
+    start_export(socket, ids, format)
   end
 
   @impl true
-  def handle_event("delete", %{"id" => id}, socket) do
+  def handle_event("export_filtered", %{"format" => format}, socket) do
     # Emit LiveView action event
-    LiveViewHelpers.emit_action(socket, "delete", %{
-      message_id: id
+    LiveViewHelpers.emit_action(socket, "export", %{
+      format: format,
+      scope: "filtered",
+      selection_count: socket.assigns.pagination["total"]
     })
 
-    context = LiveViewHelpers.get_context(socket)
-    case MessagesClient.delete_message(id, context) do
-      :ok ->
-        socket =
-          socket
-          |> put_flash(:info, "Message deleted")
-          |> load_messages()
+    case current_filters(socket) do
+      {:ok, filters} -> start_export(socket, {:filters, filters}, format)
+      {:error, _errors} -> {:noreply, put_flash(socket, :error, "Export failed. Fix the search query first.")}
+    end
+  end
 
-        {:noreply, socket}
+  @impl true
+  def handle_event("export_failed", %{"message" => message}, socket) do
+    {:noreply, put_flash(socket, :error, "Export failed. " <> message)}
+  end
 
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, put_flash(socket, :error, "Delete failed. " <> msg)}
+  @impl true
+  def handle_event("delete", %{"id" => id}, socket) do
+    with {:ok, socket} <- authorize(socket, :delete_message) do
+      # Emit LiveView action event
+      LiveViewHelpers.emit_action(socket, "delete", %{
+        message_id: id
+      })
+
+      context = LiveViewHelpers.client_opts(socket)
+      case MessagesClient.delete_message(id, context) do
+        :ok ->
+          socket =
+            socket
+            |> put_flash(:info, "Message deleted")
+            |> load_messages()
+
+          {:noreply, socket}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, put_flash(socket, :error, "Delete failed. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
@@ -205,14 +373,7 @@ defmodule UiWebWeb.MessagesLive.Index do
 
     new_offset = PaginationLogic.prev_offset(offset, limit)
 
-    socket =
-      socket
-      |> update(:pagination, fn pag ->
-        Map.put(pag, "offset", new_offset)
-      end)
-      |> load_messages()
-
-    {:noreply, socket}
+    {:noreply, push_patch(socket, to: build_path(socket, offset: new_offset))}
   end
 
   @impl true
@@ -225,24 +386,85 @@ defmodule UiWebWeb.MessagesLive.Index do
 
     new_offset = PaginationLogic.next_offset(offset, limit, has_more)
 
+    {:noreply, push_patch(socket, to: build_path(socket, offset: new_offset))}
+  end
+
+  # Infinite scroll (Hooks.InfiniteScroll): the sentinel below or above the rows came into view
+
+  @impl true
+  def handle_event("load_more", _params, %{assigns: %{scroll_mode: "scroll"}} = socket) do
+    %{cursor_chunks: chunks, window: {_first, last}} = socket.assigns
+
+    if last + 1 < length(chunks) or List.last(chunks).next do
+      {:noreply, load_chunk(socket, last + 1, :bottom)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("load_previous", _params, %{assigns: %{scroll_mode: "scroll", window: {first, _last}}} = socket)
+      when first > 0 do
+    {:noreply, load_chunk(socket, first - 1, :top)}
+  end
+
+  @impl true
+  def handle_event(event, _params, socket) when event in ["load_more", "load_previous"] do
+    {:noreply, socket}
+  end
+
+  # Browser SSE stream (Hooks.MessagesSSE)
+
+  @impl true
+  def handle_event("sse_message", %{"event" => event, "data" => data}, socket)
+      when event in ["message_created", "message_updated"] do
+    handle_info({:event, %{"type" => event, "data" => data}}, socket)
+  end
+
+  @impl true
+  def handle_event("sse_message", %{"event" => "message_deleted", "data" => data}, socket) do
+    handle_info({:event, %{"type" => "message_deleted", "data" => %{"id" => data["id"]}}}, socket)
+  end
+
+  @impl true
+  def handle_event("sse_message", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("sse_status", %{"state" => state}, socket)
+      when state in ["connecting", "live", "reconnecting", "polling"] do
     socket =
       socket
-      |> update(:pagination, fn pag ->
-        Map.put(pag, "offset", new_offset)
-      end)
-      |> load_messages()
+      |> assign(:sse_state, state)
+      |> update_polling(state == "polling")
+
+    {:noreply, socket}
+  end
 
+  @impl true
+  def handle_event("sse_status", _params, socket) do
     {:noreply, socket}
   end
 
   # Real-time updates
 
+  @impl true
+  def handle_info(:poll_messages, socket) do
+    socket =
+      socket
+      |> assign(:poll_ref, nil)
+      |> load_messages()
+      |> update_polling(socket.assigns.sse_state == "polling")
+
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_info({:event, %{"type" => "message_created", "data" => message}}, socket) do
-    # Only prepend if on first page
-    if socket.assigns.pagination["offset"] == 0 do
-      messages = [message | socket.assigns.messages] |> Enum.take(socket.assigns.pagination["limit"])
-      {:noreply, assign(socket, :messages, messages)}
+    # Only prepend at the top of the list; replayed events may already be in the list
+    if at_top?(socket) and not listed?(socket, message) do
+      {:noreply, socket |> prepend_row(message) |> update(:new_message_count, &(&1 + 1))}
     else
       {:noreply, socket}
     end
@@ -250,18 +472,21 @@ defmodule UiWebWeb.MessagesLive.Index do
 
   @impl true
   def handle_info({:event, %{"type" => "message_updated", "data" => message}}, socket) do
-    messages =
-      Enum.map(socket.assigns.messages, fn msg ->
-        if (msg["id"] || msg[:id]) == (message["id"] || message[:id]), do: message, else: msg
-      end)
+    if listed?(socket, message) do
+      messages =
+        Enum.map(socket.assigns.messages, fn msg ->
+          if row_id(msg) == row_id(message), do: message, else: msg
+        end)
 
-    {:noreply, assign(socket, :messages, messages)}
+      {:noreply, socket |> assign(:messages, messages) |> stream_insert(:messages, message)}
+    else
+      {:noreply, socket}
+    end
   end
 
   @impl true
   def handle_info({:event, %{"type" => "message_deleted", "data" => %{"id" => id}}}, socket) do
-    messages = Enum.reject(socket.assigns.messages, fn msg -> (msg["id"] || msg[:id]) == id end)
-    {:noreply, assign(socket, :messages, messages)}
+    {:noreply, remove_row(socket, id)}
   end
 
   @impl true
@@ -286,6 +511,25 @@ defmodule UiWebWeb.MessagesLive.Index do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_info({:bulk_job, %{id: id} = progress}, %{assigns: %{bulk_job: %{id: id}}} = socket) do
+    socket = assign(socket, :bulk_job, progress)
+
+    if BulkJob.running?(progress) do
+      {:noreply, socket}
+    else
+      # Show the changes and keep only the failures selected
+      failed_ids = progress.failed |> Enum.map(& &1.id) |> MapSet.new()
+      {:noreply, socket |> assign(selected_ids: failed_ids, select_matching: false) |> load_messages()}
+    end
+  end
+
+  # A job this view no longer shows
+  @impl true
+  def handle_info({:bulk_job, _progress}, socket) do
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_info({UiWebWeb.MessagesLive.FormComponent, {:saved, _message}}, socket) do
     {:noreply, load_messages(socket)}
@@ -293,49 +537,419 @@ defmodule UiWebWeb.MessagesLive.Index do
 
   # Private helpers
 
+  defp listed?(socket, message) do
+    id = row_id(message)
+    Enum.any?(socket.assigns.messages, fn msg -> row_id(msg) == id end)
+  end
+
+  defp row_id(message), do: message["id"] || message[:id]
+
+  defp row_dom_id(message), do: "message-#{row_id(message)}"
+
+  # Re-renders rows whose checkbox changed; stream rows only render when inserted
+  defp refresh_rows(socket, rows), do: Enum.reduce(rows, socket, &stream_insert(&2, :messages, &1))
+
+  defp at_top?(%{assigns: %{scroll_mode: "scroll", window: {first, _last}}}), do: first == 0
+  defp at_top?(socket), do: socket.assigns.pagination["offset"] == 0
+
+  defp prepend_row(%{assigns: %{scroll_mode: "scroll"}} = socket, message) do
+    [chunk | chunks] = socket.assigns.cursor_chunks
+    {first, last} = socket.assigns.window
+
+    socket
+    |> assign(:messages, [message | socket.assigns.messages])
+    |> assign(:cursor_chunks, [%{chunk | count: chunk.count + 1} | chunks])
+    |> put_window(first, last)
+    |> stream_insert(:messages, message, at: 0)
+  end
+
+  defp prepend_row(socket, message) do
+    limit = socket.assigns.pagination["limit"]
+
+    socket
+    |> assign(:messages, Enum.take([message | socket.assigns.messages], limit))
+    |> stream_insert(:messages, message, at: 0, limit: limit)
+  end
+
+  # In infinite scroll the cursor page that held the row shrinks, so the footer range stays right
+  defp remove_row(%{assigns: %{scroll_mode: "scroll"}} = socket, id) do
+    case Enum.find_index(socket.assigns.messages, &(row_id(&1) == id)) do
+      nil ->
+        stream_delete_by_dom_id(socket, :messages, "message-#{id}")
+
+      position ->
+        {first, last} = socket.assigns.window
+        index = chunk_at(socket.assigns.cursor_chunks, first, position)
+
+        socket
+        |> assign(:messages, List.delete_at(socket.assigns.messages, position))
+        |> update(:cursor_chunks, fn chunks -> List.update_at(chunks, index, &%{&1 | count: &1.count - 1}) end)
+        |> put_window(first, last)
+        |> stream_delete_by_dom_id(:messages, "message-#{id}")
+    end
+  end
+
+  defp remove_row(socket, id) do
+    messages = Enum.reject(socket.assigns.messages, fn msg -> row_id(msg) == id end)
+    socket |> assign(:messages, messages) |> stream_delete_by_dom_id(:messages, "message-#{id}")
+  end
+
+  # Index of the cursor page holding the row at `position` of a window starting at page `first`
+  defp chunk_at(chunks, first, position) do
+    chunks
+    |> Enum.drop(first)
+    |> Enum.reduce_while({first, position}, fn chunk, {index, position} ->
+      if position < chunk.count, do: {:halt, {index, position}}, else: {:cont, {index + 1, position - chunk.count}}
+    end)
+    |> elem(0)
+  end
+
+  # Polling only runs while the browser reports the stream as unavailable
+  defp update_polling(%{assigns: %{poll_ref: nil}} = socket, true) do
+    assign(socket, :poll_ref, Process.send_after(self(), :poll_messages, @poll_ms))
+  end
+
+  defp update_polling(%{assigns: %{poll_ref: ref}} = socket, false) when is_reference(ref) do
+    Process.cancel_timer(ref)
+    assign(socket, :poll_ref, nil)
+  end
+
+  defp update_polling(socket, _polling?), do: socket
+
+  defp sse_url(tenant_id) do
+    if SSEBridge.enabled?() do
+      gateway = Application.get_env(:ui_web, :gateway, []) |> Keyword.get(:url, "http://localhost:8081")
+      gateway <> "/api/v1/messages/stream?" <> URI.encode_query(%{"tenant_id" => tenant_id})
+    end
+  end
+
+  # The search box holds a UiWeb.Messages.Query; an invalid query keeps the current
+  # list and is reported next to the box instead of being sent to the gateway
   defp load_messages(socket) do
-    context = LiveViewHelpers.get_context(socket)
-    opts = [
-      status: (if socket.assigns.filter_status != "all", do: socket.assigns.filter_status),
-      type: (if socket.assigns.filter_type != "all", do: socket.assigns.filter_type),
-      search: socket.assigns.search_query,
-      sort: socket.assigns.sort_by,
-      order: socket.assigns.sort_order,
-      limit: socket.assigns.pagination["limit"],
-      offset: socket.assigns.pagination["offset"]
-    ]
-    |> Keyword.merge(context)
+    case query_params(socket) do
+      {:ok, query} -> socket |> assign(:query_errors, []) |> fetch_messages(query)
+      {:error, errors} -> assign(socket, loading: false, query_errors: errors)
+    end
+  end
 
-    case MessagesClient.list_messages(opts) do
-      {:ok, %{"data" => messages, "pagination" => pagination}} ->
-        assign(socket, loading: false, messages: messages, pagination: pagination)
+  # Page mode loads the page at the current offset, infinite scroll its first cursor page
+  defp fetch_messages(socket, query) do
+    position = if socket.assigns.scroll_mode == "scroll", do: [], else: [offset: socket.assigns.pagination["offset"]]
+
+    case list_page(socket, query, position) do
+      {:ok, messages, pagination} ->
+        socket
+        |> assign(loading: false, messages: messages, pagination: pagination, new_message_count: 0)
+        |> stream(:messages, messages, reset: true)
+        |> assign(:cursor_chunks, [first_chunk(messages, pagination["next_cursor"])])
+        |> put_window(0, 0)
 
       {:error, reason} ->
         msg = GatewayErrorHelper.format_gateway_error(reason)
         socket
         |> assign(:loading, false)
         |> assign(:messages, [])  # Clear messages on error
+        |> stream(:messages, [], reset: true)
+        |> assign(:cursor_chunks, [first_chunk([], nil)])
+        |> put_window(0, 0)
         |> put_flash(:error, "Failed to load messages. " <> msg)
     end
   end
 
+  defp first_chunk(messages, next_cursor), do: %{cursor: nil, next: next_cursor, count: length(messages)}
+
+  defp list_page(socket, query, position) do
+    opts =
+      socket
+      |> list_opts(query)
+      |> Keyword.merge([limit: socket.assigns.pagination["limit"]] ++ position)
+      |> Keyword.merge(LiveViewHelpers.client_opts(socket))
+
+    case MessagesClient.list_messages(opts) do
+      {:ok, %{"data" => messages, "pagination" => pagination}} -> {:ok, messages, pagination}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  # The list filters and sort, without paging
+  defp list_opts(socket, query) do
+    # Status and type in the query take precedence over the dropdowns
+    [
+      status: (if socket.assigns.filter_status != "all", do: socket.assigns.filter_status),
+      type: (if socket.assigns.filter_type != "all", do: socket.assigns.filter_type),
+      sort: socket.assigns.sort_by,
+      order: socket.assigns.sort_order
+    ]
+    |> Keyword.merge(query)
+  end
+
+  # Loads cursor page `index` at an edge of the window. Pages already seen are fetched
+  # again with their cursor; the stream limit drops the rows at the other end, so at
+  # most @window_chunks pages stay in the DOM.
+  defp load_chunk(socket, index, edge) do
+    chunks = socket.assigns.cursor_chunks
+    cursor = if index < length(chunks), do: Enum.at(chunks, index).cursor, else: List.last(chunks).next
+
+    with {:ok, query} <- query_params(socket),
+         {:ok, messages, pagination} <- list_page(socket, query, cursor: cursor) do
+      chunk = %{cursor: cursor, next: pagination["next_cursor"], count: length(messages)}
+      chunks = if index < length(chunks), do: List.replace_at(chunks, index, chunk), else: chunks ++ [chunk]
+
+      socket
+      |> assign(:cursor_chunks, chunks)
+      |> update(:pagination, &Map.put(&1, "total", pagination["total"]))
+      |> show_chunk(index, messages, edge)
+    else
+      {:error, errors} when is_list(errors) ->
+        socket
+
+      {:error, reason} ->
+        put_flash(socket, :error, "Failed to load messages. " <> GatewayErrorHelper.format_gateway_error(reason))
+    end
+  end
+
+  defp show_chunk(socket, index, messages, :bottom) do
+    {first, _last} = socket.assigns.window
+    first = max(first, index - @window_chunks + 1)
+    socket = put_window(socket, first, index)
+    rows = window_rows(socket)
+
+    socket
+    |> assign(:messages, (socket.assigns.messages ++ messages) |> Enum.uniq_by(&row_id/1) |> Enum.take(-rows))
+    |> stream(:messages, messages, at: -1, limit: -rows)
+  end
+
+  defp show_chunk(socket, index, messages, :top) do
+    {_first, last} = socket.assigns.window
+    last = min(last, index + @window_chunks - 1)
+    socket = put_window(socket, index, last)
+    rows = window_rows(socket)
+
+    socket
+    |> assign(:messages, (messages ++ socket.assigns.messages) |> Enum.uniq_by(&row_id/1) |> Enum.take(rows))
+    # Inserting at 0 one by one reverses the order
+    |> stream(:messages, Enum.reverse(messages), at: 0, limit: rows)
+  end
+
+  # The cursor pages `first..last` are in the DOM; :window_status describes them for the footer
+  defp put_window(socket, first, last) do
+    chunks = socket.assigns.cursor_chunks
+    before = chunks |> Enum.take(first) |> Enum.map(& &1.count) |> Enum.sum()
+    shown = chunks |> Enum.slice(first..last//1) |> Enum.map(& &1.count) |> Enum.sum()
+    last_chunk = Enum.at(chunks, last)
+
+    socket
+    |> assign(:window, {first, last})
+    |> assign(:window_status, %{
+      from: before + min(shown, 1),
+      to: before + shown,
+      has_previous: first > 0,
+      has_more: last + 1 < length(chunks) or (last_chunk != nil and last_chunk.next != nil)
+    })
+  end
+
+  defp window_rows(socket) do
+    {first, last} = socket.assigns.window
+    socket.assigns.cursor_chunks |> Enum.slice(first..last//1) |> Enum.map(& &1.count) |> Enum.sum()
+  end
+
+  defp query_params(socket) do
+    with {:ok, terms} <- Query.parse(socket.assigns.search_query) do
+      {:ok, Query.to_params(terms)}
+    end
+  end
+
+  # Every filter and the sort live in the URL; changing one goes back to the first page
+  defp apply_filters(socket, filters) do
+    socket
+    |> assign(:filters, filters)
+    |> assign(:select_matching, false)
+    |> assign(:filter_status, filters["status"])
+    |> assign(:filter_type, filters["type"])
+    |> assign(:search_query, filters["search"])
+    |> assign(:sort_by, filters["sort"])
+    |> assign(:sort_order, filters["order"])
+    |> update(:pagination, &Map.put(&1, "limit", filters["limit"]))
+    |> load_messages()
+  end
+
+  # Offset paging is the default and keeps deep links to a page (`?offset=`) working;
+  # `?mode=scroll` switches to cursor-based infinite scroll
+  defp apply_paging(socket, params) do
+    mode = if params["mode"] == "scroll", do: "scroll", else: "pages"
+
+    offset =
+      case Integer.parse(to_string(params["offset"] || "")) do
+        {offset, ""} when offset > 0 and mode == "pages" -> offset
+        _ -> 0
+      end
+
+    socket
+    |> assign(:scroll_mode, mode)
+    |> update(:pagination, &Map.put(&1, "offset", offset))
+  end
+
+  defp view_filters(socket) do
+    %{
+      "status" => socket.assigns.filter_status,
+      "type" => socket.assigns.filter_type,
+      "search" => socket.assigns.search_query,
+      "sort" => socket.assigns.sort_by,
+      "order" => socket.assigns.sort_order,
+      "limit" => socket.assigns.pagination["limit"]
+    }
+  end
+
+  # Filter changes keep the paging mode and go back to the first page
   defp build_path(socket, updates) do
-    params =
-      %{
-        "status" => socket.assigns.filter_status,
-        "type" => socket.assigns.filter_type,
-        "search" => socket.assigns.search_query
-      }
-      |> Map.merge(Map.new(updates, fn {k, v} -> {to_string(k), v} end))
-      |> Enum.reject(fn {_k, v} -> v == "" or v == "all" end)
-      |> Map.new()
+    {paging, updates} = updates |> Map.new(fn {k, v} -> {to_string(k), v} end) |> Map.split(["mode", "offset"])
+    filters = Map.merge(view_filters(socket), updates)
+    path = SavedViewsHook.view_path(socket.assigns.tenant_id, %{"filters" => filters})
+
+    paging_query =
+      case {Map.get(paging, "mode", socket.assigns.scroll_mode), Map.get(paging, "offset", 0)} do
+        {"scroll", _offset} -> %{"mode" => "scroll"}
+        {_mode, offset} when offset > 0 -> %{"offset" => offset}
+        _ -> %{}
+      end
+
+    cond do
+      paging_query == %{} -> path
+      String.contains?(path, "?") -> path <> "&" <> URI.encode_query(paging_query)
+      true -> path <> "?" <> URI.encode_query(paging_query)
+    end
+  end
+
+  @doc false
+  # Called by UiWebWeb.Live.SavedViewsHook once the views are loaded; the default view
+  # applies if the page is still as it was opened, without filters
+  def saved_views_loaded(socket) do
+    case default_view_path(socket, %{}) do
+      nil -> assign(socket, :default_view_checked, true)
+      path -> socket |> assign(:default_view_checked, true) |> push_patch(to: path, replace: true)
+    end
+  end
+
+  # The default view applies once, when the page is opened without any filter
+  defp default_view_path(%{assigns: %{default_view_checked: true}}, _params), do: nil
+
+  defp default_view_path(socket, params) do
+    with false <- SavedView.filtered?(params),
+         %{} = view <- SavedView.default_view(socket.assigns.saved_views),
+         query when query != %{} <- SavedView.to_params(view["filters"] || %{}) do
+      SavedViewsHook.view_path(socket.assigns.tenant_id, view)
+    else
+      _ -> nil
+    end
+  end
+
+  defp update_view(socket, id, fun) do
+    with %{} = view <- Enum.find(socket.assigns.saved_views, &(&1["id"] == id)),
+         updated = fun.(view),
+         :ok <- put_view(socket, id, updated) do
+      {:noreply, SavedViewsHook.load(socket)}
+    else
+      nil ->
+        {:noreply, put_flash(socket, :error, "View not found")}
+
+      {:error, reason} ->
+        {:noreply, put_flash(socket, :error, "Failed to update view. " <> GatewayErrorHelper.format_gateway_error(reason))}
+    end
+  end
+
+  # Saves `view`; making it the default takes the flag away from the user's other views
+  defp put_view(socket, id, view) do
+    %{tenant_id: tenant_id, saved_views: views} = socket.assigns
+    user_id = SavedViewsHook.user_id(socket)
+    opts = LiveViewHelpers.client_opts(socket)
+
+    previous_defaults =
+      if view["default"], do: Enum.filter(views, &(&1["default"] == true and &1["id"] != id)), else: []
 
-    query_string = URI.encode_query(params)
-    ~p"/app/#{socket.assigns.tenant_id}/messages?#{query_string}"
+    saves = [{id, view} | Enum.map(previous_defaults, &{&1["id"], Map.put(&1, "default", false)})]
+
+    Enum.reduce_while(saves, :ok, fn {view_id, view}, :ok ->
+      body = Map.take(view, ["name", "filters", "pinned", "default"])
+
+      case SavedViewsClient.save_view(tenant_id, user_id, view_id, body, opts) do
+        {:ok, _} -> {:cont, :ok}
+        {:error, reason} -> {:halt, {:error, reason}}
+      end
+    end)
   end
 
-  defp mime_type("json"), do: "application/json"
-  defp mime_type("csv"), do: "text/csv"
+  defp new_view_id, do: "view_" <> Base.encode16(:crypto.strong_rand_bytes(4), case: :lower)
+
+  # With "select all matching" the job gets the filter and resolves it to ids itself
+  defp bulk_selection(%{assigns: %{select_matching: true}} = socket) do
+    case query_params(socket) do
+      {:ok, query} -> {:filters, list_opts(socket, query)}
+      {:error, _errors} -> []
+    end
+  end
+
+  defp bulk_selection(socket), do: MapSet.to_list(socket.assigns.selected_ids)
+
+  defp bulk_permission(:delete), do: :bulk_delete_messages
+  defp bulk_permission(_action), do: :bulk_update_messages
+
+  defp start_bulk_job(socket, action, selection) do
+    cond do
+      BulkJob.running?(socket.assigns.bulk_job) ->
+        {:noreply, put_flash(socket, :warning, "A bulk action is already running")}
+
+      selection == [] ->
+        {:noreply, put_flash(socket, :warning, "No messages selected")}
+
+      true ->
+        # Emit LiveView action event
+        LiveViewHelpers.emit_action(socket, "bulk_update", %{
+          action: BulkAction.label(action),
+          selection_count: if(is_list(selection), do: length(selection), else: socket.assigns.pagination["total"])
+        })
+
+        case BulkJob.start(action, selection, LiveViewHelpers.client_opts(socket)) do
+          {:ok, job_id} ->
+            progress = %{id: job_id, action: action, status: :resolving, total: 0, processed: 0, succeeded: 0, failed: [], error: nil}
+            {:noreply, assign(socket, bulk_job: progress, bulk_error: nil)}
+
+          {:error, reason} ->
+            {:noreply, put_flash(socket, :error, "Bulk action failed to start: #{inspect(reason)}")}
+        end
+    end
+  end
+
+  defp start_export(socket, selection, format) do
+    cond do
+      format not in MessagesClient.export_formats() ->
+        {:noreply, put_flash(socket, :error, "Export failed. Unsupported format: #{format}")}
+
+      selection == [] ->
+        {:noreply, put_flash(socket, :warning, "No messages selected")}
+
+      true ->
+        # The browser streams the file from a signed, short-lived URL (Hooks.FileDownload)
+        url =
+          MessageExportController.download_path(socket.assigns.tenant_id, %{
+            selection: selection,
+            format: format
+          })
+
+        {:noreply,
+         push_event(socket, "download", %{
+           url: url,
+           filename: MessageExportController.filename(format),
+           mime_type: MessageExportController.mime_type(format)
+         })}
+    end
+  end
+
+  defp current_filters(socket) do
+    with {:ok, query} <- query_params(socket) do
+      filters = %{"status" => socket.assigns.filter_status, "type" => socket.assigns.filter_type}
+      {:ok, Map.merge(filters, Map.new(query, fn {key, value} -> {to_string(key), value} end))}
+    end
+  end
 
   def status_badge_class("pending"), do: "bg-yellow-100 text-yellow-800"
   def status_badge_class("processing"), do: "bg-blue-100 text-blue-800"
@@ -343,6 +957,18 @@ defmodule UiWebWeb.MessagesLive.Index do
   def status_badge_class("failed"), do: "bg-red-100 text-red-800"
   def status_badge_class(_), do: "bg-gray-100 text-gray-800"
 
+  def sse_badge_class("live"), do: "bg-green-100 text-green-800"
+  def sse_badge_class("connecting"), do: "bg-blue-100 text-blue-800"
+  def sse_badge_class("reconnecting"), do: "bg-yellow-100 text-yellow-800"
+  def sse_badge_class("polling"), do: "bg-orange-100 text-orange-800"
+  def sse_badge_class(_), do: "bg-gray-100 text-gray-800"
+
+  def sse_badge_label("live"), do: "Live"
+  def sse_badge_label("connecting"), do: "Connecting…"
+  def sse_badge_label("reconnecting"), do: "Reconnecting…"
+  def sse_badge_label("polling"), do: "Polling"
+  def sse_badge_label(_), do: "Offline"
+
   def sort_indicator(current_field, field, order) when current_field == field do
     if order == "asc" do
       "↑"
@@ -353,6 +979,49 @@ defmodule UiWebWeb.MessagesLive.Index do
 
   def sort_indicator(_, _, _), do: ""
 
+  # Progress line of the bulk job panel
+  def bulk_job_summary(%{status: :resolving} = job), do: BulkAction.label(job.action) <> ": finding messages…"
+
+  def bulk_job_summary(%{status: :failed, error: {:too_many_messages, max}} = job),
+    do: BulkAction.label(job.action) <> ": more than #{max} messages match, narrow the filter"
+
+  def bulk_job_summary(%{status: :failed} = job),
+    do: BulkAction.label(job.action) <> ": could not list the messages. " <> GatewayErrorHelper.format_gateway_error(job.error)
+
+  def bulk_job_summary(job) do
+    state =
+      case job.status do
+        :running -> "#{job.processed} of #{job.total}"
+        :done -> "done"
+        :cancelled -> "cancelled after #{job.processed} of #{job.total}"
+      end
+
+    "#{BulkAction.label(job.action)}: #{state} (#{job.succeeded} succeeded, #{length(job.failed)} failed)"
+  end
+
+  # {text, error?} segments of the search query, to underline invalid tokens in place
+  def query_segments(query, errors) do
+    {segments, position} =
+      errors
+      |> Enum.sort_by(& &1.offset)
+      |> Enum.reduce({[], 0}, fn %{offset: offset, length: length}, {segments, position} ->
+        segments = if offset > position, do: [{String.slice(query, position, offset - position), false} | segments], else: segments
+        {[{String.slice(query, offset, length), true} | segments], offset + length}
+      end)
+
+    rest = String.slice(query, position..-1//1)
+    Enum.reverse(if rest == "", do: segments, else: [{rest, false} | segments])
+  end
+
+  def aria_sort(current_field, field, "asc") when current_field == field, do: "ascending"
+  def aria_sort(current_field, field, _order) when current_field == field, do: "descending"
+  def aria_sort(_, _, _), do: "none"
+
+  # Read by the polite live region; counts inserts since the list was last loaded
+  def new_messages_announcement(0), do: ""
+  def new_messages_announcement(1), do: "1 new message received"
+  def new_messages_announcement(count), do: "#{count} new messages received"
+
   def format_datetime(nil), do: "—"
   def format_datetime(datetime_string) when is_binary(datetime_string) do
     case DateTime.from_iso8601(datetime_string) do
@@ -5,6 +5,7 @@ defmodule UiWebWeb.MessagesLive.Show do
   use UiWebWeb, :live_view
 
   alias UiWeb.Services.MessagesClient
+  alias UiWeb.Telemetry.LiveViewHelpers
   alias UiWebWeb.GatewayErrorHelper
   import UiWebWeb.Components.CodePreview
 
@@ -28,7 +29,7 @@ defmodule UiWebWeb.MessagesLive.Show do
   end
 
   defp load_message(socket) do
-    case MessagesClient.get_message(socket.assigns.message_id) do
+    case MessagesClient.get_message(socket.assigns.message_id, LiveViewHelpers.client_opts(socket)) do
       {:ok, message} ->
         message_id = Map.get(message, "id") || Map.get(message, :id) || socket.assigns.message_id
         socket
@@ -49,16 +50,20 @@ defmodule UiWebWeb.MessagesLive.Show do
 
   @impl true
   def handle_event("delete", _params, socket) do
-    case MessagesClient.delete_message(socket.assigns.message_id) do
-      :ok ->
-        {:noreply,
-         socket
-         |> put_flash(:info, "Message deleted successfully")
-         |> push_navigate(to: ~p"/app/#{socket.assigns.tenant_id}/messages")}
+    with {:ok, socket} <- authorize(socket, :delete_message) do
+      case MessagesClient.delete_message(socket.assigns.message_id, LiveViewHelpers.client_opts(socket)) do
+        :ok ->
+          {:noreply,
+           socket
+           |> put_flash(:info, "Message deleted successfully")
+           |> push_navigate(to: ~p"/app/#{socket.assigns.tenant_id}/messages")}
 
-      {:error, reason} ->
-        msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, put_flash(socket, :error, "Failed to delete. " <> msg)}
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, put_flash(socket, :error, "Failed to delete. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
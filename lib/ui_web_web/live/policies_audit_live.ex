@@ -0,0 +1,111 @@
+defmodule UiWebWeb.PoliciesAuditLive do
+  use UiWebWeb, :live_view
+  alias UiWeb.Services.PoliciesClient
+  alias UiWebWeb.GatewayErrorHelper
+
+  # Entries are always those of the URL tenant; switch tenants in the layout
+  @filter_keys ~w(user policy_id)
+
+  def mount(_params, _session, socket) do
+    socket =
+      socket
+      |> assign(page_title: "Policy Audit Log")
+      |> assign(entries: [])
+      |> assign(filters: Map.new(@filter_keys, &{&1, ""}))
+      |> assign(error: nil)
+
+    {:ok, socket}
+  end
+
+  # Filters live in the URL so a filtered view can be shared and survives reloads
+  def handle_params(params, _url, socket) do
+    filters = Map.new(@filter_keys, &{&1, Map.get(params, &1, "")})
+
+    {:noreply, socket |> assign(filters: filters) |> load_entries()}
+  end
+
+  def handle_event("filter", params, socket) do
+    query =
+      params
+      |> Map.take(@filter_keys)
+      |> Enum.reject(fn {_k, v} -> v == "" end)
+
+    {:noreply, push_patch(socket, to: ~p"/app/#{socket.assigns.tenant_id}/policies/audit?#{query}")}
+  end
+
+  def handle_event("refresh", _params, socket) do
+    {:noreply, load_entries(socket)}
+  end
+
+  defp load_entries(socket) do
+    %{"user" => user, "policy_id" => policy_id} = socket.assigns.filters
+    tenant_id = socket.assigns.tenant_id
+
+    case PoliciesClient.list_audit(tenant: tenant_id, user: user, policy_id: policy_id, tenant_id: tenant_id) do
+      {:ok, entries} ->
+        assign(socket, entries: entries, error: nil)
+
+      {:error, reason} ->
+        msg = GatewayErrorHelper.format_gateway_error(reason)
+        assign(socket, entries: [], error: "Failed to load audit log. " <> msg)
+    end
+  end
+
+  def render(assigns) do
+    ~H"""
+    <div class="py-8">
+      <div class="mb-4 flex items-center justify-between">
+        <h2 class="text-2xl font-bold">Policy Audit Log <span class="text-base font-normal text-gray-500"><%= @tenant_id %></span></h2>
+        <.link navigate={~p"/app/#{@tenant_id}/policies"} class="text-sm text-blue-600 hover:underline">Back to policies</.link>
+      </div>
+
+      <%= if @error do %>
+        <div class="mb-4 rounded bg-red-50 text-red-700 p-3 text-sm"><%= @error %></div>
+      <% end %>
+
+      <form id="audit-filters" phx-change="filter" phx-submit="filter" class="mb-4 flex flex-wrap items-end gap-3 bg-white p-4 shadow rounded text-sm">
+        <label class="flex flex-col">
+          <span class="text-gray-600">User</span>
+          <input name="user" value={@filters["user"]} phx-debounce="300" class="rounded border px-2 py-1" />
+        </label>
+        <label class="flex flex-col">
+          <span class="text-gray-600">Policy ID</span>
+          <input name="policy_id" value={@filters["policy_id"]} phx-debounce="300" class="rounded border px-2 py-1" />
+        </label>
+        <button type="button" phx-click="refresh" class="rounded bg-gray-200 px-3 py-1 hover:bg-gray-300">Refresh</button>
+      </form>
+
+      <div class="bg-white p-4 shadow rounded">
+        <%= if @entries == [] do %>
+          <p class="text-sm text-gray-500">No policy changes recorded for these filters.</p>
+        <% else %>
+          <table id="audit-entries" class="w-full text-left text-sm">
+            <thead class="text-gray-600">
+              <tr>
+                <th class="py-1">When</th>
+                <th class="py-1">Policy</th>
+                <th class="py-1">User</th>
+                <th class="py-1">Action</th>
+                <th class="py-1">Revision</th>
+                <th class="py-1">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              <%= for entry <- @entries do %>
+                <tr id={"audit-entry-#{entry["id"]}"} class="border-t">
+                  <td class="py-1 text-gray-600"><%= entry["timestamp"] %></td>
+                  <td class="py-1 font-mono"><%= entry["policy_id"] %></td>
+                  <td class="py-1"><%= entry["user"] %></td>
+                  <td class="py-1"><%= entry["action"] %></td>
+                  <td class="py-1 font-mono"><%= entry["revision"] && "r#{entry["revision"]}" %></td>
+                  <td class="py-1"><%= entry["summary"] %></td>
+                </tr>
+              <% end %>
+            </tbody>
+          </table>
+        <% end %>
+      </div>
+    </div>
+    """
+  end
+end
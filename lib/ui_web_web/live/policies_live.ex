@@ -1,6 +1,8 @@
 defmodule UiWebWeb.PoliciesLive do
   use UiWebWeb, :live_view
-  alias UiWeb.Services.GatewayClient
+  alias UiWeb.Contracts.{ApiSpec, SchemaValidator}
+  alias UiWeb.Services.PoliciesClient
+  alias UiWeb.TextDiff
   alias UiWebWeb.GatewayErrorHelper
 
   @poll_ms 15_000
@@ -9,11 +11,14 @@ defmodule UiWebWeb.PoliciesLive do
     socket =
       socket
       |> assign(page_title: "Policies")
-      |> assign(tenant_id: "tenant_dev")
       |> assign(policy_id: "default")
       |> assign(policies: [])
       |> assign(editor: "{}")
       |> assign(original: "{}")
+      |> assign(schema: ApiSpec.policy_schema())
+      |> assign(pending_save: nil)
+      |> assign(revisions: [])
+      |> assign(revision_diff: nil)
       |> assign(error: nil)
 
     if connected?(socket) do
@@ -27,9 +32,8 @@ defmodule UiWebWeb.PoliciesLive do
   def handle_info(:poll, socket) do
     t = socket.assigns.tenant_id
 
-    case GatewayClient.get_json("/api/v1/policies/" <> t) do
-      {:ok, %{"items" => items}} -> {:noreply, assign(socket, policies: items, error: nil)}
-      {:ok, items} when is_list(items) -> {:noreply, assign(socket, policies: items, error: nil)}
+    case PoliciesClient.list_policies(t, client_opts(socket)) do
+      {:ok, items} -> {:noreply, assign(socket, policies: items, error: nil)}
       {:error, reason} ->
         msg = GatewayErrorHelper.format_gateway_error(reason)
         {:noreply, assign(socket, error: "Failed to load policies. " <> msg)}
@@ -40,10 +44,10 @@ defmodule UiWebWeb.PoliciesLive do
     t = socket.assigns.tenant_id
     p = socket.assigns.policy_id
 
-    case GatewayClient.get_json("/api/v1/policies/" <> t <> "/" <> p) do
+    case PoliciesClient.get_policy(t, p, client_opts(socket)) do
       {:ok, policy} ->
         pretty = Jason.encode!(policy, pretty: true)
-        {:noreply, assign(socket, editor: pretty, original: pretty, error: nil)}
+        {:noreply, socket |> assign(editor: pretty, original: pretty, error: nil) |> load_revisions()}
 
       {:error, reason} ->
         msg = GatewayErrorHelper.format_gateway_error(reason)
@@ -51,90 +55,420 @@ defmodule UiWebWeb.PoliciesLive do
     end
   end
 
+  # Save is two-step: "save" validates and shows a diff, "confirm_save" sends the PUT
   def handle_event("save", params, socket) do
     %{"editor" => editor} = params
-    t = socket.assigns.tenant_id
-    p = socket.assigns.policy_id
+    socket = assign(socket, editor: editor)
+
+    with {:ok, socket} <- authorize(socket, :save_policy),
+         {:ok, json} <- decode_policy(editor),
+         :ok <- validate_policy(json) do
+      rows = TextDiff.side_by_side(socket.assigns.original, Jason.encode!(json, pretty: true))
+
+      if TextDiff.unchanged?(rows) do
+        {:noreply, socket |> assign(error: nil) |> put_flash(:info, "No changes to save")}
+      else
+        {:noreply, assign(socket, pending_save: %{json: json, rows: rows}, error: nil)}
+      end
+    else
+      {:error, %Phoenix.LiveView.Socket{} = socket} -> {:noreply, socket}
+      {:error, message} -> {:noreply, assign(socket, error: message)}
+    end
+  end
+
+  def handle_event("confirm_save", _params, %{assigns: %{pending_save: %{json: json}}} = socket) do
+    with {:ok, socket} <- authorize(socket, :save_policy) do
+      t = socket.assigns.tenant_id
+      p = socket.assigns.policy_id
+
+      case PoliciesClient.save_policy(t, p, json, client_opts(socket)) do
+        {:ok, _} ->
+          pretty = Jason.encode!(json, pretty: true)
+
+          {:noreply,
+           socket
+           |> assign(editor: pretty, original: pretty, pending_save: nil, error: nil)
+           |> load_revisions()
+           |> put_flash(:info, "Policy saved")}
 
-    with {:ok, json} <- Jason.decode(editor) do
-      case GatewayClient.request(:put, "/api/v1/policies/" <> t <> "/" <> p, json) do
-        {:ok, _} -> {:noreply, assign(socket, editor: editor, original: editor, error: nil)}
         {:error, reason} ->
           msg = GatewayErrorHelper.format_gateway_error(reason)
-          {:noreply, assign(socket, error: "Failed to save policy. " <> msg)}
+          {:noreply, assign(socket, pending_save: nil, error: "Failed to save policy. " <> msg)}
       end
     else
-      _ -> {:noreply, assign(socket, error: "Invalid JSON")}
+      {:error, socket} -> {:noreply, socket}
     end
   end
 
+  def handle_event("confirm_save", _params, socket) do
+    {:noreply, socket}
+  end
+
+  def handle_event("cancel_save", _params, socket) do
+    {:noreply, assign(socket, pending_save: nil)}
+  end
+
   def handle_event("delete", _params, socket) do
+    with {:ok, socket} <- authorize(socket, :delete_policy) do
+      t = socket.assigns.tenant_id
+      p = socket.assigns.policy_id
+
+      case PoliciesClient.delete_policy(t, p, client_opts(socket)) do
+        {:ok, _} ->
+          send(self(), :poll)
+          {:noreply, assign(socket, revisions: [], revision_diff: nil, error: nil)}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, error: "Failed to delete policy. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  def handle_event("diff_revisions", %{"from" => from, "to" => to}, socket) do
     t = socket.assigns.tenant_id
     p = socket.assigns.policy_id
+    opts = client_opts(socket)
 
-    case GatewayClient.request(:delete, "/api/v1/policies/" <> t <> "/" <> p, nil) do
-      {:ok, _} ->
-        send(self(), :poll)
-        {:noreply, assign(socket, error: nil)}
-
+    with {:ok, old} <- PoliciesClient.get_revision(t, p, from, opts),
+         {:ok, new} <- PoliciesClient.get_revision(t, p, to, opts) do
+      rows = TextDiff.side_by_side(Jason.encode!(old["policy"], pretty: true), Jason.encode!(new["policy"], pretty: true))
+      {:noreply, assign(socket, revision_diff: %{from: old["revision"], to: new["revision"], rows: rows}, error: nil)}
+    else
       {:error, reason} ->
         msg = GatewayErrorHelper.format_gateway_error(reason)
-        {:noreply, assign(socket, error: "Failed to delete policy. " <> msg)}
+        {:noreply, assign(socket, error: "Failed to load revisions. " <> msg)}
+    end
+  end
+
+  def handle_event("close_revision_diff", _params, socket) do
+    {:noreply, assign(socket, revision_diff: nil)}
+  end
+
+  def handle_event("rollback", %{"revision" => revision}, socket) do
+    with {:ok, socket} <- authorize(socket, :rollback_policy) do
+      t = socket.assigns.tenant_id
+      p = socket.assigns.policy_id
+
+      case PoliciesClient.rollback_policy(t, p, String.to_integer(revision), client_opts(socket)) do
+        {:ok, policy} ->
+          pretty = Jason.encode!(policy, pretty: true)
+
+          {:noreply,
+           socket
+           |> assign(editor: pretty, original: pretty, revision_diff: nil, error: nil)
+           |> load_revisions()
+           |> put_flash(:info, "Rolled back to revision #{revision}")}
+
+        {:error, reason} ->
+          msg = GatewayErrorHelper.format_gateway_error(reason)
+          {:noreply, assign(socket, error: "Failed to roll back policy. " <> msg)}
+      end
+    else
+      {:error, socket} -> {:noreply, socket}
+    end
+  end
+
+  # The tenant comes from the URL (UiWebWeb.Live.TenantHook); switch it in the layout
+  def handle_event("set", %{"policy_id" => policy_id} = params, socket) do
+    editor = Map.get(params, "editor", socket.assigns.editor)
+    {:noreply, assign(socket, policy_id: policy_id, editor: editor)}
+  end
+
+  defp load_revisions(socket) do
+    case PoliciesClient.list_revisions(socket.assigns.tenant_id, socket.assigns.policy_id, client_opts(socket)) do
+      {:ok, revisions} -> assign(socket, revisions: revisions)
+      {:error, _reason} -> assign(socket, revisions: [])
+    end
+  end
+
+  defp client_opts(socket) do
+    [tenant_id: socket.assigns.tenant_id, user_id: current_user_id(socket)]
+    |> Enum.reject(fn {_k, v} -> is_nil(v) end)
+  end
+
+  defp current_user_id(socket) do
+    case socket.assigns[:current_user] do
+      %{id: id} -> id
+      _ -> nil
+    end
+  end
+
+  defp decode_policy(editor) do
+    case Jason.decode(editor) do
+      {:ok, json} ->
+        {:ok, json}
+
+      {:error, %Jason.DecodeError{position: position}} ->
+        {line, column} = line_column(editor, position)
+        {:error, "Invalid JSON at line #{line}, column #{column}"}
+    end
+  end
+
+  defp validate_policy(json) do
+    case SchemaValidator.validate(json, ApiSpec.policy_schema()) do
+      :ok ->
+        :ok
+
+      {:error, errors} ->
+        {:error, "Policy does not match schema: " <> Enum.map_join(errors, "; ", &SchemaValidator.format_error/1)}
     end
   end
 
-  def handle_event("set", %{"tenant_id" => tenant_id, "policy_id" => policy_id}, socket) do
-    {:noreply, assign(socket, tenant_id: tenant_id, policy_id: policy_id)}
+  defp line_column(text, position) do
+    lines =
+      text
+      |> binary_part(0, min(position, byte_size(text)))
+      |> String.split("\n")
+
+    {length(lines), String.length(List.last(lines)) + 1}
+  end
+
+  attr :rows, :list, required: true
+  attr :left_label, :string, default: "Original"
+  attr :right_label, :string, default: "Edited"
+
+  defp diff_table(assigns) do
+    ~H"""
+    <table class="w-full table-fixed font-mono text-xs">
+      <thead class="sticky top-0 bg-gray-50 text-left text-gray-600">
+        <tr>
+          <th class="w-10 px-2 py-1"></th>
+          <th class="px-2 py-1"><%= @left_label %></th>
+          <th class="w-10 px-2 py-1"></th>
+          <th class="px-2 py-1"><%= @right_label %></th>
+        </tr>
+      </thead>
+      <tbody>
+        <%= for row <- @rows do %>
+          <tr data-diff-kind={row.kind}>
+            <td class={"px-2 text-right text-gray-400 #{diff_cell_class(row.kind, :left)}"}><%= row.left && elem(row.left, 0) %></td>
+            <td class={"whitespace-pre px-2 #{diff_cell_class(row.kind, :left)}"}><%= row.left && elem(row.left, 1) %></td>
+            <td class={"px-2 text-right text-gray-400 #{diff_cell_class(row.kind, :right)}"}><%= row.right && elem(row.right, 0) %></td>
+            <td class={"whitespace-pre px-2 #{diff_cell_class(row.kind, :right)}"}><%= row.right && elem(row.right, 1) %></td>
+          </tr>
+        <% end %>
+      </tbody>
+    </table>
+    """
   end
 
+  defp diff_cell_class(:removed, :left), do: "bg-red-50"
+  defp diff_cell_class(:changed, :left), do: "bg-red-50"
+  defp diff_cell_class(:added, :right), do: "bg-green-50"
+  defp diff_cell_class(:changed, :right), do: "bg-green-50"
+  defp diff_cell_class(_kind, _side), do: ""
+
   def render(assigns) do
     ~H"""
     <div class="py-8">
       <h2 class="text-2xl font-bold mb-4">Policies</h2>
 
       <%= if @error do %>
-        <div class="mb-4 rounded bg-red-50 text-red-700 p-3 text-sm"><%= @error %></div>
+        <div data-testid="policy-error" class="mb-4 rounded bg-red-50 text-red-700 p-3 text-sm"><%= @error %></div>
       <% end %>
 
       <div class="grid grid-cols-2 gap-4">
         <div class="bg-white p-4 shadow rounded">
           <h3 class="font-semibold mb-2">List</h3>
-          <div class="mb-2 text-sm text-gray-600">Tenant: <%= @tenant_id %></div>
-          <ul class="list-disc pl-6 text-sm">
+          <div class="mb-2 text-sm text-gray-600">Tenant: <span data-testid="policy-tenant"><%= @tenant_id %></span></div>
+          <ul data-testid="policy-list" class="list-disc pl-6 text-sm">
             <%= for p <- @policies do %>
-              <li><%= p["policy_id"] || p[:policy_id] || inspect(p) %></li>
+              <li data-testid="policy-list-item"><%= p["policy_id"] || p[:policy_id] || inspect(p) %></li>
             <% end %>
           </ul>
         </div>
         <div class="bg-white p-4 shadow rounded">
-          <h3 class="font-semibold mb-2">Editor <span class={@editor != @original && "text-orange-600" || "text-gray-400"}>(<%= @editor != @original && "changed" || "saved" %>)</span></h3>
+          <h3 class="font-semibold mb-2">Editor <span data-testid="policy-editor-status" class={@editor != @original && "text-orange-600" || "text-gray-400"}>(<%= @editor != @original && "changed" || "saved" %>)</span></h3>
           <form phx-change="set" phx-submit="save" class="space-y-2">
             <div>
-              <label class="block text-sm text-gray-600 mb-1">Tenant</label>
-              <input name="tenant_id" value={@tenant_id} class="w-full border rounded px-2 py-1" />
-            </div>
-            <div>
-              <label class="block text-sm text-gray-600 mb-1">Policy ID</label>
-              <input name="policy_id" value={@policy_id} class="w-full border rounded px-2 py-1" />
+              <label for="policy-id-input" class="block text-sm text-gray-600 mb-1">Policy ID</label>
+              <input id="policy-id-input" name="policy_id" value={@policy_id} data-testid="policy-id-input" class="w-full border rounded px-2 py-1" />
             </div>
             <div class="flex gap-2 mb-2">
-              <button type="button" phx-click="load" class="bg-gray-200 px-3 py-1 rounded hover:bg-gray-300">Load</button>
-              <button type="button" phx-click="delete" class="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700">Delete</button>
+              <button type="button" phx-click="load" data-testid="policy-load" class="bg-gray-200 px-3 py-1 rounded hover:bg-gray-300">Load</button>
+              <button :if={can?(@current_role, :delete_policy)} type="button" phx-click="delete" data-testid="policy-delete" class="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700">Delete</button>
             </div>
             <div class="grid grid-cols-2 gap-2">
               <div>
-                <label class="block text-sm text-gray-600 mb-1">Current</label>
-                <textarea name="editor" class="w-full border rounded px-2 py-1 h-64 font-mono"><%= @editor %></textarea>
+                <label for="policy-editor-input" class="block text-sm text-gray-600 mb-1">Current</label>
+                <div class="relative flex h-64 overflow-hidden rounded border bg-white font-mono text-sm leading-5">
+                  <div
+                    id="policy-editor-gutter"
+                    phx-update="ignore"
+                    aria-hidden="true"
+                    class="select-none overflow-hidden bg-gray-50 px-2 py-1 text-right text-gray-400"
+                  >
+                  </div>
+                  <div class="relative flex-1 overflow-hidden">
+                    <pre
+                      id="policy-editor-highlight"
+                      phx-update="ignore"
+                      aria-hidden="true"
+                      class="pointer-events-none absolute inset-0 m-0 overflow-hidden whitespace-pre px-2 py-1"
+                    ></pre>
+                    <textarea
+                      id="policy-editor-input"
+                      name="editor"
+                      phx-hook="PolicyEditor"
+                      data-testid="policy-editor"
+                      data-schema={Jason.encode!(@schema)}
+                      data-gutter="policy-editor-gutter"
+                      data-highlight="policy-editor-highlight"
+                      data-issues="policy-editor-issues"
+                      spellcheck="false"
+                      wrap="off"
+                      aria-describedby="policy-editor-issues"
+                      class="absolute inset-0 h-full w-full resize-none overflow-auto whitespace-pre border-0 bg-transparent px-2 py-1 font-mono text-sm leading-5 text-transparent caret-gray-900 focus:ring-0"
+                    ><%= @editor %></textarea>
+                  </div>
+                </div>
+                <ul id="policy-editor-issues" data-testid="policy-editor-issues" phx-update="ignore" class="mt-1 space-y-0.5 text-xs text-red-700"></ul>
               </div>
               <div>
-                <label class="block text-sm text-gray-600 mb-1">Original</label>
-                <pre class="w-full border rounded px-2 py-1 h-64 font-mono overflow-auto bg-gray-50"><%= @original %></pre>
+                <p class="block text-sm text-gray-600 mb-1">Original</p>
+                <pre data-testid="policy-original" class="w-full border rounded px-2 py-1 h-64 font-mono overflow-auto bg-gray-50"><%= @original %></pre>
               </div>
             </div>
-            <button class="mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Save</button>
+            <button
+              disabled={!can?(@current_role, :save_policy)}
+              data-testid="policy-save"
+              class="mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
           </form>
         </div>
       </div>
+
+      <div id="policy-history" data-testid="policy-history" class="mt-4 bg-white p-4 shadow rounded">
+        <div class="mb-2 flex items-center justify-between">
+          <h3 class="font-semibold">History</h3>
+          <div class="flex gap-3">
+            <.link navigate={~p"/app/#{@tenant_id}/extensions/pipeline?#{[policy_id: @policy_id]}"} data-testid="policy-pipeline-link" class="text-sm text-blue-600 hover:underline">
+              Dry-run payloads
+            </.link>
+            <.link navigate={~p"/app/#{@tenant_id}/policies/audit?#{[policy_id: @policy_id]}"} class="text-sm text-blue-600 hover:underline">
+              Audit log
+            </.link>
+          </div>
+        </div>
+
+        <%= if @revisions == [] do %>
+          <p class="text-sm text-gray-500">Load a policy to see its revisions.</p>
+        <% else %>
+          <form phx-submit="diff_revisions" class="mb-3 flex items-end gap-2 text-sm">
+            <label class="flex flex-col">
+              <span class="text-gray-600">From</span>
+              <select name="from" class="rounded border px-2 py-1">
+                <%= for rev <- @revisions do %>
+                  <option value={rev["revision"]} selected={rev == Enum.at(@revisions, 1)}>r<%= rev["revision"] %></option>
+                <% end %>
+              </select>
+            </label>
+            <label class="flex flex-col">
+              <span class="text-gray-600">To</span>
+              <select name="to" class="rounded border px-2 py-1">
+                <%= for rev <- @revisions do %>
+                  <option value={rev["revision"]} selected={rev == hd(@revisions)}>r<%= rev["revision"] %></option>
+                <% end %>
+              </select>
+            </label>
+            <button class="rounded bg-gray-200 px-3 py-1 hover:bg-gray-300">Compare</button>
+          </form>
+
+          <table class="w-full text-left text-sm">
+            <thead class="text-gray-600">
+              <tr>
+                <th class="py-1">Revision</th>
+                <th class="py-1">Author</th>
+                <th class="py-1">When</th>
+                <th class="py-1">Change</th>
+                <th class="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              <%= for {rev, index} <- Enum.with_index(@revisions) do %>
+                <tr id={"policy-revision-#{rev["revision"]}"} data-testid="policy-revision" class="border-t">
+                  <td class="py-1 font-mono">r<%= rev["revision"] %></td>
+                  <td class="py-1"><%= rev["author"] %></td>
+                  <td class="py-1 text-gray-600"><%= rev["created_at"] %></td>
+                  <td class="py-1"><%= rev["summary"] %></td>
+                  <td class="py-1 text-right">
+                    <%= if index == 0 do %>
+                      <span class="text-xs text-gray-500">current</span>
+                    <% else %>
+                      <button
+                        :if={can?(@current_role, :rollback_policy)}
+                        type="button"
+                        phx-click="rollback"
+                        phx-value-revision={rev["revision"]}
+                        data-confirm={"Restore revision #{rev["revision"]} of #{@policy_id}?"}
+                        class="text-blue-600 hover:underline"
+                      >
+                        Roll back
+                      </button>
+                    <% end %>
+                  </td>
+                </tr>
+              <% end %>
+            </tbody>
+          </table>
+        <% end %>
+
+        <%= if @revision_diff do %>
+          <div id="policy-revision-diff" class="mt-3 rounded border">
+            <div class="flex items-center justify-between border-b px-3 py-2 text-sm">
+              <span>r<%= @revision_diff.from %> → r<%= @revision_diff.to %></span>
+              <button type="button" phx-click="close_revision_diff" class="text-gray-600 hover:underline">Close</button>
+            </div>
+            <div class="max-h-96 overflow-auto">
+              <.diff_table
+                rows={@revision_diff.rows}
+                left_label={"r#{@revision_diff.from}"}
+                right_label={"r#{@revision_diff.to}"}
+              />
+            </div>
+          </div>
+        <% end %>
+      </div>
+
+      <%= if @pending_save do %>
+        <% {added, removed} = TextDiff.stats(@pending_save.rows) %>
+        <div
+          id="policy-diff"
+          data-testid="policy-diff"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="policy-diff-title"
+          phx-hook="Dialog"
+          data-cancel="cancel_save"
+          class="fixed inset-0 z-40 flex items-center justify-center bg-gray-900/40 p-4"
+        >
+          <div class="w-full max-w-5xl rounded-lg bg-white shadow-xl">
+            <div class="flex items-center justify-between border-b px-4 py-3">
+              <h3 id="policy-diff-title" class="font-semibold">
+                Review changes to <span class="font-mono"><%= @tenant_id %>/<%= @policy_id %></span>
+              </h3>
+              <span class="text-sm">
+                <span class="text-green-700">+<%= added %></span>
+                <span class="ml-2 text-red-700">−<%= removed %></span>
+              </span>
+            </div>
+            <div class="max-h-[60vh] overflow-auto">
+              <.diff_table rows={@pending_save.rows} />
+            </div>
+            <div class="flex justify-end gap-2 border-t px-4 py-3">
+              <button type="button" phx-click="cancel_save" data-testid="policy-diff-cancel" class="rounded bg-gray-200 px-3 py-1 hover:bg-gray-300">Cancel</button>
+              <button type="button" phx-click="confirm_save" data-testid="policy-diff-confirm" data-autofocus class="rounded bg-blue-600 px-3 py-1 text-white hover:bg-blue-700">
+                Confirm &amp; save
+              </button>
+            </div>
+          </div>
+        </div>
+      <% end %>
     </div>
     """
   end
@@ -0,0 +1,94 @@
+defmodule UiWebWeb.Live.SavedViewsHook do
+  @moduledoc """
+  Loads the current user's saved message views for every LiveView of the `:app`
+  live session.
+
+  Assigns `:saved_views` (see `UiWeb.Messages.SavedView`) and `:pinned_views`, which
+  the layout lists in the navigation. Both are empty on the dead render; the
+  connected mount fetches them in a task, so a slow gateway doesn't hold up any
+  page, and sets `:saved_views_loaded` once they arrive. A LiveView that needs the
+  views as soon as they are there defines `saved_views_loaded/1`, which gets and
+  returns the socket. `UiWebWeb.MessagesLive.Index` manages the views and keeps
+  both assigns up to date with `load/1`, so pins show up without a reload.
+  """
+  import Phoenix.Component
+  import Phoenix.LiveView
+
+  alias UiWeb.Messages.SavedView
+  alias UiWeb.Services.SavedViewsClient
+  alias UiWeb.Telemetry.LiveViewHelpers
+
+  def on_mount(:default, _params, _session, socket) do
+    socket = socket |> assign_views([]) |> assign(:saved_views_loaded, false)
+
+    if connected?(socket) do
+      {tenant_id, user_id, opts} = {socket.assigns.tenant_id, user_id(socket), LiveViewHelpers.client_opts(socket)}
+
+      {:cont,
+       socket
+       |> attach_hook(:saved_views, :handle_async, &handle_views_async/3)
+       |> start_async(:saved_views, fn -> fetch(tenant_id, user_id, opts) end)}
+    else
+      {:cont, socket}
+    end
+  end
+
+  # load/1 ran while the task was out, so the assigned list is the newer one
+  defp handle_views_async(:saved_views, _result, %{assigns: %{saved_views_loaded: true}} = socket), do: {:halt, socket}
+
+  defp handle_views_async(:saved_views, result, socket) do
+    views =
+      case result do
+        {:ok, views} -> views
+        {:exit, _reason} -> []
+      end
+
+    socket = socket |> assign_views(views) |> assign(:saved_views_loaded, true)
+
+    if function_exported?(socket.view, :saved_views_loaded, 1) do
+      {:halt, socket.view.saved_views_loaded(socket)}
+    else
+      {:halt, socket}
+    end
+  end
+
+  defp handle_views_async(_name, _result, socket), do: {:cont, socket}
+
+  @doc """
+  (Re)loads the views of the current user; a failing gateway leaves no views.
+  """
+  @spec load(Phoenix.LiveView.Socket.t()) :: Phoenix.LiveView.Socket.t()
+  def load(socket) do
+    views = fetch(socket.assigns.tenant_id, user_id(socket), LiveViewHelpers.client_opts(socket))
+    socket |> assign_views(views) |> assign(:saved_views_loaded, true)
+  end
+
+  defp fetch(tenant_id, user_id, opts) when is_binary(user_id) do
+    case SavedViewsClient.list_views(tenant_id, user_id, opts) do
+      {:ok, views} -> views
+      {:error, _reason} -> []
+    end
+  end
+
+  defp fetch(_tenant_id, _user_id, _opts), do: []
+
+  defp assign_views(socket, views), do: assign(socket, saved_views: views, pinned_views: SavedView.pinned(views))
+
+  @doc "The current user's id, the owner of their saved views."
+  @spec user_id(Phoenix.LiveView.Socket.t()) :: String.t() | nil
+  def user_id(socket) do
+    case socket.assigns[:current_user] do
+      %{id: id} when not is_nil(id) -> to_string(id)
+      _ -> nil
+    end
+  end
+
+  @doc """
+  Messages path that opens `view` in a tenant.
+  """
+  @spec view_path(String.t(), map()) :: String.t()
+  def view_path(tenant_id, view) do
+    query = SavedView.to_params(view["filters"] || %{})
+    "/app/#{URI.encode_www_form(tenant_id)}/messages" <> if(query == %{}, do: "", else: "?" <> URI.encode_query(query))
+  end
+end
@@ -1,13 +1,68 @@
 defmodule UiWebWeb.Live.TenantHook do
+  @moduledoc """
+  Scopes every LiveView of the `:app` live session to the tenant in the URL.
+
+  Assigns `:tenant_id` from the `/app/:tenant_id` path, `:tenants` (the tenants in
+  the user's token claims, for the layout's tenant switcher) and `:current_path`.
+  Mounting a tenant that is not in the claims redirects to the user's first tenant;
+  the `:ensure_tenant_access` router plug covers the initial HTTP request, this
+  covers live navigation between tenants.
+  """
   import Phoenix.Component
+  import Phoenix.LiveView
+
+  alias UiWeb.Auth.Guardian
+
+  def on_mount(:default, params, session, socket) do
+    socket = assign_new(socket, :current_user, fn -> current_user(session) end)
+    tenants = Guardian.allowed_tenants(socket.assigns.current_user)
+    tenant_id = params["tenant_id"]
+
+    if tenant_id in tenants do
+      socket =
+        socket
+        |> assign(tenant_id: tenant_id, tenants: tenants, current_path: "/app/#{tenant_id}")
+        |> attach_hook(:current_path, :handle_params, fn _params, uri, socket ->
+          {:cont, assign(socket, :current_path, URI.parse(uri).path)}
+        end)
 
-  def on_mount(:default, params, _session, socket) do
-    tenant_id = params["tenant_id"] || "tenant_dev"
-    
-    socket = 
-      socket
-      |> assign(:tenant_id, tenant_id)
-      
-    {:cont, socket}
+      {:cont, socket}
+    else
+      socket =
+        socket
+        |> put_flash(:error, "You do not have access to tenant #{tenant_id}")
+        |> redirect(to: fallback_path(tenants))
+
+      {:halt, socket}
+    end
   end
+
+  @doc """
+  Path of the same section (`dashboard`, `messages`, ...) in another tenant.
+
+  Deeper paths such as a message id are dropped, as they rarely exist in the other tenant.
+  """
+  @spec switch_path(String.t(), String.t()) :: String.t()
+  def switch_path(current_path, tenant_id) do
+    section =
+      case String.split(current_path || "", "/", trim: true) do
+        ["app", _tenant, section | _rest] -> section
+        _ -> "dashboard"
+      end
+
+    "/app/#{URI.encode_www_form(tenant_id)}/#{section}"
+  end
+
+  # The Guardian session token is the only user info a LiveView socket gets on connect
+  defp current_user(%{"guardian_default_token" => token}) do
+    case Guardian.resource_from_token(token) do
+      {:ok, user, _claims} -> user
+      _ -> nil
+    end
+  end
+
+  defp current_user(_session), do: nil
+
+  defp fallback_path([tenant_id | _]), do: "/app/#{URI.encode_www_form(tenant_id)}/dashboard"
+  defp fallback_path([]), do: "/login"
 end
@@ -0,0 +1,148 @@
+defmodule UiWebWeb.PipelineGraph do
+  @moduledoc """
+  Lays out a policy's extension pipeline as an SVG graph for `ExtensionsPipelineLive`.
+
+  Nodes follow execution order: `pre` extensions, `validators`, the provider call,
+  then `post` extensions, each connected to the next by an edge. Every extension
+  node carries a `:tone` derived from its health and circuit breaker state, which
+  the template maps to fill and stroke colors.
+  """
+
+  @node_width 140
+  @node_height 56
+  @gap 48
+  @padding 24
+  @lane_label_height 20
+
+  @stages [{"pre", "Pre-processors"}, {"validators", "Validators"}, {"provider", "Provider"}, {"post", "Post-processors"}]
+
+  @type tone :: :healthy | :degraded | :unhealthy | :half_open | :open | :unknown
+
+  @doc """
+  Builds `%{nodes, edges, lanes, width, height}` for `policy`.
+
+  `health` maps extension ids to health maps (`"status"`); `circuit_states` maps
+  extension ids to a state string or a map with `"state"`.
+  """
+  @spec build(map() | nil, map(), map()) :: map()
+  def build(policy, health \\ %{}, circuit_states \\ %{})
+
+  def build(nil, _health, _circuit_states), do: %{nodes: [], edges: [], lanes: [], width: 0, height: 0}
+
+  def build(policy, health, circuit_states) do
+    nodes =
+      @stages
+      |> Enum.flat_map(fn {stage, _label} -> stage_nodes(policy, stage) end)
+      |> Enum.with_index()
+      |> Enum.map(fn {node, index} ->
+        node
+        |> Map.merge(%{x: @padding + index * (@node_width + @gap), y: @padding + @lane_label_height})
+        |> Map.merge(status(node, health, circuit_states))
+      end)
+
+    edges =
+      nodes
+      |> Enum.chunk_every(2, 1, :discard)
+      |> Enum.map(fn [from, to] ->
+        %{
+          from: from.id,
+          to: to.id,
+          x1: from.x + @node_width,
+          y1: from.y + div(@node_height, 2),
+          x2: to.x,
+          y2: to.y + div(@node_height, 2)
+        }
+      end)
+
+    %{
+      nodes: nodes,
+      edges: edges,
+      lanes: lanes(nodes),
+      width: max(length(nodes), 1) * (@node_width + @gap) - @gap + 2 * @padding,
+      height: @node_height + @lane_label_height + 2 * @padding,
+      node_width: @node_width,
+      node_height: @node_height
+    }
+  end
+
+  @doc """
+  Normalizes a circuit breaker entry (a state string or `%{"state" => ...}`) to a string.
+  """
+  @spec circuit_state(map(), String.t()) :: String.t()
+  def circuit_state(circuit_states, ext_id) do
+    case Map.get(circuit_states, ext_id) do
+      %{"state" => state} when is_binary(state) -> state
+      %{state: state} when is_binary(state) -> state
+      state when is_binary(state) -> state
+      _ -> "unknown"
+    end
+  end
+
+  @doc """
+  Tone for an extension: an open or half-open circuit wins over health status.
+  """
+  @spec tone(String.t() | nil, String.t()) :: tone()
+  def tone(_health_status, "open"), do: :open
+  def tone(_health_status, "half_open"), do: :half_open
+  def tone("healthy", _circuit), do: :healthy
+  def tone("degraded", _circuit), do: :degraded
+  def tone(status, _circuit) when status in ["unhealthy", "down"], do: :unhealthy
+  def tone(_status, _circuit), do: :unknown
+
+  defp stage_nodes(policy, "provider") do
+    providers =
+      (policy["rules"] || [])
+      |> Enum.map(& &1["provider"])
+      |> Enum.reject(&is_nil/1)
+      |> Enum.uniq()
+
+    [%{id: "provider", ext_id: nil, stage: "provider", label: Enum.join(providers, ", ") |> default_label(), mode: nil, on_fail: nil}]
+  end
+
+  defp stage_nodes(policy, stage) do
+    (policy[stage] || [])
+    |> List.wrap()
+    |> Enum.with_index()
+    |> Enum.map(fn {ext, index} ->
+      ext_id = ext["id"] || "unknown"
+
+      %{
+        id: "#{stage}-#{index}-#{ext_id}",
+        ext_id: ext_id,
+        stage: stage,
+        label: ext_id,
+        mode: ext["mode"],
+        on_fail: ext["on_fail"]
+      }
+    end)
+  end
+
+  defp default_label(""), do: "router decision"
+  defp default_label(label), do: label
+
+  defp status(%{ext_id: nil}, _health, _circuit_states), do: %{health: nil, circuit: nil, tone: :unknown}
+
+  defp status(%{ext_id: ext_id}, health, circuit_states) do
+    health_status =
+      case Map.get(health, ext_id) do
+        %{"status" => status} -> status
+        %{status: status} -> status
+        _ -> nil
+      end
+
+    circuit = circuit_state(circuit_states, ext_id)
+    %{health: health_status, circuit: circuit, tone: tone(health_status, circuit)}
+  end
+
+  # One lane per stage present, spanning its nodes, for the stage labels above the graph
+  defp lanes(nodes) do
+    labels = Map.new(@stages)
+
+    nodes
+    |> Enum.chunk_by(& &1.stage)
+    |> Enum.map(fn [first | _] = stage_nodes ->
+      last = List.last(stage_nodes)
+      %{stage: first.stage, label: labels[first.stage], x: first.x, width: last.x + @node_width - first.x}
+    end)
+  end
+end
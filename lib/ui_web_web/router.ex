@@ -15,6 +15,8 @@ defmodule UiWebWeb.Router do
     plug UiWeb.Auth.Pipeline
     plug Guardian.Plug.EnsureAuthenticated
     plug :load_current_user
+    plug :ensure_tenant_access
+    plug :put_user_socket_token
   end
 
   scope "/", UiWebWeb do
@@ -28,20 +30,42 @@ defmodule UiWebWeb.Router do
     end
   end
 
+  # Preview images; the signed link is the authorization (see URLPreviewProxyController)
+  scope "/previews", UiWebWeb do
+    get "/image", URLPreviewProxyController, :show
+  end
+
   scope "/app/:tenant_id", UiWebWeb do
     pipe_through [:browser, :auth]
-    
-    live_session :app, on_mount: [{UiWebWeb.Live.TenantHook, :default}] do
+
+    get "/exports/messages", MessageExportController, :download
+    get "/exports/extensions", ExtensionExportController, :download
+
+    live_session :app,
+      on_mount: [
+        {UiWebWeb.Live.TenantHook, :default},
+        {UiWebWeb.Live.AuthorizationHook, :default},
+        {UiWebWeb.Live.CommandPaletteHook, :default},
+        {UiWebWeb.Live.SavedViewsHook, :default}
+      ] do
       live "/dashboard", DashboardLive, :index
       live "/messages", MessagesLive.Index, :index
       live "/messages/new", MessagesLive.Form, :new
       live "/messages/:id", MessagesLive.Show, :show
       live "/messages/:id/edit", MessagesLive.Form, :edit
       live "/policies", PoliciesLive, :index
+      live "/policies/audit", PoliciesAuditLive, :index
       live "/extensions", ExtensionsLive.Index, :index
       live "/extensions/new", ExtensionsLive.Form, :new
+      live "/extensions/import", ExtensionsLive.Import, :index
       live "/extensions/:id/edit", ExtensionsLive.Form, :edit
       live "/extensions/pipeline", ExtensionsPipelineLive, :index
+      live "/alerts", AlertsLive, :index
+      live "/alerts/new", AlertsLive, :new
+      live "/alerts/history", AlertsHistoryLive, :index
+      live "/alerts/:id/edit", AlertsLive, :edit
+      live "/contracts", ContractsLive, :index
+      live "/events", EventsLive, :index
     end
   end
 
@@ -56,6 +80,34 @@ defmodule UiWebWeb.Router do
     end
   end
 
+  # Only tenants from the user's token claims may be opened; LiveView navigation
+  # between tenants is checked again in UiWebWeb.Live.TenantHook
+  defp ensure_tenant_access(conn, _opts) do
+    tenant_id = conn.path_params["tenant_id"]
+
+    if UiWeb.Auth.Guardian.tenant_allowed?(conn.assigns[:current_user], tenant_id) do
+      conn
+    else
+      conn
+      |> put_status(:forbidden)
+      |> put_view(html: UiWebWeb.ErrorHTML)
+      |> render(:"403")
+      |> halt()
+    end
+  end
+
+  # Issue a channel token for the current user, scoped to the tenant in the path
+  defp put_user_socket_token(conn, _opts) do
+    with %{id: user_id} <- conn.assigns[:current_user],
+         tenant_id when is_binary(tenant_id) <- conn.path_params["tenant_id"] do
+      conn
+      |> assign(:user_socket_token, UiWebWeb.UserSocket.sign_token(user_id, tenant_id))
+      |> assign(:socket_tenant_id, tenant_id)
+    else
+      _ -> conn
+    end
+  end
+
   if Application.compile_env(:ui_web, :oidc_enabled, false) do
     scope "/auth", UiWebWeb do
       pipe_through :browser
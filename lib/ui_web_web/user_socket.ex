@@ -1,16 +1,65 @@
 defmodule UiWebWeb.UserSocket do
+  @moduledoc """
+  Socket for browser channel clients (`assets/js/channels.js`).
+
+  Clients connect with a token from `sign_token/2`, rendered into the page by the
+  `:put_user_socket_token` router plug. The token binds the connection to one user
+  and one tenant; channels only admit topics for that tenant.
+  """
   use Phoenix.Socket
 
   ## Channels
   channel "messages:*", UiWebWeb.MessagesChannel
   channel "notifications:*", UiWebWeb.NotificationsChannel
 
+  @salt "user socket"
+  # Tokens are re-issued on every page load; a day covers long-lived tabs
+  @max_age 86_400
+
+  @doc """
+  Signs a socket token for `user_id` scoped to `tenant_id`.
+  """
+  @spec sign_token(String.t(), String.t()) :: String.t()
+  def sign_token(user_id, tenant_id) do
+    Phoenix.Token.sign(UiWebWeb.Endpoint, @salt, %{
+      "user_id" => to_string(user_id),
+      "tenant_id" => tenant_id
+    })
+  end
+
+  @doc """
+  Verifies a socket token, returning its user and tenant.
+  """
+  @spec verify_token(String.t()) :: {:ok, map()} | {:error, atom()}
+  def verify_token(token) when is_binary(token) do
+    case Phoenix.Token.verify(UiWebWeb.Endpoint, @salt, token, max_age: @max_age) do
+      {:ok, %{"user_id" => _, "tenant_id" => _} = claims} -> {:ok, claims}
+      {:ok, _other} -> {:error, :invalid}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  def verify_token(_), do: {:error, :missing}
+
   @impl true
-  def connect(_params, socket, _connect_info) do
-    # CP1: no auth. In CP2+, derive tenant/scope from session or token and assign.
-    {:ok, socket}
+  def connect(params, socket, _connect_info) do
+    case verify_token(params["token"]) do
+      {:ok, %{"user_id" => user_id, "tenant_id" => tenant_id}} ->
+        {:ok, assign(socket, user_id: user_id, tenant_id: tenant_id)}
+
+      {:error, _reason} ->
+        :error
+    end
   end
 
   @impl true
-  def id(_socket), do: nil
+  def id(socket), do: "user_socket:#{socket.assigns.user_id}"
+
+  @doc """
+  Returns true when `topic_tenant` is the tenant the socket was authorized for.
+  """
+  @spec tenant_allowed?(Phoenix.Socket.t(), String.t()) :: boolean()
+  def tenant_allowed?(socket, topic_tenant) do
+    socket.assigns[:tenant_id] == topic_tenant
+  end
 end
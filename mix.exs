@@ -96,6 +96,12 @@ defmodule UiWeb.MixProject do
       # Syntax highlighting for code preview
       {:makeup, "~> 1.1"},
       {:makeup_json, "~> 0.1"},
+      {:makeup_elixir, "~> 1.0"},
+      {:makeup_html, "~> 0.1"},
+
+      # YAML extension manifests
+      {:yaml_elixir, "~> 2.11"},
+      {:ymlr, "~> 5.1"},
 
       # HTTP Server
       {:bandit, "~> 1.5"},
@@ -0,0 +1,119 @@
+// @ts-check
+const base = require('@playwright/test');
+
+/**
+ * Mock gateway scenarios for E2E specs.
+ *
+ * Each spec declares the gateway state it needs instead of depending on whatever
+ * fixed data the mock gateway happens to serve:
+ *
+ *   const { test, expect } = require('../fixtures/scenario');
+ *
+ *   test.use({ scenario: 'empty_tenant' });
+ *
+ *   test('shows the empty state', async ({ page }) => { ... });
+ *
+ * The scenario is loaded (on top of freshly reset mock data) before every test and
+ * dropped afterwards. Options go in `scenarioParams` / `scenarioRules`, e.g.
+ * `test.use({ scenario: 'slow_responses', scenarioParams: { delay_ms: 3000 } })`.
+ * Tests that need to change the gateway mid-test use the `mockGateway` fixture.
+ *
+ * Scenarios and rules are documented in `UiWeb.Test.MockScenarios`.
+ */
+
+const MOCK_GATEWAY_URL = process.env.MOCK_GATEWAY_URL || 'http://localhost:8082';
+
+/**
+ * @typedef {Object} ScenarioRule
+ * @property {string} path - Path pattern (`:param` matches a segment, trailing `*` the rest)
+ * @property {string} [method] - HTTP method, `*` for any
+ * @property {number} [status] - Respond with this status instead of the mock data
+ * @property {Object} [body] - Response body for `status`
+ * @property {number} [delay_ms] - Delay before responding
+ * @property {number} [times] - Only apply to the first n matching requests
+ */
+
+/**
+ * Client for the mock gateway's scenario endpoints.
+ */
+class MockGateway {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request
+   */
+  constructor(request) {
+    this.request = request;
+  }
+
+  /**
+   * Loads a named scenario, resetting the mock data first unless `reset` is false.
+   *
+   * @param {string} name
+   * @param {{ params?: Object, rules?: ScenarioRule[], reset?: boolean }} [options]
+   */
+  async load(name, { params = {}, rules = [], reset = true } = {}) {
+    const response = await this.request.post('/_test/scenario', { data: { name, params, rules, reset } });
+    if (!response.ok()) {
+      throw new Error(`Loading scenario "${name}" failed: ${response.status()} ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Injects faults or delays on top of the current scenario, keeping the mock data.
+   * Replaces rules injected earlier.
+   *
+   * @param {...ScenarioRule} rules
+   */
+  async inject(...rules) {
+    const current = await this.current();
+    return this.load(current.name, { params: current.params, rules, reset: false });
+  }
+
+  /** The loaded scenario. */
+  async current() {
+    const response = await this.request.get('/_test/scenario');
+    return response.json();
+  }
+
+  /** Back to the default scenario and data. */
+  async reset() {
+    await this.request.delete('/_test/scenario');
+  }
+}
+
+const test = base.test.extend({
+  // Options: test.use({ scenario: 'delete_500' })
+  scenario: ['default', { option: true }],
+  scenarioParams: [{}, { option: true }],
+  scenarioRules: [[], { option: true }],
+
+  mockGateway: async ({ playwright }, use) => {
+    const request = await playwright.request.newContext({ baseURL: MOCK_GATEWAY_URL });
+    await use(new MockGateway(request));
+    await request.dispose();
+  },
+
+  // Loads the declared scenario before every test, including tests that do not use it directly
+  scenarioLoaded: [
+    async ({ mockGateway, scenario, scenarioParams, scenarioRules }, use) => {
+      await mockGateway.load(scenario, { params: scenarioParams, rules: scenarioRules });
+      await use(scenario);
+      await mockGateway.reset();
+    },
+    { auto: true },
+  ],
+});
+
+/**
+ * Signs in through `/dev-login` and waits for the tenant dashboard.
+ * `tenants` (comma-separated) lists further tenants the user may switch to.
+ *
+ * @param {import('@playwright/test').Page} page
+ * @param {{ user?: string, tenant?: string, tenants?: string, roles?: string }} [options]
+ */
+async function login(page, { user = 'test_user', tenant = 'test_tenant', tenants = tenant, roles = 'admin' } = {}) {
+  await page.goto(`/dev-login?user=${user}&tenant=${tenant}&tenants=${tenants}&roles=${roles}`);
+  await page.waitForURL(new RegExp(`/app/${tenant}/dashboard`), { timeout: 10000 });
+}
+
+module.exports = { test, expect: base.expect, login, MockGateway, MOCK_GATEWAY_URL };
@@ -6,7 +6,8 @@ const { defineConfig, devices } = require('@playwright/test');
  * 
  * Prerequisites:
  * 1. Phoenix server running on http://localhost:4000
- * 2. Mock Gateway running on http://localhost:8081
+ * 2. Mock Gateway running on http://localhost:8082 (MOCK_GATEWAY_URL), which the
+ *    Phoenix server uses as its gateway
  * 
  * Run tests:
  *   npm test                    # Run all tests
@@ -16,10 +17,12 @@ const { defineConfig, devices } = require('@playwright/test');
  */
 module.exports = defineConfig({
   testDir: './specs',
-  fullyParallel: true,
+  // Specs load mock gateway scenarios (fixtures/scenario.js), which are global to the
+  // mock gateway, so tests must not run side by side
+  fullyParallel: false,
   forbidOnly: !!process.env.CI,
   retries: process.env.CI ? 2 : 0,
-  workers: process.env.CI ? 1 : undefined,
+  workers: 1,
   reporter: [
     ['html'],
     ['list'],
@@ -0,0 +1,152 @@
+// @ts-check
+const { default: AxeBuilder } = require('@axe-core/playwright');
+const { test, expect, login } = require('../fixtures/scenario');
+
+/**
+ * Accessibility audit of every page in UiWebWeb.Router
+ *
+ * Each page is scanned with axe-core against WCAG 2.1 A/AA; a test fails on any
+ * violation with serious or critical impact. Keep ROUTES in sync with the router.
+ * Run with: npm run test:a11y
+ */
+
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const FAILING_IMPACTS = ['serious', 'critical'];
+
+// Alert rule created through the mock gateway for the edit page
+const ALERT_RULE = { name: 'Gateway unhealthy', kind: 'component_status', component: 'gateway', status: 'unhealthy', severity: 'error', for_seconds: 0 };
+
+const PUBLIC_ROUTES = ['/', '/login'];
+
+const ROUTES = [
+  '/app/test_tenant/dashboard',
+  '/app/test_tenant/messages',
+  '/app/test_tenant/messages/new',
+  '/app/test_tenant/messages/msg_001',
+  '/app/test_tenant/messages/msg_001/edit',
+  '/app/test_tenant/policies',
+  '/app/test_tenant/policies/audit',
+  '/app/test_tenant/extensions',
+  '/app/test_tenant/extensions/new',
+  '/app/test_tenant/extensions/ext_001/edit',
+  '/app/test_tenant/extensions/pipeline',
+  '/app/test_tenant/alerts',
+  '/app/test_tenant/alerts/new',
+  '/app/test_tenant/alerts/history',
+  '/app/test_tenant/alerts/a11y_rule/edit',
+  '/app/test_tenant/contracts',
+];
+
+/**
+ * Scans the page (or `include`) and fails with a readable list of serious and
+ * critical violations.
+ *
+ * @param {import('@playwright/test').Page} page
+ * @param {string} [include] - CSS selector to limit the scan to
+ */
+async function expectNoSeriousViolations(page, include) {
+  let builder = new AxeBuilder({ page }).withTags(WCAG_TAGS);
+  if (include) builder = builder.include(include);
+
+  const { violations } = await builder.analyze();
+  const failing = violations
+    .filter((v) => FAILING_IMPACTS.includes(v.impact || ''))
+    .map((v) => `${v.impact} ${v.id}: ${v.help}\n    ${v.nodes.map((n) => n.target.join(' ')).join('\n    ')}`);
+
+  expect(failing, failing.join('\n')).toEqual([]);
+}
+
+/** Waits for the LiveView to connect so the scan sees the rendered page. */
+async function waitForLiveView(page) {
+  await page.locator('[data-phx-main].phx-connected').waitFor({ timeout: 10000 });
+}
+
+test.describe('Accessibility of public pages', () => {
+  for (const path of PUBLIC_ROUTES) {
+    test(`${path} has no serious violations`, async ({ page }) => {
+      await page.goto(path);
+      await expectNoSeriousViolations(page);
+    });
+  }
+});
+
+test.describe('Accessibility of tenant pages', () => {
+  test.beforeEach(async ({ page, mockGateway }) => {
+    const response = await mockGateway.request.put('/api/v1/alerts/rules/test_tenant/a11y_rule', { data: ALERT_RULE });
+    expect(response.ok()).toBeTruthy();
+    await login(page);
+  });
+
+  for (const path of ROUTES) {
+    test(`${path} has no serious violations`, async ({ page }) => {
+      await page.goto(path);
+      await waitForLiveView(page);
+      await expectNoSeriousViolations(page);
+    });
+  }
+
+  test('the open tags suggestion list has no serious violations', async ({ page }) => {
+    await page.goto('/app/test_tenant/extensions/new');
+    await waitForLiveView(page);
+    const field = page.getByTestId('tags-input-field');
+    await field.pressSequentially('l');
+    await expect(page.getByRole('listbox', { name: 'Tag suggestions' })).toBeVisible();
+
+    await field.press('ArrowDown');
+
+    await expect(field).toHaveAttribute('aria-expanded', 'true');
+    await expect(field).toHaveAttribute('aria-activedescendant', 'extension-tags-option-0');
+    await expectNoSeriousViolations(page, '[data-testid="tags-input"]');
+  });
+
+  test('the command palette traps focus and returns it on close', async ({ page }) => {
+    await page.goto('/app/test_tenant/messages');
+    await waitForLiveView(page);
+    const search = page.locator('#messages-search');
+    await search.focus();
+
+    await page.keyboard.press('Control+k');
+    const palette = page.getByTestId('command-palette');
+    await expect(palette).toBeVisible();
+    await expectNoSeriousViolations(page, '[data-testid="command-palette"]');
+
+    await page.keyboard.press('Tab');
+    await expect(palette.getByRole('combobox')).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(palette).toBeHidden();
+    await expect(search).toBeFocused();
+  });
+});
+
+test.describe('Accessibility of dialogs', () => {
+  test.beforeEach(async ({ page }) => {
+    await login(page, { tenant: 'tenant_dev' });
+    await page.goto('/app/tenant_dev/policies');
+    await waitForLiveView(page);
+  });
+
+  test('the policy diff dialog takes focus, traps Tab and returns focus on Escape', async ({ page }) => {
+    await page.getByTestId('policy-id-input').fill('default');
+    await page.getByTestId('policy-load').click();
+    const editor = page.getByTestId('policy-editor');
+    await expect(editor).toHaveValue(/"provider": "openai"/);
+    await editor.fill((await editor.inputValue()).replace('"openai"', '"custom"'));
+
+    const save = page.getByTestId('policy-save');
+    await save.focus();
+    await save.press('Enter');
+
+    const dialog = page.getByRole('dialog', { name: /Review changes/ });
+    await expect(dialog).toBeVisible();
+    await expect(page.getByTestId('policy-diff-confirm')).toBeFocused();
+    await expectNoSeriousViolations(page, '#policy-diff');
+
+    await page.keyboard.press('Tab');
+    await expect(page.getByTestId('policy-diff-cancel')).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(dialog).toHaveCount(0);
+    await expect(save).toBeFocused();
+  });
+});
@@ -0,0 +1,142 @@
+// @ts-check
+const { test, expect, login } = require('../fixtures/scenario');
+
+/**
+ * E2E tests for ExtensionsPipelineLive (pipeline inspector and dry run)
+ *
+ * tenant_dev's `default` policy runs normalize_text → pii_guard → openai → mask_pii.
+ * By default normalize_text and pii_guard are healthy with closed circuits and
+ * mask_pii is degraded with a half-open circuit; the `circuit_open` scenario opens
+ * every circuit. In dry runs pii_guard rejects payloads containing an e-mail address.
+ * Run with: npm test -- pipeline
+ */
+
+/**
+ * @param {import('@playwright/test').Page} page
+ * @param {string} payload
+ */
+async function dryRun(page, payload) {
+  await page.getByTestId('dry-run-payload').fill(payload);
+  await page.getByTestId('dry-run-submit').click();
+}
+
+test.describe('ExtensionsPipelineLive', () => {
+  test.beforeEach(async ({ page }) => {
+    await login(page, { tenant: 'tenant_dev' });
+    await page.goto('/app/tenant_dev/extensions/pipeline');
+    await expect(page.getByTestId('pipeline-graph')).toBeVisible();
+  });
+
+  test('renders health and circuit state of every stage', async ({ page }) => {
+    await expect(page.getByTestId('pipeline-node-normalize_text')).toHaveAttribute('data-tone', 'healthy');
+    await expect(page.getByTestId('pipeline-node-pii_guard')).toHaveAttribute('data-circuit', 'closed');
+    await expect(page.getByTestId('pipeline-node-mask_pii')).toHaveAttribute('data-circuit', 'half_open');
+    await expect(page.getByTestId('pipeline-node-mask_pii')).toHaveAttribute('data-tone', 'half_open');
+    await expect(page.getByTestId('pipeline-node-provider')).toContainText('openai');
+
+    const piiGuard = page.getByTestId('pipeline-step-pii_guard');
+    await expect(piiGuard.getByTestId('health-badge')).toHaveAttribute('data-status', 'healthy');
+    await expect(piiGuard.getByTestId('circuit-badge')).toHaveAttribute('data-state', 'closed');
+
+    const maskPii = page.getByTestId('pipeline-step-mask_pii');
+    await expect(maskPii.getByTestId('health-badge')).toHaveAttribute('data-status', 'degraded');
+    await expect(maskPii.getByTestId('health-badge')).toContainText('91.0%');
+    await expect(maskPii.getByTestId('circuit-badge')).toHaveAttribute('data-state', 'half_open');
+  });
+
+  test('opens the detail panel of a stage', async ({ page }) => {
+    await page.getByTestId('pipeline-node-mask_pii').click();
+
+    const detail = page.getByTestId('pipeline-node-detail');
+    await expect(detail.getByTestId('health-badge')).toHaveAttribute('data-status', 'degraded');
+    await expect(detail.getByTestId('circuit-badge')).toHaveAttribute('data-state', 'half_open');
+    await expect(detail).toContainText('Failures: 5');
+    await expect(detail).toContainText('Extension did not reply within 500ms');
+  });
+
+  test('dry run traces every stage of a clean payload', async ({ page }) => {
+    await dryRun(page, '{"message": "  Call ME at 555 0100  "}');
+
+    const steps = page.getByTestId('dry-run-step');
+    await expect(steps).toHaveCount(4);
+    for (const step of await steps.all()) {
+      await expect(step).toHaveAttribute('data-status', 'success');
+    }
+    await expect(steps.nth(0)).toHaveAttribute('data-ext-id', 'normalize_text');
+    await expect(steps.nth(3)).toHaveAttribute('data-ext-id', 'mask_pii');
+    await expect(page.getByTestId('dry-run-summary')).toContainText('4 steps');
+    await expect(page.getByTestId('dry-run-summary')).not.toContainText('blocked by');
+    await expect(page.getByTestId('dry-run-result')).toContainText('call me at *** ****');
+  });
+
+  test('dry run shows where a payload is blocked', async ({ page }) => {
+    await dryRun(page, '{"message": "write to jane@example.com"}');
+
+    const steps = page.getByTestId('dry-run-step');
+    await expect(steps).toHaveCount(2);
+    await expect(steps.nth(1)).toHaveAttribute('data-ext-id', 'pii_guard');
+    await expect(steps.nth(1)).toHaveAttribute('data-status', 'rejected');
+    await expect(steps.nth(1)).toContainText('Short-circuited');
+    await expect(page.getByTestId('dry-run-summary')).toContainText('blocked by pii_guard');
+  });
+
+  test('dry run rejects a payload that is not JSON', async ({ page }) => {
+    await dryRun(page, '{"message": ');
+
+    await expect(page.getByTestId('pipeline-error')).toContainText('payload is not valid JSON');
+    await expect(page.getByTestId('dry-run-result')).toHaveCount(0);
+  });
+
+  test('dry run reports gateway failures', async ({ page, mockGateway }) => {
+    await mockGateway.inject({ method: 'POST', path: '/api/v1/policies/dry-run', status: 500 });
+
+    await dryRun(page, '{"message": "test"}');
+
+    await expect(page.getByTestId('pipeline-error')).toContainText('Dry-run failed');
+    await expect(page.getByTestId('dry-run-result')).toHaveCount(0);
+  });
+
+  test('switches to another policy', async ({ page }) => {
+    await page.getByTestId('pipeline-policy-id').fill('policy_003');
+    await page.getByTestId('pipeline-load-policy').click();
+
+    // policy_003 routes to openai without any extensions
+    await expect(page.getByTestId('pipeline-node-normalize_text')).toHaveCount(0);
+    await expect(page.getByTestId('pipeline-node-provider')).toContainText('openai');
+
+    await dryRun(page, '{"message": "write to jane@example.com"}');
+    await expect(page.getByTestId('dry-run-step')).toHaveCount(1);
+    await expect(page.getByTestId('dry-run-step')).toHaveAttribute('data-status', 'success');
+  });
+
+  test('shows an error for an unknown policy', async ({ page }) => {
+    await page.getByTestId('pipeline-policy-id').fill('missing_policy');
+    await page.getByTestId('pipeline-load-policy').click();
+
+    await expect(page.getByTestId('pipeline-error')).toContainText('Failed to load policy');
+    await expect(page.getByTestId('pipeline-graph')).toHaveCount(0);
+  });
+
+  test.describe('with open circuits', () => {
+    test.use({ scenario: 'circuit_open' });
+
+    test('marks every stage as open and unhealthy', async ({ page }) => {
+      for (const id of ['normalize_text', 'pii_guard', 'mask_pii']) {
+        await expect(page.getByTestId(`pipeline-node-${id}`)).toHaveAttribute('data-circuit', 'open');
+        await expect(page.getByTestId(`pipeline-node-${id}`)).toHaveAttribute('data-tone', 'open');
+
+        const step = page.getByTestId(`pipeline-step-${id}`);
+        await expect(step.getByTestId('health-badge')).toHaveAttribute('data-status', 'unhealthy');
+        await expect(step.getByTestId('circuit-badge')).toHaveAttribute('data-state', 'open');
+      }
+    });
+
+    test('shows the failure count in the detail panel', async ({ page }) => {
+      await page.getByTestId('pipeline-node-pii_guard').click();
+
+      const detail = page.getByTestId('pipeline-node-detail');
+      await expect(detail.getByTestId('circuit-badge')).toHaveAttribute('data-state', 'open');
+      await expect(detail).toContainText('Failures: 20');
+    });
+  });
+});
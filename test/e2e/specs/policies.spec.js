@@ -0,0 +1,192 @@
+// @ts-check
+const { test, expect, login } = require('../fixtures/scenario');
+
+/**
+ * E2E tests for PoliciesLive
+ *
+ * The mock gateway seeds tenant_dev with `default` (normalize_text → pii_guard →
+ * openai → mask_pii) and policy_003, policy_006, ... policy_018; tenant_2 owns
+ * policy_004 and policy_005. Loading a scenario drops saved revisions, so every
+ * policy starts at revision 1.
+ * Run with: npm test -- policies
+ */
+
+/**
+ * @param {import('@playwright/test').Page} page
+ * @param {string} policyId
+ */
+async function loadPolicy(page, policyId) {
+  await page.getByTestId('policy-id-input').fill(policyId);
+  await page.getByTestId('policy-load').click();
+}
+
+test.describe('PoliciesLive', () => {
+  test.beforeEach(async ({ page }) => {
+    await login(page, { tenant: 'tenant_dev' });
+    await page.goto('/app/tenant_dev/policies');
+  });
+
+  test('lists the policies of the tenant', async ({ page }) => {
+    await expect(page.getByTestId('policy-tenant')).toHaveText('tenant_dev');
+    await expect(page.getByTestId('policy-list-item')).toHaveCount(7);
+    await expect(page.getByTestId('policy-list-item').first()).toHaveText('default');
+  });
+
+  test('loads a policy into the editor', async ({ page }) => {
+    await loadPolicy(page, 'default');
+
+    await expect(page.getByTestId('policy-original')).toContainText('"provider": "openai"');
+    await expect(page.getByTestId('policy-editor')).toHaveValue(/"id": "pii_guard"/);
+    await expect(page.getByTestId('policy-editor-status')).toHaveText('(saved)');
+    await expect(page.getByTestId('policy-revision')).toHaveCount(1);
+  });
+
+  test('edits and saves a policy after reviewing the diff', async ({ page }) => {
+    await loadPolicy(page, 'default');
+    const editor = page.getByTestId('policy-editor');
+    await expect(editor).toHaveValue(/"provider": "openai"/);
+
+    const edited = (await editor.inputValue()).replace('"provider": "openai"', '"provider": "anthropic"');
+    await editor.fill(edited);
+    await expect(page.getByTestId('policy-editor-status')).toHaveText('(changed)');
+
+    await page.getByTestId('policy-save').click();
+    await expect(page.getByTestId('policy-diff')).toContainText('tenant_dev/default');
+    await page.getByTestId('policy-diff-confirm').click();
+
+    await expect(page.getByTestId('policy-diff')).toHaveCount(0);
+    await expect(page.locator('#flash-group')).toContainText('Policy saved');
+    await expect(page.getByTestId('policy-original')).toContainText('"provider": "anthropic"');
+    await expect(page.getByTestId('policy-editor-status')).toHaveText('(saved)');
+    await expect(page.getByTestId('policy-revision')).toHaveCount(2);
+  });
+
+  test('cancelling the diff keeps the edit unsaved', async ({ page }) => {
+    await loadPolicy(page, 'default');
+    const editor = page.getByTestId('policy-editor');
+    await expect(editor).toHaveValue(/"provider": "openai"/);
+    await editor.fill((await editor.inputValue()).replace('"openai"', '"custom"'));
+
+    await page.getByTestId('policy-save').click();
+    await page.getByTestId('policy-diff-cancel').click();
+
+    await expect(page.getByTestId('policy-diff')).toHaveCount(0);
+    await expect(page.getByTestId('policy-editor-status')).toHaveText('(changed)');
+    await expect(page.getByTestId('policy-original')).toContainText('"provider": "openai"');
+    await expect(page.getByTestId('policy-revision')).toHaveCount(1);
+  });
+
+  test('rejects invalid JSON with its position', async ({ page }) => {
+    await loadPolicy(page, 'default');
+    await expect(page.getByTestId('policy-editor')).toHaveValue(/"rules"/);
+
+    await page.getByTestId('policy-editor').fill('{\n  "rules": [\n}');
+    await expect(page.getByTestId('policy-editor-issues')).not.toBeEmpty();
+
+    await page.getByTestId('policy-save').click();
+
+    await expect(page.getByTestId('policy-error')).toContainText('Invalid JSON at line 3');
+    await expect(page.getByTestId('policy-diff')).toHaveCount(0);
+  });
+
+  test('rejects policies that do not match the schema', async ({ page }) => {
+    await loadPolicy(page, 'default');
+    await expect(page.getByTestId('policy-editor')).toHaveValue(/"rules"/);
+
+    await page.getByTestId('policy-editor').fill('{"rules": [{"condition": "true"}]}');
+    await page.getByTestId('policy-save').click();
+
+    await expect(page.getByTestId('policy-error')).toContainText('Policy does not match schema');
+  });
+
+  test('shows an error when the gateway rejects the save', async ({ page, mockGateway }) => {
+    await mockGateway.inject({ method: 'PUT', path: '/api/v1/policies/:tenant_id/:policy_id', status: 500 });
+
+    await loadPolicy(page, 'default');
+    const editor = page.getByTestId('policy-editor');
+    await expect(editor).toHaveValue(/"provider": "openai"/);
+    await editor.fill((await editor.inputValue()).replace('"openai"', '"custom"'));
+    await page.getByTestId('policy-save').click();
+    await page.getByTestId('policy-diff-confirm').click();
+
+    await expect(page.getByTestId('policy-error')).toContainText('Failed to save policy.');
+    await expect(page.getByTestId('policy-revision')).toHaveCount(1);
+  });
+
+  test('switches between policies', async ({ page }) => {
+    await loadPolicy(page, 'default');
+    await expect(page.getByTestId('policy-original')).toContainText('"policy_id": "default"');
+
+    await loadPolicy(page, 'policy_003');
+    await expect(page.getByTestId('policy-original')).toContainText('"policy_id": "policy_003"');
+    await expect(page.getByTestId('policy-original')).not.toContainText('pii_guard');
+  });
+
+  test('shows an error for an unknown policy', async ({ page }) => {
+    await loadPolicy(page, 'missing_policy');
+
+    await expect(page.getByTestId('policy-error')).toContainText('Failed to load policy.');
+  });
+
+  test('links to the pipeline inspector for the selected policy', async ({ page }) => {
+    await loadPolicy(page, 'policy_003');
+    await expect(page.getByTestId('policy-original')).toContainText('"policy_id": "policy_003"');
+
+    await page.getByTestId('policy-pipeline-link').click();
+
+    await expect(page).toHaveURL(/\/app\/tenant_dev\/extensions\/pipeline\?policy_id=policy_003/);
+    await expect(page.getByTestId('pipeline-policy-id')).toHaveValue('policy_003');
+  });
+
+  test('policies are scoped to the tenant in the URL', async ({ page }) => {
+    // policy_004 belongs to tenant_2
+    await loadPolicy(page, 'policy_004');
+
+    await expect(page.getByTestId('policy-error')).toContainText('Failed to load policy.');
+  });
+
+  test.describe('with an empty tenant', () => {
+    test.use({ scenario: 'empty_tenant' });
+
+    test('shows no policies', async ({ page }) => {
+      await expect(page.getByTestId('policy-list')).toBeVisible();
+      await expect(page.getByTestId('policy-list-item')).toHaveCount(0);
+    });
+  });
+});
+
+test.describe('PoliciesLive with several tenants', () => {
+  test.beforeEach(async ({ page }) => {
+    await login(page, { tenant: 'tenant_dev', tenants: 'tenant_dev,tenant_2' });
+    await page.goto('/app/tenant_dev/policies');
+  });
+
+  test('switching tenant lists that tenant\'s policies', async ({ page }) => {
+    await expect(page.getByTestId('policy-list-item')).toHaveCount(7);
+
+    await page.getByTestId('tenant-switcher').click();
+    await page.getByTestId('tenant-option-tenant_2').click();
+
+    await expect(page).toHaveURL(/\/app\/tenant_2\/policies/);
+    await expect(page.getByTestId('policy-tenant')).toHaveText('tenant_2');
+    await expect(page.getByTestId('policy-list-item')).toHaveText(['policy_004', 'policy_005']);
+
+    await loadPolicy(page, 'policy_004');
+    await expect(page.getByTestId('policy-original')).toContainText('"tenant_id": "tenant_2"');
+  });
+});
+
+test.describe('PoliciesLive as a viewer', () => {
+  test.beforeEach(async ({ page }) => {
+    await login(page, { tenant: 'tenant_dev', roles: 'viewer' });
+    await page.goto('/app/tenant_dev/policies');
+  });
+
+  test('can load but not save or delete', async ({ page }) => {
+    await loadPolicy(page, 'default');
+
+    await expect(page.getByTestId('policy-original')).toContainText('"policy_id": "default"');
+    await expect(page.getByTestId('policy-save')).toBeDisabled();
+    await expect(page.getByTestId('policy-delete')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,149 @@
+// @ts-check
+const { test, expect, login } = require('../fixtures/scenario');
+
+/**
+ * E2E tests for the TagsInput component, on the new extension form
+ *
+ * Suggestions are llm, streaming, openai, anthropic, rag, vector-db, chat,
+ * completion, ai, ml, nlp and embeddings; at most 10 tags.
+ * Run with: npm test -- tags_input
+ */
+test.describe('TagsInput', () => {
+  test.beforeEach(async ({ page }) => {
+    await login(page);
+    await page.goto('/app/test_tenant/extensions/new');
+  });
+
+  test('Enter adds a tag without submitting the form', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.fill('llm');
+    await field.press('Enter');
+
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['llm']);
+    await expect(field).toHaveValue('');
+    await expect(field).toBeFocused();
+    await expect(page.getByTestId('tags-input-count')).toHaveText('(1/10)');
+    await expect(page).toHaveURL(/\/app\/test_tenant\/extensions\/new$/);
+  });
+
+  test('comma adds a tag', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.fill('rag');
+    await field.press(',');
+    await field.fill('chat');
+    await field.press(',');
+
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['rag', 'chat']);
+    await expect(field).toHaveValue('');
+  });
+
+  test('Backspace on an empty field removes the last tag', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    for (const tag of ['one', 'two']) {
+      await field.fill(tag);
+      await field.press('Enter');
+    }
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['one', 'two']);
+
+    await field.press('Backspace');
+
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['one']);
+  });
+
+  test('Backspace while typing only edits the text', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.fill('one');
+    await field.press('Enter');
+
+    await field.pressSequentially('ab');
+    await field.press('Backspace');
+
+    await expect(field).toHaveValue('a');
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['one']);
+  });
+
+  test('the remove button removes a tag', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    for (const tag of ['one', 'two']) {
+      await field.fill(tag);
+      await field.press('Enter');
+    }
+
+    await page.getByTestId('tags-input-tag').filter({ hasText: 'one' }).getByTestId('tags-input-remove').click();
+
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['two']);
+  });
+
+  test('typing filters suggestions and clicking one adds it', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.pressSequentially('str');
+
+    const suggestions = page.getByTestId('tags-input-suggestion');
+    await expect(suggestions).toHaveText(['streaming']);
+
+    await suggestions.first().click();
+
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['streaming']);
+    await expect(page.getByTestId('tags-input-suggestions')).toHaveCount(0);
+    await expect(field).toHaveValue('');
+  });
+
+  test('suggestions leave out tags that are already added', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.fill('openai');
+    await field.press('Enter');
+
+    await field.pressSequentially('ai');
+
+    await expect(page.getByTestId('tags-input-suggestion')).toHaveText(['ai']);
+  });
+
+  test('clearing the field hides the suggestions', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.pressSequentially('ll');
+    await expect(page.getByTestId('tags-input-suggestions')).toBeVisible();
+
+    await field.fill('');
+
+    await expect(page.getByTestId('tags-input-suggestions')).toHaveCount(0);
+  });
+
+  test('popular tags are added with one click', async ({ page }) => {
+    await page.getByTestId('tags-input-popular').filter({ hasText: '#rag' }).click();
+
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['rag']);
+    await expect(page.getByTestId('tags-input-popular').filter({ hasText: '#rag' })).toHaveCount(0);
+  });
+
+  test('invalid and duplicate tags show an error and keep the text', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    await field.fill('not valid!');
+    await field.press('Enter');
+
+    await expect(page.getByTestId('tags-input-error')).toHaveText('Tag must be alphanumeric with hyphens');
+    await expect(page.getByTestId('tags-input-tag')).toHaveCount(0);
+    await expect(field).toHaveValue('not valid!');
+
+    await field.fill('llm');
+    await field.press('Enter');
+    await expect(page.getByTestId('tags-input-error')).toHaveCount(0);
+
+    await field.fill('llm');
+    await field.press('Enter');
+    await expect(page.getByTestId('tags-input-error')).toHaveText('Tag already exists');
+    await expect(page.getByTestId('tags-input-tag')).toHaveText(['llm']);
+  });
+
+  test('the field is disabled once the maximum is reached', async ({ page }) => {
+    const field = page.getByTestId('tags-input-field');
+    for (let i = 1; i <= 10; i++) {
+      await field.fill(`tag-${i}`);
+      await field.press('Enter');
+      await expect(page.getByTestId('tags-input-tag')).toHaveCount(i);
+    }
+
+    await expect(page.getByTestId('tags-input-count')).toHaveText('(10/10)');
+    await expect(field).toBeDisabled();
+    await expect(page.getByTestId('tags-input-popular')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,23 @@
+defmodule UiWebWeb.ChannelCase do
+  @moduledoc """
+  This module defines the test case to be used by
+  channel tests.
+
+  Such tests rely on `Phoenix.ChannelTest` and also
+  import other functionality to make it easier
+  to build common data structures and connect sockets.
+  """
+
+  use ExUnit.CaseTemplate
+
+  using do
+    quote do
+      # Import conveniences for testing with channels
+      import Phoenix.ChannelTest
+      import UiWebWeb.ChannelCase
+
+      # The default endpoint for testing
+      @endpoint UiWebWeb.Endpoint
+    end
+  end
+end
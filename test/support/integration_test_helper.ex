@@ -327,7 +327,7 @@ defmodule UiWeb.IntegrationTestHelper do
       {:gateway_url, fn -> System.get_env("GATEWAY_URL") || @gateway_url end},
       {:gateway_available, &gateway_available?/0},
       {:phoenix_pubsub, fn -> Process.whereis(UiWeb.PubSub) != nil end},
-      {:sse_bridge, fn -> Process.whereis(UiWeb.SSEBridge) != nil end}
+      {:sse_bridge, fn -> Process.whereis(UiWeb.SSEBridge.Supervisor) != nil end}
     ]
     
     Enum.map(checks, fn {name, check_fn} ->
@@ -42,7 +42,15 @@ defmodule UiWebWeb.LiveViewCase do
     conn = Phoenix.ConnTest.build_conn()
     
     # Create a test user
-    test_user = %{id: "test_user_#{System.unique_integer([:positive])}", tenant_id: "test_tenant"}
+    # Allowed tenants end up in the token's "tenants" claim: test_tenant plus the mock
+    # gateway's seeded tenant_dev and its failing force_error tenant. Users are admins
+    # unless the test is tagged with another role, e.g. `@tag role: "viewer"`
+    test_user = %{
+      id: "test_user_#{System.unique_integer([:positive])}",
+      tenant_id: "test_tenant",
+      tenants: ["test_tenant", "tenant_dev", "force_error"],
+      roles: [tags[:role] || "admin"]
+    }
     
     # Sign in with Guardian - encode token and set it properly
     case UiWeb.Auth.Guardian.encode_and_sign(test_user) do
@@ -5,24 +5,97 @@ defmodule UiWeb.Test.MockGateway do
   Implements all required Gateway endpoints:
   - GET /health - Health check
   - GET /metrics - Metrics endpoint
-  - GET /api/v1/messages - List messages
+  - GET /api/v1/messages - List messages by offset or `cursor` (`pagination.next_cursor`; filters of `UiWeb.Messages.Query`: status, type, search, tag, subject, user, from_date, to_date, exclude_*)
   - POST /api/v1/messages - Create message
   - GET /api/v1/messages/:id - Get message by ID
+  - POST /api/v1/messages/:id/retry - Re-queue a message (`msg_fail` fails)
+  - GET /api/v1/messages/stream - SSE stream of message events (replays from Last-Event-ID)
+  - GET/PUT/DELETE /api/v1/policies/:tenant_id/:policy_id - Policies, with every mutation kept as a revision
+  - GET /api/v1/policies/:tenant_id/:policy_id/revisions[/:revision] - Revision history
+  - POST /api/v1/policies/:tenant_id/:policy_id/rollback - Restore a revision
+  - GET /api/v1/audit - Audit log of policy mutations (filter by tenant_id, user, policy_id)
+  - POST /api/v1/policies/dry-run - Dry run with a per-extension trace
+  - GET/PUT/DELETE /api/v1/policies/:tenant_id/:policy_id/dry-run-cases[/:name] - Saved dry-run payloads
+  - GET /api/v1/alerts/rules, PUT/DELETE /api/v1/alerts/rules/:tenant_id/:rule_id - Alert rules
+  - GET /api/v1/saved-views/:tenant_id/:user_id, PUT/DELETE .../:view_id - Saved message views
+  - GET /api/v1/message-templates/:tenant_id, PUT/DELETE .../:template_id - Message composer templates
+  - GET/POST/DELETE /_test/scenario - Load a named scenario with faults and delays (see `UiWeb.Test.MockScenarios`)
   """
   
   use Plug.Router
+
+  alias UiWeb.Test.MockScenarios
   
   @ets_table :mock_gateway_deleted_ids
+  @events_table :mock_gateway_message_events
+  @revisions_table :mock_gateway_policy_revisions
+  @audit_table :mock_gateway_policy_audit
+  @dry_run_cases_table :mock_gateway_dry_run_cases
+  @alert_rules_table :mock_gateway_alert_rules
+  @saved_views_table :mock_gateway_saved_views
+  @templates_table :mock_gateway_message_templates
+  @stream_poll_ms 1_000
   
-  # Initialize ETS table for storing deleted message IDs (shared across processes)
+  # Initialize ETS tables for deleted message IDs, the message event log and policy revisions/audit (shared across processes)
   def init(opts) do
-    # Create ETS table if it doesn't exist
+    # Create ETS tables if they don't exist
     case :ets.whereis(@ets_table) do
       :undefined ->
         :ets.new(@ets_table, [:set, :public, :named_table])
       _ ->
         :ok
     end
+
+    case :ets.whereis(@events_table) do
+      :undefined ->
+        :ets.new(@events_table, [:ordered_set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    case :ets.whereis(@revisions_table) do
+      :undefined ->
+        :ets.new(@revisions_table, [:set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    case :ets.whereis(@audit_table) do
+      :undefined ->
+        :ets.new(@audit_table, [:ordered_set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    case :ets.whereis(@dry_run_cases_table) do
+      :undefined ->
+        :ets.new(@dry_run_cases_table, [:set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    case :ets.whereis(@alert_rules_table) do
+      :undefined ->
+        :ets.new(@alert_rules_table, [:set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    case :ets.whereis(@saved_views_table) do
+      :undefined ->
+        :ets.new(@saved_views_table, [:set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    case :ets.whereis(@templates_table) do
+      :undefined ->
+        :ets.new(@templates_table, [:set, :public, :named_table])
+      _ ->
+        :ok
+    end
+
+    MockScenarios.init_table()
     opts
   end
   
@@ -30,6 +103,7 @@ defmodule UiWeb.Test.MockGateway do
     parsers: [:urlencoded, :multipart, :json],
     json_decoder: Jason
   
+  plug :apply_scenario
   plug :match
   plug :dispatch
   
@@ -112,18 +186,14 @@ defmodule UiWeb.Test.MockGateway do
       
       _ ->
         limit = to_int_default(Map.get(query, "limit"), 50)
-        offset = to_int_default(Map.get(query, "offset"), 0) |> max(0)
-        status = Map.get(query, "status")
-        type = Map.get(query, "type")
-        search = Map.get(query, "search")
+        # An opaque cursor (see encode_cursor/1) replaces the offset
+        offset = decode_cursor(Map.get(query, "cursor")) || to_int_default(Map.get(query, "offset"), 0) |> max(0)
         sort = Map.get(query, "sort", "created_at")
         order = Map.get(query, "order", "desc")
         
         # Filter messages based on query params
         messages = get_all_mock_messages()
-          |> filter_messages_by_status(status)
-          |> filter_messages_by_type(type)
-          |> filter_messages_by_search(search)
+          |> filter_messages(query)
           |> sort_messages(sort, order)
         
         total = length(messages)
@@ -137,12 +207,43 @@ defmodule UiWeb.Test.MockGateway do
             total: total,
             limit: limit,
             offset: offset,
-            has_more: offset + limit < total
+            has_more: offset + limit < total,
+            next_cursor: if(offset + limit < total, do: encode_cursor(offset + limit))
           }
         })
     end
   end
   
+  # SSE stream of message events.
+  # Replays every event after `Last-Event-ID` (header, or `last_event_id` query param
+  # for EventSource clients that reconnect manually), then follows new events.
+  # `follow=false` closes the stream right after the replay.
+  get "/api/v1/messages/stream" do
+    last_id =
+      case get_req_header(conn, "last-event-id") do
+        [header | _] -> to_int_default(header, 0)
+        [] -> to_int_default(Map.get(conn.query_params, "last_event_id"), 0)
+      end
+
+    conn =
+      conn
+      |> put_resp_content_type("text/event-stream")
+      |> put_resp_header("cache-control", "no-cache")
+      |> send_chunked(200)
+
+    case send_events_since(conn, last_id) do
+      {:ok, conn, last_id} ->
+        if Map.get(conn.query_params, "follow") == "false" do
+          conn
+        else
+          follow_events(conn, last_id)
+        end
+
+      {:error, conn} ->
+        conn
+    end
+  end
+  
   # Create message endpoint
   post "/api/v1/messages" do
     params = conn.body_params
@@ -160,6 +261,7 @@ defmodule UiWeb.Test.MockGateway do
         
         # Store message in process dictionary
         store_mock_message(message_id, message)
+        record_event("message_created", message)
         
         json_response(conn, 201, message)
       
@@ -221,6 +323,7 @@ defmodule UiWeb.Test.MockGateway do
           
           # Update stored message
           store_mock_message(id, updated)
+          record_event("message_updated", updated)
           
           json_response(conn, 200, updated)
       end
@@ -235,6 +338,7 @@ defmodule UiWeb.Test.MockGateway do
     else
       case delete_mock_message(id) do
         :ok ->
+          record_event("message_deleted", %{"id" => id})
           send_resp(conn, 204, "")  # 204 No Content - no body
         
         :not_found ->
@@ -253,8 +357,12 @@ defmodule UiWeb.Test.MockGateway do
     
     deleted_count = Enum.count(to_delete, fn id ->
       case delete_mock_message(id) do
-        :ok -> true
-        :not_found -> false
+        :ok ->
+          record_event("message_deleted", %{"id" => id})
+          true
+
+        :not_found ->
+          false
       end
     end)
     
@@ -272,45 +380,77 @@ defmodule UiWeb.Test.MockGateway do
     end
   end
 
+  # Retry message endpoint: re-queues the message as pending
+  post "/api/v1/messages/:id/retry" do
+    # Special ID that always fails for testing
+    if id == "msg_fail" do
+      json_response(conn, 500, %{"error" => "retry_failed"})
+    else
+      case get_mock_message(id) do
+        nil ->
+          json_response(conn, 404, %{"error" => "Message not found"})
+
+        message ->
+          retried =
+            message
+            |> Map.put("status", "pending")
+            |> Map.put("updated_at", DateTime.utc_now() |> DateTime.to_iso8601())
+
+          record_event("message_updated", retried)
+          json_response(conn, 202, retried)
+      end
+    end
+  end
+
   # Export messages endpoint
+  # Accepts either `message_ids` or `filters` (the params of the list endpoint) and
+  # streams the result chunked, one record per chunk.
   post "/api/v1/messages/export" do
     # Plug.Parsers already decoded JSON into conn.body_params
-    %{"message_ids" => ids, "format" => format} = conn.body_params
-    
+    params = conn.body_params
+    ids = Map.get(params, "message_ids") || []
+    filters = Map.get(params, "filters") || %{}
+    format = Map.get(params, "format", "json")
+
     # Force error if msg_fail or msg_fail_export is in the list
-    if "msg_fail" in ids || "msg_fail_export" in ids do
-      json_response(conn, 500, %{"error" => "export_failed"})
-    else
-      messages = Enum.map(ids, fn id ->
-        case get_mock_message(id) do
-          nil -> nil
-          msg -> msg
-        end
-      end)
-      |> Enum.filter(&(&1 != nil))
-      
-      {content, content_type} = case format do
-        "json" ->
-          {Jason.encode!(messages, pretty: true), "application/json"}
-        
-        "csv" ->
-          # Simple CSV export
-          headers = ["id", "type", "status", "created_at"]
-          rows = Enum.map(messages, fn msg ->
-            [msg["id"], msg["type"] || "", msg["status"] || "", msg["created_at"] || ""]
+    cond do
+      "msg_fail" in ids || "msg_fail_export" in ids ->
+        json_response(conn, 500, %{"error" => "export_failed"})
+
+      Map.get(filters, "status") == "force_error" ->
+        json_response(conn, 500, %{"error" => "export_failed"})
+
+      true ->
+        messages =
+          if Map.has_key?(params, "filters") do
+            get_all_mock_messages()
+            |> filter_messages(filters)
+            |> sort_messages("created_at", "desc")
+          else
+            ids
+            |> Enum.map(&get_mock_message/1)
+            |> Enum.reject(&is_nil/1)
+          end
+
+        conn =
+          conn
+          |> put_resp_content_type(export_content_type(format))
+          |> send_chunked(200)
+
+        chunks = export_chunks(messages, format)
+
+        # msg_drop_export: the connection dies after the first chunk
+        chunks = if "msg_drop_export" in ids, do: Enum.take(chunks, 1), else: chunks
+
+        conn =
+          Enum.reduce_while(chunks, conn, fn chunk, conn ->
+            case chunk(conn, chunk) do
+              {:ok, conn} -> {:cont, conn}
+              {:error, _closed} -> {:halt, conn}
+            end
           end)
-          content = ([headers | rows]
-            |> Enum.map(&Enum.join(&1, ","))
-            |> Enum.join("\n"))
-          {content, "text/csv"}
-        
-        _ ->
-          {Jason.encode!(messages), "application/json"}
-      end
-      
-      conn
-      |> put_resp_content_type(content_type)
-      |> send_resp(200, content)
+
+        if "msg_drop_export" in ids, do: Process.exit(self(), :kill), else: conn
     end
   end
 
@@ -409,15 +549,7 @@ defmodule UiWeb.Test.MockGateway do
     end
   end
 
-  # GET /api/v1/extensions/:id
-  get "/api/v1/extensions/:id" do
-    extension = Enum.find(mock_extensions(), fn ext -> ext["id"] == id end)
-
-    case extension do
-      nil -> json_response(conn, 404, %{"error" => "Not found"})
-      ext -> json_response(conn, 200, ext)
-    end
-  end
+  # Static extension paths must be matched before /api/v1/extensions/:id
 
   # GET /api/v1/extensions/health
   get "/api/v1/extensions/health" do
@@ -443,6 +575,17 @@ defmodule UiWeb.Test.MockGateway do
         "p99_latency_ms" => 40.0,
         "last_success" => "2025-01-27T12:00:00Z",
         "last_failure" => nil
+      },
+      "mask_pii" => %{
+        "extension_id" => "mask_pii",
+        "status" => "degraded",
+        "success_rate" => 0.91,
+        "avg_latency_ms" => 42.0,
+        "p50_latency_ms" => 35.0,
+        "p95_latency_ms" => 80.0,
+        "p99_latency_ms" => 120.0,
+        "last_success" => "2025-01-27T12:00:00Z",
+        "last_failure" => "2025-01-27T11:58:00Z"
       }
     })
   end
@@ -463,10 +606,33 @@ defmodule UiWeb.Test.MockGateway do
         "opened_at" => nil,
         "failure_count" => 0,
         "error_rate" => 0.0
+      },
+      "mask_pii" => %{
+        "extension_id" => "mask_pii",
+        "state" => "half_open",
+        "opened_at" => "2025-01-27T11:58:00Z",
+        "failure_count" => 5,
+        "error_rate" => 0.09
       }
     })
   end
 
+  # GET /api/v1/extensions/:id/errors - Recent extension failures, newest first
+  get "/api/v1/extensions/:id/errors" do
+    limit = to_int_default(conn.query_params["limit"], 10)
+    json_response(conn, 200, %{"items" => mock_extension_errors(id) |> Enum.take(limit)})
+  end
+
+  # GET /api/v1/extensions/:id
+  get "/api/v1/extensions/:id" do
+    extension = Enum.find(mock_extensions(), fn ext -> ext["id"] == id end)
+
+    case extension do
+      nil -> json_response(conn, 404, %{"error" => "Not found"})
+      ext -> json_response(conn, 200, ext)
+    end
+  end
+
   # GET /api/v1/policies/:tenant_id/:policy_id/complexity
   get "/api/v1/policies/:tenant_id/:policy_id/complexity" do
     tenant_id = conn.path_params["tenant_id"]
@@ -494,40 +660,145 @@ defmodule UiWeb.Test.MockGateway do
     json_response(conn, 200, %{"complexity" => complexity})
   end
 
-  # POST /api/v1/policies/dry-run
+  # POST /api/v1/policies/dry-run - Runs the stored policy's pipeline against a payload
+  # and returns a per-step trace (input/output payload, status, latency)
   post "/api/v1/policies/dry-run" do
     %{"tenant_id" => tenant_id, "policy_id" => policy_id, "payload" => payload} = conn.body_params
 
-    # Mock dry-run result
-    result = %{
-      "ok" => true,
-      "result" => %{
-        "executed_extensions" => [
-          %{
-            "extension_id" => "normalize_text",
-            "type" => "pre",
-            "status" => "success",
-            "latency_ms" => 12.5,
-            "output" => %{
-              "payload" => "TEST"
-            }
-          }
-        ],
-        "blocked_by" => nil,
-        "final_payload" => payload,
-        "provider_selected" => "openai",
-        "post_processors_executed" => [
-          %{
-            "extension_id" => "mask_pii",
-            "type" => "post",
-            "status" => "success",
-            "latency_ms" => 8.3
-          }
-        ]
-      }
-    }
+    case {policy_id, policy_revisions(tenant_id, policy_id)} do
+      {"policy_fail", _} ->
+        json_response(conn, 500, %{"error" => "dry_run_failed"})
+
+      {_, []} ->
+        json_response(conn, 404, %{"error" => "Policy not found"})
+
+      {_, [%{"policy" => policy} | _]} ->
+        json_response(conn, 200, %{"ok" => true, "result" => dry_run(policy, payload)})
+    end
+  end
+
+  # GET /api/v1/policies/:tenant_id/:policy_id/dry-run-cases - Saved dry-run payloads
+  get "/api/v1/policies/:tenant_id/:policy_id/dry-run-cases" do
+    key = {conn.path_params["tenant_id"], conn.path_params["policy_id"]}
+
+    items =
+      case :ets.lookup(@dry_run_cases_table, key) do
+        [{_key, cases}] -> cases |> Map.values() |> Enum.sort_by(& &1["name"])
+        [] -> []
+      end
+
+    json_response(conn, 200, %{"items" => items})
+  end
+
+  # PUT /api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name - Create or replace a saved payload
+  put "/api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name" do
+    key = {conn.path_params["tenant_id"], conn.path_params["policy_id"]}
+
+    case conn.body_params do
+      %{"payload" => payload} = body ->
+        saved = %{
+          "name" => name,
+          "payload" => payload,
+          "expected" => body["expected"],
+          "saved_at" => DateTime.utc_now() |> DateTime.to_iso8601()
+        }
+
+        cases =
+          case :ets.lookup(@dry_run_cases_table, key) do
+            [{_key, cases}] -> cases
+            [] -> %{}
+          end
+
+        :ets.insert(@dry_run_cases_table, {key, Map.put(cases, name, saved)})
+        json_response(conn, 200, saved)
+
+      _ ->
+        json_response(conn, 400, %{"error" => "payload is required"})
+    end
+  end
+
+  # DELETE /api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name
+  delete "/api/v1/policies/:tenant_id/:policy_id/dry-run-cases/:name" do
+    key = {conn.path_params["tenant_id"], conn.path_params["policy_id"]}
+
+    case :ets.lookup(@dry_run_cases_table, key) do
+      [{_key, %{^name => _} = cases}] ->
+        :ets.insert(@dry_run_cases_table, {key, Map.delete(cases, name)})
+        json_response(conn, 200, %{"deleted" => true})
+
+      _ ->
+        json_response(conn, 404, %{"error" => "Dry-run case not found"})
+    end
+  end
+
+  # GET /api/v1/alerts/rules - Alert rules, optionally of one tenant (tenant_id query param)
+  get "/api/v1/alerts/rules" do
+    tenant_id = if conn.query_params["tenant_id"] in [nil, ""], do: :_, else: conn.query_params["tenant_id"]
+    list_items(conn, @alert_rules_table, {tenant_id, :_}, &{&1["tenant_id"], &1["name"]})
+  end
+
+  # PUT /api/v1/alerts/rules/:tenant_id/:rule_id - Create or replace a rule
+  put "/api/v1/alerts/rules/:tenant_id/:rule_id" do
+    case conn.body_params do
+      %{"kind" => kind, "name" => name} = body when is_binary(kind) and is_binary(name) ->
+        put_item(conn, @alert_rules_table, {tenant_id, rule_id}, Map.merge(body, %{"id" => rule_id, "tenant_id" => tenant_id}))
+
+      _ ->
+        json_response(conn, 400, %{"error" => "name and kind are required"})
+    end
+  end
+
+  # DELETE /api/v1/alerts/rules/:tenant_id/:rule_id
+  delete "/api/v1/alerts/rules/:tenant_id/:rule_id" do
+    delete_item(conn, @alert_rules_table, {tenant_id, rule_id}, "Alert rule not found")
+  end
+
+  # GET /api/v1/saved-views/:tenant_id/:user_id - A user's saved message views
+  get "/api/v1/saved-views/:tenant_id/:user_id" do
+    list_items(conn, @saved_views_table, {tenant_id, user_id, :_}, & &1["name"])
+  end
+
+  # PUT /api/v1/saved-views/:tenant_id/:user_id/:view_id - Create or replace a view
+  put "/api/v1/saved-views/:tenant_id/:user_id/:view_id" do
+    case conn.body_params do
+      %{"name" => name, "filters" => filters} = body when is_binary(name) and is_map(filters) ->
+        view =
+          body
+          |> Map.take(["name", "filters", "pinned", "default"])
+          |> Map.merge(%{"id" => view_id, "tenant_id" => tenant_id, "user_id" => user_id})
+
+        put_item(conn, @saved_views_table, {tenant_id, user_id, view_id}, view)
+
+      _ ->
+        json_response(conn, 400, %{"error" => "name and filters are required"})
+    end
+  end
+
+  # DELETE /api/v1/saved-views/:tenant_id/:user_id/:view_id
+  delete "/api/v1/saved-views/:tenant_id/:user_id/:view_id" do
+    delete_item(conn, @saved_views_table, {tenant_id, user_id, view_id}, "Saved view not found")
+  end
+
+  # GET /api/v1/message-templates/:tenant_id - A tenant's message templates
+  get "/api/v1/message-templates/:tenant_id" do
+    list_items(conn, @templates_table, {tenant_id, :_}, & &1["name"])
+  end
+
+  # PUT /api/v1/message-templates/:tenant_id/:template_id - Create or replace a template
+  put "/api/v1/message-templates/:tenant_id/:template_id" do
+    case conn.body_params do
+      %{"name" => name, "fields" => fields} = body when is_binary(name) and is_map(fields) ->
+        template = body |> Map.take(["name", "fields"]) |> Map.merge(%{"id" => template_id, "tenant_id" => tenant_id})
+        put_item(conn, @templates_table, {tenant_id, template_id}, template)
+
+      _ ->
+        json_response(conn, 400, %{"error" => "name and fields are required"})
+    end
+  end
 
-    json_response(conn, 200, result)
+  # DELETE /api/v1/message-templates/:tenant_id/:template_id
+  delete "/api/v1/message-templates/:tenant_id/:template_id" do
+    delete_item(conn, @templates_table, {tenant_id, template_id}, "Message template not found")
   end
 
   # PUT /api/v1/extensions/:id
@@ -567,17 +838,14 @@ defmodule UiWeb.Test.MockGateway do
     end
   end
   
-  # GET /api/v1/policies/:tenant_id/:policy_id - Get specific policy
+  # GET /api/v1/policies/:tenant_id/:policy_id - Get specific policy (latest revision)
   get "/api/v1/policies/:tenant_id/:policy_id" do
     tenant_id = conn.path_params["tenant_id"]
     policy_id = conn.path_params["policy_id"]
-    
-    policy = mock_policies()
-      |> Enum.find(fn p -> p["tenant_id"] == tenant_id && p["policy_id"] == policy_id end)
-    
-    case policy do
-      nil -> json_response(conn, 404, %{"error" => "Policy not found"})
-      p -> json_response(conn, 200, p)
+
+    case policy_revisions(tenant_id, policy_id) do
+      [] -> json_response(conn, 404, %{"error" => "Policy not found"})
+      [latest | _] -> json_response(conn, 200, latest["policy"])
     end
   end
   
@@ -593,11 +861,13 @@ defmodule UiWeb.Test.MockGateway do
         json_response(conn, 500, %{"error" => "save_failed"})
       
       _ ->
-        # Store policy (in real implementation, would use ETS/Agent)
         updated = Map.merge(body, %{
           "tenant_id" => tenant_id,
           "policy_id" => policy_id
         })
+
+        action = if policy_revisions(tenant_id, policy_id) == [], do: "create", else: "update"
+        put_revision(tenant_id, policy_id, updated, actor(conn), action, nil)
         
         json_response(conn, 200, updated)
     end
@@ -614,11 +884,97 @@ defmodule UiWeb.Test.MockGateway do
         json_response(conn, 500, %{"error" => "delete_failed"})
       
       _ ->
-        # In real implementation, would remove from storage
+        # Stored revisions are dropped; seeded policies fall back to their initial version
+        :ets.delete(@revisions_table, {tenant_id, policy_id})
+        record_audit(tenant_id, policy_id, actor(conn), "delete", nil, "Deleted policy")
         json_response(conn, 200, %{"deleted" => true})
     end
   end
+
+  # GET /api/v1/policies/:tenant_id/:policy_id/revisions - Revision history, newest first
+  get "/api/v1/policies/:tenant_id/:policy_id/revisions" do
+    case policy_revisions(conn.path_params["tenant_id"], conn.path_params["policy_id"]) do
+      [] -> json_response(conn, 404, %{"error" => "Policy not found"})
+      revisions -> json_response(conn, 200, %{"items" => Enum.map(revisions, &Map.delete(&1, "policy"))})
+    end
+  end
+
+  # GET /api/v1/policies/:tenant_id/:policy_id/revisions/:revision - Single revision with document
+  get "/api/v1/policies/:tenant_id/:policy_id/revisions/:revision" do
+    revisions = policy_revisions(conn.path_params["tenant_id"], conn.path_params["policy_id"])
+
+    case find_revision(revisions, conn.path_params["revision"]) do
+      nil -> json_response(conn, 404, %{"error" => "Revision not found"})
+      revision -> json_response(conn, 200, revision)
+    end
+  end
+
+  # POST /api/v1/policies/:tenant_id/:policy_id/rollback - Restore a revision as a new revision
+  post "/api/v1/policies/:tenant_id/:policy_id/rollback" do
+    tenant_id = conn.path_params["tenant_id"]
+    policy_id = conn.path_params["policy_id"]
+    revisions = policy_revisions(tenant_id, policy_id)
+
+    case {policy_id, find_revision(revisions, conn.body_params["revision"])} do
+      {"policy_fail", _} ->
+        json_response(conn, 500, %{"error" => "rollback_failed"})
+
+      {_, nil} ->
+        json_response(conn, 404, %{"error" => "Revision not found"})
+
+      {_, %{"revision" => number, "policy" => policy}} ->
+        put_revision(tenant_id, policy_id, policy, actor(conn), "rollback", "Rolled back to revision #{number}")
+        json_response(conn, 200, policy)
+    end
+  end
+
+  # GET /api/v1/audit - Audit log of policy mutations, newest first
+  get "/api/v1/audit" do
+    query = conn.query_params
+    limit = to_int_default(query["limit"], 100)
+
+    filters =
+      [{"tenant_id", query["tenant_id"]}, {"user", query["user"]}, {"policy_id", query["policy_id"]}]
+      |> Enum.reject(fn {_key, value} -> value in [nil, ""] end)
+
+    case query["tenant_id"] do
+      "force_error" ->
+        json_response(conn, 500, %{"error" => "forced_error"})
+
+      _ ->
+        items =
+          @audit_table
+          |> :ets.select([{{{:entry, :_}, :"$1"}, [], [:"$1"]}])
+          |> Enum.filter(fn entry -> Enum.all?(filters, fn {key, value} -> entry[key] == value end) end)
+          |> Enum.reverse()
+          |> Enum.take(limit)
+
+        json_response(conn, 200, %{"items" => items})
+    end
+  end
   
+  # Test-only scenario control for E2E specs (test/e2e/fixtures/scenario.js)
+  get "/_test/scenario" do
+    json_response(conn, 200, MockScenarios.current())
+  end
+
+  # Loads a scenario on top of freshly reset mock state ("reset": false keeps the state)
+  post "/_test/scenario" do
+    params = conn.body_params
+    if params["reset"] != false, do: reset()
+
+    case MockScenarios.load(params["name"] || "default", params["params"], params["rules"] || []) do
+      {:ok, scenario} -> json_response(conn, 200, scenario)
+      {:error, message} -> json_response(conn, 422, %{"error" => message, "scenarios" => MockScenarios.names()})
+    end
+  end
+
+  delete "/_test/scenario" do
+    reset()
+    MockScenarios.reset()
+    json_response(conn, 200, MockScenarios.current())
+  end
+
   # Catch-all for undefined routes
   match _ do
     json_response(conn, 404, %{error: "Not Found"})
@@ -683,6 +1039,263 @@ defmodule UiWeb.Test.MockGateway do
     Enum.reject(all_messages, fn msg -> MapSet.member?(deleted_ids, msg["id"]) end)
   end
 
+  # Message event log helpers (backing store for the SSE stream)
+
+  @doc """
+  Appends a message event to the replayable event log and returns its id.
+  """
+  def record_event(event, data) do
+    id = :ets.update_counter(@events_table, :seq, 1, {:seq, 0})
+    :ets.insert(@events_table, {id, event, data})
+    id
+  end
+
+  # Dry-run helpers
+  #
+  # Known extensions transform the payload deterministically so traces are stable:
+  # normalize_text trims/downcases strings, pii_guard rejects strings that look like
+  # e-mail addresses (short-circuiting the pipeline), mask_pii masks digits.
+  # Other extensions pass the payload through unchanged.
+
+  defp dry_run(policy, payload) do
+    stages =
+      Enum.map(policy["pre"] || [], &{"pre", &1}) ++
+        Enum.map(policy["validators"] || [], &{"validator", &1})
+
+    {pre_steps, payload, blocked_by} = run_steps(stages, payload)
+
+    provider =
+      (policy["rules"] || [])
+      |> Enum.map(& &1["provider"])
+      |> Enum.find(&is_binary/1)
+
+    {provider_steps, post_steps, payload} =
+      if blocked_by do
+        {[], [], payload}
+      else
+        provider_step = trace_step("provider", provider || "default", "success", payload, payload)
+        {post_steps, payload, _} = run_steps(Enum.map(policy["post"] || [], &{"post", &1}), payload)
+        {[provider_step], post_steps, payload}
+      end
+
+    %{
+      "trace" => pre_steps ++ provider_steps ++ post_steps,
+      "executed_extensions" => pre_steps,
+      "blocked_by" => blocked_by,
+      "final_payload" => payload,
+      "provider_selected" => if(blocked_by, do: nil, else: provider),
+      "post_processors_executed" => post_steps
+    }
+  end
+
+  defp run_steps(stages, payload) do
+    Enum.reduce_while(stages, {[], payload, nil}, fn {type, ext}, {steps, input, nil} ->
+      id = ext["id"]
+
+      case run_extension(id, input) do
+        {:ok, output} ->
+          {:cont, {steps ++ [trace_step(type, id, "success", input, output)], output, nil}}
+
+        {:rejected, reason} ->
+          step = trace_step(type, id, "rejected", input, input) |> Map.merge(%{"short_circuit" => true, "reason" => reason})
+          {:halt, {steps ++ [step], input, id}}
+      end
+    end)
+  end
+
+  defp run_extension("normalize_text", payload),
+    do: {:ok, map_strings(payload, &(&1 |> String.trim() |> String.replace(~r/\s+/, " ") |> String.downcase()))}
+
+  defp run_extension("pii_guard", payload) do
+    if Enum.any?(collect_strings(payload), &String.match?(&1, ~r/[^\s@]+@[^\s@]+\.[a-z]+/i)),
+      do: {:rejected, "Payload contains an e-mail address"},
+      else: {:ok, payload}
+  end
+
+  defp run_extension("mask_pii", payload), do: {:ok, map_strings(payload, &String.replace(&1, ~r/\d/, "*"))}
+  defp run_extension(_id, payload), do: {:ok, payload}
+
+  defp trace_step(type, id, status, input, output) do
+    %{
+      "extension_id" => id,
+      "type" => type,
+      "status" => status,
+      "latency_ms" => 5 + rem(:erlang.phash2(id), 200) / 10,
+      "input" => input,
+      "output" => output
+    }
+  end
+
+  defp map_strings(value, fun) when is_binary(value), do: fun.(value)
+  defp map_strings(value, fun) when is_map(value), do: Map.new(value, fn {k, v} -> {k, map_strings(v, fun)} end)
+  defp map_strings(value, fun) when is_list(value), do: Enum.map(value, &map_strings(&1, fun))
+  defp map_strings(value, _fun), do: value
+
+  defp collect_strings(value) when is_binary(value), do: [value]
+  defp collect_strings(value) when is_map(value), do: value |> Map.values() |> Enum.flat_map(&collect_strings/1)
+  defp collect_strings(value) when is_list(value), do: Enum.flat_map(value, &collect_strings/1)
+  defp collect_strings(_value), do: []
+
+  # Policy revision helpers
+
+  # Revisions for a policy, newest first. Seeded policies start with one "create" revision.
+  defp policy_revisions(tenant_id, policy_id) do
+    case :ets.lookup(@revisions_table, {tenant_id, policy_id}) do
+      [{_key, revisions}] ->
+        revisions
+
+      [] ->
+        case Enum.find(mock_policies(), &(&1["tenant_id"] == tenant_id && &1["policy_id"] == policy_id)) do
+          nil ->
+            []
+
+          policy ->
+            [
+              %{
+                "revision" => 1,
+                "author" => get_in(policy, ["metadata", "created_by"]) || "system",
+                "created_at" => policy["created_at"],
+                "action" => "create",
+                "summary" => "Initial version",
+                "policy" => policy
+              }
+            ]
+        end
+    end
+  end
+
+  defp put_revision(tenant_id, policy_id, policy, author, action, summary) do
+    revisions = policy_revisions(tenant_id, policy_id)
+    previous = List.first(revisions)
+    number = if previous, do: previous["revision"] + 1, else: 1
+    summary = summary || change_summary(previous && previous["policy"], policy)
+
+    revision = %{
+      "revision" => number,
+      "author" => author,
+      "created_at" => DateTime.utc_now() |> DateTime.to_iso8601(),
+      "action" => action,
+      "summary" => summary,
+      "policy" => policy
+    }
+
+    :ets.insert(@revisions_table, {{tenant_id, policy_id}, [revision | revisions]})
+    record_audit(tenant_id, policy_id, author, action, number, summary)
+    revision
+  end
+
+  defp find_revision(revisions, revision) do
+    number = to_int_default(revision, nil)
+    Enum.find(revisions, &(&1["revision"] == number))
+  end
+
+  defp change_summary(nil, _policy), do: "Created policy"
+
+  defp change_summary(previous, policy) do
+    changed =
+      ~w(rules pre validators post metadata)
+      |> Enum.filter(&(previous[&1] != policy[&1]))
+      |> Enum.map(fn
+        "rules" -> "rules (#{length(previous["rules"] || [])} → #{length(policy["rules"] || [])})"
+        key -> key
+      end)
+
+    case changed do
+      [] -> "No changes"
+      keys -> "Changed " <> Enum.join(keys, ", ")
+    end
+  end
+
+  defp record_audit(tenant_id, policy_id, user, action, revision, summary) do
+    id = :ets.update_counter(@audit_table, :seq, 1, {:seq, 0})
+
+    :ets.insert(@audit_table, {{:entry, id}, %{
+      "id" => id,
+      "timestamp" => DateTime.utc_now() |> DateTime.to_iso8601(),
+      "tenant_id" => tenant_id,
+      "policy_id" => policy_id,
+      "user" => user,
+      "action" => action,
+      "revision" => revision,
+      "summary" => summary
+    }})
+  end
+
+  defp actor(conn), do: conn.query_params["actor"] || "unknown"
+
+  defp export_content_type("csv"), do: "text/csv"
+  defp export_content_type("ndjson"), do: "application/x-ndjson"
+  defp export_content_type(_), do: "application/json"
+
+  defp export_chunks(messages, "csv") do
+    # Simple CSV export
+    header = "id,type,status,created_at\n"
+
+    rows =
+      Enum.map(messages, fn msg ->
+        [msg["id"], msg["type"] || "", msg["status"] || "", msg["created_at"] || ""]
+        |> Enum.map_join(",", &csv_field/1)
+        |> Kernel.<>("\n")
+      end)
+
+    [header | rows]
+  end
+
+  defp export_chunks(messages, "ndjson") do
+    Enum.map(messages, &(Jason.encode!(&1) <> "\n"))
+  end
+
+  defp export_chunks(messages, _json) do
+    items =
+      messages
+      |> Enum.map(&Jason.encode!/1)
+      |> Enum.with_index()
+      |> Enum.map(fn {item, 0} -> item
+                     {item, _} -> "," <> item end)
+
+    ["["] ++ items ++ ["]"]
+  end
+
+  defp csv_field(value) do
+    value = to_string(value)
+
+    if String.contains?(value, [",", "\"", "\n"]) do
+      "\"" <> String.replace(value, "\"", "\"\"") <> "\""
+    else
+      value
+    end
+  end
+
+  defp events_since(last_id) do
+    # ordered_set: select returns events in id order
+    :ets.select(@events_table, [
+      {{:"$1", :"$2", :"$3"}, [{:is_integer, :"$1"}, {:>, :"$1", last_id}], [{{:"$1", :"$2", :"$3"}}]}
+    ])
+  end
+
+  defp send_events_since(conn, last_id) do
+    Enum.reduce_while(events_since(last_id), {:ok, conn, last_id}, fn {id, event, data}, {:ok, conn, _} ->
+      frame = "id: #{id}\nevent: #{event}\ndata: #{Jason.encode!(data)}\n\n"
+
+      case chunk(conn, frame) do
+        {:ok, conn} -> {:cont, {:ok, conn, id}}
+        {:error, _} -> {:halt, {:error, conn}}
+      end
+    end)
+  end
+
+  defp follow_events(conn, last_id) do
+    Process.sleep(@stream_poll_ms)
+
+    # A comment line keeps the connection alive and detects closed clients
+    with {:ok, conn} <- chunk(conn, ": keepalive\n\n"),
+         {:ok, conn, last_id} <- send_events_since(conn, last_id) do
+      follow_events(conn, last_id)
+    else
+      _ -> conn
+    end
+  end
+
   # Extensions mock helpers
 
   defp mock_extensions do
@@ -850,6 +1463,9 @@ defmodule UiWeb.Test.MockGateway do
           "provider" => "openai"
         }
       ],
+      "pre" => [%{"id" => "normalize_text", "mode" => "required"}],
+      "validators" => [%{"id" => "pii_guard", "mode" => "required", "on_fail" => "block"}],
+      "post" => [%{"id" => "mask_pii", "mode" => "optional", "on_fail" => "skip"}],
       "metadata" => %{
         "version" => "1.0.0",
         "created_by" => "system",
@@ -860,6 +1476,25 @@ defmodule UiWeb.Test.MockGateway do
     } | base_policies]
   end
 
+  defp mock_extension_errors("mask_pii") do
+    [
+      %{
+        "timestamp" => "2025-01-27T11:58:00Z",
+        "code" => "timeout",
+        "message" => "Extension did not reply within 500ms",
+        "request_id" => "req_mask_005"
+      },
+      %{
+        "timestamp" => "2025-01-27T11:55:12Z",
+        "code" => "invalid_response",
+        "message" => "Response payload missing \"masked\" field",
+        "request_id" => "req_mask_004"
+      }
+    ]
+  end
+
+  defp mock_extension_errors(_id), do: []
+
   # Messages mock helpers
 
   defp mock_messages do
@@ -877,7 +1512,7 @@ defmodule UiWeb.Test.MockGateway do
           },
           "metadata" => %{
             "user_id" => "user_#{div(i, 10)}",
-            "tags" => ["test"]
+            "tags" => if(rem(i, 10) == 0, do: ["test", "billing"], else: ["test"])
           },
           "created_at" => "2025-11-23T14:00:00Z",
           "updated_at" => "2025-11-23T14:00:05Z",
@@ -914,16 +1549,29 @@ defmodule UiWeb.Test.MockGateway do
     } | base_messages]
   end
 
+  # Filters of the list and export endpoints, in the syntax of UiWeb.Messages.Query:
+  # status/type are comma-separated "any of" lists, tag an "all of" list,
+  # from_date is inclusive, to_date exclusive, and exclude_* leaves matches out
+  defp filter_messages(messages, params) do
+    messages
+    |> filter_messages_by_status(params["status"])
+    |> filter_messages_by_type(params["type"])
+    |> filter_messages_by_search(params["search"])
+    |> Enum.filter(&matches_query?(&1, params))
+  end
+
   defp filter_messages_by_status(messages, nil), do: messages
   defp filter_messages_by_status(messages, "all"), do: messages
   defp filter_messages_by_status(messages, status) do
-    Enum.filter(messages, fn msg -> msg["status"] == status end)
+    statuses = String.split(status, ",")
+    Enum.filter(messages, fn msg -> msg["status"] in statuses end)
   end
 
   defp filter_messages_by_type(messages, nil), do: messages
   defp filter_messages_by_type(messages, "all"), do: messages
   defp filter_messages_by_type(messages, type) do
-    Enum.filter(messages, fn msg -> msg["type"] == type end)
+    types = String.split(type, ",")
+    Enum.filter(messages, fn msg -> msg["type"] in types end)
   end
 
   defp filter_messages_by_search(messages, nil), do: messages
@@ -938,6 +1586,45 @@ defmodule UiWeb.Test.MockGateway do
     end)
   end
 
+  defp matches_query?(msg, params) do
+    tags = get_in(msg, ["metadata", "tags"]) || []
+    user = get_in(msg, ["metadata", "user_id"])
+    subject = message_subject(msg)
+
+    Enum.all?([
+      blank?(params["tag"]) or Enum.all?(String.split(params["tag"], ","), &(&1 in tags)),
+      blank?(params["subject"]) or contains_text?(subject, params["subject"]),
+      blank?(params["user"]) or user == params["user"],
+      blank?(params["from_date"]) or compare_time(msg["created_at"], params["from_date"]) != :lt,
+      blank?(params["to_date"]) or compare_time(msg["created_at"], params["to_date"]) == :lt,
+      blank?(params["exclude_status"]) or msg["status"] not in String.split(params["exclude_status"], ","),
+      blank?(params["exclude_type"]) or msg["type"] not in String.split(params["exclude_type"], ","),
+      blank?(params["exclude_tag"]) or not Enum.any?(String.split(params["exclude_tag"], ","), &(&1 in tags)),
+      blank?(params["exclude_subject"]) or not contains_text?(subject, params["exclude_subject"]),
+      blank?(params["exclude_user"]) or user != params["exclude_user"],
+      blank?(params["exclude_search"]) or filter_messages_by_search([msg], params["exclude_search"]) == []
+    ])
+  end
+
+  defp blank?(value), do: value in [nil, ""]
+
+  # Messages have no subject field of their own; the first prompt line stands in
+  defp message_subject(msg) do
+    content = msg["content"] || %{}
+    (content["subject"] || content["prompt"] || "") |> String.split("\n", parts: 2) |> hd()
+  end
+
+  defp contains_text?(text, part), do: String.contains?(String.downcase(text), String.downcase(part))
+
+  defp compare_time(time, bound) do
+    with {:ok, time, _} <- DateTime.from_iso8601(time || ""),
+         {:ok, bound, _} <- DateTime.from_iso8601(bound) do
+      DateTime.compare(time, bound)
+    else
+      _ -> :lt
+    end
+  end
+
   defp sort_messages(messages, sort_field, order) do
     Enum.sort_by(messages, fn msg ->
       case sort_field do
@@ -949,6 +1636,20 @@ defmodule UiWeb.Test.MockGateway do
     end, if(order == "asc", do: :asc, else: :desc))
   end
 
+  # Cursors of the list endpoint; the real gateway's are just as opaque to clients
+  defp encode_cursor(offset), do: Base.url_encode64("offset:#{offset}", padding: false)
+
+  defp decode_cursor(cursor) when cursor in [nil, ""], do: nil
+
+  defp decode_cursor(cursor) do
+    with {:ok, "offset:" <> offset} <- Base.url_decode64(cursor, padding: false),
+         {offset, ""} when offset >= 0 <- Integer.parse(offset) do
+      offset
+    else
+      _ -> nil
+    end
+  end
+
   # Helper to convert string to integer with default
   defp to_int_default(nil, default), do: default
   defp to_int_default(string, default) when is_binary(string) do
@@ -960,7 +1661,48 @@ defmodule UiWeb.Test.MockGateway do
   defp to_int_default(int, _default) when is_integer(int), do: int
   defp to_int_default(_, default), do: default
 
+  # Faults and delays of the loaded scenario apply before routing; the control endpoints are exempt
+  defp apply_scenario(%Plug.Conn{path_info: ["_test" | _]} = conn, _opts), do: conn
+
+  defp apply_scenario(conn, _opts) do
+    case MockScenarios.match(conn.method, conn.request_path) do
+      nil ->
+        conn
+
+      rule ->
+        if rule["delay_ms"], do: Process.sleep(rule["delay_ms"])
+
+        if rule["status"] do
+          conn
+          |> json_response(rule["status"], rule["body"] || %{"error" => "injected_fault"})
+          |> halt()
+        else
+          conn
+        end
+    end
+  end
+
   # Helper for JSON responses
+  # Per-tenant collections (UiWeb.Services.TenantCollection): items are stored by
+  # `key` and listed by an ETS match pattern of the key
+  defp list_items(conn, table, key_pattern, sort_by) do
+    items = table |> :ets.match_object({key_pattern, :_}) |> Enum.map(&elem(&1, 1)) |> Enum.sort_by(sort_by)
+    json_response(conn, 200, %{"items" => items})
+  end
+
+  defp put_item(conn, table, key, item) do
+    item = Map.put(item, "updated_at", DateTime.utc_now() |> DateTime.to_iso8601())
+    :ets.insert(table, {key, item})
+    json_response(conn, 200, item)
+  end
+
+  defp delete_item(conn, table, key, not_found) do
+    case :ets.take(table, key) do
+      [_item] -> json_response(conn, 200, %{"deleted" => true})
+      [] -> json_response(conn, 404, %{"error" => not_found})
+    end
+  end
+
   defp json_response(conn, status, body) do
     conn
     |> put_resp_content_type("application/json")
@@ -971,12 +1713,16 @@ defmodule UiWeb.Test.MockGateway do
   @doc """
   Resets all mock gateway state (ETS tables, etc.).
   Useful for test cleanup and development.
+
+  Saved policy revisions, dry-run payloads, alert rules, saved views and message
+  templates are dropped too, so seeded policies are back at their first revision.
   """
   def reset do
-    table = :mock_gateway_deleted_ids
-    case :ets.whereis(table) do
-      :undefined -> :ok
-      _ -> :ets.delete_all_objects(table)
+    for table <- [@ets_table, @events_table, @revisions_table, @audit_table, @dry_run_cases_table, @alert_rules_table, @saved_views_table, @templates_table] do
+      case :ets.whereis(table) do
+        :undefined -> :ok
+        _ -> :ets.delete_all_objects(table)
+      end
     end
     :ok
   end
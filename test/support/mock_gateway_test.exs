@@ -136,6 +136,108 @@ defmodule UiWeb.Test.MockGatewayTest do
     end
   end
   
+  describe "Message event stream" do
+    test "GET /api/v1/messages/stream replays events after Last-Event-ID" do
+      first = MockGateway.record_event("message_created", %{"id" => "msg_stream_1"})
+      second = MockGateway.record_event("message_deleted", %{"id" => "msg_stream_1"})
+      
+      assert {:ok, %{status: 200, body: body}} =
+        Req.get("http://localhost:8081/api/v1/messages/stream?follow=false",
+          headers: [{"last-event-id", Integer.to_string(first)}],
+          decode_body: false
+        )
+      
+      refute body =~ "id: #{first}\n"
+      assert body =~ "id: #{second}\nevent: message_deleted\n"
+    end
+    
+    test "GET /api/v1/messages/stream accepts last_event_id query param" do
+      first = MockGateway.record_event("message_created", %{"id" => "msg_stream_2"})
+      
+      assert {:ok, %{status: 200, body: body}} =
+        Req.get("http://localhost:8081/api/v1/messages/stream?follow=false&last_event_id=#{first - 1}",
+          decode_body: false
+        )
+      
+      assert body =~ "id: #{first}\nevent: message_created\n"
+    end
+  end
+  
+  describe "Scenarios" do
+    setup do
+      on_exit(fn -> Req.delete("http://localhost:8081/_test/scenario") end)
+    end
+
+    test "POST /_test/scenario loads a named scenario" do
+      assert {:ok, %{status: 200, body: %{"name" => "empty_tenant"}}} =
+        Req.post("http://localhost:8081/_test/scenario", json: %{name: "empty_tenant"})
+
+      assert {:ok, %{body: %{"data" => [], "pagination" => %{"total" => 0}}}} =
+        Req.get("http://localhost:8081/api/v1/messages")
+
+      assert {:ok, %{body: %{"name" => "empty_tenant"}}} = Req.get("http://localhost:8081/_test/scenario")
+    end
+
+    test "DELETE /_test/scenario restores the default data" do
+      Req.post("http://localhost:8081/_test/scenario", json: %{name: "gateway_degraded"})
+      assert {:ok, %{body: %{"status" => "degraded"}}} = Req.get("http://localhost:8081/_health")
+
+      assert {:ok, %{body: %{"name" => "default"}}} = Req.delete("http://localhost:8081/_test/scenario")
+      assert {:ok, %{body: %{"status" => "ok"}}} = Req.get("http://localhost:8081/_health")
+    end
+
+    test "loading a scenario drops saved policy revisions" do
+      Req.put("http://localhost:8081/api/v1/policies/tenant_dev/policy_003", json: %{rules: []})
+      assert {:ok, %{body: %{"items" => [_, _]}}} = Req.get("http://localhost:8081/api/v1/policies/tenant_dev/policy_003/revisions")
+
+      Req.post("http://localhost:8081/_test/scenario", json: %{name: "default"})
+      assert {:ok, %{body: %{"items" => [%{"revision" => 1}]}}} = Req.get("http://localhost:8081/api/v1/policies/tenant_dev/policy_003/revisions")
+    end
+
+    test "injected faults match path params and apply a limited number of times" do
+      rule = %{method: "GET", path: "/api/v1/extensions/:id", status: 503, times: 1}
+      Req.post("http://localhost:8081/_test/scenario", json: %{name: "default", rules: [rule]})
+
+      assert {:ok, %{status: 503, body: %{"error" => "injected_fault"}}} =
+        Req.get("http://localhost:8081/api/v1/extensions/ext_001", retry: false)
+
+      assert {:ok, %{status: 200}} = Req.get("http://localhost:8081/api/v1/extensions/ext_001", retry: false)
+    end
+
+    test "delete_500 fails deletes but leaves reads alone" do
+      Req.post("http://localhost:8081/_test/scenario", json: %{name: "delete_500"})
+
+      assert {:ok, %{status: 500, body: %{"error" => "delete_failed"}}} =
+        Req.delete("http://localhost:8081/api/v1/messages/msg_001", retry: false)
+
+      assert {:ok, %{status: 200}} = Req.get("http://localhost:8081/api/v1/messages/msg_001")
+    end
+
+    test "slow_responses delays API requests" do
+      Req.post("http://localhost:8081/_test/scenario", json: %{name: "slow_responses", params: %{delay_ms: 300}})
+
+      {micros, {:ok, %{status: 200}}} = :timer.tc(fn -> Req.get("http://localhost:8081/api/v1/extensions") end)
+      assert micros >= 300_000
+    end
+
+    test "sse_burst queues events on the message stream" do
+      Req.post("http://localhost:8081/_test/scenario", json: %{name: "sse_burst", params: %{count: 3}})
+
+      assert {:ok, %{body: body}} =
+        Req.get("http://localhost:8081/api/v1/messages/stream?follow=false", decode_body: false)
+
+      assert body =~ "id: 1\nevent: message_created\n"
+      assert body =~ "msg_burst_003"
+    end
+
+    test "unknown scenarios are rejected" do
+      assert {:ok, %{status: 422, body: %{"scenarios" => scenarios}}} =
+        Req.post("http://localhost:8081/_test/scenario", json: %{name: "nope"})
+
+      assert "circuit_open" in scenarios
+    end
+  end
+
   describe "Error handling" do
     test "returns 404 for unknown routes" do
       assert {:ok, %{status: 404, body: body}} = 
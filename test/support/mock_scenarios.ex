@@ -0,0 +1,250 @@
+defmodule UiWeb.Test.MockScenarios do
+  @moduledoc """
+  Named, scriptable scenarios for `UiWeb.Test.MockGateway`.
+
+  A scenario is a list of rules that the mock gateway applies before routing a request,
+  plus optional setup run when it is loaded. E2E specs load one through the test-only
+  endpoints of the mock gateway (see `test/e2e/fixtures/scenario.js`):
+
+      POST   /_test/scenario  {"name": "delete_500", "params": {...}, "rules": [...]}
+      GET    /_test/scenario
+      DELETE /_test/scenario
+
+  Loading a scenario (or deleting it) also resets the mock gateway state, so every spec
+  starts from the same data; `"reset": false` keeps it, e.g. to add faults mid-test.
+
+  ## Scenarios
+
+    * `default` - Fixed mock data, no faults
+    * `empty_tenant` - Messages, extensions and policies lists are empty
+    * `gateway_degraded` - `/_health` reports degraded (router unhealthy, worker degraded,
+      NATS disconnected) and `/metrics` high latency and error rate
+    * `delete_500` - Every DELETE and bulk delete fails with 500
+    * `slow_responses` - API requests are delayed by `params.delay_ms` (default 2000)
+    * `sse_burst` - `params.count` (default 50) `message_created` events are queued on
+      the message stream
+    * `circuit_open` - Every extension circuit breaker is open and extensions unhealthy
+
+  ## Rules
+
+  Rules are JSON maps; the first rule matching a request applies:
+
+    * `"method"` - HTTP method, `"*"` (default) for any
+    * `"path"` - Path pattern: `:param` matches one segment, a trailing `*` the rest
+    * `"delay_ms"` - Delay before the response
+    * `"status"`, `"body"` - Respond with this instead of the mock data; without
+      `"status"` the request goes on to the regular route after the delay
+    * `"times"` - Only apply to the first n matching requests (e.g. fail once, then recover)
+
+  Rules given when loading a scenario apply before the scenario's own rules.
+  """
+
+  alias UiWeb.Test.MockGateway
+
+  @table :mock_gateway_scenario
+  @names ~w(default empty_tenant gateway_degraded delete_500 slow_responses sse_burst circuit_open)
+
+  @doc """
+  Creates the scenario table. Called from `UiWeb.Test.MockGateway.init/1`, so the table
+  outlives request processes.
+  """
+  def init_table do
+    case :ets.whereis(@table) do
+      :undefined -> :ets.new(@table, [:set, :public, :named_table])
+      _ -> :ok
+    end
+
+    :ok
+  end
+
+  @doc """
+  Names of the built-in scenarios.
+  """
+  def names, do: @names
+
+  @doc """
+  Loads scenario `name` with `params` and extra `rules`, replacing the current one.
+
+  Returns `{:ok, scenario}` or `{:error, message}` for unknown names and invalid rules.
+  """
+  def load(name, params \\ %{}, rules \\ []) do
+    if name in @names do
+      with :ok <- validate_rules(rules) do
+        params = params || %{}
+        scenario = %{"name" => name, "params" => params, "rules" => rules ++ rules(name, params)}
+
+        :ets.delete_all_objects(@table)
+        :ets.insert(@table, {:scenario, scenario})
+        setup(name, params)
+
+        {:ok, scenario}
+      end
+    else
+      {:error, "Unknown scenario: #{name}"}
+    end
+  end
+
+  @doc """
+  The loaded scenario, `default` when none is loaded.
+  """
+  def current do
+    with true <- :ets.whereis(@table) != :undefined,
+         [{:scenario, scenario}] <- :ets.lookup(@table, :scenario) do
+      scenario
+    else
+      _ -> %{"name" => "default", "params" => %{}, "rules" => []}
+    end
+  end
+
+  @doc """
+  Back to the `default` scenario.
+  """
+  def reset do
+    if :ets.whereis(@table) != :undefined, do: :ets.delete_all_objects(@table)
+    :ok
+  end
+
+  @doc """
+  The first rule of the loaded scenario that applies to a request, or nil.
+
+  Counts the request against the rule's `"times"`.
+  """
+  def match(method, path) do
+    segments = String.split(path, "/", trim: true)
+
+    current()["rules"]
+    |> Enum.with_index()
+    |> Enum.find_value(fn {rule, index} ->
+      if rule_matches?(rule, method, segments) and take_hit(rule, index), do: rule
+    end)
+  end
+
+  defp rule_matches?(rule, method, segments) do
+    rule["method"] in [nil, "*", method] and
+      path_matches?(String.split(rule["path"] || "*", "/", trim: true), segments)
+  end
+
+  defp path_matches?(["*"], _segments), do: true
+  defp path_matches?([], []), do: true
+  defp path_matches?([":" <> _param | pattern], [_segment | segments]), do: path_matches?(pattern, segments)
+  defp path_matches?([segment | pattern], [segment | segments]), do: path_matches?(pattern, segments)
+  defp path_matches?(_pattern, _segments), do: false
+
+  defp take_hit(%{"times" => times}, index) when is_integer(times) do
+    :ets.update_counter(@table, {:hits, index}, 1, {{:hits, index}, 0}) <= times
+  end
+
+  defp take_hit(_rule, _index), do: true
+
+  defp validate_rules(rules) when is_list(rules) do
+    if Enum.all?(rules, &(is_map(&1) and is_binary(&1["path"]))),
+      do: :ok,
+      else: {:error, "Every rule needs a \"path\""}
+  end
+
+  defp validate_rules(_rules), do: {:error, "\"rules\" must be a list"}
+
+  # Built-in scenarios
+
+  defp rules("empty_tenant", _params) do
+    empty_page = %{"data" => [], "pagination" => %{"total" => 0, "limit" => 50, "offset" => 0, "has_more" => false}}
+
+    [
+      %{"method" => "GET", "path" => "/api/v1/messages", "status" => 200, "body" => empty_page},
+      %{"method" => "GET", "path" => "/api/v1/extensions", "status" => 200, "body" => empty_page},
+      %{"method" => "GET", "path" => "/api/v1/policies/:tenant_id", "status" => 200, "body" => %{"items" => []}}
+    ]
+  end
+
+  defp rules("gateway_degraded", _params) do
+    now = DateTime.utc_now()
+
+    health = %{
+      "status" => "degraded",
+      "version" => "1.0.0",
+      "service" => "gateway",
+      "nats" => %{"connected" => false},
+      "router" => %{"status" => "unhealthy", "version" => "1.2.0"},
+      "worker_caf" => %{"status" => "degraded"},
+      "timestamp_ms" => DateTime.to_unix(now, :millisecond),
+      "timestamp" => DateTime.to_iso8601(now)
+    }
+
+    metrics = %{
+      "rps" => 5,
+      "latency" => %{"p50" => 800, "p95" => 2500, "p99" => 4000},
+      "error_rate" => 0.25,
+      "nats" => %{"connected" => false}
+    }
+
+    [
+      %{"method" => "GET", "path" => "/_health", "status" => 200, "body" => health},
+      %{"method" => "GET", "path" => "/health", "status" => 200, "body" => Map.take(health, ~w(status nats timestamp_ms))},
+      %{"method" => "GET", "path" => "/metrics", "status" => 200, "body" => metrics}
+    ]
+  end
+
+  defp rules("delete_500", _params) do
+    [
+      %{"method" => "DELETE", "path" => "/api/v1/*", "status" => 500, "body" => %{"error" => "delete_failed"}},
+      %{"method" => "POST", "path" => "/api/v1/messages/bulk_delete", "status" => 500, "body" => %{"error" => "delete_failed"}}
+    ]
+  end
+
+  defp rules("slow_responses", params) do
+    [%{"path" => "/api/v1/*", "delay_ms" => params["delay_ms"] || 2_000}]
+  end
+
+  defp rules("circuit_open", _params) do
+    opened_at = DateTime.utc_now() |> DateTime.to_iso8601()
+    ids = ~w(normalize_text pii_guard mask_pii)
+
+    breakers =
+      Map.new(ids, fn id ->
+        {id, %{"extension_id" => id, "state" => "open", "opened_at" => opened_at, "failure_count" => 20, "error_rate" => 0.75}}
+      end)
+
+    health =
+      Map.new(ids, fn id ->
+        {id,
+         %{
+           "extension_id" => id,
+           "status" => "unhealthy",
+           "success_rate" => 0.25,
+           "avg_latency_ms" => 0.0,
+           "p50_latency_ms" => 0.0,
+           "p95_latency_ms" => 0.0,
+           "p99_latency_ms" => 0.0,
+           "last_success" => nil,
+           "last_failure" => opened_at
+         }}
+      end)
+
+    [
+      %{"method" => "GET", "path" => "/api/v1/extensions/circuit-breakers", "status" => 200, "body" => breakers},
+      %{"method" => "GET", "path" => "/api/v1/extensions/health", "status" => 200, "body" => health}
+    ]
+  end
+
+  defp rules(_name, _params), do: []
+
+  defp setup("sse_burst", params) do
+    count = params["count"] || 50
+
+    for i <- 1..count//1 do
+      id = "msg_burst_" <> String.pad_leading(Integer.to_string(i), 3, "0")
+
+      MockGateway.record_event("message_created", %{
+        "id" => id,
+        "type" => "chat",
+        "status" => "pending",
+        "content" => "Burst message #{i}",
+        "created_at" => DateTime.utc_now() |> DateTime.to_iso8601()
+      })
+    end
+
+    :ok
+  end
+
+  defp setup(_name, _params), do: :ok
+end
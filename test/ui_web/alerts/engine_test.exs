@@ -0,0 +1,79 @@
+defmodule UiWeb.Alerts.EngineTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Alerts.Engine
+
+  doctest Engine
+
+  @rule %{
+    "id" => "slow",
+    "tenant_id" => "acme",
+    "name" => "Slow",
+    "kind" => "metric_threshold",
+    "metric" => "latency_p95",
+    "operator" => ">",
+    "threshold" => 500.0,
+    "for_seconds" => 60,
+    "severity" => "error",
+    "enabled" => true
+  }
+
+  defp observe(p95), do: %{"acme" => %{metrics: %{"latency_p95" => p95}}}
+
+  test "fires only after the condition held for the rule's duration" do
+    {states, []} = Engine.step(%{}, [@rule], observe(700), 0)
+    assert %{status: :pending, since_ms: 0} = states[{"acme", "slow"}]
+
+    {states, []} = Engine.step(states, [@rule], observe(800), 30_000)
+
+    {states, [event]} = Engine.step(states, [@rule], observe(900), 60_000)
+    assert %{"status" => "firing", "rule_id" => "slow", "tenant_id" => "acme", "severity" => "error", "value" => 900} = event
+    assert event["condition"] == "p95 latency > 500 ms for 1m"
+
+    # Still firing: no repeated event
+    assert {%{{"acme", "slow"} => %{status: :firing, value: 950}}, []} = Engine.step(states, [@rule], observe(950), 90_000)
+  end
+
+  test "a condition that clears while pending starts over" do
+    {states, []} = Engine.step(%{}, [@rule], observe(700), 0)
+    {states, []} = Engine.step(states, [@rule], observe(100), 30_000)
+    assert states == %{}
+
+    {states, []} = Engine.step(states, [@rule], observe(700), 45_000)
+    assert {_states, []} = Engine.step(states, [@rule], observe(700), 90_000)
+  end
+
+  test "resolves when the condition clears" do
+    rule = %{@rule | "for_seconds" => 0}
+    {states, [%{"status" => "firing"}]} = Engine.step(%{}, [rule], observe(700), 0)
+
+    assert {%{}, [%{"status" => "resolved", "value" => 700}]} = Engine.step(states, [rule], observe(100), 15_000)
+  end
+
+  test "missing data keeps the current state" do
+    rule = %{@rule | "for_seconds" => 0}
+    {states, [_fired]} = Engine.step(%{}, [rule], observe(700), 0)
+
+    assert {^states, []} = Engine.step(states, [rule], %{"acme" => %{metrics: nil}}, 15_000)
+    assert {^states, []} = Engine.step(states, [rule], %{}, 30_000)
+  end
+
+  test "disabled and deleted rules resolve their firing alerts" do
+    rule = %{@rule | "for_seconds" => 0}
+    other = %{rule | "id" => "other"}
+    {states, [_, _]} = Engine.step(%{}, [rule, other], observe(700), 0)
+
+    assert {states, [%{"status" => "resolved", "rule_id" => "slow"}]} =
+             Engine.step(states, [%{rule | "enabled" => false}, other], observe(700), 15_000)
+
+    assert {%{}, [%{"status" => "resolved", "rule_id" => "other"}]} = Engine.step(states, [], observe(700), 30_000)
+  end
+
+  test "rules are evaluated against their own tenant's observation" do
+    rule = %{@rule | "for_seconds" => 0}
+    observations = %{"acme" => %{metrics: %{"latency_p95" => 100}}, "globex" => %{metrics: %{"latency_p95" => 900}}}
+
+    assert {_states, [%{"tenant_id" => "globex"}]} =
+             Engine.step(%{}, [rule, %{rule | "tenant_id" => "globex"}], observations, 0)
+  end
+end
@@ -0,0 +1,73 @@
+defmodule UiWeb.Alerts.EvaluatorTest do
+  # The evaluator is a singleton evaluating the rules of every tenant
+  use ExUnit.Case, async: false
+
+  alias UiWeb.Alerts.Evaluator
+  alias UiWeb.Services.AlertsClient
+
+  @rule %{
+    "name" => "p95 over 10ms",
+    "kind" => "metric_threshold",
+    "metric" => "latency_p95",
+    "operator" => ">",
+    "threshold" => 10.0,
+    "for_seconds" => 0,
+    "severity" => "error",
+    "enabled" => true
+  }
+
+  setup do
+    tenant = "evaluator_#{System.unique_integer([:positive])}"
+    UiWebWeb.Endpoint.subscribe("notifications:" <> tenant)
+    Phoenix.PubSub.subscribe(UiWeb.PubSub, Evaluator.topic(tenant))
+    on_exit(fn -> AlertsClient.delete_rule(tenant, "latency") end)
+
+    {:ok, tenant: tenant}
+  end
+
+  defp events_of(events, tenant), do: Enum.filter(events, &(&1["tenant_id"] == tenant))
+
+  test "fires and resolves a threshold rule against the gateway metrics", %{tenant: tenant} do
+    {:ok, _} = AlertsClient.save_rule(tenant, "latency", @rule)
+
+    # Mock gateway reports p95 = 50ms
+    assert [%{"status" => "firing", "rule_id" => "latency", "value" => 50}] = events_of(Evaluator.evaluate_now(), tenant)
+    assert_receive %Phoenix.Socket.Broadcast{event: "notification", payload: %{"level" => "error", "title" => "Alert: p95 over 10ms"} = payload}
+    assert payload["message"] =~ "p95 latency > 10 ms"
+    assert_receive {:alert, %{"status" => "firing"}}
+    assert [%{"rule_id" => "latency", "value" => 50}] = Evaluator.active(tenant)
+
+    # Still over the threshold: nothing new
+    assert [] = events_of(Evaluator.evaluate_now(), tenant)
+
+    {:ok, _} = AlertsClient.save_rule(tenant, "latency", %{@rule | "threshold" => 100.0})
+
+    assert [%{"status" => "resolved"}] = events_of(Evaluator.evaluate_now(), tenant)
+    assert_receive %Phoenix.Socket.Broadcast{event: "notification", payload: %{"level" => "success", "title" => "Resolved: p95 over 10ms"}}
+    assert [] = Evaluator.active(tenant)
+    assert [%{"status" => "resolved"}, %{"status" => "firing"}] = Evaluator.history(tenant)
+  end
+
+  test "disabled rules are not evaluated", %{tenant: tenant} do
+    {:ok, _} = AlertsClient.save_rule(tenant, "latency", %{@rule | "enabled" => false})
+
+    assert [] = events_of(Evaluator.evaluate_now(), tenant)
+    refute_receive {:alert, _}
+  end
+
+  test "healthy components do not fire", %{tenant: tenant} do
+    rule = %{"name" => "Router down", "kind" => "component_status", "component" => "router", "status" => "degraded", "for_seconds" => 0}
+    {:ok, _} = AlertsClient.save_rule(tenant, "latency", rule)
+
+    assert [] = events_of(Evaluator.evaluate_now(), tenant)
+  end
+
+  test "records the metrics of tenants with rules in the dashboard history", %{tenant: tenant} do
+    rule = %{"name" => "Router down", "kind" => "component_status", "component" => "router", "status" => "degraded", "for_seconds" => 0}
+    {:ok, _} = AlertsClient.save_rule(tenant, "latency", rule)
+
+    Evaluator.evaluate_now()
+
+    assert [{_at, %{"latency_p95" => 50}}] = UiWeb.Metrics.History.samples(tenant, 60_000)
+  end
+end
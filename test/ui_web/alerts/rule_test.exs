@@ -0,0 +1,99 @@
+defmodule UiWeb.Alerts.RuleTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Alerts.Rule
+
+  doctest Rule
+
+  @health %{
+    "status" => "ok",
+    "nats" => %{"connected" => true},
+    "router" => %{"status" => "unhealthy"},
+    "worker_caf" => %{"status" => "degraded"}
+  }
+
+  describe "validate/1" do
+    test "keeps only the fields of the rule's kind" do
+      assert {:ok, rule} =
+               Rule.validate(%{
+                 "name" => " Router down ",
+                 "kind" => "component_status",
+                 "component" => "router",
+                 "status" => "unhealthy",
+                 "for_seconds" => "60",
+                 "metric" => "latency_p95",
+                 "enabled" => "false"
+               })
+
+      assert rule == %{
+               "name" => "Router down",
+               "kind" => "component_status",
+               "component" => "router",
+               "status" => "unhealthy",
+               "for_seconds" => 60,
+               "severity" => "warning",
+               "enabled" => false
+             }
+    end
+
+    test "circuit rules default to any extension" do
+      assert {:ok, %{"extension_id" => "*"}} = Rule.validate(%{"name" => "Circuits", "kind" => "circuit_open", "extension_id" => " "})
+    end
+
+    test "rejects invalid input" do
+      base = %{"name" => "Latency", "kind" => "metric_threshold", "metric" => "latency_p95", "threshold" => "500"}
+
+      assert {:error, "Unknown rule kind"} = Rule.validate(%{base | "kind" => "cpu"})
+      assert {:error, "Threshold must be a number"} = Rule.validate(%{base | "threshold" => "fast"})
+      assert {:error, "Metric must be one of:" <> _} = Rule.validate(%{base | "metric" => "cpu"})
+      assert {:error, "Duration must not be negative"} = Rule.validate(Map.put(base, "for_seconds", "-5"))
+      assert {:error, "Severity must be one of:" <> _} = Rule.validate(Map.put(base, "severity", "page"))
+    end
+  end
+
+  describe "evaluate/2" do
+    test "component status" do
+      router = %{"kind" => "component_status", "component" => "router", "status" => "unhealthy"}
+      worker = %{"kind" => "component_status", "component" => "worker_caf", "status" => "unhealthy"}
+
+      assert {:firing, "unhealthy"} = Rule.evaluate(router, %{health: @health})
+      assert :ok = Rule.evaluate(worker, %{health: @health})
+      # "degraded" rules also fire on worse
+      assert {:firing, "degraded"} = Rule.evaluate(%{worker | "status" => "degraded"}, %{health: @health})
+      assert {:firing, "unhealthy"} = Rule.evaluate(%{router | "status" => "degraded"}, %{health: @health})
+      assert :ok = Rule.evaluate(%{router | "component" => "gateway"}, %{health: @health})
+      assert :ok = Rule.evaluate(%{router | "component" => "nats"}, %{health: @health})
+      assert :unknown = Rule.evaluate(router, %{health: nil})
+      # An unreachable gateway says nothing about its components
+      assert :unknown = Rule.evaluate(router, %{health: %{"status" => "unhealthy"}})
+    end
+
+    test "metric threshold" do
+      rule = %{"kind" => "metric_threshold", "metric" => "latency_p95", "operator" => ">", "threshold" => 500.0}
+
+      assert {:firing, 650} = Rule.evaluate(rule, %{metrics: %{"latency_p95" => 650}})
+      assert :ok = Rule.evaluate(rule, %{metrics: %{"latency_p95" => 500}})
+      assert {:firing, 3} = Rule.evaluate(%{rule | "operator" => "<"}, %{metrics: %{"latency_p95" => 3}})
+      assert :unknown = Rule.evaluate(rule, %{metrics: %{"latency_p95" => nil}})
+    end
+
+    test "circuit open" do
+      circuits = %{
+        "pii_guard" => %{"state" => "open"},
+        "mask_pii" => %{"state" => "half_open"},
+        "normalize_text" => %{"state" => "closed"}
+      }
+
+      assert {:firing, "pii_guard"} = Rule.evaluate(%{"kind" => "circuit_open", "extension_id" => "*"}, %{circuits: circuits})
+      assert :ok = Rule.evaluate(%{"kind" => "circuit_open", "extension_id" => "mask_pii"}, %{circuits: circuits})
+      assert :unknown = Rule.evaluate(%{"kind" => "circuit_open", "extension_id" => "*"}, %{})
+    end
+  end
+
+  test "describe/1 uses the metric's unit" do
+    rule = %{"kind" => "metric_threshold", "metric" => "latency_p95", "operator" => ">", "threshold" => 500.0, "for_seconds" => 300}
+
+    assert Rule.describe(rule) == "p95 latency > 500 ms for 5m"
+    assert Rule.describe(%{rule | "metric" => "error_rate", "threshold" => 2.5, "for_seconds" => 0}) == "Error rate > 2.5 %"
+  end
+end
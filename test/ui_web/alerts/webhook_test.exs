@@ -0,0 +1,33 @@
+defmodule UiWeb.Alerts.WebhookTest do
+  use ExUnit.Case, async: true
+
+  import ExUnit.CaptureLog
+
+  alias UiWeb.Alerts.Webhook
+
+  @event %{"id" => "latency-firing-1", "status" => "firing", "rule_name" => "Slow"}
+
+  test "POSTs the event as JSON" do
+    parent = self()
+
+    plug = fn conn ->
+      {:ok, body, conn} = Plug.Conn.read_body(conn)
+      send(parent, {:webhook, conn.method, Jason.decode!(body)})
+      Plug.Conn.send_resp(conn, 204, "")
+    end
+
+    assert :ok = Webhook.deliver("http://hooks.example/alerts", @event, plug: plug)
+    assert_receive {:webhook, "POST", @event}
+  end
+
+  test "reports failed deliveries" do
+    plug = fn conn -> Plug.Conn.send_resp(conn, 503, "unavailable") end
+
+    log =
+      capture_log(fn ->
+        assert {:error, {:http_error, 503}} = Webhook.deliver("http://hooks.example/alerts", @event, plug: plug)
+      end)
+
+    assert log =~ "HTTP 503 for latency-firing-1"
+  end
+end
@@ -0,0 +1,40 @@
+defmodule UiWeb.Auth.GuardianTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Auth.Guardian
+
+  test "allowed tenants round-trip through the token claims" do
+    {:ok, token, claims} = Guardian.encode_and_sign(%{id: "u1", tenants: ["acme", "globex"]})
+
+    assert claims["tenants"] == ["acme", "globex"]
+    assert {:ok, %{id: "u1", tenants: ["acme", "globex"]}, _claims} = Guardian.resource_from_token(token)
+  end
+
+  test "a single tenant_id becomes the only allowed tenant" do
+    {:ok, _token, claims} = Guardian.encode_and_sign(%{id: "u2", tenant_id: "acme"})
+
+    assert claims["tenants"] == ["acme"]
+  end
+
+  test "tenant_allowed?/2 only admits tenants from the claims" do
+    user = %{id: "u3", tenants: ["acme"]}
+
+    assert Guardian.tenant_allowed?(user, "acme")
+    refute Guardian.tenant_allowed?(user, "globex")
+    refute Guardian.tenant_allowed?(nil, "acme")
+  end
+
+  test "roles round-trip through the token claims" do
+    {:ok, token, claims} = Guardian.encode_and_sign(%{id: "u4", tenants: ["acme"], roles: ["operator"]})
+
+    assert claims["roles"] == ["operator"]
+    assert {:ok, %{roles: ["operator"]}, _claims} = Guardian.resource_from_token(token)
+  end
+
+  test "tokens without roles carry an empty roles claim" do
+    {:ok, token, claims} = Guardian.encode_and_sign(%{id: "u5", tenant_id: "acme"})
+
+    assert claims["roles"] == []
+    assert {:ok, %{roles: []}, _claims} = Guardian.resource_from_token(token)
+  end
+end
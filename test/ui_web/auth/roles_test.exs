@@ -0,0 +1,48 @@
+defmodule UiWeb.Auth.RolesTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Auth.Roles
+
+  doctest UiWeb.Auth.Roles
+
+  describe "role/1" do
+    test "picks the highest known role" do
+      assert Roles.role(%{roles: ["viewer", "admin", "operator"]}) == "admin"
+      assert Roles.role(%{roles: ["operator", "auditor"]}) == "operator"
+      assert Roles.role(%{role: "operator"}) == "operator"
+    end
+
+    test "defaults to viewer" do
+      assert Roles.role(%{roles: []}) == "viewer"
+      assert Roles.role(%{roles: ["superuser"]}) == "viewer"
+      assert Roles.role(%{id: "u1"}) == "viewer"
+      assert Roles.role(nil) == "viewer"
+    end
+  end
+
+  describe "allowed?/2" do
+    test "viewers may not mutate anything" do
+      refute Roles.allowed?("viewer", :bulk_delete_messages)
+      refute Roles.allowed?("viewer", :save_policy)
+    end
+
+    test "operators may mutate messages and policies but not the extension registry" do
+      assert Roles.allowed?("operator", :bulk_delete_messages)
+      assert Roles.allowed?("operator", :bulk_update_messages)
+      assert Roles.allowed?("operator", :toggle_extension)
+      assert Roles.allowed?("operator", :save_policy)
+      refute Roles.allowed?("operator", :unregister_extension)
+      refute Roles.allowed?("operator", :delete_policy)
+    end
+
+    test "admins may do everything" do
+      assert Roles.allowed?("admin", :delete_extension)
+      assert Roles.allowed?("admin", :delete_message)
+    end
+
+    test "unknown roles are treated as viewer" do
+      refute Roles.allowed?(nil, :delete_message)
+      refute Roles.allowed?("superuser", :delete_message)
+    end
+  end
+end
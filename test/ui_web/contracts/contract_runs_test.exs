@@ -0,0 +1,59 @@
+defmodule UiWeb.Contracts.ContractRunsTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Contracts.ContractRuns
+
+  doctest ContractRuns
+
+  @moduletag :tmp_dir
+
+  defp run(ms, results) do
+    %{"id" => "run_#{ms}", "started_at" => "2026-01-01T00:00:00Z", "summary" => %{"pass" => length(results)}, "results" => results}
+  end
+
+  defp result(endpoint, status, diffs \\ []), do: %{"endpoint" => endpoint, "status" => status, "diffs" => diffs}
+
+  test "stores runs and lists them newest first without results", %{tmp_dir: dir} do
+    {:ok, _} = ContractRuns.save(run(1_000, [result("GET /metrics", "pass")]), dir: dir)
+    {:ok, _} = ContractRuns.save(run(2_000, [result("GET /metrics", "pass")]), dir: dir)
+
+    assert [%{"id" => "run_2000"} = newest, %{"id" => "run_1000"}] = ContractRuns.list(dir: dir)
+    refute Map.has_key?(newest, "results")
+
+    assert {:ok, %{"results" => [%{"endpoint" => "GET /metrics"}]}} = ContractRuns.get("run_1000", dir: dir)
+    assert ContractRuns.get("missing", dir: dir) == :error
+    assert ContractRuns.get("../secrets", dir: dir) == :error
+  end
+
+  test "previous/2 returns the run stored before", %{tmp_dir: dir} do
+    first = run(1_000, [])
+    second = run(2_000, [])
+    {:ok, _} = ContractRuns.save(first, dir: dir)
+    {:ok, _} = ContractRuns.save(second, dir: dir)
+
+    assert ContractRuns.previous(second, dir: dir)["id"] == "run_1000"
+    assert ContractRuns.previous(first, dir: dir) == nil
+  end
+
+  test "keeps only the newest 50 runs", %{tmp_dir: dir} do
+    for ms <- 1..52, do: {:ok, _} = ContractRuns.save(run(1_000 + ms, []), dir: dir)
+
+    runs = ContractRuns.list(dir: dir)
+    assert length(runs) == 50
+    assert List.last(runs)["id"] == "run_1003"
+  end
+
+  test "compare/2 marks new, changed and unchanged endpoints" do
+    extra = %{"path" => "nats.servers", "kind" => "extra", "expected" => nil, "actual" => "integer"}
+    previous = run(1_000, [result("GET /metrics", "drift", [extra]), result("GET /health", "pass")])
+    current = run(2_000, [result("GET /metrics", "pass"), result("GET /health", "pass"), result("GET /_health", "pass")])
+
+    assert ContractRuns.compare(previous, current) == %{
+             "GET /metrics" => %{"change" => "changed", "previous_status" => "drift", "added" => [], "removed" => [extra]},
+             "GET /health" => %{"change" => "unchanged", "previous_status" => "pass", "added" => [], "removed" => []},
+             "GET /_health" => %{"change" => "new", "previous_status" => nil, "added" => [], "removed" => []}
+           }
+
+    assert %{"GET /metrics" => %{"change" => "new"}} = ContractRuns.compare(nil, current)
+  end
+end
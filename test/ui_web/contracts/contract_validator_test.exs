@@ -0,0 +1,66 @@
+defmodule UiWeb.Contracts.ContractValidatorTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Contracts.ContractValidator
+
+  doctest ContractValidator
+
+  @base_url "http://localhost:8082"
+
+  describe "diff_body/2" do
+    test "reports nested paths" do
+      schema = %{"latency" => %{"p50" => "number", "p95" => "number"}, "nats" => %{"connected" => "boolean"}}
+      body = %{"latency" => %{"p50" => 1}, "nats" => %{"connected" => "yes", "servers" => 3}}
+
+      assert ContractValidator.diff_body(body, schema) == [
+               %{"path" => "latency.p95", "kind" => "missing", "expected" => "number", "actual" => nil},
+               %{"path" => "nats.connected", "kind" => "type_mismatch", "expected" => "boolean", "actual" => "string"},
+               %{"path" => "nats.servers", "kind" => "extra", "expected" => nil, "actual" => "integer"}
+             ]
+    end
+
+    test "accepts optional, nullable and free-form fields" do
+      schema = %{"note" => "string (optional)", "parent" => "object or null", "payload" => "any", "count" => "number"}
+
+      assert ContractValidator.diff_body(%{"parent" => nil, "payload" => [1], "count" => 3}, schema) == []
+    end
+
+    test "a non-object body is a type mismatch at the root" do
+      assert [%{"path" => "", "kind" => "type_mismatch", "expected" => "object", "actual" => "array"}] =
+               ContractValidator.diff_body([], %{"data" => "array"})
+    end
+  end
+
+  describe "check_endpoint/2" do
+    test "passes when the mock gateway matches the spec" do
+      assert %{"status" => "pass", "http_status" => 200, "diffs" => []} =
+               ContractValidator.check_endpoint("GET /metrics", base_url: @base_url)
+    end
+
+    test "fills path params from the samples" do
+      result = ContractValidator.check_endpoint("GET /api/v1/messages/:id", base_url: @base_url)
+
+      # The request went out (msg_001 may have been deleted by another test)
+      assert result["http_status"] in [200, 404]
+    end
+
+    test "does not call mutating endpoints" do
+      assert %{"status" => "skipped", "message" => "POST endpoints are not called"} =
+               ContractValidator.check_endpoint("POST /api/v1/messages", base_url: @base_url)
+    end
+
+    test "reports an unreachable gateway as an error" do
+      assert %{"status" => "error"} = ContractValidator.check_endpoint("GET /metrics", base_url: "http://localhost:1")
+    end
+  end
+
+  describe "run_checks/1" do
+    test "checks the given endpoints and counts statuses" do
+      run = ContractValidator.run_checks(base_url: @base_url, endpoints: ["POST /api/v1/messages", "GET /metrics"])
+
+      assert "run_" <> _ = run["id"]
+      assert Enum.map(run["results"], & &1["endpoint"]) == ["GET /metrics", "POST /api/v1/messages"]
+      assert run["summary"] == %{"pass" => 1, "drift" => 0, "fail" => 0, "error" => 0, "skipped" => 1}
+    end
+  end
+end
@@ -0,0 +1,44 @@
+defmodule UiWeb.Contracts.JUnitTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Contracts.JUnit
+
+  doctest JUnit
+
+  @missing %{"path" => "latency.p95", "kind" => "missing", "expected" => "number", "actual" => nil}
+  @extra %{"path" => "nats.servers", "kind" => "extra", "expected" => nil, "actual" => "integer"}
+
+  defp result(endpoint, status, fields) do
+    Map.merge(%{"endpoint" => endpoint, "method" => "GET", "status" => status, "duration_ms" => 5, "message" => nil, "diffs" => []}, fields)
+  end
+
+  test "renders one testcase per result with suite counts" do
+    run = %{
+      "started_at" => "2026-01-01T00:00:00Z",
+      "results" => [
+        result("GET /metrics", "fail", %{"diffs" => [@missing], "message" => "1 contract difference(s)"}),
+        result("GET /health", "drift", %{"diffs" => [@extra]}),
+        result("GET /_health", "error", %{"message" => "connection refused"}),
+        result("POST /api/v1/messages", "skipped", %{"method" => "POST", "message" => "POST endpoints are not called"})
+      ]
+    }
+
+    xml = JUnit.render(run)
+
+    assert xml =~ ~s(<testsuite name="contracts" tests="4" failures="1" errors="1" skipped="1" time="0.020" timestamp="2026-01-01T00:00:00Z">)
+    assert xml =~ ~s(<failure message="1 contract difference(s)" type="contract">missing: latency.p95 (expected number)</failure>)
+    assert xml =~ ~s(<system-out>extra: nats.servers (integer)</system-out>)
+    assert xml =~ ~s(<error message="connection refused" type="request"/>)
+    assert xml =~ ~s(<testcase classname="contracts.POST" name="POST /api/v1/messages" time="0.005">)
+    assert xml =~ ~s(<skipped message="POST endpoints are not called"/>)
+  end
+
+  test "escapes XML special characters" do
+    run = %{"started_at" => "now", "results" => [result("GET /a?b=1&c=<d>", "error", %{"message" => ~s(bad "quote")})]}
+
+    xml = JUnit.render(run)
+
+    assert xml =~ ~s(name="GET /a?b=1&amp;c=&lt;d&gt;")
+    assert xml =~ ~s(message="bad &quot;quote&quot;")
+  end
+end
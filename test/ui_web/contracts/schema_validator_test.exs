@@ -0,0 +1,58 @@
+defmodule UiWeb.Contracts.SchemaValidatorTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Contracts.{ApiSpec, SchemaValidator}
+
+  describe "validate/2" do
+    test "accepts a policy that matches the policy schema" do
+      policy = %{
+        "rules" => [%{"condition" => "true", "action" => "route", "provider" => "openai"}],
+        "pre" => [%{"id" => "normalize_text", "mode" => "required"}],
+        "metadata" => %{"version" => "1", "tags" => ["prod"]}
+      }
+
+      assert :ok = SchemaValidator.validate(policy, ApiSpec.policy_schema())
+    end
+
+    test "reports missing and unknown keys with their paths" do
+      policy = %{"rules" => [%{"condition" => "true"}], "extra" => 1}
+
+      assert {:error, errors} = SchemaValidator.validate(policy, ApiSpec.policy_schema())
+      assert %{path: ["extra"], message: "is not allowed"} in errors
+      assert %{path: ["rules", 0, "action"], message: "is required"} in errors
+    end
+
+    test "reports type, enum and emptiness violations" do
+      policy = %{
+        "rules" => [%{"condition" => "", "action" => 42}],
+        "validators" => [%{"id" => "pii_guard", "mode" => "sometimes"}]
+      }
+
+      assert {:error, errors} = SchemaValidator.validate(policy, ApiSpec.policy_schema())
+      messages = Enum.map(errors, &SchemaValidator.format_error/1)
+
+      assert "rules[0].condition: must not be empty" in messages
+      assert "rules[0].action: must be string" in messages
+      assert Enum.any?(messages, &String.starts_with?(&1, "validators[0].mode: must be one of:"))
+    end
+
+    test "rejects a non-object document" do
+      assert {:error, [%{path: [], message: "must be object"}]} =
+               SchemaValidator.validate([], ApiSpec.policy_schema())
+    end
+
+    test "enforces minItems" do
+      schema = %{"type" => "array", "minItems" => 1}
+
+      assert {:error, [%{message: "must have at least 1 item(s)"}]} = SchemaValidator.validate([], schema)
+      assert :ok = SchemaValidator.validate(["x"], schema)
+    end
+  end
+
+  describe "format_path/1" do
+    test "joins keys and indexes" do
+      assert SchemaValidator.format_path([]) == "(root)"
+      assert SchemaValidator.format_path(["rules", 0, "action"]) == "rules[0].action"
+    end
+  end
+end
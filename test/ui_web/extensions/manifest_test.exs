@@ -0,0 +1,103 @@
+defmodule UiWeb.Extensions.ManifestTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Extensions.Manifest
+
+  doctest Manifest
+
+  @registered %{
+    "id" => "ext_fail",
+    "name" => "failing-extension",
+    "type" => "provider",
+    "description" => "This extension will fail on toggle/delete",
+    "nats_subject" => "beamline.extensions.provider.fail.v1",
+    "version" => "1.0.0",
+    "enabled" => true,
+    "health" => %{"status" => "healthy", "latency_ms" => 50},
+    "metadata" => %{"author" => "Test", "tags" => ["test"], "docs_url" => "https://docs.beamline.io/extensions/fail"},
+    "created_at" => "2025-11-20T08:00:00Z"
+  }
+
+  @new_entry %{
+    "name" => "manifest-echo",
+    "type" => "pre",
+    "nats_subject" => "beamline.extensions.pre.manifest-echo.v1",
+    "version" => "1.0.0"
+  }
+
+  describe "parse/2" do
+    test "accepts a bare list of entries" do
+      assert Manifest.parse(~s([{"name": "a"}]), :auto) == {:ok, [%{"name" => "a"}]}
+    end
+
+    test "rejects malformed manifests" do
+      assert {:error, "Invalid JSON: " <> _} = Manifest.parse("{", :json)
+      assert {:error, "Invalid YAML: " <> _} = Manifest.parse("extensions: [\n", :yaml)
+      assert Manifest.parse(~s({"extensions": [{"name": "a"}, "b"]}), :json) == {:error, "Extension 2 is not an object"}
+      assert Manifest.parse("name: a\n", :yaml) == {:error, ~s(Expected an "extensions" list)}
+
+      too_many = Jason.encode!(for(n <- 1..201, do: %{"name" => "ext-#{n}"}))
+      assert Manifest.parse(too_many, :json) == {:error, "A manifest may hold at most 200 extensions"}
+    end
+  end
+
+  describe "plan/2" do
+    test "plans creates, updates and unchanged extensions by name" do
+      entries = [
+        Manifest.entry(@registered),
+        @registered |> Manifest.entry() |> Map.merge(%{"version" => "1.1.0", "enabled" => false}),
+        @new_entry
+      ]
+
+      [unchanged, update, create] = Manifest.plan(entries, [@registered])
+
+      assert %{index: 1, action: :unchanged, id: "ext_fail", errors: []} = unchanged
+      assert %{index: 2, action: :update, id: "ext_fail", changes: ["version", "enabled"]} = update
+      assert update.params["version"] == "1.1.0"
+
+      assert %{index: 3, action: :create, id: nil, name: "manifest-echo"} = create
+      assert create.params["enabled"] == false
+      assert create.params["config"] == %{"timeout_ms" => 30_000, "max_retries" => 3}
+    end
+
+    test "marks entries failing the extension changeset as invalid" do
+      [invalid] = Manifest.plan([%{"name" => "Bad_Name", "nats_subject" => "nope", "version" => "1"}], [@registered])
+
+      assert invalid.action == :invalid
+      assert invalid.params == %{}
+      assert "name must be lowercase alphanumeric with hyphens" in invalid.errors
+      assert "type can't be blank" in invalid.errors
+      assert "version must be semantic version (e.g., 1.0.0)" in invalid.errors
+    end
+
+    test "marks every entry of a repeated name as invalid" do
+      plan = Manifest.plan([@new_entry, Map.put(@new_entry, "version", "2.0.0")], [])
+
+      assert Enum.map(plan, & &1.action) == [:invalid, :invalid]
+      assert Enum.all?(plan, &("name manifest-echo appears more than once in the manifest" in &1.errors))
+    end
+  end
+
+  describe "export/2" do
+    test "writes manifests that plan no changes against the same registry" do
+      for format <- [:yaml, :json] do
+        manifest = Manifest.export([@registered], format)
+
+        assert {:ok, entries} = Manifest.parse(manifest, :auto)
+        assert [%{action: :unchanged}] = Manifest.plan(entries, [@registered])
+      end
+    end
+
+    test "leaves out registry-only fields and sorts by name" do
+      yaml = Manifest.export([@new_entry, @registered], :yaml)
+
+      assert {:ok, %{"version" => 1, "extensions" => [%{"name" => "failing-extension"}, %{"name" => "manifest-echo"}]}} =
+               YamlElixir.read_from_string(yaml)
+
+      assert yaml == Manifest.export([@registered, @new_entry], :yaml)
+      refute yaml =~ "ext_fail"
+      refute yaml =~ "health"
+      refute yaml =~ "created_at"
+    end
+  end
+end
@@ -16,8 +16,8 @@ defmodule UiWeb.Integration.EndToEndTest do
   @test_tenant "e2e_test_#{System.unique_integer([:positive])}"
   
   setup do
-    # Start SSEBridge if not already running
-    start_supervised!(UiWeb.SSEBridge)
+    # Start the test tenant's SSEBridge if not already running
+    {:ok, _pid} = UiWeb.SSEBridge.ensure_started(@test_tenant)
     
     # Subscribe to Phoenix PubSub for event verification
     PubSub.subscribe(UiWeb.PubSub, "messages:#{@test_tenant}")
@@ -0,0 +1,39 @@
+defmodule UiWeb.JsonDiffTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.JsonDiff
+
+  describe "diff/2" do
+    test "equal values have no changes" do
+      assert JsonDiff.diff(%{"a" => [1, %{"b" => 2}]}, %{"a" => [1, %{"b" => 2}]}) == []
+    end
+
+    test "reports nested changes at their own path" do
+      old = %{"message" => "Hi 42", "meta" => %{"user" => "u1", "tags" => ["a"]}}
+      new = %{"message" => "Hi **", "meta" => %{"tags" => ["a", "b"]}}
+
+      assert JsonDiff.diff(old, new) == [
+               %{op: :changed, path: ["message"], old: "Hi 42", new: "Hi **"},
+               %{op: :added, path: ["meta", "tags", 1], old: nil, new: "b"},
+               %{op: :removed, path: ["meta", "user"], old: "u1", new: nil}
+             ]
+    end
+
+    test "a type change replaces the whole value" do
+      assert JsonDiff.diff(%{"a" => [1]}, %{"a" => %{"0" => 1}}) == [
+               %{op: :changed, path: ["a"], old: [1], new: %{"0" => 1}}
+             ]
+    end
+
+    test "diffs scalars at the root" do
+      assert JsonDiff.diff("a", "b") == [%{op: :changed, path: [], old: "a", new: "b"}]
+    end
+  end
+
+  describe "format_path/1" do
+    test "joins keys with dots and indexes with brackets" do
+      assert JsonDiff.format_path(["items", 0, "name"]) == "items[0].name"
+      assert JsonDiff.format_path([]) == "(root)"
+    end
+  end
+end
@@ -0,0 +1,67 @@
+defmodule UiWeb.JsonPathTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.JsonPath
+
+  doctest JsonPath
+
+  @payload %{
+    "message" => "hi",
+    "meta" => %{"user" => %{"id" => "u1"}, "tags" => ["a", "b", "c"]},
+    "items" => [%{"id" => 1, "name" => "x"}, %{"id" => 2}],
+    "odd key" => true
+  }
+
+  describe "query/2" do
+    test "member, index and wildcard segments" do
+      assert JsonPath.query(@payload, "$.meta.user.id") == {:ok, [["meta", "user", "id"]]}
+      assert JsonPath.query(@payload, "$.meta.tags[1]") == {:ok, [["meta", "tags", 1]]}
+      assert JsonPath.query(@payload, "$.meta.tags[-1]") == {:ok, [["meta", "tags", 2]]}
+      assert JsonPath.query(@payload, "$.items[*].id") == {:ok, [["items", 0, "id"], ["items", 1, "id"]]}
+      assert JsonPath.query(@payload, "$.meta.*") == {:ok, [["meta", "tags"], ["meta", "user"]]}
+    end
+
+    test "bracketed names and slices" do
+      assert JsonPath.query(@payload, "$['odd key']") == {:ok, [["odd key"]]}
+      assert JsonPath.query(@payload, ~s($["meta"]["tags"][0:2])) == {:ok, [["meta", "tags", 0], ["meta", "tags", 1]]}
+      assert JsonPath.query(@payload, "$.meta.tags[-2:]") == {:ok, [["meta", "tags", 1], ["meta", "tags", 2]]}
+    end
+
+    test "recursive descent" do
+      assert JsonPath.query(@payload, "$..id") ==
+               {:ok, [["items", 0, "id"], ["items", 1, "id"], ["meta", "user", "id"]]}
+
+      assert {:ok, paths} = JsonPath.query(@payload, "$..*")
+      assert ["meta", "tags", 2] in paths
+      assert length(paths) == 15
+    end
+
+    test "the leading $ is optional" do
+      assert JsonPath.query(@payload, "items[0].name") == {:ok, [["items", 0, "name"]]}
+      assert JsonPath.query(@payload, "..name") == {:ok, [["items", 0, "name"]]}
+      assert JsonPath.query(@payload, "$") == {:ok, [[]]}
+    end
+
+    test "missing members and out-of-range indexes match nothing" do
+      assert JsonPath.query(@payload, "$.nope.id") == {:ok, []}
+      assert JsonPath.query(@payload, "$.meta.tags[5]") == {:ok, []}
+      assert JsonPath.query(@payload, "$.message[0]") == {:ok, []}
+    end
+
+    test "reports the position of syntax errors" do
+      assert JsonPath.query(@payload, "$.items[x]") == {:error, "Expected ] at 8"}
+      assert JsonPath.query(@payload, "$.") == {:error, "Expected a name at 2"}
+      assert JsonPath.query(@payload, "$items") == {:error, "Expected . or [ at 1"}
+      assert JsonPath.query(@payload, "  ") == {:error, "Enter a path"}
+    end
+  end
+
+  describe "format/1" do
+    test "round-trips through query/2" do
+      for path <- [[], ["meta", "user", "id"], ["items", 1], ["odd key"], ["it's"]] do
+        assert JsonPath.query(%{"meta" => %{"user" => %{"id" => 1}}, "items" => [1, 2], "odd key" => 1, "it's" => 1}, JsonPath.format(path)) ==
+                 {:ok, [path]}
+      end
+    end
+  end
+end
@@ -0,0 +1,41 @@
+defmodule UiWeb.Messages.BulkActionTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Messages.BulkAction
+
+  doctest BulkAction
+
+  describe "from_params/1" do
+    test "reads every action of the bulk bar" do
+      assert BulkAction.from_params(%{"action" => "retry"}) == {:ok, :retry}
+      assert BulkAction.from_params(%{"action" => "remove_tags", "tags" => " draft "}) == {:ok, {:remove_tags, ["draft"]}}
+      assert BulkAction.from_params(%{"action" => "set_status", "status" => "failed"}) == {:ok, {:set_status, "failed"}}
+    end
+
+    test "rejects incomplete and unknown actions" do
+      assert BulkAction.from_params(%{"action" => "add_tags", "tags" => " , "}) == {:error, "Enter at least one tag"}
+      assert BulkAction.from_params(%{"action" => "add_tags"}) == {:error, "Enter at least one tag"}
+      assert BulkAction.from_params(%{"action" => "set_status", "status" => ""}) == {:error, "Choose a status"}
+      assert BulkAction.from_params(%{"action" => "archive"}) == {:error, "Unknown bulk action"}
+    end
+  end
+
+  describe "run/3" do
+    test "applies an action to one message" do
+      assert BulkAction.run(:retry, "msg_001", []) == :ok
+      assert BulkAction.run({:set_status, "completed"}, "msg_002", []) == :ok
+      assert BulkAction.run({:add_tags, ["billing"]}, "msg_003", []) == :ok
+    end
+
+    test "skips the write when the tags are already as asked" do
+      # msg_fail rejects updates and has no tags, so only a skipped write succeeds
+      assert BulkAction.run({:remove_tags, ["billing"]}, "msg_fail", []) == :ok
+      assert {:error, {:http_error, 500, _body}} = BulkAction.run({:add_tags, ["billing"]}, "msg_fail", [])
+    end
+
+    test "returns the gateway error of a failed message" do
+      assert {:error, {:http_error, 500, _body}} = BulkAction.run(:retry, "msg_fail", [])
+      assert {:error, {:http_error, 404, _body}} = BulkAction.run(:retry, "msg_missing", [])
+    end
+  end
+end
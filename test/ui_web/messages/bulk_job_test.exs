@@ -0,0 +1,58 @@
+defmodule UiWeb.Messages.BulkJobTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Messages.BulkJob
+
+  # The last broadcast of a job
+  defp await_finished(job_id), do: job_id |> await_broadcasts() |> List.last()
+
+  defp await_broadcasts(job_id, acc \\ []) do
+    receive do
+      {:bulk_job, %{id: ^job_id} = progress} ->
+        if BulkJob.running?(progress), do: await_broadcasts(job_id, [progress | acc]), else: Enum.reverse([progress | acc])
+    after
+      5_000 -> flunk("bulk job #{job_id} did not finish")
+    end
+  end
+
+  test "reports progress per message and collects the failures" do
+    {:ok, job_id} = BulkJob.start(:retry, ["msg_001", "msg_fail", "msg_002", "msg_001"])
+
+    assert_receive {:bulk_job, %{id: ^job_id, status: :running, total: 3, processed: 0}}, 1_000
+
+    assert %{status: :done, total: 3, processed: 3, succeeded: 2, failed: [%{id: "msg_fail", reason: {:http_error, 500, _}}]} =
+             await_finished(job_id)
+
+    assert BulkJob.cancel(job_id) == {:error, :not_found}
+  end
+
+  test "resolves a filter to every matching message" do
+    {:ok, job_id} = BulkJob.start({:add_tags, ["test"]}, {:filters, [type: "code", status: "processing"]})
+
+    # Odd messages are code, and every other one of them is processing
+    assert %{status: :done, total: 15, succeeded: 15, failed: []} = await_finished(job_id)
+  end
+
+  test "cancel stops the job between two messages" do
+    {:ok, job_id} = BulkJob.start({:set_status, "completed"}, Enum.map(1..60, &"msg_#{String.pad_leading("#{&1}", 3, "0")}"))
+
+    assert BulkJob.cancel(job_id) == :ok
+    assert %{status: :cancelled, total: 60} = progress = await_finished(job_id)
+    assert progress.processed < 60
+  end
+
+  test "cancel stops the job while it resolves a filter" do
+    {:ok, job_id} = BulkJob.start(:retry, {:filters, []})
+
+    assert BulkJob.cancel(job_id) == :ok
+    assert %{status: :cancelled, processed: 0} = await_finished(job_id)
+  end
+
+  test "throttles progress broadcasts" do
+    {:ok, job_id} = BulkJob.start(:retry, Enum.map(1..60, &"msg_#{String.pad_leading("#{&1}", 3, "0")}"))
+
+    broadcasts = await_broadcasts(job_id)
+    assert %{status: :done, processed: 60} = List.last(broadcasts)
+    assert length(broadcasts) < 60
+  end
+end
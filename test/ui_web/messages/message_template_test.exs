@@ -0,0 +1,50 @@
+defmodule UiWeb.Messages.MessageTemplateTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Messages.MessageTemplate
+
+  doctest MessageTemplate
+
+  describe "validate/2" do
+    test "keeps only non-blank composer fields" do
+      form = %{"type" => "chat", "prompt" => "Hi", "response" => "  ", "temperature" => 0.7, "_csrf_token" => "x", "unknown" => "y"}
+
+      assert {:ok, %{"fields" => fields}} = MessageTemplate.validate(%{"name" => "Greeting"}, form)
+      assert fields == %{"type" => "chat", "prompt" => "Hi", "temperature" => "0.7"}
+    end
+
+    test "requires a short name" do
+      assert MessageTemplate.validate(%{"name" => "  "}, %{"prompt" => "Hi"}) == {:error, "Name is required"}
+      assert MessageTemplate.validate(%{}, %{"prompt" => "Hi"}) == {:error, "Name is required"}
+
+      assert MessageTemplate.validate(%{"name" => String.duplicate("a", 61)}, %{"prompt" => "Hi"}) ==
+               {:error, "Name must be at most 60 characters"}
+    end
+  end
+
+  describe "preview/2" do
+    @template %{"fields" => %{"type" => "chat", "prompt" => "Hello {{name}}", "user_id" => "{{ user }}"}}
+
+    test "leaves unfilled variables in place and lists them as missing" do
+      preview = MessageTemplate.preview(@template, %{"name" => "Ada", "user" => " "})
+
+      assert preview.params["prompt"] == "Hello Ada"
+      assert preview.params["user_id"] == "{{ user }}"
+      assert preview.missing == ["user"]
+      refute MessageTemplate.ready?(preview)
+    end
+
+    test "is ready once every variable is filled and the message is valid" do
+      assert MessageTemplate.ready?(MessageTemplate.preview(@template, %{"name" => "Ada", "user" => "u1"}))
+    end
+
+    test "validates the filled message" do
+      preview = MessageTemplate.preview(%{"fields" => %{"prompt" => "No type"}}, %{})
+
+      assert preview.missing == []
+      assert preview.changeset.action == :validate
+      assert {_, _} = preview.changeset.errors[:type]
+      refute MessageTemplate.ready?(preview)
+    end
+  end
+end
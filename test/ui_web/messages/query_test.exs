@@ -0,0 +1,79 @@
+defmodule UiWeb.Messages.QueryTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Messages.Query
+
+  doctest Query
+
+  defp params!(query) do
+    {:ok, terms} = Query.parse(query)
+    Query.to_params(terms)
+  end
+
+  defp errors!(query) do
+    {:error, errors} = Query.parse(query)
+    errors
+  end
+
+  describe "parse/1 and to_params/1" do
+    test "an empty or plain query is a search" do
+      assert params!("") == []
+      assert params!(nil) == []
+      assert params!("  connection timeout ") == [search: "connection timeout"]
+    end
+
+    test "repeated type and status are any of, tags all of" do
+      assert params!("status:failed status:pending tag:billing tag:eu") ==
+               [status: "failed,pending", tag: "billing,eu"]
+    end
+
+    test "negated terms become exclude params" do
+      assert params!(~s(-type:code -tag:draft -user:user_1 -"load test")) ==
+               [exclude_type: "code", exclude_tag: "draft", exclude_user: "user_1", exclude_search: "load test"]
+    end
+
+    test "field names are case-insensitive and values may be quoted" do
+      assert params!(~s(Subject:"weekly report" USER:u1)) == [subject: "weekly report", user: "u1"]
+    end
+
+    test "created dates become an inclusive from and exclusive to" do
+      assert params!("created:2026-10-01") == [from_date: "2026-10-01T00:00:00Z", to_date: "2026-10-02T00:00:00Z"]
+      assert params!("created:>=2026-10-01") == [from_date: "2026-10-01T00:00:00Z"]
+      assert params!("created:<2026-10-01") == [to_date: "2026-10-01T00:00:00Z"]
+      assert params!("created:<=2026-10-01") == [to_date: "2026-10-02T00:00:00Z"]
+
+      assert params!("created:>2026-10-01T08:30:00+02:00 created:<2026-10-31") ==
+               [from_date: "2026-10-01T06:30:00Z", to_date: "2026-10-31T00:00:00Z"]
+    end
+  end
+
+  describe "errors" do
+    test "report every invalid term with its character offset" do
+      assert [
+               %{message: "Unknown type \"email\", expected chat, code, completion", offset: 2, length: 10},
+               %{message: "Missing value", offset: 16, length: 4, token: "tag:"}
+             ] = errors!("é type:email ok tag:")
+    end
+
+    test "quotes must be closed" do
+      assert [%{message: "Unterminated quote", offset: 0, token: ~s(subject:"open end)}] = errors!(~s(subject:"open end))
+      assert [%{message: "Unexpected quote"}] = errors!(~s(user:a"b))
+    end
+
+    test "invalid and conflicting dates" do
+      assert [%{message: "Invalid date" <> _}] = errors!("created:>yesterday")
+      assert [%{message: "Compare a time with" <> _}] = errors!("created:2026-10-01T10:00:00Z")
+      assert [%{message: "created can't be excluded" <> _}] = errors!("-created:2026-10-01")
+      assert [%{message: "created: already has a start", offset: 20}] = errors!("created:>2026-10-01 created:2026-10-05")
+    end
+
+    test "subject and user may be given once" do
+      assert [%{message: "subject: is already given", token: "subject:b"}] = errors!("subject:a subject:b")
+      assert {:ok, _} = Query.parse("subject:a -subject:b")
+    end
+  end
+
+  test "fields/0 lists the known values for autocomplete" do
+    assert %{"status" => ["pending", "processing", "completed", "failed"], "tag" => []} = Query.fields()
+  end
+end
@@ -0,0 +1,56 @@
+defmodule UiWeb.Messages.SavedViewTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Messages.SavedView
+
+  doctest SavedView
+
+  describe "from_params/1 and to_params/1" do
+    test "round-trip every filter and the sort" do
+      filters = %{"status" => "failed", "type" => "chat", "search" => "timeout", "sort" => "created_at", "order" => "asc", "limit" => 100}
+
+      params = SavedView.to_params(filters)
+
+      assert params == %{"status" => "failed", "type" => "chat", "search" => "timeout", "order" => "asc", "limit" => "100"}
+      assert SavedView.from_params(params) == filters
+    end
+
+    test "defaults leave no params" do
+      assert SavedView.to_params(SavedView.defaults()) == %{}
+      assert SavedView.from_params(%{}) == SavedView.defaults()
+    end
+
+    test "page sizes outside the offered ones fall back to the default" do
+      assert %{"limit" => 50} = SavedView.from_params(%{"limit" => "7"})
+      assert %{"limit" => 50} = SavedView.from_params(%{"limit" => "25abc"})
+      assert %{"limit" => 25} = SavedView.from_params(%{"limit" => 25})
+    end
+  end
+
+  test "filtered?/1 ignores params that are not filters" do
+    refute SavedView.filtered?(%{"tenant_id" => "t1"})
+    assert SavedView.filtered?(%{"tenant_id" => "t1", "order" => "asc"})
+  end
+
+  test "validate/2 rejects overly long names" do
+    assert {:error, "Name must be at most 60 characters"} = SavedView.validate(%{"name" => String.duplicate("a", 61)}, %{})
+  end
+
+  describe "default_view/1, pinned/1 and matching/2" do
+    @views [
+      %{"id" => "v1", "name" => "Failed", "filters" => %{"status" => "failed"}, "pinned" => true, "default" => false},
+      %{"id" => "v2", "name" => "Chats", "filters" => %{"type" => "chat", "limit" => 25}, "pinned" => false, "default" => true}
+    ]
+
+    test "pick the default and the pinned views" do
+      assert %{"id" => "v2"} = SavedView.default_view(@views)
+      assert [%{"id" => "v1"}] = SavedView.pinned(@views)
+      assert SavedView.default_view([]) == nil
+    end
+
+    test "matching/2 compares normalized filters" do
+      assert %{"id" => "v2"} = SavedView.matching(@views, %{"type" => "chat", "limit" => "25", "status" => "all"})
+      assert SavedView.matching(@views, %{"type" => "chat"}) == nil
+    end
+  end
+end
@@ -0,0 +1,44 @@
+defmodule UiWeb.Metrics.HistoryTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Metrics.History
+
+  @metrics %{"rps" => 100, "latency" => %{"p50" => 10, "p95" => 50}, "error_rate" => 0.01}
+  @hour 60 * 60_000
+
+  setup do
+    {:ok, tenant: "history_test_#{System.unique_integer([:positive])}", t0: 1_700_000_000_000}
+  end
+
+  test "keeps samples per tenant, oldest first", %{tenant: tenant, t0: t0} do
+    :ok = History.record(tenant, @metrics, t0)
+    :ok = History.record(tenant, %{@metrics | "rps" => 120}, t0 + 5_000)
+    :ok = History.record(tenant <> "_other", @metrics, t0)
+
+    assert [{^t0, %{"throughput" => 100}}, {_, %{"throughput" => 120}}] =
+             History.samples(tenant, @hour, t0 + 10_000)
+  end
+
+  test "only returns samples within the range", %{tenant: tenant, t0: t0} do
+    :ok = History.record(tenant, @metrics, t0)
+    :ok = History.record(tenant, @metrics, t0 + 10 * 60_000)
+
+    assert [{at, _}] = History.samples(tenant, 5 * 60_000, t0 + 11 * 60_000)
+    assert at == t0 + 10 * 60_000
+  end
+
+  test "skips a sample recorded right after the previous one", %{tenant: tenant, t0: t0} do
+    :ok = History.record(tenant, @metrics, t0)
+    :ok = History.record(tenant, %{@metrics | "rps" => 999}, t0 + 500)
+
+    assert [{^t0, %{"throughput" => 100}}] = History.samples(tenant, @hour, t0 + 1_000)
+  end
+
+  test "drops samples older than 24h", %{tenant: tenant, t0: t0} do
+    :ok = History.record(tenant, @metrics, t0)
+    :ok = History.record(tenant, @metrics, t0 + 25 * @hour)
+
+    assert [{at, _}] = History.samples(tenant, 48 * @hour, t0 + 25 * @hour)
+    assert at == t0 + 25 * @hour
+  end
+end
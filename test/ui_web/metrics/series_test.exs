@@ -0,0 +1,57 @@
+defmodule UiWeb.Metrics.SeriesTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Metrics.Series
+
+  doctest UiWeb.Metrics.Series
+
+  defp samples(key, values) do
+    values
+    |> Enum.with_index()
+    |> Enum.map(fn {value, index} -> {index * 5_000, %{key => value}} end)
+  end
+
+  describe "normalize/1" do
+    test "accepts atom keys and ignores non-numeric values" do
+      sample = Series.normalize(%{rps: 5, latency: %{p95: 40}, error_rate: "n/a", nats: %{connected: false, in_msgs: 7}})
+
+      assert sample["throughput"] == 5
+      assert sample["latency_p95"] == 40
+      assert sample["error_rate"] == nil
+      assert sample["nats_connected"] == 0
+      assert sample["nats_in_msgs"] == 7
+    end
+  end
+
+  describe "points/3" do
+    test "skips samples without a value" do
+      assert Series.points(samples("throughput", [1, nil, 3]), "throughput") == [[0, 1], [10_000, 3]]
+    end
+
+    test "averages into buckets above max_points" do
+      points = Series.points(samples("throughput", Enum.to_list(1..100)), "throughput", 10)
+
+      assert length(points) == 10
+      assert [[_, first] | _] = points
+      assert first == 5.5
+    end
+  end
+
+  describe "trend/2" do
+    test "compares the newer half of the window with the older half" do
+      assert Series.trend(samples("throughput", [10, 10, 20, 20]), "throughput") == "up"
+      assert Series.trend(samples("throughput", [20, 20, 10, 10]), "throughput") == "down"
+      assert Series.trend(samples("throughput", [100, 101, 100, 102]), "throughput") == "stable"
+    end
+
+    test "needs two values" do
+      assert Series.trend(samples("throughput", [10]), "throughput") == nil
+      assert Series.trend(samples("throughput", [nil, nil]), "throughput") == nil
+    end
+  end
+
+  test "unknown ranges fall back to 5m" do
+    assert Series.range_ms("1h") == 3_600_000
+    assert Series.range_ms("1y") == 300_000
+  end
+end
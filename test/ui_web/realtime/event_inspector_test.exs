@@ -0,0 +1,76 @@
+defmodule UiWeb.Realtime.EventInspectorTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.Realtime.EventInspector
+
+  doctest EventInspector
+
+  defp entry(attrs) do
+    Map.merge(%{id: 1, subject: "beamline.messages.events.created", type: "message_created", tenant_id: "acme"}, attrs)
+  end
+
+  describe "subject_matches?/2" do
+    test "follows NATS wildcards" do
+      assert EventInspector.subject_matches?("beamline.messages.events.created", "beamline.messages.events.created")
+      assert EventInspector.subject_matches?("beamline.*.events.*", "beamline.policies.events.updated")
+      assert EventInspector.subject_matches?("beamline.>", "beamline.policies.events.updated")
+      refute EventInspector.subject_matches?("beamline.messages.>", "beamline.messages")
+      refute EventInspector.subject_matches?("beamline.*", "beamline.messages.events")
+      refute EventInspector.subject_matches?("beamline.>.created", "beamline.messages.events.created")
+    end
+  end
+
+  describe "matches?/2" do
+    test "combines the subject, type and tenant filters" do
+      filters = EventInspector.filters(%{"subject" => "beamline.messages.>", "type" => "message_created", "tenant" => "acme"})
+
+      assert EventInspector.matches?(entry(%{}), filters)
+      refute EventInspector.matches?(entry(%{type: "message_updated"}), filters)
+      refute EventInspector.matches?(entry(%{tenant_id: "other"}), filters)
+      refute EventInspector.matches?(entry(%{subject: "beamline.policies.events.updated"}), filters)
+    end
+
+    test "the none tenant filter keeps global events only" do
+      filters = EventInspector.filters(%{"tenant" => EventInspector.no_tenant()})
+
+      assert EventInspector.matches?(entry(%{tenant_id: nil}), filters)
+      refute EventInspector.matches?(entry(%{}), filters)
+    end
+  end
+
+  describe "visible?/3" do
+    test "shows the user's tenants and global events" do
+      assert EventInspector.visible?(entry(%{}), ["acme"], "viewer")
+      refute EventInspector.visible?(entry(%{}), ["other"], "admin")
+      assert EventInspector.visible?(entry(%{tenant_id: nil, global: true}), ["acme"], "viewer")
+    end
+
+    test "shows events of unknown tenants on tenant-scoped subjects to admins only" do
+      unscoped = entry(%{tenant_id: nil, global: false, type: "decode_error", raw: "{\"tenant_id\": \"other\""})
+
+      refute EventInspector.visible?(unscoped, ["acme"], "operator")
+      assert EventInspector.visible?(unscoped, ["acme"], "admin")
+    end
+  end
+
+  test "redact/2 keeps raw bodies of unknown tenants for admins only" do
+    global_error = entry(%{tenant_id: nil, global: true, type: "decode_error", raw: "{oops"})
+
+    assert EventInspector.redact(global_error, "viewer").raw == nil
+    assert EventInspector.redact(global_error, "admin").raw == "{oops"
+  end
+
+  test "push/3 keeps the newest entries" do
+    entries = Enum.reduce(1..5, [], &EventInspector.push(&2, entry(%{id: &1}), 3))
+
+    assert Enum.map(entries, & &1.id) == [5, 4, 3]
+  end
+
+  test "rates only count the last 10 seconds" do
+    rates = Enum.reduce([0, 1_000, 2_000], %{}, &EventInspector.track(&2, "s", &1))
+
+    assert [%{total: 3, per_second: 0.3}] = EventInspector.rate_rows(rates, 5_000)
+    assert [%{total: 3, per_second: 0.1}] = EventInspector.rate_rows(rates, 11_500)
+    assert [%{total: 4, per_second: 0.1}] = rates |> EventInspector.track("s", 20_000) |> EventInspector.rate_rows(20_000)
+  end
+end
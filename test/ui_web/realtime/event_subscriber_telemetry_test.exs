@@ -106,5 +106,21 @@ defmodule UiWeb.Realtime.EventSubscriberTelemetryTest do
         assert metadata.phoenix_topic == expected_phoenix_topic
       end
     end
+
+    test "broadcasts message events with a tenant on the tenant's topic" do
+      topic = EventSubscriber.tenant_topic("messages:updates", "acme")
+      Phoenix.PubSub.subscribe(UiWeb.PubSub, topic)
+
+      event = %{"type" => "message_created", "data" => %{"id" => "msg_1", "tenant_id" => "acme"}}
+
+      {:noreply, _state} =
+        EventSubscriber.handle_info(
+          {:msg, %{topic: "beamline.messages.events.created", body: Jason.encode!(event)}},
+          %{subscriptions: []}
+        )
+
+      assert_receive {:event, ^event}, 1_000
+      assert_receive {:telemetry_event, [:ui_web, :nats, :event], _measurements, %{phoenix_topic: "messages:updates:acme"}}, 1_000
+    end
   end
 end
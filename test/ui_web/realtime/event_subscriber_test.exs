@@ -0,0 +1,50 @@
+defmodule UiWeb.Realtime.EventSubscriberTest do
+  use ExUnit.Case, async: false
+
+  alias UiWeb.Realtime.{EventSubscriber, FakePublisher}
+
+  doctest FakePublisher
+
+  setup do
+    Phoenix.PubSub.subscribe(UiWeb.PubSub, EventSubscriber.inspector_topic())
+    :ok
+  end
+
+  defp deliver(subject, body) do
+    EventSubscriber.handle_info({:msg, %{topic: subject, body: body}}, %{subscriptions: []})
+  end
+
+  test "broadcasts every message to the inspector topic" do
+    deliver("beamline.messages.events.created", Jason.encode!(%{"type" => "message_created", "data" => %{"tenant_id" => "acme"}}))
+
+    assert_receive {:nats_event, entry}
+    assert entry.subject == "beamline.messages.events.created"
+    assert entry.topic == "messages:updates:acme"
+    assert entry.type == "message_created"
+    assert entry.tenant_id == "acme"
+    refute entry.global
+    assert entry.event["data"] == %{"tenant_id" => "acme"}
+    assert is_nil(entry.raw)
+  end
+
+  test "keeps the raw body of messages that fail to decode" do
+    deliver("beamline.extensions.events.health", "{not json")
+
+    assert_receive {:nats_event, %{type: "decode_error", event: nil, raw: "{not json", tenant_id: nil, global: true, size_bytes: 9}}
+  end
+
+  test "the fake publisher goes through the subscriber" do
+    assert :ok = FakePublisher.publish_samples("policy", "acme", 2)
+
+    assert_receive {:nats_event, %{subject: "beamline.policies.events.updated", type: "policy_updated", tenant_id: "acme"}}
+    assert_receive {:nats_event, %{subject: "beamline.policies.events.updated"}}
+  end
+
+  test "the fake publisher refuses to publish unless it is enabled" do
+    Application.put_env(:ui_web, :fake_publisher, false)
+    on_exit(fn -> Application.put_env(:ui_web, :fake_publisher, true) end)
+
+    assert {:error, :disabled} = FakePublisher.publish_samples("policy", "acme")
+    refute_receive {:nats_event, _}
+  end
+end
@@ -0,0 +1,25 @@
+defmodule UiWeb.Services.AlertsClientTest do
+  use ExUnit.Case, async: true
+  alias UiWeb.Services.AlertsClient
+
+  defp unique_tenant, do: "alerts_client_#{System.unique_integer([:positive])}"
+
+  defp rule(name), do: %{"name" => name, "kind" => "circuit_open", "extension_id" => "*", "severity" => "warning"}
+
+  test "rules are listed for one tenant or for all of them" do
+    tenant = unique_tenant()
+    other = unique_tenant()
+
+    assert {:ok, _} = AlertsClient.save_rule(tenant, "r1", rule("Alpha"))
+    assert {:ok, _} = AlertsClient.save_rule(other, "r1", rule("Other tenant"))
+
+    assert {:ok, [%{"name" => "Alpha"}]} = AlertsClient.list_rules(tenant: tenant)
+    assert {:ok, all} = AlertsClient.list_rules()
+    assert Enum.any?(all, &(&1["tenant_id"] == other))
+    assert Enum.any?(all, &(&1["tenant_id"] == tenant))
+  end
+
+  test "rules without a kind are rejected" do
+    assert {:error, {:http_error, 400, _}} = AlertsClient.save_rule(unique_tenant(), "r1", %{"name" => "No kind"})
+  end
+end
@@ -34,6 +34,15 @@ defmodule UiWeb.Services.ExtensionsClientTest do
       assert result == :ok or elem(result, 0) == :error
     end
 
+    test "list_all_extensions returns a list of every page" do
+      result = ExtensionsClient.list_all_extensions(limit: 5)
+
+      case result do
+        {:ok, extensions} -> assert is_list(extensions)
+        {:error, _reason} -> :ok
+      end
+    end
+
     test "list_extensions with pagination" do
       result = ExtensionsClient.list_extensions(limit: 10, offset: 20)
 
@@ -0,0 +1,27 @@
+defmodule UiWeb.Services.MessageTemplatesClientTest do
+  use ExUnit.Case, async: true
+  alias UiWeb.Messages.MessageTemplate
+  alias UiWeb.Services.MessageTemplatesClient
+
+  defp unique_tenant, do: "templates_#{System.unique_integer([:positive])}"
+
+  test "only the name and fields of a template are stored" do
+    template = %{"name" => "Alpha", "fields" => %{"type" => "chat"}, "variables" => ["name"]}
+
+    assert {:ok, saved} = MessageTemplatesClient.save_template(unique_tenant(), "t1", template)
+    assert Map.keys(saved) |> Enum.sort() == ~w(fields id name tenant_id updated_at)
+  end
+
+  test "variables of a saved template survive the round-trip" do
+    tenant = unique_tenant()
+    template = %{"name" => "Welcome", "fields" => %{"type" => "chat", "prompt" => "Hi {{ name }}, re {{topic}}"}}
+
+    assert {:ok, _} = MessageTemplatesClient.save_template(tenant, "welcome", template)
+    assert {:ok, [saved]} = MessageTemplatesClient.list_templates(tenant)
+    assert MessageTemplate.variables(saved) == ["name", "topic"]
+  end
+
+  test "templates without fields are rejected" do
+    assert {:error, {:http_error, 400, _}} = MessageTemplatesClient.save_template(unique_tenant(), "t1", %{"name" => "No fields"})
+  end
+end
@@ -68,7 +68,7 @@ defmodule UiWeb.Services.MessagesClientTest do
     end
   end
 
-  describe "export_messages/2" do
+  describe "export_messages/3" do
     test "exports messages as JSON" do
       case MessagesClient.export_messages(["msg_001"], "json") do
         {:ok, content} ->
@@ -93,6 +93,35 @@ defmodule UiWeb.Services.MessagesClientTest do
           :ok
       end
     end
+
+    test "exports messages matching filters as NDJSON" do
+      case MessagesClient.export_messages({:filters, %{status: "completed", type: "all"}}, "ndjson") do
+        {:ok, content} ->
+          for line <- String.split(content, "\n", trim: true) do
+            assert {:ok, %{"status" => "completed"}} = Jason.decode(line)
+          end
+
+        {:error, _reason} ->
+          # Gateway may not be available
+          :ok
+      end
+    end
   end
-end
 
+  describe "stream_export_messages/5" do
+    test "hands the export to the callback chunk by chunk" do
+      collect = fn chunk, acc -> {:cont, [chunk | acc]} end
+
+      case MessagesClient.stream_export_messages(["msg_001"], "csv", [], collect) do
+        {:ok, chunks} ->
+          content = chunks |> Enum.reverse() |> IO.iodata_to_binary()
+          assert content =~ "id,type,status,created_at"
+          assert content =~ "msg_001"
+
+        {:error, _reason, _acc} ->
+          # Gateway may not be available
+          :ok
+      end
+    end
+  end
+end
@@ -0,0 +1,108 @@
+defmodule UiWeb.Services.PoliciesClientTest do
+  use ExUnit.Case, async: true
+  alias UiWeb.Services.PoliciesClient
+
+  @tenant "tenant_dev"
+
+  defp policy(action), do: %{"rules" => [%{"condition" => "true", "action" => action}]}
+
+  defp unique_policy_id, do: "rev_test_#{System.unique_integer([:positive])}"
+
+  describe "save_policy/4 and list_revisions/3" do
+    test "every save becomes a revision attributed to the acting user" do
+      policy_id = unique_policy_id()
+
+      assert {:ok, _} = PoliciesClient.save_policy(@tenant, policy_id, policy("allow"), user_id: "alice")
+      assert {:ok, _} = PoliciesClient.save_policy(@tenant, policy_id, policy("deny"), user_id: "bob")
+
+      assert {:ok, [latest, first]} = PoliciesClient.list_revisions(@tenant, policy_id)
+      assert %{"revision" => 2, "author" => "bob", "action" => "update"} = latest
+      assert %{"revision" => 1, "author" => "alice", "action" => "create", "summary" => "Created policy"} = first
+      assert latest["summary"] =~ "rules"
+      refute Map.has_key?(latest, "policy")
+    end
+
+    test "seeded policies start with an initial revision" do
+      assert {:ok, [%{"revision" => 1, "summary" => "Initial version"} | _]} =
+               PoliciesClient.list_revisions(@tenant, "policy_003")
+    end
+
+    test "unknown policy has no revisions" do
+      assert {:error, _} = PoliciesClient.list_revisions(@tenant, "missing_#{System.unique_integer([:positive])}")
+    end
+  end
+
+  describe "get_revision/4 and rollback_policy/4" do
+    test "rollback restores an earlier document as a new revision" do
+      policy_id = unique_policy_id()
+      PoliciesClient.save_policy(@tenant, policy_id, policy("allow"), user_id: "alice")
+      PoliciesClient.save_policy(@tenant, policy_id, policy("deny"), user_id: "alice")
+
+      assert {:ok, %{"policy" => %{"rules" => [%{"action" => "allow"}]}}} =
+               PoliciesClient.get_revision(@tenant, policy_id, 1)
+
+      assert {:ok, %{"rules" => [%{"action" => "allow"}]}} =
+               PoliciesClient.rollback_policy(@tenant, policy_id, 1, user_id: "carol")
+
+      assert {:ok, %{"rules" => [%{"action" => "allow"}]}} = PoliciesClient.get_policy(@tenant, policy_id)
+
+      assert {:ok, [%{"revision" => 3, "action" => "rollback", "author" => "carol", "summary" => "Rolled back to revision 1"} | _]} =
+               PoliciesClient.list_revisions(@tenant, policy_id)
+    end
+
+    test "rolling back to a missing revision fails" do
+      policy_id = unique_policy_id()
+      PoliciesClient.save_policy(@tenant, policy_id, policy("allow"))
+
+      assert {:error, {:http_error, 404, _}} = PoliciesClient.rollback_policy(@tenant, policy_id, 99)
+    end
+  end
+
+  describe "list_audit/1" do
+    test "records every mutation and filters by tenant, user and policy" do
+      policy_id = unique_policy_id()
+      user = "auditor_#{System.unique_integer([:positive])}"
+
+      PoliciesClient.save_policy(@tenant, policy_id, policy("allow"), user_id: user)
+      PoliciesClient.rollback_policy(@tenant, policy_id, 1, user_id: user)
+      PoliciesClient.delete_policy(@tenant, policy_id, user_id: user)
+
+      assert {:ok, entries} = PoliciesClient.list_audit(user: user)
+      assert Enum.map(entries, & &1["action"]) == ["delete", "rollback", "create"]
+      assert Enum.all?(entries, &(&1["tenant_id"] == @tenant and &1["policy_id"] == policy_id))
+
+      assert {:ok, [_, _, _]} = PoliciesClient.list_audit(tenant: @tenant, policy_id: policy_id)
+      assert {:ok, []} = PoliciesClient.list_audit(tenant: "other_tenant", user: user)
+    end
+  end
+
+  describe "dry_run/4" do
+    test "returns the trace unwrapped from the gateway result" do
+      assert {:ok, %{"trace" => trace, "blocked_by" => nil, "final_payload" => %{"message" => "call ***"}}} =
+               PoliciesClient.dry_run(@tenant, "default", %{"message" => "  Call 555 "})
+
+      assert Enum.map(trace, & &1["type"]) == ["pre", "validator", "provider", "post"]
+    end
+
+    test "unknown policy fails" do
+      assert {:error, {:http_error, 404, _}} = PoliciesClient.dry_run(@tenant, "missing_#{System.unique_integer([:positive])}", %{})
+    end
+  end
+
+  describe "dry-run cases" do
+    test "saves, lists and deletes named payloads per policy" do
+      policy_id = unique_policy_id()
+      PoliciesClient.save_policy(@tenant, policy_id, policy("allow"))
+
+      assert {:ok, _} = PoliciesClient.save_dry_run_case(@tenant, policy_id, "b_case", %{"payload" => %{"m" => 2}})
+      assert {:ok, _} = PoliciesClient.save_dry_run_case(@tenant, policy_id, "a_case", %{"payload" => %{"m" => 1}, "expected" => %{}})
+
+      assert {:ok, [%{"name" => "a_case", "expected" => %{}}, %{"name" => "b_case", "payload" => %{"m" => 2}}]} =
+               PoliciesClient.list_dry_run_cases(@tenant, policy_id)
+
+      assert {:ok, _} = PoliciesClient.delete_dry_run_case(@tenant, policy_id, "a_case")
+      assert {:ok, [%{"name" => "b_case"}]} = PoliciesClient.list_dry_run_cases(@tenant, policy_id)
+      assert {:error, {:http_error, 404, _}} = PoliciesClient.delete_dry_run_case(@tenant, policy_id, "a_case")
+    end
+  end
+end
@@ -0,0 +1,26 @@
+defmodule UiWeb.Services.SavedViewsClientTest do
+  use ExUnit.Case, async: true
+  alias UiWeb.Services.SavedViewsClient
+
+  defp unique_user, do: "saved_views_#{System.unique_integer([:positive])}"
+
+  defp view(name), do: %{"name" => name, "filters" => %{"status" => "failed"}, "pinned" => false, "default" => false}
+
+  test "views are kept per user of a tenant" do
+    user = unique_user()
+
+    assert {:ok, %{"id" => "v1", "user_id" => ^user}} = SavedViewsClient.save_view("tenant_a", user, "v1", view("Mine"))
+    assert {:ok, _} = SavedViewsClient.save_view("tenant_b", user, "v2", view("Other tenant"))
+    assert {:ok, _} = SavedViewsClient.save_view("tenant_a", unique_user(), "v3", view("Other user"))
+
+    assert {:ok, [%{"name" => "Mine"}]} = SavedViewsClient.list_views("tenant_a", user)
+  end
+
+  test "user ids with reserved characters stay one path segment" do
+    user = unique_user() <> "@example.com/ops"
+
+    assert {:ok, %{"user_id" => ^user}} = SavedViewsClient.save_view("tenant_a", user, "v1", view("Alpha"))
+    assert {:ok, [%{"id" => "v1"}]} = SavedViewsClient.list_views("tenant_a", user)
+    assert {:ok, %{"deleted" => true}} = SavedViewsClient.delete_view("tenant_a", user, "v1")
+  end
+end
@@ -0,0 +1,53 @@
+defmodule UiWeb.Services.TenantCollectionTest do
+  use ExUnit.Case, async: true
+  alias UiWeb.Services.TenantCollection
+
+  doctest TenantCollection
+
+  # Any collection of the mock gateway will do; message templates are the plainest.
+  defp collection(tenant), do: "/api/v1/message-templates/#{TenantCollection.segment(tenant)}"
+
+  defp item_path(tenant, id), do: collection(tenant) <> "/#{TenantCollection.segment(id)}"
+
+  defp unique_tenant, do: "tenant_collection_#{System.unique_integer([:positive])}"
+
+  defp item(name), do: %{"name" => name, "fields" => %{"type" => "chat"}}
+
+  test "items are listed per tenant, sorted by name" do
+    tenant = unique_tenant()
+
+    assert {:ok, %{"id" => "i2", "tenant_id" => ^tenant, "updated_at" => _}} =
+             TenantCollection.save(:message_templates, item_path(tenant, "i2"), item("Beta"))
+
+    assert {:ok, _} = TenantCollection.save(:message_templates, item_path(tenant, "i1"), item("Alpha"))
+    assert {:ok, _} = TenantCollection.save(:message_templates, item_path(unique_tenant(), "i3"), item("Other tenant"))
+
+    assert {:ok, [%{"name" => "Alpha"}, %{"name" => "Beta"}]} = TenantCollection.list(:message_templates, collection(tenant))
+  end
+
+  test "saving an existing id replaces the item" do
+    tenant = unique_tenant()
+    TenantCollection.save(:message_templates, item_path(tenant, "i1"), item("Alpha"))
+    TenantCollection.save(:message_templates, item_path(tenant, "i1"), item("Renamed"))
+
+    assert {:ok, [%{"id" => "i1", "name" => "Renamed"}]} = TenantCollection.list(:message_templates, collection(tenant))
+  end
+
+  test "delete/3 removes an item and answers 404 for unknown ids" do
+    tenant = unique_tenant()
+    TenantCollection.save(:message_templates, item_path(tenant, "i1"), item("Alpha"))
+
+    assert {:ok, %{"deleted" => true}} = TenantCollection.delete(:message_templates, item_path(tenant, "i1"))
+    assert {:ok, []} = TenantCollection.list(:message_templates, collection(tenant))
+    assert {:error, {:http_error, 404, _}} = TenantCollection.delete(:message_templates, item_path(tenant, "i1"))
+  end
+
+  test "ids with reserved characters round-trip through segment/1" do
+    tenant = unique_tenant() <> "/ops team"
+
+    assert {:ok, %{"id" => "welcome/v2 draft", "tenant_id" => ^tenant}} =
+             TenantCollection.save(:message_templates, item_path(tenant, "welcome/v2 draft"), item("Welcome"))
+
+    assert {:ok, [%{"id" => "welcome/v2 draft"}]} = TenantCollection.list(:message_templates, collection(tenant))
+  end
+end
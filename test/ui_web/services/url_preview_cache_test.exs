@@ -0,0 +1,57 @@
+defmodule UiWeb.Services.URLPreviewCacheTest do
+  # Shares the :url_preview_cache Cachex cache
+  use ExUnit.Case, async: false
+
+  alias UiWeb.Services.URLPreviewCache
+
+  # Counts fetches by messaging the test process
+  defmodule CountingService do
+    def fetch_preview("https://broken.example" <> _ = url) do
+      send(self(), {:fetched, url})
+      {:error, :timeout}
+    end
+
+    def fetch_preview(url) do
+      send(self(), {:fetched, url})
+      {:ok, %{title: "Preview of #{url}", url: url}}
+    end
+  end
+
+  setup do
+    Cachex.clear(:url_preview_cache)
+    :ok
+  end
+
+  test "fetches a URL once and serves it from the cache afterwards" do
+    assert URLPreviewCache.lookup("https://docs.example/a") == :miss
+
+    assert {:ok, %{title: "Preview of https://docs.example/a"}} = URLPreviewCache.fetch("https://docs.example/a", CountingService)
+    assert {:ok, %{title: "Preview of https://docs.example/a"}} = URLPreviewCache.fetch("https://docs.example/a", CountingService)
+
+    assert_received {:fetched, "https://docs.example/a"}
+    refute_received {:fetched, _url}
+    assert {:ok, {:ok, _preview}} = URLPreviewCache.lookup("https://docs.example/a")
+  end
+
+  test "caches failures too" do
+    assert {:error, :timeout} = URLPreviewCache.fetch("https://broken.example/slow", CountingService)
+    assert {:error, :timeout} = URLPreviewCache.fetch("https://broken.example/slow", CountingService)
+
+    assert_received {:fetched, "https://broken.example/slow"}
+    refute_received {:fetched, _url}
+  end
+
+  test "rate limits fetches per host" do
+    for i <- 1..10 do
+      assert {:ok, _preview} = URLPreviewCache.fetch("https://busy.example/#{i}", CountingService)
+    end
+
+    assert {:error, :rate_limited} = URLPreviewCache.fetch("https://BUSY.example/11", CountingService)
+    refute_received {:fetched, "https://BUSY.example/11"}
+
+    # Not cached, and other hosts and cached URLs are unaffected
+    assert URLPreviewCache.lookup("https://BUSY.example/11") == :miss
+    assert {:ok, _preview} = URLPreviewCache.fetch("https://busy.example/1", CountingService)
+    assert {:ok, _preview} = URLPreviewCache.fetch("https://quiet.example/", CountingService)
+  end
+end
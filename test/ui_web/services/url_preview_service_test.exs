@@ -36,6 +36,25 @@ defmodule UiWeb.Services.URLPreviewServiceTest do
       # 192.168.0.0/16
       assert {:error, :private_ip_not_allowed} = URLPreviewService.validate_url("http://192.168.1.1")
       assert {:error, :private_ip_not_allowed} = URLPreviewService.validate_url("http://192.168.255.255")
+
+      # 169.254.0.0/16 (link-local, cloud metadata)
+      assert {:error, :private_ip_not_allowed} = URLPreviewService.validate_url("http://169.254.169.254")
+    end
+
+    test "rejects shared, reserved and multicast IPv4 ranges" do
+      for ip <- ~w(0.1.2.3 100.64.0.1 100.127.255.255 192.0.0.8 198.18.0.1 224.0.0.1 240.0.0.1 255.255.255.255) do
+        assert {:error, :private_ip_not_allowed} = URLPreviewService.validate_url("http://#{ip}"), ip
+      end
+
+      assert {:ok, _} = URLPreviewService.validate_url("http://100.128.0.1")
+    end
+
+    test "rejects non-public IPv6 addresses, including embedded IPv4" do
+      for ip <- ~w(fd00::1 fe80::1 ff02::1 2001:db8::1 ::ffff:10.0.0.1 64:ff9b::a9fe:a9fe 2002:c0a8:101::1) do
+        assert {:error, :private_ip_not_allowed} = URLPreviewService.validate_url("http://[#{ip}]/"), ip
+      end
+
+      assert {:ok, _} = URLPreviewService.validate_url("http://[2606:4700::1111]/")
     end
 
     test "accepts valid public URLs" do
@@ -287,6 +306,92 @@ defmodule UiWeb.Services.URLPreviewServiceTest do
     end
   end
 
+  describe "oEmbed" do
+    test "finds the advertised JSON endpoint" do
+      html = """
+      <html>
+      <head>
+        <link rel="alternate" type="text/xml+oembed" href="/oembed.xml">
+        <link rel="alternate" type="application/json+oembed" href="/oembed?url=https%3A%2F%2Fexample.com%2Fv%2F1&format=json">
+      </head>
+      </html>
+      """
+
+      assert URLPreviewService.oembed_endpoint(html, "https://example.com/v/1") ==
+               "https://example.com/oembed?url=https%3A%2F%2Fexample.com%2Fv%2F1&format=json"
+
+      assert URLPreviewService.oembed_endpoint("<html></html>", "https://example.com") == nil
+    end
+
+    test "fills what the page left out, never the embed html" do
+      preview = %{title: "Untitled", description: "", image: nil, url: "https://example.com/v/1", domain: "example.com", favicon: nil}
+
+      data = %{
+        "type" => "video",
+        "title" => "Launch talk",
+        "author_name" => "Ada",
+        "provider_name" => "ExampleTube",
+        "thumbnail_url" => "/thumbs/1.jpg",
+        "html" => "<iframe src=\"https://example.com/embed/1\"></iframe>"
+      }
+
+      merged = URLPreviewService.merge_oembed(preview, data, "https://example.com/v/1")
+
+      assert merged.title == "Launch talk"
+      assert merged.image == "https://example.com/thumbs/1.jpg"
+      assert merged.provider == "ExampleTube"
+      assert merged.author == "Ada"
+      refute Enum.any?(Map.values(merged), &(is_binary(&1) and &1 =~ "iframe"))
+
+      # OpenGraph values win
+      og = %{preview | title: "OG Title", image: "https://example.com/og.png"}
+      assert %{title: "OG Title", image: "https://example.com/og.png"} = URLPreviewService.merge_oembed(og, data, "https://example.com")
+    end
+  end
+
+  describe "fetch_image/2" do
+    test "returns raster images" do
+      plug = fn conn ->
+        conn
+        |> Plug.Conn.put_resp_content_type("image/png", nil)
+        |> Plug.Conn.send_resp(200, "png-bytes")
+      end
+
+      assert {:ok, %{content_type: "image/png", body: "png-bytes"}} =
+               URLPreviewService.fetch_image("https://example.com/logo.png", plug: plug)
+    end
+
+    test "rejects SVG and other content" do
+      plug = fn conn ->
+        conn
+        |> Plug.Conn.put_resp_content_type("image/svg+xml")
+        |> Plug.Conn.send_resp(200, "<svg onload=\"alert(1)\"></svg>")
+      end
+
+      assert {:error, :not_an_image} = URLPreviewService.fetch_image("https://example.com/logo.svg", plug: plug)
+    end
+
+    test "stops reading images over the size limit" do
+      plug = fn conn ->
+        conn
+        |> Plug.Conn.put_resp_content_type("image/jpeg", nil)
+        |> Plug.Conn.send_resp(200, :binary.copy("x", 2_000_001))
+      end
+
+      assert {:error, :image_too_large} = URLPreviewService.fetch_image("https://example.com/huge.jpg", plug: plug)
+    end
+
+    test "validates every redirect hop" do
+      plug = fn conn ->
+        conn
+        |> Plug.Conn.put_resp_header("location", "http://169.254.169.254/latest/meta-data")
+        |> Plug.Conn.send_resp(302, "")
+      end
+
+      assert {:error, :private_ip_not_allowed} = URLPreviewService.fetch_image("https://example.com/redirect.png", plug: plug)
+    end
+  end
+
   # Helper to call parse_metadata (exposed with @doc false for testing)
   defp parse_metadata_safe(html, base_url) do
     URLPreviewService.parse_metadata(html, base_url)
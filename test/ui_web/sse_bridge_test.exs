@@ -0,0 +1,22 @@
+defmodule UiWeb.SSEBridgeTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.SSEBridge
+
+  @moduletag capture_log: true
+
+  defp unique_tenant, do: "sse_bridge_#{System.unique_integer([:positive])}"
+
+  test "stops once its tenant's topic has no subscribers" do
+    tenant = unique_tenant()
+    {:ok, pid} = DynamicSupervisor.start_child(UiWeb.SSEBridge.Supervisor, {SSEBridge, tenant: tenant, idle_timeout_ms: 0})
+    ref = Process.monitor(pid)
+
+    assert_receive {:DOWN, ^ref, :process, ^pid, :normal}, 5_000
+    assert SSEBridge.whereis(tenant) == nil
+  end
+
+  test "is disabled in tests" do
+    refute SSEBridge.enabled?()
+  end
+end
@@ -0,0 +1,38 @@
+defmodule UiWeb.TextDiffTest do
+  use ExUnit.Case, async: true
+
+  alias UiWeb.TextDiff
+
+  describe "side_by_side/2" do
+    test "pairs a replaced line into a single changed row" do
+      assert TextDiff.side_by_side("a\nb\nc", "a\nB\nc") == [
+               %{kind: :same, left: {1, "a"}, right: {1, "a"}},
+               %{kind: :changed, left: {2, "b"}, right: {2, "B"}},
+               %{kind: :same, left: {3, "c"}, right: {3, "c"}}
+             ]
+    end
+
+    test "keeps line numbers aligned across insertions and removals" do
+      rows = TextDiff.side_by_side("a\nb", "a\nx\ny\nb")
+
+      assert Enum.map(rows, & &1.kind) == [:same, :added, :added, :same]
+      assert List.last(rows) == %{kind: :same, left: {2, "b"}, right: {4, "b"}}
+
+      assert [%{kind: :same}, %{kind: :removed, left: {2, "b"}, right: nil}] =
+               TextDiff.side_by_side("a\nb", "a")
+    end
+  end
+
+  describe "stats/1 and unchanged?/1" do
+    test "counts a changed line as one added and one removed" do
+      rows = TextDiff.side_by_side("a\nb", "a\nc\nd")
+
+      assert TextDiff.stats(rows) == {2, 1}
+      refute TextDiff.unchanged?(rows)
+    end
+
+    test "identical texts are unchanged" do
+      assert TextDiff.unchanged?(TextDiff.side_by_side("{\n}", "{\n}"))
+    end
+  end
+end
@@ -0,0 +1,54 @@
+defmodule UiWebWeb.UserSocketTest do
+  use UiWebWeb.ChannelCase, async: true
+
+  alias UiWebWeb.{UserSocket, MessagesChannel, NotificationsChannel}
+
+  defp token(tenant_id \\ "test_tenant"), do: UserSocket.sign_token("user_1", tenant_id)
+
+  describe "connect/3" do
+    test "accepts a signed token and assigns user and tenant" do
+      assert {:ok, socket} = connect(UserSocket, %{"token" => token()})
+      assert socket.assigns.user_id == "user_1"
+      assert socket.assigns.tenant_id == "test_tenant"
+      assert UserSocket.id(socket) == "user_socket:user_1"
+    end
+
+    test "rejects missing or tampered tokens" do
+      assert :error = connect(UserSocket, %{})
+      assert :error = connect(UserSocket, %{"token" => "garbage"})
+      assert :error = connect(UserSocket, %{"token" => token() <> "x"})
+    end
+  end
+
+  describe "channel joins" do
+    setup do
+      {:ok, socket} = connect(UserSocket, %{"token" => token()})
+      %{socket: socket}
+    end
+
+    test "joins topics for the token's tenant and answers ping", %{socket: socket} do
+      assert {:ok, _, messages} = subscribe_and_join(socket, MessagesChannel, "messages:test_tenant")
+      ref = push(messages, "ping", %{"ts" => 1})
+      assert_reply ref, :ok, %{"ts" => 1}
+
+      assert {:ok, _, _} =
+               subscribe_and_join(socket, NotificationsChannel, "notifications:test_tenant")
+    end
+
+    test "refuses topics for another tenant", %{socket: socket} do
+      assert {:error, %{reason: "unauthorized"}} =
+               subscribe_and_join(socket, MessagesChannel, "messages:other_tenant")
+
+      assert {:error, %{reason: "unauthorized"}} =
+               subscribe_and_join(socket, NotificationsChannel, "notifications:other_tenant")
+    end
+
+    test "notify/2 pushes a normalized notification", %{socket: socket} do
+      {:ok, _, _} = subscribe_and_join(socket, NotificationsChannel, "notifications:test_tenant")
+
+      NotificationsChannel.notify("test_tenant", %{title: "Heads up", level: "bogus"})
+
+      assert_push "notification", %{"title" => "Heads up", "level" => "info"}
+    end
+  end
+end
@@ -0,0 +1,32 @@
+defmodule UiWebWeb.CommandPaletteTest do
+  use ExUnit.Case, async: true
+
+  alias UiWebWeb.CommandPalette
+
+  setup do
+    %{palette: CommandPalette.commands("acme")}
+  end
+
+  test "derives navigation commands from tenant live routes", %{palette: palette} do
+    nav = for %{"group" => "Navigate"} = cmd <- palette["commands"], into: %{}, do: {cmd["label"], cmd["href"]}
+
+    assert nav["Dashboard"] == "/app/acme/dashboard"
+    assert nav["Messages"] == "/app/acme/messages"
+    assert nav["Extensions › Pipeline"] == "/app/acme/extensions/pipeline"
+    # Routes with params are id targets, not plain navigation
+    refute Enum.any?(Map.values(nav), &String.contains?(&1, ":id"))
+  end
+
+  test "builds id targets for routes with an :id param", %{palette: palette} do
+    assert %{"label" => "Messages › {id}", "href" => "/app/acme/messages/{id}"} in palette["id_targets"]
+    assert %{"label" => "Extensions › {id} › Edit", "href" => "/app/acme/extensions/{id}/edit"} in palette["id_targets"]
+  end
+
+  test "includes navigate and event actions", %{palette: palette} do
+    actions = for %{"group" => "Actions"} = cmd <- palette["commands"], into: %{}, do: {cmd["id"], cmd}
+
+    assert actions["new_message"]["href"] == "/app/acme/messages/new"
+    assert actions["refresh_health"]["event"] == "refresh_health"
+    assert "refresh_health" in CommandPalette.event_actions()
+  end
+end
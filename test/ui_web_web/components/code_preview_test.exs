@@ -130,6 +130,77 @@ defmodule UiWebWeb.Components.CodePreviewTest do
     end
   end
 
+  describe "other languages" do
+    test "highlights YAML keys, strings, numbers and comments" do
+      html = render_component(&CodePreview.code_preview/1, code: "# note\nname: \"api\"\nreplicas: 3\nenabled: true\n", language: "yml", id: "yaml")
+
+      assert html =~ ~s(<pre class="highlight">)
+      assert html =~ ~s(<span class="c"># note</span>)
+      assert html =~ ~s(<span class="nt">name</span>)
+      assert html =~ ~s(<span class="s">&quot;api&quot;</span>)
+      assert html =~ ~s(<span class="m">3</span>)
+      assert html =~ ~s(<span class="kc">true</span>)
+    end
+
+    test "highlights Elixir" do
+      html = render_component(&CodePreview.code_preview/1, code: ~s(defmodule Foo do\n  def bar, do: :ok # done\nend), language: "elixir", id: "ex")
+
+      assert html =~ ~s(<pre class="highlight">)
+      assert html =~ ~r/<span class="k\w*">defmodule<\/span>/
+      assert html =~ ~s(<span class="nc">Foo</span>)
+      assert html =~ ~s(<span class="ss">:ok</span>)
+      assert html =~ ~r/<span class="c\w*"># done<\/span>/
+    end
+
+    test "highlights XML tags and attributes and escapes the markup" do
+      html = render_component(&CodePreview.code_preview/1, code: ~s(<note id="1"><to>Tove &amp; co</to><!-- x --></note>), language: "xml", id: "xml")
+
+      assert html =~ ~r/<span class="nt">(&lt;)?note<\/span>/
+      assert html =~ ~r/<span class="na">id=?<\/span>/
+      assert html =~ "&quot;1&quot;"
+      assert html =~ ~r/<span class="c\w*">&lt;!-- x --&gt;<\/span>/
+      refute html =~ "<note"
+    end
+
+    test "highlights log levels and timestamps" do
+      code = "2024-05-01T10:00:00Z [error] <script>boom</script>\n2024-05-01T10:00:01Z WARN retrying attempt=2"
+      html = render_component(&CodePreview.code_preview/1, code: code, language: "log", id: "log")
+
+      assert html =~ ~s(<span class="log-time">2024-05-01T10:00:00Z</span>)
+      assert html =~ ~s(<span class="log-error">[error]</span>)
+      assert html =~ ~s(<span class="log-warn">WARN</span>)
+      assert html =~ ~s(<span class="na">attempt=</span>)
+      refute html =~ "<script>"
+    end
+  end
+
+  describe "diff mode" do
+    test "compares pretty-printed JSON side by side" do
+      html =
+        render_component(&CodePreview.code_preview/1,
+          mode: "diff",
+          compare: ~s({"message":"Call 555","user":"u1"}),
+          code: ~s({"message":"call ***","user":"u1"}),
+          left_label: "Payload",
+          right_label: "Final payload"
+        )
+
+      assert html =~ "Payload"
+      assert html =~ "Final payload"
+      assert html =~ "1 change"
+      assert html =~ ~s(data-diff-kind="changed")
+      assert html =~ ~s(data-diff-kind="same")
+      assert html =~ "&quot;message&quot;: &quot;call ***&quot;"
+    end
+
+    test "says when there is nothing to compare" do
+      html = render_component(&CodePreview.code_preview/1, mode: "diff", compare: ~s({"a": 1}), code: ~s({"a":1}))
+
+      assert html =~ "No differences"
+      refute html =~ ~s(data-diff-kind="changed")
+    end
+  end
+
   defp extract_id_from_html(html) do
     case Regex.run(~r/data-target="#code-content-([^"]+)"/, html) do
       [_, id] -> id
@@ -0,0 +1,109 @@
+defmodule UiWebWeb.Components.JsonTreeTest do
+  use UiWebWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  @payload %{
+    "message" => "hi",
+    "meta" => %{"user" => %{"id" => "u1", "name" => "Ada"}, "tags" => ["a", "b"]},
+    "items" => Enum.map(1..150, &%{"id" => &1})
+  }
+
+  # Hosts the tree through CodePreview, the way message show and dry-run use it
+  defmodule HostLive do
+    use UiWebWeb, :live_view
+    import UiWebWeb.Components.CodePreview
+
+    def mount(_params, session, socket) do
+      {:ok, assign(socket, code: session["code"])}
+    end
+
+    def render(assigns) do
+      ~H"""
+      <.code_preview id="payload" mode="tree" code={@code} />
+      """
+    end
+  end
+
+  defp render_tree(conn, payload \\ @payload) do
+    {:ok, view, _html} = live_isolated(conn, HostLive, session: %{"code" => Jason.encode!(payload)})
+    view
+  end
+
+  defp search(view, query) do
+    view |> element("#json-tree-payload form") |> render_change(%{"query" => query})
+  end
+
+  test "opens two levels and keeps the whole document for the Copy button", %{conn: conn} do
+    view = render_tree(conn)
+
+    assert has_element?(view, "#json-tree-payload[phx-hook=ClipboardCopy]")
+    assert has_element?(view, ~s(li[data-path="$.meta"][aria-expanded=true]))
+    assert has_element?(view, ~s(li[data-path="$.meta.user"][aria-expanded=false]))
+    refute has_element?(view, ~s(li[data-path="$.meta.user.id"]))
+    assert has_element?(view, ~s(li[data-path="$.message"]), ~s("hi"))
+    assert has_element?(view, "pre#code-content-payload", ~s("message": "hi"))
+  end
+
+  test "expands and collapses to a depth", %{conn: conn} do
+    view = render_tree(conn)
+
+    view |> element("#json-tree-payload button[phx-value-depth=all]") |> render_click()
+    assert has_element?(view, ~s(li[data-path="$.meta.user.id"]))
+
+    view |> element("#json-tree-payload button[phx-value-depth=0]") |> render_click()
+    assert has_element?(view, ~s(li[data-path="$"][aria-expanded=false]))
+    refute has_element?(view, ~s(li[data-path="$.meta"]))
+  end
+
+  test "toggles a single node", %{conn: conn} do
+    view = render_tree(conn)
+
+    view |> element(~s(li[data-path="$.meta.user"] > div > button)) |> render_click()
+    assert has_element?(view, ~s(li[data-path="$.meta.user.name"]), ~s("Ada"))
+
+    view |> element(~s(li[data-path="$.meta"] > div > button)) |> render_click()
+    refute has_element?(view, ~s(li[data-path="$.meta.user"]))
+  end
+
+  test "highlights JSONPath matches and opens their ancestors", %{conn: conn} do
+    view = render_tree(conn)
+
+    search(view, "$..name")
+
+    assert has_element?(view, "[data-testid=json-tree-matches]", "1 match")
+    assert has_element?(view, ~s(li[data-path="$.meta.user.name"][data-match]), ~s("Ada"))
+    refute has_element?(view, ~s(li[data-path="$.meta.user.id"][data-match]))
+
+    search(view, "$.items[")
+    assert has_element?(view, "[data-testid=json-tree-error]", "Expected ] at 8")
+
+    search(view, "")
+    refute has_element?(view, "[data-match]")
+    refute has_element?(view, "[data-testid=json-tree-matches]")
+  end
+
+  test "shows the first 100 children until asked for all", %{conn: conn} do
+    view = render_tree(conn)
+
+    assert has_element?(view, ~s(li[data-path="$.items[99]"]))
+    refute has_element?(view, ~s(li[data-path="$.items[100]"]))
+
+    view |> element(~s(li[data-path="$.items"] button[phx-click=show_all])) |> render_click()
+    assert has_element?(view, ~s(li[data-path="$.items[149]"]))
+  end
+
+  test "copy buttons carry the node's path and value", %{conn: conn} do
+    view = render_tree(conn)
+
+    assert has_element?(view, ~s(li[data-path="$.meta.tags"] button[data-copy="$.meta.tags"]), "Copy path")
+    assert has_element?(view, ~s(li[data-path="$.message"] button[data-copy="hi"]), "Copy value")
+  end
+
+  test "falls back to highlighted code when the JSON is invalid", %{conn: conn} do
+    {:ok, view, _html} = live_isolated(conn, HostLive, session: %{"code" => ~s({"a":1,)})
+
+    refute has_element?(view, "#json-tree-payload")
+    assert has_element?(view, "#code-content-payload")
+  end
+end
@@ -193,12 +193,15 @@ defmodule UiWebWeb.Components.TagsInputTest do
       |> render_change(%{value: "x"})
 
       # Press Backspace with non-empty input (value="x")
-      # The handler "remove_last_on_backspace" only triggers when value is empty (""),
-      # so with value="x" the event won't match the handler pattern and nothing happens
-      # We verify that the tag remains by checking the state after a short delay
-      
-      # Wait a bit to ensure any async processing completes
-      Process.sleep(100)
+      # "remove_last_on_backspace" only removes a tag when the value is empty ("")
+      view
+      |> element("input[type='text']")
+      |> render_keyup(%{key: "Backspace", value: "x"})
+
+      # Other keys are ignored as well
+      view
+      |> element("input[type='text']")
+      |> render_keyup(%{key: "a", value: "xa"})
       
       # Check tags container - tag "a" should still be present (Backspace didn't remove it)
       tags_html_after =
@@ -250,7 +253,7 @@ defmodule UiWebWeb.Components.TagsInputTest do
 
       # Click on suggestion "llm" from autocomplete dropdown
       view
-      |> element("[data-role='autocomplete-item'] button[phx-value-tag='llm']")
+      |> element("[data-role='autocomplete-item'][phx-value-tag='llm']")
       |> render_click()
 
       # Wait for parent LiveView to process message
@@ -265,6 +268,100 @@ defmodule UiWebWeb.Components.TagsInputTest do
       assert tags_html =~ "llm"
     end
 
+    test "filters suggestions from form-shaped change params", %{conn: conn} do
+      {:ok, view, _html} =
+        setup_component(conn,
+          field: %{name: "tags", value: []},
+          suggestions: ["llm", "streaming"]
+        )
+
+      # Inside a form the browser sends the form fields keyed by input name
+      view
+      |> element("input[type='text']")
+      |> render_change(%{"_target" => ["tags_input"], "tags_input" => "str"})
+
+      autocomplete_html =
+        view
+        |> element("[data-role='autocomplete-list']")
+        |> render()
+
+      assert autocomplete_html =~ "streaming"
+      refute autocomplete_html =~ "llm"
+    end
+
+    test "exposes the suggestions as a combobox listbox", %{conn: conn} do
+      {:ok, view, html} =
+        setup_component(conn,
+          field: %{name: "tags", value: []},
+          suggestions: ["llm", "ml"]
+        )
+
+      assert html =~ ~s(role="combobox")
+      assert html =~ ~s(aria-expanded="false")
+      assert html =~ ~s(for="tags-input")
+
+      html =
+        view
+        |> element("input[type='text']")
+        |> render_change(%{value: "l"})
+
+      assert html =~ ~s(aria-expanded="true")
+      assert html =~ ~s(aria-controls="tags-listbox")
+      assert has_element?(view, "#tags-listbox[role='listbox'] #tags-option-0[role='option']", "llm")
+      assert has_element?(view, "#tags-option-1[role='option'][aria-selected='false']", "ml")
+    end
+
+    test "arrow keys move the active suggestion and Enter adds it", %{conn: conn} do
+      {:ok, view, _html} =
+        setup_component(conn,
+          field: %{name: "tags", value: []},
+          suggestions: ["llm", "ml", "nlp"]
+        )
+
+      input = element(view, "input[type='text']")
+      render_change(input, %{value: "l"})
+
+      render_keydown(input, %{key: "ArrowDown", value: "l"})
+      assert has_element?(view, "input[aria-activedescendant='tags-option-0']")
+      assert has_element?(view, "#tags-option-0[aria-selected='true']")
+
+      render_keydown(input, %{key: "ArrowDown", value: "l"})
+      render_keydown(input, %{key: "ArrowDown", value: "l"})
+      assert has_element?(view, "#tags-option-2[aria-selected='true']", "nlp")
+
+      # Wraps around in both directions
+      render_keydown(input, %{key: "ArrowDown", value: "l"})
+      assert has_element?(view, "#tags-option-0[aria-selected='true']")
+      render_keydown(input, %{key: "ArrowUp", value: "l"})
+      assert has_element?(view, "#tags-option-2[aria-selected='true']")
+
+      render_keydown(input, %{key: "Enter", value: "l"})
+
+      assert has_element?(view, "[data-role='tags-container'] [data-tag='nlp']")
+      refute has_element?(view, "[data-tag='l']")
+      refute has_element?(view, "[data-role='autocomplete-list']")
+    end
+
+    test "Escape closes the suggestions and Enter then adds the typed text", %{conn: conn} do
+      {:ok, view, _html} =
+        setup_component(conn,
+          field: %{name: "tags", value: []},
+          suggestions: ["llm"]
+        )
+
+      input = element(view, "input[type='text']")
+      render_change(input, %{value: "ll"})
+      render_keydown(input, %{key: "ArrowDown", value: "ll"})
+
+      render_keydown(input, %{key: "Escape", value: "ll"})
+
+      refute has_element?(view, "[data-role='autocomplete-list']")
+      refute has_element?(view, "input[aria-activedescendant]")
+
+      render_keydown(input, %{key: "Enter", value: "ll"})
+      assert has_element?(view, "[data-tag='ll']")
+    end
+
     test "hides suggestions when input is empty", %{conn: conn} do
       {:ok, view, _html} =
         setup_component(conn,
@@ -1,34 +1,45 @@
 defmodule UiWebWeb.Components.URLPreviewComponentTest do
-  use UiWebWeb.ConnCase, async: true
+  # The preview cache and the service module setting are global
+  use UiWebWeb.ConnCase, async: false
 
   import Phoenix.LiveViewTest
 
   alias UiWebWeb.Components.URLPreviewComponent
   alias UiWeb.Services.URLPreviewService
 
-  # Stub module for URLPreviewService in tests
+  # Stub module for URLPreviewService in tests; previews are fetched in a task of the
+  # LiveView, so the stub lives in the application env rather than the test process
   defmodule StubURLPreviewService do
     @behaviour URLPreviewService
 
     def fetch_preview(url) do
-      case Process.get(:stub_fetch_preview) do
+      case Application.get_env(:ui_web, :stub_fetch_preview) do
         nil -> {:error, :not_stubbed}
         fun when is_function(fun, 1) -> fun.(url)
-        result -> result
       end
     end
   end
 
-  setup do
-    # Initialize ETS cache table for tests (if not exists)
-    try do
-      :ets.new(:url_preview_cache, [:set, :public, :named_table])
-    rescue
-      ArgumentError ->
-        # Table already exists, clear it
-        :ets.delete_all_objects(:url_preview_cache)
+  # Hosts the component the way a LiveView template does
+  defmodule HostLive do
+    use UiWebWeb, :live_view
+
+    def mount(_params, session, socket) do
+      {:ok, assign(socket, url: session["url"], opts: session["opts"] || [])}
+    end
+
+    def render(assigns) do
+      ~H"""
+      <.live_component module={URLPreviewComponent} id="test-preview" url={@url} {@opts} />
+      """
     end
 
+    def handle_event("set_url", %{"url" => url}, socket), do: {:noreply, assign(socket, :url, url)}
+  end
+
+  setup do
+    Cachex.clear(:url_preview_cache)
+
     # Store original service module config
     original_service = Application.get_env(:ui_web, :url_preview_service_module)
 
@@ -36,12 +47,8 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
     Application.put_env(:ui_web, :url_preview_service_module, StubURLPreviewService)
 
     on_exit(fn ->
-      # Clear cache after each test
-      try do
-        :ets.delete_all_objects(:url_preview_cache)
-      rescue
-        ArgumentError -> :ok
-      end
+      Cachex.clear(:url_preview_cache)
+      Application.delete_env(:ui_web, :stub_fetch_preview)
 
       if original_service do
         Application.put_env(:ui_web, :url_preview_service_module, original_service)
@@ -54,34 +61,38 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
   end
 
   defp stub_fetch_preview(fun) when is_function(fun, 1) do
-    Process.put(:stub_fetch_preview, fun)
+    Application.put_env(:ui_web, :stub_fetch_preview, fun)
   end
 
-  defp stub_fetch_preview(result) do
-    Process.put(:stub_fetch_preview, fn _url -> result end)
+  # Renders the component for `url` and waits for the preview
+  defp render_preview(conn, url, opts \\ []) do
+    {:ok, view, _html} = live_isolated(conn, HostLive, session: %{"url" => url, "opts" => opts})
+    {view, render_async(view)}
   end
 
   describe "URLPreviewComponent" do
-    test "renders idle state with empty URL" do
-      html = render_component(URLPreviewComponent, id: "test-preview", url: nil)
+    test "renders idle state with empty URL", %{conn: conn} do
+      {_view, html} = render_preview(conn, nil)
 
       # Should not render preview card
       refute html =~ "url-preview-card"
       refute html =~ "animate-pulse"
     end
 
-    test "renders idle state with placeholder" do
-      html =
-        render_component(URLPreviewComponent,
-          id: "test-preview",
-          url: nil,
-          placeholder: "Enter a URL to see preview"
-        )
+    test "renders idle state with placeholder", %{conn: conn} do
+      {_view, html} = render_preview(conn, nil, placeholder: "Enter a URL to see preview")
 
       assert html =~ "Enter a URL to see preview"
     end
 
-    test "renders preview card on success" do
+    test "shows a loading state while the preview is fetched" do
+      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+
+      assert html =~ "animate-pulse"
+      assert html =~ "Loading preview"
+    end
+
+    test "renders preview card on success", %{conn: conn} do
       preview_data = %{
         title: "Example Domain",
         description: "This is an example domain for testing",
@@ -93,61 +104,104 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
 
       stub_fetch_preview(fn "https://example.com" -> {:ok, preview_data} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      {_view, html} = render_preview(conn, "https://example.com")
 
       assert html =~ "Example Domain"
       assert html =~ "This is an example domain for testing"
       assert html =~ "example.com"
-      assert html =~ "https://example.com/image.png"
-      assert html =~ "https://example.com/favicon.ico"
     end
 
-    test "renders error state for invalid_scheme" do
+    test "loads images and favicons through the proxy", %{conn: conn} do
+      preview_data = %{
+        title: "Example Domain",
+        description: "",
+        image: "https://example.com/image.png",
+        url: "https://example.com",
+        domain: "example.com",
+        favicon: "https://example.com/favicon.ico"
+      }
+
+      stub_fetch_preview(fn _url -> {:ok, preview_data} end)
+
+      {view, html} = render_preview(conn, "https://example.com")
+
+      refute html =~ ~s(src="https://example.com)
+      assert has_element?(view, ~s(img[itemprop="image"][src="#{UiWebWeb.URLPreviewProxyController.proxy_path("https://example.com/image.png")}"]))
+      assert has_element?(view, ~s(img[src="#{UiWebWeb.URLPreviewProxyController.proxy_path("https://example.com/favicon.ico")}"]))
+    end
+
+    test "shows oEmbed provider and author", %{conn: conn} do
+      preview_data = %{
+        title: "Launch talk",
+        description: "",
+        image: nil,
+        url: "https://example.com/v/1",
+        domain: "example.com",
+        favicon: nil,
+        provider: "ExampleTube",
+        author: "Ada"
+      }
+
+      stub_fetch_preview(fn _url -> {:ok, preview_data} end)
+
+      {_view, html} = render_preview(conn, "https://example.com/v/1")
+
+      assert html =~ "ExampleTube"
+      assert html =~ "Ada"
+    end
+
+    test "serves a cached preview without loading", %{conn: conn} do
+      stub_fetch_preview(fn _url -> {:ok, %{title: "Cached", description: "", image: nil, url: "https://example.com", domain: "example.com", favicon: nil}} end)
+      {_view, _html} = render_preview(conn, "https://example.com")
+
+      stub_fetch_preview(fn _url -> {:error, :not_stubbed} end)
+
+      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      assert html =~ "Cached"
+      refute html =~ "animate-pulse"
+    end
+
+    test "renders error state for invalid_scheme", %{conn: conn} do
       stub_fetch_preview(fn _url -> {:error, :invalid_scheme} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "ftp://example.com")
+      {_view, html} = render_preview(conn, "ftp://example.com")
 
       assert html =~ "Only http(s) links are supported"
     end
 
-    test "renders error state for local_url_not_allowed" do
+    test "renders error state for local_url_not_allowed", %{conn: conn} do
       stub_fetch_preview(fn _url -> {:error, :local_url_not_allowed} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "http://localhost")
+      {_view, html} = render_preview(conn, "http://localhost")
 
       assert html =~ "Private/internal links are not allowed"
     end
 
-    test "renders error state for timeout" do
+    test "renders error state for timeout", %{conn: conn} do
       stub_fetch_preview(fn _url -> {:error, :timeout} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      {_view, html} = render_preview(conn, "https://example.com")
 
       assert html =~ "Timed out while loading preview"
     end
 
-    test "renders error state for http_error" do
+    test "renders error state for http_error", %{conn: conn} do
       stub_fetch_preview(fn _url -> {:error, {:http_error, 404}} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      {_view, html} = render_preview(conn, "https://example.com")
 
       assert html =~ "HTTP error (404)"
     end
 
-    test "hides error when show_on_error? is false" do
+    test "hides error when show_on_error? is false", %{conn: conn} do
       stub_fetch_preview(fn _url -> {:error, :invalid_scheme} end)
 
-      html =
-        render_component(URLPreviewComponent,
-          id: "test-preview",
-          url: "ftp://example.com",
-          show_on_error?: false
-        )
+      {_view, html} = render_preview(conn, "ftp://example.com", show_on_error?: false)
 
       refute html =~ "Only http(s) links are supported"
     end
 
-    test "truncates long descriptions" do
+    test "truncates long descriptions", %{conn: conn} do
       long_description = String.duplicate("A", 300)
       preview_data = %{
         title: "Example",
@@ -160,19 +214,14 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
 
       stub_fetch_preview(fn _url -> {:ok, preview_data} end)
 
-      html =
-        render_component(URLPreviewComponent,
-          id: "test-preview",
-          url: "https://example.com",
-          max_description_length: 50
-        )
+      {_view, html} = render_preview(conn, "https://example.com", max_description_length: 50)
 
       # Should truncate to 50 chars + "…"
       assert html =~ String.slice(long_description, 0, 50) <> "…"
       refute html =~ long_description
     end
 
-    test "handles empty description gracefully" do
+    test "handles empty description gracefully", %{conn: conn} do
       preview_data = %{
         title: "Example",
         description: "",
@@ -184,13 +233,13 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
 
       stub_fetch_preview(fn _url -> {:ok, preview_data} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      {_view, html} = render_preview(conn, "https://example.com")
 
       assert html =~ "Example"
       assert html =~ "example.com"
     end
 
-    test "shows domain initial when favicon is missing" do
+    test "shows domain initial when favicon is missing", %{conn: conn} do
       preview_data = %{
         title: "Example",
         description: "Test",
@@ -202,13 +251,13 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
 
       stub_fetch_preview(fn _url -> {:ok, preview_data} end)
 
-      html = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      {_view, html} = render_preview(conn, "https://example.com")
 
       assert html =~ "E" # First letter of "example.com"
       assert html =~ "example.com"
     end
 
-    test "resets to idle when URL becomes empty" do
+    test "resets to idle when URL becomes empty", %{conn: conn} do
       preview_data = %{
         title: "Example",
         description: "Test",
@@ -224,19 +273,18 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
       end)
 
       # First render with URL
-      html_with_url =
-        render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com")
+      {view, html_with_url} = render_preview(conn, "https://example.com")
 
       assert html_with_url =~ "Example"
 
       # Second render with empty URL
-      html_empty = render_component(URLPreviewComponent, id: "test-preview", url: "")
+      html_empty = render_click(view, "set_url", %{"url" => ""})
 
       refute html_empty =~ "Example"
       refute html_empty =~ "url-preview-card"
     end
 
-    test "triggers refetch when URL changes" do
+    test "triggers refetch when URL changes", %{conn: conn} do
       preview_one = %{
         title: "Page One",
         description: "First page",
@@ -262,24 +310,19 @@ defmodule UiWebWeb.Components.URLPreviewComponentTest do
       end)
 
       # First render with first URL
-      html_one = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com/one")
+      {view, html_one} = render_preview(conn, "https://example.com/one")
 
       assert html_one =~ "Page One"
       refute html_one =~ "Page Two"
 
-      # Second render with different URL
-      html_two = render_component(URLPreviewComponent, id: "test-preview", url: "https://example.com/two")
+      # Change the URL; the new preview loads in the background
+      assert render_click(view, "set_url", %{"url" => "https://example.com/two"}) =~ "animate-pulse"
+      html_two = render_async(view)
 
       assert html_two =~ "Page Two"
       refute html_two =~ "Page One"
     end
 
-    # Note: This test is skipped because render_component/2 creates a new component
-    # instance each time, so previous_url is always nil. The optimization of
-    # not refetching when URL is unchanged only works in real LiveView context
-    # where the component persists between updates.
-    # This behavior is tested implicitly in integration tests with real LiveView.
-
     test "function component wrapper is defined" do
       # Function component wrapper is a convenience method for templates
       # It wraps live_component, so we test that it exists and is callable
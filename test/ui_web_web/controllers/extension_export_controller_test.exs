@@ -0,0 +1,40 @@
+defmodule UiWebWeb.ExtensionExportControllerTest do
+  use UiWebWeb.LiveViewCase
+
+  @moduletag :integration
+
+  alias UiWeb.Extensions.Manifest
+
+  describe "GET /app/:tenant_id/exports/extensions" do
+    test "downloads every page of the registry as a YAML manifest", %{conn: conn} do
+      conn = get(conn, ~p"/app/test_tenant/exports/extensions")
+
+      assert conn.status == 200
+      assert [content_type] = get_resp_header(conn, "content-type")
+      assert content_type =~ "application/yaml"
+      assert [disposition] = get_resp_header(conn, "content-disposition")
+      assert disposition =~ ~r/filename="extensions_manifest_\d+\.yaml"/
+
+      # The mock gateway serves ext_fail plus ext_001..ext_040
+      assert {:ok, entries} = Manifest.parse(conn.resp_body, :yaml)
+      assert length(entries) == 41
+      assert %{"nats_subject" => "beamline.extensions.provider.fail.v1"} = Enum.find(entries, &(&1["name"] == "failing-extension"))
+    end
+
+    test "downloads JSON with ?format=json", %{conn: conn} do
+      conn = get(conn, ~p"/app/test_tenant/exports/extensions?format=json")
+
+      assert conn.status == 200
+      assert %{"version" => 1, "extensions" => [_ | _]} = Jason.decode!(conn.resp_body)
+    end
+
+    test "rejects unknown formats", %{conn: conn} do
+      assert %{"error" => error} =
+               conn
+               |> get(~p"/app/test_tenant/exports/extensions?format=xml")
+               |> json_response(400)
+
+      assert error =~ "xml"
+    end
+  end
+end
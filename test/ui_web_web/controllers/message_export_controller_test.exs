@@ -0,0 +1,90 @@
+defmodule UiWebWeb.MessageExportControllerTest do
+  use UiWebWeb.LiveViewCase
+
+  @moduletag :integration
+
+  alias UiWebWeb.MessageExportController
+
+  describe "GET /app/:tenant_id/exports/messages" do
+    test "streams selected messages as NDJSON", %{conn: conn} do
+      path = MessageExportController.download_path("test_tenant", %{selection: ["msg_001"], format: "ndjson"})
+      conn = get(conn, path)
+
+      assert conn.status == 200
+      assert conn.state == :chunked
+      assert [content_type] = get_resp_header(conn, "content-type")
+      assert content_type =~ "application/x-ndjson"
+      assert [disposition] = get_resp_header(conn, "content-disposition")
+      assert disposition =~ ~s(filename="messages_export_)
+
+      lines = String.split(conn.resp_body, "\n", trim: true)
+      assert [%{"id" => "msg_001"}] = Enum.map(lines, &Jason.decode!/1)
+    end
+
+    test "exports everything matching filters as JSON", %{conn: conn} do
+      path =
+        MessageExportController.download_path("test_tenant", %{
+          selection: {:filters, %{"status" => "completed", "type" => "all", "search" => ""}},
+          format: "json"
+        })
+
+      conn = get(conn, path)
+
+      assert conn.status == 200
+      messages = Jason.decode!(conn.resp_body)
+      assert messages != []
+      assert Enum.all?(messages, &(&1["status"] == "completed"))
+    end
+
+    test "reports Gateway failures as JSON errors", %{conn: conn} do
+      path = MessageExportController.download_path("test_tenant", %{selection: ["msg_fail_export"], format: "csv"})
+      conn = get(conn, path)
+
+      assert %{"error" => error} = json_response(conn, 502)
+      assert error =~ "Gateway"
+    end
+
+    test "leaves the download unfinished when the Gateway drops it midway", %{conn: conn} do
+      path = MessageExportController.download_path("test_tenant", %{selection: ["msg_001", "msg_drop_export"], format: "csv"})
+
+      log = ExUnit.CaptureLog.capture_log(fn -> send(self(), {:conn, get(conn, path)}) end)
+      assert_received {:conn, conn}
+
+      assert conn.status == 200
+      assert conn.state == :chunked
+      assert conn.resp_body == "id,type,status,created_at\n"
+      assert log =~ "Message export broke off after the download started"
+    end
+
+    test "rejects tampered and cross-tenant links", %{conn: conn} do
+      assert %{"error" => _} =
+               conn
+               |> get(~p"/app/test_tenant/exports/messages?#{[token: "garbage"]}")
+               |> json_response(400)
+
+      "/app/other_tenant/exports/messages?" <> query =
+        MessageExportController.download_path("other_tenant", %{selection: ["msg_001"], format: "json"})
+
+      assert %{"error" => _} =
+               conn
+               |> get("/app/test_tenant/exports/messages?" <> query)
+               |> json_response(403)
+    end
+
+    test "keeps large selections out of the URL", %{conn: conn} do
+      ids = for n <- 1..2_000, do: "msg_#{n}"
+      path = MessageExportController.download_path("test_tenant", %{selection: ids, format: "json"})
+
+      assert byte_size(path) < 512
+      assert conn |> get(path) |> Map.fetch!(:status) == 200
+    end
+
+    test "links whose selection is gone from the cache have expired", %{conn: conn} do
+      path = MessageExportController.download_path("test_tenant", %{selection: ["msg_001"], format: "json"})
+      {:ok, _count} = Cachex.clear(:message_exports)
+
+      assert %{"error" => error} = conn |> get(path) |> json_response(410)
+      assert error =~ "expired"
+    end
+  end
+end
@@ -0,0 +1,63 @@
+defmodule UiWebWeb.URLPreviewProxyControllerTest do
+  # Swaps the preview service module in the application env
+  use UiWebWeb.ConnCase, async: false
+
+  alias UiWebWeb.URLPreviewProxyController
+
+  defmodule StubService do
+    def fetch_image("https://cdn.example/logo.png"), do: {:ok, %{content_type: "image/png", body: <<137, 80, 78, 71>>}}
+    def fetch_image(_url), do: {:error, :not_an_image}
+  end
+
+  setup do
+    original_service = Application.get_env(:ui_web, :url_preview_service_module)
+    Application.put_env(:ui_web, :url_preview_service_module, StubService)
+
+    on_exit(fn ->
+      if original_service do
+        Application.put_env(:ui_web, :url_preview_service_module, original_service)
+      else
+        Application.delete_env(:ui_web, :url_preview_service_module)
+      end
+    end)
+
+    :ok
+  end
+
+  test "serves a signed image with cache and sandbox headers", %{conn: conn} do
+    path = URLPreviewProxyController.proxy_path("https://cdn.example/logo.png")
+    assert path == URLPreviewProxyController.proxy_path("https://cdn.example/logo.png")
+
+    conn = get(conn, path)
+
+    assert conn.status == 200
+    assert conn.resp_body == <<137, 80, 78, 71>>
+    assert get_resp_header(conn, "content-type") == ["image/png"]
+    assert get_resp_header(conn, "cache-control") == ["public, max-age=86400"]
+    assert get_resp_header(conn, "x-content-type-options") == ["nosniff"]
+    assert [csp] = get_resp_header(conn, "content-security-policy")
+    assert csp =~ "sandbox"
+  end
+
+  test "rejects unsigned and tampered links without fetching", %{conn: conn} do
+    assert get(conn, ~p"/previews/image").status == 400
+    assert get(conn, ~p"/previews/image?#{[token: "https://cdn.example/logo.png"]}").status == 400
+
+    other_salt = Phoenix.Token.sign(UiWebWeb.Endpoint, "message export", "https://cdn.example/logo.png")
+    assert get(conn, ~p"/previews/image?#{[token: other_salt]}").status == 400
+  end
+
+  test "rejects expired links", %{conn: conn} do
+    two_days_ago = System.system_time(:second) - 2 * 86_400
+    token = Phoenix.Token.sign(UiWebWeb.Endpoint, "url preview image", "https://cdn.example/logo.png", signed_at: two_days_ago)
+
+    assert get(conn, ~p"/previews/image?#{[token: token]}").status == 400
+  end
+
+  test "reports images that can't be served", %{conn: conn} do
+    conn = get(conn, URLPreviewProxyController.proxy_path("https://cdn.example/page.html"))
+
+    assert conn.status == 502
+    assert conn.resp_body == "Image unavailable"
+  end
+end
@@ -0,0 +1,76 @@
+defmodule UiWebWeb.DryRunTraceTest do
+  use ExUnit.Case, async: true
+
+  alias UiWebWeb.DryRunTrace
+
+  defp step(id, type, status, input, output, extra \\ %{}) do
+    Map.merge(
+      %{"extension_id" => id, "type" => type, "status" => status, "latency_ms" => 2, "input" => input, "output" => output},
+      extra
+    )
+  end
+
+  @passed %{
+    "trace" => [
+      step("normalize_text", "pre", "success", %{"message" => " Hi 42 "}, %{"message" => "hi 42"}),
+      step("openai", "provider", "success", %{"message" => "hi 42"}, %{"message" => "hi 42"}),
+      step("mask_pii", "post", "success", %{"message" => "hi 42"}, %{"message" => "hi **"})
+    ],
+    "blocked_by" => nil,
+    "provider_selected" => "openai",
+    "final_payload" => %{"message" => "hi **"}
+  }
+
+  describe "steps/1" do
+    test "adds the change each stage made to its input" do
+      assert [normalize, provider, mask] = DryRunTrace.steps(%{"ok" => true, "result" => @passed})
+
+      assert normalize.changes == [%{op: :changed, path: ["message"], old: " Hi 42 ", new: "hi 42"}]
+      assert provider.changes == []
+      assert %{extension_id: "mask_pii", type: "post", short_circuit: false} = mask
+    end
+
+    test "marks rejected short-circuiting steps" do
+      result = %{
+        "trace" => [
+          step("pii_guard", "validator", "rejected", %{"m" => "a@b.io"}, %{"m" => "a@b.io"}, %{
+            "short_circuit" => true,
+            "reason" => "Payload contains an e-mail address"
+          })
+        ]
+      }
+
+      assert [%{status: "rejected", short_circuit: true, reason: "Payload contains an e-mail address"}] = DryRunTrace.steps(result)
+    end
+
+    test "falls back to executed extensions without payloads" do
+      result = %{"executed_extensions" => [%{"extension_id" => "a", "status" => "success"}], "post_processors_executed" => []}
+
+      assert [%{extension_id: "a", input: nil, changes: nil}] = DryRunTrace.steps(result)
+    end
+  end
+
+  describe "compare/2" do
+    test "passes when the outcome is unchanged, ignoring latency" do
+      expected = DryRunTrace.outcome(@passed)
+      slower = Map.update!(@passed, "trace", fn trace -> Enum.map(trace, &Map.put(&1, "latency_ms", 99)) end)
+
+      assert DryRunTrace.compare(expected, slower) == :pass
+    end
+
+    test "fails with the keys that differ" do
+      expected = DryRunTrace.outcome(@passed)
+      without_post = %{@passed | "trace" => Enum.take(@passed["trace"], 2), "final_payload" => %{"message" => "hi 42"}}
+
+      assert DryRunTrace.compare(expected, without_post) == {:fail, ["final_payload", "steps"]}
+    end
+
+    test "has no baseline without a saved outcome" do
+      assert DryRunTrace.compare(nil, @passed) == :no_baseline
+    end
+  end
+
+  test "total_latency/1 sums step latencies" do
+    assert @passed |> DryRunTrace.steps() |> DryRunTrace.total_latency() == 6
+  end
+end
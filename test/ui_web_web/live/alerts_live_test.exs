@@ -0,0 +1,111 @@
+defmodule UiWebWeb.AlertsLiveTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWeb.Alerts.Evaluator
+  alias UiWeb.Services.AlertsClient
+
+  @moduletag :live_view
+
+  setup do
+    name = "Rule #{System.unique_integer([:positive])}"
+
+    on_exit(fn ->
+      {:ok, rules} = AlertsClient.list_rules(tenant: "test_tenant")
+      for %{"name" => ^name, "id" => id} <- rules, do: AlertsClient.delete_rule("test_tenant", id)
+    end)
+
+    {:ok, name: name}
+  end
+
+  defp save_rule(name, attrs) do
+    id = "live_#{System.unique_integer([:positive])}"
+    rule = Map.merge(%{"name" => name, "kind" => "metric_threshold", "metric" => "latency_p95", "operator" => ">", "threshold" => 10.0, "for_seconds" => 0, "severity" => "error"}, attrs)
+    {:ok, _} = AlertsClient.save_rule("test_tenant", id, rule)
+    id
+  end
+
+  test "creates a threshold rule from the form", %{conn: conn, name: name} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/alerts/new")
+
+    # Condition fields follow the selected kind
+    refute has_element?(view, "input[name='rule[threshold]']")
+    view |> form("#rule-form", %{"rule" => %{"kind" => "metric_threshold"}}) |> render_change()
+    assert has_element?(view, "input[name='rule[threshold]']")
+
+    view
+    |> form("#rule-form", %{"rule" => %{"name" => name, "metric" => "latency_p95", "operator" => ">", "threshold" => "250", "for_seconds" => "300"}})
+    |> render_submit()
+
+    assert_patch(view, ~p"/app/test_tenant/alerts")
+    assert has_element?(view, "#alert-rules td", "p95 latency > 250 ms for 5m")
+    refute has_element?(view, "#rule-form")
+  end
+
+  test "shows validation errors in the form", %{conn: conn, name: name} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/alerts/new")
+
+    html =
+      view
+      |> form("#rule-form", %{"rule" => %{"name" => name, "kind" => "metric_threshold"}})
+      |> render_submit(%{"rule" => %{"threshold" => "fast"}})
+
+    assert html =~ "Threshold must be a number"
+  end
+
+  test "edits and disables an existing rule", %{conn: conn, name: name} do
+    id = save_rule(name, %{})
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/alerts/#{id}/edit")
+
+    assert has_element?(view, "input[name='rule[threshold]'][value='10.0']")
+
+    view |> form("#rule-form", %{"rule" => %{"threshold" => "75"}}) |> render_submit()
+    assert has_element?(view, "#rule-#{id}", "p95 latency > 75 ms")
+
+    view |> element("#rule-#{id} button[phx-click='toggle_rule']") |> render_click()
+    assert has_element?(view, "#rule-#{id}", "disabled")
+  end
+
+  test "firing alerts show up live and in the history", %{conn: conn, name: name} do
+    id = save_rule(name, %{})
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/alerts")
+    {:ok, history, _html} = live(conn, ~p"/app/test_tenant/alerts/history")
+
+    Evaluator.evaluate_now()
+
+    assert has_element?(view, "#active-#{id}", name)
+    assert has_element?(view, "#rule-#{id}", "firing")
+    assert has_element?(history, "#alert-history td", name)
+
+    view |> element("#rule-#{id} button[phx-click='delete_rule']") |> render_click()
+    Evaluator.evaluate_now()
+
+    refute has_element?(view, "#active-#{id}")
+    assert has_element?(history, "#alert-history td", "resolved")
+  end
+
+  test "history filters by status through the URL", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/alerts/history")
+
+    view |> form("#history-filters", %{"status" => "resolved"}) |> render_change()
+
+    assert_patch(view, ~p"/app/test_tenant/alerts/history?status=resolved")
+    refute has_element?(view, "#alert-history td.text-red-600")
+  end
+
+  describe "viewer" do
+    @describetag role: "viewer"
+
+    test "sees rules but no mutating controls", %{conn: conn, name: name} do
+      id = save_rule(name, %{"threshold" => 1000.0})
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/alerts")
+
+      assert has_element?(view, "#rule-#{id}", name)
+      refute has_element?(view, "a", "New Rule")
+      refute has_element?(view, "#rule-#{id} button[phx-click='delete_rule']")
+      assert has_element?(view, "#rule-#{id} button[phx-click='toggle_rule'][disabled]")
+
+      html = render_click(view, "toggle_rule", %{"id" => id})
+      assert html =~ "requires the operator role"
+    end
+  end
+end
@@ -0,0 +1,105 @@
+defmodule UiWebWeb.AuthorizationTest do
+  use UiWebWeb.LiveViewCase
+
+  @moduletag :live_view
+
+  setup do
+    parent = self()
+
+    :telemetry.attach(
+      "test-access-denied",
+      [:ui_web, :live, :access_denied],
+      fn _event, _measurements, metadata, _config ->
+        send(parent, {:access_denied, metadata})
+      end,
+      %{}
+    )
+
+    on_exit(fn -> :telemetry.detach("test-access-denied") end)
+
+    :ok
+  end
+
+  describe "viewer" do
+    @describetag role: "viewer"
+
+    test "does not see mutating message controls", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/messages")
+
+      refute has_element?(view, "a", "New Message")
+      refute has_element?(view, "button[phx-click='delete']")
+      refute has_element?(view, "tr[data-edit-href]")
+    end
+
+    test "denied delete gets a flash and a telemetry event", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/messages")
+
+      html = render_click(view, "delete", %{"id" => "msg_fail"})
+
+      assert html =~ "Permission denied: delete message requires the operator role"
+      assert_receive {:access_denied, %{action: :delete_message, role: "viewer", required_role: "operator"} = metadata}
+      assert metadata.liveview == UiWebWeb.MessagesLive.Index
+      assert metadata.tenant_id == "tenant_dev"
+    end
+
+    test "denied bulk delete is reported once", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/messages")
+
+      render_click(view, "bulk_delete", %{})
+
+      assert_receive {:access_denied, %{action: :bulk_delete_messages}}
+      refute_receive {:access_denied, _}
+    end
+
+    test "cannot open the message form", %{conn: conn} do
+      assert {:error, {:redirect, %{to: "/app/tenant_dev/dashboard", flash: %{"error" => error}}}} =
+               live(conn, ~p"/app/tenant_dev/messages/new")
+
+      assert error =~ "requires the operator role"
+      assert_receive {:access_denied, %{action: :save_message}}
+    end
+
+    test "cannot toggle extensions", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/extensions")
+
+      assert has_element?(view, "button[phx-click='toggle_extension'][disabled]")
+      refute has_element?(view, "button[phx-click='delete_extension']")
+
+      render_click(view, "toggle_extension", %{"id" => "ext_1", "enabled" => "true"})
+      assert_receive {:access_denied, %{action: :toggle_extension}}
+    end
+  end
+
+  describe "operator" do
+    @describetag role: "operator"
+
+    test "may edit policies but not delete them", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+
+      refute has_element?(view, "button[phx-click='delete']")
+      refute has_element?(view, "button[disabled]", "Save")
+
+      html = render_click(view, "delete", %{})
+
+      assert html =~ "requires the admin role"
+      assert_receive {:access_denied, %{action: :delete_policy, role: "operator"}}
+    end
+
+    test "may toggle but not delete extensions", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/extensions")
+
+      refute has_element?(view, "button[phx-click='toggle_extension'][disabled]")
+      refute has_element?(view, "button[phx-click='delete_extension']")
+    end
+  end
+
+  describe "admin" do
+    test "sees every control", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/extensions")
+
+      assert has_element?(view, "a", "Add Extension")
+      assert has_element?(view, "button[phx-click='delete_extension']")
+      refute_receive {:access_denied, _}
+    end
+  end
+end
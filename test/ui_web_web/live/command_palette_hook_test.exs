@@ -0,0 +1,36 @@
+defmodule UiWebWeb.Live.CommandPaletteHookTest do
+  use UiWebWeb.LiveViewCase
+
+  @moduletag :live_view
+
+  test "renders the palette with tenant-scoped commands", %{conn: conn} do
+    {:ok, _view, html} = live(conn, ~p"/app/test_tenant/messages")
+
+    assert html =~ ~s(data-testid="command-palette")
+    assert html =~ ~s(phx-hook="CommandPalette")
+    assert html =~ "/app/test_tenant/extensions/pipeline"
+  end
+
+  test "marks message rows and search for keyboard shortcuts", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+    assert_html(view, "msg_001", timeout: 1000, interval: 50)
+    assert has_element?(view, "input[name='query'][data-shortcut='search']")
+    assert has_element?(view, "tr[data-shortcut-row][data-row-id='msg_001'][data-edit-href='/app/test_tenant/messages/msg_001/edit']")
+    assert has_element?(view, "tr[data-row-id='msg_001'] input[data-shortcut='toggle'][phx-click='toggle_select']")
+  end
+
+  test "refresh_health runs from any page", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/policies")
+
+    html = render_hook(view, "palette_command", %{"action" => "refresh_health"})
+
+    assert html =~ "Gateway health refreshed" || html =~ "Health check failed"
+  end
+
+  test "unknown commands are reported, not crashed on", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/dashboard")
+
+    assert render_hook(view, "palette_command", %{"action" => "format_disk"}) =~ "Unknown command: format_disk"
+  end
+end
@@ -0,0 +1,66 @@
+defmodule UiWebWeb.ContractsLiveTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWeb.Contracts.ContractRuns
+
+  @moduletag :live_view
+
+  @extra %{"path" => "nats.servers", "kind" => "extra", "expected" => nil, "actual" => "integer"}
+  @missing %{"path" => "latency.p95", "kind" => "missing", "expected" => "number", "actual" => nil}
+
+  setup do
+    dir = Application.fetch_env!(:ui_web, :contract_runs_dir)
+    File.rm_rf!(dir)
+    on_exit(fn -> File.rm_rf!(dir) end)
+    :ok
+  end
+
+  defp save_run(ms, results) do
+    summary = Map.new(~w(pass drift fail error skipped), fn status -> {status, Enum.count(results, &(&1["status"] == status))} end)
+    run = %{"id" => "run_#{ms}", "started_at" => "2026-01-01T00:00:0#{ms}Z", "base_url" => "http://localhost:8082", "summary" => summary, "results" => results}
+    {:ok, run} = ContractRuns.save(run)
+    run
+  end
+
+  defp result(status, diffs) do
+    %{"endpoint" => "GET /metrics", "method" => "GET", "path" => "/metrics", "status" => status, "http_status" => 200, "duration_ms" => 3, "message" => nil, "diffs" => diffs}
+  end
+
+  test "runs the checks and shows per-endpoint results", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/contracts")
+
+    view |> element("button", "Run checks") |> render_click()
+    render_async(view)
+
+    assert [%{"id" => id}] = ContractRuns.list()
+    assert_patch(view, ~p"/app/test_tenant/contracts?#{[run: id]}")
+    assert has_element?(view, "#contract-results #result-get-metrics", "pass")
+    assert has_element?(view, "#contract-results #result-post-api-v1-messages", "skipped")
+  end
+
+  test "shows field diffs and the drift since the previous run", %{conn: conn} do
+    save_run(1, [result("drift", [@extra])])
+    save_run(2, [result("fail", [@extra, @missing])])
+
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/contracts")
+
+    assert has_element?(view, "#result-get-metrics", "missing: latency.p95 (expected number)")
+    assert has_element?(view, "#result-get-metrics", "extra: nats.servers (integer)")
+    assert has_element?(view, "#result-get-metrics", "changed (was drift)")
+
+    view |> element("#run-run_1 a") |> render_click()
+    assert_patch(view, ~p"/app/test_tenant/contracts?run=run_1")
+    assert has_element?(view, "#result-get-metrics", "new")
+    refute has_element?(view, "#result-get-metrics", "missing: latency.p95")
+  end
+
+  for role <- ["viewer", "operator"] do
+    describe role do
+      @describetag role: role
+
+      test "is redirected to the dashboard", %{conn: conn} do
+        assert {:error, {:redirect, %{to: "/app/test_tenant/dashboard"}}} = live(conn, ~p"/app/test_tenant/contracts")
+      end
+    end
+  end
+end
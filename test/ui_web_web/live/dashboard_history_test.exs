@@ -0,0 +1,52 @@
+defmodule UiWebWeb.DashboardHistoryTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWeb.Metrics.History
+
+  @moduletag :live_view
+
+  defp metrics(rps, p95), do: %{"rps" => rps, "latency" => %{"p50" => 10, "p95" => p95}, "error_rate" => 0.01}
+
+  setup do
+    now = System.system_time(:millisecond)
+
+    for {offset_s, rps, p95} <- [{240, 10, 100}, {180, 10, 100}, {60, 50, 200}, {30, 50, 200}] do
+      History.record("test_tenant", metrics(rps, p95), now - offset_s * 1_000)
+    end
+
+    :ok
+  end
+
+  test "trend arrows come from the recorded history", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/dashboard")
+
+    assert_html(view, ~r/data-trend="up"/)
+    assert has_element?(view, "#metric-throughput [data-trend='up'].text-green-600")
+    # Rising latency is bad news
+    assert has_element?(view, "#metric-latency-p95 [data-trend='up'].text-red-600")
+    assert has_element?(view, "#metric-throughput-sparkline[phx-hook='MetricsChart'][data-mode='sparkline']")
+  end
+
+  test "range and chart tab round-trip through the URL", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/dashboard")
+
+    assert has_element?(view, "#range-5m[aria-current='true']")
+    assert has_element?(view, "#metrics-chart[data-zoom-key='5m-throughput']")
+
+    view |> element("#range-1h") |> render_click()
+    assert_patch(view, ~p"/app/test_tenant/dashboard?range=1h&chart=throughput")
+
+    view |> element("#chart-tab-latency") |> render_click()
+    assert_patch(view, ~p"/app/test_tenant/dashboard?range=1h&chart=latency")
+
+    assert has_element?(view, "#range-1h[aria-current='true']")
+    assert has_element?(view, "#metrics-chart[data-zoom-key='1h-latency'][data-unit='ms']")
+    assert view |> element("#metrics-chart") |> render() =~ "p95"
+  end
+
+  test "unknown range and chart fall back to the defaults", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/dashboard?range=1y&chart=cpu")
+
+    assert has_element?(view, "#metrics-chart[data-zoom-key='5m-throughput']")
+  end
+end
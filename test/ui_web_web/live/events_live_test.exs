@@ -0,0 +1,153 @@
+defmodule UiWebWeb.EventsLiveTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWeb.Realtime.{EventSubscriber, FakePublisher}
+
+  @moduletag :live_view
+
+  # Unique subjects keep events published by other tests apart
+  defp subject(kind), do: "beamline.#{kind}.events.test#{System.unique_integer([:positive])}.live"
+
+  defp publish(view, subject, event) do
+    :ok = FakePublisher.publish(subject, event)
+    # The subscriber has broadcast once it answers
+    :sys.get_state(EventSubscriber)
+    render(view)
+  end
+
+  test "tails events of the user's tenants and global events", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+    [own, global, foreign] = [subject("messages"), subject("extensions"), subject("messages")]
+
+    publish(view, own, %{"type" => "message_created", "tenant_id" => "test_tenant"})
+    publish(view, global, %{"type" => "extension_registered"})
+    publish(view, foreign, %{"type" => "message_created", "tenant_id" => "someone_else"})
+
+    assert has_element?(view, "#events td", own)
+    assert has_element?(view, "#events td", global)
+    refute has_element?(view, "#events td", foreign)
+    assert has_element?(view, ~s(#event-rates tr[data-subject="#{own}"]), "0.1/s")
+  end
+
+  test "filters by subject pattern, type and tenant", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+    [message, policy] = [subject("messages"), subject("policies")]
+
+    publish(view, message, %{"type" => "message_created", "tenant_id" => "test_tenant"})
+    publish(view, policy, %{"type" => "policy_updated", "tenant_id" => "tenant_dev"})
+
+    view |> form("#event-filters", %{"subject" => "beamline.messages.>"}) |> render_change()
+    assert_patch(view, ~p"/app/test_tenant/events?#{[subject: "beamline.messages.>"]}")
+    assert has_element?(view, "#events td", message)
+    refute has_element?(view, "#events td", policy)
+
+    view |> form("#event-filters", %{"subject" => "", "type" => "policy_updated"}) |> render_change()
+    assert has_element?(view, "#events td", policy)
+    refute has_element?(view, "#events td", message)
+
+    view |> form("#event-filters", %{"type" => "", "tenant" => "test_tenant"}) |> render_change()
+    assert has_element?(view, "#events td", message)
+    refute has_element?(view, "#events td", policy)
+
+    view |> form("#event-filters", %{"tenant" => "", "subject" => "beamline.>.x"}) |> render_change()
+    assert has_element?(view, "[data-testid=pattern-error]", "> must be the last token")
+  end
+
+  test "holds events back while paused", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+    held = subject("extensions")
+
+    view |> element("button", "Pause") |> render_click()
+    publish(view, held, %{"type" => "extension_registered"})
+
+    refute has_element?(view, "#events td", held)
+    assert has_element?(view, "[data-testid=pending-count]", "1 new")
+
+    view |> element("button", "Resume") |> render_click()
+    assert has_element?(view, "#events td", held)
+  end
+
+  test "shows the decoded JSON of a clicked event", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+    [valid, invalid] = [subject("extensions"), subject("extensions")]
+
+    publish(view, valid, %{"type" => "extension_registered", "data" => %{"id" => "ext_1"}})
+    publish(view, invalid, "{oops")
+
+    view |> element("#events tbody tr", valid) |> render_click()
+    assert has_element?(view, "#event-detail", "extensions:updates")
+    assert has_element?(view, ~s(#event-detail li[data-path="$.data.id"]), ~s("ext_1"))
+
+    view |> element("#events tbody tr", invalid) |> render_click()
+    assert has_element?(view, "#event-detail [data-testid=event-raw]", "{oops")
+
+    view |> element("#event-detail button", "Close") |> render_click()
+    refute has_element?(view, "#event-detail")
+  end
+
+  test "admins see undecodable events of unknown tenants", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+    unscoped = subject("messages")
+
+    publish(view, unscoped, "{not json")
+
+    view |> element("#events tbody tr", unscoped) |> render_click()
+    assert has_element?(view, "#event-detail [data-testid=event-raw]", "{not json")
+  end
+
+  @tag role: "operator"
+  test "other roles see neither undecodable events nor raw bodies of unknown tenants", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+    [unscoped, global] = [subject("messages"), subject("extensions")]
+
+    publish(view, unscoped, ~s({"tenant_id": "someone_else", "secret"))
+    publish(view, global, "{oops")
+
+    refute has_element?(view, "#events td", unscoped)
+
+    view |> element("#events tbody tr", global) |> render_click()
+    refute has_element?(view, "[data-testid=event-raw]")
+    assert has_element?(view, "[data-testid=event-raw-hidden]")
+  end
+
+  describe "with NATS disabled" do
+    setup do
+      features = Application.get_env(:ui_web, :features, [])
+      Application.put_env(:ui_web, :features, Keyword.put(features, :enable_real_time, false))
+      on_exit(fn -> Application.put_env(:ui_web, :features, features) end)
+    end
+
+    test "admins publish sample events locally", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+
+      assert has_element?(view, "[data-testid=nats-disabled]")
+      view |> form("#fake-publisher", %{"kind" => "policy", "count" => "3"}) |> render_submit()
+      :sys.get_state(EventSubscriber)
+
+      assert has_element?(view, ~s(#event-rates tr[data-subject="beamline.policies.events.updated"]))
+      assert has_element?(view, "#events td", "policy_updated")
+    end
+
+    @tag role: "operator"
+    test "other roles don't see the publisher", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+
+      refute has_element?(view, "#fake-publisher")
+      render_submit(view, "publish_samples", %{"kind" => "policy", "count" => "1"})
+      assert render(view) =~ "Permission denied"
+    end
+
+    test "the publisher is hidden and refused outside dev and test", %{conn: conn} do
+      Application.put_env(:ui_web, :fake_publisher, false)
+      on_exit(fn -> Application.put_env(:ui_web, :fake_publisher, true) end)
+
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/events")
+
+      refute has_element?(view, "#fake-publisher")
+      assert render_submit(view, "publish_samples", %{"kind" => "policy", "count" => "1"}) =~ "Sample events are disabled"
+      :sys.get_state(EventSubscriber)
+
+      refute has_element?(view, ~s(#event-rates tr[data-subject="beamline.policies.events.updated"]))
+    end
+  end
+end
@@ -0,0 +1,136 @@
+defmodule UiWebWeb.ExtensionsLive.ImportTest do
+  @moduledoc """
+  Integration tests for the extension manifest import against the mock gateway,
+  whose registry holds `failing-extension` (ext_fail).
+  """
+
+  use UiWebWeb.LiveViewCase
+
+  @moduletag :live_view
+  @moduletag :integration
+
+  @registered """
+    - name: failing-extension
+      type: provider
+      description: This extension will fail on toggle/delete
+      nats_subject: beamline.extensions.provider.fail.v1
+      version: 1.0.0
+      enabled: true
+      metadata:
+        author: Test
+        tags: [test]
+        docs_url: https://docs.beamline.io/extensions/fail
+  """
+
+  @created """
+    - name: manifest-echo
+      type: pre
+      nats_subject: beamline.extensions.pre.manifest-echo.v1
+      version: 1.0.0
+  """
+
+  defp manifest(entries), do: "version: 1\nextensions:\n" <> Enum.join(entries)
+
+  defp preview(view, content, format \\ "yaml") do
+    view
+    |> form("#manifest-form", %{"manifest" => %{"content" => content, "format" => format}})
+    |> render_submit()
+  end
+
+  test "previews creates, updates, unchanged and invalid extensions", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions/import")
+
+    updated = String.replace(@registered, "version: 1.0.0", "version: 1.1.0")
+    invalid = "  - name: Bad_Name\n    type: pre\n"
+
+    preview(view, manifest([@registered, updated, @created, invalid]))
+
+    assert has_element?(view, "#import-summary [data-action=create]", "Create: 1")
+    assert has_element?(view, "#import-summary [data-action=invalid]", "Invalid: 3")
+    assert has_element?(view, "#plan-entry-1[data-action=invalid]", "name failing-extension appears more than once in the manifest")
+    assert has_element?(view, "#plan-entry-3[data-action=create]", "manifest-echo")
+    assert has_element?(view, "#plan-entry-4[data-action=invalid]", "name must be lowercase alphanumeric with hyphens")
+
+    render_click(view, "apply")
+    assert render(view) =~ "Fix the invalid extensions before applying the manifest"
+    refute has_element?(view, "#import-results")
+  end
+
+  test "applies the planned creates and updates", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions/import")
+
+    updated = String.replace(@registered, "version: 1.0.0", "version: 1.1.0")
+    preview(view, manifest([updated, @created]))
+
+    assert has_element?(view, "#plan-entry-1[data-action=update]", "Changes version")
+    assert has_element?(view, "#plan-entry-2[data-action=create]")
+
+    # The click renders before the task saves anything
+    assert view |> element("#import-plan button", "Apply manifest") |> render_click() =~ "Saved 0 of 2 extensions"
+
+    render_async(view)
+    assert has_element?(view, "#import-results [data-name=failing-extension]", "updated")
+    assert has_element?(view, "#import-results [data-name=manifest-echo]", "created")
+    assert render(view) =~ "Manifest applied: 2 extensions saved"
+    refute has_element?(view, "#import-plan")
+  end
+
+  test "an unchanged registry leaves nothing to apply", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions/import")
+
+    preview(view, manifest([@registered]), "auto")
+
+    assert has_element?(view, "#plan-entry-1[data-action=unchanged]", "failing-extension")
+    assert has_element?(view, "#import-plan button[disabled]", "Apply manifest")
+  end
+
+  test "shows parse errors with the line", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions/import")
+
+    preview(view, "extensions: [\n")
+
+    assert has_element?(view, "[data-testid=parse-error]", "Invalid YAML")
+    refute has_element?(view, "#import-plan")
+  end
+
+  test "editing the manifest discards the preview", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions/import")
+
+    preview(view, manifest([@created]))
+    assert has_element?(view, "#import-plan")
+
+    view
+    |> form("#manifest-form", %{"manifest" => %{"content" => manifest([@registered]), "format" => "yaml"}})
+    |> render_change()
+
+    refute has_element?(view, "#import-plan")
+  end
+
+  test "an uploaded file fills the manifest and its format", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions/import")
+
+    content = Jason.encode!(%{"version" => 1, "extensions" => [%{"name" => "manifest-echo"}]})
+
+    view
+    |> file_input("#manifest-form", :manifest, [%{name: "extensions.json", content: content, type: "application/json"}])
+    |> render_upload("extensions.json")
+
+    assert has_element?(view, "#manifest_content", "manifest-echo")
+    assert has_element?(view, "#manifest_format option[value=json][selected]")
+  end
+
+  describe "operator" do
+    @describetag role: "operator"
+
+    test "is redirected to the dashboard", %{conn: conn} do
+      assert {:error, {:redirect, %{to: "/app/test_tenant/dashboard"}}} = live(conn, ~p"/app/test_tenant/extensions/import")
+    end
+
+    test "sees the export link but not the import link", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/extensions")
+
+      assert has_element?(view, "#export-extensions")
+      refute has_element?(view, "#import-extensions")
+    end
+  end
+end
@@ -0,0 +1,105 @@
+defmodule UiWebWeb.ExtensionsPipelineDryRunTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWeb.Services.PoliciesClient
+
+  @moduletag :live_view
+
+  @tenant "tenant_dev"
+
+  @policy %{
+    "pre" => [%{"id" => "normalize_text"}],
+    "validators" => [%{"id" => "pii_guard", "on_fail" => "block"}],
+    "post" => [%{"id" => "mask_pii"}],
+    "rules" => [%{"condition" => "true", "action" => "allow", "provider" => "openai"}]
+  }
+
+  setup %{conn: conn} do
+    policy_id = "dry_run_#{System.unique_integer([:positive])}"
+    {:ok, _} = PoliciesClient.save_policy(@tenant, policy_id, @policy)
+
+    {:ok, view, _html} = live(conn, ~p"/app/#{@tenant}/extensions/pipeline?#{[policy_id: policy_id]}")
+
+    {:ok, view: view, policy_id: policy_id}
+  end
+
+  defp run(view, payload) do
+    view |> form("#dry-run-form", %{"payload" => Jason.encode!(payload)}) |> render_submit()
+  end
+
+  defp save_case(view, name, payload) do
+    view |> form("#dry-run-form", %{"payload" => Jason.encode!(payload)}) |> render_change()
+    view |> form("#dry-run-save-form", %{"name" => name}) |> render_submit()
+  end
+
+  describe "trace timeline" do
+    test "shows each stage with its input and the changes it made", %{view: view} do
+      run(view, %{"message" => "  Call 555 "})
+
+      assert has_element?(view, "#trace-step-0[data-status='success']", "normalize_text")
+      assert has_element?(view, "#trace-step-0", ~s(message: "  Call 555 " → "call 555"))
+      assert has_element?(view, "#trace-step-1", "pii_guard")
+      assert has_element?(view, "#trace-step-2", "No changes")
+      assert has_element?(view, "#trace-step-3", ~s(message: "call 555" → "call ***"))
+      assert has_element?(view, "details", "Raw result")
+    end
+
+    test "marks a rejecting validator and stops the timeline there", %{view: view} do
+      run(view, %{"message" => "mail me at a@example.com"})
+
+      assert has_element?(view, "#trace-step-1[data-status='rejected']", "Short-circuited")
+      assert has_element?(view, "#trace-step-1", "Payload contains an e-mail address")
+      refute has_element?(view, "#trace-step-2")
+    end
+
+    test "reports invalid JSON payloads", %{view: view} do
+      view |> form("#dry-run-form", %{"payload" => "{not json"}) |> render_submit()
+
+      assert render(view) =~ "Dry-run failed: payload is not valid JSON"
+    end
+  end
+
+  describe "saved payloads" do
+    test "re-running the suite flags outcome changes after a policy edit", %{view: view, policy_id: policy_id} do
+      save_case(view, "digits", %{"message" => "Call 555"})
+      save_case(view, "email", %{"message" => "a@example.com"})
+
+      assert has_element?(view, "#dry-run-case-digits")
+      assert has_element?(view, "#dry-run-case-email")
+
+      view |> element("button", "Run all") |> render_click()
+      assert has_element?(view, "#dry-run-suite-summary", "2 passed, 0 failed")
+
+      {:ok, _} = PoliciesClient.save_policy(@tenant, policy_id, Map.delete(@policy, "post"))
+
+      view |> element("button", "Run all") |> render_click()
+      assert has_element?(view, "#dry-run-suite-summary", "1 passed, 1 failed")
+      assert has_element?(view, "#dry-run-case-digits [data-result='fail']")
+      assert has_element?(view, "#dry-run-case-digits", "final_payload, steps")
+      assert has_element?(view, "#dry-run-case-email [data-result='pass']")
+
+      view |> element("#dry-run-case-digits button", "Accept result") |> render_click()
+      assert has_element?(view, "#dry-run-case-digits [data-result='pass']")
+
+      view |> element("#dry-run-case-digits button", "Run") |> render_click()
+      assert has_element?(view, "#dry-run-case-digits [data-result='pass']")
+    end
+
+    test "loads a saved payload into the editor and deletes it", %{view: view} do
+      save_case(view, "greeting", %{"message" => "hello there"})
+
+      view |> element("#dry-run-case-greeting button", "Load") |> render_click()
+      assert has_element?(view, "#dry-run-form textarea", "hello there")
+
+      view |> element("#dry-run-case-greeting button", "Delete") |> render_click()
+      refute has_element?(view, "#dry-run-case-greeting")
+    end
+
+    test "rejects names that are not URL safe", %{view: view} do
+      save_case(view, "my payload", %{"message" => "hi"})
+
+      assert render(view) =~ "Saving dry-run payload failed: name may only contain"
+      refute has_element?(view, "[id^='dry-run-case-']")
+    end
+  end
+end
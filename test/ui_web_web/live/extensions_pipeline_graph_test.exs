@@ -0,0 +1,62 @@
+defmodule UiWebWeb.ExtensionsPipelineGraphTest do
+  use UiWebWeb.LiveViewCase
+
+  @moduletag :live_view
+
+  setup %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/extensions/pipeline")
+
+    view
+    |> element("form[phx-submit='set_policy']")
+    |> render_submit(%{"policy_id" => "default"})
+
+    {:ok, view: view}
+  end
+
+  test "renders stages as nodes in execution order", %{view: view} do
+    assert has_element?(view, "#pipeline-graph g[data-lane='pre']")
+    assert has_element?(view, "#pipeline-graph line[data-edge='pre-0-normalize_text->validators-0-pii_guard']")
+    assert has_element?(view, "#pipeline-graph line[data-edge='validators-0-pii_guard->provider']")
+    assert has_element?(view, "#pipeline-graph line[data-edge='provider->post-0-mask_pii']")
+  end
+
+  test "colors nodes by health and circuit state", %{view: view} do
+    assert has_element?(view, "#pipeline-graph g[data-ext-id='normalize_text'][data-tone='healthy']")
+    assert has_element?(view, "#pipeline-graph g[data-ext-id='mask_pii'][data-tone='half_open'][data-circuit='half_open']")
+  end
+
+  test "updates node colors from extensions:updates events", %{view: view} do
+    Phoenix.PubSub.broadcast(
+      UiWeb.PubSub,
+      "extensions:updates",
+      {:event, %{"type" => "circuit_state_updated", "data" => %{"id" => "pii_guard", "state" => "open"}}}
+    )
+
+    assert_html(view, ~r/data-ext-id="pii_guard"[^>]*data-tone="open"/, timeout: 1000)
+
+    Phoenix.PubSub.broadcast(
+      UiWeb.PubSub,
+      "extensions:updates",
+      {:event, %{"type" => "extension_health_updated", "data" => %{"id" => "normalize_text", "health" => %{"status" => "degraded"}}}}
+    )
+
+    assert_html(view, ~r/data-ext-id="normalize_text"[^>]*data-tone="degraded"/, timeout: 1000)
+  end
+
+  test "clicking a node opens its detail with recent failures", %{view: view} do
+    view
+    |> element("#pipeline-graph g[data-ext-id='mask_pii']")
+    |> render_click()
+
+    assert has_element?(view, "#pipeline-node-detail h4", "mask_pii")
+    assert has_element?(view, "#pipeline-node-failures li", "Extension did not reply within 500ms")
+    assert has_element?(view, "#pipeline-node-detail", "half_open")
+
+    view |> element("#pipeline-node-detail button[phx-click='close_node_detail']") |> render_click()
+    refute has_element?(view, "#pipeline-node-detail")
+  end
+
+  test "provider node is not clickable", %{view: view} do
+    refute has_element?(view, "#pipeline-graph g#pipeline-node-provider[phx-click]")
+  end
+end
@@ -24,18 +24,17 @@ defmodule UiWebWeb.ExtensionsPipelineLiveTest do
       {:ok, view, _html} = live(conn, "/app/extensions/pipeline")
 
       assert has_element?(view, "h2", "Extensions Pipeline Inspector")
-      assert has_element?(view, "form[phx-submit='set_tenant_policy']")
+      assert has_element?(view, "form[phx-submit='set_policy']")
       assert has_element?(view, "form[phx-submit='run_dry_run']")
     end
 
     test "loads policy and displays pipeline structure", %{conn: conn} do
       {:ok, view, _html} = live(conn, "/app/extensions/pipeline")
 
-      # Set tenant and policy
+      # Set policy
       view
-      |> element("form[phx-submit='set_tenant_policy']")
+      |> element("form[phx-submit='set_policy']")
       |> render_submit(%{
-        "tenant_id" => "tenant_dev",
         "policy_id" => "default"
       })
 
@@ -126,9 +125,8 @@ defmodule UiWebWeb.ExtensionsPipelineLiveTest do
 
       # Try to load invalid policy
       view
-      |> element("form[phx-submit='set_tenant_policy']")
+      |> element("form[phx-submit='set_policy']")
       |> render_submit(%{
-        "tenant_id" => "invalid_tenant",
         "policy_id" => "invalid_policy"
       })
 
@@ -186,5 +186,99 @@ defmodule UiWebWeb.MessagesLive.FormTest do
       end
     end
   end
+  describe "drafts" do
+    test "the form autosaves under a key per tenant and route", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages/new")
+
+      assert has_element?(view, ~s(#message-form[phx-hook=MessageDraft][data-draft-key="message-draft:test_tenant:/app/test_tenant/messages/new"]))
+    end
+
+    test "a stored draft is restored and can be discarded", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages/new")
+
+      query = URI.encode_query(%{"message[type]" => "code", "message[prompt]" => "Draft prompt", "_csrf_token" => "x"})
+      render_hook(view, "restore_draft", %{"query" => query, "saved_at" => "2024-01-01T00:00:00Z"})
+
+      assert has_element?(view, "[data-testid=draft-restored]")
+      assert has_element?(view, "#message_prompt", "Draft prompt")
+      assert has_element?(view, "#message_type option[value=code][selected]")
+
+      view |> element("[data-testid=draft-restored] button", "Discard draft") |> render_click()
+
+      assert_push_event(view, "clear_draft", %{})
+      refute has_element?(view, "[data-testid=draft-restored]")
+      refute has_element?(view, "#message_prompt", "Draft prompt")
+    end
+  end
+
+  describe "templates" do
+    defp template_name, do: "Template #{System.unique_integer([:positive])}"
+
+    defp save_template(view, name, message) do
+      view |> form("#message-form", message: message) |> render_change()
+      view |> form("#template-save-form", template: %{name: name}) |> render_submit()
+    end
+
+    test "saves the form as a template and fills its variables", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages/new")
+      name = template_name()
+
+      save_template(view, name, %{type: "chat", prompt: "Hello {{name}}, about {{topic}}", model: "gpt-4"})
+      assert has_element?(view, "[data-testid=template-list] li", name)
+
+      view |> element("li button[phx-click=select_template]", name) |> render_click()
+
+      assert has_element?(view, "#template-fill-form input[name='vars[name]']")
+      assert has_element?(view, "#template-fill-form input[name='vars[topic]']")
+      assert has_element?(view, "[data-testid=template-preview] [data-field=prompt]", "Hello {{name}}, about {{topic}}")
+      assert has_element?(view, "[data-testid=template-errors]", "Fill in {{name}}")
+      assert has_element?(view, "#template-fill-form button[type=submit][disabled]")
+
+      view |> form("#template-fill-form", vars: %{name: "Ada", topic: "billing"}) |> render_change()
+
+      assert has_element?(view, "[data-testid=template-preview] [data-field=prompt]", "Hello Ada, about billing")
+      refute has_element?(view, "[data-testid=template-errors]")
+
+      view |> form("#template-fill-form") |> render_submit()
+
+      refute has_element?(view, "#template-fill-form")
+      assert has_element?(view, "#message_prompt", "Hello Ada, about billing")
+      assert has_element?(view, "#message_model[value="gpt-4"]")
+    end
+
+    test "a template that would make an invalid message can't be applied", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages/new")
+      name = template_name()
+
+      save_template(view, name, %{type: "", prompt: "No type here"})
+      view |> element("li button[phx-click=select_template]", name) |> render_click()
+
+      assert has_element?(view, "[data-testid=template-errors]", "Type can't be blank")
+      assert has_element?(view, "#template-fill-form button[type=submit][disabled]")
+
+      view |> form("#template-fill-form") |> render_submit()
+      assert has_element?(view, "#template-fill-form")
+    end
+
+    test "a template needs a name and a prompt", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages/new")
+
+      save_template(view, "", %{type: "chat", prompt: "Hi"})
+      assert has_element?(view, "[data-testid=template-error]", "Name is required")
+
+      save_template(view, template_name(), %{type: "chat", prompt: ""})
+      assert has_element?(view, "[data-testid=template-error]", "A template needs a prompt")
+    end
+
+    test "deletes a template", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages/new")
+      name = template_name()
+
+      save_template(view, name, %{type: "chat", prompt: "Bye"})
+      view |> element(~s(button[aria-label="Delete template #{name}"])) |> render_click()
+
+      refute has_element?(view, "[data-testid=template-list] li", name)
+    end
+  end
 end
 
@@ -169,6 +169,69 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
     end
   end
 
+  describe "bulk actions" do
+    test "selects every matching message and retries it in a background job", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+      view |> element("input[phx-click='select_all']") |> render_click()
+      assert has_element?(view, "[data-testid='bulk-bar']", "50 message(s) selected")
+
+      view |> element("button[phx-click='select_matching']", "Select all 62 matching") |> render_click()
+      assert has_element?(view, "[data-testid='bulk-bar']", "All 62 messages matching the filter are selected")
+
+      view |> element("button[phx-click='bulk_run'][phx-value-action='retry']") |> render_click()
+      assert has_element?(view, "#bulk-job[role='status']")
+
+      eventually(fn ->
+        assert has_element?(view, "#bulk-job[data-status='done']", "Retry: done (61 succeeded, 1 failed)")
+      end, timeout: 5000, interval: 50)
+
+      assert has_element?(view, "[data-testid='bulk-job-failures'] li[data-id='msg_fail']", "Gateway is temporarily unavailable")
+      refute has_element?(view, "button[phx-click='bulk_cancel']")
+
+      # The failures stay selected and can be retried on their own
+      assert has_element?(view, "[data-testid='bulk-bar']", "1 message(s) selected")
+      view |> element("button[phx-click='bulk_retry_failed']", "Retry failed (1)") |> render_click()
+
+      eventually(fn ->
+        assert has_element?(view, "#bulk-job[data-status='done']", "Retry: done (0 succeeded, 1 failed)")
+      end, timeout: 5000, interval: 50)
+
+      view |> element("button[phx-click='bulk_dismiss']") |> render_click()
+      refute has_element?(view, "#bulk-job")
+    end
+
+    test "tag and status forms validate their input", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+      view |> element("input[phx-click='toggle_select'][phx-value-id='msg_001']") |> render_click()
+
+      view |> form("#bulk-tags-form", %{"action" => "add_tags", "tags" => " , "}) |> render_submit()
+      assert has_element?(view, "[data-testid='bulk-error']", "Enter at least one tag")
+      refute has_element?(view, "#bulk-job")
+
+      view |> form("#bulk-status-form", %{"status" => "completed"}) |> render_submit()
+      refute has_element?(view, "[data-testid='bulk-error']")
+
+      eventually(fn ->
+        assert has_element?(view, "#bulk-job[data-status='done']", "Set status to completed: done (1 succeeded, 0 failed)")
+      end, timeout: 2000, interval: 50)
+    end
+
+    @tag role: "viewer"
+    test "viewers can't run bulk actions", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+      view |> element("input[phx-click='toggle_select'][phx-value-id='msg_001']") |> render_click()
+
+      refute has_element?(view, "button[phx-click='bulk_run']")
+      refute has_element?(view, "#bulk-tags-form")
+
+      render_click(view, "bulk_run", %{"action" => "retry"})
+      refute has_element?(view, "#bulk-job")
+    end
+  end
+
   describe "export" do
     test "export does not crash and keeps selection", %{conn: conn} do
       {:ok, view, _html} = live(conn, ~p"/app/messages")
@@ -218,7 +281,7 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
 
       assert payload.mime_type == "application/json"
       assert is_binary(payload.filename)
-      assert is_binary(payload.content)
+      assert payload.url =~ "/exports/messages?token="
       assert payload.filename =~ ".json"
     end
 
@@ -243,9 +306,25 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
 
       assert payload.mime_type == "text/csv"
       assert is_binary(payload.filename)
-      assert is_binary(payload.content)
+      assert payload.url =~ "/exports/messages?token="
       assert payload.filename =~ ".csv"
     end
+
+    test "export all matching filters does not require a selection", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+      # Wait for initial load
+      assert_html(view, "msg_001", timeout: 1000, interval: 50)
+
+      view
+      |> element("button[phx-click='export_filtered'][phx-value-format='ndjson']")
+      |> render_click()
+
+      assert_push_event(view, "download", payload)
+      assert payload.mime_type == "application/x-ndjson"
+      assert payload.filename =~ ".ndjson"
+      assert payload.url =~ "/exports/messages?token="
+    end
   end
 
   describe "pagination" do
@@ -424,6 +503,105 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
     end
   end
 
+  describe "infinite scroll" do
+    # With 25 rows per page the 62 mock messages are three cursor pages:
+    # msg_fail, msg_fail_export, msg_001..msg_023 | msg_024..msg_048 | msg_049..msg_060
+
+    test "loads cursor pages and keeps a bounded window of rows", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?mode=scroll&limit=25")
+
+      assert has_element?(view, "#messages-table-scroll[phx-hook='InfiniteScroll'][data-has-more='true']")
+      refute has_element?(view, "button[phx-click='next_page']")
+      assert has_element?(view, "#messages-rows #message-msg_023")
+      refute has_element?(view, "#message-msg_024")
+
+      render_hook(view, "load_more", %{})
+
+      assert has_element?(view, "#message-msg_001")
+      assert has_element?(view, "#message-msg_048")
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 1 to 50 of 62")
+
+      render_hook(view, "load_more", %{})
+
+      # Only two pages stay in the DOM, so the first one is pruned
+      assert has_element?(view, "#message-msg_060")
+      refute has_element?(view, "#message-msg_001")
+      assert has_element?(view, "#messages-table-scroll[data-has-more='false'][data-has-previous='true']")
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 26 to 62 of 62")
+
+      # Nothing left below
+      render_hook(view, "load_more", %{})
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 26 to 62 of 62")
+
+      render_hook(view, "load_previous", %{})
+
+      assert has_element?(view, "#message-msg_001")
+      refute has_element?(view, "#message-msg_060")
+      assert has_element?(view, "#messages-table-scroll[data-has-previous='false']")
+    end
+
+    test "selection and live inserts keep their place", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?mode=scroll&limit=25")
+
+      view |> element("#message-msg_001 input[phx-click='toggle_select']") |> render_click()
+      assert has_element?(view, "#message-msg_001 input[phx-click='toggle_select'][checked]")
+
+      render_hook(view, "load_more", %{})
+      render_hook(view, "load_more", %{})
+      refute has_element?(view, "#message-msg_001")
+
+      # Away from the top, live inserts don't move the rows in view
+      message = %{"id" => "msg_scroll_live", "type" => "chat", "status" => "pending", "content" => %{"prompt" => "Live"}}
+      render_hook(view, "sse_message", %{"event" => "message_created", "data" => message})
+      refute has_element?(view, "#message-msg_scroll_live")
+
+      render_hook(view, "load_previous", %{})
+
+      assert has_element?(view, "#message-msg_001 input[phx-click='toggle_select'][checked]")
+      assert render(view) =~ "1 message(s) selected"
+
+      render_hook(view, "sse_message", %{"event" => "message_created", "data" => message})
+      assert has_element?(view, "#messages-rows tr:first-child#message-msg_scroll_live")
+    end
+
+    test "live deletes shrink the range of the window", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?mode=scroll&limit=25")
+
+      render_hook(view, "load_more", %{})
+      render_hook(view, "load_more", %{})
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 26 to 62 of 62")
+
+      render_hook(view, "sse_message", %{"event" => "message_deleted", "data" => %{"id" => "msg_050"}})
+      refute has_element?(view, "#message-msg_050")
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 26 to 61 of 62")
+
+      render_hook(view, "sse_message", %{"event" => "message_deleted", "data" => %{"id" => "msg_030"}})
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 26 to 60 of 62")
+
+      # Rows outside the window leave the range alone
+      render_hook(view, "sse_message", %{"event" => "message_deleted", "data" => %{"id" => "msg_001"}})
+      assert has_element?(view, "[data-testid='scroll-status']", "Showing 26 to 60 of 62")
+    end
+
+    test "offset paging stays available for deep links", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?offset=50")
+
+      assert has_element?(view, "#message-msg_060")
+      refute has_element?(view, "#message-msg_001")
+      assert render(view) =~ "Showing 51 to 62 of 62 messages"
+
+      view |> element("button[phx-click='prev_page']") |> render_click()
+      assert_patch(view, ~p"/app/test_tenant/messages")
+
+      view |> element("button[phx-click='next_page']") |> render_click()
+      assert_patch(view, ~p"/app/test_tenant/messages?offset=50")
+
+      view |> element("[data-testid='paging-mode'] a", "Infinite scroll") |> render_click()
+      assert_patch(view, ~p"/app/test_tenant/messages?mode=scroll")
+      assert has_element?(view, "#messages-table-scroll")
+    end
+  end
+
   describe "error handling on list" do
     test "shows error flash when list_messages fails", %{conn: conn} do
       {:ok, view, html} = live(conn, ~p"/app/messages?status=force_error")
@@ -531,10 +709,13 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
       |> render_click()
 
       # Пытаемся экспортировать
-      html =
-        view
-        |> element("button[phx-click='export'][phx-value-format='json']")
-        |> render_click()
+      view
+      |> element("button[phx-click='export'][phx-value-format='json']")
+      |> render_click()
+
+      # Ошибка Gateway приходит при скачивании; хук сообщает о ней через export_failed
+      assert_push_event(view, "download", %{url: _url})
+      render_hook(view, "export_failed", %{"message" => "Gateway is temporarily unavailable (HTTP 500)."})
 
       # Ждём появления ошибки
       eventually(fn ->
@@ -587,12 +768,16 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
       # Wait for initial load
       assert_html(view, "msg_001", timeout: 1000, interval: 50)
 
+      assert has_element?(view, "th[aria-sort='descending']", "Created")
+
       # Click sort on created_at
       html =
         view
-        |> element("th[phx-click='sort'][phx-value-field='created_at']")
+        |> element("th button[phx-click='sort'][phx-value-field='created_at']")
         |> render_click()
 
+      assert has_element?(view, "th[aria-sort='ascending']", "Created")
+
       # Wait for sort to apply
       assert_html(view, "msg_001", timeout: 1000, interval: 50)
 
@@ -602,5 +787,176 @@ defmodule UiWebWeb.MessagesLive.IndexTest do
       assert html =~ "msg_001"
     end
   end
-end
 
+  describe "URL params and saved views" do
+    test "sort and page size round-trip through the URL", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?status=failed&order=asc&limit=25")
+
+      assert has_element?(view, "th[aria-sort='ascending']", "Created")
+      assert has_element?(view, "#messages-page-size option[value='25'][selected]")
+
+      view |> element("th button[phx-click='sort']") |> render_click()
+      assert_patch(view, ~p"/app/test_tenant/messages?limit=25&status=failed")
+
+      view |> element("#messages-page-size") |> render_change(%{limit: "100"})
+      assert_patch(view, ~p"/app/test_tenant/messages?limit=100&status=failed")
+
+      view |> element("input[name='query']") |> render_change(%{query: "timeout"})
+      assert_patch(view, ~p"/app/test_tenant/messages?limit=100&search=timeout&status=failed")
+    end
+
+    test "saves the current filters as a view and pins it to the navigation", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?type=chat&order=asc")
+
+      view
+      |> form("[data-testid='save-view-form']", view: %{name: "Chats oldest first"})
+      |> render_submit()
+
+      assert has_element?(view, "[data-testid='saved-view'] a[aria-current='true']", "Chats oldest first")
+      assert has_element?(view, "[data-testid='saved-view'] a[href='/app/test_tenant/messages?order=asc&type=chat']")
+      # The copyable link is absolute
+      assert has_element?(view, "span[id^='view-link-']", "://")
+      assert has_element?(view, "span[id^='view-link-']", "/app/test_tenant/messages?order=asc&type=chat")
+      refute has_element?(view, "[data-testid='pinned-view']")
+
+      view |> element("[data-testid='saved-view-pin']") |> render_click()
+
+      assert has_element?(view, "[data-testid='saved-view-pin'][aria-pressed='true']")
+      assert has_element?(view, "nav [data-testid='pinned-view']", "Chats oldest first")
+
+      view |> element("[data-testid='saved-view-delete']") |> render_click()
+
+      refute has_element?(view, "[data-testid='saved-view']")
+      refute has_element?(view, "[data-testid='pinned-view']")
+    end
+
+    test "pinned views load into the navigation of every page after the mount", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?type=chat")
+      view |> form("[data-testid='save-view-form']", view: %{name: "Chats"}) |> render_submit()
+      view |> element("[data-testid='saved-view-pin']") |> render_click()
+
+      {:ok, dashboard, html} = live(conn, ~p"/app/test_tenant/dashboard")
+      refute html =~ "pinned-view"
+
+      render_async(dashboard)
+      assert has_element?(dashboard, "nav [data-testid='pinned-view']", "Chats")
+    end
+
+    test "requires a name", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+      view
+      |> form("[data-testid='save-view-form']", view: %{name: " "})
+      |> render_submit()
+
+      assert has_element?(view, "[data-testid='save-view-error']", "Name is required")
+    end
+
+    test "the default view opens when no filters are given", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?status=failed")
+
+      view
+      |> form("[data-testid='save-view-form']", view: %{name: "Failures", default: "true"})
+      |> render_submit()
+
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?status=completed")
+      view |> form("[data-testid='save-view-form']", view: %{name: "Done"}) |> render_submit()
+
+      # Making another view the default takes the flag away from the first one
+      view |> element("[aria-label='Open Done by default']") |> render_click()
+
+      assert has_element?(view, "[aria-label='Open Done by default'][aria-pressed='true']")
+      assert has_element?(view, "[aria-label='Open Failures by default'][aria-pressed='false']")
+
+      # The views load after the mount, then the default view is patched in
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+      render_async(view)
+      assert_patch(view, ~p"/app/test_tenant/messages?status=completed")
+
+      # Explicit filters win over the default view
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?status=failed")
+      assert has_element?(view, "select[name='status'] option[value='failed'][selected]")
+    end
+  end
+
+  describe "query language" do
+    test "filters through the gateway with the parsed query", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?#{%{search: "tag:billing status:pending -user:user_4"}}")
+
+      # Every tenth mock message is tagged billing; 20 and 60 are pending, 40 belongs to user_4
+      assert has_element?(view, "input[phx-value-id='msg_020']")
+      assert has_element?(view, "input[phx-value-id='msg_060']")
+      refute has_element?(view, "input[phx-value-id='msg_040']")
+      refute has_element?(view, "input[phx-value-id='msg_010']")
+      refute has_element?(view, "input[phx-value-id='msg_001']")
+      refute has_element?(view, "[data-testid='query-errors']")
+    end
+
+    test "status in the query takes precedence over the dropdown", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages?#{%{status: "failed", search: "status:completed,"}}")
+      assert has_element?(view, "[data-testid='query-error']", "Unknown status")
+
+      view |> element("input[name='query']") |> render_change(%{query: "status:completed tag:billing"})
+
+      assert has_element?(view, "input[phx-value-id='msg_010']")
+      refute has_element?(view, "input[phx-value-id='msg_020']")
+    end
+
+    test "marks the offending token and keeps the list", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+      assert_html(view, "msg_001", timeout: 1000, interval: 50)
+
+      view |> element("input[name='query']") |> render_change(%{query: "type:chat colour:red"})
+
+      assert has_element?(view, "#messages-search[aria-invalid='true']")
+      assert has_element?(view, "[data-testid='query-error'][data-offset='10']", "Unknown field \"colour\"")
+      assert has_element?(view, "[data-query-error='true']", "colour:red")
+      refute has_element?(view, "[data-query-error='true']", "type:chat")
+      assert has_element?(view, "input[phx-value-id='msg_001']")
+
+      view |> element("input[name='query']") |> render_change(%{query: "type:chat"})
+
+      refute has_element?(view, "[data-testid='query-errors']")
+      assert has_element?(view, "#messages-search[aria-invalid='false']")
+    end
+  end
+
+  describe "realtime stream" do
+    test "sse_message prepends new messages and ignores replayed duplicates", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/messages")
+
+      assert_html(view, "msg_001", timeout: 1000, interval: 50)
+
+      message = %{"id" => "msg_sse_1", "type" => "chat", "status" => "pending", "content" => %{"prompt" => "From stream"}}
+
+      render_hook(view, "sse_message", %{"event" => "message_created", "data" => message})
+      # The same event replayed after a reconnect must not duplicate the row
+      render_hook(view, "sse_message", %{"event" => "message_created", "data" => message})
+
+      assert has_element?(view, "#messages-rows tr[data-row-id='msg_sse_1']")
+      refute has_element?(view, "#messages-rows tr[data-row-id='msg_sse_1'] ~ tr[data-row-id='msg_sse_1']")
+      # Only the actual insert is announced to screen readers
+      assert has_element?(view, "[role='status'][aria-live='polite']", "1 new message received")
+
+      html = render_hook(view, "sse_message", %{"event" => "message_deleted", "data" => %{"id" => "msg_sse_1"}})
+      refute html =~ "msg_sse_1"
+    end
+
+    test "sse_status updates the live badge", %{conn: conn} do
+      previous = Application.get_env(:ui_web, :sse_enabled)
+      Application.put_env(:ui_web, :sse_enabled, true)
+      on_exit(fn -> Application.put_env(:ui_web, :sse_enabled, previous) end)
+
+      {:ok, view, html} = live(conn, ~p"/app/test_tenant/messages")
+
+      assert html =~ ~s(data-sse-url=)
+      assert html =~ "Connecting"
+
+      assert render_hook(view, "sse_status", %{"state" => "live"}) =~ "Live"
+      assert render_hook(view, "sse_status", %{"state" => "reconnecting"}) =~ "Reconnecting"
+      assert render_hook(view, "sse_status", %{"state" => "polling"}) =~ "Polling"
+      # Unknown states are ignored
+      assert render_hook(view, "sse_status", %{"state" => "bogus"}) =~ "Polling"
+    end
+  end
+end
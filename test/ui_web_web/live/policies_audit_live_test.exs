@@ -0,0 +1,56 @@
+defmodule UiWebWeb.PoliciesAuditLiveTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWeb.Services.PoliciesClient
+
+  @moduletag :live_view
+
+  setup do
+    policy_id = "audit_#{System.unique_integer([:positive])}"
+    user = "auditor_#{System.unique_integer([:positive])}"
+    policy = %{"rules" => [%{"condition" => "true", "action" => "allow"}]}
+
+    {:ok, _} = PoliciesClient.save_policy("tenant_dev", policy_id, policy, user_id: user)
+    {:ok, _} = PoliciesClient.save_policy("tenant_dev", policy_id, put_in(policy, ["rules", Access.at(0), "action"], "deny"), user_id: "someone_else")
+
+    {:ok, policy_id: policy_id, user: user}
+  end
+
+  test "filters entries by user from the URL", %{conn: conn, policy_id: policy_id, user: user} do
+    {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies/audit?#{[user: user]}")
+
+    assert has_element?(view, "#audit-entries td", policy_id)
+    assert has_element?(view, "#audit-entries td", "create")
+    refute has_element?(view, "#audit-entries td", "someone_else")
+  end
+
+  test "filter form patches the URL", %{conn: conn, policy_id: policy_id} do
+    {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies/audit")
+
+    view
+    |> form("#audit-filters", %{"policy_id" => policy_id, "user" => ""})
+    |> render_change()
+
+    assert_patch(view, ~p"/app/tenant_dev/policies/audit?#{[policy_id: policy_id]}")
+    assert has_element?(view, "#audit-entries td", "someone_else")
+    assert has_element?(view, "#audit-entries td", "update")
+  end
+
+  test "only lists entries of the URL tenant", %{conn: conn, policy_id: policy_id} do
+    {:ok, view, _html} = live(conn, ~p"/app/test_tenant/policies/audit?#{[policy_id: policy_id]}")
+
+    refute has_element?(view, "#audit-entries")
+  end
+
+  test "shows an empty state when nothing matches", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies/audit?#{[user: "nobody_#{System.unique_integer([:positive])}"]}")
+
+    assert render(view) =~ "No policy changes recorded"
+  end
+
+  test "surfaces gateway failures", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/app/force_error/policies/audit")
+
+    assert render(view) =~ "Failed to load audit log"
+  end
+end
@@ -20,7 +20,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
   
   describe "Policies rendering" do
     test "renders policies page", %{conn: conn} do
-      {:ok, view, html} = live(conn, ~p"/app/policies")
+      {:ok, view, html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Check page title
       assert html =~ "Policies"
@@ -33,7 +33,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "displays policy list after initial poll", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll to complete (policies list should appear)
       assert_html(view, "tenant_dev", timeout: 2000)
@@ -45,7 +45,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "displays JSON editor", %{conn: conn} do
-      {:ok, view, html} = live(conn, ~p"/app/policies")
+      {:ok, view, html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Editor should be present
       assert html =~ "Editor"
@@ -55,15 +55,14 @@ defmodule UiWebWeb.PoliciesLiveTest do
   
   describe "Policy CRUD operations" do
     test "loads a policy", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
       
-      # Set tenant and policy ID (default policy exists in mock data)
+      # Set policy ID (default policy exists in mock data)
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "default"
         })
         |> render_change()
@@ -81,15 +80,14 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "saves a policy", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
       
-      # Set tenant and policy ID
+      # Set policy ID
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "test_policy_save"
         })
         |> render_change()
@@ -117,15 +115,14 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "deletes a policy", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
       
-      # Set tenant and policy ID (use existing policy from mock)
+      # Set policy ID (use existing policy from mock)
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "default"
         })
         |> render_change()
@@ -144,7 +141,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
   
   describe "Form validation" do
     test "validates JSON format in editor", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
@@ -161,15 +158,14 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "accepts valid JSON", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
       
-      # Set tenant and policy ID
+      # Set policy ID
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "test_policy_valid"
         })
         |> render_change()
@@ -188,15 +184,14 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "tracks editor changes", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
       
-      # Set tenant and policy ID
+      # Set policy ID
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "default"
         })
         |> render_change()
@@ -225,7 +220,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
   
   describe "Polling" do
     test "polls for policies on mount", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll to complete
       assert_html(view, ~r/tenant_dev|List|Tenant/, timeout: 2000)
@@ -237,7 +232,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "polls periodically for updates", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
@@ -257,25 +252,15 @@ defmodule UiWebWeb.PoliciesLiveTest do
   
   describe "Error handling" do
     test "displays error when Gateway returns error", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
-      
-      # Set tenant to force_error (mock gateway will return 500)
-      view
-        |> form("form[phx-change='set']", %{
-          "tenant_id" => "force_error",
-          "policy_id" => "default"
-        })
-        |> render_change()
-      
-      # Trigger poll manually
-      send(view.pid, :poll)
+      # The mock gateway returns 500 for the force_error tenant
+      {:ok, view, _html} = live(conn, ~p"/app/force_error/policies")
       
       # Should display error
       assert_html(view, ~r/error|Error|Failed/i, timeout: 2000)
     end
     
     test "handles policy not found gracefully", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
@@ -283,7 +268,6 @@ defmodule UiWebWeb.PoliciesLiveTest do
       # Set non-existent policy
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "nonexistent_policy_999"
         })
         |> render_change()
@@ -300,7 +284,7 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
     
     test "handles save error for policy_fail", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
@@ -308,7 +292,6 @@ defmodule UiWebWeb.PoliciesLiveTest do
       # Set policy_id to policy_fail (mock will return 500)
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "policy_fail"
         })
         |> render_change()
@@ -322,12 +305,18 @@ defmodule UiWebWeb.PoliciesLiveTest do
         |> form("form[phx-submit='save']", %{"editor" => valid_json})
         |> render_submit()
       
+      # PUT отправляется только после подтверждения diff
+      view
+        |> element("button[phx-click='confirm_save']")
+        |> render_click()
+      
       # Should show error
       assert_html(view, ~r/error|Error|Failed/i, timeout: 1000)
+      refute has_element?(view, "[data-testid='policy-diff']")
     end
     
     test "handles delete error for policy_fail", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       # Wait for initial poll
       assert_html(view, "tenant_dev", timeout: 2000)
@@ -335,7 +324,6 @@ defmodule UiWebWeb.PoliciesLiveTest do
       # Set policy_id to policy_fail (mock will return 500)
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => "policy_fail"
         })
         |> render_change()
@@ -352,31 +340,162 @@ defmodule UiWebWeb.PoliciesLiveTest do
     end
   end
   
-  describe "Tenant and Policy ID management" do
-    test "updates tenant ID", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
-      
-      new_tenant = "new_tenant_#{System.unique_integer([:positive])}"
-      
+  describe "Schema validation and diff confirmation" do
+    @valid_policy %{
+      "rules" => [%{"condition" => "tenant_id == 'test'", "action" => "route_to_provider"}]
+    }
+
+    test "shows a side-by-side diff before sending the PUT", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+      assert_html(view, "tenant_dev", timeout: 2000)
+
       view
-        |> form("form[phx-change='set']", %{
-          "tenant_id" => new_tenant,
-          "policy_id" => "default"
-        })
-        |> render_change()
+      |> form("form[phx-submit='save']", %{"editor" => Jason.encode!(@valid_policy, pretty: true)})
+      |> render_submit()
+
+      assert has_element?(view, "[data-testid='policy-diff']")
+      assert has_element?(view, "tr[data-diff-kind='added']")
+      assert render(view) =~ "route_to_provider"
+      refute render(view) =~ "Policy saved"
+
+      view
+      |> element("button[phx-click='confirm_save']")
+      |> render_click()
+
+      assert_html(view, "Policy saved", timeout: 1000)
+      refute has_element?(view, "[data-testid='policy-diff']")
+    end
+
+    test "cancel closes the diff without saving", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+      assert_html(view, "tenant_dev", timeout: 2000)
+
+      view
+      |> form("form[phx-submit='save']", %{"editor" => Jason.encode!(@valid_policy)})
+      |> render_submit()
+
+      view
+      |> element("button[phx-click='cancel_save']")
+      |> render_click()
+
+      refute has_element?(view, "[data-testid='policy-diff']")
+      refute render(view) =~ "Policy saved"
+    end
+
+    test "reports schema violations with their path", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+      assert_html(view, "tenant_dev", timeout: 2000)
+
+      policy = %{"rules" => [%{"condition" => "true"}], "extra" => 1}
+
+      view
+      |> form("form[phx-submit='save']", %{"editor" => Jason.encode!(policy)})
+      |> render_submit()
+
+      html = render(view)
+      assert html =~ "Policy does not match schema"
+      assert html =~ "rules[0].action: is required"
+      assert html =~ "extra: is not allowed"
+      refute has_element?(view, "[data-testid='policy-diff']")
+    end
+
+    test "reports the line and column of invalid JSON", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+      assert_html(view, "tenant_dev", timeout: 2000)
+
+      view
+      |> form("form[phx-submit='save']", %{"editor" => "{\n  \"rules\": [,]\n}"})
+      |> render_submit()
+
+      assert render(view) =~ "Invalid JSON at line 2, column 13"
+    end
+
+    test "unchanged policy is not sent", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+      assert_html(view, "tenant_dev", timeout: 2000)
+
+      editor = Jason.encode!(@valid_policy, pretty: true)
+
+      view |> form("form[phx-submit='save']", %{"editor" => editor}) |> render_submit()
+      view |> element("button[phx-click='confirm_save']") |> render_click()
+      assert_html(view, "Policy saved", timeout: 1000)
+
+      view |> form("form[phx-submit='save']", %{"editor" => editor}) |> render_submit()
+
+      assert render(view) =~ "No changes to save"
+      refute has_element?(view, "[data-testid='policy-diff']")
+    end
+
+    test "editor exposes the schema to the client hook", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+
+      assert has_element?(view, "textarea#policy-editor-input[phx-hook='PolicyEditor'][data-schema]")
+      assert has_element?(view, "#policy-editor-issues")
+    end
+  end
+  
+  describe "Revision history" do
+    setup %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
+      assert_html(view, "tenant_dev", timeout: 2000)
+
+      policy_id = "history_#{System.unique_integer([:positive])}"
+
+      view
+      |> form("form[phx-change='set']", %{"policy_id" => policy_id})
+      |> render_change()
+
+      save_confirmed(view, %{"rules" => [%{"condition" => "true", "action" => "allow"}]})
+      save_confirmed(view, %{"rules" => [%{"condition" => "true", "action" => "deny"}]})
+
+      {:ok, view: view, policy_id: policy_id}
+    end
+
+    test "lists revisions with author and change summary", %{view: view} do
+      assert has_element?(view, "#policy-revision-2", "current")
+      assert has_element?(view, "#policy-revision-1", "Created policy")
+      assert has_element?(view, "#policy-revision-2", "Changed rules")
+      assert has_element?(view, "#policy-revision-1", "test_user_")
+    end
+
+    test "diffs two revisions", %{view: view} do
+      view
+      |> form("form[phx-submit='diff_revisions']", %{"from" => "1", "to" => "2"})
+      |> render_submit()
+
+      assert has_element?(view, "#policy-revision-diff tr[data-diff-kind='changed']", "deny")
+      assert has_element?(view, "#policy-revision-diff th", "r1")
+
+      view |> element("button[phx-click='close_revision_diff']") |> render_click()
+      refute has_element?(view, "#policy-revision-diff")
+    end
+
+    test "rolls back to a selected revision", %{view: view} do
+      view
+      |> element("#policy-revision-1 button[phx-click='rollback']")
+      |> render_click()
+
+      assert render(view) =~ "Rolled back to revision 1"
+      assert has_element?(view, "#policy-revision-3", "Rolled back to revision 1")
+      assert has_element?(view, "#policy-editor-input", "allow")
+    end
+  end
+
+  describe "Tenant and Policy ID management" do
+    test "uses the tenant from the URL", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/policies")
       
-      # Tenant should be updated
-      assert_html(view, new_tenant, timeout: 1000)
+      assert has_element?(view, "div", "Tenant: test_tenant")
+      refute has_element?(view, "form[phx-change='set'] input[name='tenant_id']")
     end
     
     test "updates policy ID", %{conn: conn} do
-      {:ok, view, _html} = live(conn, ~p"/app/policies")
+      {:ok, view, _html} = live(conn, ~p"/app/tenant_dev/policies")
       
       new_policy_id = "new_policy_#{System.unique_integer([:positive])}"
       
       view
         |> form("form[phx-change='set']", %{
-          "tenant_id" => "tenant_dev",
           "policy_id" => new_policy_id
         })
         |> render_change()
@@ -385,4 +504,12 @@ defmodule UiWebWeb.PoliciesLiveTest do
       assert_html(view, new_policy_id, timeout: 1000)
     end
   end
+
+  defp save_confirmed(view, policy) do
+    view
+    |> form("form[phx-submit='save']", %{"editor" => Jason.encode!(policy, pretty: true)})
+    |> render_submit()
+
+    view |> element("button[phx-click='confirm_save']") |> render_click()
+  end
 end
@@ -0,0 +1,59 @@
+defmodule UiWebWeb.TenantScopingTest do
+  use UiWebWeb.LiveViewCase
+
+  alias UiWebWeb.Live.TenantHook
+
+  @moduletag :live_view
+
+  describe "tenant access" do
+    test "denies tenants that are not in the user's claims", %{conn: conn} do
+      conn = get(conn, ~p"/app/not_my_tenant/policies")
+
+      assert response(conn, 403) =~ "Forbidden"
+    end
+
+    test "live navigation to a denied tenant redirects to an allowed one", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/policies")
+
+      assert {:error, {_kind, %{to: "/app/test_tenant/dashboard", flash: %{"error" => error}}}} =
+               live_redirect(view, to: ~p"/app/not_my_tenant/policies")
+
+      assert error =~ "not_my_tenant"
+    end
+  end
+
+  describe "tenant switcher" do
+    test "lists the allowed tenants and links to the current section", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/policies")
+
+      assert has_element?(view, "#tenant-switcher summary", "test_tenant")
+      assert has_element?(view, "#tenant-switcher a[data-tenant='test_tenant'][aria-current='true']")
+      assert has_element?(view, "#tenant-switcher a[data-tenant='tenant_dev'][href='/app/tenant_dev/policies']")
+      refute has_element?(view, "#tenant-switcher a[data-tenant='not_my_tenant']")
+    end
+
+    test "switching reloads the page for the new tenant", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/app/test_tenant/policies")
+
+      # A full page load, so the root layout's socket token and tenant follow the switch
+      assert {:error, {:redirect, %{to: "/app/tenant_dev/policies"}}} =
+               redirect =
+               view
+               |> element("#tenant-switcher a[data-tenant='tenant_dev']")
+               |> render_click()
+
+      assert conn |> get("/app/tenant_dev/policies") |> html_response(200) =~ ~s(<meta name="tenant-id" content="tenant_dev")
+
+      {:ok, view, _html} = follow_redirect(redirect, conn)
+      assert has_element?(view, "div", "Tenant: tenant_dev")
+    end
+  end
+
+  describe "switch_path/2" do
+    test "keeps the section and drops deeper segments" do
+      assert TenantHook.switch_path("/app/acme/messages/msg_1/edit", "globex") == "/app/globex/messages"
+      assert TenantHook.switch_path("/app/acme/policies", "globex") == "/app/globex/policies"
+      assert TenantHook.switch_path(nil, "globex") == "/app/globex/dashboard"
+    end
+  end
+end
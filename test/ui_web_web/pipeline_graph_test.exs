@@ -0,0 +1,65 @@
+defmodule UiWebWeb.PipelineGraphTest do
+  use ExUnit.Case, async: true
+
+  alias UiWebWeb.PipelineGraph
+
+  @policy %{
+    "rules" => [%{"condition" => "true", "action" => "allow", "provider" => "openai"}],
+    "pre" => [%{"id" => "normalize_text", "mode" => "required"}],
+    "validators" => [%{"id" => "pii_guard"}, %{"id" => "toxicity"}],
+    "post" => [%{"id" => "mask_pii"}]
+  }
+
+  describe "build/3" do
+    test "orders nodes pre → validators → provider → post and chains them" do
+      graph = PipelineGraph.build(@policy)
+
+      assert Enum.map(graph.nodes, & &1.label) == ["normalize_text", "pii_guard", "toxicity", "openai", "mask_pii"]
+      assert Enum.map(graph.nodes, & &1.stage) == ["pre", "validators", "validators", "provider", "post"]
+
+      assert Enum.map(graph.edges, &{&1.from, &1.to}) == [
+               {"pre-0-normalize_text", "validators-0-pii_guard"},
+               {"validators-0-pii_guard", "validators-1-toxicity"},
+               {"validators-1-toxicity", "provider"},
+               {"provider", "post-0-mask_pii"}
+             ]
+
+      xs = Enum.map(graph.nodes, & &1.x)
+      assert xs == Enum.sort(xs)
+      assert graph.width >= List.last(xs) + graph.node_width
+    end
+
+    test "groups consecutive nodes of a stage into one lane" do
+      lanes = PipelineGraph.build(@policy).lanes
+
+      assert Enum.map(lanes, & &1.label) == ["Pre-processors", "Validators", "Provider", "Post-processors"]
+      assert Enum.find(lanes, &(&1.stage == "validators")).width > PipelineGraph.build(@policy).node_width
+    end
+
+    test "colors nodes by circuit state first, then health" do
+      health = %{"normalize_text" => %{"status" => "healthy"}, "pii_guard" => %{"status" => "healthy"}, "mask_pii" => %{"status" => "down"}}
+      circuits = %{"pii_guard" => %{"state" => "open"}, "toxicity" => "half_open"}
+
+      tones = PipelineGraph.build(@policy, health, circuits).nodes |> Map.new(&{&1.label, &1.tone})
+
+      assert tones["normalize_text"] == :healthy
+      assert tones["pii_guard"] == :open
+      assert tones["toxicity"] == :half_open
+      assert tones["mask_pii"] == :unhealthy
+      assert tones["openai"] == :unknown
+    end
+
+    test "empty pipeline still shows the provider call" do
+      assert [%{id: "provider", label: "router decision"}] = PipelineGraph.build(%{"rules" => []}).nodes
+      assert %{nodes: [], edges: []} = PipelineGraph.build(nil)
+    end
+  end
+
+  describe "circuit_state/2" do
+    test "accepts gateway maps and realtime strings" do
+      assert PipelineGraph.circuit_state(%{"a" => %{"state" => "closed"}}, "a") == "closed"
+      assert PipelineGraph.circuit_state(%{"a" => "open"}, "a") == "open"
+      assert PipelineGraph.circuit_state(%{}, "a") == "unknown"
+    end
+  end
+end